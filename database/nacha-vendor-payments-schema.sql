@@ -52,7 +52,7 @@ CREATE TABLE IF NOT EXISTS vendor_bank_accounts (
     vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
     account_name VARCHAR(100) NOT NULL,
     routing_number VARCHAR(9) NOT NULL,
-    account_number VARCHAR(255) NOT NULL, -- Encrypted in application layer
+    account_number TEXT NOT NULL, -- Encrypted in application layer (account-encryption-service.js)
     account_type VARCHAR(20) NOT NULL, -- checking, savings
     is_primary BOOLEAN DEFAULT FALSE,
     status VARCHAR(20) DEFAULT 'active',
@@ -81,6 +81,7 @@ CREATE TABLE IF NOT EXISTS company_nacha_settings (
     settlement_account_id UUID REFERENCES bank_accounts(id) ON DELETE SET NULL,
     is_production BOOLEAN DEFAULT FALSE, -- Production or test
     batch_number_counter INTEGER DEFAULT 1,
+    trace_number_counter INTEGER NOT NULL DEFAULT 1, -- Next 7-digit trace sequence
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -106,7 +107,7 @@ CREATE TABLE IF NOT EXISTS payment_batches (
     approved_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    CONSTRAINT chk_payment_batch_status CHECK (status IN ('draft', 'pending_approval', 'approved', 'processed', 'canceled', 'error'))
+    CONSTRAINT chk_payment_batch_status CHECK (status IN ('draft', 'pending_approval', 'approved', 'file_generated', 'transmitted', 'settled', 'processed', 'canceled', 'error'))
 );
 
 CREATE INDEX IF NOT EXISTS idx_payment_batch_entity ON payment_batches(entity_id);
@@ -167,6 +168,282 @@ CREATE INDEX IF NOT EXISTS idx_nacha_file_batch ON nacha_files(payment_batch_id)
 CREATE INDEX IF NOT EXISTS idx_nacha_file_date ON nacha_files(file_date);
 CREATE INDEX IF NOT EXISTS idx_nacha_file_status ON nacha_files(status);
 
+-- -----------------------------------------------------
+-- Table: bills
+-- Description: Vendor bills (accounts payable). Approval posts the bill to
+-- its AP liability account; bills are paid through payment_items.
+-- -----------------------------------------------------
+CREATE TABLE IF NOT EXISTS bills (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE RESTRICT,
+    invoice_number VARCHAR(50) NOT NULL,
+    invoice_date DATE NOT NULL,
+    due_date DATE NOT NULL,
+    description VARCHAR(255),
+    ap_account_id UUID NOT NULL REFERENCES accounts(id),
+    total_amount NUMERIC(19, 4) NOT NULL DEFAULT 0,
+    paid_amount NUMERIC(19, 4) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft',
+    journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_bill_vendor_invoice UNIQUE (vendor_id, invoice_number),
+    CONSTRAINT chk_bill_dates CHECK (invoice_date <= due_date),
+    CONSTRAINT chk_bill_status CHECK (status IN ('draft', 'pending_approval', 'approved', 'partially_paid', 'paid', 'void'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_bill_entity ON bills(entity_id, status);
+CREATE INDEX IF NOT EXISTS idx_bill_vendor ON bills(vendor_id);
+CREATE INDEX IF NOT EXISTS idx_bill_due_date ON bills(due_date);
+
+-- -----------------------------------------------------
+-- Table: bill_lines
+-- Description: Expense coding of a bill by account, fund and function
+-- -----------------------------------------------------
+CREATE TABLE IF NOT EXISTS bill_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    bill_id UUID NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL,
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    fund_id UUID NOT NULL REFERENCES funds(id),
+    functional_class VARCHAR(50), -- Overrides the account's functional classification when set
+    program_id UUID REFERENCES programs(id),
+    allocation_rule_id UUID REFERENCES allocation_rules(id),
+    amount NUMERIC(19, 4) NOT NULL,
+    description VARCHAR(255),
+    CONSTRAINT chk_bill_line_amount CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bill_line_bill ON bill_lines(bill_id);
+
+-- Accounting date of a void (the reversal date for posted bills); aging as
+-- of an earlier date still reports the bill. Bills voided before the column
+-- existed take their reversal entry's date, else the date last updated.
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS voided_date DATE;
+UPDATE bills b
+   SET voided_date = COALESCE(
+           (SELECT r.entry_date FROM journal_entries r WHERE r.reversal_of_id = b.journal_entry_id LIMIT 1),
+           b.updated_at::date)
+ WHERE b.status = 'void' AND b.voided_date IS NULL;
+
+-- Payments selected from bills
+ALTER TABLE payment_items ADD COLUMN IF NOT EXISTS bill_id UUID REFERENCES bills(id) ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS idx_payment_item_bill ON payment_items(bill_id);
+
+-- -----------------------------------------------------
+-- Payment batch approval
+-- Description: Batch lifecycle draft -> pending_approval (submitted) ->
+-- approved -> file_generated -> transmitted -> settled. Tables created
+-- before the lifecycle get the wider status check here.
+-- -----------------------------------------------------
+ALTER TABLE payment_batches DROP CONSTRAINT IF EXISTS chk_payment_batch_status;
+ALTER TABLE payment_batches ADD CONSTRAINT chk_payment_batch_status
+    CHECK (status IN ('draft', 'pending_approval', 'approved', 'file_generated', 'transmitted', 'settled', 'processed', 'canceled', 'error'));
+
+-- Batches above this total need two approvers
+ALTER TABLE company_nacha_settings ADD COLUMN IF NOT EXISTS dual_approval_threshold NUMERIC(19, 4);
+
+-- Largest batch each approver may approve (NULL approval_limit = no limit)
+CREATE TABLE IF NOT EXISTS payment_approval_limits (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    approval_limit NUMERIC(19, 4),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_approval_limit CHECK (approval_limit IS NULL OR approval_limit >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS payment_batch_approvals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_batch_id UUID NOT NULL REFERENCES payment_batches(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    approved_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_payment_batch_approver UNIQUE (payment_batch_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS payment_batch_transitions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_batch_id UUID NOT NULL REFERENCES payment_batches(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL, -- submit, resubmit, approve, reject, cancel, generate, transmit, settle
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    user_name VARCHAR(255) NOT NULL,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_batch_approval_batch ON payment_batch_approvals(payment_batch_id);
+CREATE INDEX IF NOT EXISTS idx_payment_batch_transition_batch ON payment_batch_transitions(payment_batch_id, created_at);
+
+-- Bank details each payment goes to, copied from the vendor bank account
+-- when its batch is submitted; NACHA files are built from this copy, so a
+-- later change to the vendor's account cannot redirect approved payments
+ALTER TABLE payment_items ADD COLUMN IF NOT EXISTS bank_routing_number VARCHAR(9);
+ALTER TABLE payment_items ADD COLUMN IF NOT EXISTS bank_account_number TEXT; -- Encrypted in application layer
+ALTER TABLE payment_items ADD COLUMN IF NOT EXISTS bank_account_type VARCHAR(20);
+UPDATE payment_items pi
+   SET bank_routing_number = vba.routing_number,
+       bank_account_number = vba.account_number,
+       bank_account_type = vba.account_type
+  FROM vendor_bank_accounts vba, payment_batches pb
+ WHERE vba.id = pi.vendor_bank_account_id
+   AND pb.id = pi.payment_batch_id
+   AND pb.status IN ('pending_approval', 'approved')
+   AND pi.status IN ('pending', 'approved')
+   AND pi.bank_routing_number IS NULL;
+
+-- -----------------------------------------------------
+-- Generated NACHA file content and control totals
+-- Description: file_control_total holds the File Control entry hash
+-- -----------------------------------------------------
+ALTER TABLE nacha_files ADD COLUMN IF NOT EXISTS file_content TEXT;
+ALTER TABLE nacha_files ADD COLUMN IF NOT EXISTS file_id_modifier CHAR(1);
+ALTER TABLE nacha_files ADD COLUMN IF NOT EXISTS service_class_code VARCHAR(3);
+ALTER TABLE nacha_files ADD COLUMN IF NOT EXISTS batch_count INTEGER;
+ALTER TABLE nacha_files ADD COLUMN IF NOT EXISTS block_count INTEGER;
+ALTER TABLE nacha_files ADD COLUMN IF NOT EXISTS entry_addenda_count INTEGER;
+ALTER TABLE nacha_files ADD COLUMN IF NOT EXISTS total_debit_amount NUMERIC(19, 4);
+ALTER TABLE nacha_files ADD COLUMN IF NOT EXISTS total_credit_amount NUMERIC(19, 4);
+ALTER TABLE nacha_files ADD COLUMN IF NOT EXISTS offset_amount NUMERIC(19, 4) NOT NULL DEFAULT 0;
+ALTER TABLE nacha_files ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- -----------------------------------------------------
+-- Trace numbers unique for the originating bank
+-- Description: files continue the settings' trace sequence; settings whose
+-- files were generated before the counter existed start past the highest
+-- sequence already sent
+-- -----------------------------------------------------
+ALTER TABLE company_nacha_settings ADD COLUMN IF NOT EXISTS trace_number_counter INTEGER NOT NULL DEFAULT 1;
+UPDATE company_nacha_settings ns
+   SET trace_number_counter = sent.next_sequence
+  FROM (SELECT pb.nacha_settings_id, MAX(RIGHT(pi.trace_number, 7)::INTEGER) + 1 AS next_sequence
+          FROM payment_items pi
+          JOIN payment_batches pb ON pb.id = pi.payment_batch_id
+         WHERE pi.trace_number ~ '^[0-9]{15}$'
+         GROUP BY pb.nacha_settings_id) sent
+ WHERE sent.nacha_settings_id = ns.id AND ns.trace_number_counter < sent.next_sequence;
+
+-- -----------------------------------------------------
+-- Table: ach_returns
+-- Description: ACH returns (R01-R85) and notifications of change (C01-C13)
+-- received for payments we originated, imported from the bank's return
+-- file or entered by hand, matched to the payment_items of one entry by
+-- trace number, receiving bank and amount.
+-- Returns are 'recorded' (items rejected, returned funds reversed); NOCs
+-- are 'pending' until their proposed bank account correction is applied
+-- or dismissed; entries matching no payment are 'unmatched'.
+-- -----------------------------------------------------
+CREATE TABLE IF NOT EXISTS ach_returns (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    return_type VARCHAR(10) NOT NULL, -- return, noc
+    reason_code VARCHAR(3) NOT NULL, -- R01-R85 or C01-C13
+    original_trace_number VARCHAR(15) NOT NULL,
+    trace_number VARCHAR(15), -- Trace number of the return/NOC entry
+    return_date DATE NOT NULL,
+    amount NUMERIC(19, 4) NOT NULL DEFAULT 0,
+    original_rdfi_id VARCHAR(8),
+    corrected_data VARCHAR(29), -- NOC corrected data as received
+    addenda_information VARCHAR(44),
+    date_of_death DATE,
+    source VARCHAR(10) NOT NULL DEFAULT 'manual', -- file, manual
+    file_name VARCHAR(255),
+    payment_batch_id UUID REFERENCES payment_batches(id) ON DELETE SET NULL,
+    vendor_bank_account_id UUID REFERENCES vendor_bank_accounts(id) ON DELETE SET NULL,
+    proposed_changes JSONB, -- NOC: corrected vendor_bank_accounts fields
+    journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_ach_return_type CHECK (return_type IN ('return', 'noc')),
+    CONSTRAINT chk_ach_return_source CHECK (source IN ('file', 'manual')),
+    CONSTRAINT chk_ach_return_status CHECK (status IN ('recorded', 'pending', 'applied', 'dismissed', 'unmatched'))
+);
+
+-- A trace number and code alone can repeat for different payments; a
+-- return is a duplicate only for the same RDFI, amount and matched batch
+-- (or return date when unmatched)
+ALTER TABLE ach_returns DROP CONSTRAINT IF EXISTS uq_ach_return;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_ach_return_payment ON ach_returns (
+    original_trace_number, reason_code, (COALESCE(original_rdfi_id, '')), amount,
+    (COALESCE(payment_batch_id::text, return_date::text))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ach_return_trace ON ach_returns(original_trace_number);
+CREATE INDEX IF NOT EXISTS idx_ach_return_batch ON ach_returns(payment_batch_id);
+CREATE INDEX IF NOT EXISTS idx_ach_return_status ON ach_returns(status);
+
+-- Returned payments keep the return that rejected them
+ALTER TABLE payment_items ADD COLUMN IF NOT EXISTS return_reason_code VARCHAR(3);
+ALTER TABLE payment_items ADD COLUMN IF NOT EXISTS ach_return_id UUID REFERENCES ach_returns(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_payment_item_trace ON payment_items(trace_number);
+
+-- -----------------------------------------------------
+-- Bank account number encryption
+-- Description: vendor and organization account numbers, and the corrected
+-- account number proposed by a NOC, are stored envelope-encrypted by
+-- account-encryption-service.js; proposed_changes and corrected_data keep
+-- only the masked number. account_number_access_log records every request
+-- to see a full account number or download a NACHA file, whether granted
+-- or refused.
+-- -----------------------------------------------------
+ALTER TABLE vendor_bank_accounts ALTER COLUMN account_number TYPE TEXT;
+ALTER TABLE bank_accounts ALTER COLUMN account_number TYPE TEXT;
+ALTER TABLE ach_returns ADD COLUMN IF NOT EXISTS proposed_account_number TEXT;
+
+CREATE TABLE IF NOT EXISTS account_number_access_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    record_type VARCHAR(30) NOT NULL, -- vendor_bank_account, bank_account, nacha_file (download)
+    record_id UUID NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    user_name VARCHAR(255),
+    granted BOOLEAN NOT NULL,
+    ip_address VARCHAR(45),
+    accessed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_account_access_record_type CHECK (record_type IN ('vendor_bank_account', 'bank_account', 'nacha_file'))
+);
+ALTER TABLE account_number_access_log DROP CONSTRAINT IF EXISTS chk_account_access_record_type;
+ALTER TABLE account_number_access_log ADD CONSTRAINT chk_account_access_record_type
+    CHECK (record_type IN ('vendor_bank_account', 'bank_account', 'nacha_file'));
+
+CREATE INDEX IF NOT EXISTS idx_account_access_record ON account_number_access_log(record_type, record_id);
+CREATE INDEX IF NOT EXISTS idx_account_access_time ON account_number_access_log(accessed_at);
+
+-- -----------------------------------------------------
+-- Prenotes
+-- Description: a vendor bank account added or changed is pending a
+-- zero-dollar prenote entry; prenote files go out under the company NACHA
+-- settings without a payment batch. A return matching the prenote's trace
+-- number marks the account returned. Accounts added before prenotes have
+-- no prenote status.
+-- -----------------------------------------------------
+ALTER TABLE nacha_files ALTER COLUMN payment_batch_id DROP NOT NULL;
+ALTER TABLE nacha_files ADD COLUMN IF NOT EXISTS file_type VARCHAR(20) NOT NULL DEFAULT 'payment';
+ALTER TABLE nacha_files ADD COLUMN IF NOT EXISTS nacha_settings_id UUID REFERENCES company_nacha_settings(id) ON DELETE SET NULL;
+ALTER TABLE nacha_files DROP CONSTRAINT IF EXISTS chk_nacha_file_type;
+ALTER TABLE nacha_files ADD CONSTRAINT chk_nacha_file_type
+    CHECK (file_type IN ('payment', 'prenote') AND (payment_batch_id IS NOT NULL OR file_type = 'prenote'));
+UPDATE nacha_files nf
+   SET nacha_settings_id = pb.nacha_settings_id
+  FROM payment_batches pb
+ WHERE pb.id = nf.payment_batch_id AND nf.nacha_settings_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_nacha_file_settings ON nacha_files(nacha_settings_id, file_date);
+
+ALTER TABLE vendor_bank_accounts ADD COLUMN IF NOT EXISTS prenote_status VARCHAR(20);
+ALTER TABLE vendor_bank_accounts ADD COLUMN IF NOT EXISTS prenote_trace_number VARCHAR(15);
+ALTER TABLE vendor_bank_accounts ADD COLUMN IF NOT EXISTS prenote_sent_at TIMESTAMP;
+ALTER TABLE vendor_bank_accounts ADD COLUMN IF NOT EXISTS prenote_file_id UUID REFERENCES nacha_files(id) ON DELETE SET NULL;
+ALTER TABLE vendor_bank_accounts DROP CONSTRAINT IF EXISTS chk_prenote_status;
+ALTER TABLE vendor_bank_accounts ADD CONSTRAINT chk_prenote_status
+    CHECK (prenote_status IN ('pending', 'sent', 'returned'));
+CREATE INDEX IF NOT EXISTS idx_vendor_bank_prenote_trace ON vendor_bank_accounts(prenote_trace_number);
+
 -- Comments for documentation
 COMMENT ON TABLE vendors IS 'Stores vendor/payee information for NACHA payments';
 COMMENT ON TABLE vendor_bank_accounts IS 'Stores vendor banking information for ACH transfers';
@@ -174,3 +451,10 @@ COMMENT ON TABLE company_nacha_settings IS 'Organization settings for NACHA file
 COMMENT ON TABLE payment_batches IS 'Groups payments for NACHA file generation';
 COMMENT ON TABLE payment_items IS 'Individual payments within a batch';
 COMMENT ON TABLE nacha_files IS 'Tracks generated NACHA files';
+COMMENT ON TABLE bills IS 'Vendor bills posted to accounts payable';
+COMMENT ON TABLE bill_lines IS 'Expense coding of vendor bills by account, fund and function';
+COMMENT ON TABLE payment_approval_limits IS 'Largest payment batch each approver may approve';
+COMMENT ON TABLE payment_batch_approvals IS 'Approvals recorded against payment batches';
+COMMENT ON TABLE payment_batch_transitions IS 'Log of payment batch status transitions';
+COMMENT ON TABLE ach_returns IS 'ACH returns and notifications of change received for originated payments';
+COMMENT ON TABLE account_number_access_log IS 'Requests to see full bank account numbers or download NACHA files, granted or refused';
@@ -15,6 +15,55 @@ const crypto = require('crypto');
 // Inter-entity transfer helper
 // NOTE: helper moved to src/js during v9.0 re-organisation
 const registerInterEntityTransferRoutes = require('./src/js/inter-entity-transfer-api');
+const registerFiscalYearRoutes = require('./src/js/fiscal-year-api');
+const registerFinancialReportRoutes = require('./src/js/financial-reports-api');
+const registerFunctionalExpenseRoutes = require('./src/js/functional-expense-api');
+const registerBudgetRoutes = require('./src/js/budget-api');
+const registerBalanceRoutes = require('./src/js/balance-api');
+const registerRestrictionReleaseRoutes = require('./src/js/restriction-release-api');
+const registerEndowmentRoutes = require('./src/js/endowment-api');
+const registerGrantRoutes = require('./src/js/grant-api');
+const registerDonorRoutes = require('./src/js/donor-api');
+const registerApRoutes = require('./src/js/ap-api');
+const registerVendorPaymentRoutes = require('./src/js/vendor-payment-api');
+const registerAchReturnRoutes = require('./src/js/ach-return-api');
+const { withTransaction } = require('./src/js/db-transaction');
+const { getRequestUser, isAdministrator } = require('./src/js/request-user');
+const {
+    ACCESS_RECORD,
+    isEncryptionConfigured,
+    encryptAccountNumber,
+    withMaskedAccountNumbers,
+    resolveSubmittedAccountNumber,
+    rotateAccountNumbers,
+    countPlaintextAccountNumbers,
+    revealAccountNumber
+} = require('./src/js/account-encryption-service');
+const { validateAccountClassification } = require('./src/js/functional-expense-service');
+const {
+    LEDGER_BALANCES_SCHEMA,
+    withAccountBalances,
+    withFundBalances,
+    withBankAccountBalances,
+    getFundBalances,
+    rebuildLedgerBalances
+} = require('./src/js/balance-service');
+const {
+    normalizeFundRestriction,
+    proposePurposeReleases,
+    handleEntryReversal
+} = require('./src/js/restriction-release-service');
+const { getEntryGrantWarnings } = require('./src/js/grant-service');
+const {
+    ENTRY_TYPE,
+    createRequestError,
+    assertEditableStatus,
+    getJournalEntryLines,
+    saveJournalEntry,
+    submitJournalEntry,
+    postJournalEntry,
+    reverseJournalEntry
+} = require('./src/js/journal-entry-service');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -69,6 +118,159 @@ const initializeDatabase = async () => {
             END $$;
         `);
         console.log('Column "import_id" on "journal_entries" is present or created.');
+
+        // Add total_debits / total_credits to journal_entries (maintained by the server)
+        await client.query(`
+            ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS total_debits DECIMAL(19,4) DEFAULT 0;
+            ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS total_credits DECIMAL(19,4) DEFAULT 0;
+        `);
+        console.log('Columns "total_debits"/"total_credits" on "journal_entries" are present or created.');
+
+        // Keep journal entry lines in the order they were entered
+        await client.query(`
+            ALTER TABLE journal_entry_lines ADD COLUMN IF NOT EXISTS line_number INTEGER;
+        `);
+        console.log('Column "line_number" on "journal_entry_lines" is present or created.');
+
+        // Posting workflow: Draft -> Pending Approval -> Posted -> Reversed
+        await client.query(`
+            ALTER TABLE journal_entries DROP CONSTRAINT IF EXISTS journal_entries_status_check;
+            ALTER TABLE journal_entries ADD CONSTRAINT journal_entries_status_check
+                CHECK (status IN ('Draft', 'Pending Approval', 'Posted', 'Reversed', 'Void')) NOT VALID;
+            ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS posted_at TIMESTAMPTZ;
+            ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS posted_by VARCHAR(255);
+            ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS reversal_of_id UUID REFERENCES journal_entries(id);
+            ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS reversed_by_id UUID REFERENCES journal_entries(id);
+            ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMPTZ;
+            ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS reentry_of_id UUID REFERENCES journal_entries(id);
+        `);
+        console.log('Journal entry posting workflow columns are present or created.');
+
+        // Fiscal years and monthly accounting periods
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS fiscal_years (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+                year_name VARCHAR(50) NOT NULL,
+                start_date DATE NOT NULL,
+                end_date DATE NOT NULL,
+                is_current BOOLEAN DEFAULT FALSE,
+                status VARCHAR(20) DEFAULT 'Open',
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE(entity_id, year_name)
+            );
+            CREATE INDEX IF NOT EXISTS idx_fiscal_years_entity_id ON fiscal_years(entity_id);
+
+            CREATE TABLE IF NOT EXISTS accounting_periods (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                fiscal_year_id UUID NOT NULL REFERENCES fiscal_years(id) ON DELETE CASCADE,
+                entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+                period_number INTEGER NOT NULL,
+                period_name VARCHAR(50) NOT NULL,
+                start_date DATE NOT NULL,
+                end_date DATE NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'Open'
+                    CHECK (status IN ('Open', 'Soft Closed', 'Closed', 'Locked')),
+                status_changed_by VARCHAR(255),
+                status_changed_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE(fiscal_year_id, period_number)
+            );
+            CREATE INDEX IF NOT EXISTS idx_accounting_periods_entity_dates
+                ON accounting_periods(entity_id, start_date, end_date);
+
+            ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS fiscal_year_id UUID REFERENCES fiscal_years(id);
+            CREATE INDEX IF NOT EXISTS idx_journal_entries_fiscal_year_id ON journal_entries(fiscal_year_id);
+        `);
+        console.log('Tables "fiscal_years"/"accounting_periods" are present or created.');
+
+        // Year-end close
+        await client.query(`
+            ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS entry_type VARCHAR(50) DEFAULT 'Standard';
+            ALTER TABLE fiscal_years ADD COLUMN IF NOT EXISTS closing_account_id UUID REFERENCES accounts(id);
+            ALTER TABLE fiscal_years ADD COLUMN IF NOT EXISTS close_count INTEGER DEFAULT 0;
+            ALTER TABLE fiscal_years ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+            ALTER TABLE fiscal_years ADD COLUMN IF NOT EXISTS closed_by VARCHAR(255);
+            ALTER TABLE fiscal_years ADD COLUMN IF NOT EXISTS reopened_at TIMESTAMPTZ;
+            ALTER TABLE fiscal_years ADD COLUMN IF NOT EXISTS reopened_by VARCHAR(255);
+            ALTER TABLE fiscal_years ADD COLUMN IF NOT EXISTS reopen_reason TEXT;
+        `);
+        console.log('Year-end close columns are present or created.');
+
+        // Functional expense classification: programs, allocation rules for
+        // shared costs, account defaults and per-line overrides
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS programs (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+                code VARCHAR(50) NOT NULL,
+                name VARCHAR(255) NOT NULL,
+                description TEXT,
+                status VARCHAR(20) DEFAULT 'Active',
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE(entity_id, code)
+            );
+
+            CREATE TABLE IF NOT EXISTS allocation_rules (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+                name VARCHAR(255) NOT NULL,
+                description TEXT,
+                status VARCHAR(20) DEFAULT 'Active',
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE TABLE IF NOT EXISTS allocation_rule_splits (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                allocation_rule_id UUID NOT NULL REFERENCES allocation_rules(id) ON DELETE CASCADE,
+                split_number INTEGER NOT NULL,
+                functional_class VARCHAR(50) NOT NULL
+                    CHECK (functional_class IN ('Program', 'Management & General', 'Fundraising')),
+                program_id UUID REFERENCES programs(id),
+                percentage DECIMAL(7,4) NOT NULL
+            );
+
+            ALTER TABLE accounts ADD COLUMN IF NOT EXISTS functional_class VARCHAR(50);
+            ALTER TABLE accounts ADD COLUMN IF NOT EXISTS program_id UUID REFERENCES programs(id);
+            ALTER TABLE accounts ADD COLUMN IF NOT EXISTS allocation_rule_id UUID REFERENCES allocation_rules(id);
+            ALTER TABLE journal_entry_lines ADD COLUMN IF NOT EXISTS functional_class VARCHAR(50);
+            ALTER TABLE journal_entry_lines ADD COLUMN IF NOT EXISTS program_id UUID REFERENCES programs(id);
+            ALTER TABLE journal_entry_lines ADD COLUMN IF NOT EXISTS allocation_rule_id UUID REFERENCES allocation_rules(id);
+        `);
+        console.log('Functional expense classification tables and columns are present or created.');
+
+        // Budget versions (Original, Revised) with monthly amounts per account and fund
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS budget_versions (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+                fiscal_year_id UUID NOT NULL REFERENCES fiscal_years(id) ON DELETE CASCADE,
+                version_type VARCHAR(20) NOT NULL DEFAULT 'Original'
+                    CHECK (version_type IN ('Original', 'Revised')),
+                name VARCHAR(255) NOT NULL,
+                description TEXT,
+                created_by VARCHAR(255),
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE(fiscal_year_id, name)
+            );
+
+            CREATE TABLE IF NOT EXISTS budget_lines (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                budget_version_id UUID NOT NULL REFERENCES budget_versions(id) ON DELETE CASCADE,
+                account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+                fund_id UUID REFERENCES funds(id) ON DELETE CASCADE,
+                period_number INTEGER NOT NULL,
+                amount DECIMAL(19,4) NOT NULL DEFAULT 0,
+                notes TEXT
+            );
+            CREATE INDEX IF NOT EXISTS idx_budget_lines_version ON budget_lines(budget_version_id, account_id);
+        `);
+        console.log('Tables "budget_versions"/"budget_lines" are present or created.');
         
         // Check for custom_report_definitions table
         await client.query(`
@@ -90,7 +292,7 @@ const initializeDatabase = async () => {
                 id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
                 bank_name        VARCHAR(255) NOT NULL,
                 account_name     VARCHAR(255) NOT NULL,
-                account_number   VARCHAR(100),
+                account_number   TEXT,
                 routing_number   VARCHAR(20),
                 type             VARCHAR(50)  DEFAULT 'Checking',
                 status           VARCHAR(20)  DEFAULT 'Active',
@@ -104,6 +306,363 @@ const initializeDatabase = async () => {
         `);
         console.log('Table "bank_accounts" is present or created.');
 
+        // Derived balances: posted debit and credit totals per account and
+        // fund, kept current by triggers on journal entries and their lines
+        await client.query(LEDGER_BALANCES_SCHEMA);
+        await client.query('ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS gl_account_id UUID REFERENCES accounts(id) ON DELETE SET NULL');
+        const { rows: balanceRows } = await client.query('SELECT EXISTS (SELECT 1 FROM ledger_balances) AS populated');
+        if (!balanceRows[0].populated) {
+            try {
+                await client.query('BEGIN');
+                await rebuildLedgerBalances(client);
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw err;
+            }
+        }
+        console.log('Table "ledger_balances" and its triggers are present or created.');
+
+        // Donor restriction releases: fund release settings and the releases
+        // proposed or posted for purpose- and time-restricted funds
+        await client.query(`
+            ALTER TABLE funds ADD COLUMN IF NOT EXISTS restriction_type VARCHAR(20);
+            ALTER TABLE funds ADD COLUMN IF NOT EXISTS release_mode VARCHAR(20);
+            ALTER TABLE funds ADD COLUMN IF NOT EXISTS release_fund_id UUID REFERENCES funds(id);
+            ALTER TABLE funds ADD COLUMN IF NOT EXISTS release_account_id UUID REFERENCES accounts(id);
+            ALTER TABLE funds ADD COLUMN IF NOT EXISTS release_start_date DATE;
+            ALTER TABLE funds ADD COLUMN IF NOT EXISTS release_end_date DATE;
+            ALTER TABLE funds ADD COLUMN IF NOT EXISTS release_frequency VARCHAR(20);
+
+            CREATE TABLE IF NOT EXISTS restriction_releases (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+                fund_id UUID NOT NULL REFERENCES funds(id) ON DELETE CASCADE,
+                release_type VARCHAR(20) NOT NULL CHECK (release_type IN ('Purpose', 'Time')),
+                source_journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+                journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+                amount DECIMAL(19,4) NOT NULL,
+                release_date DATE NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'Proposed'
+                    CHECK (status IN ('Proposed', 'Posted', 'Dismissed', 'Reversed')),
+                notes TEXT,
+                created_by VARCHAR(255),
+                posted_by VARCHAR(255),
+                posted_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS idx_restriction_releases_fund ON restriction_releases(fund_id, status);
+        `);
+        console.log('Table "restriction_releases" and fund release settings are present or created.');
+
+        // Endowments: corpus and appreciation funds, spending policy, and the
+        // investment returns and spending draws posted for them
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS endowments (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+                fund_id UUID NOT NULL UNIQUE REFERENCES funds(id) ON DELETE CASCADE,
+                appreciation_fund_id UUID NOT NULL REFERENCES funds(id),
+                spending_fund_id UUID NOT NULL REFERENCES funds(id),
+                investment_account_id UUID NOT NULL REFERENCES accounts(id),
+                cash_account_id UUID NOT NULL REFERENCES accounts(id),
+                return_account_id UUID NOT NULL REFERENCES accounts(id),
+                release_account_id UUID NOT NULL REFERENCES accounts(id),
+                pool_units DECIMAL(19,6) NOT NULL DEFAULT 0,
+                spending_rate DECIMAL(7,4) NOT NULL DEFAULT 4,
+                averaging_quarters INTEGER NOT NULL DEFAULT 12 CHECK (averaging_quarters > 0),
+                draw_frequency VARCHAR(20) NOT NULL DEFAULT 'Annual' CHECK (draw_frequency IN ('Annual', 'Quarterly')),
+                status VARCHAR(20) NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Inactive')),
+                notes TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE TABLE IF NOT EXISTS endowment_transactions (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                endowment_id UUID NOT NULL REFERENCES endowments(id) ON DELETE CASCADE,
+                transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('Return', 'Draw')),
+                transaction_date DATE NOT NULL,
+                period_start DATE,
+                period_end DATE NOT NULL,
+                method VARCHAR(20),
+                basis DECIMAL(19,4),
+                rate DECIMAL(7,4),
+                amount DECIMAL(19,4) NOT NULL,
+                journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+                created_by VARCHAR(255),
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS idx_endowment_transactions_endowment
+                ON endowment_transactions(endowment_id, transaction_type, period_end);
+
+            ALTER TABLE endowments ADD COLUMN IF NOT EXISTS draw_frequency VARCHAR(20) NOT NULL DEFAULT 'Annual'
+                CHECK (draw_frequency IN ('Annual', 'Quarterly'));
+        `);
+        console.log('Tables "endowments" and "endowment_transactions" are present or created.');
+
+        // Grants: award, period, linked funds, budget by account, reporting
+        // deadlines and payment schedule
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS grants (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+                grantor_name VARCHAR(255) NOT NULL,
+                grant_number VARCHAR(100),
+                name VARCHAR(255) NOT NULL,
+                award_amount DECIMAL(19,4) NOT NULL DEFAULT 0,
+                start_date DATE NOT NULL,
+                end_date DATE NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Closed')),
+                notes TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                CHECK (start_date <= end_date)
+            );
+
+            CREATE TABLE IF NOT EXISTS grant_funds (
+                grant_id UUID NOT NULL REFERENCES grants(id) ON DELETE CASCADE,
+                fund_id UUID NOT NULL UNIQUE REFERENCES funds(id) ON DELETE CASCADE,
+                PRIMARY KEY (grant_id, fund_id)
+            );
+
+            CREATE TABLE IF NOT EXISTS grant_budget_lines (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                grant_id UUID NOT NULL REFERENCES grants(id) ON DELETE CASCADE,
+                account_id UUID NOT NULL REFERENCES accounts(id),
+                amount DECIMAL(19,4) NOT NULL DEFAULT 0,
+                notes TEXT,
+                UNIQUE (grant_id, account_id)
+            );
+
+            CREATE TABLE IF NOT EXISTS grant_deadlines (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                grant_id UUID NOT NULL REFERENCES grants(id) ON DELETE CASCADE,
+                description VARCHAR(255) NOT NULL,
+                due_date DATE NOT NULL,
+                submitted_date DATE,
+                notes TEXT
+            );
+
+            CREATE TABLE IF NOT EXISTS grant_payments (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                grant_id UUID NOT NULL REFERENCES grants(id) ON DELETE CASCADE,
+                due_date DATE NOT NULL,
+                amount DECIMAL(19,4) NOT NULL,
+                billed_date DATE,
+                received_date DATE,
+                received_amount DECIMAL(19,4),
+                notes TEXT
+            );
+            CREATE INDEX IF NOT EXISTS idx_grants_entity ON grants(entity_id, status);
+            CREATE INDEX IF NOT EXISTS idx_grant_deadlines_grant ON grant_deadlines(grant_id, due_date);
+            CREATE INDEX IF NOT EXISTS idx_grant_payments_grant ON grant_payments(grant_id, due_date);
+        `);
+        console.log('Table "grants" and its funds, budget lines, deadlines and payments are present or created.');
+
+        // Cost-reimbursable grants: indirect cost rate, receivable accounts
+        // and drawdowns billing the expense lines they cover
+        await client.query(`
+            ALTER TABLE grants ADD COLUMN IF NOT EXISTS is_reimbursable BOOLEAN NOT NULL DEFAULT FALSE;
+            ALTER TABLE grants ADD COLUMN IF NOT EXISTS indirect_cost_rate DECIMAL(7,4) NOT NULL DEFAULT 0;
+            ALTER TABLE grants ADD COLUMN IF NOT EXISTS receivable_account_id UUID REFERENCES accounts(id);
+            ALTER TABLE grants ADD COLUMN IF NOT EXISTS revenue_account_id UUID REFERENCES accounts(id);
+            ALTER TABLE grants ADD COLUMN IF NOT EXISTS cash_account_id UUID REFERENCES accounts(id);
+            ALTER TABLE grant_budget_lines ADD COLUMN IF NOT EXISTS indirect_eligible BOOLEAN NOT NULL DEFAULT TRUE;
+
+            CREATE TABLE IF NOT EXISTS grant_drawdowns (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                grant_id UUID NOT NULL REFERENCES grants(id) ON DELETE CASCADE,
+                drawdown_number INTEGER NOT NULL,
+                period_start DATE NOT NULL,
+                period_end DATE NOT NULL,
+                request_date DATE NOT NULL,
+                direct_amount DECIMAL(19,4) NOT NULL DEFAULT 0,
+                indirect_base DECIMAL(19,4) NOT NULL DEFAULT 0,
+                indirect_rate DECIMAL(7,4) NOT NULL DEFAULT 0,
+                indirect_amount DECIMAL(19,4) NOT NULL DEFAULT 0,
+                total_amount DECIMAL(19,4) NOT NULL DEFAULT 0,
+                received_amount DECIMAL(19,4) NOT NULL DEFAULT 0,
+                status VARCHAR(20) NOT NULL DEFAULT 'Billed'
+                    CHECK (status IN ('Billed', 'Partially Received', 'Received', 'Void')),
+                journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+                created_by VARCHAR(255),
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE (grant_id, drawdown_number)
+            );
+
+            CREATE TABLE IF NOT EXISTS grant_drawdown_lines (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                drawdown_id UUID NOT NULL REFERENCES grant_drawdowns(id) ON DELETE CASCADE,
+                journal_entry_line_id UUID NOT NULL UNIQUE REFERENCES journal_entry_lines(id) ON DELETE CASCADE,
+                fund_id UUID NOT NULL REFERENCES funds(id),
+                account_id UUID NOT NULL REFERENCES accounts(id),
+                amount DECIMAL(19,4) NOT NULL,
+                indirect_eligible BOOLEAN NOT NULL DEFAULT TRUE
+            );
+
+            CREATE TABLE IF NOT EXISTS grant_drawdown_receipts (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                drawdown_id UUID NOT NULL REFERENCES grant_drawdowns(id) ON DELETE CASCADE,
+                received_date DATE NOT NULL,
+                amount DECIMAL(19,4) NOT NULL,
+                journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+                created_by VARCHAR(255),
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS idx_grant_drawdowns_grant ON grant_drawdowns(grant_id, status);
+            CREATE INDEX IF NOT EXISTS idx_grant_drawdown_lines_drawdown ON grant_drawdown_lines(drawdown_id);
+            CREATE INDEX IF NOT EXISTS idx_grant_drawdown_receipts_drawdown ON grant_drawdown_receipts(drawdown_id, received_date);
+        `);
+        console.log('Tables "grant_drawdowns", "grant_drawdown_lines" and "grant_drawdown_receipts" are present or created.');
+
+        // Donors, gifts and pledges with their installment schedules and
+        // discount amortization
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS donors (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+                donor_type VARCHAR(20) NOT NULL DEFAULT 'Individual'
+                    CHECK (donor_type IN ('Individual', 'Foundation', 'Corporation', 'Government', 'Organization')),
+                name VARCHAR(255) NOT NULL,
+                email VARCHAR(255),
+                phone VARCHAR(50),
+                address_line1 VARCHAR(255),
+                address_line2 VARCHAR(255),
+                city VARCHAR(100),
+                state VARCHAR(100),
+                postal_code VARCHAR(20),
+                country VARCHAR(100),
+                status VARCHAR(20) NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Inactive')),
+                notes TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE TABLE IF NOT EXISTS pledges (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+                donor_id UUID NOT NULL REFERENCES donors(id),
+                pledge_number INTEGER NOT NULL,
+                fund_id UUID NOT NULL REFERENCES funds(id),
+                revenue_account_id UUID NOT NULL REFERENCES accounts(id),
+                receivable_account_id UUID NOT NULL REFERENCES accounts(id),
+                discount_account_id UUID REFERENCES accounts(id),
+                pledge_date DATE NOT NULL,
+                total_amount DECIMAL(19,4) NOT NULL,
+                discount_rate DECIMAL(7,4) NOT NULL DEFAULT 0,
+                discount_amount DECIMAL(19,4) NOT NULL DEFAULT 0,
+                amortized_discount DECIMAL(19,4) NOT NULL DEFAULT 0,
+                status VARCHAR(20) NOT NULL DEFAULT 'Open' CHECK (status IN ('Open', 'Fulfilled')),
+                description TEXT,
+                journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+                created_by VARCHAR(255),
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE (entity_id, pledge_number)
+            );
+
+            CREATE TABLE IF NOT EXISTS pledge_installments (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                pledge_id UUID NOT NULL REFERENCES pledges(id) ON DELETE CASCADE,
+                due_date DATE NOT NULL,
+                amount DECIMAL(19,4) NOT NULL,
+                discounted BOOLEAN NOT NULL DEFAULT FALSE
+            );
+
+            CREATE TABLE IF NOT EXISTS gifts (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+                donor_id UUID NOT NULL REFERENCES donors(id),
+                pledge_id UUID REFERENCES pledges(id),
+                gift_date DATE NOT NULL,
+                amount DECIMAL(19,4) NOT NULL,
+                gift_type VARCHAR(30) NOT NULL DEFAULT 'Check',
+                fund_id UUID NOT NULL REFERENCES funds(id),
+                revenue_account_id UUID REFERENCES accounts(id),
+                deposit_account_id UUID NOT NULL REFERENCES accounts(id),
+                reference VARCHAR(100),
+                description TEXT,
+                journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+                created_by VARCHAR(255),
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE TABLE IF NOT EXISTS pledge_amortizations (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                pledge_id UUID NOT NULL REFERENCES pledges(id) ON DELETE CASCADE,
+                as_of_date DATE NOT NULL,
+                amount DECIMAL(19,4) NOT NULL,
+                journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS idx_donors_entity ON donors(entity_id, name);
+            CREATE INDEX IF NOT EXISTS idx_pledges_donor ON pledges(donor_id, pledge_date);
+            CREATE INDEX IF NOT EXISTS idx_pledge_installments_pledge ON pledge_installments(pledge_id, due_date);
+            CREATE INDEX IF NOT EXISTS idx_gifts_donor ON gifts(donor_id, gift_date);
+            CREATE INDEX IF NOT EXISTS idx_gifts_pledge ON gifts(pledge_id);
+            CREATE INDEX IF NOT EXISTS idx_pledge_amortizations_pledge ON pledge_amortizations(pledge_id, as_of_date);
+        `);
+        console.log('Tables "donors", "pledges", "pledge_installments", "gifts" and "pledge_amortizations" are present or created.');
+
+        // Annual donor contribution statements: quid-pro-quo value on gifts,
+        // the statement template per entity and the statements produced
+        await client.query(`
+            ALTER TABLE gifts ADD COLUMN IF NOT EXISTS goods_services_value DECIMAL(19,4) NOT NULL DEFAULT 0;
+            ALTER TABLE gifts ADD COLUMN IF NOT EXISTS goods_services_description TEXT;
+
+            CREATE TABLE IF NOT EXISTS donor_statement_templates (
+                entity_id UUID PRIMARY KEY REFERENCES entities(id) ON DELETE CASCADE,
+                template TEXT NOT NULL,
+                updated_by VARCHAR(255),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE TABLE IF NOT EXISTS donor_statements (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+                donor_id UUID NOT NULL REFERENCES donors(id) ON DELETE CASCADE,
+                tax_year INTEGER NOT NULL,
+                version INTEGER NOT NULL,
+                gift_count INTEGER NOT NULL,
+                total_amount DECIMAL(19,4) NOT NULL,
+                goods_services_value DECIMAL(19,4) NOT NULL DEFAULT 0,
+                deductible_amount DECIMAL(19,4) NOT NULL,
+                content_hash VARCHAR(64) NOT NULL,
+                html TEXT NOT NULL,
+                generated_by VARCHAR(255),
+                generated_at TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE (entity_id, donor_id, tax_year, version)
+            );
+        `);
+        console.log('Tables "donor_statement_templates" and "donor_statements" are present or created.');
+
+        // Vendor payments and accounts payable: vendors, bank accounts, NACHA
+        // settings, payment batches and items, NACHA files, and vendor bills.
+        // The script is idempotent and shared with manual installs.
+        await client.query(
+            fs.readFileSync(path.join(__dirname, 'database', 'nacha-vendor-payments-schema.sql'), 'utf8')
+        );
+        console.log('Vendor payment and accounts payable tables are present or created.');
+
+        // Bank account numbers are stored encrypted: encrypt any saved in
+        // plain text and re-wrap any under a retired key
+        try {
+            if (isEncryptionConfigured()) {
+                await client.query('BEGIN');
+                const changed = await rotateAccountNumbers(client);
+                await client.query('COMMIT');
+                console.log('Bank account numbers are encrypted under the current key:', changed);
+            } else if (await countPlaintextAccountNumbers(client) > 0) {
+                console.warn('ACCOUNT_ENCRYPTION_KEYS is not set: bank account numbers are stored in plain text');
+            }
+        } catch (err) {
+            await client.query('ROLLBACK');
+            console.error('Error encrypting bank account numbers:', err.message);
+        }
+
     } catch (err) {
         console.error('Error during database initialization:', err);
     } finally {
@@ -128,6 +687,66 @@ pool.query('SELECT NOW()', (err, res) => {
 // ---------------------------------------------------------------------------
 registerInterEntityTransferRoutes(app, pool);
 
+// ---------------------------------------------------------------------------
+// FISCAL YEAR & ACCOUNTING PERIOD ROUTES
+// ---------------------------------------------------------------------------
+registerFiscalYearRoutes(app, pool);
+
+// ---------------------------------------------------------------------------
+// FINANCIAL STATEMENT ROUTES
+// ---------------------------------------------------------------------------
+registerFinancialReportRoutes(app, pool);
+
+// ---------------------------------------------------------------------------
+// FUNCTIONAL EXPENSE CLASSIFICATION ROUTES (programs, allocation rules)
+// ---------------------------------------------------------------------------
+registerFunctionalExpenseRoutes(app, pool);
+
+// ---------------------------------------------------------------------------
+// BUDGET ROUTES
+// ---------------------------------------------------------------------------
+registerBudgetRoutes(app, pool);
+
+// ---------------------------------------------------------------------------
+// DERIVED BALANCE ROUTES (balances, drift check, rebuild)
+// ---------------------------------------------------------------------------
+registerBalanceRoutes(app, pool);
+
+// ---------------------------------------------------------------------------
+// RESTRICTION RELEASE ROUTES (proposals, schedule, restriction register)
+// ---------------------------------------------------------------------------
+registerRestrictionReleaseRoutes(app, pool);
+
+// ---------------------------------------------------------------------------
+// ENDOWMENT ROUTES (register, investment return, spending draws)
+// ---------------------------------------------------------------------------
+registerEndowmentRoutes(app, pool);
+
+// ---------------------------------------------------------------------------
+// GRANT ROUTES (grants, budget lines, deadlines, payment schedule, status)
+// ---------------------------------------------------------------------------
+registerGrantRoutes(app, pool);
+
+// ---------------------------------------------------------------------------
+// DONOR ROUTES (donors, gifts, pledges, pledge discount amortization)
+// ---------------------------------------------------------------------------
+registerDonorRoutes(app, pool);
+
+// ---------------------------------------------------------------------------
+// ACCOUNTS PAYABLE ROUTES (vendor bills, bill payments through payment batches)
+// ---------------------------------------------------------------------------
+registerApRoutes(app, pool);
+
+// ---------------------------------------------------------------------------
+// VENDOR PAYMENT ROUTES (vendors, bank accounts, NACHA settings, batches, files)
+// ---------------------------------------------------------------------------
+registerVendorPaymentRoutes(app, pool);
+
+// ---------------------------------------------------------------------------
+// ACH RETURN ROUTES (returns and notifications of change from the bank)
+// ---------------------------------------------------------------------------
+registerAchReturnRoutes(app, pool);
+
 // Logging middleware
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} [${req.method}] ${req.path}`);
@@ -278,14 +897,17 @@ app.get('/api/accounts', asyncHandler(async (req, res) => {
     `SELECT * FROM accounts ${entityId ? 'WHERE entity_id = $1' : ''} ORDER BY code`,
     entityId ? [entityId] : []
   );
-  res.json(rows);
+  res.json(await withAccountBalances(pool, rows, { entityId }));
 }));
 
 app.post('/api/accounts', asyncHandler(async (req, res) => {
     const { entity_id, code, name, type, status, description } = req.body;
+    const classification = await validateAccountClassification(pool, req.body);
     const { rows } = await pool.query(
-        'INSERT INTO accounts (entity_id, code, name, type, status, description) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-        [entity_id, code, name, type, status, description]
+        `INSERT INTO accounts (entity_id, code, name, type, status, description, functional_class, program_id, allocation_rule_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        [entity_id, code, name, type, status, description,
+         classification.functional_class, classification.program_id, classification.allocation_rule_id]
     );
     res.status(201).json(rows[0]);
 }));
@@ -293,9 +915,17 @@ app.post('/api/accounts', asyncHandler(async (req, res) => {
 app.put('/api/accounts/:id', asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { code, name, type, status, description } = req.body;
+    const { rows: existing } = await pool.query('SELECT entity_id FROM accounts WHERE id = $1', [id]);
+    if (existing.length === 0) {
+        return res.status(404).json({ message: 'Account not found' });
+    }
+    const classification = await validateAccountClassification(pool, { ...req.body, entity_id: existing[0].entity_id });
     const { rows } = await pool.query(
-        'UPDATE accounts SET code = $1, name = $2, type = $3, status = $4, description = $5, updated_at = NOW() WHERE id = $6 RETURNING *',
-        [code, name, type, status, description, id]
+        `UPDATE accounts SET code = $1, name = $2, type = $3, status = $4, description = $5,
+                functional_class = $6, program_id = $7, allocation_rule_id = $8, updated_at = NOW()
+          WHERE id = $9 RETURNING *`,
+        [code, name, type, status, description,
+         classification.functional_class, classification.program_id, classification.allocation_rule_id, id]
     );
     res.json(rows[0]);
 }));
@@ -314,14 +944,20 @@ app.get('/api/funds', asyncHandler(async (req, res) => {
     `SELECT * FROM funds ${entityId ? 'WHERE entity_id = $1' : ''} ORDER BY code`,
     entityId ? [entityId] : []
   );
-  res.json(rows);
+  res.json(await withFundBalances(pool, rows, { entityId }));
 }));
 
 app.post('/api/funds', asyncHandler(async (req, res) => {
     const { entity_id, code, name, type, status, description } = req.body;
+    const restriction = await normalizeFundRestriction(pool, req.body);
     const { rows } = await pool.query(
-        'INSERT INTO funds (entity_id, code, name, type, status, description) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-        [entity_id, code, name, type, status, description]
+        `INSERT INTO funds (entity_id, code, name, type, status, description, restriction_type, release_mode,
+                            release_fund_id, release_account_id, release_start_date, release_end_date, release_frequency)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+        [entity_id, code, name, type, status, description,
+         restriction.restriction_type, restriction.release_mode, restriction.release_fund_id,
+         restriction.release_account_id, restriction.release_start_date, restriction.release_end_date,
+         restriction.release_frequency]
     );
     res.status(201).json(rows[0]);
 }));
@@ -329,9 +965,20 @@ app.post('/api/funds', asyncHandler(async (req, res) => {
 app.put('/api/funds/:id', asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { code, name, type, status, description } = req.body;
+    const { rows: existing } = await pool.query('SELECT entity_id FROM funds WHERE id = $1', [id]);
+    if (existing.length === 0) {
+        return res.status(404).json({ message: 'Fund not found' });
+    }
+    const restriction = await normalizeFundRestriction(pool, { ...req.body, entity_id: existing[0].entity_id });
     const { rows } = await pool.query(
-        'UPDATE funds SET code = $1, name = $2, type = $3, status = $4, description = $5, updated_at = NOW() WHERE id = $6 RETURNING *',
-        [code, name, type, status, description, id]
+        `UPDATE funds SET code = $1, name = $2, type = $3, status = $4, description = $5,
+                restriction_type = $6, release_mode = $7, release_fund_id = $8, release_account_id = $9,
+                release_start_date = $10, release_end_date = $11, release_frequency = $12, updated_at = NOW()
+          WHERE id = $13 RETURNING *`,
+        [code, name, type, status, description,
+         restriction.restriction_type, restriction.release_mode, restriction.release_fund_id,
+         restriction.release_account_id, restriction.release_start_date, restriction.release_end_date,
+         restriction.release_frequency, id]
     );
     res.json(rows[0]);
 }));
@@ -353,36 +1000,140 @@ app.get('/api/journal-entries', asyncHandler(async (req, res) => {
   res.json(rows);
 }));
 
+/**
+ * POST /api/journal-entries
+ * Creates a journal entry header and all of its lines in one transaction.
+ * Body: header fields plus `lines: [{ account_id, fund_id, debit_amount, credit_amount, description }]`.
+ * Rejected unless total debits equal total credits and every account/fund
+ * belongs to the entry's entity. total_debits/total_credits are computed here.
+ * New entries start as Draft or Pending Approval; posting goes through
+ * POST /api/journal-entries/:id/post.
+ */
 app.post('/api/journal-entries', asyncHandler(async (req, res) => {
-    const { entity_id, entry_date, reference_number, description, total_amount, status, created_by, is_inter_entity, target_entity_id } = req.body;
-    const { rows } = await pool.query(
-        'INSERT INTO journal_entries (entity_id, entry_date, reference_number, description, total_amount, status, created_by, is_inter_entity, target_entity_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
-        [entity_id, entry_date, reference_number, description, total_amount, status, created_by, is_inter_entity, target_entity_id]
-    );
-    res.status(201).json(rows[0]);
+    const { lines, ...header } = req.body;
+    assertEditableStatus(header.status);
+    assertUserEntryType(header.entry_type);
+    const entry = await withTransaction(pool, async client => {
+        const user = await getRequestUser(client, req);
+        return saveJournalEntry(client, header, lines, null, { user });
+    });
+    res.status(201).json(entry);
 }));
 
+/**
+ * PUT /api/journal-entries/:id
+ * Replaces a journal entry header and its lines in one transaction.
+ * If `lines` is omitted the stored lines are kept, but they are re-validated.
+ * Only Draft and Pending Approval entries can be changed (409 otherwise).
+ */
 app.put('/api/journal-entries/:id', asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { entry_date, reference_number, description, total_amount, status, is_inter_entity, target_entity_id } = req.body;
-    const { rows } = await pool.query(
-        'UPDATE journal_entries SET entry_date = $1, reference_number = $2, description = $3, total_amount = $4, status = $5, is_inter_entity = $6, target_entity_id = $7, updated_at = NOW() WHERE id = $8 RETURNING *',
-        [entry_date, reference_number, description, total_amount, status, is_inter_entity, target_entity_id, id]
-    );
-    res.json(rows[0]);
+    const { lines, ...header } = req.body;
+    assertEditableStatus(header.status);
+    assertUserEntryType(header.entry_type);
+    const entry = await withTransaction(pool, async client => {
+        const { rows: existing } = await client.query(
+            'SELECT entity_id FROM journal_entries WHERE id = $1 FOR UPDATE',
+            [id]
+        );
+        if (existing.length === 0) {
+            throw createRequestError('Journal entry not found', null, 404);
+        }
+
+        const entryLines = Array.isArray(lines) ? lines : await getJournalEntryLines(client, id);
+
+        return saveJournalEntry(
+            client,
+            { ...header, entity_id: existing[0].entity_id },
+            entryLines,
+            id,
+            { user: await getRequestUser(client, req) }
+        );
+    });
+    res.json(entry);
 }));
 
+/**
+ * DELETE /api/journal-entries/:id
+ * Only Draft entries can be deleted; posted entries must be reversed.
+ */
 app.delete('/api/journal-entries/:id', asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const { rows } = await pool.query('SELECT status FROM journal_entries WHERE id = $1', [id]);
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'Journal entry not found' });
+    }
+    if (rows[0].status !== 'Draft') {
+        return res.status(409).json({
+            error: `${rows[0].status} journal entries cannot be deleted`,
+            message: `${rows[0].status} journal entries cannot be deleted; reverse the entry instead`
+        });
+    }
     await pool.query('DELETE FROM journal_entries WHERE id = $1', [id]);
     res.status(204).send();
 }));
 
+/**
+ * Closing entries are only written by the year-end close
+ * @param {string} [entryType] - Requested entry_type
+ */
+function assertUserEntryType(entryType) {
+    if (entryType && ![ENTRY_TYPE.STANDARD, ENTRY_TYPE.RELEASE].includes(entryType)) {
+        throw createRequestError(`entry_type must be "${ENTRY_TYPE.STANDARD}" or "${ENTRY_TYPE.RELEASE}"`);
+    }
+}
+
+/**
+ * POST /api/journal-entries/:id/submit
+ * Draft -> Pending Approval
+ */
+app.post('/api/journal-entries/:id/submit', asyncHandler(async (req, res) => {
+    const entry = await withTransaction(pool, client => submitJournalEntry(client, req.params.id));
+    res.json(entry);
+}));
+
+/**
+ * POST /api/journal-entries/:id/post
+ * Pending Approval -> Posted. Body: { posted_by }
+ * The entry date must fall in an open period (soft-closed: administrators only).
+ * Expense charged to purpose-restricted funds proposes (or posts) releases
+ * from restriction, returned in `restriction_releases`.
+ */
+app.post('/api/journal-entries/:id/post', asyncHandler(async (req, res) => {
+    const { posted_by } = req.body || {};
+    const user = await getRequestUser(pool, req);
+    const entry = await withTransaction(pool, async client => {
+        const posted = await postJournalEntry(client, req.params.id, user ? user.name : posted_by, user);
+        posted.restriction_releases = await proposePurposeReleases(client, posted, user);
+        posted.grant_warnings = await getEntryGrantWarnings(client, posted);
+        return posted;
+    });
+    res.json(entry);
+}));
+
+/**
+ * POST /api/journal-entries/:id/reverse
+ * Posted -> Reversed. Creates a posted reversing entry dated `reversal_date`.
+ * Body: { reversal_date, description, created_by, reenter, lines, entry_date }
+ * With `reenter: true` a Draft copy (or the supplied corrected `lines`) is
+ * created and linked to the original through reentry_of_id.
+ * Releases from restriction tied to the entry are dismissed or reversed too.
+ */
+app.post('/api/journal-entries/:id/reverse', asyncHandler(async (req, res) => {
+    const user = await getRequestUser(pool, req);
+    const result = await withTransaction(pool, async client => {
+        const reversed = await reverseJournalEntry(client, req.params.id, { ...req.body, user });
+        reversed.restriction_releases = await handleEntryReversal(client, reversed.original, reversed.reversal, user);
+        return reversed;
+    });
+    res.status(201).json(result);
+}));
+
 // Get journal entry lines
 app.get('/api/journal-entries/:id/lines', asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { rows } = await pool.query(
-    `SELECT * FROM journal_entry_lines WHERE journal_entry_id = $1`,
+    `SELECT * FROM journal_entry_lines WHERE journal_entry_id = $1 ORDER BY line_number, created_at`,
     [id]
   );
   res.json(rows);
@@ -394,25 +1145,23 @@ app.get('/api/journal-entries/:id/lines', asyncHandler(async (req, res) => {
 
 /**
  * GET /api/reports/fund-balance/:fundId
- * Returns total debits, credits and net balance for a single fund
+ * Returns posted debits, credits and net assets for a single fund
  */
 app.get('/api/reports/fund-balance/:fundId', asyncHandler(async (req, res) => {
   const { fundId } = req.params;
-  const { rows } = await pool.query(
-    `SELECT
-        f.id                AS fund_id,
-        f.code              AS fund_code,
-        f.name              AS fund_name,
-        COALESCE(SUM(jel.debit_amount),0)  AS total_debits,
-        COALESCE(SUM(jel.credit_amount),0) AS total_credits,
-        COALESCE(SUM(jel.debit_amount - jel.credit_amount),0) AS balance
-     FROM funds f
-     LEFT JOIN journal_entry_lines jel ON jel.fund_id = f.id
-     WHERE f.id = $1
-     GROUP BY f.id, f.code, f.name`,
-    [fundId]
-  );
-  res.json(rows[0] || {});
+  const { rows } = await pool.query('SELECT id, code, name FROM funds WHERE id = $1', [fundId]);
+  if (rows.length === 0) {
+    return res.json({});
+  }
+  const balance = (await getFundBalances(pool, { fundIds: [fundId] })).get(fundId);
+  res.json({
+    fund_id: rows[0].id,
+    fund_code: rows[0].code,
+    fund_name: rows[0].name,
+    total_debits: balance.debit_total,
+    total_credits: balance.credit_total,
+    balance: balance.balance
+  });
 }));
 
 /**
@@ -483,33 +1232,26 @@ app.get('/api/reports/fund-statement/:fundId', asyncHandler(async (req, res) =>
 
 /**
  * GET /api/reports/funds-comparison?fundIds=uuid,uuid
- * Returns balances for multiple funds for side-by-side comparison.
- * If no fundIds are supplied, returns all funds.
+ * Returns posted totals and net assets for multiple funds for side-by-side
+ * comparison. If no fundIds are supplied, returns all funds.
  */
 app.get('/api/reports/funds-comparison', asyncHandler(async (req, res) => {
   const { fundIds } = req.query; // comma-separated list
-  let query = `
-      SELECT
-        f.id,
-        f.code,
-        f.name,
-        COALESCE(SUM(jel.debit_amount),0)  AS total_debits,
-        COALESCE(SUM(jel.credit_amount),0) AS total_credits,
-        COALESCE(SUM(jel.debit_amount - jel.credit_amount),0) AS balance
-      FROM funds f
-      LEFT JOIN journal_entry_lines jel ON jel.fund_id = f.id
-  `;
-  const params = [];
-  if (fundIds) {
-    const ids = fundIds.split(',').map(id => id.trim());
-    query += ` WHERE f.id = ANY($1::uuid[])`;
-    params.push(ids);
-  }
-  // Include all selected columns in GROUP BY to satisfy SQL standards
-  query += ` GROUP BY f.id, f.code, f.name ORDER BY f.code`;
-
-  const { rows } = await pool.query(query, params);
-  res.json(rows);
+  const ids = fundIds ? fundIds.split(',').map(id => id.trim()) : null;
+  const { rows } = await pool.query(
+    `SELECT id, code, name FROM funds ${ids ? 'WHERE id = ANY($1::uuid[])' : ''} ORDER BY code`,
+    ids ? [ids] : []
+  );
+  const balances = await getFundBalances(pool, { fundIds: ids || undefined });
+  res.json(rows.map(fund => {
+    const balance = balances.get(fund.id);
+    return {
+      ...fund,
+      total_debits: balance.debit_total,
+      total_credits: balance.credit_total,
+      balance: balance.balance
+    };
+  }));
 }));
 
 /**
@@ -906,7 +1648,9 @@ const REPORT_BUILDER_FIELD_MAP = {
             code: { sql: 'f.code', type: 'string' },
             name: { sql: 'f.name', type: 'string' },
             type: { sql: 'f.type', type: 'string' },
-            balance: { sql: 'f.balance', type: 'number' },
+            balance: { sql: `(SELECT COALESCE(SUM(lb.debit_total - lb.credit_total), 0)
+                                FROM ledger_balances lb JOIN accounts la ON la.id = lb.account_id
+                               WHERE lb.fund_id = f.id AND la.type IN ('Asset', 'Liability'))`, type: 'number' },
             status: { sql: 'f.status', type: 'string' },
             entity_name: { sql: 'e.name', type: 'string' },
         }
@@ -918,7 +1662,9 @@ const REPORT_BUILDER_FIELD_MAP = {
             code: { sql: 'a.code', type: 'string' },
             name: { sql: 'a.name', type: 'string' },
             type: { sql: 'a.type', type: 'string' },
-            balance: { sql: 'a.balance', type: 'number' },
+            balance: { sql: `(SELECT COALESCE(SUM(lb.debit_total - lb.credit_total), 0)
+                                FROM ledger_balances lb WHERE lb.account_id = a.id)
+                             * CASE WHEN a.type IN ('Liability', 'Equity', 'Net Assets', 'Revenue') THEN -1 ELSE 1 END`, type: 'number' },
             status: { sql: 'a.status', type: 'string' },
             entity_name: { sql: 'e.name', type: 'string' },
         }
@@ -1087,22 +1833,28 @@ app.get('/api/bank-simple', (req, res) => {
 
 /**
  * GET /api/bank-accounts
- * Returns all bank accounts.
+ * Returns all bank accounts, with masked account numbers.
  */
-
-// One-time registration debug
-console.log('[startup] Registering GET /api/bank-accounts route');
 app.get('/api/bank-accounts', asyncHandler(async (_req, res) => {
-  console.log('[/api/bank-accounts] handler invoked');  // runtime debug
   const { rows } = await pool.query(
     'SELECT * FROM bank_accounts ORDER BY bank_name, account_name'
   );
-  res.json(rows);
+  res.json(await withBankAccountBalances(pool, withMaskedAccountNumbers(rows)));
+}));
+
+/**
+ * GET /api/bank-accounts/:id/account-number
+ * Returns the full account number: { id, account_number }. Payment Approver
+ * or Administrator only; every request is recorded in the access log.
+ */
+app.get('/api/bank-accounts/:id/account-number', asyncHandler(async (req, res) => {
+  res.json(await revealAccountNumber(pool, req, ACCESS_RECORD.BANK_ACCOUNT, req.params.id));
 }));
 
 /**
  * POST /api/bank-accounts
- * Creates a new bank account.
+ * Creates a new bank account. Its balance is that of the ledger cash account
+ * in gl_account_id.
  */
 app.post('/api/bank-accounts', asyncHandler(async (req, res) => {
   const {
@@ -1112,34 +1864,35 @@ app.post('/api/bank-accounts', asyncHandler(async (req, res) => {
     routing_number,
     type,
     status,
-    balance,
+    gl_account_id,
     connection_method,
     description
   } = req.body;
 
   const { rows } = await pool.query(
     `INSERT INTO bank_accounts
-     (bank_name, account_name, account_number, routing_number, type, status, balance, connection_method, description)
+     (bank_name, account_name, account_number, routing_number, type, status, gl_account_id, connection_method, description)
      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
      RETURNING *`,
     [
       bank_name,
       account_name,
-      account_number,
+      encryptAccountNumber(account_number),
       routing_number,
       type,
       status,
-      balance ?? 0,
+      gl_account_id || null,
       connection_method,
       description
     ]
   );
-  res.status(201).json(rows[0]);
+  res.status(201).json((await withBankAccountBalances(pool, withMaskedAccountNumbers(rows)))[0]);
 }));
 
 /**
  * PUT /api/bank-accounts/:id
- * Updates an existing bank account.
+ * Updates an existing bank account. An account_number left out or sent
+ * back masked keeps the current number.
  */
 app.put('/api/bank-accounts/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -1150,11 +1903,15 @@ app.put('/api/bank-accounts/:id', asyncHandler(async (req, res) => {
     routing_number,
     type,
     status,
-    balance,
+    gl_account_id,
     connection_method,
     description
   } = req.body;
 
+  const { rows: existing } = await pool.query('SELECT account_number FROM bank_accounts WHERE id = $1', [id]);
+  if (existing.length === 0) {
+    return res.status(404).json({ message: 'Bank account not found' });
+  }
   const { rows } = await pool.query(
     `UPDATE bank_accounts
        SET bank_name=$1,
@@ -1163,7 +1920,7 @@ app.put('/api/bank-accounts/:id', asyncHandler(async (req, res) => {
            routing_number=$4,
            type=$5,
            status=$6,
-           balance=$7,
+           gl_account_id=$7,
            connection_method=$8,
            description=$9,
            updated_at = NOW()
@@ -1172,17 +1929,17 @@ app.put('/api/bank-accounts/:id', asyncHandler(async (req, res) => {
     [
       bank_name,
       account_name,
-      account_number,
+      encryptAccountNumber(resolveSubmittedAccountNumber(account_number, existing[0].account_number)),
       routing_number,
       type,
       status,
-      balance ?? 0,
+      gl_account_id || null,
       connection_method,
       description,
       id
     ]
   );
-  res.json(rows[0]);
+  res.json((await withBankAccountBalances(pool, withMaskedAccountNumbers(rows)))[0]);
 }));
 
 /**
@@ -1195,6 +1952,58 @@ app.delete('/api/bank-accounts/:id', asyncHandler(async (req, res) => {
   res.status(204).send();
 }));
 
+/**
+ * POST /api/bank-accounts/rotate-encryption-key
+ * Re-wraps every stored bank account number under the current
+ * ACCOUNT_ENCRYPTION_KEY_ID and encrypts any still in plain text
+ * (administrators only). Returns the number changed per table.
+ */
+app.post('/api/bank-accounts/rotate-encryption-key', asyncHandler(async (req, res) => {
+  const user = await getRequestUser(pool, req);
+  if (!isAdministrator(user)) {
+    throw createRequestError('Only administrators can rotate the account number encryption key', null, 403);
+  }
+  if (!isEncryptionConfigured()) {
+    throw createRequestError('ACCOUNT_ENCRYPTION_KEYS is not configured', null, 409);
+  }
+  const changed = await withTransaction(pool, client => rotateAccountNumbers(client));
+  res.json({ changed });
+}));
+
+/**
+ * GET /api/account-number-access-log
+ * Query: recordType, recordId, userId, limit (default 200)
+ * Requests to see full bank account numbers, newest first (administrators only).
+ */
+app.get('/api/account-number-access-log', asyncHandler(async (req, res) => {
+  const user = await getRequestUser(pool, req);
+  if (!isAdministrator(user)) {
+    throw createRequestError('Only administrators can view the account number access log', null, 403);
+  }
+  const { recordType, recordId, userId, limit } = req.query;
+  const conditions = [];
+  const params = [];
+  [
+    [recordType, 'record_type ='],
+    [recordId, 'record_id::text ='],
+    [userId, 'user_id::text =']
+  ].forEach(([value, condition]) => {
+    if (value) {
+      params.push(value);
+      conditions.push(`${condition} $${params.length}`);
+    }
+  });
+  params.push(Math.min(parseInt(limit, 10) || 200, 1000));
+  const { rows } = await pool.query(
+    `SELECT * FROM account_number_access_log
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY accessed_at DESC
+      LIMIT $${params.length}`,
+    params
+  );
+  res.json(rows);
+}));
+
 /**
  * POST /api/bank-accounts/sync
  * Placeholder: updates last_sync timestamp for all bank accounts.
@@ -1263,7 +2072,12 @@ app.get('/api/documents', (req, res) => {
 });
 
 // Error handler
+// Errors carrying a 4xx `status` (e.g. journal entry validation failures)
+// are reported to the client as-is; anything else is a 500.
 app.use((err, req, res, next) => {
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({ error: err.message, message: err.message, details: err.details });
+  }
   console.error('Server error:', err.stack);
   res.status(500).json({ error: 'Internal Server Error', message: err.message });
 });
@@ -5,12 +5,37 @@
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
 -- Drop tables in reverse order of dependency if they exist, for a clean slate
+DROP TABLE IF EXISTS donor_statements CASCADE;
+DROP TABLE IF EXISTS donor_statement_templates CASCADE;
+DROP TABLE IF EXISTS pledge_amortizations CASCADE;
+DROP TABLE IF EXISTS gifts CASCADE;
+DROP TABLE IF EXISTS pledge_installments CASCADE;
+DROP TABLE IF EXISTS pledges CASCADE;
+DROP TABLE IF EXISTS donors CASCADE;
+DROP TABLE IF EXISTS grant_drawdown_receipts CASCADE;
+DROP TABLE IF EXISTS grant_drawdown_lines CASCADE;
+DROP TABLE IF EXISTS grant_drawdowns CASCADE;
+DROP TABLE IF EXISTS grant_payments CASCADE;
+DROP TABLE IF EXISTS grant_deadlines CASCADE;
+DROP TABLE IF EXISTS grant_budget_lines CASCADE;
+DROP TABLE IF EXISTS grant_funds CASCADE;
+DROP TABLE IF EXISTS grants CASCADE;
+DROP TABLE IF EXISTS endowment_transactions CASCADE;
+DROP TABLE IF EXISTS endowments CASCADE;
+DROP TABLE IF EXISTS restriction_releases CASCADE;
+DROP TABLE IF EXISTS ledger_balances CASCADE;
 DROP TABLE IF EXISTS journal_entry_lines CASCADE;
 DROP TABLE IF EXISTS custom_report_definitions CASCADE;
-DROP TABLE IF EXISTS budgets CASCADE;
+DROP TABLE IF EXISTS budget_lines CASCADE;
+DROP TABLE IF EXISTS budget_versions CASCADE;
 DROP TABLE IF EXISTS journal_entries CASCADE;
+DROP TABLE IF EXISTS accounting_periods CASCADE;
+DROP TABLE IF EXISTS fiscal_years CASCADE;
 DROP TABLE IF EXISTS funds CASCADE;
 DROP TABLE IF EXISTS accounts CASCADE;
+DROP TABLE IF EXISTS allocation_rule_splits CASCADE;
+DROP TABLE IF EXISTS allocation_rules CASCADE;
+DROP TABLE IF EXISTS programs CASCADE;
 DROP TABLE IF EXISTS entities CASCADE;
 
 --------------------------------------------------------------------------------
@@ -38,6 +63,43 @@ COMMENT ON COLUMN entities.is_consolidated IS 'Indicates if this entity is a con
 COMMENT ON COLUMN entities.fiscal_year_start IS 'The start of the fiscal year for this entity (MM-DD format).';
 COMMENT ON COLUMN entities.base_currency IS 'The primary operational currency for this entity.';
 
+--------------------------------------------------------------------------------
+-- Programs and Allocation Rules
+-- Functional expense classification: named programs (Program services) and
+-- percentage rules that split shared costs across Program, Management &
+-- General and Fundraising.
+--------------------------------------------------------------------------------
+CREATE TABLE programs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    code VARCHAR(50) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    status VARCHAR(20) DEFAULT 'Active',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (entity_id, code)
+);
+
+CREATE TABLE allocation_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    status VARCHAR(20) DEFAULT 'Active',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE allocation_rule_splits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    allocation_rule_id UUID NOT NULL REFERENCES allocation_rules(id) ON DELETE CASCADE,
+    split_number INTEGER NOT NULL,
+    functional_class VARCHAR(50) NOT NULL CHECK (functional_class IN ('Program', 'Management & General', 'Fundraising')),
+    program_id UUID REFERENCES programs(id), -- Required when functional_class is 'Program'
+    percentage DECIMAL(7, 4) NOT NULL -- Splits of a rule add up to 100
+);
+
 --------------------------------------------------------------------------------
 -- Accounts Table (Chart of Accounts)
 -- Stores the chart of accounts for each entity.
@@ -48,9 +110,12 @@ CREATE TABLE accounts (
     code VARCHAR(50) NOT NULL, -- Account number/code
     name VARCHAR(255) NOT NULL,
     type VARCHAR(50) NOT NULL CHECK (type IN ('Asset', 'Liability', 'Equity', 'Net Assets', 'Revenue', 'Expense')),
-    balance DECIMAL(19, 4) DEFAULT 0.00 NOT NULL,
+    balance DECIMAL(19, 4) DEFAULT 0.00 NOT NULL, -- Legacy; not read. Balances are derived from ledger_balances
     status VARCHAR(20) DEFAULT 'Active' CHECK (status IN ('Active', 'Inactive')),
     description TEXT,
+    functional_class VARCHAR(50), -- Default for Expense accounts: 'Program', 'Management & General' or 'Fundraising'
+    program_id UUID REFERENCES programs(id), -- Default program when functional_class is 'Program'
+    allocation_rule_id UUID REFERENCES allocation_rules(id), -- Default split for shared costs (instead of a class)
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     UNIQUE (entity_id, code) -- Account code must be unique within an entity
@@ -70,9 +135,16 @@ CREATE TABLE funds (
     code VARCHAR(50) NOT NULL, -- Fund code
     name VARCHAR(255) NOT NULL,
     type VARCHAR(50) NOT NULL CHECK (type IN ('Unrestricted', 'Temporarily Restricted', 'Permanently Restricted')),
-    balance DECIMAL(19, 4) DEFAULT 0.00 NOT NULL,
+    balance DECIMAL(19, 4) DEFAULT 0.00 NOT NULL, -- Legacy; not read. Balances are derived from ledger_balances
     status VARCHAR(20) DEFAULT 'Active' CHECK (status IN ('Active', 'Inactive')),
     description TEXT,
+    restriction_type VARCHAR(20), -- Temporarily Restricted funds: 'Purpose' or 'Time' release automation
+    release_mode VARCHAR(20), -- Purpose: 'Propose' or 'Automatic'
+    release_fund_id UUID REFERENCES funds(id), -- Unrestricted fund that receives releases
+    release_account_id UUID REFERENCES accounts(id), -- Net Assets account used on release entries
+    release_start_date DATE, -- Time: first installment
+    release_end_date DATE, -- Time: last installment on or before this date
+    release_frequency VARCHAR(20), -- Time: 'Monthly', 'Quarterly' or 'Annually'
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     UNIQUE (entity_id, code) -- Fund code must be unique within an entity
@@ -81,6 +153,48 @@ CREATE TABLE funds (
 COMMENT ON TABLE funds IS 'Stores information about different funds, specific to an entity.';
 COMMENT ON COLUMN funds.type IS 'The restriction type of the fund.';
 
+--------------------------------------------------------------------------------
+-- Fiscal Years and Accounting Periods
+-- One row per entity fiscal year, split into monthly periods that can be
+-- soft closed, closed or locked against posting.
+--------------------------------------------------------------------------------
+CREATE TABLE fiscal_years (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    year_name VARCHAR(50) NOT NULL, -- e.g., 'FY2025' (named after the year it ends in)
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    is_current BOOLEAN DEFAULT FALSE,
+    status VARCHAR(20) DEFAULT 'Open',
+    closing_account_id UUID REFERENCES accounts(id), -- Net-assets account revenue/expense close into
+    close_count INTEGER DEFAULT 0,
+    closed_at TIMESTAMPTZ,
+    closed_by VARCHAR(255),
+    reopened_at TIMESTAMPTZ,
+    reopened_by VARCHAR(255),
+    reopen_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(entity_id, year_name)
+);
+
+CREATE TABLE accounting_periods (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    fiscal_year_id UUID NOT NULL REFERENCES fiscal_years(id) ON DELETE CASCADE,
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    period_number INTEGER NOT NULL,
+    period_name VARCHAR(50) NOT NULL, -- e.g., 'Jul 2024'
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'Open' CHECK (status IN ('Open', 'Soft Closed', 'Closed', 'Locked')),
+    status_changed_by VARCHAR(255),
+    status_changed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(fiscal_year_id, period_number)
+);
+COMMENT ON COLUMN accounting_periods.status IS 'Soft Closed: only administrators may post. Locked: closed permanently.';
+
 --------------------------------------------------------------------------------
 -- Journal Entries Table
 -- Stores header information for journal entries.
@@ -92,11 +206,21 @@ CREATE TABLE journal_entries (
     reference_number VARCHAR(100), -- Should be unique per entity in practice, or globally. Global for simplicity here.
     description TEXT,
     total_amount DECIMAL(19, 4) NOT NULL, -- Sum of debits (or credits) for quick reference
-    status VARCHAR(20) NOT NULL CHECK (status IN ('Draft', 'Posted', 'Void')),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('Draft', 'Pending Approval', 'Posted', 'Reversed', 'Void')),
     created_by VARCHAR(255), -- User ID or name
     is_inter_entity BOOLEAN DEFAULT FALSE,
     target_entity_id UUID REFERENCES entities(id) ON DELETE SET NULL, -- For inter-entity transfers, the other entity involved
     matching_transaction_id UUID, -- To link inter-entity JE pairs (not an FK, just a shared ID)
+    total_debits DECIMAL(19, 4) DEFAULT 0,
+    total_credits DECIMAL(19, 4) DEFAULT 0,
+    fiscal_year_id UUID REFERENCES fiscal_years(id), -- Assigned from entry_date when the entry is saved
+    entry_type VARCHAR(50) DEFAULT 'Standard', -- 'Closing' for year-end closing entries, 'Release' for releases from restriction
+    posted_at TIMESTAMPTZ,
+    posted_by VARCHAR(255),
+    reversal_of_id UUID REFERENCES journal_entries(id), -- Set on a reversing entry: the entry it reverses
+    reversed_by_id UUID REFERENCES journal_entries(id), -- Set on a reversed entry: its reversing entry
+    reversed_at TIMESTAMPTZ,
+    reentry_of_id UUID REFERENCES journal_entries(id), -- Set on a corrected re-entry of a reversed entry
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     UNIQUE(reference_number) -- Making reference_number globally unique for this schema
@@ -121,6 +245,10 @@ CREATE TABLE journal_entry_lines (
     debit_amount DECIMAL(19, 4) DEFAULT 0.00,
     credit_amount DECIMAL(19, 4) DEFAULT 0.00,
     description TEXT,
+    line_number INTEGER, -- Order of the line within its journal entry
+    functional_class VARCHAR(50), -- Overrides the account's functional classification when set
+    program_id UUID REFERENCES programs(id),
+    allocation_rule_id UUID REFERENCES allocation_rules(id),
     created_at TIMESTAMPTZ DEFAULT NOW(),
     CONSTRAINT chk_debit_credit_not_both_zero CHECK (debit_amount <> 0 OR credit_amount <> 0),
     CONSTRAINT chk_debit_or_credit_only CHECK ( (debit_amount > 0 AND credit_amount = 0) OR (credit_amount > 0 AND debit_amount = 0) OR (debit_amount = 0 AND credit_amount = 0) )
@@ -128,24 +256,335 @@ CREATE TABLE journal_entry_lines (
 COMMENT ON TABLE journal_entry_lines IS 'Stores the detailed debit and credit lines for each journal entry.';
 
 --------------------------------------------------------------------------------
--- Budgets Table
--- Stores budget information for accounts/funds for specific periods.
+-- Ledger Balances Table
+-- Posted debit and credit totals per account and fund, maintained by the
+-- ledger_balances_* triggers below. Account, fund and bank account balances
+-- are read from here (see src/js/balance-service.js).
 --------------------------------------------------------------------------------
-CREATE TABLE budgets (
+CREATE TABLE ledger_balances (
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    fund_id UUID REFERENCES funds(id) ON DELETE CASCADE,
+    debit_total DECIMAL(19, 4) NOT NULL DEFAULT 0,
+    credit_total DECIMAL(19, 4) NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE NULLS NOT DISTINCT (account_id, fund_id)
+);
+COMMENT ON TABLE ledger_balances IS 'Posted debit and credit totals per account and fund, kept current by triggers.';
+
+--------------------------------------------------------------------------------
+-- Restriction Releases Table
+-- Releases from donor restriction proposed for expense on purpose-restricted
+-- funds or scheduled for time-restricted funds, and the Release entries that
+-- posted them.
+--------------------------------------------------------------------------------
+CREATE TABLE restriction_releases (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
-    fiscal_year INTEGER NOT NULL, -- e.g., 2024
-    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
-    fund_id UUID REFERENCES funds(id) ON DELETE CASCADE, -- Optional, for fund-specific budgeting
-    period INTEGER NOT NULL, -- e.g., 1 for January, 2 for February, or 1-4 for quarters
-    period_type VARCHAR(20) DEFAULT 'Month' CHECK (period_type IN ('Month', 'Quarter', 'Year')),
-    budgeted_amount DECIMAL(19, 4) NOT NULL,
+    fund_id UUID NOT NULL REFERENCES funds(id) ON DELETE CASCADE,
+    release_type VARCHAR(20) NOT NULL CHECK (release_type IN ('Purpose', 'Time')),
+    source_journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL, -- Expense entry behind a purpose release
+    journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL, -- The posted Release entry
+    amount DECIMAL(19, 4) NOT NULL,
+    release_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'Proposed' CHECK (status IN ('Proposed', 'Posted', 'Dismissed', 'Reversed')),
+    notes TEXT,
+    created_by VARCHAR(255),
+    posted_by VARCHAR(255),
+    posted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+--------------------------------------------------------------------------------
+-- Endowments and Endowment Transactions
+-- An endowment pairs a Permanently Restricted fund (historical gift value)
+-- with a Temporarily Restricted fund (accumulated appreciation) and carries
+-- the spending policy. Transactions record the investment returns allocated
+-- and spending draws posted (see src/js/endowment-service.js).
+--------------------------------------------------------------------------------
+CREATE TABLE endowments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    fund_id UUID NOT NULL UNIQUE REFERENCES funds(id) ON DELETE CASCADE, -- Permanently Restricted corpus fund
+    appreciation_fund_id UUID NOT NULL REFERENCES funds(id), -- Temporarily Restricted
+    spending_fund_id UUID NOT NULL REFERENCES funds(id), -- Receives the spending draws
+    investment_account_id UUID NOT NULL REFERENCES accounts(id),
+    cash_account_id UUID NOT NULL REFERENCES accounts(id),
+    return_account_id UUID NOT NULL REFERENCES accounts(id),
+    release_account_id UUID NOT NULL REFERENCES accounts(id),
+    pool_units DECIMAL(19, 6) NOT NULL DEFAULT 0, -- Units held in the investment pool
+    spending_rate DECIMAL(7, 4) NOT NULL DEFAULT 4, -- Percent of the trailing average value
+    averaging_quarters INTEGER NOT NULL DEFAULT 12 CHECK (averaging_quarters > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Inactive')),
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE endowment_transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    endowment_id UUID NOT NULL REFERENCES endowments(id) ON DELETE CASCADE,
+    transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('Return', 'Draw')),
+    transaction_date DATE NOT NULL,
+    period_start DATE,
+    period_end DATE NOT NULL, -- Return period end, or the as-of date of a draw
+    method VARCHAR(20), -- Return allocation method
+    basis DECIMAL(19, 4), -- Units or average balance of a return; average value of a draw
+    rate DECIMAL(7, 4), -- Spending rate of a draw
+    amount DECIMAL(19, 4) NOT NULL,
+    journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+--------------------------------------------------------------------------------
+-- Grants
+-- Grants awarded to an entity with their linked funds (spending is the
+-- expense posted to those funds), budget by account, reporting deadlines and
+-- payment schedule (see src/js/grant-service.js). Cost-reimbursable grants
+-- are billed through drawdowns of their unbilled expense plus indirect costs
+-- (see src/js/grant-drawdown-service.js).
+--------------------------------------------------------------------------------
+CREATE TABLE grants (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    grantor_name VARCHAR(255) NOT NULL,
+    grant_number VARCHAR(100),
+    name VARCHAR(255) NOT NULL,
+    award_amount DECIMAL(19, 4) NOT NULL DEFAULT 0,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Closed')),
+    is_reimbursable BOOLEAN NOT NULL DEFAULT FALSE,
+    indirect_cost_rate DECIMAL(7, 4) NOT NULL DEFAULT 0,
+    receivable_account_id UUID REFERENCES accounts(id),
+    revenue_account_id UUID REFERENCES accounts(id),
+    cash_account_id UUID REFERENCES accounts(id),
     notes TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
-    UNIQUE (entity_id, fiscal_year, account_id, fund_id, period, period_type)
+    CHECK (start_date <= end_date)
+);
+
+CREATE TABLE grant_funds (
+    grant_id UUID NOT NULL REFERENCES grants(id) ON DELETE CASCADE,
+    fund_id UUID NOT NULL UNIQUE REFERENCES funds(id) ON DELETE CASCADE,
+    PRIMARY KEY (grant_id, fund_id)
 );
-COMMENT ON TABLE budgets IS 'Stores budget allocations for accounts and funds over fiscal periods.';
+
+CREATE TABLE grant_budget_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    grant_id UUID NOT NULL REFERENCES grants(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    amount DECIMAL(19, 4) NOT NULL DEFAULT 0,
+    indirect_eligible BOOLEAN NOT NULL DEFAULT TRUE,
+    notes TEXT,
+    UNIQUE (grant_id, account_id)
+);
+
+CREATE TABLE grant_deadlines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    grant_id UUID NOT NULL REFERENCES grants(id) ON DELETE CASCADE,
+    description VARCHAR(255) NOT NULL,
+    due_date DATE NOT NULL,
+    submitted_date DATE,
+    notes TEXT
+);
+
+CREATE TABLE grant_payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    grant_id UUID NOT NULL REFERENCES grants(id) ON DELETE CASCADE,
+    due_date DATE NOT NULL,
+    amount DECIMAL(19, 4) NOT NULL,
+    billed_date DATE,
+    received_date DATE,
+    received_amount DECIMAL(19, 4),
+    notes TEXT
+);
+
+CREATE TABLE grant_drawdowns (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    grant_id UUID NOT NULL REFERENCES grants(id) ON DELETE CASCADE,
+    drawdown_number INTEGER NOT NULL,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    request_date DATE NOT NULL,
+    direct_amount DECIMAL(19, 4) NOT NULL DEFAULT 0,
+    indirect_base DECIMAL(19, 4) NOT NULL DEFAULT 0,
+    indirect_rate DECIMAL(7, 4) NOT NULL DEFAULT 0,
+    indirect_amount DECIMAL(19, 4) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(19, 4) NOT NULL DEFAULT 0,
+    received_amount DECIMAL(19, 4) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'Billed'
+        CHECK (status IN ('Billed', 'Partially Received', 'Received', 'Void')),
+    journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (grant_id, drawdown_number)
+);
+
+CREATE TABLE grant_drawdown_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    drawdown_id UUID NOT NULL REFERENCES grant_drawdowns(id) ON DELETE CASCADE,
+    journal_entry_line_id UUID NOT NULL UNIQUE REFERENCES journal_entry_lines(id) ON DELETE CASCADE,
+    fund_id UUID NOT NULL REFERENCES funds(id),
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    amount DECIMAL(19, 4) NOT NULL,
+    indirect_eligible BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+CREATE TABLE grant_drawdown_receipts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    drawdown_id UUID NOT NULL REFERENCES grant_drawdowns(id) ON DELETE CASCADE,
+    received_date DATE NOT NULL,
+    amount DECIMAL(19, 4) NOT NULL,
+    journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+--------------------------------------------------------------------------------
+-- Donors, Gifts and Pledges
+-- Donors of an entity with their gifts (posted to a fund and revenue account)
+-- and pledges with installment schedules. Pledge receivables due more than a
+-- year out are discounted to present value and the discount is amortized
+-- into revenue (see src/js/donor-service.js). Annual contribution statements
+-- are rendered from an editable template per entity; each one produced is
+-- kept with a fingerprint of its content (see src/js/donor-statement-service.js).
+--------------------------------------------------------------------------------
+CREATE TABLE donors (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    donor_type VARCHAR(20) NOT NULL DEFAULT 'Individual'
+        CHECK (donor_type IN ('Individual', 'Foundation', 'Corporation', 'Government', 'Organization')),
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    phone VARCHAR(50),
+    address_line1 VARCHAR(255),
+    address_line2 VARCHAR(255),
+    city VARCHAR(100),
+    state VARCHAR(100),
+    postal_code VARCHAR(20),
+    country VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Inactive')),
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE pledges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    donor_id UUID NOT NULL REFERENCES donors(id),
+    pledge_number INTEGER NOT NULL,
+    fund_id UUID NOT NULL REFERENCES funds(id),
+    revenue_account_id UUID NOT NULL REFERENCES accounts(id),
+    receivable_account_id UUID NOT NULL REFERENCES accounts(id),
+    discount_account_id UUID REFERENCES accounts(id), -- Contra-asset holding the discount to present value
+    pledge_date DATE NOT NULL,
+    total_amount DECIMAL(19, 4) NOT NULL,
+    discount_rate DECIMAL(7, 4) NOT NULL DEFAULT 0, -- Annual percentage
+    discount_amount DECIMAL(19, 4) NOT NULL DEFAULT 0,
+    amortized_discount DECIMAL(19, 4) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'Open' CHECK (status IN ('Open', 'Fulfilled')),
+    description TEXT,
+    journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (entity_id, pledge_number)
+);
+
+CREATE TABLE pledge_installments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    pledge_id UUID NOT NULL REFERENCES pledges(id) ON DELETE CASCADE,
+    due_date DATE NOT NULL,
+    amount DECIMAL(19, 4) NOT NULL,
+    discounted BOOLEAN NOT NULL DEFAULT FALSE -- Due more than a year after the pledge date
+);
+
+CREATE TABLE gifts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    donor_id UUID NOT NULL REFERENCES donors(id),
+    pledge_id UUID REFERENCES pledges(id), -- Set on pledge payments
+    gift_date DATE NOT NULL,
+    amount DECIMAL(19, 4) NOT NULL,
+    gift_type VARCHAR(30) NOT NULL DEFAULT 'Check',
+    fund_id UUID NOT NULL REFERENCES funds(id),
+    revenue_account_id UUID REFERENCES accounts(id), -- NULL on pledge payments
+    deposit_account_id UUID NOT NULL REFERENCES accounts(id),
+    reference VARCHAR(100),
+    description TEXT,
+    goods_services_value DECIMAL(19, 4) NOT NULL DEFAULT 0, -- Quid-pro-quo value received by the donor
+    goods_services_description TEXT,
+    journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE pledge_amortizations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    pledge_id UUID NOT NULL REFERENCES pledges(id) ON DELETE CASCADE,
+    as_of_date DATE NOT NULL,
+    amount DECIMAL(19, 4) NOT NULL,
+    journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE donor_statement_templates (
+    entity_id UUID PRIMARY KEY REFERENCES entities(id) ON DELETE CASCADE,
+    template TEXT NOT NULL, -- HTML with {{placeholders}}
+    updated_by VARCHAR(255),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE donor_statements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    donor_id UUID NOT NULL REFERENCES donors(id) ON DELETE CASCADE,
+    tax_year INTEGER NOT NULL,
+    version INTEGER NOT NULL, -- 1 for the first statement of the year, then one per change
+    gift_count INTEGER NOT NULL,
+    total_amount DECIMAL(19, 4) NOT NULL,
+    goods_services_value DECIMAL(19, 4) NOT NULL DEFAULT 0,
+    deductible_amount DECIMAL(19, 4) NOT NULL,
+    content_hash VARCHAR(64) NOT NULL,
+    html TEXT NOT NULL,
+    generated_by VARCHAR(255),
+    generated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (entity_id, donor_id, tax_year, version)
+);
+
+--------------------------------------------------------------------------------
+-- Budget Versions and Budget Lines
+-- Original and revised budgets for an entity's fiscal year, with monthly
+-- amounts per account and fund keyed by accounting period number.
+--------------------------------------------------------------------------------
+CREATE TABLE budget_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    fiscal_year_id UUID NOT NULL REFERENCES fiscal_years(id) ON DELETE CASCADE,
+    version_type VARCHAR(20) NOT NULL DEFAULT 'Original' CHECK (version_type IN ('Original', 'Revised')),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (fiscal_year_id, name)
+);
+
+CREATE TABLE budget_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    budget_version_id UUID NOT NULL REFERENCES budget_versions(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    fund_id UUID REFERENCES funds(id) ON DELETE CASCADE, -- Optional, for fund-specific budgeting
+    period_number INTEGER NOT NULL, -- accounting_periods.period_number within the fiscal year
+    amount DECIMAL(19, 4) NOT NULL DEFAULT 0, -- In the account's natural direction (revenue and expense positive)
+    notes TEXT
+);
+COMMENT ON TABLE budget_lines IS 'Monthly budget amounts for accounts and funds.';
 
 --------------------------------------------------------------------------------
 -- Custom Report Definitions Table
@@ -188,6 +627,11 @@ CREATE INDEX idx_journal_entries_entity_id ON journal_entries(entity_id);
 CREATE INDEX idx_journal_entries_entry_date ON journal_entries(entry_date);
 CREATE INDEX idx_journal_entries_status ON journal_entries(status);
 CREATE INDEX idx_journal_entries_matching_transaction_id ON journal_entries(matching_transaction_id);
+CREATE INDEX idx_journal_entries_fiscal_year_id ON journal_entries(fiscal_year_id);
+
+-- Fiscal Years / Accounting Periods
+CREATE INDEX idx_fiscal_years_entity_id ON fiscal_years(entity_id);
+CREATE INDEX idx_accounting_periods_entity_dates ON accounting_periods(entity_id, start_date, end_date);
 
 
 -- Journal Entry Lines
@@ -195,10 +639,34 @@ CREATE INDEX idx_journal_entry_lines_journal_entry_id ON journal_entry_lines(jou
 CREATE INDEX idx_journal_entry_lines_account_id ON journal_entry_lines(account_id);
 CREATE INDEX idx_journal_entry_lines_fund_id ON journal_entry_lines(fund_id);
 
+-- Ledger Balances
+CREATE INDEX idx_ledger_balances_fund_id ON ledger_balances(fund_id);
+
+-- Restriction Releases
+CREATE INDEX idx_restriction_releases_fund ON restriction_releases(fund_id, status);
+
+-- Endowments
+CREATE INDEX idx_endowment_transactions_endowment ON endowment_transactions(endowment_id, transaction_type, period_end);
+
+-- Grants
+CREATE INDEX idx_grants_entity ON grants(entity_id, status);
+CREATE INDEX idx_grant_deadlines_grant ON grant_deadlines(grant_id, due_date);
+CREATE INDEX idx_grant_payments_grant ON grant_payments(grant_id, due_date);
+CREATE INDEX idx_grant_drawdowns_grant ON grant_drawdowns(grant_id, status);
+CREATE INDEX idx_grant_drawdown_lines_drawdown ON grant_drawdown_lines(drawdown_id);
+CREATE INDEX idx_grant_drawdown_receipts_drawdown ON grant_drawdown_receipts(drawdown_id, received_date);
+
+-- Donors, gifts and pledges
+CREATE INDEX idx_donors_entity ON donors(entity_id, name);
+CREATE INDEX idx_pledges_donor ON pledges(donor_id, pledge_date);
+CREATE INDEX idx_pledge_installments_pledge ON pledge_installments(pledge_id, due_date);
+CREATE INDEX idx_gifts_donor ON gifts(donor_id, gift_date);
+CREATE INDEX idx_gifts_pledge ON gifts(pledge_id);
+CREATE INDEX idx_pledge_amortizations_pledge ON pledge_amortizations(pledge_id, as_of_date);
+
 -- Budgets
-CREATE INDEX idx_budgets_entity_fiscal_year ON budgets(entity_id, fiscal_year);
-CREATE INDEX idx_budgets_account_id ON budgets(account_id);
-CREATE INDEX idx_budgets_fund_id ON budgets(fund_id);
+CREATE INDEX idx_budget_versions_entity_fiscal_year ON budget_versions(entity_id, fiscal_year_id);
+CREATE INDEX idx_budget_lines_version ON budget_lines(budget_version_id, account_id);
 
 -- Custom Report Definitions
 CREATE INDEX idx_custom_report_definitions_entity_id ON custom_report_definitions(entity_id);
@@ -274,11 +742,6 @@ INSERT INTO journal_entry_lines (journal_entry_id, account_id, fund_id, debit_am
 ('g71g6i1g-1i1i-425i-9316-874g6g6g2538', (SELECT id from accounts WHERE entity_id = 'b26b1d6b-6d6b-470d-8861-329b1b1b7083' AND code = '2900'), (SELECT id from funds WHERE entity_id = 'b26b1d6b-6d6b-470d-8861-329b1b1b7083' AND code = 'OUTRCH'), 0.00, 1000.00, 'Due to HQ for program support');
 
 
--- Sample Budgets
-INSERT INTO budgets (entity_id, fiscal_year, account_id, fund_id, period, period_type, budgeted_amount, notes) VALUES
-((SELECT id from entities WHERE code = 'MAINHQ'), 2024, (SELECT id from accounts WHERE entity_id = (SELECT id from entities WHERE code = 'MAINHQ') AND code = '5010'), (SELECT id from funds WHERE entity_id = (SELECT id from entities WHERE code = 'MAINHQ') AND code = 'GEN'), 7, 'Month', 5000.00, 'July budget for HQ Salaries'),
-((SELECT id from entities WHERE code = 'COP'), 2024, (SELECT id from accounts WHERE entity_id = (SELECT id from entities WHERE code = 'COP') AND code = '5100'), (SELECT id from funds WHERE entity_id = (SELECT id from entities WHERE code = 'COP') AND code = 'OUTRCH'), 3, 'Quarter', 2500.00, 'Q3 Budget for COP Event Expenses');
-
 -- Sample Custom Report Definition
 INSERT INTO custom_report_definitions (name, description, type, entity_id, definition_json, created_by) VALUES
 ('HQ Expense Report by Fund', 'Monthly expenses for Main Organization HQ, grouped by fund.', 'summary_report', 'a15a0c5a-5c5a-469c-8750-218a0a0a6972', 
@@ -327,8 +790,8 @@ BEFORE UPDATE ON journal_entries
 FOR EACH ROW
 EXECUTE FUNCTION trigger_set_timestamp();
 
-CREATE TRIGGER set_timestamp_budgets
-BEFORE UPDATE ON budgets
+CREATE TRIGGER set_timestamp_budget_versions
+BEFORE UPDATE ON budget_versions
 FOR EACH ROW
 EXECUTE FUNCTION trigger_set_timestamp();
 
@@ -337,5 +800,87 @@ BEFORE UPDATE ON custom_report_definitions
 FOR EACH ROW
 EXECUTE FUNCTION trigger_set_timestamp();
 
+-- Derived balances: lines count while their entry is Posted or Reversed
+CREATE OR REPLACE FUNCTION ledger_balances_apply(p_account_id UUID, p_fund_id UUID, p_debit NUMERIC, p_credit NUMERIC)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO ledger_balances (account_id, fund_id, debit_total, credit_total)
+  VALUES (p_account_id, p_fund_id, COALESCE(p_debit, 0), COALESCE(p_credit, 0))
+  ON CONFLICT (account_id, fund_id) DO UPDATE
+     SET debit_total = ledger_balances.debit_total + EXCLUDED.debit_total,
+         credit_total = ledger_balances.credit_total + EXCLUDED.credit_total,
+         updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION ledger_balances_line_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') AND EXISTS (
+      SELECT 1 FROM journal_entries
+       WHERE id = OLD.journal_entry_id AND status IN ('Posted', 'Reversed')
+  ) THEN
+    PERFORM ledger_balances_apply(OLD.account_id, OLD.fund_id, -OLD.debit_amount, -OLD.credit_amount);
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') AND EXISTS (
+      SELECT 1 FROM journal_entries
+       WHERE id = NEW.journal_entry_id AND status IN ('Posted', 'Reversed')
+  ) THEN
+    PERFORM ledger_balances_apply(NEW.account_id, NEW.fund_id, NEW.debit_amount, NEW.credit_amount);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Entry status changes move all of its lines in or out; deleting a posted
+-- entry takes its lines out before they cascade away
+CREATE OR REPLACE FUNCTION ledger_balances_entry_change()
+RETURNS TRIGGER AS $$
+DECLARE
+  was_posted BOOLEAN := COALESCE(OLD.status IN ('Posted', 'Reversed'), FALSE);
+  is_posted BOOLEAN := FALSE;
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    is_posted := COALESCE(NEW.status IN ('Posted', 'Reversed'), FALSE);
+  END IF;
+  IF was_posted <> is_posted THEN
+    PERFORM ledger_balances_apply(
+        l.account_id, l.fund_id,
+        CASE WHEN is_posted THEN l.debit_amount ELSE -l.debit_amount END,
+        CASE WHEN is_posted THEN l.credit_amount ELSE -l.credit_amount END
+    )
+      FROM journal_entry_lines l
+     WHERE l.journal_entry_id = OLD.id;
+  END IF;
+  IF TG_OP = 'DELETE' THEN
+    RETURN OLD;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER ledger_balances_lines
+AFTER INSERT OR UPDATE OR DELETE ON journal_entry_lines
+FOR EACH ROW
+EXECUTE FUNCTION ledger_balances_line_change();
+
+CREATE TRIGGER ledger_balances_entry_status
+AFTER UPDATE OF status ON journal_entries
+FOR EACH ROW
+EXECUTE FUNCTION ledger_balances_entry_change();
+
+CREATE TRIGGER ledger_balances_entry_delete
+BEFORE DELETE ON journal_entries
+FOR EACH ROW
+EXECUTE FUNCTION ledger_balances_entry_change();
+
+-- The sample entries above were inserted before the triggers existed
+INSERT INTO ledger_balances (account_id, fund_id, debit_total, credit_total)
+SELECT jel.account_id, jel.fund_id, SUM(jel.debit_amount), SUM(jel.credit_amount)
+  FROM journal_entry_lines jel
+  JOIN journal_entries je ON je.id = jel.journal_entry_id
+ WHERE je.status IN ('Posted', 'Reversed')
+ GROUP BY jel.account_id, jel.fund_id;
+
 
 SELECT 'Database initialization script completed.' AS status;
@@ -0,0 +1,400 @@
+/**
+ * account-encryption-service.js
+ *
+ * Encryption at rest of bank account numbers: vendor_bank_accounts,
+ * bank_accounts, the copies on submitted payments
+ * (payment_items.bank_account_number), the corrected account numbers
+ * proposed by NOCs (ach_returns.proposed_account_number) and generated
+ * NACHA files, whose entries carry full account numbers
+ * (nacha_files.file_content). Each value is encrypted with its
+ * own AES-256-GCM data key, and the data key is wrapped by a master key
+ * from the environment:
+ *
+ *   ACCOUNT_ENCRYPTION_KEYS    keyId:base64 pairs of 32-byte master keys,
+ *                              comma separated
+ *   ACCOUNT_ENCRYPTION_KEY_ID  the key that wraps new values (default: the
+ *                              first key listed)
+ *
+ * To rotate, add the new key, make it current and run
+ * rotateAccountNumbers(), which re-wraps the data keys of values under any
+ * other key (and encrypts plain-text values saved before encryption); the
+ * old key can then be removed. API responses carry masked account numbers;
+ * revealing one, or downloading a NACHA file, takes the Administrator or
+ * Payment Approver role and is recorded in account_number_access_log.
+ */
+
+const crypto = require('crypto');
+const { createRequestError } = require('./request-error');
+const { getRequestUser, canViewAccountNumbers } = require('./request-user');
+
+const PREFIX = 'enc:v1:';
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+/** Tables and columns holding encrypted account numbers */
+const ENCRYPTED_COLUMNS = [
+    { table: 'vendor_bank_accounts', column: 'account_number' },
+    { table: 'bank_accounts', column: 'account_number' },
+    { table: 'payment_items', column: 'bank_account_number' },
+    { table: 'ach_returns', column: 'proposed_account_number' },
+    { table: 'nacha_files', column: 'file_content' }
+];
+
+/** record_type values of account_number_access_log */
+const ACCESS_RECORD = {
+    VENDOR_BANK_ACCOUNT: 'vendor_bank_account',
+    BANK_ACCOUNT: 'bank_account',
+    NACHA_FILE: 'nacha_file'
+};
+
+const ACCESS_RECORD_TABLES = {
+    [ACCESS_RECORD.VENDOR_BANK_ACCOUNT]: 'vendor_bank_accounts',
+    [ACCESS_RECORD.BANK_ACCOUNT]: 'bank_accounts',
+    [ACCESS_RECORD.NACHA_FILE]: 'nacha_files'
+};
+
+/**
+ * Master keys from the environment
+ * @returns {{ keys: Map<string, Buffer>, currentKeyId: string|null }}
+ */
+function loadKeys() {
+    const keys = new Map();
+    (process.env.ACCOUNT_ENCRYPTION_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .forEach(entry => {
+            const separator = entry.indexOf(':');
+            const keyId = separator > 0 ? entry.slice(0, separator) : '';
+            const key = Buffer.from(entry.slice(separator + 1), 'base64');
+            if (!keyId || key.length !== 32) {
+                throw new Error('ACCOUNT_ENCRYPTION_KEYS entries must be keyId:base64 of a 32-byte key');
+            }
+            keys.set(keyId, key);
+        });
+    const currentKeyId = process.env.ACCOUNT_ENCRYPTION_KEY_ID || keys.keys().next().value || null;
+    if (currentKeyId && !keys.has(currentKeyId)) {
+        throw new Error(`ACCOUNT_ENCRYPTION_KEY_ID ${currentKeyId} is not in ACCOUNT_ENCRYPTION_KEYS`);
+    }
+    return { keys, currentKeyId };
+}
+
+/**
+ * @returns {boolean} True when a master key is configured
+ */
+function isEncryptionConfigured() {
+    return loadKeys().currentKeyId !== null;
+}
+
+/**
+ * @param {string|null} value - Stored value
+ * @returns {boolean} True when the value is encrypted
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * AES-256-GCM encrypt
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext
+ * @returns {{ iv: Buffer, tag: Buffer, ciphertext: Buffer }}
+ */
+function seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+/**
+ * AES-256-GCM decrypt
+ * @param {Buffer} key - 32-byte key
+ * @param {{ iv: Buffer, tag: Buffer, ciphertext: Buffer }} sealed
+ * @returns {Buffer}
+ */
+function open(key, { iv, tag, ciphertext }) {
+    const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Wrap a data key with a master key
+ * @param {Buffer} masterKey
+ * @param {Buffer} dataKey
+ * @returns {string} base64 of iv, tag and wrapped key
+ */
+function wrapDataKey(masterKey, dataKey) {
+    const { iv, tag, ciphertext } = seal(masterKey, dataKey);
+    return Buffer.concat([iv, tag, ciphertext]).toString('base64');
+}
+
+/**
+ * Unwrap a data key
+ * @param {Buffer} masterKey
+ * @param {string} wrapped - Result of wrapDataKey()
+ * @returns {Buffer}
+ */
+function unwrapDataKey(masterKey, wrapped) {
+    const raw = Buffer.from(wrapped, 'base64');
+    return open(masterKey, {
+        iv: raw.subarray(0, IV_LENGTH),
+        tag: raw.subarray(IV_LENGTH, IV_LENGTH + 16),
+        ciphertext: raw.subarray(IV_LENGTH + 16)
+    });
+}
+
+/**
+ * Split a stored value into its parts
+ * @param {string} value - enc:v1:keyId:wrappedKey:iv:tag:ciphertext
+ * @returns {Object} { keyId, wrappedKey, iv, tag, ciphertext }
+ */
+function parseEncrypted(value) {
+    const parts = value.slice(PREFIX.length).split(':');
+    if (parts.length !== 5) {
+        throw new Error('Malformed encrypted account number');
+    }
+    const [keyId, wrappedKey, iv, tag, ciphertext] = parts;
+    return {
+        keyId,
+        wrappedKey,
+        iv: Buffer.from(iv, 'base64'),
+        tag: Buffer.from(tag, 'base64'),
+        ciphertext: Buffer.from(ciphertext, 'base64')
+    };
+}
+
+/**
+ * Master key a value was wrapped with
+ * @param {Map<string, Buffer>} keys - From loadKeys()
+ * @param {string} keyId
+ * @returns {Buffer}
+ */
+function masterKeyFor(keys, keyId) {
+    if (!keys.has(keyId)) {
+        throw new Error(`Account number encryption key ${keyId} is not configured (ACCOUNT_ENCRYPTION_KEYS)`);
+    }
+    return keys.get(keyId);
+}
+
+/**
+ * Encrypt an account number under the current master key
+ * @param {string|null} accountNumber - Plain account number
+ * @returns {string|null} Encrypted value; null for an empty number
+ */
+function encryptAccountNumber(accountNumber) {
+    if (accountNumber === null || accountNumber === undefined || accountNumber === '') {
+        return null;
+    }
+    const { keys, currentKeyId } = loadKeys();
+    if (!currentKeyId) {
+        throw createRequestError('Account numbers cannot be saved: ACCOUNT_ENCRYPTION_KEYS is not configured', null, 409);
+    }
+    const dataKey = crypto.randomBytes(32);
+    const { iv, tag, ciphertext } = seal(dataKey, Buffer.from(String(accountNumber), 'utf8'));
+    return PREFIX + [
+        currentKeyId,
+        wrapDataKey(keys.get(currentKeyId), dataKey),
+        iv.toString('base64'),
+        tag.toString('base64'),
+        ciphertext.toString('base64')
+    ].join(':');
+}
+
+/**
+ * Decrypt a stored account number; plain-text values saved before
+ * encryption are returned as they are
+ * @param {string|null} value - Stored value
+ * @returns {string|null} Plain account number
+ */
+function decryptAccountNumber(value) {
+    if (!isEncrypted(value)) {
+        return value === undefined ? null : value;
+    }
+    const { keys } = loadKeys();
+    const parts = parseEncrypted(value);
+    const dataKey = unwrapDataKey(masterKeyFor(keys, parts.keyId), parts.wrappedKey);
+    return open(dataKey, parts).toString('utf8');
+}
+
+/**
+ * Mask all but the last four characters, as the Vendor Payments page does
+ * @param {string|null} accountNumber - Plain account number
+ * @returns {string}
+ */
+function maskAccountNumber(accountNumber) {
+    if (!accountNumber) {
+        return '';
+    }
+    const visible = accountNumber.slice(-4);
+    return 'X'.repeat(Math.max(accountNumber.length - 4, 0)) + visible;
+}
+
+/**
+ * Replace the stored account number of rows with its masked value
+ * @param {Array<Object>} rows - Rows with an account_number column
+ * @returns {Array<Object>}
+ */
+function withMaskedAccountNumbers(rows) {
+    return rows.map(row => ({
+        ...row,
+        account_number: row.account_number ? maskAccountNumber(decryptAccountNumber(row.account_number)) : row.account_number
+    }));
+}
+
+/**
+ * Account number for saving a changed row: clients echo the masked value
+ * (or leave it out) when the number is not being changed, in which case
+ * the current number stands
+ * @param {string|undefined} submitted - Account number from the request
+ * @param {string|null} stored - Current stored value
+ * @returns {string|null} Plain account number
+ */
+function resolveSubmittedAccountNumber(submitted, stored) {
+    const current = decryptAccountNumber(stored);
+    if (submitted === undefined || submitted === null || submitted === '') {
+        return current;
+    }
+    return current && String(submitted) === maskAccountNumber(current) ? current : submitted;
+}
+
+/**
+ * Bring a stored value under the current master key: plain text is
+ * encrypted, and a data key wrapped by another key is re-wrapped (the
+ * ciphertext itself is unchanged)
+ * @param {string} value - Stored value
+ * @returns {string|null} The new stored value, or null when it is current
+ */
+function rewrapAccountNumber(value) {
+    if (!isEncrypted(value)) {
+        return encryptAccountNumber(value);
+    }
+    const { keys, currentKeyId } = loadKeys();
+    const parts = parseEncrypted(value);
+    if (parts.keyId === currentKeyId) {
+        return null;
+    }
+    const dataKey = unwrapDataKey(masterKeyFor(keys, parts.keyId), parts.wrappedKey);
+    return PREFIX + [
+        currentKeyId,
+        wrapDataKey(keys.get(currentKeyId), dataKey),
+        parts.iv.toString('base64'),
+        parts.tag.toString('base64'),
+        parts.ciphertext.toString('base64')
+    ].join(':');
+}
+
+/**
+ * Re-wrap every stored account number not under the current master key
+ * and encrypt any still in plain text
+ * @param {Object} client - pg client (inside a transaction)
+ * @returns {Promise<Object>} Number of values changed, by table
+ */
+async function rotateAccountNumbers(client) {
+    if (!isEncryptionConfigured()) {
+        throw new Error('ACCOUNT_ENCRYPTION_KEYS is not configured');
+    }
+    const changed = {};
+    for (const { table, column } of ENCRYPTED_COLUMNS) {
+        const { rows } = await client.query(
+            `SELECT id, ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL AND ${column} <> '' FOR UPDATE`
+        );
+        changed[table] = 0;
+        for (const row of rows) {
+            const value = rewrapAccountNumber(row.value);
+            if (value) {
+                await client.query(`UPDATE ${table} SET ${column} = $1 WHERE id = $2`, [value, row.id]);
+                changed[table] += 1;
+            }
+        }
+    }
+    return changed;
+}
+
+/**
+ * Count stored account numbers still in plain text
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<number>}
+ */
+async function countPlaintextAccountNumbers(db) {
+    let count = 0;
+    for (const { table, column } of ENCRYPTED_COLUMNS) {
+        const { rows } = await db.query(
+            `SELECT COUNT(*)::int AS count FROM ${table}
+              WHERE ${column} IS NOT NULL AND ${column} <> '' AND ${column} NOT LIKE '${PREFIX}%'`
+        );
+        count += rows[0].count;
+    }
+    return count;
+}
+
+/**
+ * Check that the acting user may see full account numbers, recording the
+ * attempt, allowed or refused, in account_number_access_log
+ * @param {Object} db - pg pool (the log entry must outlive a refusal)
+ * @param {Object} req - Express request (acting user, IP address)
+ * @param {string} recordType - ACCESS_RECORD value
+ * @param {string} recordId - Id of the record read
+ * @returns {Promise<Object>} The acting user
+ */
+async function authorizeAccountNumberAccess(db, req, recordType, recordId) {
+    const user = await getRequestUser(db, req);
+    const granted = canViewAccountNumbers(user);
+    await db.query(
+        `INSERT INTO account_number_access_log (record_type, record_id, user_id, user_name, granted, ip_address)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [recordType, recordId, user ? user.id : null, user ? user.name : null, granted, req.ip || null]
+    );
+    if (!granted) {
+        throw createRequestError(
+            user
+                ? 'Viewing full account numbers requires the Administrator or Payment Approver role'
+                : 'Viewing full account numbers requires an identified user (X-User-Id)',
+            null,
+            403
+        );
+    }
+    return user;
+}
+
+/**
+ * Reveal a bank account's full account number to a privileged user. Every
+ * attempt, allowed or refused, is recorded in account_number_access_log.
+ * @param {Object} db - pg pool (the log entry must outlive a refusal)
+ * @param {Object} req - Express request (acting user, IP address)
+ * @param {string} recordType - ACCESS_RECORD value
+ * @param {string} recordId - The bank account's id
+ * @param {Object} [options]
+ * @param {string} [options.vendorId] - Vendor the account must belong to
+ * @returns {Promise<Object>} { id, account_number }
+ */
+async function revealAccountNumber(db, req, recordType, recordId, { vendorId } = {}) {
+    const table = ACCESS_RECORD_TABLES[recordType];
+    const { rows } = await db.query(
+        `SELECT id, account_number FROM ${table} WHERE id::text = $1${vendorId ? ' AND vendor_id::text = $2' : ''}`,
+        vendorId ? [recordId, vendorId] : [recordId]
+    );
+    if (rows.length === 0) {
+        throw createRequestError('Bank account not found', null, 404);
+    }
+    await authorizeAccountNumberAccess(db, req, recordType, rows[0].id);
+    return { id: rows[0].id, account_number: decryptAccountNumber(rows[0].account_number) };
+}
+
+module.exports = {
+    ENCRYPTED_COLUMNS,
+    ACCESS_RECORD,
+    isEncryptionConfigured,
+    isEncrypted,
+    encryptAccountNumber,
+    decryptAccountNumber,
+    maskAccountNumber,
+    withMaskedAccountNumbers,
+    resolveSubmittedAccountNumber,
+    rewrapAccountNumber,
+    rotateAccountNumbers,
+    countPlaintextAccountNumbers,
+    authorizeAccountNumberAccess,
+    revealAccountNumber
+};
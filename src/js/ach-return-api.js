@@ -0,0 +1,134 @@
+/**
+ * ach-return-api.js
+ *
+ * API endpoints for ACH returns and notifications of change (NOC): import
+ * the bank's return file or enter them by hand, review them, and apply or
+ * dismiss a NOC's bank account correction. The rules live in
+ * ach-return-service.js.
+ */
+
+const fs = require('fs');
+const multer = require('multer');
+const { createRequestError } = require('./request-error');
+const { withTransaction } = require('./db-transaction');
+const { getRequestUser, requireRequestUser } = require('./request-user');
+const {
+    RETURN_REASONS,
+    NOC_CODES,
+    ACH_RETURN_SELECT,
+    normalizeAchReturn,
+    getAchReturn,
+    recordAchReturn,
+    importReturnFile,
+    applyNoc,
+    dismissAchReturn
+} = require('./ach-return-service');
+
+/**
+ * Register ACH return API routes
+ * @param {Object} app - Express application
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+function registerAchReturnRoutes(app, pool) {
+    const asyncHandler = fn => (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+    const upload = multer({ dest: 'uploads/' });
+
+    /**
+     * GET /api/ach-return-codes
+     * Return reason (R) and notification of change (C) codes with descriptions
+     */
+    app.get('/api/ach-return-codes', (req, res) => {
+        res.json({ returns: RETURN_REASONS, notifications_of_change: NOC_CODES });
+    });
+
+    /**
+     * GET /api/ach-returns
+     * Query: type (return|noc), status, batchId, traceNumber
+     */
+    app.get('/api/ach-returns', asyncHandler(async (req, res) => {
+        const { type, status, batchId, traceNumber } = req.query;
+        const conditions = [];
+        const params = [];
+        [
+            [type, 'ar.return_type ='],
+            [status, 'ar.status ='],
+            [batchId, 'ar.payment_batch_id ='],
+            [traceNumber, 'ar.original_trace_number =']
+        ].forEach(([value, condition]) => {
+            if (value) {
+                params.push(value);
+                conditions.push(`${condition} $${params.length}`);
+            }
+        });
+        const { rows } = await pool.query(
+            `${ACH_RETURN_SELECT}
+              ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+              ORDER BY ar.return_date DESC, ar.created_at DESC`,
+            params
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * GET /api/ach-returns/:id
+     * A return or NOC with the payment items it matched
+     */
+    app.get('/api/ach-returns/:id', asyncHandler(async (req, res) => {
+        res.json(await getAchReturn(pool, req.params.id));
+    }));
+
+    /**
+     * POST /api/ach-returns
+     * Body: { reason_code, original_trace_number, return_date, amount,
+     *         corrected_data, trace_number, addenda_information }
+     * Record a return or NOC by hand; 200 with duplicate=true when it was
+     * already recorded
+     */
+    app.post('/api/ach-returns', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const achReturn = normalizeAchReturn(req.body || {});
+        const result = await withTransaction(pool, client => recordAchReturn(client, achReturn, { source: 'manual', user }));
+        res.status(result.duplicate ? 200 : 201).json(result);
+    }));
+
+    /**
+     * POST /api/ach-returns/import
+     * Multipart upload of the bank's return/NOC file (field "file")
+     * Response: { imported, duplicates, skipped }
+     */
+    app.post('/api/ach-returns/import', upload.single('file'), asyncHandler(async (req, res) => {
+        if (!req.file) {
+            throw createRequestError('No file uploaded');
+        }
+        const content = fs.readFileSync(req.file.path, 'utf8');
+        fs.unlinkSync(req.file.path); // Clean up uploaded file
+        const user = await getRequestUser(pool, req);
+        const result = await withTransaction(pool, client => importReturnFile(client, content, {
+            fileName: req.file.originalname,
+            user
+        }));
+        res.status(201).json(result);
+    }));
+
+    /**
+     * POST /api/ach-returns/:id/apply
+     * Apply a pending NOC's corrected data to the vendor bank account
+     */
+    app.post('/api/ach-returns/:id/apply', asyncHandler(async (req, res) => {
+        const user = await requireRequestUser(pool, req, 'Applying a notification of change');
+        res.json(await withTransaction(pool, client => applyNoc(client, req.params.id, user)));
+    }));
+
+    /**
+     * POST /api/ach-returns/:id/dismiss
+     * Dismiss a pending NOC or an unmatched return
+     */
+    app.post('/api/ach-returns/:id/dismiss', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        res.json(await withTransaction(pool, client => dismissAchReturn(client, req.params.id, user)));
+    }));
+}
+
+module.exports = registerAchReturnRoutes;
@@ -0,0 +1,576 @@
+/**
+ * ach-return-service.js
+ *
+ * ACH returns (R01-R85) and notifications of change (NOC, C01-C13) for
+ * payments we originated, from the bank's return file or entered by hand.
+ * Each is matched to the one payment entry it answers: the original
+ * entry's trace number, receiving bank (RDFI) and amount, in the latest
+ * batch effective by the return date (findReturnedPayment). A return
+ * rejects that entry's items with its reason code and, for bill
+ * payments already posted, reverses the returned funds (ap-service.js). A
+ * NOC proposes the corrected routing number, account number or account
+ * type for the vendor bank account, applied or dismissed by a user;
+ * applying it sends pending and approved batches paying the account back
+ * for approval (payment-approval-service.js). A return or NOC answering a
+ * prenote instead (no payment entry matches, but a vendor bank account's
+ * prenote trace number and RDFI do) is recorded against that account; a
+ * return marks the prenote returned. A
+ * proposed account number is kept encrypted in proposed_account_number;
+ * proposed_changes and corrected_data show it masked.
+ */
+
+const { createRequestError } = require('./request-error');
+const NachaParser = require('./nacha-parser');
+const { PRENOTE_STATUS, normalizeVendorBankAccount } = require('./vendor-payment-service');
+const { postPaymentReturn } = require('./ap-service');
+const { resubmitBatchesForAccount } = require('./payment-approval-service');
+const { roundAmount } = require('./financial-report-service');
+const { encryptAccountNumber, decryptAccountNumber, maskAccountNumber } = require('./account-encryption-service');
+
+const RETURN_TYPE = {
+    RETURN: 'return',
+    NOC: 'noc'
+};
+
+const RETURN_STATUS = {
+    RECORDED: 'recorded',
+    PENDING: 'pending',
+    APPLIED: 'applied',
+    DISMISSED: 'dismissed',
+    UNMATCHED: 'unmatched'
+};
+
+/** Return reason codes (any R01-R85 is accepted; these have descriptions) */
+const RETURN_REASONS = {
+    R01: 'Insufficient funds',
+    R02: 'Account closed',
+    R03: 'No account / unable to locate account',
+    R04: 'Invalid account number',
+    R05: 'Unauthorized debit to consumer account using corporate SEC code',
+    R06: 'Returned per ODFI request',
+    R07: 'Authorization revoked by customer',
+    R08: 'Payment stopped',
+    R09: 'Uncollected funds',
+    R10: 'Customer advises not authorized',
+    R11: 'Customer advises entry not in accordance with the terms of the authorization',
+    R12: 'Account sold to another DFI',
+    R13: 'Invalid ACH routing number',
+    R14: 'Representative payee deceased',
+    R15: 'Beneficiary or account holder deceased',
+    R16: 'Account frozen',
+    R17: 'File record edit criteria',
+    R20: 'Non-transaction account',
+    R21: 'Invalid company identification',
+    R22: 'Invalid individual ID number',
+    R23: 'Credit entry refused by receiver',
+    R24: 'Duplicate entry',
+    R29: 'Corporate customer advises not authorized',
+    R31: 'Permissible return entry',
+    R33: 'Return of XCK entry',
+    R61: 'Misrouted return',
+    R67: 'Duplicate return',
+    R68: 'Untimely return',
+    R69: 'Field error(s)',
+    R70: 'Permissible return entry not accepted',
+    R80: 'IAT entry coding error',
+    R85: 'Incorrectly coded outbound international payment'
+};
+
+/** Notification of change codes */
+const NOC_CODES = {
+    C01: 'Incorrect DFI account number',
+    C02: 'Incorrect routing number',
+    C03: 'Incorrect routing number and DFI account number',
+    C04: 'Incorrect individual name / receiving company name',
+    C05: 'Incorrect transaction code',
+    C06: 'Incorrect DFI account number and transaction code',
+    C07: 'Incorrect routing number, DFI account number and transaction code',
+    C08: 'Incorrect receiving DFI identification (IAT only)',
+    C09: 'Incorrect individual identification number',
+    C10: 'Incorrect company name',
+    C11: 'Incorrect company identification',
+    C12: 'Incorrect company name and company identification',
+    C13: 'Addenda format error'
+};
+
+const ACH_RETURN_SELECT = `
+    SELECT ar.id, ar.return_type, ar.reason_code, ar.original_trace_number, ar.trace_number,
+           to_char(ar.return_date, 'YYYY-MM-DD') AS return_date, ar.amount, ar.original_rdfi_id,
+           ar.corrected_data, ar.addenda_information, to_char(ar.date_of_death, 'YYYY-MM-DD') AS date_of_death,
+           ar.source, ar.file_name, ar.payment_batch_id, pb.batch_number, ar.vendor_bank_account_id,
+           vba.account_name AS vendor_bank_account_name, v.id AS vendor_id, v.name AS vendor_name,
+           ar.proposed_changes, ar.journal_entry_id, je.reference_number AS journal_entry_reference,
+           ar.status, ar.resolved_by, ar.resolved_at, ar.created_by, ar.created_at, ar.updated_at
+      FROM ach_returns ar
+      LEFT JOIN payment_batches pb ON pb.id = ar.payment_batch_id
+      LEFT JOIN vendor_bank_accounts vba ON vba.id = ar.vendor_bank_account_id
+      LEFT JOIN vendors v ON v.id = vba.vendor_id
+      LEFT JOIN journal_entries je ON je.id = ar.journal_entry_id`;
+
+/**
+ * Description of a return reason or NOC code
+ * @param {string} code - R01-R85 or C01-C13
+ * @returns {string}
+ */
+function describeReasonCode(code) {
+    return RETURN_REASONS[code] || NOC_CODES[code] || `Return reason ${code}`;
+}
+
+/**
+ * Return type of a reason code, or null when it is not R01-R85 or C01-C13
+ * @param {string} code
+ * @returns {string|null}
+ */
+function reasonCodeType(code) {
+    const match = /^([RC])(\d{2})$/.exec(code || '');
+    if (!match) {
+        return null;
+    }
+    const number = parseInt(match[2], 10);
+    if (match[1] === 'R') {
+        return number >= 1 && number <= 85 ? RETURN_TYPE.RETURN : null;
+    }
+    return number >= 1 && number <= 13 ? RETURN_TYPE.NOC : null;
+}
+
+/**
+ * NACHA YYMMDD as YYYY-MM-DD (null when blank or invalid)
+ * @param {string} value
+ * @returns {string|null}
+ */
+function fromYymmdd(value) {
+    const match = /^(\d{2})(\d{2})(\d{2})$/.exec((value || '').trim());
+    return match ? `20${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Validate a return or NOC entered by hand (or read from a file)
+ * @param {Object} data - { reason_code, original_trace_number, return_date,
+ *   amount, corrected_data, trace_number, original_rdfi_id,
+ *   addenda_information, date_of_death }
+ * @returns {Object} ach_returns columns
+ */
+function normalizeAchReturn(data) {
+    const errors = [];
+    const achReturn = {
+        reason_code: String(data.reason_code || '').trim().toUpperCase(),
+        original_trace_number: String(data.original_trace_number || '').trim(),
+        trace_number: data.trace_number ? String(data.trace_number).trim() : null,
+        return_date: data.return_date || new Date().toISOString().split('T')[0],
+        amount: data.amount === undefined || data.amount === null || data.amount === '' ? null : roundAmount(data.amount),
+        original_rdfi_id: data.original_rdfi_id || null,
+        corrected_data: data.corrected_data ? String(data.corrected_data).trimEnd() : null,
+        addenda_information: data.addenda_information || null,
+        date_of_death: data.date_of_death || null
+    };
+    achReturn.return_type = reasonCodeType(achReturn.reason_code);
+    if (!achReturn.return_type) {
+        errors.push(`reason_code must be a return reason (R01-R85) or change code (C01-C13), not "${achReturn.reason_code}"`);
+    }
+    if (!/^\d{15}$/.test(achReturn.original_trace_number)) {
+        errors.push('original_trace_number must be the 15-digit trace number of the original payment');
+    }
+    if (achReturn.trace_number && !/^\d{15}$/.test(achReturn.trace_number)) {
+        errors.push('trace_number must be 15 digits');
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(achReturn.return_date)) {
+        errors.push('return_date must be YYYY-MM-DD');
+    }
+    if (achReturn.amount !== null && !(achReturn.amount >= 0)) {
+        errors.push('amount must be zero or more');
+    }
+    if (achReturn.return_type === RETURN_TYPE.NOC && !achReturn.corrected_data) {
+        errors.push('corrected_data is required for a notification of change');
+    }
+    if (achReturn.corrected_data && achReturn.corrected_data.length > 29) {
+        errors.push('corrected_data is at most 29 characters');
+    }
+    if (errors.length) {
+        throw createRequestError('Invalid ACH return', { errors });
+    }
+    return achReturn;
+}
+
+/**
+ * Read the returns and NOCs in a return file from the bank. The file must
+ * pass NachaParser validation; entries without a 99 or 98 addenda are
+ * skipped.
+ * @param {string} content - NACHA file content
+ * @returns {Object} { returns: [normalized returns], skipped }
+ */
+function parseReturnFile(content) {
+    const { valid, errors, file } = NachaParser.validate(content);
+    if (!valid) {
+        throw createRequestError('The return file is not a valid NACHA file', { errors });
+    }
+    const returns = [];
+    let skipped = 0;
+    file.batches.forEach(batch => {
+        batch.entries.forEach(entry => {
+            const addenda = entry.addenda.find(record => ['98', '99'].includes(record.addendaTypeCode));
+            if (!addenda) {
+                skipped += 1;
+                return;
+            }
+            returns.push(normalizeAchReturn({
+                reason_code: addenda.returnReasonCode || addenda.changeCode,
+                original_trace_number: addenda.originalEntryTraceNumber,
+                trace_number: entry.traceNumber,
+                return_date: fromYymmdd(batch.header.effectiveEntryDate) || undefined,
+                amount: entry.amount,
+                original_rdfi_id: addenda.originalReceivingDFIId || null,
+                corrected_data: addenda.correctedData || null,
+                addenda_information: addenda.addendaInformation || null,
+                date_of_death: fromYymmdd(addenda.dateOfDeath)
+            }));
+        });
+    });
+    return { returns, skipped };
+}
+
+/**
+ * Corrected vendor bank account fields proposed by a NOC, read from its
+ * corrected data by change code; null when the change is not to the bank
+ * account (e.g. C09, C11, C13) and needs handling by hand
+ * @param {string} changeCode - C01-C13
+ * @param {string} correctedData - Corrected data (29 characters)
+ * @returns {Object|null} { routing_number, account_number, account_type,
+ *   account_name } as applicable
+ */
+function proposeCorrection(changeCode, correctedData) {
+    const data = (correctedData || '').padEnd(29, ' ');
+    const field = (start, end) => data.substring(start - 1, end).trim();
+    const accountType = code => (/^3/.test(code) ? 'savings' : /^2/.test(code) ? 'checking' : null);
+    switch (changeCode) {
+        case 'C01':
+            return { account_number: field(1, 17) };
+        case 'C02':
+            return { routing_number: field(1, 9) };
+        case 'C03':
+            return { routing_number: field(1, 9), account_number: field(13, 29) };
+        case 'C04':
+        case 'C10':
+            return { account_name: field(1, 22) };
+        case 'C05':
+            return { account_type: accountType(field(1, 2)) };
+        case 'C06':
+            return { account_number: field(1, 17), account_type: accountType(field(21, 22)) };
+        case 'C07':
+            return { routing_number: field(1, 9), account_number: field(10, 26), account_type: accountType(field(27, 28)) };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Load an ACH return with the payment items it matched
+ * @param {Object} db - pg pool or client
+ * @param {string} id - ach_returns id
+ * @param {Object} [options]
+ * @param {boolean} [options.forUpdate] - Lock the row
+ * @returns {Promise<Object>}
+ */
+async function getAchReturn(db, id, { forUpdate } = {}) {
+    const { rows } = await db.query(
+        `${ACH_RETURN_SELECT} WHERE ar.id = $1${forUpdate ? ' FOR UPDATE OF ar' : ''}`,
+        [id]
+    );
+    if (rows.length === 0) {
+        throw createRequestError('ACH return not found', null, 404);
+    }
+    const { rows: items } = await db.query(
+        `SELECT pi.id, pi.payment_batch_id, pi.vendor_id, v.name AS vendor_name, pi.bill_id, pi.amount,
+                pi.invoice_number, pi.status, pi.trace_number, pi.return_reason_code
+           FROM payment_items pi
+           JOIN vendors v ON v.id = pi.vendor_id
+          WHERE pi.trace_number = $1 AND pi.payment_batch_id = $2
+          ORDER BY pi.created_at`,
+        [rows[0].original_trace_number, rows[0].payment_batch_id]
+    );
+    return { ...rows[0], reason_description: describeReasonCode(rows[0].reason_code), items };
+}
+
+/**
+ * The payment items of the entry a return or NOC answers. Trace numbers
+ * from files generated before the trace counter existed repeat across
+ * batches, so the match also needs the original receiving bank (RDFI) and,
+ * for returns, the returned amount; of the batches that still match, the
+ * latest one effective on or before the return date is taken. All items
+ * come from that one entry (several only for a CTX entry paying several
+ * invoices).
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} achReturn - From normalizeAchReturn
+ * @returns {Promise<Array>} Locked payment_items rows, empty when unmatched
+ */
+async function findReturnedPayment(client, achReturn) {
+    const { rows } = await client.query(
+        `SELECT pi.*
+           FROM payment_items pi
+           JOIN payment_batches pb ON pb.id = pi.payment_batch_id
+           LEFT JOIN vendor_bank_accounts vba ON vba.id = pi.vendor_bank_account_id
+          WHERE pi.trace_number = $1
+            AND ($2::text IS NULL OR LEFT(COALESCE(pi.bank_routing_number, vba.routing_number), 8) = $2)
+            AND pb.effective_date <= $3::date
+          ORDER BY pb.effective_date DESC, pb.created_at DESC, pi.created_at
+          FOR UPDATE OF pi`,
+        [achReturn.original_trace_number, achReturn.original_rdfi_id, achReturn.return_date]
+    );
+    const byBatch = new Map();
+    rows.forEach(item => {
+        if (!byBatch.has(item.payment_batch_id)) {
+            byBatch.set(item.payment_batch_id, []);
+        }
+        byBatch.get(item.payment_batch_id).push(item);
+    });
+    const checkAmount = achReturn.return_type === RETURN_TYPE.RETURN && achReturn.amount;
+    const entries = [...byBatch.values()].filter(items => !checkAmount
+        || roundAmount(items.reduce((total, item) => total + parseFloat(item.amount), 0)) === achReturn.amount);
+    return entries[0] || [];
+}
+
+/**
+ * The vendor bank account whose prenote a return or NOC answers: its
+ * prenote trace number and receiving bank (RDFI), sent on or before the
+ * return date. Prenotes carry no amount.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} achReturn - From normalizeAchReturn
+ * @returns {Promise<Object|null>} Locked vendor_bank_accounts row
+ */
+async function findReturnedPrenote(client, achReturn) {
+    if (achReturn.return_type === RETURN_TYPE.RETURN && achReturn.amount) {
+        return null;
+    }
+    const { rows } = await client.query(
+        `SELECT *
+           FROM vendor_bank_accounts
+          WHERE prenote_trace_number = $1
+            AND ($2::text IS NULL OR LEFT(routing_number, 8) = $2)
+            AND prenote_sent_at::date <= $3::date
+          ORDER BY prenote_sent_at DESC
+          LIMIT 1
+          FOR UPDATE`,
+        [achReturn.original_trace_number, achReturn.original_rdfi_id, achReturn.return_date]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Record one return or NOC and act on it. A return or NOC already recorded
+ * for the same payment (same original trace number, code, RDFI, amount and
+ * matched batch, or return date when unmatched) is left as it is.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} achReturn - From normalizeAchReturn
+ * @param {Object} options
+ * @param {string} options.source - file or manual
+ * @param {string} [options.fileName] - Return file name
+ * @param {Object|null} options.user - Acting user
+ * @returns {Promise<Object>} { ach_return, duplicate }
+ */
+async function recordAchReturn(client, achReturn, { source, fileName, user }) {
+    const items = await findReturnedPayment(client, achReturn);
+    const prenoteAccount = items.length ? null : await findReturnedPrenote(client, achReturn);
+    const batchId = items.length ? items[0].payment_batch_id : null;
+    let vendorBankAccountId = null;
+    if (items.length) {
+        vendorBankAccountId = items[0].vendor_bank_account_id;
+    } else if (prenoteAccount) {
+        vendorBankAccountId = prenoteAccount.id;
+    }
+    const amount = achReturn.amount !== null
+        ? achReturn.amount
+        : roundAmount(items.reduce((total, item) => total + parseFloat(item.amount), 0));
+
+    // Same key as the uq_ach_return_payment index
+    const { rows: existing } = await client.query(
+        `SELECT id FROM ach_returns
+          WHERE original_trace_number = $1 AND reason_code = $2 AND COALESCE(original_rdfi_id, '') = COALESCE($3, '')
+            AND amount = $4 AND COALESCE(payment_batch_id::text, return_date::text) = COALESCE($5::text, $6::text)`,
+        [achReturn.original_trace_number, achReturn.reason_code, achReturn.original_rdfi_id, amount, batchId, achReturn.return_date]
+    );
+    if (existing.length > 0) {
+        return { ach_return: await getAchReturn(client, existing[0].id), duplicate: true };
+    }
+
+    const isReturn = achReturn.return_type === RETURN_TYPE.RETURN;
+    const correction = isReturn ? null : proposeCorrection(achReturn.reason_code, achReturn.corrected_data);
+    let status = RETURN_STATUS.UNMATCHED;
+    let proposed = null;
+    if (vendorBankAccountId) {
+        status = isReturn ? RETURN_STATUS.RECORDED : RETURN_STATUS.PENDING;
+        proposed = correction;
+    }
+    // A corrected account number is only stored encrypted
+    let correctedData = achReturn.corrected_data;
+    let proposedAccountNumber = null;
+    const accountNumber = correction && correction.account_number;
+    if (accountNumber) {
+        correctedData = correctedData.replace(accountNumber, maskAccountNumber(accountNumber));
+        if (proposed) {
+            proposedAccountNumber = encryptAccountNumber(accountNumber);
+            proposed = { ...proposed, account_number: maskAccountNumber(accountNumber) };
+        }
+    }
+    const { rows: [saved] } = await client.query(
+        `INSERT INTO ach_returns
+            (return_type, reason_code, original_trace_number, trace_number, return_date, amount,
+             original_rdfi_id, corrected_data, addenda_information, date_of_death, source, file_name,
+             payment_batch_id, vendor_bank_account_id, proposed_changes, proposed_account_number, status, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+         RETURNING id`,
+        [
+            achReturn.return_type,
+            achReturn.reason_code,
+            achReturn.original_trace_number,
+            achReturn.trace_number,
+            achReturn.return_date,
+            amount,
+            achReturn.original_rdfi_id,
+            correctedData,
+            achReturn.addenda_information,
+            achReturn.date_of_death,
+            source,
+            fileName || null,
+            batchId,
+            vendorBankAccountId,
+            proposed ? JSON.stringify(proposed) : null,
+            proposedAccountNumber,
+            status,
+            user ? user.id : null
+        ]
+    );
+
+    if (isReturn && prenoteAccount) {
+        await client.query(
+            'UPDATE vendor_bank_accounts SET prenote_status = $1, updated_at = NOW() WHERE id = $2',
+            [PRENOTE_STATUS.RETURNED, prenoteAccount.id]
+        );
+    }
+    if (isReturn && items.length > 0) {
+        const returned = items.filter(item => !['rejected', 'canceled'].includes(item.status));
+        if (returned.length > 0) {
+            await client.query(
+                `UPDATE payment_items
+                    SET status = 'rejected', return_reason_code = $1, ach_return_id = $2, updated_at = NOW()
+                  WHERE id = ANY($3::uuid[])`,
+                [achReturn.reason_code, saved.id, returned.map(item => item.id)]
+            );
+            const entry = await postPaymentReturn(client, returned, {
+                returnDate: achReturn.return_date,
+                reference: `RET-${achReturn.original_trace_number}`,
+                description: `ACH return ${achReturn.reason_code} (${describeReasonCode(achReturn.reason_code)}), trace ${achReturn.original_trace_number}`,
+                user
+            });
+            if (entry) {
+                await client.query(
+                    'UPDATE ach_returns SET journal_entry_id = $1, updated_at = NOW() WHERE id = $2',
+                    [entry.id, saved.id]
+                );
+            }
+        }
+    }
+    return { ach_return: await getAchReturn(client, saved.id), duplicate: false };
+}
+
+/**
+ * Import a bank return file
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} content - NACHA file content
+ * @param {Object} options
+ * @param {string} [options.fileName] - Uploaded file name
+ * @param {Object|null} options.user - Acting user
+ * @returns {Promise<Object>} { imported, duplicates, skipped }
+ */
+async function importReturnFile(client, content, { fileName, user }) {
+    const { returns, skipped } = parseReturnFile(content);
+    const imported = [];
+    const duplicates = [];
+    for (const achReturn of returns) {
+        const result = await recordAchReturn(client, achReturn, { source: 'file', fileName, user });
+        (result.duplicate ? duplicates : imported).push(result.ach_return);
+    }
+    return { imported, duplicates, skipped };
+}
+
+/**
+ * Apply a NOC's proposed correction to the vendor bank account
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} id - ach_returns id
+ * @param {Object} user - Acting user (required)
+ * @returns {Promise<Object>} The NOC with resubmitted_batches
+ */
+async function applyNoc(client, id, user) {
+    const noc = await getAchReturn(client, id, { forUpdate: true });
+    if (noc.return_type !== RETURN_TYPE.NOC || noc.status !== RETURN_STATUS.PENDING) {
+        throw createRequestError(`Only pending notifications of change can be applied (this is a ${noc.status} ${noc.return_type})`, null, 409);
+    }
+    if (!noc.proposed_changes || !noc.vendor_bank_account_id) {
+        throw createRequestError(`${noc.reason_code} (${describeReasonCode(noc.reason_code)}) has no bank account correction to apply; update the vendor by hand and dismiss it`, null, 409);
+    }
+    const { rows: [current] } = await client.query(
+        'SELECT * FROM vendor_bank_accounts WHERE id = $1 FOR UPDATE',
+        [noc.vendor_bank_account_id]
+    );
+    const { rows: [{ proposed_account_number: proposedAccountNumber }] } = await client.query(
+        'SELECT proposed_account_number FROM ach_returns WHERE id = $1',
+        [noc.id]
+    );
+    const changes = Object.fromEntries(Object.entries(noc.proposed_changes).filter(([, value]) => value));
+    const account = normalizeVendorBankAccount({
+        ...current,
+        ...changes,
+        account_number: decryptAccountNumber(proposedAccountNumber || current.account_number)
+    });
+    await client.query(
+        `UPDATE vendor_bank_accounts
+            SET account_name = $1, routing_number = $2, account_number = $3, account_type = $4, updated_at = NOW()
+          WHERE id = $5`,
+        [account.account_name, account.routing_number, encryptAccountNumber(account.account_number), account.account_type, current.id]
+    );
+    const detailsChanged = account.routing_number !== current.routing_number
+        || account.account_type !== current.account_type
+        || account.account_number !== decryptAccountNumber(current.account_number);
+    const resubmitted = detailsChanged ? await resubmitBatchesForAccount(client, current.id, user) : [];
+    await client.query(
+        `UPDATE ach_returns SET status = $1, resolved_by = $2, resolved_at = NOW(), updated_at = NOW() WHERE id = $3`,
+        [RETURN_STATUS.APPLIED, user.id, noc.id]
+    );
+    return { ...(await getAchReturn(client, noc.id)), resubmitted_batches: resubmitted };
+}
+
+/**
+ * Dismiss a pending NOC or an unmatched return/NOC
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} id - ach_returns id
+ * @param {Object|null} user - Acting user
+ * @returns {Promise<Object>} The return
+ */
+async function dismissAchReturn(client, id, user) {
+    const achReturn = await getAchReturn(client, id, { forUpdate: true });
+    if (![RETURN_STATUS.PENDING, RETURN_STATUS.UNMATCHED].includes(achReturn.status)) {
+        throw createRequestError(`A ${achReturn.status} ${achReturn.return_type} cannot be dismissed`, null, 409);
+    }
+    await client.query(
+        `UPDATE ach_returns SET status = $1, resolved_by = $2, resolved_at = NOW(), updated_at = NOW() WHERE id = $3`,
+        [RETURN_STATUS.DISMISSED, user ? user.id : null, achReturn.id]
+    );
+    return getAchReturn(client, achReturn.id);
+}
+
+module.exports = {
+    RETURN_TYPE,
+    RETURN_STATUS,
+    RETURN_REASONS,
+    NOC_CODES,
+    ACH_RETURN_SELECT,
+    describeReasonCode,
+    normalizeAchReturn,
+    parseReturnFile,
+    proposeCorrection,
+    getAchReturn,
+    findReturnedPayment,
+    findReturnedPrenote,
+    recordAchReturn,
+    importReturnFile,
+    applyNoc,
+    dismissAchReturn
+};
@@ -0,0 +1,193 @@
+/**
+ * ap-api.js
+ *
+ * API endpoints for accounts payable: vendor bills, their approval and
+ * posting, and selecting bills into payment batches. A batch's bill
+ * payments are posted when it settles (vendor-payment-api.js). The AP aging
+ * report is served with the other financial reports
+ * (financial-reports-api.js); the rules live in ap-service.js.
+ */
+
+const { createRequestError } = require('./request-error');
+const { withTransaction } = require('./db-transaction');
+const { getRequestUser, requireRequestUser } = require('./request-user');
+const {
+    BILL_STATUS,
+    BILL_SELECT,
+    normalizeBill,
+    saveBillLines,
+    getBill,
+    submitBill,
+    approveBill,
+    voidBill,
+    addBillsToBatch
+} = require('./ap-service');
+
+const BILL_COLUMNS = [
+    'entity_id',
+    'vendor_id',
+    'invoice_number',
+    'invoice_date',
+    'due_date',
+    'description',
+    'ap_account_id',
+    'total_amount'
+];
+
+/**
+ * Register accounts payable API routes
+ * @param {Object} app - Express application
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+function registerApRoutes(app, pool) {
+    const asyncHandler = fn => (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+
+    /**
+     * GET /api/bills
+     * Query: entityId, vendorId, status, dueBefore
+     * Bills with their open balance
+     */
+    app.get('/api/bills', asyncHandler(async (req, res) => {
+        const { entityId, vendorId, status, dueBefore } = req.query;
+        const conditions = [];
+        const params = [];
+        [
+            [entityId, 'b.entity_id ='],
+            [vendorId, 'b.vendor_id ='],
+            [status, 'b.status ='],
+            [dueBefore, 'b.due_date <=']
+        ].forEach(([value, condition]) => {
+            if (value) {
+                params.push(value);
+                conditions.push(`${condition} $${params.length}`);
+            }
+        });
+        const { rows } = await pool.query(
+            `SELECT bills.*, bills.total_amount - bills.paid_amount AS balance
+               FROM (${BILL_SELECT} ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}) bills
+              ORDER BY bills.due_date, bills.vendor_name, bills.invoice_number`,
+            params
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * GET /api/bills/:id
+     * A bill with its lines and payments
+     */
+    app.get('/api/bills/:id', asyncHandler(async (req, res) => {
+        res.json(await getBill(pool, req.params.id));
+    }));
+
+    /**
+     * POST /api/bills
+     * Body: { entity_id, vendor_id, invoice_number, invoice_date, due_date,
+     *         description, ap_account_id,
+     *         lines: [{ account_id, fund_id, functional_class, program_id,
+     *                   allocation_rule_id, amount, description }] }
+     * Record a draft bill
+     */
+    app.post('/api/bills', asyncHandler(async (req, res) => {
+        const user = await requireRequestUser(pool, req, 'Recording a bill');
+        const { bill, lines } = await normalizeBill(pool, req.body || {});
+        const saved = await withTransaction(pool, async client => {
+            const { rows } = await client.query(
+                `INSERT INTO bills (${BILL_COLUMNS.join(', ')}, created_by)
+                 VALUES (${BILL_COLUMNS.map((column, index) => `$${index + 1}`).join(', ')}, $${BILL_COLUMNS.length + 1})
+                 RETURNING id`,
+                [...BILL_COLUMNS.map(column => bill[column]), user.id]
+            );
+            await saveBillLines(client, rows[0].id, lines);
+            return getBill(client, rows[0].id);
+        });
+        res.status(201).json(saved);
+    }));
+
+    /**
+     * PUT /api/bills/:id
+     * Same body as POST; only draft bills can be edited and the entity
+     * cannot change
+     */
+    app.put('/api/bills/:id', asyncHandler(async (req, res) => {
+        await requireRequestUser(pool, req, 'Editing a bill');
+        const existing = await getBill(pool, req.params.id);
+        if (existing.status !== BILL_STATUS.DRAFT) {
+            throw createRequestError(`Only draft bills can be edited (bill is ${existing.status})`, null, 409);
+        }
+        const { bill, lines } = await normalizeBill(pool, { ...req.body, entity_id: existing.entity_id });
+        const columns = BILL_COLUMNS.filter(column => column !== 'entity_id');
+        const saved = await withTransaction(pool, async client => {
+            await client.query(
+                `UPDATE bills
+                    SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = NOW()
+                  WHERE id = $${columns.length + 1}`,
+                [...columns.map(column => bill[column]), existing.id]
+            );
+            await saveBillLines(client, existing.id, lines);
+            return getBill(client, existing.id);
+        });
+        res.json(saved);
+    }));
+
+    /**
+     * DELETE /api/bills/:id
+     * Only draft and pending bills can be deleted; posted bills are voided
+     */
+    app.delete('/api/bills/:id', asyncHandler(async (req, res) => {
+        await requireRequestUser(pool, req, 'Deleting a bill');
+        const bill = await getBill(pool, req.params.id);
+        if (![BILL_STATUS.DRAFT, BILL_STATUS.PENDING_APPROVAL].includes(bill.status)) {
+            throw createRequestError('Approved bills cannot be deleted; void them instead', null, 409);
+        }
+        await pool.query('DELETE FROM bills WHERE id = $1', [bill.id]);
+        res.status(204).send();
+    }));
+
+    /**
+     * POST /api/bills/:id/submit
+     * Send a draft bill for approval
+     */
+    app.post('/api/bills/:id/submit', asyncHandler(async (req, res) => {
+        await requireRequestUser(pool, req, 'Submitting a bill');
+        res.json(await withTransaction(pool, client => submitBill(client, req.params.id)));
+    }));
+
+    /**
+     * POST /api/bills/:id/approve
+     * Approve a pending bill and post it to accounts payable
+     */
+    app.post('/api/bills/:id/approve', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        res.json(await withTransaction(pool, client => approveBill(client, req.params.id, user)));
+    }));
+
+    /**
+     * POST /api/bills/:id/void
+     * Body: { reversal_date }
+     * Void an unpaid bill, reversing its entry if it was posted
+     */
+    app.post('/api/bills/:id/void', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { reversal_date } = req.body || {};
+        res.json(await withTransaction(pool, client => voidBill(client, req.params.id, {
+            reversalDate: reversal_date,
+            user
+        })));
+    }));
+
+    /**
+     * POST /api/payment-batches/:id/bills
+     * Body: { bill_ids }
+     * Add payment items for approved bills to a draft payment batch
+     */
+    app.post('/api/payment-batches/:id/bills', asyncHandler(async (req, res) => {
+        await requireRequestUser(pool, req, 'Adding bills to a payment batch');
+        const { bill_ids } = req.body || {};
+        const items = await withTransaction(pool, client => addBillsToBatch(client, req.params.id, bill_ids));
+        res.status(201).json(items);
+    }));
+}
+
+module.exports = registerApRoutes;
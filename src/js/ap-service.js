@@ -0,0 +1,716 @@
+/**
+ * ap-service.js
+ *
+ * Accounts payable: vendor bills coded to expense lines by account, fund and
+ * functional class. A bill moves draft -> pending_approval -> approved;
+ * approval posts it (expense lines against the AP liability, per fund).
+ * Approved bills are selected into payment batches as payment_items, and
+ * settling a batch posts the payment entry (AP against the settlement bank
+ * account's cash account) and marks the bills paid. A payment the bank
+ * returns (ACH return) has its share of that entry reversed and its bill
+ * reopened.
+ *
+ * The AP aging report reads open bill balances at a date from the bills and
+ * the processed payment items.
+ */
+
+const { createRequestError } = require('./request-error');
+const {
+    JOURNAL_ENTRY_STATUS,
+    ENTRY_TYPE,
+    saveJournalEntry,
+    reverseJournalEntry
+} = require('./journal-entry-service');
+const { normalizeClassification, checkClassificationEntity } = require('./functional-expense-service');
+const {
+    AGING_BUCKETS,
+    roundAmount,
+    requireDate,
+    isOptionalDate,
+    agingBucket
+} = require('./financial-report-service');
+const { refreshBatchTotals } = require('./vendor-payment-service');
+
+const BILL_STATUS = {
+    DRAFT: 'draft',
+    PENDING_APPROVAL: 'pending_approval',
+    APPROVED: 'approved',
+    PARTIALLY_PAID: 'partially_paid',
+    PAID: 'paid',
+    VOID: 'void'
+};
+
+/** Bills that can be selected into a payment batch */
+const PAYABLE_STATUSES = [BILL_STATUS.APPROVED, BILL_STATUS.PARTIALLY_PAID];
+
+/** payment_items statuses that still hold part of a bill for payment */
+const OPEN_ITEM_STATUSES = ['pending', 'approved'];
+
+const BILL_SELECT = `
+    SELECT b.id, b.entity_id, b.vendor_id, v.vendor_code, v.name AS vendor_name, b.invoice_number,
+           to_char(b.invoice_date, 'YYYY-MM-DD') AS invoice_date, to_char(b.due_date, 'YYYY-MM-DD') AS due_date,
+           b.description, b.ap_account_id, b.total_amount, b.paid_amount, b.status, b.journal_entry_id,
+           b.created_by, b.approved_by, b.approved_at, b.created_at, b.updated_at
+      FROM bills b
+      JOIN vendors v ON v.id = b.vendor_id`;
+
+/**
+ * Validate a bill and its expense lines
+ * @param {Object} db - pg pool or client
+ * @param {Object} data - { entity_id, vendor_id, invoice_number, invoice_date,
+ *   due_date, description, ap_account_id, lines: [{ account_id, fund_id,
+ *   functional_class, program_id, allocation_rule_id, amount, description }] }
+ * @returns {Promise<{bill: Object, lines: Array<Object>}>} Normalised bill
+ *   columns and lines
+ */
+async function normalizeBill(db, data) {
+    const errors = [];
+    const bill = {
+        entity_id: data.entity_id || null,
+        vendor_id: data.vendor_id || null,
+        invoice_number: (data.invoice_number || '').trim(),
+        invoice_date: data.invoice_date || null,
+        due_date: data.due_date || data.invoice_date || null,
+        description: data.description || null,
+        ap_account_id: data.ap_account_id || null
+    };
+    if (!bill.entity_id) {
+        errors.push('entity_id is required');
+    }
+    if (!bill.invoice_number) {
+        errors.push('invoice_number is required');
+    }
+    if (!bill.invoice_date || !isOptionalDate(bill.invoice_date) || !isOptionalDate(bill.due_date)) {
+        errors.push('invoice_date is required and dates must be YYYY-MM-DD');
+    } else if (bill.due_date < bill.invoice_date) {
+        errors.push('due_date must not be before invoice_date');
+    }
+
+    const { rows: vendors } = bill.vendor_id
+        ? await db.query('SELECT id, entity_id, status FROM vendors WHERE id = $1', [bill.vendor_id])
+        : { rows: [] };
+    if (vendors.length === 0) {
+        errors.push('vendor_id must be an existing vendor');
+    } else if (vendors[0].entity_id && vendors[0].entity_id !== bill.entity_id) {
+        errors.push('The vendor belongs to another entity');
+    } else if (vendors[0].status !== 'active') {
+        errors.push(`The vendor is ${vendors[0].status}`);
+    }
+
+    const lines = (Array.isArray(data.lines) ? data.lines : []).map((line, index) => ({
+        account_id: line.account_id || null,
+        fund_id: line.fund_id || null,
+        ...normalizeClassification(line, `Line ${index + 1}`, errors),
+        amount: roundAmount(line.amount),
+        description: line.description || null
+    }));
+    if (lines.length === 0) {
+        errors.push('A bill requires at least one line');
+    }
+    lines.forEach((line, index) => {
+        if (!line.account_id || !line.fund_id) {
+            errors.push(`Line ${index + 1}: account and fund are required`);
+        }
+        if (!(line.amount > 0)) {
+            errors.push(`Line ${index + 1}: amount must be more than zero`);
+        }
+    });
+
+    const accountIds = [bill.ap_account_id, ...lines.map(line => line.account_id)].filter(Boolean);
+    const { rows: accounts } = await db.query(
+        'SELECT id, entity_id, type FROM accounts WHERE id = ANY($1::uuid[])',
+        [accountIds]
+    );
+    const byId = new Map(accounts.map(account => [account.id, account]));
+    const apAccount = byId.get(bill.ap_account_id);
+    if (!apAccount || apAccount.entity_id !== bill.entity_id || apAccount.type !== 'Liability') {
+        errors.push("ap_account_id must be a Liability account of the bill's entity");
+    }
+    lines.forEach((line, index) => {
+        const account = byId.get(line.account_id);
+        if (line.account_id && (!account || account.entity_id !== bill.entity_id)) {
+            errors.push(`Line ${index + 1}: the account must belong to the bill's entity`);
+        } else if (account && account.type !== 'Expense' &&
+            (line.functional_class || line.program_id || line.allocation_rule_id)) {
+            errors.push(`Line ${index + 1}: only Expense lines carry a functional classification`);
+        }
+    });
+    const fundIds = [...new Set(lines.map(line => line.fund_id).filter(Boolean))];
+    const { rows: funds } = await db.query(
+        'SELECT id FROM funds WHERE id = ANY($1::uuid[]) AND entity_id = $2',
+        [fundIds, bill.entity_id]
+    );
+    const validFunds = new Set(funds.map(fund => fund.id));
+    fundIds.filter(id => !validFunds.has(id))
+        .forEach(id => errors.push(`Fund ${id} does not belong to the bill's entity`));
+    if (bill.entity_id) {
+        await checkClassificationEntity(db, bill.entity_id, lines, errors);
+    }
+
+    if (errors.length) {
+        throw createRequestError('Invalid bill', { errors });
+    }
+    bill.total_amount = roundAmount(lines.reduce((total, line) => total + line.amount, 0));
+    return { bill, lines };
+}
+
+/**
+ * Replace a bill's lines
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} billId - bills id
+ * @param {Array<Object>} lines - normalizeBill() lines
+ */
+async function saveBillLines(client, billId, lines) {
+    await client.query('DELETE FROM bill_lines WHERE bill_id = $1', [billId]);
+    for (const [index, line] of lines.entries()) {
+        await client.query(
+            `INSERT INTO bill_lines
+                (bill_id, line_number, account_id, fund_id, functional_class, program_id, allocation_rule_id, amount, description)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [billId, index + 1, line.account_id, line.fund_id, line.functional_class, line.program_id,
+             line.allocation_rule_id, line.amount, line.description]
+        );
+    }
+}
+
+/**
+ * Load a bill with its lines and payments
+ * @param {Object} db - pg pool or client
+ * @param {string} billId - bills id
+ * @param {Object} [options]
+ * @param {boolean} [options.forUpdate] - Lock the bill row
+ * @returns {Promise<Object>}
+ */
+async function getBill(db, billId, { forUpdate } = {}) {
+    const { rows } = await db.query(`${BILL_SELECT} WHERE b.id = $1 ${forUpdate ? 'FOR UPDATE OF b' : ''}`, [billId]);
+    if (rows.length === 0) {
+        throw createRequestError('Bill not found', null, 404);
+    }
+    const { rows: lines } = await db.query(
+        `SELECT bl.id, bl.line_number, bl.account_id, a.code AS account_code, a.name AS account_name,
+                bl.fund_id, f.code AS fund_code, bl.functional_class, bl.program_id, bl.allocation_rule_id,
+                bl.amount, bl.description
+           FROM bill_lines bl
+           JOIN accounts a ON a.id = bl.account_id
+           JOIN funds f ON f.id = bl.fund_id
+          WHERE bl.bill_id = $1
+          ORDER BY bl.line_number`,
+        [billId]
+    );
+    const { rows: payments } = await db.query(
+        `SELECT pi.id, pi.payment_batch_id, pb.batch_number, pi.amount, pi.status, pi.journal_entry_id,
+                to_char(pb.effective_date, 'YYYY-MM-DD') AS effective_date
+           FROM payment_items pi
+           JOIN payment_batches pb ON pb.id = pi.payment_batch_id
+          WHERE pi.bill_id = $1
+          ORDER BY pb.effective_date, pi.created_at`,
+        [billId]
+    );
+    const bill = rows[0];
+    return {
+        ...bill,
+        lines,
+        payments,
+        balance: roundAmount(parseFloat(bill.total_amount) - parseFloat(bill.paid_amount))
+    };
+}
+
+/**
+ * Amount of each fund in a bill's expense coding
+ * @param {Array<Object>} lines - Bill lines { fund_id, amount }
+ * @returns {Array<{fund_id: string, amount: number}>}
+ */
+function fundTotals(lines) {
+    const totals = new Map();
+    lines.forEach(line => totals.set(line.fund_id, roundAmount((totals.get(line.fund_id) || 0) + parseFloat(line.amount))));
+    return [...totals.entries()].map(([fundId, amount]) => ({ fund_id: fundId, amount }));
+}
+
+/**
+ * Split an amount across funds in proportion to their totals; the last fund
+ * takes the rounding difference
+ * @param {number} amount - Amount to split
+ * @param {Array<{fund_id: string, amount: number}>} funds - Fund totals
+ * @returns {Array<{fund_id: string, amount: number}>}
+ */
+function splitByFund(amount, funds) {
+    const total = funds.reduce((sum, fund) => sum + fund.amount, 0);
+    const shares = funds.map(fund => ({ fund_id: fund.fund_id, amount: roundAmount(amount * fund.amount / total) }));
+    const allocated = shares.slice(0, -1).reduce((sum, share) => sum + share.amount, 0);
+    shares[shares.length - 1].amount = roundAmount(amount - allocated);
+    return shares.filter(share => share.amount !== 0);
+}
+
+/**
+ * Move a draft bill to pending_approval
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} billId - bills id
+ * @returns {Promise<Object>} The bill
+ */
+async function submitBill(client, billId) {
+    const bill = await getBill(client, billId, { forUpdate: true });
+    if (bill.status !== BILL_STATUS.DRAFT) {
+        throw createRequestError(`Only draft bills can be submitted (bill is ${bill.status})`, null, 409);
+    }
+    await client.query(
+        'UPDATE bills SET status = $1, updated_at = NOW() WHERE id = $2',
+        [BILL_STATUS.PENDING_APPROVAL, bill.id]
+    );
+    return getBill(client, bill.id);
+}
+
+/**
+ * Approve a bill and post it: each expense line against the AP account in
+ * the same fund
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} billId - bills id
+ * @param {Object} user - Approving user (required)
+ * @returns {Promise<Object>} The bill with `journal_entry`
+ */
+async function approveBill(client, billId, user) {
+    if (!user) {
+        throw createRequestError('Approving a bill requires an identified user (X-User-Id)', null, 403);
+    }
+    const bill = await getBill(client, billId, { forUpdate: true });
+    if (bill.status !== BILL_STATUS.PENDING_APPROVAL) {
+        throw createRequestError(`Only bills pending approval can be approved (bill is ${bill.status})`, null, 409);
+    }
+
+    const description = `${bill.vendor_name} invoice ${bill.invoice_number}`;
+    const lines = bill.lines.map(line => ({
+        account_id: line.account_id,
+        fund_id: line.fund_id,
+        functional_class: line.functional_class,
+        program_id: line.program_id,
+        allocation_rule_id: line.allocation_rule_id,
+        debit_amount: roundAmount(line.amount),
+        credit_amount: 0,
+        description: line.description || description
+    }));
+    fundTotals(bill.lines).forEach(fund => {
+        lines.push({
+            account_id: bill.ap_account_id,
+            fund_id: fund.fund_id,
+            debit_amount: 0,
+            credit_amount: fund.amount,
+            description
+        });
+    });
+    const entry = await saveJournalEntry(
+        client,
+        {
+            entity_id: bill.entity_id,
+            entry_date: bill.invoice_date,
+            reference_number: `BILL-${bill.vendor_code}-${bill.invoice_number}`,
+            description,
+            status: JOURNAL_ENTRY_STATUS.POSTED,
+            created_by: user.name,
+            entry_type: ENTRY_TYPE.STANDARD
+        },
+        lines,
+        null,
+        { user }
+    );
+    await client.query(
+        `UPDATE bills
+            SET status = $1, journal_entry_id = $2, approved_by = $3, approved_at = NOW(), updated_at = NOW()
+          WHERE id = $4`,
+        [BILL_STATUS.APPROVED, entry.id, user.id, bill.id]
+    );
+    return { ...(await getBill(client, bill.id)), journal_entry: entry };
+}
+
+/**
+ * Void a bill. Posted bills are reversed; bills with payments, or selected
+ * into a batch that has not been processed, cannot be voided.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} billId - bills id
+ * @param {Object} options
+ * @param {string} [options.reversalDate] - YYYY-MM-DD (default today)
+ * @param {Object|null} options.user - Acting user
+ * @returns {Promise<Object>} The bill
+ */
+async function voidBill(client, billId, { reversalDate, user }) {
+    const bill = await getBill(client, billId, { forUpdate: true });
+    if (bill.status === BILL_STATUS.VOID) {
+        throw createRequestError('The bill is already void', null, 409);
+    }
+    if (parseFloat(bill.paid_amount) > 0 || bill.payments.some(payment => OPEN_ITEM_STATUSES.includes(payment.status))) {
+        throw createRequestError('Bills with payments, or selected into a payment batch, cannot be voided', null, 409);
+    }
+    const voidedDate = reversalDate ? requireDate(reversalDate, 'reversal_date') : new Date().toISOString().split('T')[0];
+    if (bill.journal_entry_id) {
+        await reverseJournalEntry(client, bill.journal_entry_id, {
+            reversal_date: voidedDate,
+            description: `Void of ${bill.vendor_name} invoice ${bill.invoice_number}`,
+            created_by: user ? user.name : 'System',
+            user
+        });
+    }
+    await client.query(
+        'UPDATE bills SET status = $1, voided_date = $2, updated_at = NOW() WHERE id = $3',
+        [BILL_STATUS.VOID, voidedDate, bill.id]
+    );
+    return getBill(client, bill.id);
+}
+
+/**
+ * Select approved bills into a draft payment batch: one payment item per
+ * bill for its balance not already held by another open payment item, paid
+ * to the vendor's primary active bank account
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} batchId - payment_batches id
+ * @param {Array<string>} billIds - bills ids
+ * @returns {Promise<Array<Object>>} The payment_items created
+ */
+async function addBillsToBatch(client, batchId, billIds) {
+    if (!Array.isArray(billIds) || billIds.length === 0) {
+        throw createRequestError('bill_ids must list at least one bill');
+    }
+    const { rows: batches } = await client.query('SELECT * FROM payment_batches WHERE id = $1 FOR UPDATE', [batchId]);
+    if (batches.length === 0) {
+        throw createRequestError('Payment batch not found', null, 404);
+    }
+    const batch = batches[0];
+    if (batch.status !== 'draft') {
+        throw createRequestError(`Bills can only be added to draft batches (batch is ${batch.status})`, null, 409);
+    }
+
+    const errors = [];
+    const selected = [];
+    for (const billId of new Set(billIds)) {
+        const bill = await getBill(client, billId, { forUpdate: true });
+        const held = bill.payments
+            .filter(payment => OPEN_ITEM_STATUSES.includes(payment.status))
+            .reduce((total, payment) => total + parseFloat(payment.amount), 0);
+        const amount = roundAmount(bill.balance - held);
+        const { rows: [bankAccount] } = await client.query(
+            `SELECT id FROM vendor_bank_accounts
+              WHERE vendor_id = $1 AND status = 'active'
+              ORDER BY is_primary DESC, created_at
+              LIMIT 1`,
+            [bill.vendor_id]
+        );
+        if (!PAYABLE_STATUSES.includes(bill.status)) {
+            errors.push(`${bill.vendor_name} invoice ${bill.invoice_number} is ${bill.status}, not approved`);
+        } else if (batch.entity_id && bill.entity_id !== batch.entity_id) {
+            errors.push(`${bill.vendor_name} invoice ${bill.invoice_number} belongs to another entity`);
+        } else if (amount <= 0) {
+            errors.push(`${bill.vendor_name} invoice ${bill.invoice_number} has no balance left to pay`);
+        } else if (!bankAccount) {
+            errors.push(`${bill.vendor_name} has no active bank account`);
+        } else {
+            selected.push({ bill, amount, bankAccountId: bankAccount.id });
+        }
+    }
+    if (errors.length) {
+        throw createRequestError('Bills cannot be added to the batch', { errors });
+    }
+
+    const items = [];
+    for (const { bill, amount, bankAccountId } of selected) {
+        const { rows: [item] } = await client.query(
+            `INSERT INTO payment_items
+                (payment_batch_id, vendor_id, vendor_bank_account_id, bill_id, amount, memo,
+                 invoice_number, invoice_date, due_date)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING *`,
+            [batch.id, bill.vendor_id, bankAccountId, bill.id, amount,
+             `Invoice ${bill.invoice_number}`.slice(0, 80), bill.invoice_number, bill.invoice_date, bill.due_date]
+        );
+        items.push(item);
+    }
+    await refreshBatchTotals(client, batch.id);
+    return items;
+}
+
+/**
+ * Post a settled payment batch's bill payments: one payment entry (AP per
+ * bill and fund against the cash account of the settlement bank account, or
+ * cash_account_id when given), marking the items processed and the bills
+ * paid or partially paid. The batch status is the caller's (settleBatch in
+ * payment-approval-service.js).
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} batchId - payment_batches id
+ * @param {Object} options
+ * @param {string} [options.cashAccountId] - Cash account to credit
+ * @param {Object|null} options.user - Acting user
+ * @returns {Promise<Object>} { items, journal_entry }
+ */
+async function postBatchPayments(client, batchId, { cashAccountId, user }) {
+    const { rows: batches } = await client.query(
+        `SELECT pb.*, to_char(pb.effective_date, 'YYYY-MM-DD') AS effective_date_iso, ba.gl_account_id AS settlement_account_id
+           FROM payment_batches pb
+           LEFT JOIN company_nacha_settings ns ON ns.id = pb.nacha_settings_id
+           LEFT JOIN bank_accounts ba ON ba.id = ns.settlement_account_id
+          WHERE pb.id = $1
+          FOR UPDATE OF pb`,
+        [batchId]
+    );
+    if (batches.length === 0) {
+        throw createRequestError('Payment batch not found', null, 404);
+    }
+    const batch = batches[0];
+    const creditAccountId = cashAccountId || batch.settlement_account_id;
+    if (!creditAccountId) {
+        throw createRequestError(
+            "The batch's settlement bank account has no cash account; link it to a GL account or pass cash_account_id",
+            null,
+            409
+        );
+    }
+
+    const { rows: items } = await client.query(
+        `SELECT * FROM payment_items
+          WHERE payment_batch_id = $1 AND status = ANY($2) AND bill_id IS NOT NULL
+          ORDER BY created_at`,
+        [batch.id, OPEN_ITEM_STATUSES]
+    );
+    let entry = null;
+    if (items.length > 0) {
+        const lines = [];
+        const cashByFund = new Map();
+        const bills = new Map();
+        for (const item of items) {
+            const bill = await getBill(client, item.bill_id, { forUpdate: true });
+            if (batch.entity_id && bill.entity_id !== batch.entity_id) {
+                throw createRequestError(`${bill.vendor_name} invoice ${bill.invoice_number} belongs to another entity`);
+            }
+            bills.set(bill.id, bill);
+            const description = `Payment of ${bill.vendor_name} invoice ${bill.invoice_number}`;
+            splitByFund(roundAmount(item.amount), fundTotals(bill.lines)).forEach(share => {
+                lines.push({
+                    account_id: bill.ap_account_id,
+                    fund_id: share.fund_id,
+                    debit_amount: share.amount,
+                    credit_amount: 0,
+                    description
+                });
+                cashByFund.set(share.fund_id, roundAmount((cashByFund.get(share.fund_id) || 0) + share.amount));
+            });
+        }
+        cashByFund.forEach((amount, fundId) => {
+            lines.push({
+                account_id: creditAccountId,
+                fund_id: fundId,
+                debit_amount: 0,
+                credit_amount: amount,
+                description: `Payment batch ${batch.batch_number}`
+            });
+        });
+        const entityId = batch.entity_id || bills.values().next().value.entity_id;
+        entry = await saveJournalEntry(
+            client,
+            {
+                entity_id: entityId,
+                entry_date: batch.effective_date_iso,
+                reference_number: `PAY-${batch.batch_number}`,
+                description: `Vendor payments, batch ${batch.batch_number}`,
+                status: JOURNAL_ENTRY_STATUS.POSTED,
+                created_by: user ? user.name : 'System',
+                entry_type: ENTRY_TYPE.STANDARD
+            },
+            lines,
+            null,
+            { user }
+        );
+
+        for (const item of items) {
+            const bill = bills.get(item.bill_id);
+            const paid = roundAmount(parseFloat(bill.paid_amount) + parseFloat(item.amount));
+            bill.paid_amount = paid;
+            await client.query(
+                `UPDATE bills SET paid_amount = $1, status = $2, updated_at = NOW() WHERE id = $3`,
+                [paid, paid >= roundAmount(bill.total_amount) ? BILL_STATUS.PAID : BILL_STATUS.PARTIALLY_PAID, bill.id]
+            );
+            await client.query(
+                `UPDATE payment_items SET status = 'processed', journal_entry_id = $1, updated_at = NOW() WHERE id = $2`,
+                [entry.id, item.id]
+            );
+        }
+    }
+    return { items, journal_entry: entry };
+}
+
+/**
+ * Reverse ACH-returned bill payments: the returned items' share of their
+ * batch payment entry (cash back against AP, per fund) is posted as one
+ * entry and their bills are reopened. Items that were never posted (the
+ * batch had not settled) need no entry.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Array<Object>} items - Returned payment_items rows
+ * @param {Object} options
+ * @param {string} options.returnDate - YYYY-MM-DD
+ * @param {string} options.reference - Reference number of the entry
+ * @param {string} options.description - Entry description
+ * @param {Object|null} options.user - Acting user
+ * @returns {Promise<Object|null>} The journal entry, or null when none was needed
+ */
+async function postPaymentReturn(client, items, { returnDate, reference, description, user }) {
+    const posted = items.filter(item => item.bill_id && item.journal_entry_id);
+    if (posted.length === 0) {
+        return null;
+    }
+
+    const lines = [];
+    const bills = new Map();
+    let entityId = null;
+    for (const item of posted) {
+        const { rows: [cash] } = await client.query(
+            `SELECT account_id FROM journal_entry_lines
+              WHERE journal_entry_id = $1 AND credit_amount > 0
+              ORDER BY line_number
+              LIMIT 1`,
+            [item.journal_entry_id]
+        );
+        if (!cash) {
+            throw createRequestError(`The payment entry of returned item ${item.id} has no cash line`, null, 409);
+        }
+        const bill = bills.has(item.bill_id)
+            ? bills.get(item.bill_id).bill
+            : await getBill(client, item.bill_id, { forUpdate: true });
+        entityId = entityId || bill.entity_id;
+        const amount = roundAmount(item.amount);
+        const lineDescription = `Returned payment of ${bill.vendor_name} invoice ${bill.invoice_number}`;
+        splitByFund(amount, fundTotals(bill.lines)).forEach(share => {
+            lines.push({
+                account_id: cash.account_id,
+                fund_id: share.fund_id,
+                debit_amount: share.amount,
+                credit_amount: 0,
+                description: lineDescription
+            });
+            lines.push({
+                account_id: bill.ap_account_id,
+                fund_id: share.fund_id,
+                debit_amount: 0,
+                credit_amount: share.amount,
+                description: lineDescription
+            });
+        });
+        const returned = bills.has(bill.id) ? bills.get(bill.id).amount : 0;
+        bills.set(bill.id, { bill, amount: roundAmount(returned + amount) });
+    }
+
+    const entry = await saveJournalEntry(
+        client,
+        {
+            entity_id: entityId,
+            entry_date: returnDate,
+            reference_number: reference,
+            description,
+            status: JOURNAL_ENTRY_STATUS.POSTED,
+            created_by: user ? user.name : 'System',
+            entry_type: ENTRY_TYPE.STANDARD
+        },
+        lines,
+        null,
+        { user }
+    );
+
+    for (const { bill, amount } of bills.values()) {
+        const paid = Math.max(roundAmount(parseFloat(bill.paid_amount) - amount), 0);
+        bill.paid_amount = paid;
+        await client.query(
+            `UPDATE bills SET paid_amount = $1, status = $2, updated_at = NOW() WHERE id = $3`,
+            [paid, paid > 0 ? BILL_STATUS.PARTIALLY_PAID : BILL_STATUS.APPROVED, bill.id]
+        );
+    }
+    return entry;
+}
+
+/**
+ * AP aging at a date: each vendor's open bill balances by days past due
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Entity
+ * @param {string} [options.asOfDate] - YYYY-MM-DD (default today)
+ * @param {string} [options.vendorId] - Only this vendor
+ * @returns {Promise<Object>} { entity, asOfDate, vendors, totals }
+ */
+async function getApAging(db, { entityId, asOfDate, vendorId }) {
+    if (!entityId) {
+        throw createRequestError('entityId is required');
+    }
+    const date = asOfDate ? requireDate(asOfDate, 'asOfDate') : new Date().toISOString().split('T')[0];
+    const { rows: entities } = await db.query('SELECT id, name FROM entities WHERE id = $1', [entityId]);
+    if (entities.length === 0) {
+        throw createRequestError('Entity not found', null, 404);
+    }
+
+    // A void bill is still open at dates before its void; one voided while
+    // unposted never reached AP
+    const params = [entityId, date, [BILL_STATUS.DRAFT, BILL_STATUS.PENDING_APPROVAL]];
+    if (vendorId) {
+        params.push(vendorId);
+    }
+    const { rows } = await db.query(
+        `SELECT b.id, b.vendor_id, v.vendor_code, v.name AS vendor_name, b.invoice_number,
+                to_char(b.invoice_date, 'YYYY-MM-DD') AS invoice_date, to_char(b.due_date, 'YYYY-MM-DD') AS due_date,
+                b.total_amount,
+                COALESCE((SELECT SUM(pi.amount)
+                            FROM payment_items pi
+                            JOIN journal_entries je ON je.id = pi.journal_entry_id
+                           WHERE pi.bill_id = b.id AND pi.status = 'processed' AND je.entry_date <= $2), 0) AS paid_amount
+           FROM bills b
+           JOIN vendors v ON v.id = b.vendor_id
+          WHERE b.entity_id = $1 AND b.invoice_date <= $2 AND NOT (b.status = ANY($3))
+                AND (b.status <> 'void' OR (b.journal_entry_id IS NOT NULL AND b.voided_date > $2))
+                ${vendorId ? 'AND b.vendor_id = $4' : ''}
+          ORDER BY v.name, b.due_date, b.invoice_number`,
+        params
+    );
+
+    const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, 0]));
+    const totals = { ...emptyBuckets(), total: 0 };
+    const vendors = new Map();
+    rows.forEach(row => {
+        const balance = roundAmount(parseFloat(row.total_amount) - parseFloat(row.paid_amount));
+        if (balance <= 0) {
+            return;
+        }
+        const { daysPastDue, bucket } = agingBucket(date, row.due_date);
+        if (!vendors.has(row.vendor_id)) {
+            vendors.set(row.vendor_id, {
+                vendor_id: row.vendor_id,
+                vendor_code: row.vendor_code,
+                vendor_name: row.vendor_name,
+                bills: [],
+                ...emptyBuckets(),
+                total: 0
+            });
+        }
+        const vendor = vendors.get(row.vendor_id);
+        vendor.bills.push({
+            bill_id: row.id,
+            invoice_number: row.invoice_number,
+            invoice_date: row.invoice_date,
+            due_date: row.due_date,
+            days_past_due: Math.max(daysPastDue, 0),
+            bucket,
+            balance
+        });
+        [vendor, totals].forEach(target => {
+            target[bucket] = roundAmount(target[bucket] + balance);
+            target.total = roundAmount(target.total + balance);
+        });
+    });
+    return { entity: entities[0], asOfDate: date, vendors: [...vendors.values()], totals };
+}
+
+module.exports = {
+    BILL_STATUS,
+    OPEN_ITEM_STATUSES,
+    AGING_BUCKETS,
+    BILL_SELECT,
+    normalizeBill,
+    saveBillLines,
+    getBill,
+    submitBill,
+    approveBill,
+    voidBill,
+    addBillsToBatch,
+    postBatchPayments,
+    postPaymentReturn,
+    getApAging
+};
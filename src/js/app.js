@@ -18,6 +18,8 @@ const appState = {
     entities: [],
     accounts: [],
     funds: [],
+    programs: [],
+    allocationRules: [],
     journalEntries: [],
     bankAccounts: [],
     users: [],
@@ -60,12 +62,25 @@ function formatPercentage(value, total) {
 }
 
 // API Functions
+
+/**
+ * fetch() against the backend API. The page never names the acting user:
+ * X-User-Id must come from an authenticating proxy in front of the API
+ * (see README, "Acting user").
+ * @param {string} path - Path starting with /api/
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+function apiFetch(path, options = {}) {
+    return fetch(`${API_BASE}${path}`, options);
+}
+
 async function fetchData(endpoint) {
     try {
         console.log(`Fetching data from /api/${endpoint}...`);
         /* Use absolute URL pointing at the backend API (port 3000) to avoid
          * accidental requests to the static-file server on port 8080. */
-        const response = await fetch(`${API_BASE}/api/${endpoint}`);
+        const response = await apiFetch(`/api/${endpoint}`);
         if (!response.ok) {
             throw new Error(`API Error: ${response.status}`);
         }
@@ -80,7 +95,7 @@ async function fetchData(endpoint) {
 
 async function saveData(endpoint, data, method = 'POST') {
     try {
-        const response = await fetch(`${API_BASE}/api/${endpoint}`, {
+        const response = await apiFetch(`/api/${endpoint}`, {
             method,
             headers: {
                 'Content-Type': 'application/json'
@@ -88,7 +103,15 @@ async function saveData(endpoint, data, method = 'POST') {
             body: JSON.stringify(data)
         });
         if (!response.ok) {
-            throw new Error(`API Error: ${response.status}`);
+            let msg = `API Error: ${response.status}`;
+            try {
+                const body = await response.json();
+                if (body && (body.message || body.error)) msg = body.message || body.error;
+                if (body && body.details && Array.isArray(body.details.errors)) {
+                    msg += '\n' + body.details.errors.join('\n');
+                }
+            } catch {/* ignore */}
+            throw new Error(msg);
         }
         return await response.json();
     } catch (error) {
@@ -103,7 +126,7 @@ async function checkDatabaseConnection() {
         const dbStatusIndicator = document.getElementById('db-status-indicator');
         
         // Try to fetch entities as a connection test
-        const response = await fetch(`${API_BASE}/api/entities`);
+        const response = await apiFetch('/api/entities');
         if (response.ok) {
             if (dbStatusIndicator) {
                 dbStatusIndicator.textContent = 'DB Connected';
@@ -168,6 +191,57 @@ async function loadAccountData() {
     }
 }
 
+async function loadFunctionalClassificationData() {
+    try {
+        const [programs, allocationRules] = await Promise.all([
+            fetchData('programs'),
+            fetchData('allocation-rules')
+        ]);
+        appState.programs = programs;
+        appState.allocationRules = allocationRules;
+        return { programs, allocationRules };
+    } catch (error) {
+        console.error('Error loading functional classification data:', error);
+        return { programs: [], allocationRules: [] };
+    }
+}
+
+// Functional classification is edited as one select value:
+// a class name, "program:<id>" or "rule:<id>"
+function functionalClassificationOptions(entityId, selected, emptyLabel) {
+    const programs = appState.programs.filter(p => !entityId || p.entity_id === entityId);
+    const rules = appState.allocationRules.filter(r => !entityId || r.entity_id === entityId);
+    const option = (value, label) =>
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+    
+    return [
+        option('', emptyLabel),
+        ...programs.map(p => option(`program:${p.id}`, `Program: ${p.code} - ${p.name}`)),
+        option('Management & General', 'Management &amp; General'),
+        option('Fundraising', 'Fundraising'),
+        ...rules.map(r => option(`rule:${r.id}`, `Allocate: ${r.name}`))
+    ].join('');
+}
+
+function functionalClassificationValue(item) {
+    if (item.allocation_rule_id) return `rule:${item.allocation_rule_id}`;
+    if (item.program_id) return `program:${item.program_id}`;
+    return item.functional_class || '';
+}
+
+function parseFunctionalClassification(value) {
+    const classification = { functional_class: null, program_id: null, allocation_rule_id: null };
+    if (value.startsWith('rule:')) {
+        classification.allocation_rule_id = value.slice(5);
+    } else if (value.startsWith('program:')) {
+        classification.functional_class = 'Program';
+        classification.program_id = value.slice(8);
+    } else if (value) {
+        classification.functional_class = value;
+    }
+    return classification;
+}
+
 async function loadFundData() {
     try {
         const funds = await fetchData('funds');
@@ -179,6 +253,9 @@ async function loadFundData() {
         // Update dashboard fund balances
         updateDashboardFundBalances();
         
+        // Update donor restriction releases and register
+        loadRestrictionData();
+        
         return funds;
     } catch (error) {
         console.error('Error loading fund data:', error);
@@ -186,6 +263,240 @@ async function loadFundData() {
     }
 }
 
+async function loadRestrictionData() {
+    const releasesBody = document.querySelector('#restriction-releases-table tbody');
+    const registerTable = document.getElementById('restriction-register-table');
+    if (!releasesBody || !registerTable) return;
+    
+    const entityId = appState.selectedEntityId;
+    if (!entityId) {
+        releasesBody.innerHTML = '<tr><td colspan="6" class="text-center">Select an entity to see its donor restrictions</td></tr>';
+        registerTable.querySelector('tbody').innerHTML = '';
+        registerTable.querySelector('tfoot').innerHTML = '';
+        return;
+    }
+    
+    const asOfInput = document.getElementById('restriction-as-of-date');
+    if (!asOfInput.value) asOfInput.value = new Date().toISOString().split('T')[0];
+    
+    try {
+        const [releases, register] = await Promise.all([
+            fetchData(`restriction-releases?entityId=${entityId}&status=Proposed`),
+            fetchData(`restriction-register?entityId=${entityId}&asOfDate=${asOfInput.value}`)
+        ]);
+        
+        releasesBody.innerHTML = releases.length === 0
+            ? '<tr><td colspan="6" class="text-center">No proposed releases</td></tr>'
+            : releases.map(release => `
+                <tr>
+                    <td>${formatDate(release.release_date)}</td>
+                    <td>${release.fund_code} - ${release.fund_name}</td>
+                    <td>${release.release_type}</td>
+                    <td>${release.source_reference || ''}</td>
+                    <td>${formatCurrency(release.amount)}</td>
+                    <td>
+                        <button class="action-button btn-post-release" data-id="${release.id}">Post</button>
+                        <button class="action-button btn-dismiss-release" data-id="${release.id}">Dismiss</button>
+                    </td>
+                </tr>`).join('');
+        releasesBody.querySelectorAll('.btn-post-release').forEach(button => {
+            button.addEventListener('click', () => postRestrictionRelease(button.dataset.id));
+        });
+        releasesBody.querySelectorAll('.btn-dismiss-release').forEach(button => {
+            button.addEventListener('click', () => dismissRestrictionRelease(button.dataset.id));
+        });
+        
+        registerTable.querySelector('tbody').innerHTML = register.funds.length === 0
+            ? '<tr><td colspan="8" class="text-center">No temporarily restricted funds</td></tr>'
+            : register.funds.map(fund => `
+                <tr>
+                    <td>${fund.code}</td>
+                    <td>${fund.name}</td>
+                    <td>${fund.type}</td>
+                    <td>${fund.restriction_type || 'Manual'}</td>
+                    <td>${formatCurrency(fund.original_amount)}</td>
+                    <td>${formatCurrency(fund.released_amount)}</td>
+                    <td>${formatCurrency(fund.remaining_amount)}</td>
+                    <td>${formatCurrency(fund.pending_amount)}</td>
+                </tr>`).join('');
+        registerTable.querySelector('tfoot').innerHTML = `
+            <tr>
+                <td colspan="4"><strong>Total</strong></td>
+                <td><strong>${formatCurrency(register.totals.original_amount)}</strong></td>
+                <td><strong>${formatCurrency(register.totals.released_amount)}</strong></td>
+                <td><strong>${formatCurrency(register.totals.remaining_amount)}</strong></td>
+                <td><strong>${formatCurrency(register.totals.pending_amount)}</strong></td>
+            </tr>`;
+    } catch (error) {
+        console.error('Error loading donor restrictions:', error);
+        releasesBody.innerHTML = `<tr><td colspan="6" class="text-center">Error loading donor restrictions: ${error.message}</td></tr>`;
+    }
+}
+
+async function postRestrictionRelease(releaseId) {
+    if (!confirm('Post this release from donor restriction?')) return;
+    try {
+        await saveData(`restriction-releases/${releaseId}/post`, {});
+        await loadFundData();
+    } catch (error) {
+        console.error('Error posting release:', error);
+        alert('Error posting release: ' + error.message);
+    }
+}
+
+async function dismissRestrictionRelease(releaseId) {
+    const reason = prompt('Reason for dismissing this release:');
+    if (reason === null) return;
+    try {
+        await saveData(`restriction-releases/${releaseId}/dismiss`, { reason });
+        await loadRestrictionData();
+    } catch (error) {
+        console.error('Error dismissing release:', error);
+        alert('Error dismissing release: ' + error.message);
+    }
+}
+
+async function loadDonorStatementSettings() {
+    const templateInput = document.getElementById('statement-template-input');
+    const info = document.getElementById('statement-template-info');
+    if (!templateInput) return;
+    
+    const yearInput = document.getElementById('statement-year-input');
+    if (!yearInput.value) yearInput.value = new Date().getFullYear() - 1;
+    
+    const entityId = appState.selectedEntityId;
+    if (!entityId) {
+        info.textContent = 'Select an entity to edit its contribution statement template.';
+        templateInput.value = '';
+        return;
+    }
+    try {
+        const template = await fetchData(`donor-statements/template?entityId=${entityId}`);
+        templateInput.value = template.template;
+        info.textContent = (template.is_default
+            ? 'Using the default template.'
+            : `Last saved by ${template.updated_by} on ${formatDate(template.updated_at)}.`)
+            + ` Placeholders: ${template.placeholders.map(name => `{{${name}}}`).join(', ')}`;
+    } catch (error) {
+        console.error('Error loading statement template:', error);
+        info.textContent = `Error loading statement template: ${error.message}`;
+    }
+}
+
+async function saveDonorStatementTemplate() {
+    if (!appState.selectedEntityId) {
+        alert('Select an entity first.');
+        return;
+    }
+    try {
+        await saveData('donor-statements/template', {
+            entity_id: appState.selectedEntityId,
+            template: document.getElementById('statement-template-input').value
+        }, 'PUT');
+        await loadDonorStatementSettings();
+        alert('Statement template saved.');
+    } catch (error) {
+        console.error('Error saving statement template:', error);
+        alert('Error saving statement template: ' + error.message);
+    }
+}
+
+async function resetDonorStatementTemplate() {
+    if (!appState.selectedEntityId) return;
+    if (!confirm('Discard the saved template and use the default?')) return;
+    try {
+        const response = await apiFetch(`/api/donor-statements/template?entityId=${appState.selectedEntityId}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error(`API Error: ${response.status}`);
+        await loadDonorStatementSettings();
+    } catch (error) {
+        console.error('Error restoring statement template:', error);
+        alert('Error restoring statement template: ' + error.message);
+    }
+}
+
+function renderDonorStatementRows(statements) {
+    const tbody = document.querySelector('#donor-statements-table tbody');
+    tbody.innerHTML = statements.length === 0
+        ? '<tr><td colspan="7" class="text-center">No new or changed statements</td></tr>'
+        : statements.map(statement => `
+            <tr>
+                <td>${statement.donor_name}</td>
+                <td>${statement.status}</td>
+                <td>${statement.gift_count}</td>
+                <td>${formatCurrency(statement.total_amount)}</td>
+                <td>${formatCurrency(statement.goods_services_value)}</td>
+                <td>${formatCurrency(statement.deductible_amount)}</td>
+                <td>${statement.previous_generated_at ? formatDate(statement.previous_generated_at) : ''}</td>
+            </tr>`).join('');
+}
+
+async function previewDonorStatements() {
+    if (!appState.selectedEntityId) {
+        alert('Select an entity first.');
+        return;
+    }
+    const year = document.getElementById('statement-year-input').value;
+    const includeUnchanged = document.getElementById('statement-include-unchanged').checked;
+    try {
+        const result = await fetchData(`donor-statements?entityId=${appState.selectedEntityId}&year=${year}&includeUnchanged=${includeUnchanged}`);
+        renderDonorStatementRows(result.statements);
+    } catch (error) {
+        console.error('Error previewing statements:', error);
+        alert('Error previewing statements: ' + error.message);
+    }
+}
+
+async function generateDonorStatements() {
+    if (!appState.selectedEntityId) {
+        alert('Select an entity first.');
+        return;
+    }
+    // Open the window before the request so the browser does not block it
+    const printWindow = window.open('', '_blank');
+    try {
+        const result = await saveData('donor-statements', {
+            entity_id: appState.selectedEntityId,
+            year: document.getElementById('statement-year-input').value,
+            include_unchanged: document.getElementById('statement-include-unchanged').checked
+        });
+        renderDonorStatementRows(result.statements);
+        if (result.statements.length === 0) {
+            if (printWindow) printWindow.close();
+            alert('No new or changed statements to produce.');
+            return;
+        }
+        if (printWindow) {
+            printWindow.document.open();
+            printWindow.document.write(result.document);
+            printWindow.document.close();
+            printWindow.focus();
+            printWindow.print();
+        }
+    } catch (error) {
+        if (printWindow) printWindow.close();
+        console.error('Error generating statements:', error);
+        alert('Error generating statements: ' + error.message);
+    }
+}
+
+async function runScheduledReleases() {
+    if (!appState.selectedEntityId) {
+        alert('Select an entity first.');
+        return;
+    }
+    try {
+        const result = await saveData('restriction-releases/run-schedule', {
+            entity_id: appState.selectedEntityId,
+            as_of_date: document.getElementById('restriction-as-of-date').value
+        });
+        await loadFundData();
+        alert(`${result.releases.length} scheduled release(s) posted.`);
+    } catch (error) {
+        console.error('Error running scheduled releases:', error);
+        alert('Error running scheduled releases: ' + error.message);
+    }
+}
+
 async function loadJournalEntryData() {
     try {
         const journalEntries = await fetchData('journal-entries');
@@ -446,7 +757,7 @@ function updateDashboardRecentTransactions() {
             <td>${entry.reference_number || 'N/A'}</td>
             <td>${entry.description || 'N/A'}${appState.isConsolidatedView ? ` (${entityName})` : ''}</td>
             <td>${formatCurrency(entry.total_amount)}</td>
-            <td><span class="status status-${entry.status.toLowerCase()}">${entry.status}</span></td>
+            <td><span class="status status-${entry.status.toLowerCase().replace(/\s+/g, '-')}">${entry.status}</span></td>
         `;
         recentTransactionsTbody.appendChild(row);
     });
@@ -464,7 +775,7 @@ function updateDashboardUnpostedEntries() {
     
     let unpostedEntries = appState.journalEntries.filter(entry => 
         relevantEntityIds.includes(entry.entity_id) && 
-        entry.status === 'Draft'
+        (entry.status === 'Draft' || entry.status === 'Pending Approval')
     );
     
     // Sort by date (most recent first)
@@ -493,14 +804,20 @@ function updateDashboardUnpostedEntries() {
             <td>${formatCurrency(entry.total_amount)}</td>
             <td>${entry.created_by || 'System'}</td>
             <td>
-                <button class="action-button btn-post-entry" data-id="${entry.id}">Post</button>
+                ${entry.status === 'Draft'
+                    ? `<button class="action-button btn-submit-entry" data-id="${entry.id}">Submit</button>`
+                    : `<button class="action-button btn-post-entry" data-id="${entry.id}">Post</button>`}
                 <button class="action-button btn-edit-entry" data-id="${entry.id}">Edit</button>
             </td>
         `;
         unpostedEntriesTbody.appendChild(row);
     });
     
-    // Add event listeners for post and edit buttons
+    // Add event listeners for submit, post and edit buttons
+    unpostedEntriesTbody.querySelectorAll('.btn-submit-entry').forEach(button => {
+        button.addEventListener('click', () => submitJournalEntry(button.dataset.id));
+    });
+    
     unpostedEntriesTbody.querySelectorAll('.btn-post-entry').forEach(button => {
         button.addEventListener('click', () => postJournalEntry(button.dataset.id));
     });
@@ -673,12 +990,15 @@ function updateJournalEntriesTable() {
             <td>N/A</td>
             <td>${entityName}</td>
             <td>${formatCurrency(entry.total_amount)}</td>
-            <td><span class="status status-${entry.status.toLowerCase()}">${entry.status}</span></td>
+            <td><span class="status status-${entry.status.toLowerCase().replace(/\s+/g, '-')}">${entry.status}</span></td>
             <td>${entry.created_by || 'System'}</td>
             <td>
                 <button class="action-button btn-view-entry" data-id="${entry.id}">View</button>
-                ${entry.status === 'Draft' ? `<button class="action-button btn-edit-entry" data-id="${entry.id}">Edit</button>` : ''}
-                <button class="action-button btn-delete-entry" data-id="${entry.id}">Delete</button>
+                ${entry.status === 'Draft' || entry.status === 'Pending Approval' ? `<button class="action-button btn-edit-entry" data-id="${entry.id}">Edit</button>` : ''}
+                ${entry.status === 'Draft' ? `<button class="action-button btn-submit-entry" data-id="${entry.id}">Submit</button>` : ''}
+                ${entry.status === 'Pending Approval' ? `<button class="action-button btn-post-entry" data-id="${entry.id}">Post</button>` : ''}
+                ${entry.status === 'Posted' ? `<button class="action-button btn-reverse-entry" data-id="${entry.id}">Reverse</button>` : ''}
+                ${entry.status === 'Draft' ? `<button class="action-button btn-delete-entry" data-id="${entry.id}">Delete</button>` : ''}
             </td>
         `;
         journalEntriesTbody.appendChild(row);
@@ -693,6 +1013,19 @@ function updateJournalEntriesTable() {
         button.addEventListener('click', () => openJournalEntryModal(button.dataset.id));
     });
 
+    // workflow buttons
+    journalEntriesTbody.querySelectorAll('.btn-submit-entry').forEach(button => {
+        button.addEventListener('click', () => submitJournalEntry(button.dataset.id));
+    });
+    
+    journalEntriesTbody.querySelectorAll('.btn-post-entry').forEach(button => {
+        button.addEventListener('click', () => postJournalEntry(button.dataset.id));
+    });
+    
+    journalEntriesTbody.querySelectorAll('.btn-reverse-entry').forEach(button => {
+        button.addEventListener('click', () => reverseJournalEntry(button.dataset.id));
+    });
+
     // delete buttons
     journalEntriesTbody.querySelectorAll('.btn-delete-entry').forEach(button => {
         button.addEventListener('click', () => deleteJournalEntry(button.dataset.id));
@@ -1373,9 +1706,11 @@ function openFundModal(fundId = null) {
     // Update modal title
     document.getElementById('fund-modal-title').textContent = fundId ? 'Edit Fund' : 'Add Fund';
     
+    const fund = fundId ? appState.funds.find(f => f.id === fundId) : null;
+    populateFundRestrictionSettings(fund);
+    
     if (fundId) {
         // Edit mode - populate form with fund data
-        const fund = appState.funds.find(f => f.id === fundId);
         if (fund) {
             document.getElementById('edit-fund-id-input').value = fund.id;
             document.getElementById('fund-code-input').value = fund.code;
@@ -1394,17 +1729,57 @@ function openFundModal(fundId = null) {
         if (delBtn) delBtn.style.display = 'none';
     }
     
+    updateFundRestrictionVisibility();
+    
     // Show modal
     fundModal.classList.remove('hidden');
     fundModal.style.display = 'block';
 }
 
+// Fill the donor restriction release settings of the fund modal
+function populateFundRestrictionSettings(fund) {
+    const entityId = fund ? fund.entity_id : appState.selectedEntityId;
+    const option = (value, label, selected) =>
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+    
+    const releaseFundId = fund ? fund.release_fund_id || '' : '';
+    document.getElementById('fund-release-fund-select').innerHTML = [
+        option('', '-- Select Fund --', releaseFundId),
+        ...appState.funds
+            .filter(f => f.type === 'Unrestricted' && (!entityId || f.entity_id === entityId))
+            .map(f => option(f.id, `${f.code} - ${f.name}`, releaseFundId))
+    ].join('');
+    
+    const releaseAccountId = fund ? fund.release_account_id || '' : '';
+    document.getElementById('fund-release-account-select').innerHTML = [
+        option('', '-- Select Account --', releaseAccountId),
+        ...appState.accounts
+            .filter(a => ['Net Assets', 'Equity'].includes(a.type) && (!entityId || a.entity_id === entityId))
+            .map(a => option(a.id, `${a.code} - ${a.name}`, releaseAccountId))
+    ].join('');
+    
+    document.getElementById('fund-restriction-type-select').value = fund ? fund.restriction_type || '' : '';
+    document.getElementById('fund-release-mode-select').value = fund ? fund.release_mode || 'Propose' : 'Propose';
+    document.getElementById('fund-release-start-input').value = fund && fund.release_start_date ? String(fund.release_start_date).slice(0, 10) : '';
+    document.getElementById('fund-release-end-input').value = fund && fund.release_end_date ? String(fund.release_end_date).slice(0, 10) : '';
+    document.getElementById('fund-release-frequency-select').value = fund ? fund.release_frequency || 'Monthly' : 'Monthly';
+}
+
+// Release settings only apply to temporarily restricted funds
+function updateFundRestrictionVisibility() {
+    const restricted = document.getElementById('fund-type-select').value === 'Temporarily Restricted';
+    const restrictionType = document.getElementById('fund-restriction-type-select').value;
+    document.getElementById('fund-restriction-settings').style.display = restricted ? 'block' : 'none';
+    document.getElementById('fund-release-mode-group').style.display = restrictionType === 'Purpose' ? 'block' : 'none';
+    document.getElementById('fund-release-schedule-group').style.display = restrictionType === 'Time' ? 'flex' : 'none';
+}
+
 // Delete Fund
 async function deleteFund(fundId) {
     if (!fundId) return;
     if (!confirm('Are you sure you want to delete this fund? This action cannot be undone.')) return;
     try {
-        const response = await fetch(`/api/funds/${fundId}`, { method: 'DELETE' });
+        const response = await apiFetch(`/api/funds/${fundId}`, { method: 'DELETE' });
 
         /* --- Enhanced error handling ------------------------------------- */
         if (!response.ok) {
@@ -1453,18 +1828,22 @@ function openAccountModal(accountId = null) {
     // Update modal title
     document.getElementById('account-modal-title').textContent = accountId ? 'Edit Account' : 'Add Account';
     
-    if (accountId) {
+    const account = accountId ? appState.accounts.find(a => a.id === accountId) : null;
+    if (account) {
         // Edit mode - populate form with account data
-        const account = appState.accounts.find(a => a.id === accountId);
-        if (account) {
-            document.getElementById('edit-account-id-input').value = account.id;
-            document.getElementById('account-code-input').value = account.code;
-            document.getElementById('account-name-input').value = account.name;
-            document.getElementById('account-type-select').value = account.type || 'Asset';
-            document.getElementById('account-status-select').value = account.status || 'Active';
-            document.getElementById('account-description-textarea').value = account.description || '';
-        }
-    }
+        document.getElementById('edit-account-id-input').value = account.id;
+        document.getElementById('account-code-input').value = account.code;
+        document.getElementById('account-name-input').value = account.name;
+        document.getElementById('account-type-select').value = account.type || 'Asset';
+        document.getElementById('account-status-select').value = account.status || 'Active';
+        document.getElementById('account-description-textarea').value = account.description || '';
+    }
+    
+    document.getElementById('account-functional-select').innerHTML = functionalClassificationOptions(
+        account ? account.entity_id : appState.selectedEntityId,
+        account ? functionalClassificationValue(account) : '',
+        'None'
+    );
     
     // Show modal
     accountModal.classList.remove('hidden');
@@ -1497,6 +1876,25 @@ function openJournalEntryModal(entryId = null, readOnly = false) {
         }
     }
     
+    // Reset and populate lines
+    const linesTbody = document.getElementById('journal-lines');
+    if (linesTbody) {
+        linesTbody.innerHTML = '';
+        linesTbody.dataset.entityId = (entryId && appState.journalEntries.find(je => je.id === entryId)?.entity_id) || appState.selectedEntityId || '';
+        if (entryId) {
+            fetchData(`journal-entries/${entryId}/lines`).then(lines => {
+                lines.forEach(line => addJournalEntryLine(line, readOnly));
+                updateJournalEntryTotals();
+            });
+        } else {
+            addJournalEntryLine();
+            addJournalEntryLine();
+        }
+        updateJournalEntryTotals();
+    }
+    const addLineBtn = document.getElementById('add-journal-line');
+    if (addLineBtn) addLineBtn.style.display = readOnly ? 'none' : 'inline-block';
+    
     // Set read-only state if viewing
     if (readOnly) {
         document.getElementById('journal-entry-date').disabled = true;
@@ -1606,7 +2004,7 @@ async function deleteEntity(entityId) {
         }
         
         // Delete entity
-        await fetch(`/api/entities/${entityId}`, { method: 'DELETE' });
+        await apiFetch(`/api/entities/${entityId}`, { method: 'DELETE' });
         
         // Reload entity data
         await loadEntityData();
@@ -1627,7 +2025,14 @@ async function saveFund() {
         type: document.getElementById('fund-type-select').value,
         status: document.getElementById('fund-status-select').value,
         description: document.getElementById('fund-description-textarea').value,
-        entity_id: appState.selectedEntityId
+        entity_id: appState.selectedEntityId,
+        restriction_type: document.getElementById('fund-restriction-type-select').value || null,
+        release_mode: document.getElementById('fund-release-mode-select').value,
+        release_fund_id: document.getElementById('fund-release-fund-select').value || null,
+        release_account_id: document.getElementById('fund-release-account-select').value || null,
+        release_start_date: document.getElementById('fund-release-start-input').value || null,
+        release_end_date: document.getElementById('fund-release-end-input').value || null,
+        release_frequency: document.getElementById('fund-release-frequency-select').value
     };
     
     try {
@@ -1669,6 +2074,11 @@ async function saveAccount() {
         status: document.getElementById('account-status-select').value,
         description: document.getElementById('account-description-textarea').value
     };
+    if (accountData.type === 'Expense') {
+        Object.assign(accountData, parseFunctionalClassification(
+            document.getElementById('account-functional-select').value
+        ));
+    }
     
     try {
         let savedAccount;
@@ -1699,9 +2109,92 @@ async function saveAccount() {
     }
 }
 
+// Journal Entry Lines
+function addJournalEntryLine(line = {}, readOnly = false) {
+    const linesTbody = document.getElementById('journal-lines');
+    if (!linesTbody) return;
+    
+    const entityId = linesTbody.dataset.entityId;
+    const accounts = appState.accounts.filter(a => !entityId || a.entity_id === entityId);
+    const funds = appState.funds.filter(f => !entityId || f.entity_id === entityId);
+    const disabled = readOnly ? 'disabled' : '';
+    const amount = value => (parseFloat(value) ? parseFloat(value).toFixed(2) : '');
+    
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td>
+            <select class="form-input" data-field="accountId" ${disabled}>
+                <option value="">Select Account...</option>
+                ${accounts.map(a => `<option value="${a.id}" ${a.id === line.account_id ? 'selected' : ''}>${a.code} - ${a.name}</option>`).join('')}
+            </select>
+        </td>
+        <td>
+            <select class="form-input" data-field="fundId" ${disabled}>
+                <option value="">Select Fund...</option>
+                ${funds.map(f => `<option value="${f.id}" ${f.id === line.fund_id ? 'selected' : ''}>${f.code} - ${f.name}</option>`).join('')}
+            </select>
+        </td>
+        <td>
+            <select class="form-input" data-field="functional" ${disabled}>
+                ${functionalClassificationOptions(entityId, functionalClassificationValue(line), 'Account default')}
+            </select>
+        </td>
+        <td><input type="number" step="0.01" min="0" class="form-input" data-field="debit" value="${amount(line.debit_amount)}" ${disabled}></td>
+        <td><input type="number" step="0.01" min="0" class="form-input" data-field="credit" value="${amount(line.credit_amount)}" ${disabled}></td>
+        <td><input type="text" class="form-input" data-field="description" value="${line.description || ''}" ${disabled}></td>
+        <td>${readOnly ? '' : '<button class="action-button btn-remove-line">Remove</button>'}</td>
+    `;
+    
+    row.querySelectorAll('[data-field="debit"], [data-field="credit"]').forEach(input => {
+        input.addEventListener('input', updateJournalEntryTotals);
+    });
+    const removeBtn = row.querySelector('.btn-remove-line');
+    if (removeBtn) {
+        removeBtn.addEventListener('click', () => {
+            row.remove();
+            updateJournalEntryTotals();
+        });
+    }
+    
+    linesTbody.appendChild(row);
+}
+
+function collectJournalEntryLines() {
+    const linesTbody = document.getElementById('journal-lines');
+    if (!linesTbody) return [];
+    
+    return Array.from(linesTbody.querySelectorAll('tr')).map(row => ({
+        account_id: row.querySelector('[data-field="accountId"]').value,
+        fund_id: row.querySelector('[data-field="fundId"]').value || null,
+        ...parseFunctionalClassification(row.querySelector('[data-field="functional"]').value),
+        debit_amount: parseFloat(row.querySelector('[data-field="debit"]').value) || 0,
+        credit_amount: parseFloat(row.querySelector('[data-field="credit"]').value) || 0,
+        description: row.querySelector('[data-field="description"]').value
+    }));
+}
+
+function updateJournalEntryTotals() {
+    const lines = collectJournalEntryLines();
+    const totalDebits = lines.reduce((sum, l) => sum + l.debit_amount, 0);
+    const totalCredits = lines.reduce((sum, l) => sum + l.credit_amount, 0);
+    
+    document.getElementById('journal-total-debits').value = formatCurrency(totalDebits);
+    document.getElementById('journal-total-credits').value = formatCurrency(totalCredits);
+    document.getElementById('journal-difference').value = formatCurrency(totalDebits - totalCredits);
+    
+    return { totalDebits, totalCredits };
+}
+
 // Journal Entry Operations
 async function saveJournalEntry(status = 'Draft') {
     const entryId = document.getElementById('edit-je-id-input').value;
+    const lines = collectJournalEntryLines();
+    const { totalDebits, totalCredits } = updateJournalEntryTotals();
+    if (Math.round(totalDebits * 100) !== Math.round(totalCredits * 100)) {
+        alert('Journal entry is not balanced: total debits must equal total credits.');
+        return null;
+    }
+    
     const entryData = {
         entry_date: document.getElementById('journal-entry-date').value,
         reference_number: document.getElementById('journal-entry-reference').value,
@@ -1709,7 +2202,8 @@ async function saveJournalEntry(status = 'Draft') {
         is_inter_entity: document.getElementById('journal-entry-is-inter-entity').checked,
         status: status,
         entity_id: appState.selectedEntityId,
-        created_by: 'Current User' // This would be replaced with actual user info
+        created_by: 'Current User', // This would be replaced with actual user info
+        lines
     };
     
     try {
@@ -1741,38 +2235,75 @@ async function saveJournalEntry(status = 'Draft') {
     }
 }
 
+async function submitJournalEntry(entryId) {
+    try {
+        await saveData(`journal-entries/${entryId}/submit`, {});
+        await loadJournalEntryData();
+    } catch (error) {
+        console.error('Error submitting journal entry:', error);
+        alert('Error submitting journal entry: ' + error.message);
+    }
+}
+
 async function postJournalEntry(entryId) {
-    if (!confirm('Are you sure you want to post this journal entry? This action cannot be undone.')) {
+    if (!confirm('Are you sure you want to post this journal entry? Posted entries can only be corrected by reversing them.')) {
         return;
     }
     
     try {
-        const entry = appState.journalEntries.find(je => je.id === entryId);
-        if (!entry) {
-            throw new Error('Journal entry not found');
-        }
-        
-        // Update entry status to Posted
-        const updatedEntry = { ...entry, status: 'Posted' };
-        await saveData(`journal-entries/${entryId}`, updatedEntry, 'PUT');
+        const result = await saveData(`journal-entries/${entryId}/post`, { posted_by: 'Current User' });
         
         // Reload journal entry data
         await loadJournalEntryData();
         
-        alert('Journal entry posted successfully.');
+        const messages = ['Journal entry posted successfully.'];
+        const releases = result.restriction_releases || [];
+        if (releases.length > 0) {
+            const posted = releases.filter(r => r.status === 'Posted').length;
+            messages.push(`Releases from donor restriction: ${posted} posted, ${releases.length - posted} proposed.`);
+        }
+        (result.grant_warnings || []).forEach(warning => {
+            messages.push(`Grant warning (${warning.grant_name}): ${warning.message}`);
+        });
+        alert(messages.join('\n'));
     } catch (error) {
         console.error('Error posting journal entry:', error);
         alert('Error posting journal entry: ' + error.message);
     }
 }
 
+async function reverseJournalEntry(entryId) {
+    const reversalDate = prompt('Reversal date (YYYY-MM-DD):', new Date().toISOString().split('T')[0]);
+    if (!reversalDate) return;
+    const reenter = confirm('Create a draft copy of this entry to correct and re-enter?');
+    
+    try {
+        const result = await saveData(`journal-entries/${entryId}/reverse`, {
+            reversal_date: reversalDate,
+            created_by: 'Current User',
+            reenter
+        });
+        
+        await loadJournalEntryData();
+        
+        if (result.reentry) {
+            openJournalEntryModal(result.reentry.id);
+        } else {
+            alert('Journal entry reversed successfully.');
+        }
+    } catch (error) {
+        console.error('Error reversing journal entry:', error);
+        alert('Error reversing journal entry: ' + error.message);
+    }
+}
+
 // Delete Journal Entry
 async function deleteJournalEntry(entryId) {
     if (!entryId) return;
-    if (!confirm('Are you sure you want to delete this journal entry? This action cannot be undone.')) return;
+    if (!confirm('Are you sure you want to delete this draft journal entry? This action cannot be undone.')) return;
 
     try {
-        const response = await fetch(`/api/journal-entries/${entryId}`, { method: 'DELETE' });
+        const response = await apiFetch(`/api/journal-entries/${entryId}`, { method: 'DELETE' });
         if (!response.ok) {
             let msg = `API Error: ${response.status}`;
             try {
@@ -1843,6 +2374,198 @@ async function generateFundReport() {
         case 'funds-comparison-report':
             await generateFundsComparisonReport();
             break;
+        case 'trial-balance-report':
+            await generateTrialBalanceReport();
+            break;
+        case 'general-ledger-report':
+            await generateGeneralLedgerReport();
+            break;
+    }
+}
+
+// Entity, fund and date filters shared by the ledger reports
+function getFundReportFilters() {
+    const today = new Date().toISOString().split('T')[0];
+    const filters = {
+        entityId: appState.selectedEntityId || '',
+        consolidated: appState.isConsolidatedView ? 'true' : 'false',
+        asOfDate: document.getElementById('fund-reports-date-end').value || today
+    };
+    const fundId = document.getElementById('fund-reports-fund-select').value;
+    const startDate = document.getElementById('fund-reports-date-start').value;
+    if (fundId) filters.fundId = fundId;
+    if (startDate) filters.startDate = startDate;
+    return filters;
+}
+
+async function generateTrialBalanceReport() {
+    const contentDiv = document.getElementById('trial-balance-content');
+    const filters = getFundReportFilters();
+    document.getElementById('general-ledger-detail').innerHTML = '';
+    
+    try {
+        contentDiv.innerHTML = '<p>Loading report...</p>';
+        const data = await fetchData(`reports/trial-balance?${new URLSearchParams(filters)}`);
+        const fund = appState.funds.find(f => f.id === data.fundId);
+        
+        const rows = data.accounts.map(a => `
+            <tr class="clickable-row" data-account-id="${a.account_id}" title="Show general ledger detail">
+                <td>${a.code}</td>
+                <td>${a.name}</td>
+                <td>${a.type}</td>
+                <td>${formatCurrency(a.opening_balance)}</td>
+                <td>${formatCurrency(a.period_debits)}</td>
+                <td>${formatCurrency(a.period_credits)}</td>
+                <td>${a.ending_debit ? formatCurrency(a.ending_debit) : ''}</td>
+                <td>${a.ending_credit ? formatCurrency(a.ending_credit) : ''}</td>
+            </tr>
+        `).join('');
+        
+        contentDiv.innerHTML = `
+            <h4>${data.entity.name}${data.consolidated ? ' (Consolidated)' : ''}${fund ? ` - ${fund.name} (${fund.code})` : ''}</h4>
+            <p><em>${formatDate(data.startDate)} to ${formatDate(data.asOfDate)}</em></p>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Code</th><th>Account</th><th>Type</th><th>Opening Balance</th>
+                        <th>Debits</th><th>Credits</th><th>Ending Debit</th><th>Ending Credit</th>
+                    </tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="8">No posted activity.</td></tr>'}</tbody>
+                <tfoot>
+                    <tr>
+                        <td colspan="3"><strong>Totals</strong></td>
+                        <td><strong>${formatCurrency(data.totals.opening_balance)}</strong></td>
+                        <td><strong>${formatCurrency(data.totals.period_debits)}</strong></td>
+                        <td><strong>${formatCurrency(data.totals.period_credits)}</strong></td>
+                        <td><strong>${formatCurrency(data.totals.ending_debit)}</strong></td>
+                        <td><strong>${formatCurrency(data.totals.ending_credit)}</strong></td>
+                    </tr>
+                </tfoot>
+            </table>
+            ${data.isBalanced ? '<p>Trial balance is in balance.</p>' : '<p class="error">Trial balance is out of balance: debits do not equal credits.</p>'}
+        `;
+        
+        contentDiv.querySelectorAll('tr[data-account-id]').forEach(row => {
+            row.addEventListener('click', () => showGeneralLedgerDetail(row.dataset.accountId, data));
+        });
+    } catch (error) {
+        contentDiv.innerHTML = `<p class="error">Error generating report: ${error.message}</p>`;
+    }
+}
+
+function showGeneralLedgerDetail(accountId, trialBalance) {
+    const params = new URLSearchParams({
+        entityId: trialBalance.entity.id,
+        consolidated: trialBalance.consolidated ? 'true' : 'false',
+        accountId,
+        startDate: trialBalance.startDate,
+        endDate: trialBalance.asOfDate
+    });
+    if (trialBalance.fundId) params.set('fundId', trialBalance.fundId);
+    
+    const detailDiv = document.getElementById('general-ledger-detail');
+    return loadGeneralLedger(detailDiv, params, 1).then(() => {
+        detailDiv.scrollIntoView({ behavior: 'smooth' });
+    });
+}
+
+async function generateGeneralLedgerReport() {
+    const { asOfDate, ...filters } = getFundReportFilters();
+    const params = new URLSearchParams({ ...filters, endDate: asOfDate });
+    const accountFrom = document.getElementById('general-ledger-account-from').value.trim();
+    const accountTo = document.getElementById('general-ledger-account-to').value.trim();
+    if (accountFrom) params.set('accountFrom', accountFrom);
+    if (accountTo) params.set('accountTo', accountTo);
+    if (document.getElementById('general-ledger-group-by-fund').checked) params.set('groupByFund', 'true');
+    
+    await loadGeneralLedger(document.getElementById('general-ledger-content'), params, 1);
+}
+
+// Fetch one page of the general ledger into a container, with Previous/Next paging
+async function loadGeneralLedger(container, params, page) {
+    params.set('page', page);
+    
+    try {
+        container.innerHTML = '<p>Loading general ledger...</p>';
+        const data = await fetchData(`reports/general-ledger?${params}`);
+        
+        const groups = data.groups.map(group => {
+            const first = group.lines[0];
+            const balanceForward = first.running_balance - first.debit_amount + first.credit_amount;
+            const rows = group.lines.map(line => `
+                <tr>
+                    <td>${formatDate(line.entry_date)}</td>
+                    <td>${line.reference_number || 'N/A'}</td>
+                    <td>${line.description || line.entry_description || ''}</td>
+                    <td>${line.fund_code || ''}</td>
+                    <td>${line.counterpart_accounts.map(a => a.code).join(', ')}</td>
+                    <td>${line.debit_amount ? formatCurrency(line.debit_amount) : ''}</td>
+                    <td>${line.credit_amount ? formatCurrency(line.credit_amount) : ''}</td>
+                    <td>${formatCurrency(line.running_balance)}</td>
+                </tr>
+            `).join('');
+            
+            return `
+                <h4>${group.code} - ${group.name}${group.fund_id ? ` / ${group.fund_code} - ${group.fund_name}` : ''}</h4>
+                <p><em>Opening ${formatCurrency(group.opening_balance)} &middot; Debits ${formatCurrency(group.period_debits)} &middot; Credits ${formatCurrency(group.period_credits)} &middot; Ending ${formatCurrency(group.ending_balance)}</em></p>
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Date</th><th>Reference</th><th>Description</th><th>Fund</th><th>Counterpart Accounts</th><th>Debit</th><th>Credit</th><th>Balance</th></tr>
+                    </thead>
+                    <tbody>
+                        <tr><td colspan="7"><strong>Balance forward</strong></td><td><strong>${formatCurrency(balanceForward)}</strong></td></tr>
+                        ${rows}
+                    </tbody>
+                </table>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <p><em>${formatDate(data.startDate)} to ${formatDate(data.endDate)} &middot; ${data.totalLines} lines</em></p>
+            ${groups || '<p>No posted activity.</p>'}
+            <div class="report-pager" style="display: flex; align-items: center; gap: 10px; margin-top: 20px;">
+                <button class="action-button" data-page="${data.page - 1}" ${data.page <= 1 ? 'disabled' : ''}>Previous</button>
+                <span>Page ${data.page} of ${data.totalPages}</span>
+                <button class="action-button" data-page="${data.page + 1}" ${data.page >= data.totalPages ? 'disabled' : ''}>Next</button>
+            </div>
+        `;
+        
+        container.querySelectorAll('.report-pager button').forEach(btn => {
+            btn.addEventListener('click', () => loadGeneralLedger(container, params, parseInt(btn.dataset.page, 10)));
+        });
+    } catch (error) {
+        container.innerHTML = `<p class="error">Error loading general ledger: ${error.message}</p>`;
+    }
+}
+
+async function generateFundsComparisonReport() {
+    const contentDiv = document.getElementById('funds-comparison-content');
+    
+    try {
+        contentDiv.innerHTML = '<p>Loading report...</p>';
+        const data = await fetchData('reports/funds-comparison');
+        
+        contentDiv.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>Code</th><th>Fund</th><th>Debits</th><th>Credits</th><th>Balance</th></tr>
+                </thead>
+                <tbody>
+                    ${data.map(f => `
+                        <tr>
+                            <td>${f.code}</td>
+                            <td>${f.name}</td>
+                            <td>${formatCurrency(f.total_debits)}</td>
+                            <td>${formatCurrency(f.total_credits)}</td>
+                            <td>${formatCurrency(f.balance)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        contentDiv.innerHTML = `<p class="error">Error generating report: ${error.message}</p>`;
     }
 }
 
@@ -2092,6 +2815,37 @@ function initializeNavigation() {
         });
     });
 
+    // Fund Reports tabs and Generate button
+    const fundReportsPage = document.getElementById('fund-reports-page');
+    if (fundReportsPage) {
+        fundReportsPage.querySelectorAll('.tab-item').forEach(tab => {
+            tab.addEventListener('click', e => showTab(fundReportsPage, e.currentTarget.dataset.tab));
+        });
+        const generateBtn = document.getElementById('fund-reports-generate');
+        if (generateBtn) generateBtn.addEventListener('click', generateFundReport);
+    }
+
+    // Fund modal release settings and donor restrictions section
+    ['fund-type-select', 'fund-restriction-type-select'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.addEventListener('change', updateFundRestrictionVisibility);
+    });
+    const runReleasesBtn = document.getElementById('btnRunScheduledReleases');
+    if (runReleasesBtn) runReleasesBtn.addEventListener('click', runScheduledReleases);
+    const restrictionAsOf = document.getElementById('restriction-as-of-date');
+    if (restrictionAsOf) restrictionAsOf.addEventListener('change', loadRestrictionData);
+
+    // Donor contribution statements
+    [
+        ['btnSaveStatementTemplate', saveDonorStatementTemplate],
+        ['btnResetStatementTemplate', resetDonorStatementTemplate],
+        ['btnPreviewStatements', previewDonorStatements],
+        ['btnGenerateStatements', generateDonorStatements]
+    ].forEach(([id, handler]) => {
+        const button = document.getElementById(id);
+        if (button) button.addEventListener('click', handler);
+    });
+
     // Settings tabs
     const settingsPage = document.getElementById('settings-page');
     if (settingsPage) {
@@ -2103,6 +2857,9 @@ function initializeNavigation() {
                 if (tabId === 'settings-bank-accounts' && typeof loadBankAccountData === 'function') {
                     loadBankAccountData();
                 }
+                if (tabId === 'settings-donor-statements') {
+                    loadDonorStatementSettings();
+                }
             });
         });
     }
@@ -2145,6 +2902,28 @@ function initializeNavigation() {
      * modal.  This listener was previously missing, causing the “Save”
      * button to appear unresponsive.
      * ------------------------------------------------------------------ */
+    /* ------------------------------------------------------------------
+     * Journal Entry Modal – lines and save buttons
+     * "Save & Submit" sends the entry for approval; posting happens from
+     * the journal entries list.
+     * ------------------------------------------------------------------ */
+    const btnNewJournalEntry = document.getElementById('btnNewJournalEntry');
+    if (btnNewJournalEntry) {
+        btnNewJournalEntry.addEventListener('click', () => openJournalEntryModal());
+    }
+    const btnAddJournalLine = document.getElementById('add-journal-line');
+    if (btnAddJournalLine) {
+        btnAddJournalLine.addEventListener('click', () => addJournalEntryLine());
+    }
+    const btnSaveJournalDraft = document.getElementById('btn-save-journal-draft');
+    if (btnSaveJournalDraft) {
+        btnSaveJournalDraft.addEventListener('click', () => saveJournalEntry('Draft'));
+    }
+    const btnSaveJournalPost = document.getElementById('btn-save-journal-post');
+    if (btnSaveJournalPost) {
+        btnSaveJournalPost.addEventListener('click', () => saveJournalEntry('Pending Approval'));
+    }
+
     const btnSaveEntity = document.getElementById('btn-save-entity');
     if (btnSaveEntity) {
         btnSaveEntity.addEventListener('click', async () => {
@@ -2169,6 +2948,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         loadEntityData(),
         loadFundData(),
         loadAccountData(),
+        loadFunctionalClassificationData(),
         loadJournalEntryData(),
         loadUserData()
     ]);
@@ -0,0 +1,72 @@
+/**
+ * balance-api.js
+ *
+ * API endpoints for derived balances (see balance-service.js): balances per
+ * account and fund, the drift check between the balance summary and the
+ * ledger, and a rebuild of the summary.
+ */
+
+const { createRequestError } = require('./request-error');
+const { withTransaction } = require('./db-transaction');
+const { getRequestUser, isAdministrator } = require('./request-user');
+const {
+    getAccountBalances,
+    getFundBalances,
+    checkBalanceDrift,
+    rebuildLedgerBalances
+} = require('./balance-service');
+
+/**
+ * Register balance API routes
+ * @param {Object} app - Express application
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+function registerBalanceRoutes(app, pool) {
+    const asyncHandler = fn => (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+
+    /**
+     * GET /api/balances/accounts
+     * Posted debit and credit totals and normal-sign balance per account,
+     * optionally for one entity
+     */
+    app.get('/api/balances/accounts', asyncHandler(async (req, res) => {
+        const balances = await getAccountBalances(pool, { entityId: req.query.entityId });
+        res.json([...balances].map(([accountId, balance]) => ({ account_id: accountId, ...balance })));
+    }));
+
+    /**
+     * GET /api/balances/funds
+     * Posted debit and credit totals and net assets per fund, optionally for
+     * one entity
+     */
+    app.get('/api/balances/funds', asyncHandler(async (req, res) => {
+        const balances = await getFundBalances(pool, { entityId: req.query.entityId });
+        res.json([...balances].map(([fundId, balance]) => ({ fund_id: fundId, ...balance })));
+    }));
+
+    /**
+     * GET /api/balances/drift
+     * Account and fund combinations where the balance summary differs from
+     * the posted ledger
+     */
+    app.get('/api/balances/drift', asyncHandler(async (req, res) => {
+        res.json(await checkBalanceDrift(pool));
+    }));
+
+    /**
+     * POST /api/balances/rebuild
+     * Recompute the balance summary from the ledger (administrators only)
+     */
+    app.post('/api/balances/rebuild', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        if (!isAdministrator(user)) {
+            throw createRequestError('Only administrators can rebuild balances', null, 403);
+        }
+        const rows = await withTransaction(pool, client => rebuildLedgerBalances(client));
+        res.json({ rows, ...(await checkBalanceDrift(pool)) });
+    }));
+}
+
+module.exports = registerBalanceRoutes;
@@ -0,0 +1,304 @@
+/**
+ * balance-service.js
+ *
+ * The one source of account, fund and bank account balances. Balances are
+ * read from `ledger_balances`, which holds posted debit and credit totals per
+ * account and fund and is maintained by database triggers on journal entries
+ * and their lines (LEDGER_BALANCES_SCHEMA below, and db-init.sql):
+ * lines count while their entry is Posted or Reversed, the same rule the
+ * financial statements use. The stored `balance` columns on accounts, funds
+ * and bank_accounts are no longer read.
+ *
+ * checkBalanceDrift() compares the summary with the ledger and
+ * rebuildLedgerBalances() recomputes it from scratch.
+ */
+
+const { roundAmount } = require('./financial-report-service');
+const { POSTED_STATUSES } = require('./journal-entry-service');
+
+/**
+ * The ledger_balances table and the triggers that keep it current (lines
+ * count while their entry is in POSTED_STATUSES); run at startup by
+ * initializeDatabase() in server.js
+ */
+const LEDGER_BALANCES_SCHEMA = `
+    CREATE TABLE IF NOT EXISTS ledger_balances (
+        account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+        fund_id UUID REFERENCES funds(id) ON DELETE CASCADE,
+        debit_total DECIMAL(19,4) NOT NULL DEFAULT 0,
+        credit_total DECIMAL(19,4) NOT NULL DEFAULT 0,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE NULLS NOT DISTINCT (account_id, fund_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_ledger_balances_fund_id ON ledger_balances(fund_id);
+
+    CREATE OR REPLACE FUNCTION ledger_balances_apply(p_account_id UUID, p_fund_id UUID, p_debit NUMERIC, p_credit NUMERIC)
+    RETURNS VOID AS $$
+    BEGIN
+        INSERT INTO ledger_balances (account_id, fund_id, debit_total, credit_total)
+        VALUES (p_account_id, p_fund_id, COALESCE(p_debit, 0), COALESCE(p_credit, 0))
+        ON CONFLICT (account_id, fund_id) DO UPDATE
+           SET debit_total = ledger_balances.debit_total + EXCLUDED.debit_total,
+               credit_total = ledger_balances.credit_total + EXCLUDED.credit_total,
+               updated_at = NOW();
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE OR REPLACE FUNCTION ledger_balances_line_change()
+    RETURNS TRIGGER AS $$
+    BEGIN
+        IF TG_OP IN ('UPDATE', 'DELETE') AND EXISTS (
+            SELECT 1 FROM journal_entries
+             WHERE id = OLD.journal_entry_id AND status IN ('Posted', 'Reversed')
+        ) THEN
+            PERFORM ledger_balances_apply(OLD.account_id, OLD.fund_id, -OLD.debit_amount, -OLD.credit_amount);
+        END IF;
+        IF TG_OP IN ('INSERT', 'UPDATE') AND EXISTS (
+            SELECT 1 FROM journal_entries
+             WHERE id = NEW.journal_entry_id AND status IN ('Posted', 'Reversed')
+        ) THEN
+            PERFORM ledger_balances_apply(NEW.account_id, NEW.fund_id, NEW.debit_amount, NEW.credit_amount);
+        END IF;
+        RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    -- Entry status changes move all of its lines in or out; deleting a
+    -- posted entry takes its lines out before they cascade away
+    CREATE OR REPLACE FUNCTION ledger_balances_entry_change()
+    RETURNS TRIGGER AS $$
+    DECLARE
+        was_posted BOOLEAN := COALESCE(OLD.status IN ('Posted', 'Reversed'), FALSE);
+        is_posted BOOLEAN := FALSE;
+    BEGIN
+        IF TG_OP = 'UPDATE' THEN
+            is_posted := COALESCE(NEW.status IN ('Posted', 'Reversed'), FALSE);
+        END IF;
+        IF was_posted <> is_posted THEN
+            PERFORM ledger_balances_apply(
+                l.account_id, l.fund_id,
+                CASE WHEN is_posted THEN l.debit_amount ELSE -l.debit_amount END,
+                CASE WHEN is_posted THEN l.credit_amount ELSE -l.credit_amount END
+            )
+              FROM journal_entry_lines l
+             WHERE l.journal_entry_id = OLD.id;
+        END IF;
+        IF TG_OP = 'DELETE' THEN
+            RETURN OLD;
+        END IF;
+        RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE OR REPLACE TRIGGER ledger_balances_lines
+        AFTER INSERT OR UPDATE OR DELETE ON journal_entry_lines
+        FOR EACH ROW EXECUTE FUNCTION ledger_balances_line_change();
+    CREATE OR REPLACE TRIGGER ledger_balances_entry_status
+        AFTER UPDATE OF status ON journal_entries
+        FOR EACH ROW EXECUTE FUNCTION ledger_balances_entry_change();
+    CREATE OR REPLACE TRIGGER ledger_balances_entry_delete
+        BEFORE DELETE ON journal_entries
+        FOR EACH ROW EXECUTE FUNCTION ledger_balances_entry_change();
+`;
+
+// Account types whose balance is normally a credit
+const CREDIT_NORMAL_TYPES = ['Liability', 'Equity', 'Net Assets', 'Revenue'];
+
+/**
+ * Balance of an account in its normal sign (debits minus credits for assets
+ * and expenses, credits minus debits otherwise)
+ * @param {string} type - Account type
+ * @param {number|string} debitTotal
+ * @param {number|string} creditTotal
+ * @returns {number}
+ */
+function normalBalance(type, debitTotal, creditTotal) {
+    const net = (parseFloat(debitTotal) || 0) - (parseFloat(creditTotal) || 0);
+    return roundAmount(CREDIT_NORMAL_TYPES.includes(type) ? -net : net);
+}
+
+/**
+ * Posted totals and balance per account
+ * @param {Object} db - pg pool or client
+ * @param {Object} [options]
+ * @param {string} [options.entityId] - Only accounts of this entity
+ * @returns {Promise<Map<string, {debit_total: number, credit_total: number, balance: number}>>}
+ */
+async function getAccountBalances(db, { entityId } = {}) {
+    const { rows } = await db.query(
+        `SELECT a.id, a.type,
+                COALESCE(SUM(b.debit_total), 0) AS debit_total,
+                COALESCE(SUM(b.credit_total), 0) AS credit_total
+           FROM accounts a
+           LEFT JOIN ledger_balances b ON b.account_id = a.id
+          ${entityId ? 'WHERE a.entity_id = $1' : ''}
+          GROUP BY a.id, a.type`,
+        entityId ? [entityId] : []
+    );
+    return new Map(rows.map(row => [row.id, {
+        debit_total: roundAmount(row.debit_total),
+        credit_total: roundAmount(row.credit_total),
+        balance: normalBalance(row.type, row.debit_total, row.credit_total)
+    }]));
+}
+
+/**
+ * Posted totals and balance per fund. A fund's balance is its net assets:
+ * asset balances less liability balances on lines of that fund.
+ * @param {Object} db - pg pool or client
+ * @param {Object} [options]
+ * @param {string} [options.entityId] - Only funds of this entity
+ * @param {Array<string>} [options.fundIds] - Only these funds
+ * @returns {Promise<Map<string, {debit_total: number, credit_total: number, balance: number}>>}
+ */
+async function getFundBalances(db, { entityId, fundIds } = {}) {
+    const conditions = [];
+    const params = [];
+    if (entityId) {
+        params.push(entityId);
+        conditions.push(`f.entity_id = $${params.length}`);
+    }
+    if (fundIds) {
+        params.push(fundIds);
+        conditions.push(`f.id = ANY($${params.length}::uuid[])`);
+    }
+    const { rows } = await db.query(
+        `SELECT f.id,
+                COALESCE(SUM(b.debit_total), 0) AS debit_total,
+                COALESCE(SUM(b.credit_total), 0) AS credit_total,
+                COALESCE(SUM(b.debit_total - b.credit_total)
+                         FILTER (WHERE a.type IN ('Asset', 'Liability')), 0) AS net_assets
+           FROM funds f
+           LEFT JOIN ledger_balances b ON b.fund_id = f.id
+           LEFT JOIN accounts a ON a.id = b.account_id
+          ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+          GROUP BY f.id`,
+        params
+    );
+    return new Map(rows.map(row => [row.id, {
+        debit_total: roundAmount(row.debit_total),
+        credit_total: roundAmount(row.credit_total),
+        balance: roundAmount(row.net_assets)
+    }]));
+}
+
+/**
+ * Replace the stored balance of account rows with the derived one
+ * @param {Object} db - pg pool or client
+ * @param {Array<Object>} accounts - accounts rows
+ * @param {Object} [options] - Passed to getAccountBalances()
+ * @returns {Promise<Array<Object>>}
+ */
+async function withAccountBalances(db, accounts, options) {
+    const balances = await getAccountBalances(db, options);
+    return accounts.map(account => ({
+        ...account,
+        balance: (balances.get(account.id) || { balance: 0 }).balance
+    }));
+}
+
+/**
+ * Replace the stored balance of fund rows with the derived one
+ * @param {Object} db - pg pool or client
+ * @param {Array<Object>} funds - funds rows
+ * @param {Object} [options] - Passed to getFundBalances()
+ * @returns {Promise<Array<Object>>}
+ */
+async function withFundBalances(db, funds, options) {
+    const balances = await getFundBalances(db, options);
+    return funds.map(fund => ({
+        ...fund,
+        balance: (balances.get(fund.id) || { balance: 0 }).balance
+    }));
+}
+
+/**
+ * Replace the stored balance of bank account rows with the balance of their
+ * ledger cash account (`gl_account_id`); unlinked bank accounts have none
+ * @param {Object} db - pg pool or client
+ * @param {Array<Object>} bankAccounts - bank_accounts rows
+ * @returns {Promise<Array<Object>>}
+ */
+async function withBankAccountBalances(db, bankAccounts) {
+    const balances = await getAccountBalances(db);
+    return bankAccounts.map(bankAccount => {
+        const ledger = bankAccount.gl_account_id ? balances.get(bankAccount.gl_account_id) : null;
+        return { ...bankAccount, balance: ledger ? ledger.balance : null };
+    });
+}
+
+/**
+ * Compare ledger_balances with the posted ledger
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<{inSync: boolean, differences: Array<Object>}>}
+ */
+async function checkBalanceDrift(db) {
+    const { rows } = await db.query(
+        `WITH ledger AS (
+             SELECT jel.account_id, jel.fund_id,
+                    SUM(jel.debit_amount) AS debit_total,
+                    SUM(jel.credit_amount) AS credit_total
+               FROM journal_entry_lines jel
+               JOIN journal_entries je ON je.id = jel.journal_entry_id
+              WHERE je.status = ANY($1)
+              GROUP BY jel.account_id, jel.fund_id
+         )
+         SELECT COALESCE(b.account_id, l.account_id) AS account_id, a.code AS account_code, a.name AS account_name,
+                COALESCE(b.fund_id, l.fund_id) AS fund_id, f.code AS fund_code,
+                COALESCE(b.debit_total, 0) AS summary_debit_total,
+                COALESCE(b.credit_total, 0) AS summary_credit_total,
+                COALESCE(l.debit_total, 0) AS ledger_debit_total,
+                COALESCE(l.credit_total, 0) AS ledger_credit_total
+           FROM ledger_balances b
+           FULL OUTER JOIN ledger l
+             ON l.account_id = b.account_id AND l.fund_id IS NOT DISTINCT FROM b.fund_id
+           LEFT JOIN accounts a ON a.id = COALESCE(b.account_id, l.account_id)
+           LEFT JOIN funds f ON f.id = COALESCE(b.fund_id, l.fund_id)
+          WHERE COALESCE(b.debit_total, 0) <> COALESCE(l.debit_total, 0)
+             OR COALESCE(b.credit_total, 0) <> COALESCE(l.credit_total, 0)
+          ORDER BY a.code, f.code NULLS FIRST`,
+        [POSTED_STATUSES]
+    );
+    const differences = rows.map(row => ({
+        ...row,
+        summary_debit_total: roundAmount(row.summary_debit_total),
+        summary_credit_total: roundAmount(row.summary_credit_total),
+        ledger_debit_total: roundAmount(row.ledger_debit_total),
+        ledger_credit_total: roundAmount(row.ledger_credit_total)
+    }));
+    return { inSync: differences.length === 0, differences };
+}
+
+/**
+ * Recompute ledger_balances from the posted ledger. Blocks journal line
+ * writes until the surrounding transaction ends.
+ * @param {Object} client - pg client inside a transaction
+ * @returns {Promise<number>} Number of balance rows written
+ */
+async function rebuildLedgerBalances(client) {
+    await client.query('LOCK TABLE journal_entry_lines IN SHARE MODE');
+    await client.query('DELETE FROM ledger_balances');
+    const { rowCount } = await client.query(
+        `INSERT INTO ledger_balances (account_id, fund_id, debit_total, credit_total)
+         SELECT jel.account_id, jel.fund_id, SUM(jel.debit_amount), SUM(jel.credit_amount)
+           FROM journal_entry_lines jel
+           JOIN journal_entries je ON je.id = jel.journal_entry_id
+          WHERE je.status = ANY($1)
+          GROUP BY jel.account_id, jel.fund_id`,
+        [POSTED_STATUSES]
+    );
+    return rowCount;
+}
+
+module.exports = {
+    LEDGER_BALANCES_SCHEMA,
+    CREDIT_NORMAL_TYPES,
+    normalBalance,
+    getAccountBalances,
+    getFundBalances,
+    withAccountBalances,
+    withFundBalances,
+    withBankAccountBalances,
+    checkBalanceDrift,
+    rebuildLedgerBalances
+};
@@ -0,0 +1,159 @@
+/**
+ * budget-api.js
+ *
+ * API endpoints for budget versions and their monthly lines, including CSV
+ * import. Budget vs. Actual is served with the other financial reports
+ * (financial-reports-api.js); the rules live in budget-service.js.
+ */
+
+const fs = require('fs');
+const multer = require('multer');
+const { createRequestError } = require('./request-error');
+const { withTransaction } = require('./db-transaction');
+const {
+    getBudgetVersion,
+    createBudgetVersion,
+    saveBudgetLines,
+    parseBudgetCsv
+} = require('./budget-service');
+
+/**
+ * Register budget API routes
+ * @param {Object} app - Express application
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+function registerBudgetRoutes(app, pool) {
+    const asyncHandler = fn => (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+    const upload = multer({ dest: 'uploads/' });
+
+    /**
+     * Load a budget version with its lines
+     * @param {Object} db - pg pool or client
+     * @param {string} id - budget_versions id
+     * @returns {Promise<Object>} Version with a `lines` array
+     */
+    async function getBudgetWithLines(db, id) {
+        const budget = await getBudgetVersion(db, id);
+        const { rows: lines } = await db.query(
+            `SELECT bl.*, a.code AS account_code, a.name AS account_name, f.code AS fund_code
+               FROM budget_lines bl
+               JOIN accounts a ON a.id = bl.account_id
+               LEFT JOIN funds f ON f.id = bl.fund_id
+              WHERE bl.budget_version_id = $1
+              ORDER BY a.code, f.code NULLS FIRST, bl.period_number`,
+            [id]
+        );
+        return { ...budget, lines };
+    }
+
+    /**
+     * GET /api/budgets
+     * List budget versions, optionally filtered by entityId and fiscalYearId
+     */
+    app.get('/api/budgets', asyncHandler(async (req, res) => {
+        const { entityId, fiscalYearId } = req.query;
+        const conditions = [];
+        const params = [];
+        if (entityId) {
+            params.push(entityId);
+            conditions.push(`bv.entity_id = $${params.length}`);
+        }
+        if (fiscalYearId) {
+            params.push(fiscalYearId);
+            conditions.push(`bv.fiscal_year_id = $${params.length}`);
+        }
+        const { rows } = await pool.query(
+            `SELECT bv.*, fy.year_name,
+                    (SELECT COALESCE(SUM(amount), 0) FROM budget_lines WHERE budget_version_id = bv.id) AS total_amount
+               FROM budget_versions bv
+               JOIN fiscal_years fy ON fy.id = bv.fiscal_year_id
+              ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+              ORDER BY fy.start_date DESC, bv.created_at`,
+            params
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * GET /api/budgets/:id
+     * A budget version with all of its monthly lines
+     */
+    app.get('/api/budgets/:id', asyncHandler(async (req, res) => {
+        res.json(await getBudgetWithLines(pool, req.params.id));
+    }));
+
+    /**
+     * POST /api/budgets
+     * Body: { entity_id, fiscal_year_id, version_type: 'Original' | 'Revised',
+     *         name, description, copy_from_id, lines }
+     */
+    app.post('/api/budgets', asyncHandler(async (req, res) => {
+        const { lines, ...data } = req.body || {};
+        const budget = await withTransaction(pool, async client => {
+            const version = await createBudgetVersion(client, data);
+            if (lines) {
+                await saveBudgetLines(client, version.id, lines);
+            }
+            return getBudgetWithLines(client, version.id);
+        });
+        res.status(201).json(budget);
+    }));
+
+    /**
+     * PUT /api/budgets/:id
+     * Body: { name, description, lines, replace }
+     * Lines replace the amounts for their account, fund and period; with
+     * replace=true the budget's other lines are removed.
+     */
+    app.put('/api/budgets/:id', asyncHandler(async (req, res) => {
+        const { name, description, lines, replace } = req.body || {};
+        const budget = await withTransaction(pool, async client => {
+            const { rowCount } = await client.query(
+                `UPDATE budget_versions
+                    SET name = COALESCE($1, name), description = COALESCE($2, description), updated_at = NOW()
+                  WHERE id = $3`,
+                [name || null, description || null, req.params.id]
+            );
+            if (rowCount === 0) {
+                throw createRequestError('Budget not found', null, 404);
+            }
+            if (lines) {
+                await saveBudgetLines(client, req.params.id, lines, { replace: replace === true });
+            }
+            return getBudgetWithLines(client, req.params.id);
+        });
+        res.json(budget);
+    }));
+
+    /**
+     * DELETE /api/budgets/:id
+     */
+    app.delete('/api/budgets/:id', asyncHandler(async (req, res) => {
+        await pool.query('DELETE FROM budget_versions WHERE id = $1', [req.params.id]);
+        res.status(204).send();
+    }));
+
+    /**
+     * POST /api/budgets/:id/import
+     * Multipart upload of a CSV file (field "file") with columns account_code,
+     * fund_code and P1..P12. Query replace=true replaces the whole budget.
+     */
+    app.post('/api/budgets/:id/import', upload.single('file'), asyncHandler(async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded.' });
+        }
+
+        const fileContent = fs.readFileSync(req.file.path, 'utf8');
+        fs.unlinkSync(req.file.path); // Clean up uploaded file
+
+        const imported = await withTransaction(pool, async client => {
+            const lines = await parseBudgetCsv(client, req.params.id, fileContent);
+            return saveBudgetLines(client, req.params.id, lines, { replace: req.query.replace === 'true' });
+        });
+        res.json({ imported, budget: await getBudgetWithLines(pool, req.params.id) });
+    }));
+}
+
+module.exports = registerBudgetRoutes;
@@ -0,0 +1,457 @@
+/**
+ * budget-service.js
+ *
+ * Budget versions and Budget vs. Actual.
+ * A budget version (Original, Revised) belongs to one entity's fiscal year
+ * and holds monthly amounts per account and fund, keyed by the fiscal
+ * year's accounting period number. Amounts are entered in the account's
+ * natural direction: revenue and expense budgets are both positive.
+ */
+
+const { parse } = require('csv-parse/sync');
+const { createRequestError } = require('./request-error');
+const { POSTED_STATUSES, ENTRY_TYPE } = require('./journal-entry-service');
+const { roundAmount } = require('./financial-report-service');
+
+const BUDGET_VERSION_TYPE = {
+    ORIGINAL: 'Original',
+    REVISED: 'Revised'
+};
+
+/**
+ * Load a budget version with its fiscal year dates and period count
+ * @param {Object} db - pg pool or client
+ * @param {string} versionId - budget_versions id
+ * @returns {Promise<Object>} budget_versions row plus entity_name, year_name,
+ *   start_date, end_date and period_count
+ */
+async function getBudgetVersion(db, versionId) {
+    const { rows } = await db.query(
+        `SELECT bv.*, e.name AS entity_name, fy.year_name, fy.start_date, fy.end_date,
+                (SELECT COUNT(*)::int FROM accounting_periods ap WHERE ap.fiscal_year_id = fy.id) AS period_count
+           FROM budget_versions bv
+           JOIN entities e ON e.id = bv.entity_id
+           JOIN fiscal_years fy ON fy.id = bv.fiscal_year_id
+          WHERE bv.id = $1`,
+        [versionId]
+    );
+    if (rows.length === 0) {
+        throw createRequestError('Budget not found', null, 404);
+    }
+    return rows[0];
+}
+
+/**
+ * Create a budget version for an entity's fiscal year, optionally copying the
+ * lines of another version of the same year (e.g. Revised from Original)
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} data - { entity_id, fiscal_year_id, version_type, name, description,
+ *   copy_from_id, created_by }
+ * @returns {Promise<Object>} budget_versions row
+ */
+async function createBudgetVersion(client, data) {
+    if (!data.entity_id || !data.fiscal_year_id) {
+        throw createRequestError('entity_id and fiscal_year_id are required');
+    }
+    const versionType = data.version_type || BUDGET_VERSION_TYPE.ORIGINAL;
+    if (!Object.values(BUDGET_VERSION_TYPE).includes(versionType)) {
+        throw createRequestError(`Invalid version_type "${versionType}"`, {
+            allowed: Object.values(BUDGET_VERSION_TYPE)
+        });
+    }
+
+    const { rows: years } = await client.query(
+        'SELECT id FROM fiscal_years WHERE id = $1 AND entity_id = $2',
+        [data.fiscal_year_id, data.entity_id]
+    );
+    if (years.length === 0) {
+        throw createRequestError("The fiscal year does not belong to the budget's entity");
+    }
+
+    const { rows } = await client.query(
+        `INSERT INTO budget_versions (entity_id, fiscal_year_id, version_type, name, description, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [data.entity_id, data.fiscal_year_id, versionType, data.name || versionType,
+         data.description || null, data.created_by || null]
+    );
+    const version = rows[0];
+
+    if (data.copy_from_id) {
+        const source = await getBudgetVersion(client, data.copy_from_id);
+        if (source.fiscal_year_id !== version.fiscal_year_id) {
+            throw createRequestError('A budget can only be copied from another version of the same fiscal year');
+        }
+        await client.query(
+            `INSERT INTO budget_lines (budget_version_id, account_id, fund_id, period_number, amount, notes)
+             SELECT $1, account_id, fund_id, period_number, amount, notes
+               FROM budget_lines WHERE budget_version_id = $2`,
+            [version.id, source.id]
+        );
+    }
+    return version;
+}
+
+/**
+ * Write monthly budget amounts. Each line replaces the amount already stored
+ * for its account, fund and period; with `replace` every existing line of
+ * the version is removed first.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} versionId - budget_versions id
+ * @param {Array<Object>} lines - { account_id, fund_id, period_number, amount, notes }
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Replace the whole budget
+ * @returns {Promise<number>} Number of lines written
+ */
+async function saveBudgetLines(client, versionId, lines, options = {}) {
+    if (!Array.isArray(lines)) {
+        throw createRequestError('lines must be an array');
+    }
+    const version = await getBudgetVersion(client, versionId);
+    const errors = [];
+
+    const accountIds = [...new Set(lines.map(l => l.account_id).filter(Boolean))];
+    const fundIds = [...new Set(lines.map(l => l.fund_id).filter(Boolean))];
+    const { rows: accounts } = await client.query(
+        'SELECT id FROM accounts WHERE id = ANY($1::uuid[]) AND entity_id = $2',
+        [accountIds, version.entity_id]
+    );
+    const { rows: funds } = await client.query(
+        'SELECT id FROM funds WHERE id = ANY($1::uuid[]) AND entity_id = $2',
+        [fundIds, version.entity_id]
+    );
+    const validAccounts = new Set(accounts.map(a => a.id));
+    const validFunds = new Set(funds.map(f => f.id));
+
+    const normalized = lines.map((line, index) => {
+        const label = `Line ${index + 1}`;
+        const periodNumber = parseInt(line.period_number, 10);
+        const amount = parseFloat(line.amount);
+        if (!validAccounts.has(line.account_id)) {
+            errors.push(`${label}: account is missing or belongs to another entity`);
+        }
+        if (line.fund_id && !validFunds.has(line.fund_id)) {
+            errors.push(`${label}: fund belongs to another entity`);
+        }
+        if (!(periodNumber >= 1 && periodNumber <= version.period_count)) {
+            errors.push(`${label}: period_number must be between 1 and ${version.period_count}`);
+        }
+        if (Number.isNaN(amount)) {
+            errors.push(`${label}: amount must be numeric`);
+        }
+        return {
+            account_id: line.account_id,
+            fund_id: line.fund_id || null,
+            period_number: periodNumber,
+            amount: roundAmount(amount),
+            notes: line.notes || null
+        };
+    });
+    if (errors.length) {
+        throw createRequestError('Invalid budget lines', { errors });
+    }
+
+    if (options.replace) {
+        await client.query('DELETE FROM budget_lines WHERE budget_version_id = $1', [version.id]);
+    }
+    for (const line of normalized) {
+        await client.query(
+            `DELETE FROM budget_lines
+              WHERE budget_version_id = $1 AND account_id = $2
+                AND fund_id IS NOT DISTINCT FROM $3 AND period_number = $4`,
+            [version.id, line.account_id, line.fund_id, line.period_number]
+        );
+        await client.query(
+            `INSERT INTO budget_lines (budget_version_id, account_id, fund_id, period_number, amount, notes)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [version.id, line.account_id, line.fund_id, line.period_number, line.amount, line.notes]
+        );
+    }
+    await client.query('UPDATE budget_versions SET updated_at = NOW() WHERE id = $1', [version.id]);
+    return normalized.length;
+}
+
+/**
+ * Turn a budget CSV into budget lines. One row per account and fund with
+ * columns account_code, fund_code (optional) and one column per period:
+ * P1, P2, ... (or 1, 2, ...). Blank period cells are skipped.
+ * @param {Object} db - pg pool or client
+ * @param {string} versionId - budget_versions id
+ * @param {string} content - CSV text
+ * @returns {Promise<Array<Object>>} Lines for saveBudgetLines()
+ */
+async function parseBudgetCsv(db, versionId, content) {
+    const version = await getBudgetVersion(db, versionId);
+    let records;
+    try {
+        records = parse(content, { columns: true, skip_empty_lines: true, trim: true });
+    } catch (error) {
+        throw createRequestError(`Could not parse CSV: ${error.message}`);
+    }
+    if (records.length === 0) {
+        throw createRequestError('The CSV file has no rows');
+    }
+
+    const headers = Object.keys(records[0]);
+    const accountHeader = headers.find(h => /^account[ _]?code$/i.test(h));
+    const fundHeader = headers.find(h => /^fund[ _]?code$/i.test(h));
+    if (!accountHeader) {
+        throw createRequestError('The CSV file needs an account_code column');
+    }
+    const periodHeaders = headers
+        .map(h => ({ header: h, match: /^p?(\d{1,2})$/i.exec(h) }))
+        .filter(h => h.match)
+        .map(h => ({ header: h.header, period_number: parseInt(h.match[1], 10) }));
+    if (periodHeaders.length === 0) {
+        throw createRequestError('The CSV file needs period columns (P1, P2, ...)');
+    }
+
+    const { rows: accounts } = await db.query('SELECT id, code FROM accounts WHERE entity_id = $1', [version.entity_id]);
+    const { rows: funds } = await db.query('SELECT id, code FROM funds WHERE entity_id = $1', [version.entity_id]);
+    const accountsByCode = new Map(accounts.map(a => [a.code, a.id]));
+    const fundsByCode = new Map(funds.map(f => [f.code, f.id]));
+
+    const errors = [];
+    const lines = [];
+    records.forEach((record, index) => {
+        const rowLabel = `Row ${index + 2}`;
+        const accountId = accountsByCode.get(record[accountHeader]);
+        const fundCode = fundHeader ? record[fundHeader] : '';
+        const fundId = fundCode ? fundsByCode.get(fundCode) : null;
+        if (!accountId) {
+            errors.push(`${rowLabel}: unknown account code "${record[accountHeader]}"`);
+            return;
+        }
+        if (fundCode && !fundId) {
+            errors.push(`${rowLabel}: unknown fund code "${fundCode}"`);
+            return;
+        }
+        periodHeaders.forEach(({ header, period_number }) => {
+            const cell = record[header];
+            if (cell === undefined || cell === '') {
+                return;
+            }
+            const amount = parseFloat(String(cell).replace(/[$,]/g, ''));
+            if (Number.isNaN(amount)) {
+                errors.push(`${rowLabel}: ${header} is not a number`);
+                return;
+            }
+            lines.push({ account_id: accountId, fund_id: fundId, period_number, amount });
+        });
+    });
+    if (errors.length) {
+        throw createRequestError('Invalid budget CSV', { errors });
+    }
+    return lines;
+}
+
+/**
+ * Pick the budget to report for an entity and date: the latest Revised
+ * version of the fiscal year containing the date, else its Original
+ * @param {Object} db - pg pool or client
+ * @param {string} entityId - Entity id
+ * @param {string} asOfDate - YYYY-MM-DD
+ * @returns {Promise<string>} budget_versions id
+ */
+async function findReportingBudget(db, entityId, asOfDate) {
+    const { rows } = await db.query(
+        `SELECT bv.id
+           FROM budget_versions bv
+           JOIN fiscal_years fy ON fy.id = bv.fiscal_year_id
+          WHERE bv.entity_id = $1 AND $2::date BETWEEN fy.start_date AND fy.end_date
+          ORDER BY (bv.version_type = $3) DESC, bv.created_at DESC
+          LIMIT 1`,
+        [entityId, asOfDate, BUDGET_VERSION_TYPE.REVISED]
+    );
+    if (rows.length === 0) {
+        throw createRequestError('No budget exists for the fiscal year containing that date', null, 404);
+    }
+    return rows[0].id;
+}
+
+/**
+ * Budget, actual and variance for one cell of the report
+ * @param {number} budget - Budgeted amount
+ * @param {number} actual - Actual amount
+ * @param {boolean} isRevenue - Revenue is favourable above budget, everything else below
+ * @returns {{budget: number, actual: number, variance: number, variance_percent: number|null, favorable: boolean}}
+ */
+function compareToBudget(budget, actual, isRevenue) {
+    const variance = roundAmount(actual - budget);
+    return {
+        budget: roundAmount(budget),
+        actual: roundAmount(actual),
+        variance,
+        variance_percent: budget ? Math.round((variance / Math.abs(budget)) * 10000) / 100 : null,
+        favorable: isRevenue ? variance >= 0 : variance <= 0
+    };
+}
+
+/**
+ * Budget vs. Actual for a budget version: by period, year to date (through
+ * `throughPeriod`) and full year, per account and fund. Actuals are posted
+ * activity of the budget's entity in each accounting period, excluding
+ * year-end closing entries, in the account's natural direction. Revenue and
+ * Expense accounts with activity but no budget are included.
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} [options.budgetId] - budget_versions id
+ * @param {string} [options.entityId] - With asOfDate, selects the budget via findReportingBudget()
+ * @param {string} [options.asOfDate] - Sets the year-to-date period (defaults to today)
+ * @param {number} [options.throughPeriod] - Last period included in year to date
+ * @returns {Promise<Object>} { budget, periods, throughPeriod, lines, totals }
+ */
+async function getBudgetVsActual(db, options) {
+    const asOfDate = options.asOfDate || new Date().toISOString().split('T')[0];
+    const budgetId = options.budgetId || (options.entityId && await findReportingBudget(db, options.entityId, asOfDate));
+    if (!budgetId) {
+        throw createRequestError('budgetId, or entityId and asOfDate, are required');
+    }
+    const budget = await getBudgetVersion(db, budgetId);
+
+    const { rows: periods } = await db.query(
+        `SELECT period_number, period_name, start_date, end_date
+           FROM accounting_periods
+          WHERE fiscal_year_id = $1
+          ORDER BY period_number`,
+        [budget.fiscal_year_id]
+    );
+
+    let throughPeriod = parseInt(options.throughPeriod, 10);
+    if (Number.isNaN(throughPeriod)) {
+        const { rows } = await db.query(
+            `SELECT COALESCE(MAX(period_number), 0) AS period_number
+               FROM accounting_periods
+              WHERE fiscal_year_id = $1 AND start_date <= $2::date`,
+            [budget.fiscal_year_id, asOfDate]
+        );
+        throughPeriod = rows[0].period_number;
+    }
+
+    const { rows: budgetRows } = await db.query(
+        `SELECT bl.account_id, bl.fund_id, bl.period_number, SUM(bl.amount) AS amount
+           FROM budget_lines bl
+          WHERE bl.budget_version_id = $1
+          GROUP BY bl.account_id, bl.fund_id, bl.period_number`,
+        [budget.id]
+    );
+
+    const { rows: actualRows } = await db.query(
+        `SELECT jel.account_id, jel.fund_id, ap.period_number,
+                SUM(CASE WHEN a.type IN ('Revenue', 'Liability', 'Equity', 'Net Assets')
+                         THEN jel.credit_amount - jel.debit_amount
+                         ELSE jel.debit_amount - jel.credit_amount END) AS amount
+           FROM journal_entry_lines jel
+           JOIN journal_entries je ON je.id = jel.journal_entry_id
+           JOIN accounts a ON a.id = jel.account_id
+           JOIN accounting_periods ap
+             ON ap.fiscal_year_id = $1 AND je.entry_date BETWEEN ap.start_date AND ap.end_date
+          WHERE je.entity_id = $2
+            AND je.status = ANY($3)
+            AND COALESCE(je.entry_type, 'Standard') <> $4
+            AND (a.type IN ('Revenue', 'Expense')
+                 OR jel.account_id IN (SELECT account_id FROM budget_lines WHERE budget_version_id = $5))
+          GROUP BY jel.account_id, jel.fund_id, ap.period_number`,
+        [budget.fiscal_year_id, budget.entity_id, POSTED_STATUSES, ENTRY_TYPE.CLOSING, budget.id]
+    );
+
+    // Collect amounts per account/fund and period
+    const cells = new Map();
+    const cellFor = (accountId, fundId) => {
+        const key = `${accountId}|${fundId || ''}`;
+        if (!cells.has(key)) {
+            cells.set(key, { account_id: accountId, fund_id: fundId || null, budget: {}, actual: {} });
+        }
+        return cells.get(key);
+    };
+    budgetRows.forEach(row => {
+        cellFor(row.account_id, row.fund_id).budget[row.period_number] = parseFloat(row.amount);
+    });
+    actualRows.forEach(row => {
+        cellFor(row.account_id, row.fund_id).actual[row.period_number] = parseFloat(row.amount);
+    });
+
+    const accountIds = [...new Set([...cells.values()].map(c => c.account_id))];
+    const fundIds = [...new Set([...cells.values()].map(c => c.fund_id).filter(Boolean))];
+    const { rows: accounts } = await db.query(
+        'SELECT id, code, name, type FROM accounts WHERE id = ANY($1::uuid[])',
+        [accountIds]
+    );
+    const { rows: funds } = await db.query(
+        'SELECT id, code, name FROM funds WHERE id = ANY($1::uuid[])',
+        [fundIds]
+    );
+    const accountsById = new Map(accounts.map(a => [a.id, a]));
+    const fundsById = new Map(funds.map(f => [f.id, f]));
+
+    const sumPeriods = (amounts, last) => periods
+        .filter(p => p.period_number <= last)
+        .reduce((sum, p) => sum + (amounts[p.period_number] || 0), 0);
+
+    const lines = [...cells.values()].map(cell => {
+        const account = accountsById.get(cell.account_id);
+        const fund = cell.fund_id ? fundsById.get(cell.fund_id) : null;
+        const isRevenue = account.type === 'Revenue';
+        return {
+            account_id: account.id,
+            account_code: account.code,
+            account_name: account.name,
+            account_type: account.type,
+            fund_id: fund ? fund.id : null,
+            fund_code: fund ? fund.code : null,
+            fund_name: fund ? fund.name : null,
+            periods: periods.map(p => ({
+                period_number: p.period_number,
+                ...compareToBudget(cell.budget[p.period_number] || 0, cell.actual[p.period_number] || 0, isRevenue)
+            })),
+            year_to_date: compareToBudget(
+                sumPeriods(cell.budget, throughPeriod), sumPeriods(cell.actual, throughPeriod), isRevenue
+            ),
+            full_year: compareToBudget(
+                sumPeriods(cell.budget, Infinity), sumPeriods(cell.actual, Infinity), isRevenue
+            )
+        };
+    });
+    lines.sort((a, b) => a.account_code.localeCompare(b.account_code) ||
+        (a.fund_code || '').localeCompare(b.fund_code || ''));
+
+    // Revenue and expense totals, plus the net (revenue less expense)
+    const totalOf = (type, pick) => lines
+        .filter(l => l.account_type === type)
+        .reduce((sum, l) => ({ budget: sum.budget + pick(l).budget, actual: sum.actual + pick(l).actual }),
+            { budget: 0, actual: 0 });
+    const totalsFor = pick => {
+        const revenue = totalOf('Revenue', pick);
+        const expense = totalOf('Expense', pick);
+        return {
+            revenue: compareToBudget(revenue.budget, revenue.actual, true),
+            expense: compareToBudget(expense.budget, expense.actual, false),
+            net: compareToBudget(revenue.budget - expense.budget, revenue.actual - expense.actual, true)
+        };
+    };
+
+    return {
+        budget,
+        periods,
+        throughPeriod,
+        lines,
+        totals: {
+            periods: periods.map(p => ({
+                period_number: p.period_number,
+                ...totalsFor(l => l.periods[p.period_number - 1])
+            })),
+            year_to_date: totalsFor(l => l.year_to_date),
+            full_year: totalsFor(l => l.full_year)
+        }
+    };
+}
+
+module.exports = {
+    BUDGET_VERSION_TYPE,
+    getBudgetVersion,
+    createBudgetVersion,
+    saveBudgetLines,
+    parseBudgetCsv,
+    findReportingBudget,
+    getBudgetVsActual
+};
@@ -0,0 +1,30 @@
+/**
+ * db-transaction.js
+ *
+ * Runs a unit of work inside a transaction on its own pool client. Route
+ * modules and server.js use it for every multi-statement change.
+ */
+
+/**
+ * Run a function inside a transaction on its own client, committing when it
+ * resolves and rolling back when it throws
+ * @param {Object} pool - pg pool
+ * @param {Function} fn - async (client) => result
+ * @returns {Promise<*>} Result of fn
+ */
+async function withTransaction(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = { withTransaction };
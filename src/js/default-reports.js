@@ -0,0 +1,674 @@
+/**
+ * @file default-reports.js
+ * @description Renders the standard financial statements on the Default
+ * Reports page from the /api/reports/* endpoints.
+ */
+
+(function(window) {
+    'use strict';
+
+    const API_BASE = `${window.location.protocol}//${window.location.hostname}:3000`;
+
+    // --- Private Functions ---
+
+    /**
+     * Formats currency values; negatives are shown in parentheses
+     * @param {number} amount - The amount to format
+     * @returns {string} Formatted currency string
+     */
+    function _formatCurrency(amount) {
+        const formatted = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            minimumFractionDigits: 2
+        }).format(Math.abs(amount || 0));
+        return amount < 0 ? `(${formatted})` : formatted;
+    }
+
+    /**
+     * Formats a YYYY-MM-DD date for report headings
+     * @param {string} isoDate - The date
+     * @returns {string} e.g. "June 30, 2025"
+     */
+    function _formatDate(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+            year: 'numeric', month: 'long', day: 'numeric'
+        });
+    }
+
+    /**
+     * Escapes text for use inside HTML
+     * @param {string} value - Raw text
+     * @returns {string} Escaped text
+     */
+    function _escape(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
+    }
+
+    /**
+     * Fetches JSON from the API and surfaces the server's error message
+     * @param {string} path - Path below /api/
+     * @returns {Promise<*>} Parsed response
+     */
+    async function _fetchJson(path) {
+        const response = await fetch(`${API_BASE}/api/${path}`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.message || data.error || `API Error: ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Reads the shared report parameters from the form
+     * @returns {URLSearchParams} entityId, consolidated and the date fields
+     */
+    function _getReportParams() {
+        return new URLSearchParams({
+            entityId: document.getElementById('report-entity').value,
+            consolidated: document.getElementById('report-consolidated').checked ? 'true' : 'false',
+            asOfDate: document.getElementById('report-end-date').value,
+            startDate: document.getElementById('report-start-date').value,
+            endDate: document.getElementById('report-end-date').value
+        });
+    }
+
+    /**
+     * Builds the report header block
+     * @param {object} data - Report payload with `entity` and `consolidated`
+     * @param {string} title - Statement title
+     * @param {string} dateLine - e.g. "As of June 30, 2025"
+     * @returns {string} HTML
+     */
+    function _renderHeader(data, title, dateLine) {
+        return `
+            <div class="report-header">
+                <div class="report-title">${_escape(data.entity.name)}${data.consolidated ? ' (Consolidated)' : ''}</div>
+                <div class="report-subtitle">${title}</div>
+                <div class="report-date">${dateLine}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders a Statement of Financial Position
+     * @param {object} data - /api/reports/statement-of-financial-position payload
+     * @returns {string} HTML
+     */
+    function _renderFinancialPosition(data) {
+        const row = (label, amounts, className = '') => `
+            <tr class="${className}">
+                <td>${label}</td>
+                <td class="text-right">${_formatCurrency(amounts.current)}</td>
+                <td class="text-right">${_formatCurrency(amounts.prior)}</td>
+            </tr>
+        `;
+        const accountRows = section => section.lines
+            .map(line => row(`${_escape(line.code)} ${_escape(line.name)}`, line))
+            .join('');
+
+        return `
+            ${_renderHeader(data, 'Statement of Financial Position', `As of ${_formatDate(data.asOfDate)}`)}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th class="text-right">${_formatDate(data.asOfDate)}</th>
+                        <th class="text-right">${_formatDate(data.priorAsOfDate)}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr class="section-row"><td colspan="3">Assets</td></tr>
+                    ${accountRows(data.assets)}
+                    ${row('Total Assets', data.assets.total, 'total-row')}
+                    <tr class="section-row"><td colspan="3">Liabilities</td></tr>
+                    ${accountRows(data.liabilities)}
+                    ${row('Total Liabilities', data.liabilities.total, 'total-row')}
+                    <tr class="section-row"><td colspan="3">Net Assets</td></tr>
+                    ${row('Without Donor Restrictions', data.netAssets.without_donor_restrictions)}
+                    ${row('With Donor Restrictions', data.netAssets.with_donor_restrictions)}
+                    ${row('Total Net Assets', data.netAssets.total, 'total-row')}
+                    ${row('Total Liabilities and Net Assets', data.totalLiabilitiesAndNetAssets, 'grand-total-row')}
+                </tbody>
+            </table>
+            ${data.isBalanced ? '' : '<p class="report-warning">Warning: assets do not equal liabilities plus net assets.</p>'}
+        `;
+    }
+
+    /**
+     * Renders a Statement of Activities with restriction columns
+     * @param {object} data - /api/reports/statement-of-activities payload
+     * @returns {string} HTML
+     */
+    function _renderActivities(data) {
+        const row = (label, amounts, className = '') => `
+            <tr class="${className}">
+                <td>${label}</td>
+                <td class="text-right">${_formatCurrency(amounts.without_donor_restrictions)}</td>
+                <td class="text-right">${_formatCurrency(amounts.with_donor_restrictions)}</td>
+                <td class="text-right">${_formatCurrency(amounts.total)}</td>
+            </tr>
+        `;
+        const accountRows = section => section.lines
+            .map(line => row(`${_escape(line.code)} ${_escape(line.name)}`, line))
+            .join('');
+        const hasOtherChanges = data.otherChanges.without_donor_restrictions !== 0 ||
+            data.otherChanges.with_donor_restrictions !== 0;
+
+        return `
+            ${_renderHeader(data, 'Statement of Activities',
+                `For the period ${_formatDate(data.startDate)} to ${_formatDate(data.endDate)}`)}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th class="text-right">Without Donor Restrictions</th>
+                        <th class="text-right">With Donor Restrictions</th>
+                        <th class="text-right">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr class="section-row"><td colspan="4">Revenue and Support</td></tr>
+                    ${accountRows(data.revenue)}
+                    ${row('Net Assets Released from Restriction', data.netAssetsReleasedFromRestriction)}
+                    ${row('Total Revenue and Support', data.totalRevenueAndSupport, 'total-row')}
+                    <tr class="section-row"><td colspan="4">Expenses</td></tr>
+                    ${accountRows(data.expenses)}
+                    ${row('Total Expenses', data.expenses.total, 'total-row')}
+                    ${hasOtherChanges ? row('Other Changes in Net Assets', data.otherChanges) : ''}
+                    ${row('Change in Net Assets', data.changeInNetAssets, 'total-row')}
+                    ${row('Net Assets, Beginning of Period', data.netAssetsBeginning)}
+                    ${row('Net Assets, End of Period', data.netAssetsEnding, 'grand-total-row')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Renders a Statement of Functional Expenses matrix
+     * @param {object} data - /api/reports/statement-of-functional-expenses payload
+     * @returns {string} HTML
+     */
+    function _renderFunctionalExpenses(data) {
+        const showUnclassified = data.totals.unclassified !== 0;
+        const cell = amount => `<td class="text-right">${_formatCurrency(amount)}</td>`;
+        const row = (label, amounts, className = '') => `
+            <tr class="${className}">
+                <td>${label}</td>
+                ${data.programs.map(p => cell(amounts.programs[p.id] || 0)).join('')}
+                ${cell(amounts.program_services)}
+                ${cell(amounts.management_general)}
+                ${cell(amounts.fundraising)}
+                ${showUnclassified ? cell(amounts.unclassified) : ''}
+                ${cell(amounts.total)}
+            </tr>
+        `;
+
+        return `
+            ${_renderHeader(data, 'Statement of Functional Expenses',
+                `For the period ${_formatDate(data.startDate)} to ${_formatDate(data.endDate)}`)}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${data.programs.map(p => `<th class="text-right">${_escape(p.name)}</th>`).join('')}
+                        <th class="text-right">Total Program Services</th>
+                        <th class="text-right">Management &amp; General</th>
+                        <th class="text-right">Fundraising</th>
+                        ${showUnclassified ? '<th class="text-right">Unclassified</th>' : ''}
+                        <th class="text-right">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.lines.map(line => row(`${_escape(line.code)} ${_escape(line.name)}`, line)).join('')}
+                    ${row('Total Expenses', data.totals, 'grand-total-row')}
+                </tbody>
+            </table>
+            ${showUnclassified ? '<p class="report-warning">Some expenses have no functional classification; set one on the expense account or journal line.</p>' : ''}
+        `;
+    }
+
+    /**
+     * Renders a Budget vs. Actual report (year to date and full year)
+     * @param {object} data - /api/reports/budget-vs-actual payload
+     * @returns {string} HTML
+     */
+    function _renderBudgetVsActual(data) {
+        const through = data.periods[data.throughPeriod - 1];
+        const percent = value => (value === null ? 'n/a' : `${value.toFixed(1)}%`);
+        const cells = amounts => `
+            <td class="text-right">${_formatCurrency(amounts.budget)}</td>
+            <td class="text-right">${_formatCurrency(amounts.actual)}</td>
+            <td class="text-right ${amounts.favorable ? '' : 'unfavorable'}">${_formatCurrency(amounts.variance)}</td>
+            <td class="text-right ${amounts.favorable ? '' : 'unfavorable'}">${percent(amounts.variance_percent)}</td>
+        `;
+        const row = (label, line, className = '') => `
+            <tr class="${className}">
+                <td>${label}</td>
+                ${cells(line.year_to_date)}
+                <td class="text-right">${_formatCurrency(line.full_year.budget)}</td>
+            </tr>
+        `;
+        const sectionRows = (type, title, totalKey) => `
+            <tr class="section-row"><td colspan="6">${title}</td></tr>
+            ${data.lines
+                .filter(line => line.account_type === type)
+                .map(line => row(
+                    `${_escape(line.account_code)} ${_escape(line.account_name)}${line.fund_code ? ` (${_escape(line.fund_code)})` : ''}`,
+                    line
+                ))
+                .join('')}
+            ${row(`Total ${title}`, {
+                year_to_date: data.totals.year_to_date[totalKey],
+                full_year: data.totals.full_year[totalKey]
+            }, 'total-row')}
+        `;
+
+        return `
+            ${_renderHeader(
+                { entity: { name: data.budget.entity_name }, consolidated: false },
+                `Budget vs. Actual - ${_escape(data.budget.name)} (${_escape(data.budget.year_name)})`,
+                through ? `Year to date through ${_escape(through.period_name)}` : 'Before the start of the fiscal year'
+            )}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th class="text-right">YTD Budget</th>
+                        <th class="text-right">YTD Actual</th>
+                        <th class="text-right">Variance</th>
+                        <th class="text-right">Variance %</th>
+                        <th class="text-right">Annual Budget</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sectionRows('Revenue', 'Revenue', 'revenue')}
+                    ${sectionRows('Expense', 'Expenses', 'expense')}
+                    ${row('Net', {
+                        year_to_date: data.totals.year_to_date.net,
+                        full_year: data.totals.full_year.net
+                    }, 'grand-total-row')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Renders the grant status report with each grant's warnings
+     * @param {object} data - /api/reports/grant-status payload
+     * @returns {string} HTML
+     */
+    function _renderGrantStatus(data) {
+        const amountCells = amounts => ['awarded', 'billed', 'received', 'spent', 'remaining']
+            .map(key => `<td class="text-right ${key === 'remaining' && amounts[key] < 0 ? 'unfavorable' : ''}">${_formatCurrency(amounts[key])}</td>`)
+            .join('');
+        const grantRows = grant => `
+            <tr>
+                <td>${_escape(grant.grantor_name)}</td>
+                <td>${_escape(grant.name)}${grant.grant_number ? ` (${_escape(grant.grant_number)})` : ''}</td>
+                <td>${_escape(grant.start_date)} to ${_escape(grant.end_date)}</td>
+                ${amountCells(grant)}
+            </tr>
+            ${grant.warnings.map(warning => `
+                <tr><td></td><td colspan="7" class="report-warning">${_escape(warning.message)}</td></tr>
+            `).join('')}
+        `;
+
+        return `
+            ${_renderHeader(
+                { entity: data.entity, consolidated: false },
+                'Grant Status',
+                `As of ${_formatDate(data.asOfDate)}`
+            )}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Grantor</th>
+                        <th>Grant</th>
+                        <th>Period</th>
+                        <th class="text-right">Awarded</th>
+                        <th class="text-right">Billed</th>
+                        <th class="text-right">Received</th>
+                        <th class="text-right">Spent</th>
+                        <th class="text-right">Remaining</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.grants.map(grantRows).join('')}
+                    <tr class="grand-total-row">
+                        <td colspan="3">Total grants</td>
+                        ${amountCells(data.totals)}
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Renders outstanding grant receivables grouped by grantor
+     * @param {object} data - /api/reports/grant-receivables payload
+     * @returns {string} HTML
+     */
+    function _renderGrantReceivables(data) {
+        const grantorRows = grantor => `
+            <tr class="section-row"><td colspan="6">${_escape(grantor.grantor_name)}</td></tr>
+            ${grantor.drawdowns.map(drawdown => `
+                <tr>
+                    <td>${_escape(drawdown.grant_name)}${drawdown.grant_number ? ` (${_escape(drawdown.grant_number)})` : ''}</td>
+                    <td>Drawdown ${drawdown.drawdown_number}, ${_formatDate(drawdown.request_date)}</td>
+                    <td class="text-right">${_formatCurrency(drawdown.total_amount)}</td>
+                    <td class="text-right">${_formatCurrency(drawdown.received_amount)}</td>
+                    <td class="text-right">${_formatCurrency(drawdown.outstanding)}</td>
+                    <td class="text-right">${drawdown.days_outstanding}</td>
+                </tr>
+            `).join('')}
+            <tr class="total-row">
+                <td colspan="4">Total ${_escape(grantor.grantor_name)}</td>
+                <td class="text-right">${_formatCurrency(grantor.outstanding)}</td>
+                <td></td>
+            </tr>
+        `;
+
+        return `
+            ${_renderHeader(
+                { entity: data.entity, consolidated: false },
+                'Grant Receivables',
+                `As of ${_formatDate(data.asOfDate)}`
+            )}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Grant</th>
+                        <th>Drawdown</th>
+                        <th class="text-right">Billed</th>
+                        <th class="text-right">Received</th>
+                        <th class="text-right">Outstanding</th>
+                        <th class="text-right">Days</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.grantors.map(grantorRows).join('')}
+                    <tr class="grand-total-row">
+                        <td colspan="4">Total grant receivables</td>
+                        <td class="text-right">${_formatCurrency(data.total)}</td>
+                        <td></td>
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Renders the pledge aging report
+     * @param {object} data - /api/reports/pledge-aging payload
+     * @returns {string} HTML
+     */
+    function _renderPledgeAging(data) {
+        const columns = ['current', 'days_1_30', 'days_31_60', 'days_61_90', 'over_90', 'outstanding', 'unamortized_discount', 'net_receivable'];
+        const amountCells = amounts => columns
+            .map(key => `<td class="text-right">${_formatCurrency(amounts[key])}</td>`)
+            .join('');
+
+        return `
+            ${_renderHeader(
+                { entity: data.entity, consolidated: false },
+                'Pledge Aging',
+                `As of ${_formatDate(data.asOfDate)}`
+            )}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Donor</th>
+                        <th>Pledge</th>
+                        <th>Fund</th>
+                        <th class="text-right">Not Yet Due</th>
+                        <th class="text-right">1-30 Days</th>
+                        <th class="text-right">31-60 Days</th>
+                        <th class="text-right">61-90 Days</th>
+                        <th class="text-right">Over 90 Days</th>
+                        <th class="text-right">Outstanding</th>
+                        <th class="text-right">Discount</th>
+                        <th class="text-right">Net Receivable</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.pledges.map(pledge => `
+                        <tr>
+                            <td>${_escape(pledge.donor_name)}</td>
+                            <td>${pledge.pledge_number}, ${_formatDate(pledge.pledge_date)}</td>
+                            <td>${_escape(pledge.fund_code)}</td>
+                            ${amountCells(pledge)}
+                        </tr>
+                    `).join('')}
+                    <tr class="grand-total-row">
+                        <td colspan="3">Total pledges receivable</td>
+                        ${amountCells(data.totals)}
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Renders the AP aging report
+     * @param {object} data - /api/reports/ap-aging payload
+     * @returns {string} HTML
+     */
+    function _renderApAging(data) {
+        const columns = ['current', 'days_1_30', 'days_31_60', 'days_61_90', 'over_90', 'total'];
+        const amountCells = amounts => columns
+            .map(key => `<td class="text-right">${_formatCurrency(amounts[key])}</td>`)
+            .join('');
+
+        return `
+            ${_renderHeader(
+                { entity: data.entity, consolidated: false },
+                'Accounts Payable Aging',
+                `As of ${_formatDate(data.asOfDate)}`
+            )}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Vendor / Invoice</th>
+                        <th>Due</th>
+                        <th class="text-right">Not Yet Due</th>
+                        <th class="text-right">1-30 Days</th>
+                        <th class="text-right">31-60 Days</th>
+                        <th class="text-right">61-90 Days</th>
+                        <th class="text-right">Over 90 Days</th>
+                        <th class="text-right">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.vendors.map(vendor => `
+                        <tr class="section-row">
+                            <td colspan="8">${_escape(vendor.vendor_name)} (${_escape(vendor.vendor_code)})</td>
+                        </tr>
+                        ${vendor.bills.map(bill => `
+                            <tr>
+                                <td>${_escape(bill.invoice_number)}, ${_formatDate(bill.invoice_date)}</td>
+                                <td>${_formatDate(bill.due_date)}</td>
+                                ${amountCells({ [bill.bucket]: bill.balance, total: bill.balance })}
+                            </tr>
+                        `).join('')}
+                        <tr class="total-row">
+                            <td colspan="2">Total ${_escape(vendor.vendor_name)}</td>
+                            ${amountCells(vendor)}
+                        </tr>
+                    `).join('')}
+                    <tr class="grand-total-row">
+                        <td colspan="2">Total accounts payable</td>
+                        ${amountCells(data.totals)}
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Renders the endowment register with the UPMIFA underwater disclosure
+     * @param {object} data - /api/endowments payload
+     * @returns {string} HTML
+     */
+    function _renderEndowments(data) {
+        const row = (label, amounts, deficiency, className = '') => `
+            <tr class="${className}">
+                <td>${label}</td>
+                <td class="text-right">${_formatCurrency(amounts.historical_gift_value)}</td>
+                <td class="text-right">${_formatCurrency(amounts.accumulated_appreciation)}</td>
+                <td class="text-right">${_formatCurrency(amounts.value)}</td>
+                <td class="text-right ${deficiency > 0 ? 'unfavorable' : ''}">${deficiency > 0 ? _formatCurrency(deficiency) : ''}</td>
+            </tr>
+        `;
+        const { underwater } = data;
+
+        return `
+            ${_renderHeader(
+                { entity: data.entity, consolidated: false },
+                'Endowment Funds',
+                `As of ${_formatDate(data.asOfDate)}`
+            )}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Endowment</th>
+                        <th class="text-right">Historical Gift Value</th>
+                        <th class="text-right">Accumulated Appreciation</th>
+                        <th class="text-right">Fair Value</th>
+                        <th class="text-right">Underwater Deficiency</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.endowments.map(e => row(
+                        `${_escape(e.fund_code)} ${_escape(e.fund_name)}${e.status === 'Inactive' ? ' (inactive)' : ''}`,
+                        e,
+                        e.deficiency
+                    )).join('')}
+                    ${row('Total endowment funds', data.totals, underwater.deficiency, 'grand-total-row')}
+                </tbody>
+            </table>
+            <p>
+                ${underwater.count === 0
+                    ? 'No endowment fund was below its historical gift value.'
+                    : `${underwater.count} endowment fund(s) with an original gift value of ${_formatCurrency(underwater.historical_gift_value)}
+                       had a fair value of ${_formatCurrency(underwater.value)}, a deficiency of
+                       <span class="unfavorable">${_formatCurrency(underwater.deficiency)}</span>, reported in net assets with donor restrictions.`}
+            </p>
+        `;
+    }
+
+    /**
+     * Populates the entity selector, defaulting to the top-level organization
+     */
+    async function _loadEntities() {
+        const select = document.getElementById('report-entity');
+        try {
+            const entities = await _fetchJson('entities');
+            select.innerHTML = entities
+                .map(e => `<option value="${e.id}">${_escape(e.code)} - ${_escape(e.name)}</option>`)
+                .join('');
+            const topLevel = entities.find(e => e.parent_entity_id === null && e.is_consolidated === true);
+            if (topLevel) {
+                select.value = topLevel.id;
+                document.getElementById('report-consolidated').checked = true;
+            }
+        } catch (err) {
+            console.error('DEFAULT REPORTS: Failed to load entities:', err);
+        }
+    }
+
+    // --- Public API ---
+
+    const defaultReports = {
+        /**
+         * Initialize the page: entity list, default dates and report buttons
+         */
+        async init() {
+            const today = new Date();
+            const pad = n => String(n).padStart(2, '0');
+            document.getElementById('report-end-date').value =
+                `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+            document.getElementById('report-start-date').value = `${today.getFullYear()}-01-01`;
+
+            document.querySelectorAll('[data-report]').forEach(button => {
+                button.addEventListener('click', () => defaultReports.generate(button.dataset.report));
+            });
+
+            await _loadEntities();
+        },
+
+        /**
+         * Generate a report and render it into #report-output
+         * @param {string} reportType - The report type identifier
+         */
+        async generate(reportType) {
+            const output = document.getElementById('report-output');
+            const params = _getReportParams();
+            output.innerHTML = '<p>Generating report...</p>';
+
+            try {
+                switch (reportType) {
+                    case 'financial-position':
+                        output.innerHTML = _renderFinancialPosition(
+                            await _fetchJson(`reports/statement-of-financial-position?${params}`)
+                        );
+                        break;
+                    case 'activities':
+                        output.innerHTML = _renderActivities(
+                            await _fetchJson(`reports/statement-of-activities?${params}`)
+                        );
+                        break;
+                    case 'functional-expenses':
+                        output.innerHTML = _renderFunctionalExpenses(
+                            await _fetchJson(`reports/statement-of-functional-expenses?${params}`)
+                        );
+                        break;
+                    case 'budget-vs-actual':
+                        output.innerHTML = _renderBudgetVsActual(
+                            await _fetchJson(`reports/budget-vs-actual?${params}`)
+                        );
+                        break;
+                    case 'grant-status':
+                        output.innerHTML = _renderGrantStatus(
+                            await _fetchJson(`reports/grant-status?${params}`)
+                        );
+                        break;
+                    case 'grant-receivables':
+                        output.innerHTML = _renderGrantReceivables(
+                            await _fetchJson(`reports/grant-receivables?${params}`)
+                        );
+                        break;
+                    case 'pledge-aging':
+                        output.innerHTML = _renderPledgeAging(
+                            await _fetchJson(`reports/pledge-aging?${params}`)
+                        );
+                        break;
+                    case 'ap-aging':
+                        output.innerHTML = _renderApAging(
+                            await _fetchJson(`reports/ap-aging?${params}`)
+                        );
+                        break;
+                    case 'endowments':
+                        output.innerHTML = _renderEndowments(
+                            await _fetchJson(`endowments?${params}`)
+                        );
+                        break;
+                    default:
+                        throw new Error(`Report type "${reportType}" is not available`);
+                }
+                output.scrollIntoView({ behavior: 'smooth' });
+            } catch (err) {
+                console.error(`DEFAULT REPORTS: Failed to generate ${reportType}:`, err);
+                output.innerHTML = `<p class="report-warning">Error generating report: ${_escape(err.message)}</p>`;
+            }
+        }
+    };
+
+    window.defaultReports = defaultReports;
+
+    document.addEventListener('DOMContentLoaded', () => defaultReports.init());
+
+})(window);
@@ -0,0 +1,381 @@
+/**
+ * donor-api.js
+ *
+ * API endpoints for donors, gifts and pledges, pledge discount amortization
+ * and annual contribution statements. The pledge aging report is served with
+ * the other financial reports (financial-reports-api.js); the rules live in
+ * donor-service.js and donor-statement-service.js.
+ */
+
+const { createRequestError } = require('./request-error');
+const { withTransaction } = require('./db-transaction');
+const { getRequestUser } = require('./request-user');
+const {
+    PLEDGE_SELECT,
+    normalizeDonor,
+    getDonorHeader,
+    recordGift,
+    createPledge,
+    getPledge,
+    calculatePledgeAmortization,
+    postPledgeAmortization
+} = require('./donor-service');
+const {
+    TEMPLATE_PLACEHOLDERS,
+    getStatementTemplate,
+    saveStatementTemplate,
+    buildDonorStatements,
+    generateDonorStatements,
+    renderStatementDocument,
+    getDonorStatement
+} = require('./donor-statement-service');
+
+const DONOR_COLUMNS = [
+    'entity_id',
+    'donor_type',
+    'name',
+    'email',
+    'phone',
+    'address_line1',
+    'address_line2',
+    'city',
+    'state',
+    'postal_code',
+    'country',
+    'status',
+    'notes'
+];
+
+/**
+ * Register donor API routes
+ * @param {Object} app - Express application
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+function registerDonorRoutes(app, pool) {
+    const asyncHandler = fn => (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+
+    /**
+     * GET /api/donors
+     * Query: entityId, search, status
+     * Donors with their lifetime gifts and open pledge balance
+     */
+    app.get('/api/donors', asyncHandler(async (req, res) => {
+        const { entityId, search, status } = req.query;
+        const conditions = [];
+        const params = [];
+        if (entityId) {
+            params.push(entityId);
+            conditions.push(`d.entity_id = $${params.length}`);
+        }
+        if (status) {
+            params.push(status);
+            conditions.push(`d.status = $${params.length}`);
+        }
+        if (search) {
+            params.push(`%${search}%`);
+            conditions.push(`(d.name ILIKE $${params.length} OR d.email ILIKE $${params.length})`);
+        }
+        const { rows } = await pool.query(
+            `SELECT d.*,
+                    (SELECT COALESCE(SUM(g.amount), 0) FROM gifts g WHERE g.donor_id = d.id AND g.pledge_id IS NULL)
+                  + (SELECT COALESCE(SUM(p.total_amount), 0) FROM pledges p WHERE p.donor_id = d.id) AS total_giving,
+                    (SELECT COALESCE(SUM(p.total_amount), 0) FROM pledges p WHERE p.donor_id = d.id AND p.status = 'Open')
+                  - (SELECT COALESCE(SUM(g.amount), 0) FROM gifts g JOIN pledges p ON p.id = g.pledge_id
+                      WHERE p.donor_id = d.id AND p.status = 'Open') AS open_pledges
+               FROM donors d
+              ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+              ORDER BY d.name`,
+            params
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * GET /api/donors/:id
+     * A donor with their gifts and pledges
+     */
+    app.get('/api/donors/:id', asyncHandler(async (req, res) => {
+        const donor = await getDonorHeader(pool, req.params.id);
+        const { rows: gifts } = await pool.query(
+            `SELECT g.id, to_char(g.gift_date, 'YYYY-MM-DD') AS gift_date, g.amount, g.gift_type, g.reference,
+                    g.description, g.goods_services_value, g.goods_services_description, g.pledge_id,
+                    g.journal_entry_id, f.code AS fund_code
+               FROM gifts g JOIN funds f ON f.id = g.fund_id
+              WHERE g.donor_id = $1
+              ORDER BY g.gift_date DESC, g.created_at DESC`,
+            [donor.id]
+        );
+        const { rows: pledges } = await pool.query(
+            `${PLEDGE_SELECT} WHERE p.donor_id = $1 ORDER BY p.pledge_date DESC`,
+            [donor.id]
+        );
+        res.json({ ...donor, gifts, pledges });
+    }));
+
+    /**
+     * POST /api/donors
+     */
+    app.post('/api/donors', asyncHandler(async (req, res) => {
+        const donor = normalizeDonor(req.body || {});
+        const { rows } = await pool.query(
+            `INSERT INTO donors (${DONOR_COLUMNS.join(', ')})
+             VALUES (${DONOR_COLUMNS.map((column, index) => `$${index + 1}`).join(', ')})
+             RETURNING *`,
+            DONOR_COLUMNS.map(column => donor[column])
+        );
+        res.status(201).json(rows[0]);
+    }));
+
+    /**
+     * PUT /api/donors/:id
+     * Same body as POST; the entity cannot change
+     */
+    app.put('/api/donors/:id', asyncHandler(async (req, res) => {
+        const existing = await getDonorHeader(pool, req.params.id);
+        const donor = normalizeDonor({ ...req.body, entity_id: existing.entity_id });
+        const columns = DONOR_COLUMNS.filter(column => column !== 'entity_id');
+        const { rows } = await pool.query(
+            `UPDATE donors
+                SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = NOW()
+              WHERE id = $${columns.length + 1}
+              RETURNING *`,
+            [...columns.map(column => donor[column]), existing.id]
+        );
+        res.json(rows[0]);
+    }));
+
+    /**
+     * DELETE /api/donors/:id
+     * Only donors without gifts or pledges can be deleted
+     */
+    app.delete('/api/donors/:id', asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { rows: [{ count }] } = await pool.query(
+            `SELECT (SELECT COUNT(*) FROM gifts WHERE donor_id = $1) + (SELECT COUNT(*) FROM pledges WHERE donor_id = $1) AS count`,
+            [id]
+        );
+        if (Number(count) > 0) {
+            throw createRequestError('Donors with gifts or pledges cannot be deleted; set them Inactive instead', null, 409);
+        }
+        const { rowCount } = await pool.query('DELETE FROM donors WHERE id = $1', [id]);
+        if (rowCount === 0) {
+            return res.status(404).json({ message: 'Donor not found' });
+        }
+        res.status(204).send();
+    }));
+
+    /**
+     * GET /api/gifts
+     * Query: entityId, donorId, fundId, startDate, endDate
+     */
+    app.get('/api/gifts', asyncHandler(async (req, res) => {
+        const { entityId, donorId, fundId, startDate, endDate } = req.query;
+        const conditions = [];
+        const params = [];
+        [
+            [entityId, 'g.entity_id ='],
+            [donorId, 'g.donor_id ='],
+            [fundId, 'g.fund_id ='],
+            [startDate, 'g.gift_date >='],
+            [endDate, 'g.gift_date <=']
+        ].forEach(([value, condition]) => {
+            if (value) {
+                params.push(value);
+                conditions.push(`${condition} $${params.length}`);
+            }
+        });
+        const { rows } = await pool.query(
+            `SELECT g.id, g.entity_id, g.donor_id, d.name AS donor_name, g.pledge_id,
+                    to_char(g.gift_date, 'YYYY-MM-DD') AS gift_date, g.amount, g.gift_type, g.fund_id,
+                    f.code AS fund_code, g.revenue_account_id, g.deposit_account_id, g.reference,
+                    g.description, g.goods_services_value, g.goods_services_description,
+                    g.journal_entry_id, je.reference_number, g.created_by, g.created_at
+               FROM gifts g
+               JOIN donors d ON d.id = g.donor_id
+               JOIN funds f ON f.id = g.fund_id
+               LEFT JOIN journal_entries je ON je.id = g.journal_entry_id
+              ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+              ORDER BY g.gift_date DESC, g.created_at DESC`,
+            params
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * POST /api/gifts
+     * Body: { donor_id, gift_date, amount, gift_type, fund_id,
+     *         revenue_account_id, deposit_account_id, reference, description,
+     *         goods_services_value, goods_services_description, pledge_id }
+     * Record and post a gift; with pledge_id it is a payment on that pledge
+     */
+    app.post('/api/gifts', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const gift = await withTransaction(pool, client => recordGift(client, req.body || {}, user));
+        res.status(201).json(gift);
+    }));
+
+    /**
+     * GET /api/pledges
+     * Query: entityId, donorId, status
+     */
+    app.get('/api/pledges', asyncHandler(async (req, res) => {
+        const { entityId, donorId, status } = req.query;
+        const conditions = [];
+        const params = [];
+        [
+            [entityId, 'p.entity_id ='],
+            [donorId, 'p.donor_id ='],
+            [status, 'p.status =']
+        ].forEach(([value, condition]) => {
+            if (value) {
+                params.push(value);
+                conditions.push(`${condition} $${params.length}`);
+            }
+        });
+        const { rows } = await pool.query(
+            `SELECT pledges.*,
+                    pledges.total_amount - COALESCE((SELECT SUM(g.amount) FROM gifts g WHERE g.pledge_id = pledges.id), 0) AS outstanding
+               FROM (${PLEDGE_SELECT} ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}) pledges
+              ORDER BY pledges.pledge_date DESC, pledges.pledge_number DESC`,
+            params
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * GET /api/pledges/discount-amortization
+     * Query: entityId, asOfDate
+     * Pledge discount amortization due at asOfDate (default today)
+     */
+    app.get('/api/pledges/discount-amortization', asyncHandler(async (req, res) => {
+        const { entityId, asOfDate } = req.query;
+        res.json(await calculatePledgeAmortization(pool, { entityId, asOfDate }));
+    }));
+
+    /**
+     * POST /api/pledges/discount-amortization
+     * Body: { entity_id, as_of_date, entry_date }
+     * Post the pledge discount amortization due at as_of_date
+     */
+    app.post('/api/pledges/discount-amortization', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { entity_id, as_of_date, entry_date } = req.body || {};
+        res.json(await withTransaction(pool, client => postPledgeAmortization(client, {
+            entityId: entity_id,
+            asOfDate: as_of_date,
+            entryDate: entry_date,
+            user
+        })));
+    }));
+
+    /**
+     * GET /api/pledges/:id
+     * A pledge with its installments, payments and balances
+     */
+    app.get('/api/pledges/:id', asyncHandler(async (req, res) => {
+        res.json(await getPledge(pool, req.params.id));
+    }));
+
+    /**
+     * POST /api/pledges
+     * Body: { donor_id, fund_id, revenue_account_id, receivable_account_id,
+     *         discount_account_id, pledge_date, discount_rate, description,
+     *         installments: [{ due_date, amount }] }
+     * Record a pledge and post the receivable (at present value for
+     * installments due more than a year out)
+     */
+    app.post('/api/pledges', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const pledge = await withTransaction(pool, client => createPledge(client, req.body || {}, user));
+        res.status(201).json(pledge);
+    }));
+
+    /**
+     * GET /api/donor-statements/template
+     * Query: entityId
+     * The entity's contribution statement template (the default until one is
+     * saved) and the placeholders it can use
+     */
+    app.get('/api/donor-statements/template', asyncHandler(async (req, res) => {
+        const template = await getStatementTemplate(pool, req.query.entityId);
+        res.json({ ...template, placeholders: TEMPLATE_PLACEHOLDERS });
+    }));
+
+    /**
+     * PUT /api/donor-statements/template
+     * Body: { entity_id, template }
+     */
+    app.put('/api/donor-statements/template', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { entity_id, template } = req.body || {};
+        res.json(await saveStatementTemplate(pool, entity_id, template, user));
+    }));
+
+    /**
+     * DELETE /api/donor-statements/template
+     * Query: entityId
+     * Go back to the default template
+     */
+    app.delete('/api/donor-statements/template', asyncHandler(async (req, res) => {
+        await pool.query('DELETE FROM donor_statement_templates WHERE entity_id = $1', [req.query.entityId]);
+        res.status(204).send();
+    }));
+
+    /**
+     * GET /api/donor-statements
+     * Query: entityId, year, donorId, includeUnchanged
+     * Preview a year's statements: donors whose statement is new or changed
+     * since it was last produced (all donors with includeUnchanged=true)
+     */
+    app.get('/api/donor-statements', asyncHandler(async (req, res) => {
+        const { entityId, year, donorId, includeUnchanged } = req.query;
+        res.json(await buildDonorStatements(pool, {
+            entityId,
+            year,
+            donorId,
+            includeUnchanged: includeUnchanged === 'true'
+        }));
+    }));
+
+    /**
+     * POST /api/donor-statements
+     * Body: { entity_id, year, donor_id, include_unchanged, statement_date }
+     * Produce the new and changed statements of a year (or one donor's) and
+     * return them with a printable HTML document
+     */
+    app.post('/api/donor-statements', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { entity_id, year, donor_id, include_unchanged, statement_date } = req.body || {};
+        if (statement_date && !/^\d{4}-\d{2}-\d{2}$/.test(statement_date)) {
+            throw createRequestError('statement_date must be YYYY-MM-DD');
+        }
+        const result = await withTransaction(pool, client => generateDonorStatements(client, {
+            entityId: entity_id,
+            year,
+            donorId: donor_id,
+            includeUnchanged: include_unchanged === true,
+            statementDate: statement_date
+        }, user));
+        res.status(201).json(result);
+    }));
+
+    /**
+     * GET /api/donor-statements/:id
+     * Query: format
+     * A produced statement; format=html returns it as a printable page
+     */
+    app.get('/api/donor-statements/:id', asyncHandler(async (req, res) => {
+        const statement = await getDonorStatement(pool, req.params.id);
+        if (req.query.format === 'html') {
+            return res.type('html').send(renderStatementDocument(
+                `${statement.donor_name} contribution statement ${statement.tax_year}`,
+                [statement]
+            ));
+        }
+        res.json(statement);
+    }));
+}
+
+module.exports = registerDonorRoutes;
@@ -0,0 +1,708 @@
+/**
+ * donor-service.js
+ *
+ * Donors, gifts and pledges. Donors belong to an entity; each gift and
+ * pledge is credited to one of the entity's funds and revenue accounts.
+ *
+ * An outright gift posts the deposit against contribution revenue. A pledge
+ * posts its receivable when it is made; installments due more than a year
+ * after the pledge date are recorded at present value using the pledge's
+ * discount rate, with the difference held in a discount (contra-asset)
+ * account. Pledge payments are gifts linked to the pledge and post cash
+ * against the receivable. As installments come due or are paid the discount
+ * is amortized into contribution revenue.
+ *
+ * A gift records the value of any goods or services the donor received in
+ * return; annual contribution statements (donor-statement-service.js) use it
+ * for the deductible amount.
+ */
+
+const { createRequestError } = require('./request-error');
+const {
+    JOURNAL_ENTRY_STATUS,
+    ENTRY_TYPE,
+    saveJournalEntry
+} = require('./journal-entry-service');
+const {
+    AGING_BUCKETS,
+    DAY_MS,
+    roundAmount,
+    shiftYears,
+    requireDate,
+    isOptionalDate,
+    agingBucket
+} = require('./financial-report-service');
+
+const DONOR_TYPE = ['Individual', 'Foundation', 'Corporation', 'Government', 'Organization'];
+
+const DONOR_STATUS = {
+    ACTIVE: 'Active',
+    INACTIVE: 'Inactive'
+};
+
+const GIFT_TYPE = ['Cash', 'Check', 'Credit Card', 'Electronic Transfer', 'Securities', 'Other'];
+
+const PLEDGE_STATUS = {
+    OPEN: 'Open',
+    FULFILLED: 'Fulfilled'
+};
+
+const PLEDGE_SELECT = `
+    SELECT p.id, p.entity_id, p.donor_id, d.name AS donor_name, p.pledge_number,
+           p.fund_id, f.code AS fund_code, f.name AS fund_name,
+           p.revenue_account_id, p.receivable_account_id, p.discount_account_id,
+           to_char(p.pledge_date, 'YYYY-MM-DD') AS pledge_date, p.total_amount, p.discount_rate,
+           p.discount_amount, p.amortized_discount, p.status, p.description, p.journal_entry_id,
+           p.created_by, p.created_at, p.updated_at
+      FROM pledges p
+      JOIN donors d ON d.id = p.donor_id
+      JOIN funds f ON f.id = p.fund_id`;
+
+/**
+ * Validate a donor
+ * @param {Object} data - donors columns
+ * @returns {Object} Normalised donor columns
+ */
+function normalizeDonor(data) {
+    const errors = [];
+    const donor = {
+        entity_id: data.entity_id || null,
+        donor_type: data.donor_type || 'Individual',
+        name: (data.name || '').trim(),
+        email: data.email || null,
+        phone: data.phone || null,
+        address_line1: data.address_line1 || null,
+        address_line2: data.address_line2 || null,
+        city: data.city || null,
+        state: data.state || null,
+        postal_code: data.postal_code || null,
+        country: data.country || null,
+        status: data.status || DONOR_STATUS.ACTIVE,
+        notes: data.notes || null
+    };
+    if (!donor.entity_id) {
+        errors.push('entity_id is required');
+    }
+    if (!donor.name) {
+        errors.push('name is required');
+    }
+    if (!DONOR_TYPE.includes(donor.donor_type)) {
+        errors.push(`Invalid donor_type "${donor.donor_type}"`);
+    }
+    if (!Object.values(DONOR_STATUS).includes(donor.status)) {
+        errors.push(`Invalid status "${donor.status}"`);
+    }
+    if (donor.email && !/^[^@\s]+@[^@\s]+$/.test(donor.email)) {
+        errors.push('email is not a valid address');
+    }
+    if (errors.length) {
+        throw createRequestError('Invalid donor', { errors });
+    }
+    return donor;
+}
+
+/**
+ * Load a donor
+ * @param {Object} db - pg pool or client
+ * @param {string} donorId - donors id
+ * @returns {Promise<Object>} donors row
+ */
+async function getDonorHeader(db, donorId) {
+    const { rows } = await db.query('SELECT * FROM donors WHERE id = $1', [donorId]);
+    if (rows.length === 0) {
+        throw createRequestError('Donor not found', null, 404);
+    }
+    return rows[0];
+}
+
+/**
+ * Check that a fund and accounts belong to an entity and have the expected
+ * account types, collecting problems into `errors`
+ * @param {Object} db - pg pool or client
+ * @param {string} entityId - Entity the gift or pledge is recorded in
+ * @param {string|null} fundId - funds id
+ * @param {Array<Array>} accountChecks - [id, label, type] per account
+ * @param {Array<string>} errors - Collected validation errors
+ * @returns {Promise<Object|null>} The fund (id, code, entity_id)
+ */
+async function checkFundAndAccounts(db, entityId, fundId, accountChecks, errors) {
+    let fund = null;
+    if (!fundId) {
+        errors.push('fund_id is required');
+    } else {
+        const { rows } = await db.query('SELECT id, code, entity_id FROM funds WHERE id = $1', [fundId]);
+        fund = rows[0] || null;
+        if (!fund || fund.entity_id !== entityId) {
+            errors.push("The fund must belong to the donor's entity");
+        }
+    }
+
+    const ids = accountChecks.map(([id]) => id).filter(Boolean);
+    const { rows: accounts } = ids.length
+        ? await db.query('SELECT id, entity_id, type FROM accounts WHERE id = ANY($1::uuid[])', [ids])
+        : { rows: [] };
+    accountChecks.forEach(([id, label, type]) => {
+        const account = accounts.find(a => a.id === id);
+        if (!id) {
+            errors.push(`A ${label} is required`);
+        } else if (!account || account.entity_id !== entityId) {
+            errors.push(`The ${label} must belong to the donor's entity`);
+        } else if (account.type !== type) {
+            errors.push(`The ${label} must be of type ${type}`);
+        }
+    });
+    return fund;
+}
+
+/**
+ * Next number in a per-entity reference sequence, e.g. GIFT-HQ-12
+ * @param {Object} db - pg pool or client
+ * @param {string} table - gifts or pledges
+ * @param {string} entityId - Entity
+ * @returns {Promise<{code: string, next: number}>} Entity code and next number
+ */
+async function nextNumber(db, table, entityId) {
+    const { rows: [row] } = await db.query(
+        `SELECT e.code, (SELECT COUNT(*)::int FROM ${table} t WHERE t.entity_id = e.id) + 1 AS next
+           FROM entities e WHERE e.id = $1`,
+        [entityId]
+    );
+    return row;
+}
+
+/**
+ * Apply a pledge's payments to its installments in due-date order
+ * @param {Array<Object>} installments - { due_date, amount, discounted }
+ * @param {number} paid - Total paid on the pledge
+ * @returns {Array<Object>} Installments with paid_amount and outstanding
+ */
+function applyPayments(installments, paid) {
+    let remaining = roundAmount(paid);
+    return [...installments]
+        .sort((a, b) => a.due_date.localeCompare(b.due_date))
+        .map(installment => {
+            const amount = roundAmount(installment.amount);
+            const applied = Math.min(amount, Math.max(remaining, 0));
+            remaining = roundAmount(remaining - applied);
+            return { ...installment, amount, paid_amount: roundAmount(applied), outstanding: roundAmount(amount - applied) };
+        });
+}
+
+/**
+ * Discount on a pledge's unpaid installments at a date: each discounted
+ * installment's outstanding amount less its present value at the date
+ * @param {Array<Object>} installments - applyPayments() output
+ * @param {number} rate - Annual discount rate (percent)
+ * @param {string} asOfDate - YYYY-MM-DD
+ * @returns {number}
+ */
+function requiredDiscount(installments, rate, asOfDate) {
+    return roundAmount(installments.reduce((total, installment) => {
+        if (!installment.discounted || installment.outstanding <= 0) {
+            return total;
+        }
+        const years = Math.max(0, (Date.parse(installment.due_date) - Date.parse(asOfDate)) / (365 * DAY_MS));
+        return total + installment.outstanding * (1 - Math.pow(1 + rate / 100, -years));
+    }, 0));
+}
+
+/**
+ * Record a gift and post it. A gift with a pledge_id is a pledge payment:
+ * it posts against the pledge's receivable and fund instead of revenue.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} data - { donor_id, pledge_id, gift_date, amount, gift_type,
+ *   fund_id, revenue_account_id, deposit_account_id, reference, description,
+ *   goods_services_value, goods_services_description }
+ * @param {Object|null} user - Acting user
+ * @returns {Promise<Object>} gifts row with `journal_entry`
+ */
+async function recordGift(client, data, user) {
+    const errors = [];
+    const donor = await getDonorHeader(client, data.donor_id);
+    const amount = roundAmount(data.amount);
+    const giftType = data.gift_type || 'Check';
+    if (!data.gift_date || !isOptionalDate(data.gift_date)) {
+        errors.push('gift_date is required (YYYY-MM-DD)');
+    }
+    if (Number.isNaN(parseFloat(data.amount)) || amount <= 0) {
+        errors.push('amount must be more than zero');
+    }
+    if (!GIFT_TYPE.includes(giftType)) {
+        errors.push(`Invalid gift_type "${giftType}"`);
+    }
+    const goodsServicesValue = roundAmount(data.goods_services_value);
+    if (goodsServicesValue < 0 || goodsServicesValue > amount) {
+        errors.push('goods_services_value must be between zero and the gift amount');
+    } else if (goodsServicesValue > 0 && !data.goods_services_description) {
+        errors.push('goods_services_description is required when goods or services were provided');
+    }
+
+    let pledge = null;
+    if (data.pledge_id) {
+        pledge = await getPledge(client, data.pledge_id, { forUpdate: true });
+        if (pledge.donor_id !== donor.id) {
+            errors.push('The pledge belongs to another donor');
+        } else if (pledge.status !== PLEDGE_STATUS.OPEN) {
+            errors.push(`The pledge is ${pledge.status}`);
+        } else if (amount > pledge.outstanding) {
+            errors.push(`The payment exceeds the pledge balance of ${pledge.outstanding.toFixed(2)}`);
+        }
+    }
+    const fundId = pledge ? pledge.fund_id : data.fund_id;
+    const accountChecks = [[data.deposit_account_id, 'deposit account', 'Asset']];
+    if (!pledge) {
+        accountChecks.push([data.revenue_account_id, 'revenue account', 'Revenue']);
+    }
+    await checkFundAndAccounts(client, donor.entity_id, fundId, accountChecks, errors);
+    if (errors.length) {
+        throw createRequestError('Invalid gift', { errors });
+    }
+
+    const { code, next } = await nextNumber(client, 'gifts', donor.entity_id);
+    const description = data.description
+        || (pledge ? `Payment on pledge ${pledge.pledge_number} from ${donor.name}` : `Gift from ${donor.name}`);
+    const createdBy = user ? user.name : 'System';
+    const entry = await saveJournalEntry(
+        client,
+        {
+            entity_id: donor.entity_id,
+            entry_date: data.gift_date,
+            reference_number: `GIFT-${code}-${next}`,
+            description,
+            status: JOURNAL_ENTRY_STATUS.POSTED,
+            created_by: createdBy,
+            entry_type: ENTRY_TYPE.STANDARD
+        },
+        [
+            {
+                account_id: data.deposit_account_id,
+                fund_id: fundId,
+                debit_amount: amount,
+                credit_amount: 0,
+                description
+            },
+            {
+                account_id: pledge ? pledge.receivable_account_id : data.revenue_account_id,
+                fund_id: fundId,
+                debit_amount: 0,
+                credit_amount: amount,
+                description
+            }
+        ],
+        null,
+        { user }
+    );
+
+    const { rows: [gift] } = await client.query(
+        `INSERT INTO gifts
+            (entity_id, donor_id, pledge_id, gift_date, amount, gift_type, fund_id, revenue_account_id,
+             deposit_account_id, reference, description, goods_services_value, goods_services_description,
+             journal_entry_id, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING *`,
+        [
+            donor.entity_id, donor.id, pledge ? pledge.id : null, data.gift_date, amount, giftType, fundId,
+            pledge ? null : data.revenue_account_id, data.deposit_account_id, data.reference || null,
+            description, goodsServicesValue, goodsServicesValue > 0 ? data.goods_services_description : null,
+            entry.id, createdBy
+        ]
+    );
+    if (pledge && amount >= pledge.outstanding) {
+        await client.query(
+            'UPDATE pledges SET status = $1, updated_at = NOW() WHERE id = $2',
+            [PLEDGE_STATUS.FULFILLED, pledge.id]
+        );
+    }
+    return { ...gift, journal_entry: entry };
+}
+
+/**
+ * Record a pledge with its installment schedule and post the receivable:
+ * the full amount to the receivable, the discount on installments due more
+ * than a year out to the discount account and the present value to revenue
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} data - { donor_id, fund_id, revenue_account_id,
+ *   receivable_account_id, discount_account_id, pledge_date, discount_rate,
+ *   description, installments: [{ due_date, amount }] }
+ * @param {Object|null} user - Acting user
+ * @returns {Promise<Object>} The pledge (getPledge()) with `journal_entry`
+ */
+async function createPledge(client, data, user) {
+    const errors = [];
+    const donor = await getDonorHeader(client, data.donor_id);
+    const rate = data.discount_rate === undefined || data.discount_rate === '' ? 0 : Number(data.discount_rate);
+    const installments = Array.isArray(data.installments) ? data.installments : [];
+    if (!data.pledge_date || !isOptionalDate(data.pledge_date)) {
+        errors.push('pledge_date is required (YYYY-MM-DD)');
+    }
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+        errors.push('discount_rate must be a percentage between 0 and 100');
+    }
+    if (installments.length === 0) {
+        errors.push('installments must list at least one { due_date, amount }');
+    }
+    installments.forEach((installment, index) => {
+        if (!installment.due_date || !isOptionalDate(installment.due_date)) {
+            errors.push(`Installment ${index + 1}: due_date (YYYY-MM-DD) is required`);
+        } else if (data.pledge_date && installment.due_date < data.pledge_date) {
+            errors.push(`Installment ${index + 1}: due_date is before the pledge date`);
+        }
+        if (!(roundAmount(installment.amount) > 0)) {
+            errors.push(`Installment ${index + 1}: amount must be more than zero`);
+        }
+    });
+
+    const discountYearEnd = data.pledge_date && isOptionalDate(data.pledge_date) ? shiftYears(data.pledge_date, 1) : null;
+    const schedule = installments.map(installment => ({
+        due_date: installment.due_date,
+        amount: roundAmount(installment.amount),
+        discounted: rate > 0 && Boolean(discountYearEnd) && installment.due_date > discountYearEnd
+    }));
+    const total = roundAmount(schedule.reduce((sum, installment) => sum + installment.amount, 0));
+    const discount = errors.length ? 0 : requiredDiscount(applyPayments(schedule, 0), rate, data.pledge_date);
+
+    const accountChecks = [
+        [data.receivable_account_id, 'receivable account', 'Asset'],
+        [data.revenue_account_id, 'revenue account', 'Revenue']
+    ];
+    if (discount > 0) {
+        accountChecks.push([data.discount_account_id, 'discount account', 'Asset']);
+    }
+    await checkFundAndAccounts(client, donor.entity_id, data.fund_id, accountChecks, errors);
+    if (errors.length) {
+        throw createRequestError('Invalid pledge', { errors });
+    }
+
+    const { code, next } = await nextNumber(client, 'pledges', donor.entity_id);
+    const description = data.description || `Pledge from ${donor.name}`;
+    const lines = [
+        {
+            account_id: data.receivable_account_id,
+            fund_id: data.fund_id,
+            debit_amount: total,
+            credit_amount: 0,
+            description
+        },
+        {
+            account_id: data.revenue_account_id,
+            fund_id: data.fund_id,
+            debit_amount: 0,
+            credit_amount: roundAmount(total - discount),
+            description
+        }
+    ];
+    if (discount > 0) {
+        lines.push({
+            account_id: data.discount_account_id,
+            fund_id: data.fund_id,
+            debit_amount: 0,
+            credit_amount: discount,
+            description: `${description}: discount to present value`
+        });
+    }
+    const createdBy = user ? user.name : 'System';
+    const entry = await saveJournalEntry(
+        client,
+        {
+            entity_id: donor.entity_id,
+            entry_date: data.pledge_date,
+            reference_number: `PLG-${code}-${next}`,
+            description,
+            status: JOURNAL_ENTRY_STATUS.POSTED,
+            created_by: createdBy,
+            entry_type: ENTRY_TYPE.STANDARD
+        },
+        lines,
+        null,
+        { user }
+    );
+
+    const { rows: [pledge] } = await client.query(
+        `INSERT INTO pledges
+            (entity_id, donor_id, pledge_number, fund_id, revenue_account_id, receivable_account_id,
+             discount_account_id, pledge_date, total_amount, discount_rate, discount_amount, status,
+             description, journal_entry_id, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING id`,
+        [
+            donor.entity_id, donor.id, next, data.fund_id, data.revenue_account_id, data.receivable_account_id,
+            data.discount_account_id || null, data.pledge_date, total, rate, discount, PLEDGE_STATUS.OPEN,
+            description, entry.id, createdBy
+        ]
+    );
+    for (const installment of schedule) {
+        await client.query(
+            'INSERT INTO pledge_installments (pledge_id, due_date, amount, discounted) VALUES ($1, $2, $3, $4)',
+            [pledge.id, installment.due_date, installment.amount, installment.discounted]
+        );
+    }
+    return { ...(await getPledge(client, pledge.id)), journal_entry: entry };
+}
+
+/**
+ * Load a pledge with its installments (payments applied in due-date order),
+ * payments and balances
+ * @param {Object} db - pg pool or client
+ * @param {string} pledgeId - pledges id
+ * @param {Object} [options]
+ * @param {boolean} [options.forUpdate] - Lock the pledge row
+ * @returns {Promise<Object>}
+ */
+async function getPledge(db, pledgeId, { forUpdate } = {}) {
+    const { rows } = await db.query(`${PLEDGE_SELECT} WHERE p.id = $1 ${forUpdate ? 'FOR UPDATE OF p' : ''}`, [pledgeId]);
+    if (rows.length === 0) {
+        throw createRequestError('Pledge not found', null, 404);
+    }
+    const pledge = rows[0];
+    const { rows: installments } = await db.query(
+        `SELECT id, to_char(due_date, 'YYYY-MM-DD') AS due_date, amount, discounted
+           FROM pledge_installments WHERE pledge_id = $1 ORDER BY due_date`,
+        [pledge.id]
+    );
+    const { rows: payments } = await db.query(
+        `SELECT id, to_char(gift_date, 'YYYY-MM-DD') AS gift_date, amount, gift_type, reference, journal_entry_id
+           FROM gifts WHERE pledge_id = $1 ORDER BY gift_date, created_at`,
+        [pledge.id]
+    );
+    const paid = roundAmount(payments.reduce((total, payment) => total + parseFloat(payment.amount), 0));
+    return {
+        ...pledge,
+        installments: applyPayments(installments, paid),
+        payments,
+        paid_amount: paid,
+        outstanding: roundAmount(parseFloat(pledge.total_amount) - paid),
+        unamortized_discount: roundAmount(parseFloat(pledge.discount_amount) - parseFloat(pledge.amortized_discount))
+    };
+}
+
+/**
+ * Discount amortization due on an entity's pledges at a date: the discount
+ * still on the books less the discount required on unpaid installments
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Entity
+ * @param {string} [options.asOfDate] - YYYY-MM-DD (default today)
+ * @returns {Promise<Object>} { entityId, asOfDate, pledges, total }
+ */
+async function calculatePledgeAmortization(db, { entityId, asOfDate }) {
+    if (!entityId) {
+        throw createRequestError('entityId is required');
+    }
+    const date = asOfDate ? requireDate(asOfDate, 'asOfDate') : new Date().toISOString().split('T')[0];
+    const { rows } = await db.query(
+        `${PLEDGE_SELECT}
+          WHERE p.entity_id = $1 AND p.pledge_date <= $2 AND p.discount_amount > p.amortized_discount
+          ORDER BY p.pledge_number`,
+        [entityId, date]
+    );
+    const pledges = [];
+    for (const row of rows) {
+        const { rows: installments } = await db.query(
+            `SELECT to_char(due_date, 'YYYY-MM-DD') AS due_date, amount, discounted
+               FROM pledge_installments WHERE pledge_id = $1`,
+            [row.id]
+        );
+        const { rows: [{ paid }] } = await db.query(
+            'SELECT COALESCE(SUM(amount), 0) AS paid FROM gifts WHERE pledge_id = $1 AND gift_date <= $2',
+            [row.id, date]
+        );
+        const remaining = roundAmount(parseFloat(row.discount_amount) - parseFloat(row.amortized_discount));
+        const required = requiredDiscount(applyPayments(installments, paid), parseFloat(row.discount_rate), date);
+        const amount = roundAmount(remaining - required);
+        if (amount > 0) {
+            pledges.push({
+                pledge_id: row.id,
+                pledge_number: row.pledge_number,
+                donor_name: row.donor_name,
+                fund_id: row.fund_id,
+                fund_code: row.fund_code,
+                revenue_account_id: row.revenue_account_id,
+                discount_account_id: row.discount_account_id,
+                unamortized_discount: remaining,
+                required_discount: required,
+                amount
+            });
+        }
+    }
+    return {
+        entityId,
+        asOfDate: date,
+        pledges,
+        total: roundAmount(pledges.reduce((total, pledge) => total + pledge.amount, 0))
+    };
+}
+
+/**
+ * Post the discount amortization due at a date as one entry: discount
+ * account against contribution revenue per pledge
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} options - calculatePledgeAmortization() options plus
+ *   entryDate (default asOfDate) and user
+ * @returns {Promise<Object>} The amortization with `journal_entry` (null
+ *   when nothing was due)
+ */
+async function postPledgeAmortization(client, options) {
+    const amortization = await calculatePledgeAmortization(client, options);
+    if (amortization.pledges.length === 0) {
+        return { ...amortization, journal_entry: null };
+    }
+    const entryDate = options.entryDate ? requireDate(options.entryDate, 'entryDate') : amortization.asOfDate;
+    const lines = [];
+    amortization.pledges.forEach(pledge => {
+        const description = `Discount amortization, pledge ${pledge.pledge_number} (${pledge.donor_name})`;
+        lines.push(
+            {
+                account_id: pledge.discount_account_id,
+                fund_id: pledge.fund_id,
+                debit_amount: pledge.amount,
+                credit_amount: 0,
+                description
+            },
+            {
+                account_id: pledge.revenue_account_id,
+                fund_id: pledge.fund_id,
+                debit_amount: 0,
+                credit_amount: pledge.amount,
+                description
+            }
+        );
+    });
+
+    const { rows: [{ code, next }] } = await client.query(
+        `SELECT e.code,
+                (SELECT COUNT(DISTINCT a.journal_entry_id)::int
+                   FROM pledge_amortizations a JOIN pledges p ON p.id = a.pledge_id
+                  WHERE p.entity_id = e.id) + 1 AS next
+           FROM entities e WHERE e.id = $1`,
+        [options.entityId]
+    );
+    const entry = await saveJournalEntry(
+        client,
+        {
+            entity_id: options.entityId,
+            entry_date: entryDate,
+            reference_number: `PLG-DISC-${code}-${next}`,
+            description: `Pledge discount amortization through ${amortization.asOfDate}`,
+            status: JOURNAL_ENTRY_STATUS.POSTED,
+            created_by: options.user ? options.user.name : 'System',
+            entry_type: ENTRY_TYPE.STANDARD
+        },
+        lines,
+        null,
+        { user: options.user }
+    );
+    for (const pledge of amortization.pledges) {
+        await client.query(
+            'INSERT INTO pledge_amortizations (pledge_id, as_of_date, amount, journal_entry_id) VALUES ($1, $2, $3, $4)',
+            [pledge.pledge_id, amortization.asOfDate, pledge.amount, entry.id]
+        );
+        await client.query(
+            'UPDATE pledges SET amortized_discount = amortized_discount + $1, updated_at = NOW() WHERE id = $2',
+            [pledge.amount, pledge.pledge_id]
+        );
+    }
+    return { ...amortization, journal_entry: entry };
+}
+
+/**
+ * Pledge aging at a date: each pledge's unpaid installments by days past
+ * due, with the unamortized discount and net receivable
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Entity
+ * @param {string} [options.asOfDate] - YYYY-MM-DD (default today)
+ * @returns {Promise<Object>} { entity, asOfDate, pledges, totals }
+ */
+async function getPledgeAging(db, { entityId, asOfDate }) {
+    if (!entityId) {
+        throw createRequestError('entityId is required');
+    }
+    const date = asOfDate ? requireDate(asOfDate, 'asOfDate') : new Date().toISOString().split('T')[0];
+    const { rows: entities } = await db.query('SELECT id, name FROM entities WHERE id = $1', [entityId]);
+    if (entities.length === 0) {
+        throw createRequestError('Entity not found', null, 404);
+    }
+
+    const { rows } = await db.query(
+        `${PLEDGE_SELECT}
+          WHERE p.entity_id = $1 AND p.pledge_date <= $2
+          ORDER BY d.name, p.pledge_number`,
+        [entityId, date]
+    );
+    const { rows: installmentRows } = await db.query(
+        `SELECT i.pledge_id, to_char(i.due_date, 'YYYY-MM-DD') AS due_date, i.amount, i.discounted
+           FROM pledge_installments i JOIN pledges p ON p.id = i.pledge_id
+          WHERE p.entity_id = $1`,
+        [entityId]
+    );
+    const { rows: paidRows } = await db.query(
+        `SELECT g.pledge_id, SUM(g.amount) AS paid
+           FROM gifts g JOIN pledges p ON p.id = g.pledge_id
+          WHERE p.entity_id = $1 AND g.gift_date <= $2
+          GROUP BY g.pledge_id`,
+        [entityId, date]
+    );
+    const { rows: amortizedRows } = await db.query(
+        `SELECT a.pledge_id, SUM(a.amount) AS amortized
+           FROM pledge_amortizations a JOIN pledges p ON p.id = a.pledge_id
+          WHERE p.entity_id = $1 AND a.as_of_date <= $2
+          GROUP BY a.pledge_id`,
+        [entityId, date]
+    );
+    const paidByPledge = new Map(paidRows.map(row => [row.pledge_id, parseFloat(row.paid)]));
+    const amortizedByPledge = new Map(amortizedRows.map(row => [row.pledge_id, parseFloat(row.amortized)]));
+
+    const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, 0]));
+    const totals = { total_amount: 0, outstanding: 0, unamortized_discount: 0, net_receivable: 0, ...emptyBuckets() };
+    const pledges = [];
+    rows.forEach(row => {
+        const paid = paidByPledge.get(row.id) || 0;
+        const installments = applyPayments(installmentRows.filter(i => i.pledge_id === row.id), paid);
+        const outstanding = roundAmount(parseFloat(row.total_amount) - paid);
+        if (outstanding <= 0) {
+            return;
+        }
+        const buckets = emptyBuckets();
+        installments.filter(i => i.outstanding > 0).forEach(installment => {
+            const { bucket } = agingBucket(date, installment.due_date);
+            buckets[bucket] = roundAmount(buckets[bucket] + installment.outstanding);
+        });
+        const discount = roundAmount(parseFloat(row.discount_amount) - (amortizedByPledge.get(row.id) || 0));
+        const pledge = {
+            pledge_id: row.id,
+            pledge_number: row.pledge_number,
+            donor_id: row.donor_id,
+            donor_name: row.donor_name,
+            fund_code: row.fund_code,
+            pledge_date: row.pledge_date,
+            total_amount: roundAmount(row.total_amount),
+            paid_amount: roundAmount(paid),
+            outstanding,
+            ...buckets,
+            unamortized_discount: discount,
+            net_receivable: roundAmount(outstanding - discount)
+        };
+        pledges.push(pledge);
+        Object.keys(totals).forEach(key => {
+            totals[key] = roundAmount(totals[key] + pledge[key]);
+        });
+    });
+    return { entity: entities[0], asOfDate: date, pledges, totals };
+}
+
+module.exports = {
+    DONOR_TYPE,
+    DONOR_STATUS,
+    GIFT_TYPE,
+    PLEDGE_STATUS,
+    AGING_BUCKETS,
+    PLEDGE_SELECT,
+    normalizeDonor,
+    getDonorHeader,
+    recordGift,
+    createPledge,
+    getPledge,
+    calculatePledgeAmortization,
+    postPledgeAmortization,
+    getPledgeAging
+};
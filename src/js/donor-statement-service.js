@@ -0,0 +1,407 @@
+/**
+ * donor-statement-service.js
+ *
+ * Annual contribution statements for donors. A statement lists a donor's
+ * gifts to an entity in a calendar year (pledge payments included, since
+ * they are deductible when paid) and carries the written acknowledgement
+ * the IRS requires: either that no goods or services were provided, or the
+ * value of what was provided and the deductible amount.
+ *
+ * Statements are rendered from the entity's template (editable in Settings;
+ * a default is used until one is saved). Each produced statement is stored
+ * with a fingerprint of its content, so a re-run for the same year only
+ * returns donors whose gifts or details changed since their last statement.
+ */
+
+const crypto = require('crypto');
+const { createRequestError } = require('./request-error');
+const { roundAmount } = require('./financial-report-service');
+
+const STATEMENT_STATUS = {
+    NEW: 'New',
+    CHANGED: 'Changed',
+    UNCHANGED: 'Unchanged'
+};
+
+const TEMPLATE_PLACEHOLDERS = [
+    'statement_date',
+    'organization_name',
+    'year',
+    'donor_name',
+    'donor_address',
+    'total_amount',
+    'deductible_amount',
+    'gift_table',
+    'goods_services_statement'
+];
+
+const DEFAULT_TEMPLATE = `<p>{{statement_date}}</p>
+<p>{{donor_name}}<br>{{donor_address}}</p>
+<p>Dear {{donor_name}},</p>
+<p>Thank you for your generous support of {{organization_name}}. This statement lists the contributions we received from you between January 1 and December 31, {{year}}, totalling {{total_amount}}.</p>
+{{gift_table}}
+<p>{{goods_services_statement}}</p>
+<p>{{organization_name}} is exempt from federal income tax under Section 501(c)(3) of the Internal Revenue Code. Please keep this statement for your tax records.</p>
+<p>With gratitude,</p>
+<p>{{organization_name}}</p>`;
+
+/**
+ * Escape text for HTML output
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format an amount as US dollars
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatAmount(amount) {
+    return `$${roundAmount(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Format a YYYY-MM-DD date as e.g. March 5, 2026
+ * @param {string} isoDate
+ * @returns {string}
+ */
+function formatLongDate(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day))
+        .toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Validate a tax year
+ * @param {*} value
+ * @returns {number}
+ */
+function requireYear(value) {
+    const year = Number(value);
+    if (!Number.isInteger(year) || year < 1900 || year > 9999) {
+        throw createRequestError('year is required (e.g. 2025)');
+    }
+    return year;
+}
+
+/**
+ * The statement template of an entity, or the default template
+ * @param {Object} db - pg pool or client
+ * @param {string} entityId - Entity
+ * @returns {Promise<Object>} { entity_id, template, is_default, updated_by, updated_at }
+ */
+async function getStatementTemplate(db, entityId) {
+    if (!entityId) {
+        throw createRequestError('entityId is required');
+    }
+    const { rows } = await db.query(
+        'SELECT entity_id, template, updated_by, updated_at FROM donor_statement_templates WHERE entity_id = $1',
+        [entityId]
+    );
+    if (rows.length === 0) {
+        return { entity_id: entityId, template: DEFAULT_TEMPLATE, is_default: true, updated_by: null, updated_at: null };
+    }
+    return { ...rows[0], is_default: false };
+}
+
+/**
+ * Save an entity's statement template. The template must keep the
+ * {{goods_services_statement}} placeholder, which carries the IRS wording.
+ * @param {Object} db - pg pool or client
+ * @param {string} entityId - Entity
+ * @param {string} template - HTML with {{placeholders}}
+ * @param {Object|null} user - Acting user
+ * @returns {Promise<Object>} The saved template
+ */
+async function saveStatementTemplate(db, entityId, template, user) {
+    const errors = [];
+    if (!entityId) {
+        errors.push('entity_id is required');
+    }
+    if (!template || !template.trim()) {
+        errors.push('template is required');
+    } else {
+        if (!template.includes('{{goods_services_statement}}')) {
+            errors.push('The template must include {{goods_services_statement}}, which carries the required goods and services wording');
+        }
+        const unknown = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+            .map(match => match[1])
+            .filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+        if (unknown.length) {
+            errors.push(`Unknown placeholders: ${[...new Set(unknown)].join(', ')}`);
+        }
+    }
+    if (errors.length) {
+        throw createRequestError('Invalid statement template', { errors });
+    }
+    const { rows } = await db.query(
+        `INSERT INTO donor_statement_templates (entity_id, template, updated_by, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (entity_id) DO UPDATE
+            SET template = EXCLUDED.template, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+         RETURNING entity_id, template, updated_by, updated_at`,
+        [entityId, template, user ? user.name : 'System']
+    );
+    return { ...rows[0], is_default: false };
+}
+
+/**
+ * The acknowledgement wording for a donor's gifts: no goods or services, or
+ * the goods and services provided for each gift and the deductible amount
+ * @param {Array<Object>} gifts - Gifts with goods_services_value
+ * @param {number} deductible - Deductible total
+ * @returns {string} HTML
+ */
+function goodsServicesStatement(gifts, deductible) {
+    const quidProQuo = gifts.filter(gift => parseFloat(gift.goods_services_value) > 0);
+    if (quidProQuo.length === 0) {
+        return 'No goods or services were provided in exchange for these contributions.';
+    }
+    const items = quidProQuo.map(gift => `In exchange for your contribution of ${formatAmount(gift.amount)} on ${escapeHtml(formatLongDate(gift.gift_date))}, `
+        + `you received ${escapeHtml(gift.goods_services_description || 'goods or services')} with an estimated fair market value of `
+        + `${formatAmount(gift.goods_services_value)}.`);
+    return `${items.join(' ')} No other goods or services were provided. The amount of your contributions that is deductible `
+        + `for federal income tax purposes is limited to the excess of your contributions over the value of the goods and `
+        + `services provided, ${formatAmount(deductible)}.`;
+}
+
+/**
+ * Render one donor's statement from a template
+ * @param {string} template - HTML with {{placeholders}}
+ * @param {Object} data - { statementDate, entity, year, donor, gifts, total, deductible }
+ * @returns {string} HTML
+ */
+function renderStatement(template, data) {
+    const { donor } = data;
+    const address = [
+        donor.address_line1,
+        donor.address_line2,
+        [donor.city, donor.state, donor.postal_code].filter(Boolean).join(' '),
+        donor.country
+    ].filter(Boolean).map(escapeHtml).join('<br>');
+    const giftTable = `
+        <table class="statement-gifts">
+            <thead><tr><th>Date</th><th>Type</th><th class="text-right">Amount</th><th class="text-right">Goods/Services Value</th></tr></thead>
+            <tbody>
+                ${data.gifts.map(gift => `
+                    <tr>
+                        <td>${escapeHtml(formatLongDate(gift.gift_date))}</td>
+                        <td>${escapeHtml(gift.gift_type)}</td>
+                        <td class="text-right">${formatAmount(gift.amount)}</td>
+                        <td class="text-right">${formatAmount(gift.goods_services_value)}</td>
+                    </tr>`).join('')}
+            </tbody>
+            <tfoot><tr><td colspan="2">Total</td><td class="text-right">${formatAmount(data.total)}</td><td></td></tr></tfoot>
+        </table>`;
+    const values = {
+        statement_date: escapeHtml(formatLongDate(data.statementDate)),
+        organization_name: escapeHtml(data.entity.name),
+        year: String(data.year),
+        donor_name: escapeHtml(donor.name),
+        donor_address: address,
+        total_amount: formatAmount(data.total),
+        deductible_amount: formatAmount(data.deductible),
+        gift_table: giftTable,
+        goods_services_statement: goodsServicesStatement(data.gifts, data.deductible)
+    };
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * Build the statements of an entity's donors for a year and compare them
+ * with the statements already produced
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Entity
+ * @param {number|string} options.year - Calendar year
+ * @param {string} [options.donorId] - Only this donor
+ * @param {boolean} [options.includeUnchanged] - Also return donors whose
+ *   statement has not changed since it was produced
+ * @param {string} [options.statementDate] - YYYY-MM-DD printed on the
+ *   statements (default today)
+ * @returns {Promise<Object>} { entity, year, statements, counts }
+ */
+async function buildDonorStatements(db, { entityId, year, donorId, includeUnchanged, statementDate }) {
+    if (!entityId) {
+        throw createRequestError('entityId is required');
+    }
+    const taxYear = requireYear(year);
+    const { rows: entities } = await db.query('SELECT id, name FROM entities WHERE id = $1', [entityId]);
+    if (entities.length === 0) {
+        throw createRequestError('Entity not found', null, 404);
+    }
+    const { template } = await getStatementTemplate(db, entityId);
+
+    const params = [entityId, `${taxYear}-01-01`, `${taxYear}-12-31`];
+    if (donorId) {
+        params.push(donorId);
+    }
+    const { rows: gifts } = await db.query(
+        `SELECT g.id, g.donor_id, to_char(g.gift_date, 'YYYY-MM-DD') AS gift_date, g.amount, g.gift_type,
+                g.goods_services_value, g.goods_services_description
+           FROM gifts g
+          WHERE g.entity_id = $1 AND g.gift_date BETWEEN $2 AND $3 ${donorId ? 'AND g.donor_id = $4' : ''}
+          ORDER BY g.gift_date, g.created_at`,
+        params
+    );
+    const donorIds = [...new Set(gifts.map(gift => gift.donor_id))];
+    const { rows: donors } = await db.query(
+        'SELECT * FROM donors WHERE id = ANY($1::uuid[]) ORDER BY name',
+        [donorIds]
+    );
+    const { rows: produced } = await db.query(
+        `SELECT DISTINCT ON (donor_id) id, donor_id, version, content_hash, generated_at
+           FROM donor_statements
+          WHERE entity_id = $1 AND tax_year = $2
+          ORDER BY donor_id, version DESC`,
+        [entityId, taxYear]
+    );
+    const lastProduced = new Map(produced.map(row => [row.donor_id, row]));
+
+    const counts = { new: 0, changed: 0, unchanged: 0 };
+    const statements = [];
+    donors.forEach(donor => {
+        const donorGifts = gifts.filter(gift => gift.donor_id === donor.id);
+        const total = roundAmount(donorGifts.reduce((sum, gift) => sum + parseFloat(gift.amount), 0));
+        const goodsServices = roundAmount(donorGifts.reduce((sum, gift) => sum + parseFloat(gift.goods_services_value), 0));
+        const deductible = roundAmount(total - goodsServices);
+        const contentHash = crypto.createHash('sha256').update(JSON.stringify({
+            donor: [donor.name, donor.address_line1, donor.address_line2, donor.city, donor.state, donor.postal_code, donor.country],
+            gifts: donorGifts.map(gift => [gift.id, gift.gift_date, roundAmount(gift.amount),
+                roundAmount(gift.goods_services_value), gift.goods_services_description])
+        })).digest('hex');
+
+        const previous = lastProduced.get(donor.id);
+        const status = !previous ? STATEMENT_STATUS.NEW
+            : previous.content_hash !== contentHash ? STATEMENT_STATUS.CHANGED : STATEMENT_STATUS.UNCHANGED;
+        counts[status.toLowerCase()] += 1;
+        if (status === STATEMENT_STATUS.UNCHANGED && !includeUnchanged) {
+            return;
+        }
+        statements.push({
+            donor_id: donor.id,
+            donor_name: donor.name,
+            status,
+            previous_statement_id: previous ? previous.id : null,
+            previous_generated_at: previous ? previous.generated_at : null,
+            gift_count: donorGifts.length,
+            total_amount: total,
+            goods_services_value: goodsServices,
+            deductible_amount: deductible,
+            content_hash: contentHash,
+            html: renderStatement(template, {
+                statementDate: statementDate || new Date().toISOString().split('T')[0],
+                entity: entities[0],
+                year: taxYear,
+                donor,
+                gifts: donorGifts,
+                total,
+                deductible
+            })
+        });
+    });
+    return { entity: entities[0], year: taxYear, statements, counts };
+}
+
+/**
+ * Produce statements: build them, store the new and changed ones as the
+ * donor's latest statement for the year and return a printable document
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} options - buildDonorStatements() options
+ * @param {Object|null} user - Acting user
+ * @returns {Promise<Object>} buildDonorStatements() result with the stored
+ *   statement ids and `document` (printable HTML)
+ */
+async function generateDonorStatements(client, options, user) {
+    const result = await buildDonorStatements(client, options);
+    for (const statement of result.statements) {
+        if (statement.status === STATEMENT_STATUS.UNCHANGED) {
+            statement.id = statement.previous_statement_id;
+            continue;
+        }
+        const { rows: [saved] } = await client.query(
+            `INSERT INTO donor_statements
+                (entity_id, donor_id, tax_year, version, gift_count, total_amount, goods_services_value,
+                 deductible_amount, content_hash, html, generated_by)
+             SELECT $1, $2, $3, COALESCE(MAX(version), 0) + 1, $4, $5, $6, $7, $8, $9, $10
+               FROM donor_statements WHERE donor_id = $2 AND entity_id = $1 AND tax_year = $3
+             RETURNING id, version, generated_at`,
+            [
+                result.entity.id, statement.donor_id, result.year, statement.gift_count, statement.total_amount,
+                statement.goods_services_value, statement.deductible_amount, statement.content_hash, statement.html,
+                user ? user.name : 'System'
+            ]
+        );
+        Object.assign(statement, saved);
+    }
+    return {
+        ...result,
+        document: renderStatementDocument(`${result.entity.name} contribution statements ${result.year}`, result.statements)
+    };
+}
+
+/**
+ * Wrap statements in a printable HTML document, one statement per page
+ * @param {string} title - Document title
+ * @param {Array<Object>} statements - { html }
+ * @returns {string} HTML document
+ */
+function renderStatementDocument(title, statements) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: Georgia, serif; font-size: 12pt; color: #000; margin: 0; }
+    .statement { max-width: 7in; margin: 0.75in auto; }
+    .statement-gifts { width: 100%; border-collapse: collapse; margin: 12pt 0; }
+    .statement-gifts th, .statement-gifts td { border-bottom: 1px solid #999; padding: 4pt; text-align: left; }
+    .statement-gifts .text-right { text-align: right; }
+    @media print { .statement { margin: 0 auto; page-break-after: always; } }
+</style>
+</head>
+<body>
+${statements.map(statement => `<div class="statement">${statement.html}</div>`).join('\n')}
+</body>
+</html>`;
+}
+
+/**
+ * Load a produced statement
+ * @param {Object} db - pg pool or client
+ * @param {string} statementId - donor_statements id
+ * @returns {Promise<Object>} donor_statements row with the donor name
+ */
+async function getDonorStatement(db, statementId) {
+    const { rows } = await db.query(
+        `SELECT s.*, d.name AS donor_name
+           FROM donor_statements s JOIN donors d ON d.id = s.donor_id
+          WHERE s.id = $1`,
+        [statementId]
+    );
+    if (rows.length === 0) {
+        throw createRequestError('Donor statement not found', null, 404);
+    }
+    return rows[0];
+}
+
+module.exports = {
+    STATEMENT_STATUS,
+    TEMPLATE_PLACEHOLDERS,
+    DEFAULT_TEMPLATE,
+    getStatementTemplate,
+    saveStatementTemplate,
+    buildDonorStatements,
+    generateDonorStatements,
+    renderStatementDocument,
+    getDonorStatement
+};
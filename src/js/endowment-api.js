@@ -0,0 +1,193 @@
+/**
+ * endowment-api.js
+ *
+ * API endpoints for endowments: setup, the endowment register with the
+ * UPMIFA underwater disclosure, allocation of investment return and
+ * spending-policy draws. The rules live in endowment-service.js.
+ */
+
+const { createRequestError } = require('./request-error');
+const { withTransaction } = require('./db-transaction');
+const { getRequestUser } = require('./request-user');
+const {
+    normalizeEndowment,
+    getEndowmentRegister,
+    allocateInvestmentReturn,
+    postInvestmentReturn,
+    calculateSpendingDraws,
+    postSpendingDraws
+} = require('./endowment-service');
+
+const ENDOWMENT_COLUMNS = [
+    'entity_id',
+    'fund_id',
+    'appreciation_fund_id',
+    'spending_fund_id',
+    'investment_account_id',
+    'cash_account_id',
+    'return_account_id',
+    'release_account_id',
+    'pool_units',
+    'spending_rate',
+    'averaging_quarters',
+    'draw_frequency',
+    'status',
+    'notes'
+];
+
+/**
+ * Register endowment API routes
+ * @param {Object} app - Express application
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+function registerEndowmentRoutes(app, pool) {
+    const asyncHandler = fn => (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+
+    /**
+     * GET /api/endowments
+     * Query: entityId, asOfDate
+     * Endowments with historical gift value, accumulated appreciation, value
+     * and underwater flag, plus totals and the underwater disclosure
+     */
+    app.get('/api/endowments', asyncHandler(async (req, res) => {
+        const { entityId, asOfDate } = req.query;
+        res.json(await getEndowmentRegister(pool, { entityId, asOfDate }));
+    }));
+
+    /**
+     * POST /api/endowments
+     * Set up a Permanently Restricted fund as an endowment
+     */
+    app.post('/api/endowments', asyncHandler(async (req, res) => {
+        const endowment = await normalizeEndowment(pool, req.body || {});
+        const { rows: existing } = await pool.query('SELECT id FROM endowments WHERE fund_id = $1', [endowment.fund_id]);
+        if (existing.length > 0) {
+            throw createRequestError('This fund is already set up as an endowment', null, 409);
+        }
+        const { rows } = await pool.query(
+            `INSERT INTO endowments (${ENDOWMENT_COLUMNS.join(', ')})
+             VALUES (${ENDOWMENT_COLUMNS.map((column, index) => `$${index + 1}`).join(', ')})
+             RETURNING *`,
+            ENDOWMENT_COLUMNS.map(column => endowment[column])
+        );
+        res.status(201).json(rows[0]);
+    }));
+
+    /**
+     * PUT /api/endowments/:id
+     * Update an endowment's funds, accounts and spending policy
+     */
+    app.put('/api/endowments/:id', asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { rows: existing } = await pool.query('SELECT fund_id FROM endowments WHERE id = $1', [id]);
+        if (existing.length === 0) {
+            return res.status(404).json({ message: 'Endowment not found' });
+        }
+        const endowment = await normalizeEndowment(pool, { ...req.body, fund_id: existing[0].fund_id });
+        const { rows } = await pool.query(
+            `UPDATE endowments
+                SET ${ENDOWMENT_COLUMNS.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = NOW()
+              WHERE id = $${ENDOWMENT_COLUMNS.length + 1}
+              RETURNING *`,
+            [...ENDOWMENT_COLUMNS.map(column => endowment[column]), id]
+        );
+        res.json(rows[0]);
+    }));
+
+    /**
+     * DELETE /api/endowments/:id
+     * Only endowments without posted returns or draws can be deleted
+     */
+    app.delete('/api/endowments/:id', asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { rows: [{ count }] } = await pool.query(
+            'SELECT COUNT(*)::int AS count FROM endowment_transactions WHERE endowment_id = $1',
+            [id]
+        );
+        if (count > 0) {
+            throw createRequestError('Endowments with returns or draws cannot be deleted; set them Inactive instead', null, 409);
+        }
+        const { rowCount } = await pool.query('DELETE FROM endowments WHERE id = $1', [id]);
+        if (rowCount === 0) {
+            return res.status(404).json({ message: 'Endowment not found' });
+        }
+        res.status(204).send();
+    }));
+
+    /**
+     * GET /api/endowments/:id/transactions
+     * Investment returns and spending draws of an endowment with the status
+     * of their journal entries
+     */
+    app.get('/api/endowments/:id/transactions', asyncHandler(async (req, res) => {
+        const { rows } = await pool.query(
+            `SELECT t.*, je.reference_number, je.status AS journal_entry_status
+               FROM endowment_transactions t
+               LEFT JOIN journal_entries je ON je.id = t.journal_entry_id
+              WHERE t.endowment_id = $1
+              ORDER BY t.transaction_date DESC, t.created_at DESC`,
+            [req.params.id]
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * GET /api/endowments/investment-return
+     * Query: entityId, periodStart, periodEnd, amount, method
+     * Preview how an investment return would be allocated
+     */
+    app.get('/api/endowments/investment-return', asyncHandler(async (req, res) => {
+        const { entityId, periodStart, periodEnd, amount, method } = req.query;
+        res.json(await allocateInvestmentReturn(pool, { entityId, periodStart, periodEnd, amount, method }));
+    }));
+
+    /**
+     * POST /api/endowments/investment-return
+     * Body: { entity_id, period_start, period_end, amount, method, entry_date }
+     * Allocate an investment return and post it to the appreciation funds
+     */
+    app.post('/api/endowments/investment-return', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { entity_id, period_start, period_end, amount, method, entry_date } = req.body || {};
+        const result = await withTransaction(pool, client => postInvestmentReturn(client, {
+            entityId: entity_id,
+            periodStart: period_start,
+            periodEnd: period_end,
+            amount,
+            method,
+            entryDate: entry_date,
+            user
+        }));
+        res.status(201).json(result);
+    }));
+
+    /**
+     * GET /api/endowments/spending-draws
+     * Query: entityId, asOfDate
+     * Spending-policy draws due at asOfDate (default today)
+     */
+    app.get('/api/endowments/spending-draws', asyncHandler(async (req, res) => {
+        const { entityId, asOfDate } = req.query;
+        res.json(await calculateSpendingDraws(pool, { entityId, asOfDate }));
+    }));
+
+    /**
+     * POST /api/endowments/spending-draws
+     * Body: { entity_id, as_of_date, entry_date }
+     * Post the spending-policy draws due at as_of_date
+     */
+    app.post('/api/endowments/spending-draws', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { entity_id, as_of_date, entry_date } = req.body || {};
+        res.json(await withTransaction(pool, client => postSpendingDraws(client, {
+            entityId: entity_id,
+            asOfDate: as_of_date,
+            entryDate: entry_date,
+            user
+        })));
+    }));
+}
+
+module.exports = registerEndowmentRoutes;
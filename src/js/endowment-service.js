@@ -0,0 +1,781 @@
+/**
+ * endowment-service.js
+ *
+ * Endowment funds. An endowment pairs a Permanently Restricted fund, which
+ * holds the historical gift value (the donated corpus), with a Temporarily
+ * Restricted fund that holds the accumulated appreciation: investment return
+ * allocated to the endowment less amounts drawn for spending. Both values are
+ * read from the posted ledger as the fund's assets less its liabilities, the
+ * same measure balance-service uses for fund balances.
+ *
+ *   - Investment return for a period is allocated across the active
+ *     endowments of an entity by pool units or by average balance and posted
+ *     as one entry to the appreciation funds.
+ *   - The spending policy draws spending_rate percent a year of the average
+ *     value at the last averaging_quarters calendar quarter-ends, once per
+ *     fiscal year (Annual) or once per quarter of the fiscal year at a
+ *     quarter of the rate (Quarterly); a draw is a Release entry that moves
+ *     the amount from the appreciation fund to the spending fund.
+ *   - An endowment is underwater when its value is below its historical gift
+ *     value (UPMIFA).
+ */
+
+const { createRequestError } = require('./request-error');
+const {
+    JOURNAL_ENTRY_STATUS,
+    ENTRY_TYPE,
+    POSTED_STATUSES,
+    saveJournalEntry
+} = require('./journal-entry-service');
+const { roundAmount, requireDate } = require('./financial-report-service');
+const { getFiscalYearDates } = require('./fiscal-period-service');
+
+const RETURN_METHOD = {
+    UNITS: 'Units',
+    AVERAGE_BALANCE: 'Average Balance'
+};
+
+const ENDOWMENT_TRANSACTION = {
+    RETURN: 'Return',
+    DRAW: 'Draw'
+};
+
+const ENDOWMENT_STATUS = {
+    ACTIVE: 'Active',
+    INACTIVE: 'Inactive'
+};
+
+const DRAW_FREQUENCY = {
+    ANNUAL: 'Annual',
+    QUARTERLY: 'Quarterly'
+};
+
+const DRAWS_PER_YEAR = {
+    [DRAW_FREQUENCY.ANNUAL]: 1,
+    [DRAW_FREQUENCY.QUARTERLY]: 4
+};
+
+/**
+ * Validate endowment settings
+ * @param {Object} db - pg pool or client
+ * @param {Object} data - Request body: { fund_id, appreciation_fund_id,
+ *   spending_fund_id, investment_account_id, cash_account_id,
+ *   return_account_id, release_account_id, pool_units, spending_rate,
+ *   averaging_quarters, draw_frequency, status, notes }
+ * @returns {Promise<Object>} Normalised endowment columns including entity_id
+ */
+async function normalizeEndowment(db, data) {
+    const errors = [];
+    const endowment = {
+        entity_id: null,
+        fund_id: data.fund_id || null,
+        appreciation_fund_id: data.appreciation_fund_id || null,
+        spending_fund_id: data.spending_fund_id || null,
+        investment_account_id: data.investment_account_id || null,
+        cash_account_id: data.cash_account_id || null,
+        return_account_id: data.return_account_id || null,
+        release_account_id: data.release_account_id || null,
+        pool_units: data.pool_units === undefined || data.pool_units === '' ? 0 : Number(data.pool_units),
+        spending_rate: data.spending_rate === undefined || data.spending_rate === '' ? 4 : Number(data.spending_rate),
+        averaging_quarters: data.averaging_quarters === undefined || data.averaging_quarters === ''
+            ? 12
+            : Number(data.averaging_quarters),
+        draw_frequency: data.draw_frequency || DRAW_FREQUENCY.ANNUAL,
+        status: data.status || ENDOWMENT_STATUS.ACTIVE,
+        notes: data.notes || null
+    };
+
+    const funds = new Map();
+    const ids = [endowment.fund_id, endowment.appreciation_fund_id, endowment.spending_fund_id].filter(Boolean);
+    if (ids.length) {
+        const { rows } = await db.query('SELECT id, entity_id, type FROM funds WHERE id = ANY($1::uuid[])', [ids]);
+        rows.forEach(row => funds.set(row.id, row));
+    }
+    const corpus = funds.get(endowment.fund_id);
+    if (!corpus) {
+        errors.push('The endowment fund is required');
+    } else if (corpus.type !== 'Permanently Restricted') {
+        errors.push('The endowment fund must be Permanently Restricted');
+    } else {
+        endowment.entity_id = corpus.entity_id;
+    }
+
+    const checkFund = (id, label, allowedTypes) => {
+        const fund = funds.get(id);
+        if (!fund) {
+            errors.push(`The ${label} is required`);
+        } else if (corpus && fund.entity_id !== corpus.entity_id) {
+            errors.push(`The ${label} must belong to the same entity`);
+        } else if (!allowedTypes.includes(fund.type)) {
+            errors.push(`The ${label} must be ${allowedTypes.join(' or ')}`);
+        }
+    };
+    checkFund(endowment.appreciation_fund_id, 'appreciation fund', ['Temporarily Restricted']);
+    checkFund(endowment.spending_fund_id, 'spending fund', ['Unrestricted', 'Temporarily Restricted']);
+    if (endowment.spending_fund_id && endowment.spending_fund_id === endowment.appreciation_fund_id) {
+        errors.push('The spending fund must differ from the appreciation fund');
+    }
+
+    const accountIds = [
+        endowment.investment_account_id,
+        endowment.cash_account_id,
+        endowment.return_account_id,
+        endowment.release_account_id
+    ].filter(Boolean);
+    const accounts = new Map();
+    if (accountIds.length) {
+        const { rows } = await db.query('SELECT id, entity_id, type FROM accounts WHERE id = ANY($1::uuid[])', [accountIds]);
+        rows.forEach(row => accounts.set(row.id, row));
+    }
+    const checkAccount = (id, label, allowedTypes) => {
+        const account = accounts.get(id);
+        if (!account) {
+            errors.push(`The ${label} is required`);
+        } else if (corpus && account.entity_id !== corpus.entity_id) {
+            errors.push(`The ${label} must belong to the same entity`);
+        } else if (!allowedTypes.includes(account.type)) {
+            errors.push(`The ${label} must be of type ${allowedTypes.join(' or ')}`);
+        }
+    };
+    checkAccount(endowment.investment_account_id, 'investment account', ['Asset']);
+    checkAccount(endowment.cash_account_id, 'cash account', ['Asset']);
+    checkAccount(endowment.return_account_id, 'investment return account', ['Revenue']);
+    checkAccount(endowment.release_account_id, 'release account', ['Net Assets', 'Equity']);
+
+    if (!Number.isFinite(endowment.pool_units) || endowment.pool_units < 0) {
+        errors.push('pool_units must be zero or more');
+    }
+    if (!Number.isFinite(endowment.spending_rate) || endowment.spending_rate < 0 || endowment.spending_rate > 100) {
+        errors.push('spending_rate must be a percentage between 0 and 100');
+    }
+    if (!Number.isInteger(endowment.averaging_quarters) || endowment.averaging_quarters < 1 || endowment.averaging_quarters > 40) {
+        errors.push('averaging_quarters must be a whole number from 1 to 40');
+    }
+    if (!Object.values(DRAW_FREQUENCY).includes(endowment.draw_frequency)) {
+        errors.push(`draw_frequency must be ${Object.values(DRAW_FREQUENCY).join(' or ')}`);
+    }
+    if (!Object.values(ENDOWMENT_STATUS).includes(endowment.status)) {
+        errors.push(`Invalid status "${endowment.status}"`);
+    }
+
+    if (errors.length) {
+        throw createRequestError('Invalid endowment settings', { errors });
+    }
+    return endowment;
+}
+
+/**
+ * Endowments of an entity with their fund and account codes
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} [options.entityId] - Entity
+ * @param {Array<string>} [options.ids] - Only these endowments
+ * @param {boolean} [options.activeOnly] - Skip Inactive endowments
+ * @returns {Promise<Array<Object>>}
+ */
+async function queryEndowments(db, { entityId, ids, activeOnly } = {}) {
+    const conditions = [];
+    const params = [];
+    if (entityId) {
+        params.push(entityId);
+        conditions.push(`e.entity_id = $${params.length}`);
+    }
+    if (ids) {
+        params.push(ids);
+        conditions.push(`e.id = ANY($${params.length}::uuid[])`);
+    }
+    if (activeOnly) {
+        params.push(ENDOWMENT_STATUS.ACTIVE);
+        conditions.push(`e.status = $${params.length}`);
+    }
+    const { rows } = await db.query(
+        `SELECT e.*, f.code AS fund_code, f.name AS fund_name,
+                af.code AS appreciation_fund_code, sf.code AS spending_fund_code
+           FROM endowments e
+           JOIN funds f ON f.id = e.fund_id
+           JOIN funds af ON af.id = e.appreciation_fund_id
+           JOIN funds sf ON sf.id = e.spending_fund_id
+          ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+          ORDER BY f.code`,
+        params
+    );
+    return rows.map(row => ({
+        ...row,
+        pool_units: parseFloat(row.pool_units),
+        spending_rate: parseFloat(row.spending_rate)
+    }));
+}
+
+/**
+ * Historical gift value and accumulated appreciation of endowments at
+ * several dates
+ * @param {Object} db - pg pool or client
+ * @param {Array<Object>} endowments - Rows from queryEndowments()
+ * @param {Array<string>} dates - YYYY-MM-DD cut-off dates (inclusive)
+ * @returns {Promise<Map<string, Map<string, {historical_gift_value: number, accumulated_appreciation: number, value: number}>>>}
+ *   Endowment id -> date -> values
+ */
+async function getEndowmentValues(db, endowments, dates) {
+    const values = new Map(endowments.map(e => [e.id, new Map()]));
+    if (endowments.length === 0 || dates.length === 0) {
+        return values;
+    }
+    const { rows } = await db.query(
+        `SELECT e.id AS endowment_id, to_char(d.as_of, 'YYYY-MM-DD') AS as_of,
+                COALESCE(SUM(l.amount) FILTER (WHERE l.fund_id = e.fund_id), 0) AS historical_gift_value,
+                COALESCE(SUM(l.amount) FILTER (WHERE l.fund_id = e.appreciation_fund_id), 0) AS accumulated_appreciation
+           FROM endowments e
+          CROSS JOIN unnest($2::date[]) AS d(as_of)
+           LEFT JOIN (
+               SELECT jel.fund_id, je.entry_date, jel.debit_amount - jel.credit_amount AS amount
+                 FROM journal_entry_lines jel
+                 JOIN journal_entries je ON je.id = jel.journal_entry_id
+                 JOIN accounts a ON a.id = jel.account_id
+                WHERE je.status = ANY($3) AND a.type IN ('Asset', 'Liability')
+           ) l ON l.fund_id IN (e.fund_id, e.appreciation_fund_id) AND l.entry_date <= d.as_of
+          WHERE e.id = ANY($1::uuid[])
+          GROUP BY e.id, d.as_of`,
+        [endowments.map(e => e.id), [...new Set(dates)], POSTED_STATUSES]
+    );
+    rows.forEach(row => {
+        const historical = roundAmount(row.historical_gift_value);
+        const appreciation = roundAmount(row.accumulated_appreciation);
+        values.get(row.endowment_id).set(row.as_of, {
+            historical_gift_value: historical,
+            accumulated_appreciation: appreciation,
+            value: roundAmount(historical + appreciation)
+        });
+    });
+    return values;
+}
+
+/**
+ * Date of the first posted line on each endowment's corpus fund
+ * @param {Object} db - pg pool or client
+ * @param {Array<Object>} endowments - Rows from queryEndowments()
+ * @returns {Promise<Map<string, string>>} Endowment id -> YYYY-MM-DD
+ */
+async function getInceptionDates(db, endowments) {
+    const { rows } = await db.query(
+        `SELECT e.id, to_char(MIN(je.entry_date), 'YYYY-MM-DD') AS inception_date
+           FROM endowments e
+           JOIN journal_entry_lines jel ON jel.fund_id = e.fund_id
+           JOIN journal_entries je ON je.id = jel.journal_entry_id AND je.status = ANY($2)
+          WHERE e.id = ANY($1::uuid[])
+          GROUP BY e.id`,
+        [endowments.map(e => e.id), POSTED_STATUSES]
+    );
+    return new Map(rows.map(row => [row.id, row.inception_date]));
+}
+
+/**
+ * Last day of a month
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {string} YYYY-MM-DD
+ */
+function monthEnd(year, month) {
+    return new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+}
+
+/**
+ * The most recent calendar quarter-ends on or before a date, newest first
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {number} count - Number of quarter-ends
+ * @returns {Array<string>} YYYY-MM-DD dates
+ */
+function quarterEnds(isoDate, count) {
+    let [year, month] = isoDate.split('-').map(Number);
+    const lastDayOfMonth = monthEnd(year, month) === isoDate;
+    if (month % 3 !== 0 || !lastDayOfMonth) {
+        month -= month % 3 || 3;
+    }
+    const dates = [];
+    while (dates.length < count) {
+        if (month <= 0) {
+            month += 12;
+            year -= 1;
+        }
+        dates.push(monthEnd(year, month));
+        month -= 3;
+    }
+    return dates;
+}
+
+/**
+ * The fiscal period a spending draw belongs to: the fiscal year containing
+ * the date for annual draws, or its quarter of the fiscal year for
+ * quarterly draws
+ * @param {string} fiscalYearStart - Entity fiscal year start (MM-DD)
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {string} frequency - DRAW_FREQUENCY value
+ * @returns {{start: string, end: string}} YYYY-MM-DD dates
+ */
+function drawPeriod(fiscalYearStart, isoDate, frequency) {
+    const year = Number(isoDate.split('-')[0]);
+    const fiscalYear = [year, year + 1]
+        .map(endYear => getFiscalYearDates(fiscalYearStart, endYear))
+        .find(dates => isoDate >= dates.start_date && isoDate <= dates.end_date);
+    if (frequency !== DRAW_FREQUENCY.QUARTERLY) {
+        return { start: fiscalYear.start_date, end: fiscalYear.end_date };
+    }
+    const [startYear, startMonth, startDay] = fiscalYear.start_date.split('-').map(Number);
+    const quarterStart = (quarter, dayOffset = 0) => new Date(
+        Date.UTC(startYear, startMonth - 1 + quarter * 3, startDay + dayOffset)
+    ).toISOString().split('T')[0];
+    let quarter = 3;
+    while (quarterStart(quarter) > isoDate) {
+        quarter -= 1;
+    }
+    return { start: quarterStart(quarter), end: quarterStart(quarter + 1, -1) };
+}
+
+/**
+ * Dates at which balances are averaged over a period: the day before it
+ * starts, every month-end within it and its last day
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Array<string>} YYYY-MM-DD dates
+ */
+function averagingDates(startDate, endDate) {
+    const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+    const dates = [new Date(Date.UTC(startYear, startMonth - 1, startDay - 1)).toISOString().split('T')[0]];
+    let [year, month] = [startYear, startMonth];
+    let date = monthEnd(year, month);
+    while (date < endDate) {
+        dates.push(date);
+        month += 1;
+        if (month > 12) {
+            month = 1;
+            year += 1;
+        }
+        date = monthEnd(year, month);
+    }
+    dates.push(endDate);
+    return dates;
+}
+
+/**
+ * Endowment register with UPMIFA underwater disclosure
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Entity
+ * @param {string} [options.asOfDate] - YYYY-MM-DD (default today)
+ * @returns {Promise<Object>} { entity, asOfDate, endowments, totals, underwater }
+ */
+async function getEndowmentRegister(db, { entityId, asOfDate }) {
+    if (!entityId) {
+        throw createRequestError('entityId is required');
+    }
+    const date = asOfDate ? requireDate(asOfDate, 'asOfDate') : new Date().toISOString().split('T')[0];
+    const { rows: entities } = await db.query('SELECT id, name FROM entities WHERE id = $1', [entityId]);
+    if (entities.length === 0) {
+        throw createRequestError('Entity not found', null, 404);
+    }
+
+    const endowments = await queryEndowments(db, { entityId });
+    const values = await getEndowmentValues(db, endowments, [date]);
+    const totals = { historical_gift_value: 0, accumulated_appreciation: 0, value: 0 };
+    const underwater = { count: 0, historical_gift_value: 0, value: 0, deficiency: 0 };
+
+    const rows = endowments.map(endowment => {
+        const value = values.get(endowment.id).get(date);
+        const deficiency = roundAmount(Math.max(value.historical_gift_value - value.value, 0));
+        Object.keys(totals).forEach(key => {
+            totals[key] += value[key];
+        });
+        if (deficiency > 0) {
+            underwater.count += 1;
+            underwater.historical_gift_value += value.historical_gift_value;
+            underwater.value += value.value;
+            underwater.deficiency += deficiency;
+        }
+        return { ...endowment, ...value, underwater: deficiency > 0, deficiency };
+    });
+
+    ['historical_gift_value', 'accumulated_appreciation', 'value'].forEach(key => {
+        totals[key] = roundAmount(totals[key]);
+    });
+    ['historical_gift_value', 'value', 'deficiency'].forEach(key => {
+        underwater[key] = roundAmount(underwater[key]);
+    });
+    return { entity: entities[0], asOfDate: date, endowments: rows, totals, underwater };
+}
+
+/**
+ * Split an amount in proportion to weights; rounding differences go to the
+ * largest weight so that the shares add up to the amount
+ * @param {number} amount
+ * @param {Array<number>} weights - Non-negative weights with a positive sum
+ * @returns {Array<number>} Shares in the order of the weights
+ */
+function allocateByWeight(amount, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const shares = weights.map(weight => roundAmount(amount * weight / total));
+    const difference = roundAmount(amount - shares.reduce((sum, share) => sum + share, 0));
+    if (difference !== 0) {
+        const largest = weights.indexOf(Math.max(...weights));
+        shares[largest] = roundAmount(shares[largest] + difference);
+    }
+    return shares;
+}
+
+/**
+ * Allocate an investment return across the active endowments of an entity
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Entity
+ * @param {string} options.periodStart - YYYY-MM-DD
+ * @param {string} options.periodEnd - YYYY-MM-DD
+ * @param {number|string} options.amount - Total return; negative for a loss
+ * @param {string} [options.method] - 'Units' (default) or 'Average Balance'
+ * @returns {Promise<Object>} { periodStart, periodEnd, method, amount, allocations }
+ */
+async function allocateInvestmentReturn(db, { entityId, periodStart, periodEnd, amount, method }) {
+    if (!entityId) {
+        throw createRequestError('entityId is required');
+    }
+    const start = requireDate(periodStart, 'periodStart');
+    const end = requireDate(periodEnd, 'periodEnd');
+    if (start > end) {
+        throw createRequestError('periodStart must not be after periodEnd');
+    }
+    const total = roundAmount(amount);
+    if (!Number.isFinite(Number(amount)) || total === 0) {
+        throw createRequestError('amount must be a non-zero number');
+    }
+    const allocationMethod = method || RETURN_METHOD.UNITS;
+    if (!Object.values(RETURN_METHOD).includes(allocationMethod)) {
+        throw createRequestError(`Invalid allocation method "${allocationMethod}"`);
+    }
+
+    const endowments = await queryEndowments(db, { entityId, activeOnly: true });
+    let bases;
+    if (allocationMethod === RETURN_METHOD.UNITS) {
+        bases = endowments.map(e => e.pool_units);
+    } else {
+        const dates = averagingDates(start, end);
+        const values = await getEndowmentValues(db, endowments, dates);
+        bases = endowments.map(e => {
+            const byDate = values.get(e.id);
+            return roundAmount(dates.reduce((sum, date) => sum + byDate.get(date).value, 0) / dates.length);
+        });
+    }
+    const weights = bases.map(basis => Math.max(basis, 0));
+    if (!weights.some(weight => weight > 0)) {
+        throw createRequestError(
+            allocationMethod === RETURN_METHOD.UNITS
+                ? 'No active endowment holds pool units'
+                : 'No active endowment has a positive average balance for the period'
+        );
+    }
+
+    const shares = allocateByWeight(total, weights);
+    const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+    return {
+        periodStart: start,
+        periodEnd: end,
+        method: allocationMethod,
+        amount: total,
+        allocations: endowments.map((endowment, index) => ({
+            endowment_id: endowment.id,
+            fund_code: endowment.fund_code,
+            fund_name: endowment.fund_name,
+            appreciation_fund_id: endowment.appreciation_fund_id,
+            investment_account_id: endowment.investment_account_id,
+            return_account_id: endowment.return_account_id,
+            basis: bases[index],
+            share_percent: Math.round(weights[index] / weightTotal * 1000000) / 10000,
+            amount: shares[index]
+        }))
+    };
+}
+
+/**
+ * Record an endowment_transactions row
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} data - Column values
+ * @returns {Promise<Object>} Inserted row
+ */
+async function insertEndowmentTransaction(client, data) {
+    const { rows } = await client.query(
+        `INSERT INTO endowment_transactions
+            (endowment_id, transaction_type, transaction_date, period_start, period_end, method,
+             basis, rate, amount, journal_entry_id, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+            data.endowment_id,
+            data.transaction_type,
+            data.transaction_date,
+            data.period_start || null,
+            data.period_end,
+            data.method || null,
+            data.basis,
+            data.rate === undefined ? null : data.rate,
+            data.amount,
+            data.journal_entry_id,
+            data.created_by
+        ]
+    );
+    return rows[0];
+}
+
+/**
+ * Allocate an investment return and post it as one entry: per endowment,
+ * the investment account against the investment return account, both on the
+ * appreciation fund
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} options - allocateInvestmentReturn() options plus
+ *   entryDate (default periodEnd) and user
+ * @returns {Promise<Object>} Allocation with the posted `journal_entry` and `transactions`
+ */
+async function postInvestmentReturn(client, options) {
+    const allocation = await allocateInvestmentReturn(client, options);
+    const entryDate = options.entryDate ? requireDate(options.entryDate, 'entryDate') : allocation.periodEnd;
+    const createdBy = options.user ? options.user.name : 'System';
+    const posted = allocation.allocations.filter(a => a.amount !== 0);
+
+    const lines = [];
+    posted.forEach(a => {
+        const gain = a.amount > 0;
+        const description = `Investment return ${allocation.periodStart} to ${allocation.periodEnd}: ${a.fund_code}`;
+        lines.push(
+            {
+                account_id: a.investment_account_id,
+                fund_id: a.appreciation_fund_id,
+                debit_amount: gain ? a.amount : 0,
+                credit_amount: gain ? 0 : -a.amount,
+                description
+            },
+            {
+                account_id: a.return_account_id,
+                fund_id: a.appreciation_fund_id,
+                debit_amount: gain ? 0 : -a.amount,
+                credit_amount: gain ? a.amount : 0,
+                description
+            }
+        );
+    });
+
+    const { rows: [{ count }] } = await client.query(
+        'SELECT COUNT(DISTINCT journal_entry_id)::int AS count FROM endowment_transactions WHERE transaction_type = $1',
+        [ENDOWMENT_TRANSACTION.RETURN]
+    );
+    const entry = await saveJournalEntry(
+        client,
+        {
+            entity_id: options.entityId,
+            entry_date: entryDate,
+            reference_number: `END-RET-${count + 1}`,
+            description: `Endowment investment return ${allocation.periodStart} to ${allocation.periodEnd} (${allocation.method})`,
+            status: JOURNAL_ENTRY_STATUS.POSTED,
+            created_by: createdBy,
+            entry_type: ENTRY_TYPE.STANDARD
+        },
+        lines,
+        null,
+        { user: options.user }
+    );
+
+    const transactions = [];
+    for (const a of posted) {
+        transactions.push(await insertEndowmentTransaction(client, {
+            endowment_id: a.endowment_id,
+            transaction_type: ENDOWMENT_TRANSACTION.RETURN,
+            transaction_date: entryDate,
+            period_start: allocation.periodStart,
+            period_end: allocation.periodEnd,
+            method: allocation.method,
+            basis: a.basis,
+            amount: a.amount,
+            journal_entry_id: entry.id,
+            created_by: createdBy
+        }));
+    }
+    return { ...allocation, journal_entry: entry, transactions };
+}
+
+/**
+ * Spending-policy draws for the active endowments of an entity: the annual
+ * spending rate, divided by the draws per year of the endowment's draw
+ * frequency, applied to the average value at the trailing quarter-ends.
+ * Quarter-ends before an endowment's first posting are left out of its
+ * average. An endowment with a posted draw in the same fiscal draw period
+ * (fiscal year, or fiscal quarter) is marked already_drawn.
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Entity
+ * @param {string} [options.asOfDate] - YYYY-MM-DD (default today)
+ * @returns {Promise<Object>} { asOfDate, draws }
+ */
+async function calculateSpendingDraws(db, { entityId, asOfDate }) {
+    if (!entityId) {
+        throw createRequestError('entityId is required');
+    }
+    const date = asOfDate ? requireDate(asOfDate, 'asOfDate') : new Date().toISOString().split('T')[0];
+    const endowments = await queryEndowments(db, { entityId, activeOnly: true });
+    if (endowments.length === 0) {
+        return { asOfDate: date, draws: [] };
+    }
+
+    const maxQuarters = Math.max(...endowments.map(e => e.averaging_quarters));
+    const allQuarterEnds = quarterEnds(date, maxQuarters);
+    const values = await getEndowmentValues(db, endowments, [...allQuarterEnds, date]);
+    const inceptions = await getInceptionDates(db, endowments);
+    const { rows: [entity] } = await db.query('SELECT fiscal_year_start FROM entities WHERE id = $1', [entityId]);
+    const fiscalYearStart = (entity && entity.fiscal_year_start) || '01-01';
+    const fiscalYear = drawPeriod(fiscalYearStart, date, DRAW_FREQUENCY.ANNUAL);
+    const { rows: drawn } = await db.query(
+        `SELECT t.endowment_id, to_char(t.period_end, 'YYYY-MM-DD') AS period_end
+           FROM endowment_transactions t
+           JOIN journal_entries je ON je.id = t.journal_entry_id
+          WHERE t.transaction_type = $1 AND je.status = $2 AND t.endowment_id = ANY($3::uuid[])
+            AND t.period_end BETWEEN $4 AND $5`,
+        [ENDOWMENT_TRANSACTION.DRAW, JOURNAL_ENTRY_STATUS.POSTED, endowments.map(e => e.id), fiscalYear.start, fiscalYear.end]
+    );
+
+    const draws = endowments.map(endowment => {
+        const period = drawPeriod(fiscalYearStart, date, endowment.draw_frequency);
+        const drawsPerYear = DRAWS_PER_YEAR[endowment.draw_frequency] || 1;
+        const byDate = values.get(endowment.id);
+        const inception = inceptions.get(endowment.id);
+        const quarters = allQuarterEnds
+            .slice(0, endowment.averaging_quarters)
+            .filter(quarterEnd => inception && quarterEnd >= inception)
+            .map(quarterEnd => ({ date: quarterEnd, value: byDate.get(quarterEnd).value }));
+        const averageValue = quarters.length
+            ? roundAmount(quarters.reduce((sum, q) => sum + q.value, 0) / quarters.length)
+            : 0;
+        const current = byDate.get(date);
+        return {
+            endowment_id: endowment.id,
+            fund_code: endowment.fund_code,
+            fund_name: endowment.fund_name,
+            spending_rate: endowment.spending_rate,
+            draw_frequency: endowment.draw_frequency,
+            draw_period_start: period.start,
+            draw_period_end: period.end,
+            averaging_quarters: endowment.averaging_quarters,
+            quarters,
+            average_value: averageValue,
+            amount: roundAmount(Math.max(averageValue, 0) * endowment.spending_rate / 100 / drawsPerYear),
+            historical_gift_value: current.historical_gift_value,
+            value: current.value,
+            underwater: current.value < current.historical_gift_value,
+            already_drawn: drawn.some(row => row.endowment_id === endowment.id
+                && row.period_end >= period.start && row.period_end <= period.end)
+        };
+    });
+    return { asOfDate: date, draws };
+}
+
+/**
+ * Post the spending-policy draws due at a date. Each draw is a Release entry
+ * that debits the release account on the appreciation fund and credits it
+ * on the spending fund, and moves the same amount from the investment
+ * account of the appreciation fund to the cash account of the spending fund.
+ * Endowments already drawn in the fiscal draw period or with nothing to
+ * draw are skipped.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} options
+ * @param {string} options.entityId - Entity
+ * @param {string} [options.asOfDate] - YYYY-MM-DD (default today)
+ * @param {string} [options.entryDate] - Date of the entries (default asOfDate)
+ * @param {Object|null} options.user - Acting user
+ * @returns {Promise<Object>} { asOfDate, draws: posted transactions, skipped }
+ */
+async function postSpendingDraws(client, { entityId, asOfDate, entryDate, user }) {
+    const calculation = await calculateSpendingDraws(client, { entityId, asOfDate });
+    const date = entryDate ? requireDate(entryDate, 'entryDate') : calculation.asOfDate;
+    const createdBy = user ? user.name : 'System';
+    const endowments = new Map(
+        (await queryEndowments(client, { ids: calculation.draws.map(d => d.endowment_id) })).map(e => [e.id, e])
+    );
+
+    const posted = [];
+    const skipped = [];
+    for (const draw of calculation.draws) {
+        if (draw.already_drawn || draw.amount <= 0) {
+            skipped.push({ ...draw, reason: draw.already_drawn ? 'Already drawn for this fiscal period' : 'Nothing to draw' });
+            continue;
+        }
+        const endowment = endowments.get(draw.endowment_id);
+        const { rows: [{ count }] } = await client.query(
+            'SELECT COUNT(*)::int AS count FROM endowment_transactions WHERE endowment_id = $1 AND transaction_type = $2',
+            [endowment.id, ENDOWMENT_TRANSACTION.DRAW]
+        );
+        const description = `Endowment spending draw: ${endowment.fund_name}`;
+        const entry = await saveJournalEntry(
+            client,
+            {
+                entity_id: endowment.entity_id,
+                entry_date: date,
+                reference_number: `END-DRAW-${endowment.fund_code}-${count + 1}`,
+                description: `${description} (${draw.draw_frequency.toLowerCase()} draw at ${draw.spending_rate}% a year of ${draw.quarters.length}-quarter average)`,
+                status: JOURNAL_ENTRY_STATUS.POSTED,
+                created_by: createdBy,
+                entry_type: ENTRY_TYPE.RELEASE
+            },
+            [
+                {
+                    account_id: endowment.release_account_id,
+                    fund_id: endowment.appreciation_fund_id,
+                    debit_amount: draw.amount,
+                    credit_amount: 0,
+                    description
+                },
+                {
+                    account_id: endowment.release_account_id,
+                    fund_id: endowment.spending_fund_id,
+                    debit_amount: 0,
+                    credit_amount: draw.amount,
+                    description
+                },
+                {
+                    account_id: endowment.cash_account_id,
+                    fund_id: endowment.spending_fund_id,
+                    debit_amount: draw.amount,
+                    credit_amount: 0,
+                    description
+                },
+                {
+                    account_id: endowment.investment_account_id,
+                    fund_id: endowment.appreciation_fund_id,
+                    debit_amount: 0,
+                    credit_amount: draw.amount,
+                    description
+                }
+            ],
+            null,
+            { user }
+        );
+        const transaction = await insertEndowmentTransaction(client, {
+            endowment_id: endowment.id,
+            transaction_type: ENDOWMENT_TRANSACTION.DRAW,
+            transaction_date: date,
+            period_start: draw.draw_period_start,
+            period_end: calculation.asOfDate,
+            basis: draw.average_value,
+            rate: draw.spending_rate,
+            amount: draw.amount,
+            journal_entry_id: entry.id,
+            created_by: createdBy
+        });
+        posted.push({ ...transaction, underwater: draw.underwater, journal_entry: entry });
+    }
+    return { asOfDate: calculation.asOfDate, draws: posted, skipped };
+}
+
+module.exports = {
+    RETURN_METHOD,
+    ENDOWMENT_TRANSACTION,
+    ENDOWMENT_STATUS,
+    DRAW_FREQUENCY,
+    normalizeEndowment,
+    getEndowmentRegister,
+    allocateInvestmentReturn,
+    postInvestmentReturn,
+    calculateSpendingDraws,
+    postSpendingDraws
+};
@@ -1307,7 +1307,8 @@
     }
 
     /**
-     * Calculates the total balance for an entity (sum of all funds)
+     * Calculates the total balance for an entity (sum of all funds). Fund
+     * balances come from /api/funds, which derives them from the posted ledger.
      * @param {string} entityId - The entity ID
      * @returns {number} Total balance
      */
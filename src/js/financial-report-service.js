@@ -0,0 +1,568 @@
+/**
+ * financial-report-service.js
+ *
+ * Ledger queries behind the nonprofit financial statements.
+ * Every statement is computed from posted journal entry lines (Posted and
+ * Reversed entries, so a reversal and its original net to zero) for a report
+ * scope: one entity, or an entity and all of its descendants when a
+ * consolidating entity is reported consolidated. In a consolidated scope,
+ * inter-entity transfers between two entities of the scope are eliminated.
+ *
+ * Restriction class comes from the fund on each line: Temporarily and
+ * Permanently Restricted funds are "with donor restrictions", everything
+ * else (including lines without a fund) is "without donor restrictions".
+ */
+
+const { createRequestError } = require('./request-error');
+const { POSTED_STATUSES, ENTRY_TYPE } = require('./journal-entry-service');
+const { FUNCTIONAL_CLASS, allocateAmount } = require('./functional-expense-service');
+
+const RESTRICTION = {
+    WITHOUT: 'without_donor_restrictions',
+    WITH: 'with_donor_restrictions'
+};
+
+// Restriction class of a line, from its fund (alias `f`)
+const RESTRICTION_CLASS_SQL = `
+    CASE WHEN f.type ILIKE '%restricted%' AND f.type NOT ILIKE '%unrestricted%'
+         THEN '${RESTRICTION.WITH}'
+         ELSE '${RESTRICTION.WITHOUT}'
+    END`;
+
+/** Receivable and payable aging buckets, by days past due */
+const AGING_BUCKETS = ['current', 'days_1_30', 'days_31_60', 'days_61_90', 'over_90'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round to cents
+ * @param {number} value - Amount
+ * @returns {number} Amount rounded to 2 decimals
+ */
+function roundAmount(value) {
+    return Math.round((parseFloat(value) || 0) * 100) / 100;
+}
+
+/**
+ * Shift an ISO date by whole years (Feb 29 falls back to Feb 28)
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {number} years - Years to add (negative to go back)
+ * @returns {string} Shifted YYYY-MM-DD
+ */
+function shiftYears(isoDate, years) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const shifted = new Date(Date.UTC(year + years, month - 1, day));
+    if (shifted.getUTCMonth() !== month - 1) {
+        shifted.setUTCDate(0);
+    }
+    return shifted.toISOString().split('T')[0];
+}
+
+/**
+ * Validate a YYYY-MM-DD query parameter
+ * @param {string} value - Raw value
+ * @param {string} name - Parameter name for the error message
+ * @returns {string} The date
+ */
+function requireDate(value, name) {
+    if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw createRequestError(`${name} is required (YYYY-MM-DD)`);
+    }
+    return value;
+}
+
+/**
+ * Check that a value is a YYYY-MM-DD date or empty
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isOptionalDate(value) {
+    return !value || /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/**
+ * Aging bucket of an amount due
+ * @param {string} asOfDate - YYYY-MM-DD
+ * @param {string} dueDate - YYYY-MM-DD
+ * @returns {{daysPastDue: number, bucket: string}} bucket is one of AGING_BUCKETS
+ */
+function agingBucket(asOfDate, dueDate) {
+    const daysPastDue = Math.round((Date.parse(asOfDate) - Date.parse(dueDate)) / DAY_MS);
+    const bucket = daysPastDue <= 0 ? 'current'
+        : daysPastDue <= 30 ? 'days_1_30'
+            : daysPastDue <= 60 ? 'days_31_60'
+                : daysPastDue <= 90 ? 'days_61_90' : 'over_90';
+    return { daysPastDue, bucket };
+}
+
+/**
+ * Resolve the entities a report covers
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Reporting entity
+ * @param {boolean} [options.consolidated] - Include descendants of a consolidating entity
+ * @returns {Promise<{entity: Object, entityIds: Array<string>, consolidated: boolean}>}
+ */
+async function resolveReportScope(db, { entityId, consolidated }) {
+    if (!entityId) {
+        throw createRequestError('entityId is required');
+    }
+
+    const { rows } = await db.query('SELECT id, name, code, is_consolidated FROM entities WHERE id = $1', [entityId]);
+    if (rows.length === 0) {
+        throw createRequestError('Entity not found', null, 404);
+    }
+    const entity = rows[0];
+
+    if (!consolidated || !entity.is_consolidated) {
+        return { entity, entityIds: [entity.id], consolidated: false };
+    }
+
+    const { rows: tree } = await db.query(
+        `WITH RECURSIVE entity_tree AS (
+             SELECT id FROM entities WHERE id = $1
+             UNION ALL
+             SELECT e.id FROM entities e JOIN entity_tree t ON e.parent_entity_id = t.id
+         )
+         SELECT id FROM entity_tree`,
+        [entity.id]
+    );
+    return { entity, entityIds: tree.map(row => row.id), consolidated: true };
+}
+
+/**
+ * Build the WHERE conditions that select ledger lines for a scope.
+ * Expects the query to alias journal_entries as `je`.
+ * @param {Object} scope - Result of resolveReportScope()
+ * @param {Array} params - Query parameters; scope values are appended
+ * @param {Object} [options]
+ * @param {boolean} [options.excludeClosing] - Leave out year-end closing entries
+ * @returns {string} SQL conditions joined with AND
+ */
+function buildLedgerFilter(scope, params, options = {}) {
+    params.push(scope.entityIds);
+    const entityParam = `$${params.length}::uuid[]`;
+    params.push(POSTED_STATUSES);
+    const statusParam = `$${params.length}`;
+
+    const conditions = [
+        `je.entity_id = ANY(${entityParam})`,
+        `je.status = ANY(${statusParam})`
+    ];
+    if (scope.consolidated) {
+        conditions.push(`NOT (COALESCE(je.is_inter_entity, FALSE) AND je.target_entity_id = ANY(${entityParam}))`);
+    }
+    if (options.excludeClosing) {
+        params.push(ENTRY_TYPE.CLOSING);
+        conditions.push(`COALESCE(je.entry_type, 'Standard') <> $${params.length}`);
+    }
+    return conditions.join('\n            AND ');
+}
+
+/**
+ * Statement of Financial Position as of a date, with a prior-year column
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Reporting entity
+ * @param {boolean} [options.consolidated] - Consolidate the entity's hierarchy
+ * @param {string} options.asOfDate - YYYY-MM-DD
+ * @returns {Promise<Object>} Statement sections with `current` and `prior` amounts
+ */
+async function getStatementOfFinancialPosition(db, options) {
+    const asOfDate = requireDate(options.asOfDate, 'asOfDate');
+    const priorAsOfDate = shiftYears(asOfDate, -1);
+    const scope = await resolveReportScope(db, options);
+
+    const params = [asOfDate, priorAsOfDate];
+    const filter = buildLedgerFilter(scope, params);
+
+    // Revenue and expense are included so that activity not yet closed at
+    // year end still shows up in net assets
+    const { rows } = await db.query(
+        `SELECT a.id AS account_id, a.code, a.name, a.type,
+                ${RESTRICTION_CLASS_SQL} AS restriction,
+                SUM(CASE WHEN je.entry_date <= $1 THEN jel.debit_amount - jel.credit_amount ELSE 0 END) AS current_balance,
+                SUM(CASE WHEN je.entry_date <= $2 THEN jel.debit_amount - jel.credit_amount ELSE 0 END) AS prior_balance
+           FROM journal_entry_lines jel
+           JOIN journal_entries je ON je.id = jel.journal_entry_id
+           JOIN accounts a ON a.id = jel.account_id
+           LEFT JOIN funds f ON f.id = jel.fund_id
+          WHERE je.entry_date <= $1
+            AND ${filter}
+          GROUP BY a.id, a.code, a.name, a.type, restriction
+          ORDER BY a.code`,
+        params
+    );
+
+    const section = () => ({ lines: [], total: { current: 0, prior: 0 } });
+    const assets = section();
+    const liabilities = section();
+    const netAssets = {
+        [RESTRICTION.WITHOUT]: { current: 0, prior: 0 },
+        [RESTRICTION.WITH]: { current: 0, prior: 0 },
+        total: { current: 0, prior: 0 }
+    };
+
+    // Collapse restriction classes into one line per balance sheet account
+    const addToSection = (target, row, sign) => {
+        let line = target.lines.find(l => l.account_id === row.account_id);
+        if (!line) {
+            line = { account_id: row.account_id, code: row.code, name: row.name, current: 0, prior: 0 };
+            target.lines.push(line);
+        }
+        line.current += sign * parseFloat(row.current_balance);
+        line.prior += sign * parseFloat(row.prior_balance);
+    };
+
+    rows.forEach(row => {
+        if (row.type === 'Asset') {
+            addToSection(assets, row, 1);
+        } else if (row.type === 'Liability') {
+            addToSection(liabilities, row, -1);
+        } else {
+            // Net Assets, Equity, Revenue and Expense: credit balances increase net assets
+            netAssets[row.restriction].current -= parseFloat(row.current_balance);
+            netAssets[row.restriction].prior -= parseFloat(row.prior_balance);
+        }
+    });
+
+    [assets, liabilities].forEach(target => {
+        target.lines = target.lines
+            .map(line => ({ ...line, current: roundAmount(line.current), prior: roundAmount(line.prior) }))
+            .filter(line => line.current !== 0 || line.prior !== 0);
+        target.total.current = roundAmount(target.lines.reduce((sum, l) => sum + l.current, 0));
+        target.total.prior = roundAmount(target.lines.reduce((sum, l) => sum + l.prior, 0));
+    });
+    [RESTRICTION.WITHOUT, RESTRICTION.WITH].forEach(key => {
+        netAssets[key].current = roundAmount(netAssets[key].current);
+        netAssets[key].prior = roundAmount(netAssets[key].prior);
+    });
+    netAssets.total.current = roundAmount(netAssets[RESTRICTION.WITHOUT].current + netAssets[RESTRICTION.WITH].current);
+    netAssets.total.prior = roundAmount(netAssets[RESTRICTION.WITHOUT].prior + netAssets[RESTRICTION.WITH].prior);
+
+    const totalLiabilitiesAndNetAssets = {
+        current: roundAmount(liabilities.total.current + netAssets.total.current),
+        prior: roundAmount(liabilities.total.prior + netAssets.total.prior)
+    };
+
+    return {
+        entity: scope.entity,
+        consolidated: scope.consolidated,
+        entityIds: scope.entityIds,
+        asOfDate,
+        priorAsOfDate,
+        assets,
+        liabilities,
+        netAssets,
+        totalLiabilitiesAndNetAssets,
+        isBalanced: assets.total.current === totalLiabilitiesAndNetAssets.current &&
+            assets.total.prior === totalLiabilitiesAndNetAssets.prior
+    };
+}
+
+/**
+ * Empty amounts for the three Statement of Activities columns
+ * @returns {{without_donor_restrictions: number, with_donor_restrictions: number, total: number}}
+ */
+function restrictionColumns() {
+    return { [RESTRICTION.WITHOUT]: 0, [RESTRICTION.WITH]: 0, total: 0 };
+}
+
+/**
+ * Add an amount to one restriction column and the total
+ * @param {Object} columns - Result of restrictionColumns()
+ * @param {string} restriction - RESTRICTION value
+ * @param {number} amount - Amount to add
+ */
+function addToColumns(columns, restriction, amount) {
+    columns[restriction] += amount;
+    columns.total += amount;
+}
+
+/**
+ * Round every column of a restrictionColumns() object
+ * @param {Object} columns - Columns to round
+ * @returns {Object} The same object
+ */
+function roundColumns(columns) {
+    Object.keys(columns).forEach(key => {
+        columns[key] = roundAmount(columns[key]);
+    });
+    return columns;
+}
+
+/**
+ * Statement of Activities for a date range.
+ * Revenue and expense come from Revenue/Expense lines; lines of Release
+ * entries become the "net assets released from restriction" line instead;
+ * year-end closing entries are left out. Other direct postings to Net
+ * Assets/Equity accounts are shown as other changes so that the ending net
+ * assets agree with the Statement of Financial Position.
+ *
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Reporting entity
+ * @param {boolean} [options.consolidated] - Consolidate the entity's hierarchy
+ * @param {string} options.startDate - YYYY-MM-DD
+ * @param {string} options.endDate - YYYY-MM-DD
+ * @returns {Promise<Object>} Statement sections with restriction columns
+ */
+async function getStatementOfActivities(db, options) {
+    const startDate = requireDate(options.startDate, 'startDate');
+    const endDate = requireDate(options.endDate, 'endDate');
+    if (startDate > endDate) {
+        throw createRequestError('startDate must not be after endDate');
+    }
+    const scope = await resolveReportScope(db, options);
+
+    const params = [startDate, endDate, ENTRY_TYPE.RELEASE];
+    const filter = buildLedgerFilter(scope, params, { excludeClosing: true });
+    const { rows } = await db.query(
+        `SELECT a.id AS account_id, a.code, a.name, a.type,
+                ${RESTRICTION_CLASS_SQL} AS restriction,
+                (COALESCE(je.entry_type, 'Standard') = $3) AS is_release,
+                SUM(jel.credit_amount - jel.debit_amount) AS amount
+           FROM journal_entry_lines jel
+           JOIN journal_entries je ON je.id = jel.journal_entry_id
+           JOIN accounts a ON a.id = jel.account_id
+           LEFT JOIN funds f ON f.id = jel.fund_id
+          WHERE je.entry_date BETWEEN $1 AND $2
+            AND a.type IN ('Revenue', 'Expense', 'Net Assets', 'Equity')
+            AND ${filter}
+          GROUP BY a.id, a.code, a.name, a.type, restriction, is_release
+          ORDER BY a.code`,
+        params
+    );
+
+    const beginningParams = [startDate];
+    const beginningFilter = buildLedgerFilter(scope, beginningParams);
+    const { rows: beginningRows } = await db.query(
+        `SELECT ${RESTRICTION_CLASS_SQL} AS restriction,
+                SUM(jel.credit_amount - jel.debit_amount) AS amount
+           FROM journal_entry_lines jel
+           JOIN journal_entries je ON je.id = jel.journal_entry_id
+           JOIN accounts a ON a.id = jel.account_id
+           LEFT JOIN funds f ON f.id = jel.fund_id
+          WHERE je.entry_date < $1
+            AND a.type IN ('Revenue', 'Expense', 'Net Assets', 'Equity')
+            AND ${beginningFilter}
+          GROUP BY restriction`,
+        beginningParams
+    );
+
+    const revenue = { lines: [], total: restrictionColumns() };
+    const expenses = { lines: [], total: restrictionColumns() };
+    const releases = restrictionColumns();
+    const otherChanges = restrictionColumns();
+
+    const addLine = (section, row, amount) => {
+        let line = section.lines.find(l => l.account_id === row.account_id);
+        if (!line) {
+            line = { account_id: row.account_id, code: row.code, name: row.name, ...restrictionColumns() };
+            section.lines.push(line);
+        }
+        addToColumns(line, row.restriction, amount);
+        addToColumns(section.total, row.restriction, amount);
+    };
+
+    rows.forEach(row => {
+        const amount = parseFloat(row.amount);
+        if (row.is_release) {
+            addToColumns(releases, row.restriction, amount);
+        } else if (row.type === 'Revenue') {
+            addLine(revenue, row, amount);
+        } else if (row.type === 'Expense') {
+            // Expenses are presented as positive amounts
+            addLine(expenses, row, -amount);
+        } else {
+            addToColumns(otherChanges, row.restriction, amount);
+        }
+    });
+
+    revenue.lines.forEach(roundColumns);
+    expenses.lines.forEach(roundColumns);
+    roundColumns(revenue.total);
+    roundColumns(expenses.total);
+    roundColumns(releases);
+    roundColumns(otherChanges);
+
+    const totalRevenueAndSupport = restrictionColumns();
+    const changeInNetAssets = restrictionColumns();
+    const netAssetsBeginning = restrictionColumns();
+    const netAssetsEnding = restrictionColumns();
+
+    [RESTRICTION.WITHOUT, RESTRICTION.WITH].forEach(key => {
+        addToColumns(totalRevenueAndSupport, key, revenue.total[key] + releases[key]);
+        addToColumns(changeInNetAssets, key, totalRevenueAndSupport[key] - expenses.total[key] + otherChanges[key]);
+        const beginning = beginningRows.find(row => row.restriction === key);
+        addToColumns(netAssetsBeginning, key, beginning ? parseFloat(beginning.amount) : 0);
+        addToColumns(netAssetsEnding, key, netAssetsBeginning[key] + changeInNetAssets[key]);
+    });
+
+    return {
+        entity: scope.entity,
+        consolidated: scope.consolidated,
+        entityIds: scope.entityIds,
+        startDate,
+        endDate,
+        revenue,
+        netAssetsReleasedFromRestriction: releases,
+        totalRevenueAndSupport: roundColumns(totalRevenueAndSupport),
+        expenses,
+        otherChanges,
+        changeInNetAssets: roundColumns(changeInNetAssets),
+        netAssetsBeginning: roundColumns(netAssetsBeginning),
+        netAssetsEnding: roundColumns(netAssetsEnding)
+    };
+}
+
+/**
+ * Statement of Functional Expenses for a date range: expenses by nature
+ * (one row per Expense account) and by function (one column per program,
+ * then Management & General and Fundraising).
+ * A line's own classification wins over its account's default; allocation
+ * rules are applied with their current splits. Expenses with no
+ * classification are reported in an Unclassified column rather than dropped.
+ *
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Reporting entity
+ * @param {boolean} [options.consolidated] - Consolidate the entity's hierarchy
+ * @param {string} options.startDate - YYYY-MM-DD
+ * @param {string} options.endDate - YYYY-MM-DD
+ * @returns {Promise<Object>} { programs, lines, totals } where each line and the
+ *   totals carry `programs` (by program id), program_services,
+ *   management_general, fundraising, unclassified and total
+ */
+async function getStatementOfFunctionalExpenses(db, options) {
+    const startDate = requireDate(options.startDate, 'startDate');
+    const endDate = requireDate(options.endDate, 'endDate');
+    if (startDate > endDate) {
+        throw createRequestError('startDate must not be after endDate');
+    }
+    const scope = await resolveReportScope(db, options);
+
+    const params = [startDate, endDate];
+    const filter = buildLedgerFilter(scope, params, { excludeClosing: true });
+    const { rows } = await db.query(
+        `SELECT a.id AS account_id, a.code, a.name,
+                CASE WHEN line_override THEN jel.functional_class ELSE a.functional_class END AS functional_class,
+                CASE WHEN line_override THEN jel.program_id ELSE a.program_id END AS program_id,
+                CASE WHEN line_override THEN jel.allocation_rule_id ELSE a.allocation_rule_id END AS allocation_rule_id,
+                SUM(jel.debit_amount - jel.credit_amount) AS amount
+           FROM journal_entry_lines jel
+           JOIN journal_entries je ON je.id = jel.journal_entry_id
+           JOIN accounts a ON a.id = jel.account_id
+           CROSS JOIN LATERAL (
+               SELECT (jel.functional_class IS NOT NULL OR jel.allocation_rule_id IS NOT NULL) AS line_override
+           ) o
+          WHERE je.entry_date BETWEEN $1 AND $2
+            AND a.type = 'Expense'
+            AND ${filter}
+          GROUP BY a.id, a.code, a.name, 4, 5, 6
+          ORDER BY a.code`,
+        params
+    );
+
+    const ruleIds = [...new Set(rows.map(row => row.allocation_rule_id).filter(Boolean))];
+    const splitsByRule = new Map(ruleIds.map(id => [id, []]));
+    if (ruleIds.length) {
+        const { rows: splits } = await db.query(
+            `SELECT * FROM allocation_rule_splits
+              WHERE allocation_rule_id = ANY($1::uuid[])
+              ORDER BY allocation_rule_id, split_number`,
+            [ruleIds]
+        );
+        splits.forEach(split => splitsByRule.get(split.allocation_rule_id).push(split));
+    }
+
+    const emptyColumns = () => ({
+        programs: {},
+        program_services: 0,
+        management_general: 0,
+        fundraising: 0,
+        unclassified: 0,
+        total: 0
+    });
+    const addToColumns = (columns, part) => {
+        if (part.functional_class === FUNCTIONAL_CLASS.PROGRAM && part.program_id) {
+            columns.programs[part.program_id] = (columns.programs[part.program_id] || 0) + part.amount;
+            columns.program_services += part.amount;
+        } else if (part.functional_class === FUNCTIONAL_CLASS.MANAGEMENT_GENERAL) {
+            columns.management_general += part.amount;
+        } else if (part.functional_class === FUNCTIONAL_CLASS.FUNDRAISING) {
+            columns.fundraising += part.amount;
+        } else {
+            columns.unclassified += part.amount;
+        }
+        columns.total += part.amount;
+    };
+    const roundFunctionalColumns = columns => {
+        Object.keys(columns.programs).forEach(id => {
+            columns.programs[id] = roundAmount(columns.programs[id]);
+        });
+        ['program_services', 'management_general', 'fundraising', 'unclassified', 'total'].forEach(key => {
+            columns[key] = roundAmount(columns[key]);
+        });
+        return columns;
+    };
+
+    const lines = [];
+    const totals = emptyColumns();
+    rows.forEach(row => {
+        let line = lines.find(l => l.account_id === row.account_id);
+        if (!line) {
+            line = { account_id: row.account_id, code: row.code, name: row.name, ...emptyColumns() };
+            lines.push(line);
+        }
+
+        const amount = parseFloat(row.amount);
+        const splits = row.allocation_rule_id ? splitsByRule.get(row.allocation_rule_id) : null;
+        const parts = splits && splits.length
+            ? allocateAmount(amount, splits)
+            : [{ functional_class: row.functional_class, program_id: row.program_id, amount }];
+        parts.forEach(part => {
+            addToColumns(line, part);
+            addToColumns(totals, part);
+        });
+    });
+    lines.forEach(roundFunctionalColumns);
+    roundFunctionalColumns(totals);
+
+    const programIds = Object.keys(totals.programs);
+    let programs = [];
+    if (programIds.length) {
+        ({ rows: programs } = await db.query(
+            'SELECT id, code, name FROM programs WHERE id = ANY($1::uuid[]) ORDER BY code',
+            [programIds]
+        ));
+    }
+
+    return {
+        entity: scope.entity,
+        consolidated: scope.consolidated,
+        entityIds: scope.entityIds,
+        startDate,
+        endDate,
+        programs,
+        lines,
+        totals
+    };
+}
+
+module.exports = {
+    RESTRICTION,
+    RESTRICTION_CLASS_SQL,
+    AGING_BUCKETS,
+    DAY_MS,
+    roundAmount,
+    shiftYears,
+    requireDate,
+    isOptionalDate,
+    agingBucket,
+    resolveReportScope,
+    buildLedgerFilter,
+    getStatementOfFinancialPosition,
+    getStatementOfActivities,
+    getStatementOfFunctionalExpenses
+};
@@ -0,0 +1,179 @@
+/**
+ * financial-reports-api.js
+ *
+ * API endpoints for the nonprofit financial statements. The numbers are
+ * computed in financial-report-service.js straight from the ledger.
+ */
+
+const {
+    getStatementOfFinancialPosition,
+    getStatementOfActivities,
+    getStatementOfFunctionalExpenses
+} = require('./financial-report-service');
+const { getBudgetVsActual } = require('./budget-service');
+const { getGrantStatusReport } = require('./grant-service');
+const { getGrantReceivables } = require('./grant-drawdown-service');
+const { getPledgeAging } = require('./donor-service');
+const { getApAging } = require('./ap-service');
+const { getTrialBalance, getGeneralLedger } = require('./ledger-report-service');
+
+/**
+ * Register financial statement API routes
+ * @param {Object} app - Express application
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+function registerFinancialReportRoutes(app, pool) {
+    const asyncHandler = fn => (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+
+    /**
+     * GET /api/reports/statement-of-financial-position
+     * Query: entityId, asOfDate (YYYY-MM-DD), consolidated=true|false
+     * Assets, liabilities and net assets (without/with donor restrictions)
+     * as of the date and one year earlier.
+     */
+    app.get('/api/reports/statement-of-financial-position', asyncHandler(async (req, res) => {
+        const { entityId, asOfDate, consolidated } = req.query;
+        const statement = await getStatementOfFinancialPosition(pool, {
+            entityId,
+            asOfDate,
+            consolidated: consolidated === 'true'
+        });
+        res.json(statement);
+    }));
+
+    /**
+     * GET /api/reports/statement-of-activities
+     * Query: entityId, startDate, endDate (YYYY-MM-DD), consolidated=true|false
+     * Revenue, releases from restriction and expenses in without/with donor
+     * restriction and total columns, with beginning and ending net assets.
+     */
+    app.get('/api/reports/statement-of-activities', asyncHandler(async (req, res) => {
+        const { entityId, startDate, endDate, consolidated } = req.query;
+        const statement = await getStatementOfActivities(pool, {
+            entityId,
+            startDate,
+            endDate,
+            consolidated: consolidated === 'true'
+        });
+        res.json(statement);
+    }));
+
+    /**
+     * GET /api/reports/statement-of-functional-expenses
+     * Query: entityId, startDate, endDate (YYYY-MM-DD), consolidated=true|false
+     * Expenses by natural account (rows) and by program, Management & General
+     * and Fundraising (columns).
+     */
+    app.get('/api/reports/statement-of-functional-expenses', asyncHandler(async (req, res) => {
+        const { entityId, startDate, endDate, consolidated } = req.query;
+        const statement = await getStatementOfFunctionalExpenses(pool, {
+            entityId,
+            startDate,
+            endDate,
+            consolidated: consolidated === 'true'
+        });
+        res.json(statement);
+    }));
+
+    /**
+     * GET /api/reports/budget-vs-actual
+     * Query: budgetId, or entityId and asOfDate (picks the Revised budget of the
+     * fiscal year containing asOfDate, else the Original); throughPeriod optional.
+     * Budget, actual, variance and variance percent by period, year to date and full year.
+     */
+    app.get('/api/reports/budget-vs-actual', asyncHandler(async (req, res) => {
+        const { budgetId, entityId, asOfDate, throughPeriod } = req.query;
+        res.json(await getBudgetVsActual(pool, { budgetId, entityId, asOfDate, throughPeriod }));
+    }));
+
+    /**
+     * GET /api/reports/grant-status
+     * Query: entityId, asOfDate, status
+     * Awarded, billed, received, spent and remaining per grant, with budget
+     * and deadline warnings.
+     */
+    app.get('/api/reports/grant-status', asyncHandler(async (req, res) => {
+        const { entityId, asOfDate, status } = req.query;
+        res.json(await getGrantStatusReport(pool, { entityId, asOfDate, status }));
+    }));
+
+    /**
+     * GET /api/reports/grant-receivables
+     * Query: entityId, asOfDate
+     * Drawdowns billed and not yet received, by grantor, with days outstanding.
+     */
+    app.get('/api/reports/grant-receivables', asyncHandler(async (req, res) => {
+        const { entityId, asOfDate } = req.query;
+        res.json(await getGrantReceivables(pool, { entityId, asOfDate }));
+    }));
+
+    /**
+     * GET /api/reports/pledge-aging
+     * Query: entityId, asOfDate
+     * Unpaid pledge installments by days past due, with the unamortized
+     * discount and net pledge receivable.
+     */
+    app.get('/api/reports/pledge-aging', asyncHandler(async (req, res) => {
+        const { entityId, asOfDate } = req.query;
+        res.json(await getPledgeAging(pool, { entityId, asOfDate }));
+    }));
+
+    /**
+     * GET /api/reports/ap-aging
+     * Query: entityId, asOfDate, vendorId
+     * Open vendor bill balances by days past due, per vendor.
+     */
+    app.get('/api/reports/ap-aging', asyncHandler(async (req, res) => {
+        const { entityId, asOfDate, vendorId } = req.query;
+        res.json(await getApAging(pool, { entityId, asOfDate, vendorId }));
+    }));
+
+    /**
+     * GET /api/reports/trial-balance
+     * Query: entityId, asOfDate, startDate (defaults to the fiscal year start),
+     * fundId, consolidated=true|false
+     * Opening balance, period debits and credits and ending balance per account.
+     */
+    app.get('/api/reports/trial-balance', asyncHandler(async (req, res) => {
+        const { entityId, asOfDate, startDate, fundId, consolidated } = req.query;
+        res.json(await getTrialBalance(pool, {
+            entityId,
+            asOfDate,
+            startDate,
+            fundId,
+            consolidated: consolidated === 'true'
+        }));
+    }));
+
+    /**
+     * GET /api/reports/general-ledger
+     * Query: entityId, startDate, endDate, accountId, accountFrom, accountTo
+     * (account codes), fundId, groupByFund=true|false, consolidated=true|false,
+     * page, pageSize
+     * Posted lines grouped by account (and fund) with opening and running
+     * balances and each line's counterpart accounts, paged in report order.
+     */
+    app.get('/api/reports/general-ledger', asyncHandler(async (req, res) => {
+        const {
+            entityId, startDate, endDate, accountId, accountFrom, accountTo,
+            fundId, groupByFund, consolidated, page, pageSize
+        } = req.query;
+        res.json(await getGeneralLedger(pool, {
+            entityId,
+            startDate,
+            endDate,
+            accountId,
+            accountFrom,
+            accountTo,
+            fundId,
+            groupByFund: groupByFund === 'true',
+            consolidated: consolidated === 'true',
+            page,
+            pageSize
+        }));
+    }));
+}
+
+module.exports = registerFinancialReportRoutes;
@@ -0,0 +1,279 @@
+/**
+ * fiscal-period-service.js
+ *
+ * Fiscal years and their monthly accounting periods.
+ * A fiscal year starts on its entity's `fiscal_year_start` (MM-DD) and is
+ * split into one period per month. Periods are Open, Soft Closed (only
+ * administrators may post), Closed, or Locked (closed for good). Posting is
+ * checked against the period containing the entry date; entry dates that
+ * fall outside every fiscal year are not restricted.
+ */
+
+const { createRequestError } = require('./request-error');
+const { isAdministrator } = require('./request-user');
+
+const FISCAL_YEAR_STATUS = {
+    OPEN: 'Open',
+    CLOSED: 'Closed'
+};
+
+const PERIOD_STATUS = {
+    OPEN: 'Open',
+    SOFT_CLOSED: 'Soft Closed',
+    CLOSED: 'Closed',
+    LOCKED: 'Locked'
+};
+
+/**
+ * Format a Date as YYYY-MM-DD using its UTC fields
+ * @param {Date} date - Date to format
+ * @returns {string} ISO date
+ */
+function toISODate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Work out the start and end dates of a fiscal year. Fiscal years are named
+ * after the calendar year in which they end, so with a 07-01 start FY2025
+ * runs from 2024-07-01 to 2025-06-30.
+ * @param {string} fiscalYearStart - Entity fiscal year start (MM-DD)
+ * @param {number} endYear - Calendar year in which the fiscal year ends
+ * @returns {{start_date: string, end_date: string}} ISO dates
+ */
+function getFiscalYearDates(fiscalYearStart, endYear) {
+    const match = /^(\d{2})-(\d{2})$/.exec(fiscalYearStart || '01-01');
+    if (!match) {
+        throw createRequestError(`Invalid fiscal year start "${fiscalYearStart}"; expected MM-DD`);
+    }
+    const month = parseInt(match[1], 10) - 1;
+    const day = parseInt(match[2], 10);
+    const startsOnJanuaryFirst = month === 0 && day === 1;
+
+    const start = new Date(Date.UTC(startsOnJanuaryFirst ? endYear : endYear - 1, month, day));
+    const end = new Date(Date.UTC(start.getUTCFullYear() + 1, month, day - 1));
+
+    return { start_date: toISODate(start), end_date: toISODate(end) };
+}
+
+/**
+ * Create one accounting period per month of a fiscal year
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} fiscalYear - fiscal_years row
+ * @returns {Promise<Array>} Created accounting_periods rows
+ */
+async function generatePeriods(client, fiscalYear) {
+    const { rows } = await client.query(
+        `INSERT INTO accounting_periods
+            (fiscal_year_id, entity_id, period_number, period_name, start_date, end_date)
+         SELECT $1, $2, n,
+                to_char($3::date + (n - 1) * INTERVAL '1 month', 'Mon YYYY'),
+                ($3::date + (n - 1) * INTERVAL '1 month')::date,
+                LEAST(($3::date + n * INTERVAL '1 month')::date - 1, $4::date)
+           FROM generate_series(1, 24) AS n
+          WHERE ($3::date + (n - 1) * INTERVAL '1 month')::date <= $4::date
+         RETURNING *`,
+        [fiscalYear.id, fiscalYear.entity_id, fiscalYear.start_date, fiscalYear.end_date]
+    );
+    return rows;
+}
+
+/**
+ * Create a fiscal year and its monthly periods
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} data - { entity_id, year, year_name, start_date, end_date, is_current }
+ * @returns {Promise<Object>} fiscal_years row with a `periods` array
+ */
+async function createFiscalYear(client, data) {
+    if (!data.entity_id) {
+        throw createRequestError('entity_id is required');
+    }
+
+    const { rows: entities } = await client.query(
+        'SELECT id, fiscal_year_start FROM entities WHERE id = $1',
+        [data.entity_id]
+    );
+    if (entities.length === 0) {
+        throw createRequestError('Entity not found', null, 404);
+    }
+
+    let { start_date: startDate, end_date: endDate } = data;
+    if (!startDate || !endDate) {
+        if (!data.year) {
+            throw createRequestError('Either year or start_date and end_date are required');
+        }
+        ({ start_date: startDate, end_date: endDate } = getFiscalYearDates(
+            entities[0].fiscal_year_start,
+            parseInt(data.year, 10)
+        ));
+    }
+    if (startDate > endDate) {
+        throw createRequestError('start_date must be before end_date');
+    }
+
+    const { rows: overlapping } = await client.query(
+        `SELECT year_name FROM fiscal_years
+          WHERE entity_id = $1 AND start_date <= $3 AND end_date >= $2`,
+        [data.entity_id, startDate, endDate]
+    );
+    if (overlapping.length > 0) {
+        throw createRequestError(
+            `Fiscal year overlaps ${overlapping.map(fy => fy.year_name).join(', ')}`,
+            null,
+            409
+        );
+    }
+
+    if (data.is_current) {
+        await client.query('UPDATE fiscal_years SET is_current = FALSE WHERE entity_id = $1', [data.entity_id]);
+    }
+
+    const yearName = data.year_name || `FY${endDate.slice(0, 4)}`;
+    const { rows } = await client.query(
+        `INSERT INTO fiscal_years (entity_id, year_name, start_date, end_date, is_current, status)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [data.entity_id, yearName, startDate, endDate, Boolean(data.is_current), FISCAL_YEAR_STATUS.OPEN]
+    );
+    const fiscalYear = rows[0];
+    fiscalYear.periods = await generatePeriods(client, fiscalYear);
+
+    // Attach entries that were saved before this fiscal year existed
+    await client.query(
+        `UPDATE journal_entries SET fiscal_year_id = $1
+          WHERE entity_id = $2 AND entry_date BETWEEN $3 AND $4 AND fiscal_year_id IS NULL`,
+        [fiscalYear.id, fiscalYear.entity_id, startDate, endDate]
+    );
+
+    return fiscalYear;
+}
+
+/**
+ * Find the fiscal year and period containing a date
+ * @param {Object} db - pg pool or client
+ * @param {string} entityId - Entity id
+ * @param {string} date - Date to look up
+ * @returns {Promise<Object|null>} { fiscal_year_id, year_name, fiscal_year_status,
+ *   period_id, period_name, period_status } or null when no fiscal year covers the date
+ */
+async function findFiscalPeriod(db, entityId, date) {
+    const { rows } = await db.query(
+        `SELECT fy.id      AS fiscal_year_id,
+                fy.year_name,
+                fy.status  AS fiscal_year_status,
+                ap.id      AS period_id,
+                ap.period_name,
+                ap.status  AS period_status
+           FROM fiscal_years fy
+           LEFT JOIN accounting_periods ap
+             ON ap.fiscal_year_id = fy.id
+            AND $2::date BETWEEN ap.start_date AND ap.end_date
+          WHERE fy.entity_id = $1
+            AND $2::date BETWEEN fy.start_date AND fy.end_date
+          LIMIT 1`,
+        [entityId, date]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Reject posting on a date whose fiscal year or period does not allow it
+ * @param {Object} db - pg pool or client
+ * @param {string} entityId - Entity id
+ * @param {string} date - Entry date
+ * @param {Object|null} user - Acting user (see request-user.js)
+ * @param {Object} [options]
+ * @param {boolean} [options.allowClosedPeriods] - Accept Soft Closed and Closed
+ *   periods (used by the year-end close); Locked periods are always rejected
+ * @returns {Promise<Object|null>} The matching fiscal period, if any
+ */
+async function assertPeriodAllowsPosting(db, entityId, date, user, options = {}) {
+    const period = await findFiscalPeriod(db, entityId, date);
+    if (!period) {
+        return null;
+    }
+
+    if (period.fiscal_year_status === FISCAL_YEAR_STATUS.CLOSED) {
+        throw createRequestError(`Fiscal year ${period.year_name} is closed`, period, 409);
+    }
+    if (period.period_status === PERIOD_STATUS.LOCKED) {
+        throw createRequestError(`Accounting period ${period.period_name} is locked`, period, 409);
+    }
+    if (options.allowClosedPeriods) {
+        return period;
+    }
+    if (period.period_status === PERIOD_STATUS.CLOSED) {
+        throw createRequestError(`Accounting period ${period.period_name} is closed`, period, 409);
+    }
+    if (period.period_status === PERIOD_STATUS.SOFT_CLOSED && !isAdministrator(user)) {
+        throw createRequestError(
+            `Accounting period ${period.period_name} is soft closed; only administrators can post to it`,
+            period,
+            403
+        );
+    }
+
+    return period;
+}
+
+/**
+ * Change the status of an accounting period. Administrators only; a Locked
+ * period cannot be changed again and periods of a closed fiscal year cannot
+ * be reopened.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} periodId - accounting_periods id
+ * @param {string} status - New status
+ * @param {Object|null} user - Acting user
+ * @returns {Promise<Object>} Updated accounting_periods row
+ */
+async function setPeriodStatus(client, periodId, status, user) {
+    if (!Object.values(PERIOD_STATUS).includes(status)) {
+        throw createRequestError(`Invalid period status "${status}"`, {
+            allowed: Object.values(PERIOD_STATUS)
+        });
+    }
+    if (!isAdministrator(user)) {
+        throw createRequestError('Only administrators can change accounting period status', null, 403);
+    }
+
+    const { rows: periods } = await client.query(
+        `SELECT ap.*, fy.status AS fiscal_year_status
+           FROM accounting_periods ap
+           JOIN fiscal_years fy ON fy.id = ap.fiscal_year_id
+          WHERE ap.id = $1
+          FOR UPDATE OF ap`,
+        [periodId]
+    );
+    if (periods.length === 0) {
+        throw createRequestError('Accounting period not found', null, 404);
+    }
+    const period = periods[0];
+
+    if (period.status === PERIOD_STATUS.LOCKED && status !== PERIOD_STATUS.LOCKED) {
+        throw createRequestError(`Accounting period ${period.period_name} is locked`, null, 409);
+    }
+    if (period.fiscal_year_status === FISCAL_YEAR_STATUS.CLOSED &&
+        (status === PERIOD_STATUS.OPEN || status === PERIOD_STATUS.SOFT_CLOSED)) {
+        throw createRequestError('Periods of a closed fiscal year cannot be reopened', null, 409);
+    }
+
+    const { rows } = await client.query(
+        `UPDATE accounting_periods
+            SET status = $1, status_changed_by = $2, status_changed_at = NOW(), updated_at = NOW()
+          WHERE id = $3
+          RETURNING *`,
+        [status, user.name, periodId]
+    );
+    return rows[0];
+}
+
+module.exports = {
+    FISCAL_YEAR_STATUS,
+    PERIOD_STATUS,
+    getFiscalYearDates,
+    generatePeriods,
+    createFiscalYear,
+    findFiscalPeriod,
+    assertPeriodAllowsPosting,
+    setPeriodStatus
+};
@@ -0,0 +1,184 @@
+/**
+ * fiscal-year-api.js
+ *
+ * API endpoints for fiscal years, their monthly accounting periods and the
+ * year-end close. Period rules themselves (posting checks, soft close,
+ * locking) live in fiscal-period-service.js so that journal entry routes
+ * share them; closing entries are built in year-end-close-service.js.
+ */
+
+const { createRequestError } = require('./request-error');
+const { withTransaction } = require('./db-transaction');
+const { getRequestUser } = require('./request-user');
+const {
+    createFiscalYear,
+    setPeriodStatus
+} = require('./fiscal-period-service');
+const { closeFiscalYear, reopenFiscalYear } = require('./year-end-close-service');
+
+/**
+ * Register fiscal year API routes
+ * @param {Object} app - Express application
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+function registerFiscalYearRoutes(app, pool) {
+    const asyncHandler = fn => (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+
+    /**
+     * GET /api/fiscal-years
+     * List fiscal years, optionally for one entity
+     */
+    app.get('/api/fiscal-years', asyncHandler(async (req, res) => {
+        const { entityId } = req.query;
+        const { rows } = await pool.query(
+            `SELECT * FROM fiscal_years
+             ${entityId ? 'WHERE entity_id = $1' : ''}
+             ORDER BY start_date DESC`,
+            entityId ? [entityId] : []
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * GET /api/fiscal-years/:id
+     * Get a fiscal year together with its periods
+     */
+    app.get('/api/fiscal-years/:id', asyncHandler(async (req, res) => {
+        const { rows } = await pool.query('SELECT * FROM fiscal_years WHERE id = $1', [req.params.id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Fiscal year not found' });
+        }
+
+        const { rows: periods } = await pool.query(
+            'SELECT * FROM accounting_periods WHERE fiscal_year_id = $1 ORDER BY period_number',
+            [req.params.id]
+        );
+        res.json({ ...rows[0], periods });
+    }));
+
+    /**
+     * POST /api/fiscal-years
+     * Create a fiscal year and generate its monthly periods.
+     * Body: { entity_id, year } to derive the dates from the entity's
+     * fiscal_year_start, or { entity_id, start_date, end_date }.
+     * Optional: year_name (defaults to FY<end year>), is_current.
+     */
+    app.post('/api/fiscal-years', asyncHandler(async (req, res) => {
+        const fiscalYear = await withTransaction(pool, client => createFiscalYear(client, req.body || {}));
+        res.status(201).json(fiscalYear);
+    }));
+
+    /**
+     * PUT /api/fiscal-years/:id
+     * Rename a fiscal year or make it the entity's current year.
+     * Dates are fixed once periods have been generated.
+     */
+    app.put('/api/fiscal-years/:id', asyncHandler(async (req, res) => {
+        const { year_name, is_current } = req.body || {};
+
+        const fiscalYear = await withTransaction(pool, async client => {
+            const { rows } = await client.query(
+                'SELECT * FROM fiscal_years WHERE id = $1 FOR UPDATE',
+                [req.params.id]
+            );
+            if (rows.length === 0) {
+                throw createRequestError('Fiscal year not found', null, 404);
+            }
+
+            if (is_current) {
+                await client.query(
+                    'UPDATE fiscal_years SET is_current = FALSE WHERE entity_id = $1',
+                    [rows[0].entity_id]
+                );
+            }
+
+            const { rows: updated } = await client.query(
+                `UPDATE fiscal_years
+                    SET year_name = COALESCE($1, year_name),
+                        is_current = COALESCE($2, is_current),
+                        updated_at = NOW()
+                  WHERE id = $3
+                  RETURNING *`,
+                [year_name || null, typeof is_current === 'boolean' ? is_current : null, req.params.id]
+            );
+            return updated[0];
+        });
+
+        res.json(fiscalYear);
+    }));
+
+    /**
+     * DELETE /api/fiscal-years/:id
+     * Only fiscal years without journal entries can be deleted
+     */
+    app.delete('/api/fiscal-years/:id', asyncHandler(async (req, res) => {
+        const { rows } = await pool.query(
+            'SELECT COUNT(*)::int AS count FROM journal_entries WHERE fiscal_year_id = $1',
+            [req.params.id]
+        );
+        if (rows[0].count > 0) {
+            return res.status(409).json({
+                message: `Fiscal year has ${rows[0].count} journal entries and cannot be deleted`
+            });
+        }
+
+        await pool.query('DELETE FROM fiscal_years WHERE id = $1', [req.params.id]);
+        res.status(204).send();
+    }));
+
+    /**
+     * POST /api/fiscal-years/:id/close
+     * Post closing entries that zero each fund's Revenue and Expense accounts
+     * into a net-assets account, then mark the year Closed (administrators only).
+     * Body: { closing_account_id } - optional once a previous year has been closed
+     */
+    app.post('/api/fiscal-years/:id/close', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const result = await withTransaction(pool, client =>
+            closeFiscalYear(client, req.params.id, { closing_account_id: (req.body || {}).closing_account_id, user })
+        );
+        res.json(result);
+    }));
+
+    /**
+     * POST /api/fiscal-years/:id/reopen
+     * Reverse the year's closing entries and mark it Open (administrators only).
+     * Body: { reason }
+     */
+    app.post('/api/fiscal-years/:id/reopen', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const result = await withTransaction(pool, client =>
+            reopenFiscalYear(client, req.params.id, { reason: (req.body || {}).reason, user })
+        );
+        res.json(result);
+    }));
+
+    /**
+     * GET /api/fiscal-years/:id/periods
+     * List the accounting periods of a fiscal year
+     */
+    app.get('/api/fiscal-years/:id/periods', asyncHandler(async (req, res) => {
+        const { rows } = await pool.query(
+            'SELECT * FROM accounting_periods WHERE fiscal_year_id = $1 ORDER BY period_number',
+            [req.params.id]
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * PUT /api/accounting-periods/:id/status
+     * Open, soft close, close or lock a period (administrators only).
+     * Body: { status: 'Open' | 'Soft Closed' | 'Closed' | 'Locked' }
+     */
+    app.put('/api/accounting-periods/:id/status', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const period = await withTransaction(pool, client =>
+            setPeriodStatus(client, req.params.id, (req.body || {}).status, user)
+        );
+        res.json(period);
+    }));
+}
+
+module.exports = registerFiscalYearRoutes;
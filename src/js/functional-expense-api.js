@@ -0,0 +1,158 @@
+/**
+ * functional-expense-api.js
+ *
+ * API endpoints for the functional expense classification: programs and
+ * the allocation rules that split shared costs across functions. Validation
+ * lives in functional-expense-service.js, which journal entry lines and
+ * accounts share.
+ */
+
+const { createRequestError } = require('./request-error');
+const { withTransaction } = require('./db-transaction');
+const { getAllocationRule, saveAllocationRule } = require('./functional-expense-service');
+
+/**
+ * Register functional expense API routes
+ * @param {Object} app - Express application
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+function registerFunctionalExpenseRoutes(app, pool) {
+    const asyncHandler = fn => (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+
+    /**
+     * GET /api/programs
+     * List programs, optionally for one entity
+     */
+    app.get('/api/programs', asyncHandler(async (req, res) => {
+        const { entityId } = req.query;
+        const { rows } = await pool.query(
+            `SELECT * FROM programs ${entityId ? 'WHERE entity_id = $1' : ''} ORDER BY code`,
+            entityId ? [entityId] : []
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * POST /api/programs
+     * Body: { entity_id, code, name, description, status }
+     */
+    app.post('/api/programs', asyncHandler(async (req, res) => {
+        const { entity_id, code, name, description, status } = req.body || {};
+        if (!entity_id || !code || !name) {
+            throw createRequestError('entity_id, code and name are required');
+        }
+        const { rows } = await pool.query(
+            `INSERT INTO programs (entity_id, code, name, description, status)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [entity_id, code, name, description || null, status || 'Active']
+        );
+        res.status(201).json(rows[0]);
+    }));
+
+    /**
+     * PUT /api/programs/:id
+     * Body: { code, name, description, status }
+     */
+    app.put('/api/programs/:id', asyncHandler(async (req, res) => {
+        const { code, name, description, status } = req.body || {};
+        const { rows } = await pool.query(
+            `UPDATE programs
+                SET code = COALESCE($1, code), name = COALESCE($2, name), description = $3,
+                    status = COALESCE($4, status), updated_at = NOW()
+              WHERE id = $5
+              RETURNING *`,
+            [code || null, name || null, description || null, status || null, req.params.id]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Program not found' });
+        }
+        res.json(rows[0]);
+    }));
+
+    /**
+     * DELETE /api/programs/:id
+     * Programs still used by accounts, journal lines or allocation rules are
+     * kept; set them Inactive instead.
+     */
+    app.delete('/api/programs/:id', asyncHandler(async (req, res) => {
+        const { rows } = await pool.query(
+            `SELECT (SELECT COUNT(*) FROM accounts WHERE program_id = $1)
+                  + (SELECT COUNT(*) FROM journal_entry_lines WHERE program_id = $1)
+                  + (SELECT COUNT(*) FROM allocation_rule_splits WHERE program_id = $1) AS count`,
+            [req.params.id]
+        );
+        if (parseInt(rows[0].count, 10) > 0) {
+            return res.status(409).json({ message: 'Program is in use and cannot be deleted; set it Inactive instead' });
+        }
+        await pool.query('DELETE FROM programs WHERE id = $1', [req.params.id]);
+        res.status(204).send();
+    }));
+
+    /**
+     * GET /api/allocation-rules
+     * List allocation rules with their splits, optionally for one entity
+     */
+    app.get('/api/allocation-rules', asyncHandler(async (req, res) => {
+        const { entityId } = req.query;
+        const { rows } = await pool.query(
+            `SELECT r.*,
+                    COALESCE(json_agg(s ORDER BY s.split_number) FILTER (WHERE s.id IS NOT NULL), '[]') AS splits
+               FROM allocation_rules r
+               LEFT JOIN allocation_rule_splits s ON s.allocation_rule_id = r.id
+              ${entityId ? 'WHERE r.entity_id = $1' : ''}
+              GROUP BY r.id
+              ORDER BY r.name`,
+            entityId ? [entityId] : []
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * GET /api/allocation-rules/:id
+     */
+    app.get('/api/allocation-rules/:id', asyncHandler(async (req, res) => {
+        res.json(await getAllocationRule(pool, req.params.id));
+    }));
+
+    /**
+     * POST /api/allocation-rules
+     * Body: { entity_id, name, description, splits: [{ functional_class, program_id, percentage }] }
+     * Split percentages must add up to 100.
+     */
+    app.post('/api/allocation-rules', asyncHandler(async (req, res) => {
+        const rule = await withTransaction(pool, client => saveAllocationRule(client, req.body || {}));
+        res.status(201).json(rule);
+    }));
+
+    /**
+     * PUT /api/allocation-rules/:id
+     * Replace a rule's name, description, status and splits. Reports apply the
+     * current splits to every period, including past ones.
+     */
+    app.put('/api/allocation-rules/:id', asyncHandler(async (req, res) => {
+        const rule = await withTransaction(pool, client => saveAllocationRule(client, req.body || {}, req.params.id));
+        res.json(rule);
+    }));
+
+    /**
+     * DELETE /api/allocation-rules/:id
+     * Rules still used by accounts or journal lines are kept; set them Inactive instead.
+     */
+    app.delete('/api/allocation-rules/:id', asyncHandler(async (req, res) => {
+        const { rows } = await pool.query(
+            `SELECT (SELECT COUNT(*) FROM accounts WHERE allocation_rule_id = $1)
+                  + (SELECT COUNT(*) FROM journal_entry_lines WHERE allocation_rule_id = $1) AS count`,
+            [req.params.id]
+        );
+        if (parseInt(rows[0].count, 10) > 0) {
+            return res.status(409).json({ message: 'Allocation rule is in use and cannot be deleted; set it Inactive instead' });
+        }
+        await pool.query('DELETE FROM allocation_rules WHERE id = $1', [req.params.id]);
+        res.status(204).send();
+    }));
+}
+
+module.exports = registerFunctionalExpenseRoutes;
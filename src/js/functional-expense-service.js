@@ -0,0 +1,257 @@
+/**
+ * functional-expense-service.js
+ *
+ * Functional classification of expenses: Program services (by named
+ * program), Management & General and Fundraising.
+ * An expense account carries a default classification; a journal line may
+ * override it. Either can point at an allocation rule instead, which splits
+ * a shared cost across functions by percentage.
+ */
+
+const { createRequestError } = require('./request-error');
+
+const FUNCTIONAL_CLASS = {
+    PROGRAM: 'Program',
+    MANAGEMENT_GENERAL: 'Management & General',
+    FUNDRAISING: 'Fundraising'
+};
+
+/**
+ * Validate the classification fields of an account or journal line
+ * @param {Object} source - Object with functional_class, program_id, allocation_rule_id
+ * @param {string} label - Prefix for error messages, e.g. "Line 2"
+ * @param {Array<string>} errors - Collected error messages
+ * @returns {{functional_class: string|null, program_id: string|null, allocation_rule_id: string|null}}
+ */
+function normalizeClassification(source, label, errors) {
+    const classification = {
+        functional_class: source.functional_class || null,
+        program_id: source.program_id || null,
+        allocation_rule_id: source.allocation_rule_id || null
+    };
+
+    if (classification.allocation_rule_id) {
+        if (classification.functional_class || classification.program_id) {
+            errors.push(`${label}: use either an allocation rule or a functional class, not both`);
+        }
+        return classification;
+    }
+    if (classification.functional_class &&
+        !Object.values(FUNCTIONAL_CLASS).includes(classification.functional_class)) {
+        errors.push(`${label}: invalid functional class "${classification.functional_class}"`);
+    } else if (classification.functional_class === FUNCTIONAL_CLASS.PROGRAM && !classification.program_id) {
+        errors.push(`${label}: a program is required for the Program functional class`);
+    } else if (classification.program_id && classification.functional_class !== FUNCTIONAL_CLASS.PROGRAM) {
+        errors.push(`${label}: a program can only be set with the Program functional class`);
+    }
+    return classification;
+}
+
+/**
+ * Reject programs and allocation rules that belong to another entity
+ * @param {Object} db - pg pool or client
+ * @param {string} entityId - Owning entity
+ * @param {Array<Object>} items - Normalised classifications
+ * @param {Array<string>} errors - Collected error messages
+ */
+async function checkClassificationEntity(db, entityId, items, errors) {
+    const programIds = [...new Set(items.map(i => i.program_id).filter(Boolean))];
+    const ruleIds = [...new Set(items.map(i => i.allocation_rule_id).filter(Boolean))];
+
+    if (programIds.length) {
+        const { rows } = await db.query(
+            'SELECT id FROM programs WHERE id = ANY($1::uuid[]) AND entity_id = $2',
+            [programIds, entityId]
+        );
+        const valid = new Set(rows.map(r => r.id));
+        programIds
+            .filter(id => !valid.has(id))
+            .forEach(id => errors.push(`Program ${id} does not belong to the entity`));
+    }
+    if (ruleIds.length) {
+        const { rows } = await db.query(
+            'SELECT id FROM allocation_rules WHERE id = ANY($1::uuid[]) AND entity_id = $2',
+            [ruleIds, entityId]
+        );
+        const valid = new Set(rows.map(r => r.id));
+        ruleIds
+            .filter(id => !valid.has(id))
+            .forEach(id => errors.push(`Allocation rule ${id} does not belong to the entity`));
+    }
+}
+
+/**
+ * Validate an account's default classification; only Expense accounts carry one
+ * @param {Object} db - pg pool or client
+ * @param {Object} account - { entity_id, type, functional_class, program_id, allocation_rule_id }
+ * @returns {Promise<Object>} Normalised classification
+ */
+async function validateAccountClassification(db, account) {
+    const errors = [];
+    const classification = normalizeClassification(account, 'Account', errors);
+    const isClassified = Object.values(classification).some(Boolean);
+
+    if (isClassified && account.type !== 'Expense') {
+        errors.push('Account: only Expense accounts have a functional classification');
+    }
+    if (isClassified && !errors.length) {
+        await checkClassificationEntity(db, account.entity_id, [classification], errors);
+    }
+    if (errors.length) {
+        throw createRequestError('Invalid functional classification', { errors });
+    }
+    return classification;
+}
+
+/**
+ * Validate the splits of an allocation rule: each names a functional class
+ * (and a program for Program splits) and the percentages add up to 100
+ * @param {Array<Object>} splits - { functional_class, program_id, percentage }
+ * @returns {Array<Object>} Normalised splits
+ */
+function normalizeAllocationSplits(splits) {
+    if (!Array.isArray(splits) || splits.length === 0) {
+        throw createRequestError('An allocation rule requires at least one split');
+    }
+
+    const errors = [];
+    let totalBasisPoints = 0;
+    const normalized = splits.map((split, index) => {
+        const label = `Split ${index + 1}`;
+        const percentage = parseFloat(split.percentage);
+        if (!split.functional_class) {
+            errors.push(`${label}: functional class is required`);
+        }
+        const classification = normalizeClassification(
+            { functional_class: split.functional_class, program_id: split.program_id },
+            label,
+            errors
+        );
+        if (Number.isNaN(percentage) || percentage <= 0) {
+            errors.push(`${label}: percentage must be greater than zero`);
+        } else {
+            totalBasisPoints += Math.round(percentage * 100);
+        }
+        return {
+            functional_class: classification.functional_class,
+            program_id: classification.program_id,
+            percentage
+        };
+    });
+
+    if (!errors.length && totalBasisPoints !== 10000) {
+        errors.push(`Percentages add up to ${totalBasisPoints / 100}, not 100`);
+    }
+    if (errors.length) {
+        throw createRequestError('Invalid allocation rule', { errors });
+    }
+    return normalized;
+}
+
+/**
+ * Load an allocation rule with its splits
+ * @param {Object} db - pg pool or client
+ * @param {string} ruleId - allocation_rules id
+ * @returns {Promise<Object>} Rule row with a `splits` array
+ */
+async function getAllocationRule(db, ruleId) {
+    const { rows } = await db.query('SELECT * FROM allocation_rules WHERE id = $1', [ruleId]);
+    if (rows.length === 0) {
+        throw createRequestError('Allocation rule not found', null, 404);
+    }
+    const { rows: splits } = await db.query(
+        'SELECT * FROM allocation_rule_splits WHERE allocation_rule_id = $1 ORDER BY split_number',
+        [ruleId]
+    );
+    return { ...rows[0], splits };
+}
+
+/**
+ * Create or update an allocation rule and replace its splits
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} data - { entity_id, name, description, status, splits }
+ * @param {string|null} [ruleId] - Rule to update; null to create
+ * @returns {Promise<Object>} Rule row with a `splits` array
+ */
+async function saveAllocationRule(client, data, ruleId = null) {
+    if (!data.name) {
+        throw createRequestError('name is required');
+    }
+    const splits = normalizeAllocationSplits(data.splits);
+
+    let rule;
+    if (ruleId) {
+        const { rows } = await client.query(
+            `UPDATE allocation_rules
+                SET name = $1, description = $2, status = COALESCE($3, status), updated_at = NOW()
+              WHERE id = $4
+              RETURNING *`,
+            [data.name, data.description || null, data.status || null, ruleId]
+        );
+        if (rows.length === 0) {
+            throw createRequestError('Allocation rule not found', null, 404);
+        }
+        rule = rows[0];
+        await client.query('DELETE FROM allocation_rule_splits WHERE allocation_rule_id = $1', [ruleId]);
+    } else {
+        if (!data.entity_id) {
+            throw createRequestError('entity_id is required');
+        }
+        const { rows } = await client.query(
+            `INSERT INTO allocation_rules (entity_id, name, description, status)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [data.entity_id, data.name, data.description || null, data.status || 'Active']
+        );
+        rule = rows[0];
+    }
+
+    const errors = [];
+    await checkClassificationEntity(client, rule.entity_id, splits, errors);
+    if (errors.length) {
+        throw createRequestError('Invalid allocation rule', { errors });
+    }
+
+    rule.splits = [];
+    for (const [index, split] of splits.entries()) {
+        const { rows } = await client.query(
+            `INSERT INTO allocation_rule_splits
+                (allocation_rule_id, split_number, functional_class, program_id, percentage)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [rule.id, index + 1, split.functional_class, split.program_id, split.percentage]
+        );
+        rule.splits.push(rows[0]);
+    }
+    return rule;
+}
+
+/**
+ * Split an amount across an allocation rule's splits. Works in cents and
+ * gives any rounding remainder to the last split so the parts add up.
+ * @param {number} amount - Amount to allocate
+ * @param {Array<Object>} splits - allocation_rule_splits rows
+ * @returns {Array<{functional_class: string, program_id: string|null, amount: number}>}
+ */
+function allocateAmount(amount, splits) {
+    const totalCents = Math.round(amount * 100);
+    let allocatedCents = 0;
+    return splits.map((split, index) => {
+        const cents = index === splits.length - 1
+            ? totalCents - allocatedCents
+            : Math.round(totalCents * parseFloat(split.percentage) / 100);
+        allocatedCents += cents;
+        return { functional_class: split.functional_class, program_id: split.program_id, amount: cents / 100 };
+    });
+}
+
+module.exports = {
+    FUNCTIONAL_CLASS,
+    normalizeClassification,
+    checkClassificationEntity,
+    validateAccountClassification,
+    normalizeAllocationSplits,
+    getAllocationRule,
+    saveAllocationRule,
+    allocateAmount
+};
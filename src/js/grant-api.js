@@ -0,0 +1,277 @@
+/**
+ * grant-api.js
+ *
+ * API endpoints for grants: the grant with its linked funds, budget lines,
+ * reporting deadlines and payment schedule, the status of a grant, and
+ * drawdowns of cost-reimbursable grants. The grant status and grant
+ * receivables reports are served with the other financial reports
+ * (financial-reports-api.js); the rules live in grant-service.js and
+ * grant-drawdown-service.js.
+ */
+
+const { createRequestError } = require('./request-error');
+const { withTransaction } = require('./db-transaction');
+const { getRequestUser } = require('./request-user');
+const {
+    GRANT_SELECT,
+    normalizeGrant,
+    saveGrantDetails,
+    getGrantHeader,
+    getGrant,
+    getGrantStatus
+} = require('./grant-service');
+const {
+    buildDrawdown,
+    createDrawdown,
+    getDrawdown,
+    recordDrawdownReceipt,
+    voidDrawdown
+} = require('./grant-drawdown-service');
+
+const GRANT_COLUMNS = [
+    'entity_id',
+    'grantor_name',
+    'grant_number',
+    'name',
+    'award_amount',
+    'start_date',
+    'end_date',
+    'status',
+    'is_reimbursable',
+    'indirect_cost_rate',
+    'receivable_account_id',
+    'revenue_account_id',
+    'cash_account_id',
+    'notes'
+];
+
+/**
+ * Register grant API routes
+ * @param {Object} app - Express application
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+function registerGrantRoutes(app, pool) {
+    const asyncHandler = fn => (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+
+    /**
+     * GET /api/grants
+     * List grants with their fund codes, optionally filtered by entityId and status
+     */
+    app.get('/api/grants', asyncHandler(async (req, res) => {
+        const { entityId, status } = req.query;
+        const conditions = [];
+        const params = [];
+        if (entityId) {
+            params.push(entityId);
+            conditions.push(`g.entity_id = $${params.length}`);
+        }
+        if (status) {
+            params.push(status);
+            conditions.push(`g.status = $${params.length}`);
+        }
+        const { rows } = await pool.query(
+            `SELECT grants.*,
+                    (SELECT COALESCE(array_agg(f.code ORDER BY f.code), '{}')
+                       FROM grant_funds gf JOIN funds f ON f.id = gf.fund_id
+                      WHERE gf.grant_id = grants.id) AS fund_codes
+               FROM (${GRANT_SELECT} ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}) grants
+              ORDER BY grants.start_date DESC, grants.name`,
+            params
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * GET /api/grants/:id
+     * A grant with its funds, budget lines, deadlines and payment schedule
+     */
+    app.get('/api/grants/:id', asyncHandler(async (req, res) => {
+        res.json(await getGrant(pool, req.params.id));
+    }));
+
+    /**
+     * GET /api/grants/:id/status
+     * Query: asOfDate
+     * Awarded, billed, received, spent and remaining amounts, budget by
+     * account and warnings
+     */
+    app.get('/api/grants/:id/status', asyncHandler(async (req, res) => {
+        res.json(await getGrantStatus(pool, req.params.id, { asOfDate: req.query.asOfDate }));
+    }));
+
+    /**
+     * POST /api/grants
+     * Body: { entity_id, grantor_name, grant_number, name, award_amount,
+     *         start_date, end_date, status, is_reimbursable, indirect_cost_rate,
+     *         receivable_account_id, revenue_account_id, cash_account_id, notes,
+     *         fund_ids, budget_lines, deadlines, payments }
+     */
+    app.post('/api/grants', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const data = await normalizeGrant(pool, body);
+        const grant = await withTransaction(pool, async client => {
+            const { rows } = await client.query(
+                `INSERT INTO grants (${GRANT_COLUMNS.join(', ')})
+                 VALUES (${GRANT_COLUMNS.map((column, index) => `$${index + 1}`).join(', ')})
+                 RETURNING id, entity_id`,
+                GRANT_COLUMNS.map(column => data[column])
+            );
+            await saveGrantDetails(client, rows[0], body);
+            return getGrant(client, rows[0].id);
+        });
+        res.status(201).json(grant);
+    }));
+
+    /**
+     * PUT /api/grants/:id
+     * Same body as POST; the entity cannot change. Arrays that are present
+     * replace the grant's funds, budget lines, deadlines or payments.
+     */
+    app.put('/api/grants/:id', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const grant = await withTransaction(pool, async client => {
+            const existing = await getGrantHeader(client, req.params.id);
+            const data = await normalizeGrant(client, { ...body, entity_id: existing.entity_id });
+            const columns = GRANT_COLUMNS.filter(column => column !== 'entity_id');
+            await client.query(
+                `UPDATE grants
+                    SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = NOW()
+                  WHERE id = $${columns.length + 1}`,
+                [...columns.map(column => data[column]), existing.id]
+            );
+            await saveGrantDetails(client, existing, body);
+            return getGrant(client, existing.id);
+        });
+        res.json(grant);
+    }));
+
+    /**
+     * DELETE /api/grants/:id
+     */
+    app.delete('/api/grants/:id', asyncHandler(async (req, res) => {
+        const { rowCount } = await pool.query('DELETE FROM grants WHERE id = $1', [req.params.id]);
+        if (rowCount === 0) {
+            return res.status(404).json({ message: 'Grant not found' });
+        }
+        res.status(204).send();
+    }));
+
+    /**
+     * PUT /api/grants/:id/payments/:paymentId
+     * Body: { billed_date, received_date, received_amount, notes }
+     * Record billing or receipt of a scheduled payment
+     */
+    app.put('/api/grants/:id/payments/:paymentId', asyncHandler(async (req, res) => {
+        const { billed_date, received_date, received_amount, notes } = req.body || {};
+        const { rows } = await pool.query(
+            `UPDATE grant_payments
+                SET billed_date = $1, received_date = $2,
+                    received_amount = CASE WHEN $2::date IS NULL THEN NULL ELSE COALESCE($3, amount) END,
+                    notes = COALESCE($4, notes)
+              WHERE id = $5 AND grant_id = $6
+              RETURNING *`,
+            [billed_date || null, received_date || null, received_amount === undefined || received_amount === '' ? null : received_amount,
+             notes || null, req.params.paymentId, req.params.id]
+        );
+        if (rows.length === 0) {
+            throw createRequestError('Grant payment not found', null, 404);
+        }
+        res.json(rows[0]);
+    }));
+
+    /**
+     * PUT /api/grants/:id/deadlines/:deadlineId
+     * Body: { submitted_date, notes }
+     * Record submission of a grant report
+     */
+    app.put('/api/grants/:id/deadlines/:deadlineId', asyncHandler(async (req, res) => {
+        const { submitted_date, notes } = req.body || {};
+        const { rows } = await pool.query(
+            `UPDATE grant_deadlines
+                SET submitted_date = $1, notes = COALESCE($2, notes)
+              WHERE id = $3 AND grant_id = $4
+              RETURNING *`,
+            [submitted_date || null, notes || null, req.params.deadlineId, req.params.id]
+        );
+        if (rows.length === 0) {
+            throw createRequestError('Grant deadline not found', null, 404);
+        }
+        res.json(rows[0]);
+    }));
+
+    /**
+     * GET /api/grants/:id/drawdowns/preview
+     * Query: periodStart, periodEnd
+     * Unbilled expense of a reimbursable grant in a period with the indirect
+     * costs and total a drawdown would bill, and the award left to bill
+     */
+    app.get('/api/grants/:id/drawdowns/preview', asyncHandler(async (req, res) => {
+        const { periodStart, periodEnd } = req.query;
+        res.json(await buildDrawdown(pool, req.params.id, { periodStart, periodEnd }));
+    }));
+
+    /**
+     * POST /api/grants/:id/drawdowns
+     * Body: { period_start, period_end, request_date, journal_entry_line_ids }
+     * Bill the unbilled expense of the period (or only the listed journal
+     * lines) and post the grant receivable
+     */
+    app.post('/api/grants/:id/drawdowns', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { period_start, period_end, request_date, journal_entry_line_ids } = req.body || {};
+        if (journal_entry_line_ids !== undefined && !Array.isArray(journal_entry_line_ids)) {
+            throw createRequestError('journal_entry_line_ids must be an array');
+        }
+        const drawdown = await withTransaction(pool, client => createDrawdown(client, req.params.id, {
+            periodStart: period_start,
+            periodEnd: period_end,
+            requestDate: request_date,
+            lineIds: journal_entry_line_ids,
+            user
+        }));
+        res.status(201).json(drawdown);
+    }));
+
+    /**
+     * GET /api/grants/:id/drawdowns/:drawdownId
+     * A drawdown with the expense lines it billed and its receipts
+     */
+    app.get('/api/grants/:id/drawdowns/:drawdownId', asyncHandler(async (req, res) => {
+        res.json(await getDrawdown(pool, req.params.id, req.params.drawdownId));
+    }));
+
+    /**
+     * POST /api/grants/:id/drawdowns/:drawdownId/receipts
+     * Body: { received_date, amount }
+     * Record money received from the grantor (default: the full outstanding
+     * amount) and post it against the receivable
+     */
+    app.post('/api/grants/:id/drawdowns/:drawdownId/receipts', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { received_date, amount } = req.body || {};
+        const drawdown = await withTransaction(pool, client => recordDrawdownReceipt(client, req.params.id, req.params.drawdownId, {
+            receivedDate: received_date,
+            amount,
+            user
+        }));
+        res.status(201).json(drawdown);
+    }));
+
+    /**
+     * POST /api/grants/:id/drawdowns/:drawdownId/void
+     * Body: { reversal_date }
+     * Void a drawdown with no receipts, reversing its receivable entry
+     */
+    app.post('/api/grants/:id/drawdowns/:drawdownId/void', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { reversal_date } = req.body || {};
+        res.json(await withTransaction(pool, client => voidDrawdown(client, req.params.id, req.params.drawdownId, {
+            reversalDate: reversal_date,
+            user
+        })));
+    }));
+}
+
+module.exports = registerGrantRoutes;
@@ -0,0 +1,492 @@
+/**
+ * grant-drawdown-service.js
+ *
+ * Drawdowns of cost-reimbursable grants. A drawdown bills the grantor for
+ * the expense posted to the grant's funds in a period that no earlier
+ * drawdown has billed, plus indirect costs at the grant's indirect cost rate
+ * on the eligible part of that expense (accounts whose grant budget line is
+ * not marked indirect-eligible are left out of the base).
+ *
+ * Creating a drawdown posts a receivable entry (grant receivable against
+ * grant revenue, per fund); each receipt posts cash against the receivable.
+ * A drawdown with no receipts can be voided, which reverses its entry and
+ * frees its expense lines for a later drawdown.
+ */
+
+const { createRequestError } = require('./request-error');
+const {
+    JOURNAL_ENTRY_STATUS,
+    ENTRY_TYPE,
+    POSTED_STATUSES,
+    saveJournalEntry,
+    reverseJournalEntry
+} = require('./journal-entry-service');
+const { roundAmount, requireDate } = require('./financial-report-service');
+const { getGrantHeader } = require('./grant-service');
+
+const DRAWDOWN_STATUS = {
+    BILLED: 'Billed',
+    PARTIALLY_RECEIVED: 'Partially Received',
+    RECEIVED: 'Received',
+    VOID: 'Void'
+};
+
+const DRAWDOWN_SELECT = `
+    SELECT d.id, d.grant_id, d.drawdown_number,
+           to_char(d.period_start, 'YYYY-MM-DD') AS period_start, to_char(d.period_end, 'YYYY-MM-DD') AS period_end,
+           to_char(d.request_date, 'YYYY-MM-DD') AS request_date,
+           d.direct_amount, d.indirect_base, d.indirect_rate, d.indirect_amount, d.total_amount,
+           d.received_amount, d.status, d.journal_entry_id, d.created_by, d.created_at, d.updated_at
+      FROM grant_drawdowns d`;
+
+/**
+ * Load a grant and check that it is cost-reimbursable
+ * @param {Object} db - pg pool or client
+ * @param {string} grantId - grants id
+ * @returns {Promise<Object>} Grant header
+ */
+async function getReimbursableGrant(db, grantId) {
+    const grant = await getGrantHeader(db, grantId);
+    if (!grant.is_reimbursable) {
+        throw createRequestError('Drawdowns are only available for cost-reimbursable grants', null, 409);
+    }
+    return grant;
+}
+
+/**
+ * Posted expense on a grant's funds within a period (clipped to the grant
+ * period) that no drawdown has billed yet
+ * @param {Object} db - pg pool or client
+ * @param {Object} grant - Grant header
+ * @param {string} periodStart - YYYY-MM-DD
+ * @param {string} periodEnd - YYYY-MM-DD
+ * @returns {Promise<Array<Object>>} One row per journal line
+ */
+async function queryEligibleExpenses(db, grant, periodStart, periodEnd) {
+    const { rows } = await db.query(
+        `SELECT jel.id AS journal_entry_line_id, je.id AS journal_entry_id, je.reference_number,
+                to_char(je.entry_date, 'YYYY-MM-DD') AS entry_date, jel.description,
+                f.id AS fund_id, f.code AS fund_code, a.id AS account_id, a.code AS account_code, a.name AS account_name,
+                jel.debit_amount - jel.credit_amount AS amount,
+                COALESCE(bl.indirect_eligible, TRUE) AS indirect_eligible
+           FROM grant_funds gf
+           JOIN journal_entry_lines jel ON jel.fund_id = gf.fund_id
+           JOIN journal_entries je ON je.id = jel.journal_entry_id
+           JOIN accounts a ON a.id = jel.account_id
+           JOIN funds f ON f.id = jel.fund_id
+           LEFT JOIN grant_budget_lines bl ON bl.grant_id = gf.grant_id AND bl.account_id = jel.account_id
+          WHERE gf.grant_id = $1
+            AND je.status = ANY($2)
+            AND COALESCE(je.entry_type, 'Standard') <> $3
+            AND a.type = 'Expense'
+            AND je.entry_date BETWEEN GREATEST($4::date, $6::date) AND LEAST($5::date, $7::date)
+            AND NOT EXISTS (SELECT 1 FROM grant_drawdown_lines dl WHERE dl.journal_entry_line_id = jel.id)
+          ORDER BY je.entry_date, je.reference_number, jel.line_number`,
+        [grant.id, POSTED_STATUSES, ENTRY_TYPE.CLOSING, periodStart, periodEnd, grant.start_date, grant.end_date]
+    );
+    return rows.map(row => ({ ...row, amount: roundAmount(row.amount) }));
+}
+
+/**
+ * Direct, indirect and total amounts per fund for a set of expense lines
+ * @param {Array<Object>} lines - { fund_id, amount, indirect_eligible }
+ * @param {number} indirectRate - Percent
+ * @returns {Array<Object>} { fund_id, direct_amount, indirect_base, indirect_amount, total_amount }
+ */
+function summarizeByFund(lines, indirectRate) {
+    const funds = new Map();
+    lines.forEach(line => {
+        if (!funds.has(line.fund_id)) {
+            funds.set(line.fund_id, { fund_id: line.fund_id, fund_code: line.fund_code, direct_amount: 0, indirect_base: 0 });
+        }
+        const fund = funds.get(line.fund_id);
+        fund.direct_amount += parseFloat(line.amount);
+        if (line.indirect_eligible) {
+            fund.indirect_base += parseFloat(line.amount);
+        }
+    });
+    return [...funds.values()].map(fund => {
+        const direct = roundAmount(fund.direct_amount);
+        const indirect = roundAmount(roundAmount(fund.indirect_base) * indirectRate / 100);
+        return {
+            ...fund,
+            direct_amount: direct,
+            indirect_base: roundAmount(fund.indirect_base),
+            indirect_amount: indirect,
+            total_amount: roundAmount(direct + indirect)
+        };
+    });
+}
+
+/**
+ * Build a drawdown request for a period without saving it
+ * @param {Object} db - pg pool or client
+ * @param {string} grantId - grants id
+ * @param {Object} options
+ * @param {string} options.periodStart - YYYY-MM-DD
+ * @param {string} options.periodEnd - YYYY-MM-DD
+ * @param {Array<string>} [options.lineIds] - Bill only these journal lines
+ * @returns {Promise<Object>} Eligible lines, per-fund and total amounts and
+ *   the award left to bill
+ */
+async function buildDrawdown(db, grantId, { periodStart, periodEnd, lineIds }) {
+    const start = requireDate(periodStart, 'periodStart');
+    const end = requireDate(periodEnd, 'periodEnd');
+    if (start > end) {
+        throw createRequestError('periodStart must not be after periodEnd');
+    }
+    const grant = await getReimbursableGrant(db, grantId);
+    let lines = await queryEligibleExpenses(db, grant, start, end);
+    if (lineIds) {
+        const selected = new Set(lineIds);
+        lines = lines.filter(line => selected.has(line.journal_entry_line_id));
+    }
+
+    const indirectRate = parseFloat(grant.indirect_cost_rate) || 0;
+    const funds = summarizeByFund(lines, indirectRate);
+    const sum = key => roundAmount(funds.reduce((total, fund) => total + fund[key], 0));
+
+    const { rows: [{ billed }] } = await db.query(
+        'SELECT COALESCE(SUM(total_amount), 0) AS billed FROM grant_drawdowns WHERE grant_id = $1 AND status <> $2',
+        [grant.id, DRAWDOWN_STATUS.VOID]
+    );
+    const totalAmount = sum('total_amount');
+    const awardRemaining = roundAmount(parseFloat(grant.award_amount) - parseFloat(billed));
+    return {
+        grant,
+        period_start: start,
+        period_end: end,
+        lines,
+        funds,
+        direct_amount: sum('direct_amount'),
+        indirect_base: sum('indirect_base'),
+        indirect_rate: indirectRate,
+        indirect_amount: sum('indirect_amount'),
+        total_amount: totalAmount,
+        billed_to_date: roundAmount(billed),
+        award_remaining: awardRemaining,
+        exceeds_award: totalAmount > awardRemaining
+    };
+}
+
+/**
+ * Label used in the reference numbers of a grant's drawdown entries
+ * @param {Object} grant - Grant header
+ * @returns {string}
+ */
+function grantReference(grant) {
+    return grant.grant_number || grant.id.slice(0, 8);
+}
+
+/**
+ * Create a drawdown: post the receivable entry and record the billed lines
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} grantId - grants id
+ * @param {Object} options - buildDrawdown() options plus requestDate
+ *   (default periodEnd) and user
+ * @returns {Promise<Object>} The drawdown with its lines and `journal_entry`
+ */
+async function createDrawdown(client, grantId, options) {
+    await client.query('SELECT id FROM grants WHERE id = $1 FOR UPDATE', [grantId]);
+    const drawdown = await buildDrawdown(client, grantId, options);
+    const { grant } = drawdown;
+    const requestDate = options.requestDate ? requireDate(options.requestDate, 'requestDate') : drawdown.period_end;
+    const createdBy = options.user ? options.user.name : 'System';
+
+    if (drawdown.lines.length === 0 || drawdown.total_amount <= 0) {
+        throw createRequestError('There are no unbilled expenses to draw down for this period');
+    }
+    if (drawdown.exceeds_award) {
+        throw createRequestError(
+            `The drawdown (${drawdown.total_amount.toFixed(2)}) exceeds the award left to bill (${drawdown.award_remaining.toFixed(2)})`,
+            { award_remaining: drawdown.award_remaining },
+            409
+        );
+    }
+
+    const { rows: [{ next }] } = await client.query(
+        'SELECT COALESCE(MAX(drawdown_number), 0) + 1 AS next FROM grant_drawdowns WHERE grant_id = $1',
+        [grant.id]
+    );
+    const description = `Drawdown ${next} for ${grant.name}, ${drawdown.period_start} to ${drawdown.period_end}`;
+    const lines = [];
+    drawdown.funds.filter(fund => fund.total_amount !== 0).forEach(fund => {
+        lines.push(
+            {
+                account_id: grant.receivable_account_id,
+                fund_id: fund.fund_id,
+                debit_amount: fund.total_amount,
+                credit_amount: 0,
+                description
+            },
+            {
+                account_id: grant.revenue_account_id,
+                fund_id: fund.fund_id,
+                debit_amount: 0,
+                credit_amount: fund.total_amount,
+                description
+            }
+        );
+    });
+    const entry = await saveJournalEntry(
+        client,
+        {
+            entity_id: grant.entity_id,
+            entry_date: requestDate,
+            reference_number: `GDD-${grantReference(grant)}-${next}`,
+            description,
+            status: JOURNAL_ENTRY_STATUS.POSTED,
+            created_by: createdBy,
+            entry_type: ENTRY_TYPE.STANDARD
+        },
+        lines,
+        null,
+        { user: options.user }
+    );
+
+    const { rows: [saved] } = await client.query(
+        `INSERT INTO grant_drawdowns
+            (grant_id, drawdown_number, period_start, period_end, request_date, direct_amount, indirect_base,
+             indirect_rate, indirect_amount, total_amount, status, journal_entry_id, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING id`,
+        [
+            grant.id, next, drawdown.period_start, drawdown.period_end, requestDate,
+            drawdown.direct_amount, drawdown.indirect_base, drawdown.indirect_rate, drawdown.indirect_amount,
+            drawdown.total_amount, DRAWDOWN_STATUS.BILLED, entry.id, createdBy
+        ]
+    );
+    for (const line of drawdown.lines) {
+        await client.query(
+            `INSERT INTO grant_drawdown_lines (drawdown_id, journal_entry_line_id, fund_id, account_id, amount, indirect_eligible)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [saved.id, line.journal_entry_line_id, line.fund_id, line.account_id, line.amount, line.indirect_eligible]
+        );
+    }
+    return { ...(await getDrawdown(client, grant.id, saved.id)), journal_entry: entry };
+}
+
+/**
+ * Load a drawdown with its billed lines and receipts
+ * @param {Object} db - pg pool or client
+ * @param {string} grantId - grants id
+ * @param {string} drawdownId - grant_drawdowns id
+ * @param {Object} [options]
+ * @param {boolean} [options.forUpdate] - Lock the drawdown row
+ * @returns {Promise<Object>}
+ */
+async function getDrawdown(db, grantId, drawdownId, { forUpdate } = {}) {
+    const { rows } = await db.query(
+        `${DRAWDOWN_SELECT} WHERE d.id = $1 AND d.grant_id = $2 ${forUpdate ? 'FOR UPDATE' : ''}`,
+        [drawdownId, grantId]
+    );
+    if (rows.length === 0) {
+        throw createRequestError('Drawdown not found', null, 404);
+    }
+    const { rows: lines } = await db.query(
+        `SELECT dl.journal_entry_line_id, dl.fund_id, f.code AS fund_code, dl.account_id,
+                a.code AS account_code, a.name AS account_name, dl.amount, dl.indirect_eligible,
+                je.reference_number, to_char(je.entry_date, 'YYYY-MM-DD') AS entry_date, jel.description
+           FROM grant_drawdown_lines dl
+           JOIN funds f ON f.id = dl.fund_id
+           JOIN accounts a ON a.id = dl.account_id
+           JOIN journal_entry_lines jel ON jel.id = dl.journal_entry_line_id
+           JOIN journal_entries je ON je.id = jel.journal_entry_id
+          WHERE dl.drawdown_id = $1
+          ORDER BY je.entry_date, je.reference_number`,
+        [drawdownId]
+    );
+    const { rows: receipts } = await db.query(
+        `SELECT id, to_char(received_date, 'YYYY-MM-DD') AS received_date, amount, journal_entry_id, created_by, created_at
+           FROM grant_drawdown_receipts WHERE drawdown_id = $1 ORDER BY received_date, created_at`,
+        [drawdownId]
+    );
+    return { ...rows[0], lines, receipts };
+}
+
+/**
+ * Record money received against a drawdown and post it: cash against the
+ * grant receivable, split across funds in proportion to the drawdown
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} grantId - grants id
+ * @param {string} drawdownId - grant_drawdowns id
+ * @param {Object} options
+ * @param {string} options.receivedDate - YYYY-MM-DD
+ * @param {number|string} [options.amount] - Default: the outstanding amount
+ * @param {Object|null} options.user - Acting user
+ * @returns {Promise<Object>} The updated drawdown
+ */
+async function recordDrawdownReceipt(client, grantId, drawdownId, { receivedDate, amount, user }) {
+    const date = requireDate(receivedDate, 'received_date');
+    const grant = await getReimbursableGrant(client, grantId);
+    const drawdown = await getDrawdown(client, grantId, drawdownId, { forUpdate: true });
+    if (![DRAWDOWN_STATUS.BILLED, DRAWDOWN_STATUS.PARTIALLY_RECEIVED].includes(drawdown.status)) {
+        throw createRequestError(`Receipts cannot be recorded on a ${drawdown.status} drawdown`, null, 409);
+    }
+    const outstanding = roundAmount(parseFloat(drawdown.total_amount) - parseFloat(drawdown.received_amount));
+    const received = amount === undefined || amount === null || amount === '' ? outstanding : roundAmount(amount);
+    if (!(received > 0) || received > outstanding) {
+        throw createRequestError(`The amount received must be more than zero and at most ${outstanding.toFixed(2)}`);
+    }
+
+    const funds = summarizeByFund(drawdown.lines, parseFloat(drawdown.indirect_rate) || 0)
+        .filter(fund => fund.total_amount > 0);
+    const fundTotal = funds.reduce((total, fund) => total + fund.total_amount, 0);
+    const shares = funds.map(fund => roundAmount(received * fund.total_amount / fundTotal));
+    shares[shares.length - 1] = roundAmount(received - shares.slice(0, -1).reduce((total, share) => total + share, 0));
+
+    const description = `Receipt on drawdown ${drawdown.drawdown_number} for ${grant.name}`;
+    const lines = [];
+    funds.forEach((fund, index) => {
+        lines.push(
+            {
+                account_id: grant.cash_account_id,
+                fund_id: fund.fund_id,
+                debit_amount: shares[index],
+                credit_amount: 0,
+                description
+            },
+            {
+                account_id: grant.receivable_account_id,
+                fund_id: fund.fund_id,
+                debit_amount: 0,
+                credit_amount: shares[index],
+                description
+            }
+        );
+    });
+    const createdBy = user ? user.name : 'System';
+    const entry = await saveJournalEntry(
+        client,
+        {
+            entity_id: grant.entity_id,
+            entry_date: date,
+            reference_number: `GDD-${grantReference(grant)}-${drawdown.drawdown_number}-R${drawdown.receipts.length + 1}`,
+            description,
+            status: JOURNAL_ENTRY_STATUS.POSTED,
+            created_by: createdBy,
+            entry_type: ENTRY_TYPE.STANDARD
+        },
+        lines,
+        null,
+        { user }
+    );
+
+    await client.query(
+        `INSERT INTO grant_drawdown_receipts (drawdown_id, received_date, amount, journal_entry_id, created_by)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [drawdown.id, date, received, entry.id, createdBy]
+    );
+    const totalReceived = roundAmount(parseFloat(drawdown.received_amount) + received);
+    await client.query(
+        `UPDATE grant_drawdowns SET received_amount = $1, status = $2, updated_at = NOW() WHERE id = $3`,
+        [
+            totalReceived,
+            totalReceived >= roundAmount(drawdown.total_amount) ? DRAWDOWN_STATUS.RECEIVED : DRAWDOWN_STATUS.PARTIALLY_RECEIVED,
+            drawdown.id
+        ]
+    );
+    return getDrawdown(client, grantId, drawdownId);
+}
+
+/**
+ * Void a drawdown that has no receipts: reverse its receivable entry and
+ * release its expense lines
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} grantId - grants id
+ * @param {string} drawdownId - grant_drawdowns id
+ * @param {Object} options
+ * @param {string} [options.reversalDate] - YYYY-MM-DD (default today)
+ * @param {Object|null} options.user - Acting user
+ * @returns {Promise<Object>} The voided drawdown
+ */
+async function voidDrawdown(client, grantId, drawdownId, { reversalDate, user }) {
+    const drawdown = await getDrawdown(client, grantId, drawdownId, { forUpdate: true });
+    if (drawdown.status !== DRAWDOWN_STATUS.BILLED) {
+        throw createRequestError(`Only drawdowns with no receipts can be voided (drawdown is ${drawdown.status})`, null, 409);
+    }
+    await reverseJournalEntry(client, drawdown.journal_entry_id, {
+        reversal_date: reversalDate || new Date().toISOString().split('T')[0],
+        description: `Void of drawdown ${drawdown.drawdown_number}`,
+        created_by: user ? user.name : 'System',
+        user
+    });
+    await client.query('DELETE FROM grant_drawdown_lines WHERE drawdown_id = $1', [drawdown.id]);
+    await client.query(
+        'UPDATE grant_drawdowns SET status = $1, updated_at = NOW() WHERE id = $2',
+        [DRAWDOWN_STATUS.VOID, drawdown.id]
+    );
+    return getDrawdown(client, grantId, drawdownId);
+}
+
+/**
+ * Outstanding grant receivables by grantor: drawdowns billed by a date less
+ * what had been received by then
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Entity
+ * @param {string} [options.asOfDate] - YYYY-MM-DD (default today)
+ * @returns {Promise<Object>} { entity, asOfDate, grantors, total }
+ */
+async function getGrantReceivables(db, { entityId, asOfDate }) {
+    if (!entityId) {
+        throw createRequestError('entityId is required');
+    }
+    const date = asOfDate ? requireDate(asOfDate, 'asOfDate') : new Date().toISOString().split('T')[0];
+    const { rows: entities } = await db.query('SELECT id, name FROM entities WHERE id = $1', [entityId]);
+    if (entities.length === 0) {
+        throw createRequestError('Entity not found', null, 404);
+    }
+
+    const { rows } = await db.query(
+        `SELECT g.grantor_name, g.id AS grant_id, g.name AS grant_name, g.grant_number,
+                d.id AS drawdown_id, d.drawdown_number, to_char(d.request_date, 'YYYY-MM-DD') AS request_date,
+                d.total_amount,
+                COALESCE((SELECT SUM(r.amount) FROM grant_drawdown_receipts r
+                           WHERE r.drawdown_id = d.id AND r.received_date <= $2), 0) AS received_amount,
+                $2::date - d.request_date AS days_outstanding
+           FROM grant_drawdowns d
+           JOIN grants g ON g.id = d.grant_id
+          WHERE g.entity_id = $1 AND d.request_date <= $2 AND d.status <> $3
+          ORDER BY g.grantor_name, g.name, d.drawdown_number`,
+        [entityId, date, DRAWDOWN_STATUS.VOID]
+    );
+
+    const grantors = new Map();
+    let total = 0;
+    rows.forEach(row => {
+        const outstanding = roundAmount(parseFloat(row.total_amount) - parseFloat(row.received_amount));
+        if (outstanding === 0) {
+            return;
+        }
+        if (!grantors.has(row.grantor_name)) {
+            grantors.set(row.grantor_name, { grantor_name: row.grantor_name, outstanding: 0, drawdowns: [] });
+        }
+        const grantor = grantors.get(row.grantor_name);
+        grantor.drawdowns.push({
+            grant_id: row.grant_id,
+            grant_name: row.grant_name,
+            grant_number: row.grant_number,
+            drawdown_id: row.drawdown_id,
+            drawdown_number: row.drawdown_number,
+            request_date: row.request_date,
+            total_amount: roundAmount(row.total_amount),
+            received_amount: roundAmount(row.received_amount),
+            outstanding,
+            days_outstanding: row.days_outstanding
+        });
+        grantor.outstanding = roundAmount(grantor.outstanding + outstanding);
+        total += outstanding;
+    });
+    return { entity: entities[0], asOfDate: date, grantors: [...grantors.values()], total: roundAmount(total) };
+}
+
+module.exports = {
+    DRAWDOWN_STATUS,
+    buildDrawdown,
+    createDrawdown,
+    getDrawdown,
+    recordDrawdownReceipt,
+    voidDrawdown,
+    getGrantReceivables
+};
@@ -0,0 +1,671 @@
+/**
+ * grant-service.js
+ *
+ * Grants awarded to an entity. A grant is linked to one or more funds, and
+ * its spending is the expense posted to those funds (year-end closing
+ * entries excluded), compared with the grant's budget by account. Billed
+ * and received amounts come from the grant's payment schedule and, for
+ * cost-reimbursable grants, from its drawdowns (grant-drawdown-service.js).
+ *
+ * The grant status report flags spending over the budget of an account,
+ * expense on accounts without a budget line, spending over the award,
+ * expense dated outside the grant period and overdue reporting deadlines.
+ */
+
+const { createRequestError } = require('./request-error');
+const { ENTRY_TYPE, POSTED_STATUSES } = require('./journal-entry-service');
+const { roundAmount, requireDate, isOptionalDate } = require('./financial-report-service');
+
+const GRANT_STATUS = {
+    ACTIVE: 'Active',
+    CLOSED: 'Closed'
+};
+
+const GRANT_WARNING = {
+    OVER_BUDGET: 'over_budget',
+    UNBUDGETED: 'unbudgeted',
+    OVER_AWARD: 'over_award',
+    BEFORE_START: 'before_start_date',
+    AFTER_END: 'after_end_date',
+    DEADLINE_OVERDUE: 'deadline_overdue'
+};
+
+const GRANT_SELECT = `
+    SELECT g.id, g.entity_id, g.grantor_name, g.grant_number, g.name, g.award_amount,
+           to_char(g.start_date, 'YYYY-MM-DD') AS start_date, to_char(g.end_date, 'YYYY-MM-DD') AS end_date,
+           g.status, g.is_reimbursable, g.indirect_cost_rate,
+           g.receivable_account_id, g.revenue_account_id, g.cash_account_id,
+           g.notes, g.created_at, g.updated_at
+      FROM grants g`;
+
+/**
+ * Validate a grant header. Cost-reimbursable grants need the receivable,
+ * revenue and cash accounts their drawdowns post to.
+ * @param {Object} db - pg pool or client
+ * @param {Object} data - { entity_id, grantor_name, grant_number, name,
+ *   award_amount, start_date, end_date, status, is_reimbursable,
+ *   indirect_cost_rate, receivable_account_id, revenue_account_id,
+ *   cash_account_id, notes }
+ * @returns {Promise<Object>} Normalised grant columns
+ */
+async function normalizeGrant(db, data) {
+    const errors = [];
+    const grant = {
+        entity_id: data.entity_id || null,
+        grantor_name: (data.grantor_name || '').trim(),
+        grant_number: data.grant_number || null,
+        name: (data.name || '').trim(),
+        award_amount: roundAmount(data.award_amount),
+        start_date: data.start_date || null,
+        end_date: data.end_date || null,
+        status: data.status || GRANT_STATUS.ACTIVE,
+        is_reimbursable: data.is_reimbursable === true || data.is_reimbursable === 'true',
+        indirect_cost_rate: data.indirect_cost_rate === undefined || data.indirect_cost_rate === ''
+            ? 0
+            : Number(data.indirect_cost_rate),
+        receivable_account_id: data.receivable_account_id || null,
+        revenue_account_id: data.revenue_account_id || null,
+        cash_account_id: data.cash_account_id || null,
+        notes: data.notes || null
+    };
+    if (!grant.entity_id) {
+        errors.push('entity_id is required');
+    }
+    if (!grant.grantor_name) {
+        errors.push('grantor_name is required');
+    }
+    if (!grant.name) {
+        errors.push('name is required');
+    }
+    if (Number.isNaN(parseFloat(data.award_amount)) || grant.award_amount < 0) {
+        errors.push('award_amount must be zero or more');
+    }
+    if (!grant.start_date || !grant.end_date || !isOptionalDate(grant.start_date) || !isOptionalDate(grant.end_date)) {
+        errors.push('start_date and end_date are required (YYYY-MM-DD)');
+    } else if (grant.start_date > grant.end_date) {
+        errors.push('start_date must not be after end_date');
+    }
+    if (!Object.values(GRANT_STATUS).includes(grant.status)) {
+        errors.push(`Invalid status "${grant.status}"`);
+    }
+    if (!Number.isFinite(grant.indirect_cost_rate) || grant.indirect_cost_rate < 0 || grant.indirect_cost_rate > 100) {
+        errors.push('indirect_cost_rate must be a percentage between 0 and 100');
+    }
+
+    const accountChecks = [
+        ['receivable_account_id', 'receivable account', 'Asset'],
+        ['revenue_account_id', 'revenue account', 'Revenue'],
+        ['cash_account_id', 'cash account', 'Asset']
+    ];
+    const accountIds = accountChecks.map(([column]) => grant[column]).filter(Boolean);
+    const { rows: accounts } = accountIds.length
+        ? await db.query('SELECT id, entity_id, type FROM accounts WHERE id = ANY($1::uuid[])', [accountIds])
+        : { rows: [] };
+    accountChecks.forEach(([column, label, type]) => {
+        const account = accounts.find(a => a.id === grant[column]);
+        if (!grant[column]) {
+            if (grant.is_reimbursable) {
+                errors.push(`A cost-reimbursable grant requires a ${label}`);
+            }
+        } else if (!account || account.entity_id !== grant.entity_id) {
+            errors.push(`The ${label} must belong to the grant's entity`);
+        } else if (account.type !== type) {
+            errors.push(`The ${label} must be of type ${type}`);
+        }
+    });
+
+    if (errors.length) {
+        throw createRequestError('Invalid grant', { errors });
+    }
+    return grant;
+}
+
+/**
+ * Replace a grant's linked funds, budget lines, reporting deadlines and
+ * payment schedule. Only the arrays present in `details` are replaced.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} grant - grants row
+ * @param {Object} details - { fund_ids, budget_lines: [{ account_id, amount,
+ *   indirect_eligible, notes }], deadlines, payments }
+ */
+async function saveGrantDetails(client, grant, details) {
+    const { fund_ids: fundIds, budget_lines: budgetLines, deadlines, payments } = details;
+    const errors = [];
+
+    if (fundIds !== undefined) {
+        if (!Array.isArray(fundIds)) {
+            errors.push('fund_ids must be an array');
+        } else {
+            const { rows: funds } = await client.query(
+                `SELECT f.id, f.code, f.entity_id, gf.grant_id
+                   FROM funds f
+                   LEFT JOIN grant_funds gf ON gf.fund_id = f.id AND gf.grant_id <> $2
+                  WHERE f.id = ANY($1::uuid[])`,
+                [fundIds, grant.id]
+            );
+            const byId = new Map(funds.map(f => [f.id, f]));
+            fundIds.forEach(fundId => {
+                const fund = byId.get(fundId);
+                if (!fund || fund.entity_id !== grant.entity_id) {
+                    errors.push(`Fund ${fundId} is missing or belongs to another entity`);
+                } else if (fund.grant_id) {
+                    errors.push(`Fund ${fund.code} is already linked to another grant`);
+                }
+            });
+        }
+    }
+
+    if (budgetLines !== undefined) {
+        if (!Array.isArray(budgetLines)) {
+            errors.push('budget_lines must be an array');
+        } else {
+            const { rows: accounts } = await client.query(
+                `SELECT id FROM accounts WHERE id = ANY($1::uuid[]) AND entity_id = $2 AND type = 'Expense'`,
+                [budgetLines.map(l => l.account_id).filter(Boolean), grant.entity_id]
+            );
+            const validAccounts = new Set(accounts.map(a => a.id));
+            const seen = new Set();
+            budgetLines.forEach((line, index) => {
+                if (!validAccounts.has(line.account_id)) {
+                    errors.push(`Budget line ${index + 1}: account must be an Expense account of the grant's entity`);
+                } else if (seen.has(line.account_id)) {
+                    errors.push(`Budget line ${index + 1}: account is budgeted twice`);
+                }
+                seen.add(line.account_id);
+                if (Number.isNaN(parseFloat(line.amount))) {
+                    errors.push(`Budget line ${index + 1}: amount must be numeric`);
+                }
+            });
+        }
+    }
+
+    if (deadlines !== undefined) {
+        if (!Array.isArray(deadlines)) {
+            errors.push('deadlines must be an array');
+        } else {
+            deadlines.forEach((deadline, index) => {
+                if (!deadline.description || !deadline.due_date || !isOptionalDate(deadline.due_date)) {
+                    errors.push(`Deadline ${index + 1}: description and due_date (YYYY-MM-DD) are required`);
+                }
+                if (!isOptionalDate(deadline.submitted_date)) {
+                    errors.push(`Deadline ${index + 1}: submitted_date must be YYYY-MM-DD`);
+                }
+            });
+        }
+    }
+
+    if (payments !== undefined) {
+        if (!Array.isArray(payments)) {
+            errors.push('payments must be an array');
+        } else {
+            payments.forEach((payment, index) => {
+                if (!payment.due_date || !isOptionalDate(payment.due_date)) {
+                    errors.push(`Payment ${index + 1}: due_date (YYYY-MM-DD) is required`);
+                }
+                if (Number.isNaN(parseFloat(payment.amount))) {
+                    errors.push(`Payment ${index + 1}: amount must be numeric`);
+                }
+                if (!isOptionalDate(payment.billed_date) || !isOptionalDate(payment.received_date)) {
+                    errors.push(`Payment ${index + 1}: billed_date and received_date must be YYYY-MM-DD`);
+                }
+            });
+        }
+    }
+
+    if (errors.length) {
+        throw createRequestError('Invalid grant details', { errors });
+    }
+
+    if (fundIds !== undefined) {
+        await client.query('DELETE FROM grant_funds WHERE grant_id = $1', [grant.id]);
+        for (const fundId of new Set(fundIds)) {
+            await client.query('INSERT INTO grant_funds (grant_id, fund_id) VALUES ($1, $2)', [grant.id, fundId]);
+        }
+    }
+    if (budgetLines !== undefined) {
+        await client.query('DELETE FROM grant_budget_lines WHERE grant_id = $1', [grant.id]);
+        for (const line of budgetLines) {
+            await client.query(
+                `INSERT INTO grant_budget_lines (grant_id, account_id, amount, indirect_eligible, notes)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [grant.id, line.account_id, roundAmount(line.amount), line.indirect_eligible !== false, line.notes || null]
+            );
+        }
+    }
+    if (deadlines !== undefined) {
+        await client.query('DELETE FROM grant_deadlines WHERE grant_id = $1', [grant.id]);
+        for (const deadline of deadlines) {
+            await client.query(
+                `INSERT INTO grant_deadlines (grant_id, description, due_date, submitted_date, notes)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [grant.id, deadline.description, deadline.due_date, deadline.submitted_date || null, deadline.notes || null]
+            );
+        }
+    }
+    if (payments !== undefined) {
+        await client.query('DELETE FROM grant_payments WHERE grant_id = $1', [grant.id]);
+        for (const payment of payments) {
+            await client.query(
+                `INSERT INTO grant_payments (grant_id, due_date, amount, billed_date, received_date, received_amount, notes)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                [
+                    grant.id,
+                    payment.due_date,
+                    roundAmount(payment.amount),
+                    payment.billed_date || null,
+                    payment.received_date || null,
+                    payment.received_date ? roundAmount(payment.received_amount === undefined ? payment.amount : payment.received_amount) : null,
+                    payment.notes || null
+                ]
+            );
+        }
+    }
+}
+
+/**
+ * Load a grant header
+ * @param {Object} db - pg pool or client
+ * @param {string} grantId - grants id
+ * @returns {Promise<Object>} grants row with dates as YYYY-MM-DD
+ */
+async function getGrantHeader(db, grantId) {
+    const { rows } = await db.query(`${GRANT_SELECT} WHERE g.id = $1`, [grantId]);
+    if (rows.length === 0) {
+        throw createRequestError('Grant not found', null, 404);
+    }
+    return rows[0];
+}
+
+/**
+ * Load a grant with its funds, budget lines, deadlines, payments and drawdowns
+ * @param {Object} db - pg pool or client
+ * @param {string} grantId - grants id
+ * @returns {Promise<Object>}
+ */
+async function getGrant(db, grantId) {
+    const grant = await getGrantHeader(db, grantId);
+    const [funds, budgetLines, deadlines, payments, drawdowns] = await Promise.all([
+        db.query(
+            `SELECT f.id, f.code, f.name, f.type
+               FROM grant_funds gf JOIN funds f ON f.id = gf.fund_id
+              WHERE gf.grant_id = $1 ORDER BY f.code`,
+            [grantId]
+        ),
+        db.query(
+            `SELECT bl.*, a.code AS account_code, a.name AS account_name
+               FROM grant_budget_lines bl JOIN accounts a ON a.id = bl.account_id
+              WHERE bl.grant_id = $1 ORDER BY a.code`,
+            [grantId]
+        ),
+        db.query(
+            `SELECT id, description, to_char(due_date, 'YYYY-MM-DD') AS due_date,
+                    to_char(submitted_date, 'YYYY-MM-DD') AS submitted_date, notes
+               FROM grant_deadlines WHERE grant_id = $1 ORDER BY due_date`,
+            [grantId]
+        ),
+        db.query(
+            `SELECT id, to_char(due_date, 'YYYY-MM-DD') AS due_date, amount,
+                    to_char(billed_date, 'YYYY-MM-DD') AS billed_date,
+                    to_char(received_date, 'YYYY-MM-DD') AS received_date, received_amount, notes
+               FROM grant_payments WHERE grant_id = $1 ORDER BY due_date`,
+            [grantId]
+        ),
+        db.query(
+            `SELECT id, drawdown_number, to_char(period_start, 'YYYY-MM-DD') AS period_start,
+                    to_char(period_end, 'YYYY-MM-DD') AS period_end, to_char(request_date, 'YYYY-MM-DD') AS request_date,
+                    direct_amount, indirect_amount, total_amount, received_amount, status, journal_entry_id
+               FROM grant_drawdowns WHERE grant_id = $1 ORDER BY drawdown_number`,
+            [grantId]
+        )
+    ]);
+    return {
+        ...grant,
+        funds: funds.rows,
+        budget_lines: budgetLines.rows,
+        deadlines: deadlines.rows,
+        payments: payments.rows,
+        drawdowns: drawdowns.rows
+    };
+}
+
+/**
+ * Expense posted to the funds of grants, per grant and account
+ * @param {Object} db - pg pool or client
+ * @param {Array<string>} grantIds - grants ids
+ * @param {string} [asOfDate] - Ledger cut-off (default: everything posted)
+ * @returns {Promise<Array<Object>>} { grant_id, account_id, account_code,
+ *   account_name, spent, spent_before_start, spent_after_end }
+ */
+async function queryGrantSpending(db, grantIds, asOfDate) {
+    const params = [grantIds, POSTED_STATUSES, ENTRY_TYPE.CLOSING];
+    let dateCondition = '';
+    if (asOfDate) {
+        params.push(asOfDate);
+        dateCondition = `AND je.entry_date <= $${params.length}`;
+    }
+    const { rows } = await db.query(
+        `SELECT gf.grant_id, a.id AS account_id, a.code AS account_code, a.name AS account_name,
+                SUM(jel.debit_amount - jel.credit_amount) AS spent,
+                COALESCE(SUM(jel.debit_amount - jel.credit_amount) FILTER (WHERE je.entry_date < g.start_date), 0) AS spent_before_start,
+                COALESCE(SUM(jel.debit_amount - jel.credit_amount) FILTER (WHERE je.entry_date > g.end_date), 0) AS spent_after_end
+           FROM grant_funds gf
+           JOIN grants g ON g.id = gf.grant_id
+           JOIN journal_entry_lines jel ON jel.fund_id = gf.fund_id
+           JOIN journal_entries je ON je.id = jel.journal_entry_id
+           JOIN accounts a ON a.id = jel.account_id
+          WHERE gf.grant_id = ANY($1::uuid[])
+            AND je.status = ANY($2)
+            AND COALESCE(je.entry_type, 'Standard') <> $3
+            AND a.type = 'Expense'
+            ${dateCondition}
+          GROUP BY gf.grant_id, a.id, a.code, a.name
+          ORDER BY a.code`,
+        params
+    );
+    return rows.map(row => ({
+        ...row,
+        spent: roundAmount(row.spent),
+        spent_before_start: roundAmount(row.spent_before_start),
+        spent_after_end: roundAmount(row.spent_after_end)
+    }));
+}
+
+/**
+ * Billed and received amounts of grants from their payment schedules and
+ * drawdowns (void drawdowns excluded)
+ * @param {Object} db - pg pool or client
+ * @param {Array<string>} grantIds - grants ids
+ * @param {string|null} asOfDate - YYYY-MM-DD, or null for everything recorded
+ * @returns {Promise<Map<string, {billed: number, received: number}>>}
+ */
+async function queryGrantCollections(db, grantIds, asOfDate) {
+    const { rows } = await db.query(
+        `SELECT grant_id, COALESCE(SUM(billed), 0) AS billed, COALESCE(SUM(received), 0) AS received
+           FROM (
+               SELECT grant_id,
+                      CASE WHEN billed_date <= COALESCE($2::date, billed_date) THEN amount ELSE 0 END AS billed,
+                      CASE WHEN received_date <= COALESCE($2::date, received_date) THEN received_amount ELSE 0 END AS received
+                 FROM grant_payments
+                WHERE grant_id = ANY($1::uuid[])
+               UNION ALL
+               SELECT grant_id,
+                      CASE WHEN request_date <= COALESCE($2::date, request_date) THEN total_amount ELSE 0 END,
+                      0
+                 FROM grant_drawdowns
+                WHERE grant_id = ANY($1::uuid[]) AND status <> $3
+               UNION ALL
+               SELECT d.grant_id, 0, r.amount
+                 FROM grant_drawdown_receipts r
+                 JOIN grant_drawdowns d ON d.id = r.drawdown_id
+                WHERE d.grant_id = ANY($1::uuid[]) AND d.status <> $3
+                  AND r.received_date <= COALESCE($2::date, r.received_date)
+           ) collections
+          GROUP BY grant_id`,
+        [grantIds, asOfDate, 'Void']
+    );
+    return new Map(rows.map(row => [row.grant_id, {
+        billed: roundAmount(row.billed),
+        received: roundAmount(row.received)
+    }]));
+}
+
+/**
+ * Awarded, billed, received, spent and remaining amounts of a grant, its
+ * budget by account and its warnings
+ * @param {Object} grant - grants row
+ * @param {Object} data - { budgetLines, spending, collections, deadlines, asOfDate }
+ * @returns {Object}
+ */
+function buildGrantStatus(grant, { budgetLines, spending, collections, deadlines, asOfDate }) {
+    const warnings = [];
+    const warn = (code, message, details = {}) => warnings.push({ code, message, ...details });
+
+    const accounts = new Map();
+    budgetLines.forEach(line => {
+        accounts.set(line.account_id, {
+            account_id: line.account_id,
+            account_code: line.account_code,
+            account_name: line.account_name,
+            budget: roundAmount(line.amount),
+            spent: 0
+        });
+    });
+    let spent = 0;
+    let spentBeforeStart = 0;
+    let spentAfterEnd = 0;
+    spending.forEach(row => {
+        if (!accounts.has(row.account_id)) {
+            accounts.set(row.account_id, {
+                account_id: row.account_id,
+                account_code: row.account_code,
+                account_name: row.account_name,
+                budget: null,
+                spent: 0
+            });
+        }
+        accounts.get(row.account_id).spent = row.spent;
+        spent += row.spent;
+        spentBeforeStart += row.spent_before_start;
+        spentAfterEnd += row.spent_after_end;
+    });
+
+    const hasBudget = budgetLines.length > 0;
+    const budget = [...accounts.values()]
+        .sort((a, b) => String(a.account_code).localeCompare(String(b.account_code)))
+        .map(line => {
+            const remaining = line.budget === null ? null : roundAmount(line.budget - line.spent);
+            if (hasBudget && line.budget === null && line.spent > 0) {
+                warn(GRANT_WARNING.UNBUDGETED, `${line.account_code} ${line.account_name} has no budget line`, {
+                    account_id: line.account_id,
+                    amount: line.spent
+                });
+            } else if (remaining !== null && remaining < 0) {
+                warn(GRANT_WARNING.OVER_BUDGET, `${line.account_code} ${line.account_name} is over budget by ${(-remaining).toFixed(2)}`, {
+                    account_id: line.account_id,
+                    amount: -remaining
+                });
+            }
+            return { ...line, remaining, over_budget: remaining !== null && remaining < 0 };
+        });
+
+    spent = roundAmount(spent);
+    const awarded = roundAmount(grant.award_amount);
+    if (spent > awarded) {
+        warn(GRANT_WARNING.OVER_AWARD, `Spending exceeds the award by ${(spent - awarded).toFixed(2)}`, {
+            amount: roundAmount(spent - awarded)
+        });
+    }
+    if (roundAmount(spentBeforeStart) !== 0) {
+        warn(GRANT_WARNING.BEFORE_START, `${roundAmount(spentBeforeStart).toFixed(2)} was spent before the grant start date ${grant.start_date}`, {
+            amount: roundAmount(spentBeforeStart)
+        });
+    }
+    if (roundAmount(spentAfterEnd) !== 0) {
+        warn(GRANT_WARNING.AFTER_END, `${roundAmount(spentAfterEnd).toFixed(2)} was spent after the grant end date ${grant.end_date}`, {
+            amount: roundAmount(spentAfterEnd)
+        });
+    }
+    deadlines
+        .filter(deadline => asOfDate && !deadline.submitted_date && deadline.due_date < asOfDate)
+        .forEach(deadline => {
+            warn(GRANT_WARNING.DEADLINE_OVERDUE, `Report "${deadline.description}" was due ${deadline.due_date}`, {
+                deadline_id: deadline.id
+            });
+        });
+
+    const { billed, received } = collections || { billed: 0, received: 0 };
+    return {
+        grant_id: grant.id,
+        grant_number: grant.grant_number,
+        name: grant.name,
+        grantor_name: grant.grantor_name,
+        start_date: grant.start_date,
+        end_date: grant.end_date,
+        status: grant.status,
+        awarded,
+        billed,
+        received,
+        receivable: roundAmount(billed - received),
+        spent,
+        remaining: roundAmount(awarded - spent),
+        budget,
+        warnings
+    };
+}
+
+/**
+ * Status of several grants as of a date
+ * @param {Object} db - pg pool or client
+ * @param {Array<Object>} grants - grants rows from GRANT_SELECT
+ * @param {string|null} asOfDate - YYYY-MM-DD, or null for everything posted
+ * @returns {Promise<Array<Object>>} buildGrantStatus() results
+ */
+async function getGrantStatuses(db, grants, asOfDate) {
+    const ids = grants.map(g => g.id);
+    const [budgetLines, spending, collections, deadlines] = await Promise.all([
+        db.query(
+            `SELECT bl.grant_id, bl.account_id, bl.amount, a.code AS account_code, a.name AS account_name
+               FROM grant_budget_lines bl JOIN accounts a ON a.id = bl.account_id
+              WHERE bl.grant_id = ANY($1::uuid[])`,
+            [ids]
+        ),
+        queryGrantSpending(db, ids, asOfDate),
+        queryGrantCollections(db, ids, asOfDate),
+        db.query(
+            `SELECT id, grant_id, description, to_char(due_date, 'YYYY-MM-DD') AS due_date,
+                    to_char(submitted_date, 'YYYY-MM-DD') AS submitted_date
+               FROM grant_deadlines WHERE grant_id = ANY($1::uuid[])`,
+            [ids]
+        )
+    ]);
+    return grants.map(grant => buildGrantStatus(grant, {
+        budgetLines: budgetLines.rows.filter(row => row.grant_id === grant.id),
+        spending: spending.filter(row => row.grant_id === grant.id),
+        collections: collections.get(grant.id),
+        deadlines: deadlines.rows.filter(row => row.grant_id === grant.id),
+        asOfDate
+    }));
+}
+
+/**
+ * Status of one grant
+ * @param {Object} db - pg pool or client
+ * @param {string} grantId - grants id
+ * @param {Object} [options]
+ * @param {string} [options.asOfDate] - YYYY-MM-DD (default today)
+ * @returns {Promise<Object>}
+ */
+async function getGrantStatus(db, grantId, { asOfDate } = {}) {
+    const date = asOfDate ? requireDate(asOfDate, 'asOfDate') : new Date().toISOString().split('T')[0];
+    const grant = await getGrantHeader(db, grantId);
+    const [status] = await getGrantStatuses(db, [grant], date);
+    return { asOfDate: date, ...status };
+}
+
+/**
+ * Grant status report: awarded, billed, received, spent and remaining per
+ * grant of an entity, with warnings
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Entity
+ * @param {string} [options.asOfDate] - YYYY-MM-DD (default today)
+ * @param {string} [options.status] - Only grants with this status
+ * @returns {Promise<Object>} { entity, asOfDate, grants, totals }
+ */
+async function getGrantStatusReport(db, { entityId, asOfDate, status }) {
+    if (!entityId) {
+        throw createRequestError('entityId is required');
+    }
+    const date = asOfDate ? requireDate(asOfDate, 'asOfDate') : new Date().toISOString().split('T')[0];
+    const { rows: entities } = await db.query('SELECT id, name FROM entities WHERE id = $1', [entityId]);
+    if (entities.length === 0) {
+        throw createRequestError('Entity not found', null, 404);
+    }
+
+    const params = [entityId];
+    let statusCondition = '';
+    if (status) {
+        params.push(status);
+        statusCondition = `AND g.status = $${params.length}`;
+    }
+    const { rows: grants } = await db.query(
+        `${GRANT_SELECT} WHERE g.entity_id = $1 ${statusCondition} ORDER BY g.grantor_name, g.name`,
+        params
+    );
+    const statuses = grants.length ? await getGrantStatuses(db, grants, date) : [];
+
+    const totals = { awarded: 0, billed: 0, received: 0, receivable: 0, spent: 0, remaining: 0 };
+    statuses.forEach(grant => {
+        Object.keys(totals).forEach(key => {
+            totals[key] += grant[key];
+        });
+    });
+    Object.keys(totals).forEach(key => {
+        totals[key] = roundAmount(totals[key]);
+    });
+    return { entity: entities[0], asOfDate: date, grants: statuses, totals };
+}
+
+/**
+ * Grant warnings raised by a posted entry: budget warnings for the accounts
+ * it charges, and date warnings when it falls outside the grant period
+ * @param {Object} db - pg pool or client
+ * @param {Object} entry - journal_entries row
+ * @returns {Promise<Array<Object>>} Warnings with grant_id and grant_name
+ */
+async function getEntryGrantWarnings(db, entry) {
+    const { rows: lines } = await db.query(
+        `SELECT DISTINCT gf.grant_id, jel.account_id, to_char(je.entry_date, 'YYYY-MM-DD') AS entry_date
+           FROM journal_entry_lines jel
+           JOIN journal_entries je ON je.id = jel.journal_entry_id
+           JOIN grant_funds gf ON gf.fund_id = jel.fund_id
+           JOIN accounts a ON a.id = jel.account_id AND a.type = 'Expense'
+          WHERE jel.journal_entry_id = $1`,
+        [entry.id]
+    );
+    if (lines.length === 0) {
+        return [];
+    }
+    const { rows: grants } = await db.query(
+        `${GRANT_SELECT} WHERE g.id = ANY($1::uuid[])`,
+        [[...new Set(lines.map(l => l.grant_id))]]
+    );
+    const entryDate = lines[0].entry_date;
+    const statuses = await getGrantStatuses(db, grants, null);
+
+    const warnings = [];
+    statuses.forEach(status => {
+        const accountIds = new Set(lines.filter(l => l.grant_id === status.grant_id).map(l => l.account_id));
+        status.warnings
+            .filter(warning => {
+                switch (warning.code) {
+                    case GRANT_WARNING.OVER_BUDGET:
+                    case GRANT_WARNING.UNBUDGETED:
+                        return accountIds.has(warning.account_id);
+                    case GRANT_WARNING.OVER_AWARD:
+                        return true;
+                    case GRANT_WARNING.BEFORE_START:
+                        return entryDate < status.start_date;
+                    case GRANT_WARNING.AFTER_END:
+                        return entryDate > status.end_date;
+                    default:
+                        return false;
+                }
+            })
+            .forEach(warning => warnings.push({ grant_id: status.grant_id, grant_name: status.name, ...warning }));
+    });
+    return warnings;
+}
+
+module.exports = {
+    GRANT_STATUS,
+    GRANT_WARNING,
+    GRANT_SELECT,
+    normalizeGrant,
+    saveGrantDetails,
+    getGrantHeader,
+    getGrant,
+    getGrantStatus,
+    getGrantStatusReport,
+    getEntryGrantWarnings
+};
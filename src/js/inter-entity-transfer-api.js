@@ -2,11 +2,14 @@
  * inter-entity-transfer-api.js
  * 
  * API endpoints to support the inter-entity transfer wizard.
- * This file contains routes for creating journal entry lines,
- * retrieving accounts and funds by entity, and helper functions
- * for validation and error handling.
+ * This file contains routes for retrieving accounts and funds by entity
+ * and for creating both sides of a transfer. Journal entry lines are only
+ * ever written together with their header via journal-entry-service.js.
  */
 
+const { saveJournalEntry } = require('./journal-entry-service');
+const { getRequestUser } = require('./request-user');
+
 /**
  * Register inter-entity transfer API routes
  * @param {Object} app - Express application
@@ -17,72 +20,6 @@ function registerInterEntityTransferRoutes(app, pool) {
         Promise.resolve(fn(req, res, next)).catch(next);
     };
 
-    /**
-     * POST /api/journal-entries/:id/lines
-     * Create a journal entry line
-     */
-    app.post('/api/journal-entries/:id/lines', asyncHandler(async (req, res) => {
-        const { id } = req.params;
-        const { 
-            account_id, 
-            fund_id, 
-            debit_amount, 
-            credit_amount, 
-            description 
-        } = req.body;
-
-        // Validate required fields
-        if (!account_id) {
-            return res.status(400).json({ message: 'Account ID is required' });
-        }
-
-        if (debit_amount === undefined && credit_amount === undefined) {
-            return res.status(400).json({ message: 'Either debit or credit amount is required' });
-        }
-
-        try {
-            // Verify journal entry exists
-            const jeResult = await pool.query(
-                'SELECT entity_id FROM journal_entries WHERE id = $1',
-                [id]
-            );
-
-            if (jeResult.rows.length === 0) {
-                return res.status(404).json({ message: 'Journal entry not found' });
-            }
-
-            const entity_id = jeResult.rows[0].entity_id;
-
-            // Create the journal entry line
-            const { rows } = await pool.query(
-                `INSERT INTO journal_entry_lines 
-                (journal_entry_id, account_id, fund_id, debit_amount, credit_amount, description, entity_id) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7) 
-                RETURNING *`,
-                [
-                    id, 
-                    account_id, 
-                    fund_id, 
-                    parseFloat(debit_amount || 0), 
-                    parseFloat(credit_amount || 0), 
-                    description || '',
-                    entity_id
-                ]
-            );
-
-            // Update journal entry total_amount
-            await updateJournalEntryTotal(pool, id);
-
-            res.status(201).json(rows[0]);
-        } catch (error) {
-            console.error('Error creating journal entry line:', error);
-            res.status(500).json({ 
-                message: 'Failed to create journal entry line', 
-                error: error.message 
-            });
-        }
-    }));
-
     /**
      * GET /api/accounts
      * Get accounts with optional entity filter
@@ -232,32 +169,11 @@ function registerInterEntityTransferRoutes(app, pool) {
         try {
             await client.query('BEGIN');
             
+            const user = await getRequestUser(client, req);
+            
             // Generate a UUID for matching_transaction_id
             const matchingTransactionId = generateUUID();
             
-            // Create source journal entry
-            const sourceJeResult = await client.query(
-                `INSERT INTO journal_entries 
-                (entity_id, entry_date, reference_number, description, total_amount, 
-                status, created_by, is_inter_entity, target_entity_id, matching_transaction_id) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
-                RETURNING *`,
-                [
-                    fromEntityId,
-                    date,
-                    referenceNumber ? `${referenceNumber}-SRC` : `IE-${Date.now()}-SRC`,
-                    description,
-                    parseFloat(amount),
-                    'Posted',
-                    'System',
-                    true,
-                    toEntityId,
-                    matchingTransactionId
-                ]
-            );
-            
-            const sourceJournalEntryId = sourceJeResult.rows[0].id;
-            
             // Find cash account for source entity
             const sourceCashResult = await client.query(
                 `SELECT id FROM accounts 
@@ -274,60 +190,40 @@ function registerInterEntityTransferRoutes(app, pool) {
             
             const sourceCashAccountId = sourceCashResult.rows[0].id;
             
-            // Create source journal entry lines
-            await client.query(
-                `INSERT INTO journal_entry_lines 
-                (journal_entry_id, account_id, fund_id, debit_amount, credit_amount, description, entity_id) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                [
-                    sourceJournalEntryId,
-                    fromDueFromAccountId,
-                    fromFundId,
-                    parseFloat(amount),
-                    0,
-                    `Due from target entity`,
-                    fromEntityId
-                ]
-            );
-            
-            await client.query(
-                `INSERT INTO journal_entry_lines 
-                (journal_entry_id, account_id, fund_id, debit_amount, credit_amount, description, entity_id) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                [
-                    sourceJournalEntryId,
-                    sourceCashAccountId,
-                    fromFundId,
-                    0,
-                    parseFloat(amount),
-                    `Cash transfer to target entity`,
-                    fromEntityId
-                ]
-            );
-            
-            // Create target journal entry
-            const targetJeResult = await client.query(
-                `INSERT INTO journal_entries 
-                (entity_id, entry_date, reference_number, description, total_amount, 
-                status, created_by, is_inter_entity, target_entity_id, matching_transaction_id) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
-                RETURNING *`,
-                [
-                    toEntityId,
-                    date,
-                    referenceNumber ? `${referenceNumber}-TGT` : `IE-${Date.now()}-TGT`,
+            // Create source journal entry with its lines
+            const sourceJournalEntry = await saveJournalEntry(
+                client,
+                {
+                    entity_id: fromEntityId,
+                    entry_date: date,
+                    reference_number: referenceNumber ? `${referenceNumber}-SRC` : `IE-${Date.now()}-SRC`,
                     description,
-                    parseFloat(amount),
-                    'Posted',
-                    'System',
-                    true,
-                    fromEntityId,
-                    matchingTransactionId
-                ]
+                    status: 'Posted',
+                    created_by: 'System',
+                    is_inter_entity: true,
+                    target_entity_id: toEntityId,
+                    matching_transaction_id: matchingTransactionId
+                },
+                [
+                    {
+                        account_id: fromDueFromAccountId,
+                        fund_id: fromFundId,
+                        debit_amount: amount,
+                        credit_amount: 0,
+                        description: `Due from target entity`
+                    },
+                    {
+                        account_id: sourceCashAccountId,
+                        fund_id: fromFundId,
+                        debit_amount: 0,
+                        credit_amount: amount,
+                        description: `Cash transfer to target entity`
+                    }
+                ],
+                null,
+                { user }
             );
             
-            const targetJournalEntryId = targetJeResult.rows[0].id;
-            
             // Find cash account for target entity
             const targetCashResult = await client.query(
                 `SELECT id FROM accounts 
@@ -344,35 +240,38 @@ function registerInterEntityTransferRoutes(app, pool) {
             
             const targetCashAccountId = targetCashResult.rows[0].id;
             
-            // Create target journal entry lines
-            await client.query(
-                `INSERT INTO journal_entry_lines 
-                (journal_entry_id, account_id, fund_id, debit_amount, credit_amount, description, entity_id) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                [
-                    targetJournalEntryId,
-                    targetCashAccountId,
-                    toFundId,
-                    parseFloat(amount),
-                    0,
-                    `Cash received from source entity`,
-                    toEntityId
-                ]
-            );
-            
-            await client.query(
-                `INSERT INTO journal_entry_lines 
-                (journal_entry_id, account_id, fund_id, debit_amount, credit_amount, description, entity_id) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            // Create target journal entry with its lines
+            const targetJournalEntry = await saveJournalEntry(
+                client,
+                {
+                    entity_id: toEntityId,
+                    entry_date: date,
+                    reference_number: referenceNumber ? `${referenceNumber}-TGT` : `IE-${Date.now()}-TGT`,
+                    description,
+                    status: 'Posted',
+                    created_by: 'System',
+                    is_inter_entity: true,
+                    target_entity_id: fromEntityId,
+                    matching_transaction_id: matchingTransactionId
+                },
                 [
-                    targetJournalEntryId,
-                    toDueToAccountId,
-                    toFundId,
-                    0,
-                    parseFloat(amount),
-                    `Due to source entity`,
-                    toEntityId
-                ]
+                    {
+                        account_id: targetCashAccountId,
+                        fund_id: toFundId,
+                        debit_amount: amount,
+                        credit_amount: 0,
+                        description: `Cash received from source entity`
+                    },
+                    {
+                        account_id: toDueToAccountId,
+                        fund_id: toFundId,
+                        debit_amount: 0,
+                        credit_amount: amount,
+                        description: `Due to source entity`
+                    }
+                ],
+                null,
+                { user }
             );
             
             await client.query('COMMIT');
@@ -380,16 +279,17 @@ function registerInterEntityTransferRoutes(app, pool) {
             res.status(201).json({
                 success: true,
                 matchingTransactionId,
-                sourceJournalEntry: sourceJeResult.rows[0],
-                targetJournalEntry: targetJeResult.rows[0]
+                sourceJournalEntry,
+                targetJournalEntry
             });
             
         } catch (error) {
             await client.query('ROLLBACK');
             console.error('Error creating inter-entity transfer:', error);
-            res.status(500).json({ 
+            res.status(error.status || 500).json({ 
                 message: 'Failed to create inter-entity transfer', 
-                error: error.message 
+                error: error.message,
+                details: error.details
             });
         } finally {
             client.release();
@@ -464,40 +364,6 @@ function registerInterEntityTransferRoutes(app, pool) {
     }));
 }
 
-/**
- * Update journal entry total amount based on sum of lines
- * @param {Object} pool - PostgreSQL connection pool
- * @param {string} journalEntryId - Journal entry ID
- */
-async function updateJournalEntryTotal(pool, journalEntryId) {
-    try {
-        // Calculate total from lines
-        const totalResult = await pool.query(
-            `SELECT 
-                COALESCE(SUM(debit_amount), 0) as total_debits,
-                COALESCE(SUM(credit_amount), 0) as total_credits
-            FROM journal_entry_lines
-            WHERE journal_entry_id = $1`,
-            [journalEntryId]
-        );
-        
-        const totalDebits = parseFloat(totalResult.rows[0].total_debits);
-        const totalCredits = parseFloat(totalResult.rows[0].total_credits);
-        
-        // Use the larger of debits or credits as the total amount
-        const totalAmount = Math.max(totalDebits, totalCredits);
-        
-        // Update journal entry
-        await pool.query(
-            'UPDATE journal_entries SET total_amount = $1 WHERE id = $2',
-            [totalAmount, journalEntryId]
-        );
-    } catch (error) {
-        console.error('Error updating journal entry total:', error);
-        throw error;
-    }
-}
-
 /**
  * Generate a UUID
  * @returns {string} UUID
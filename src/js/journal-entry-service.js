@@ -0,0 +1,523 @@
+/**
+ * journal-entry-service.js
+ *
+ * Server-side helpers for writing journal entries.
+ * Every route that creates or replaces journal entry lines goes through
+ * saveJournalEntry() so that the balancing and entity-ownership rules are
+ * enforced in a single place, inside the caller's database transaction.
+ *
+ * Journal entries move through Draft -> Pending Approval -> Posted -> Reversed.
+ * Only Draft and Pending Approval entries may be edited. A posted entry is
+ * never changed or deleted; it is corrected by reverseJournalEntry(), which
+ * writes a linked, dated reversing entry.
+ */
+
+const { createRequestError } = require('./request-error');
+const { assertPeriodAllowsPosting, findFiscalPeriod } = require('./fiscal-period-service');
+const { normalizeClassification, checkClassificationEntity } = require('./functional-expense-service');
+
+const JOURNAL_ENTRY_STATUS = {
+    DRAFT: 'Draft',
+    PENDING_APPROVAL: 'Pending Approval',
+    POSTED: 'Posted',
+    REVERSED: 'Reversed'
+};
+
+// Year-end closing entries (and their reversals) are tagged so that
+// activity reports can leave them out; release entries reclassify net assets
+// from with to without donor restrictions and are reported on their own line
+const ENTRY_TYPE = {
+    STANDARD: 'Standard',
+    CLOSING: 'Closing',
+    RELEASE: 'Release'
+};
+
+// Statuses whose lines are part of the general ledger
+const POSTED_STATUSES = [JOURNAL_ENTRY_STATUS.POSTED, JOURNAL_ENTRY_STATUS.REVERSED];
+
+// Statuses a journal entry may still be edited (or deleted) in
+const EDITABLE_STATUSES = [JOURNAL_ENTRY_STATUS.DRAFT, JOURNAL_ENTRY_STATUS.PENDING_APPROVAL];
+
+/**
+ * Convert a user-supplied amount to integer cents
+ * @param {*} value - Amount as number or numeric string
+ * @returns {number} Amount in cents (NaN if not numeric)
+ */
+function toCents(value) {
+    if (value === undefined || value === null || value === '') {
+        return 0;
+    }
+    return Math.round(parseFloat(value) * 100);
+}
+
+/**
+ * Validate and normalise journal entry lines
+ * @param {Array} lines - Lines as received from the client
+ * @returns {Array} Normalised lines with numeric amounts and line numbers
+ */
+function normalizeLines(lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw createRequestError('A journal entry requires at least two lines');
+    }
+
+    const errors = [];
+    const normalized = lines.map((line, index) => {
+        const lineNumber = index + 1;
+        const debitCents = toCents(line.debit_amount);
+        const creditCents = toCents(line.credit_amount);
+
+        if (!line.account_id) {
+            errors.push(`Line ${lineNumber}: account is required`);
+        }
+        if (Number.isNaN(debitCents) || Number.isNaN(creditCents)) {
+            errors.push(`Line ${lineNumber}: amounts must be numeric`);
+        } else if (debitCents < 0 || creditCents < 0) {
+            errors.push(`Line ${lineNumber}: amounts cannot be negative`);
+        } else if (debitCents > 0 && creditCents > 0) {
+            errors.push(`Line ${lineNumber}: a line cannot have both a debit and a credit`);
+        } else if (debitCents === 0 && creditCents === 0) {
+            errors.push(`Line ${lineNumber}: a debit or credit amount is required`);
+        }
+
+        return {
+            account_id: line.account_id,
+            fund_id: line.fund_id || null,
+            ...normalizeClassification(line, `Line ${lineNumber}`, errors),
+            description: line.description || '',
+            debit_cents: debitCents,
+            credit_cents: creditCents,
+            line_number: lineNumber
+        };
+    });
+
+    if (normalized.length < 2) {
+        errors.push('A journal entry requires at least two lines');
+    }
+
+    if (errors.length) {
+        throw createRequestError('Invalid journal entry lines', { errors });
+    }
+
+    return normalized;
+}
+
+/**
+ * Sum normalised lines and reject the entry unless debits equal credits
+ * @param {Array} lines - Lines returned by normalizeLines()
+ * @returns {{totalDebits: number, totalCredits: number}} Totals in dollars
+ */
+function assertBalanced(lines) {
+    const debitCents = lines.reduce((sum, l) => sum + l.debit_cents, 0);
+    const creditCents = lines.reduce((sum, l) => sum + l.credit_cents, 0);
+
+    if (debitCents !== creditCents) {
+        throw createRequestError('Journal entry is not balanced: total debits must equal total credits', {
+            totalDebits: debitCents / 100,
+            totalCredits: creditCents / 100,
+            difference: (debitCents - creditCents) / 100
+        });
+    }
+
+    return { totalDebits: debitCents / 100, totalCredits: creditCents / 100 };
+}
+
+/**
+ * Ensure every account, fund, program and allocation rule referenced by the
+ * lines belongs to the entity
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} entityId - The journal entry's entity
+ * @param {Array} lines - Normalised lines
+ */
+async function assertLinesBelongToEntity(client, entityId, lines) {
+    const accountIds = [...new Set(lines.map(l => l.account_id))];
+    const fundIds = [...new Set(lines.map(l => l.fund_id).filter(Boolean))];
+    const errors = [];
+
+    const { rows: accounts } = await client.query(
+        'SELECT id FROM accounts WHERE id = ANY($1::uuid[]) AND entity_id = $2',
+        [accountIds, entityId]
+    );
+    const validAccounts = new Set(accounts.map(a => a.id));
+    accountIds
+        .filter(id => !validAccounts.has(id))
+        .forEach(id => errors.push(`Account ${id} does not belong to the journal entry's entity`));
+
+    if (fundIds.length) {
+        const { rows: funds } = await client.query(
+            'SELECT id FROM funds WHERE id = ANY($1::uuid[]) AND entity_id = $2',
+            [fundIds, entityId]
+        );
+        const validFunds = new Set(funds.map(f => f.id));
+        fundIds
+            .filter(id => !validFunds.has(id))
+            .forEach(id => errors.push(`Fund ${id} does not belong to the journal entry's entity`));
+    }
+
+    await checkClassificationEntity(client, entityId, lines, errors);
+
+    if (errors.length) {
+        throw createRequestError('Journal entry lines reference another entity', { errors });
+    }
+}
+
+/**
+ * Reject a status change that the workflow does not allow
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ */
+function assertStatusTransition(from, to) {
+    const allowed = {
+        [JOURNAL_ENTRY_STATUS.DRAFT]: [JOURNAL_ENTRY_STATUS.DRAFT, JOURNAL_ENTRY_STATUS.PENDING_APPROVAL],
+        [JOURNAL_ENTRY_STATUS.PENDING_APPROVAL]: [
+            JOURNAL_ENTRY_STATUS.DRAFT,
+            JOURNAL_ENTRY_STATUS.PENDING_APPROVAL,
+            JOURNAL_ENTRY_STATUS.POSTED
+        ],
+        [JOURNAL_ENTRY_STATUS.POSTED]: [JOURNAL_ENTRY_STATUS.REVERSED],
+        [JOURNAL_ENTRY_STATUS.REVERSED]: []
+    };
+
+    if (!(allowed[from] || []).includes(to)) {
+        throw createRequestError(`Cannot change a journal entry from ${from} to ${to}`, { from, to }, 409);
+    }
+}
+
+/**
+ * Reject statuses that can only be reached through the workflow endpoints
+ * @param {string} [status] - Requested status
+ */
+function assertEditableStatus(status) {
+    if (status && !EDITABLE_STATUSES.includes(status)) {
+        throw createRequestError(
+            `Status "${status}" cannot be set directly; use the submit, post or reverse endpoints`
+        );
+    }
+}
+
+/**
+ * Load a journal entry and lock it for the rest of the transaction
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} entryId - Journal entry id
+ * @returns {Promise<Object>} Journal entry row
+ */
+async function lockJournalEntry(client, entryId) {
+    const { rows } = await client.query(
+        'SELECT * FROM journal_entries WHERE id = $1 FOR UPDATE',
+        [entryId]
+    );
+    if (rows.length === 0) {
+        throw createRequestError('Journal entry not found', null, 404);
+    }
+    return rows[0];
+}
+
+/**
+ * Load the lines of a journal entry in entry order
+ * @param {Object} client - pg client
+ * @param {string} entryId - Journal entry id
+ * @returns {Promise<Array>} Journal entry line rows
+ */
+async function getJournalEntryLines(client, entryId) {
+    const { rows } = await client.query(
+        `SELECT * FROM journal_entry_lines
+          WHERE journal_entry_id = $1
+          ORDER BY line_number, created_at`,
+        [entryId]
+    );
+    return rows;
+}
+
+/**
+ * Create or update a journal entry together with all of its lines.
+ * The caller owns the transaction (BEGIN/COMMIT/ROLLBACK) so that several
+ * entries can be written atomically.
+ *
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} header - Journal entry header fields
+ * @param {Array} lines - Journal entry lines
+ * @param {string} [entryId] - Existing entry to replace; omitted to insert
+ * @param {Object} [options]
+ * @param {Object} [options.user] - Acting user, checked when saving as Posted
+ * @param {boolean} [options.allowClosedPeriods] - Let system entries (year-end
+ *   closing) post into Soft Closed / Closed periods; Locked periods still reject
+ * @returns {Promise<Object>} Saved journal entry row with a `lines` array
+ */
+async function saveJournalEntry(client, header, lines, entryId = null, options = {}) {
+    if (!header.entity_id) {
+        throw createRequestError('entity_id is required');
+    }
+    if (!header.entry_date) {
+        throw createRequestError('entry_date is required');
+    }
+
+    const normalized = normalizeLines(lines);
+    const { totalDebits, totalCredits } = assertBalanced(normalized);
+    await assertLinesBelongToEntity(client, header.entity_id, normalized);
+
+    const period = header.status === JOURNAL_ENTRY_STATUS.POSTED
+        ? await assertPeriodAllowsPosting(client, header.entity_id, header.entry_date, options.user, {
+            allowClosedPeriods: options.allowClosedPeriods
+        })
+        : await findFiscalPeriod(client, header.entity_id, header.entry_date);
+    const fiscalYearId = period ? period.fiscal_year_id : null;
+
+    let entry;
+    if (entryId) {
+        const existing = await lockJournalEntry(client, entryId);
+        if (!EDITABLE_STATUSES.includes(existing.status)) {
+            throw createRequestError(
+                `${existing.status} journal entries cannot be changed; reverse the entry instead`,
+                null,
+                409
+            );
+        }
+        assertStatusTransition(existing.status, header.status || existing.status);
+
+        const { rows } = await client.query(
+            `UPDATE journal_entries
+                SET entry_date = $1, reference_number = $2, description = $3,
+                    total_amount = $4, total_debits = $4, total_credits = $5,
+                    status = $6, is_inter_entity = $7, target_entity_id = $8,
+                    fiscal_year_id = $10, entry_type = COALESCE($11, entry_type), updated_at = NOW()
+              WHERE id = $9
+              RETURNING *`,
+            [
+                header.entry_date,
+                header.reference_number,
+                header.description,
+                totalDebits,
+                totalCredits,
+                header.status || existing.status,
+                header.is_inter_entity || false,
+                header.target_entity_id || null,
+                entryId,
+                fiscalYearId,
+                header.entry_type || null
+            ]
+        );
+        if (rows.length === 0) {
+            throw createRequestError('Journal entry not found', null, 404);
+        }
+        entry = rows[0];
+        await client.query('DELETE FROM journal_entry_lines WHERE journal_entry_id = $1', [entryId]);
+    } else {
+        const { rows } = await client.query(
+            `INSERT INTO journal_entries
+                (entity_id, entry_date, reference_number, description, total_amount,
+                 total_debits, total_credits, status, created_by, is_inter_entity,
+                 target_entity_id, matching_transaction_id, reversal_of_id, reentry_of_id,
+                 fiscal_year_id, entry_type, posted_at, posted_by)
+             VALUES ($1, $2, $3, $4, $5, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+                     CASE WHEN $7 = 'Posted' THEN NOW() END, CASE WHEN $7 = 'Posted' THEN $8 END)
+             RETURNING *`,
+            [
+                header.entity_id,
+                header.entry_date,
+                header.reference_number,
+                header.description,
+                totalDebits,
+                totalCredits,
+                header.status || 'Draft',
+                header.created_by,
+                header.is_inter_entity || false,
+                header.target_entity_id || null,
+                header.matching_transaction_id || null,
+                header.reversal_of_id || null,
+                header.reentry_of_id || null,
+                fiscalYearId,
+                header.entry_type || ENTRY_TYPE.STANDARD
+            ]
+        );
+        entry = rows[0];
+    }
+
+    entry.lines = [];
+    for (const line of normalized) {
+        const { rows } = await client.query(
+            `INSERT INTO journal_entry_lines
+                (journal_entry_id, account_id, fund_id, debit_amount, credit_amount, description, line_number,
+                 functional_class, program_id, allocation_rule_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING *`,
+            [
+                entry.id,
+                line.account_id,
+                line.fund_id,
+                line.debit_cents / 100,
+                line.credit_cents / 100,
+                line.description,
+                line.line_number,
+                line.functional_class,
+                line.program_id,
+                line.allocation_rule_id
+            ]
+        );
+        entry.lines.push(rows[0]);
+    }
+
+    return entry;
+}
+
+/**
+ * Move a Draft entry to Pending Approval
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} entryId - Journal entry id
+ * @returns {Promise<Object>} Updated journal entry row
+ */
+async function submitJournalEntry(client, entryId) {
+    const entry = await lockJournalEntry(client, entryId);
+    if (entry.status !== JOURNAL_ENTRY_STATUS.DRAFT) {
+        throw createRequestError(`Only Draft journal entries can be submitted (entry is ${entry.status})`, null, 409);
+    }
+
+    const { rows } = await client.query(
+        `UPDATE journal_entries SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+        [JOURNAL_ENTRY_STATUS.PENDING_APPROVAL, entryId]
+    );
+    return rows[0];
+}
+
+/**
+ * Approve and post a Pending Approval entry. The stored lines are
+ * re-checked so that nothing unbalanced reaches the ledger.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} entryId - Journal entry id
+ * @param {string} [postedBy] - Name of the user posting the entry
+ * @param {Object} [user] - Acting user, checked against the period status
+ * @returns {Promise<Object>} Posted journal entry row
+ */
+async function postJournalEntry(client, entryId, postedBy, user = null) {
+    const entry = await lockJournalEntry(client, entryId);
+    if (entry.status !== JOURNAL_ENTRY_STATUS.PENDING_APPROVAL) {
+        throw createRequestError(
+            `Only journal entries pending approval can be posted (entry is ${entry.status})`,
+            null,
+            409
+        );
+    }
+
+    const lines = normalizeLines(await getJournalEntryLines(client, entryId));
+    assertBalanced(lines);
+    await assertPeriodAllowsPosting(client, entry.entity_id, entry.entry_date, user);
+
+    const { rows } = await client.query(
+        `UPDATE journal_entries
+            SET status = $1, posted_at = NOW(), posted_by = $2, updated_at = NOW()
+          WHERE id = $3
+          RETURNING *`,
+        [JOURNAL_ENTRY_STATUS.POSTED, postedBy || null, entryId]
+    );
+    return rows[0];
+}
+
+/**
+ * Reverse a posted entry. A new posted entry with every debit and credit
+ * swapped is dated `reversal_date`, linked through reversal_of_id, and the
+ * original is marked Reversed. With `reenter` a Draft copy of the original
+ * (or of the supplied `lines`) is created for correction.
+ *
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} entryId - Posted journal entry id
+ * @param {Object} [options]
+ * @param {string} [options.reversal_date] - Date of the reversing entry (default today)
+ * @param {string} [options.description] - Reason for the reversal
+ * @param {string} [options.created_by] - User performing the reversal
+ * @param {boolean} [options.reenter] - Also create a Draft re-entry
+ * @param {Array} [options.lines] - Corrected lines for the re-entry
+ * @param {string} [options.entry_date] - Date of the re-entry (default original date)
+ * @param {Object} [options.user] - Acting user, checked against the reversal period
+ * @param {boolean} [options.allowClosedPeriods] - See saveJournalEntry()
+ * @returns {Promise<{original: Object, reversal: Object, reentry: (Object|null)}>}
+ */
+async function reverseJournalEntry(client, entryId, options = {}) {
+    const original = await lockJournalEntry(client, entryId);
+    assertStatusTransition(original.status, JOURNAL_ENTRY_STATUS.REVERSED);
+
+    const reversalDate = options.reversal_date || new Date().toISOString().split('T')[0];
+    const { rows: [dateCheck] } = await client.query(
+        'SELECT $1::date < entry_date AS is_before FROM journal_entries WHERE id = $2',
+        [reversalDate, original.id]
+    );
+    if (dateCheck.is_before) {
+        throw createRequestError('The reversal date cannot be before the original entry date');
+    }
+
+    const originalLines = await getJournalEntryLines(client, entryId);
+    const reference = original.reference_number;
+
+    const reversal = await saveJournalEntry(
+        client,
+        {
+            entity_id: original.entity_id,
+            entry_date: reversalDate,
+            reference_number: reference ? `${reference}-REV` : null,
+            description: options.description || `Reversal of ${reference || original.id}`,
+            status: JOURNAL_ENTRY_STATUS.POSTED,
+            created_by: options.created_by,
+            is_inter_entity: original.is_inter_entity,
+            target_entity_id: original.target_entity_id,
+            reversal_of_id: original.id,
+            entry_type: original.entry_type
+        },
+        originalLines.map(line => ({
+            account_id: line.account_id,
+            fund_id: line.fund_id,
+            functional_class: line.functional_class,
+            program_id: line.program_id,
+            allocation_rule_id: line.allocation_rule_id,
+            debit_amount: line.credit_amount,
+            credit_amount: line.debit_amount,
+            description: line.description
+        })),
+        null,
+        { user: options.user, allowClosedPeriods: options.allowClosedPeriods }
+    );
+
+    const { rows } = await client.query(
+        `UPDATE journal_entries
+            SET status = $1, reversed_by_id = $2, reversed_at = NOW(), updated_at = NOW()
+          WHERE id = $3
+          RETURNING *`,
+        [JOURNAL_ENTRY_STATUS.REVERSED, reversal.id, original.id]
+    );
+
+    let reentry = null;
+    if (options.reenter) {
+        reentry = await saveJournalEntry(
+            client,
+            {
+                entity_id: original.entity_id,
+                entry_date: options.entry_date || original.entry_date,
+                reference_number: reference ? `${reference}-R` : null,
+                description: original.description,
+                status: JOURNAL_ENTRY_STATUS.DRAFT,
+                created_by: options.created_by,
+                is_inter_entity: original.is_inter_entity,
+                target_entity_id: original.target_entity_id,
+                reentry_of_id: original.id
+            },
+            Array.isArray(options.lines) ? options.lines : originalLines
+        );
+    }
+
+    return { original: rows[0], reversal, reentry };
+}
+
+module.exports = {
+    JOURNAL_ENTRY_STATUS,
+    ENTRY_TYPE,
+    POSTED_STATUSES,
+    EDITABLE_STATUSES,
+    createRequestError,
+    normalizeLines,
+    assertBalanced,
+    assertLinesBelongToEntity,
+    assertStatusTransition,
+    assertEditableStatus,
+    lockJournalEntry,
+    getJournalEntryLines,
+    saveJournalEntry,
+    submitJournalEntry,
+    postJournalEntry,
+    reverseJournalEntry
+};
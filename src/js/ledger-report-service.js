@@ -0,0 +1,364 @@
+/**
+ * ledger-report-service.js
+ *
+ * Account-level ledger reports: the trial balance and the general ledger
+ * detail it drills into. Both read posted lines for the same report scope as
+ * the financial statements (see financial-report-service.js) and can be
+ * narrowed to one fund. Balances are signed debit minus credit.
+ */
+
+const { createRequestError } = require('./request-error');
+const {
+    roundAmount,
+    requireDate,
+    resolveReportScope,
+    buildLedgerFilter
+} = require('./financial-report-service');
+
+/**
+ * Default start of the reporting period for an as-of date: the first day of
+ * the entity's fiscal year containing it, else January 1 of that year
+ * @param {Object} db - pg pool or client
+ * @param {string} entityId - Reporting entity
+ * @param {string} asOfDate - YYYY-MM-DD
+ * @returns {Promise<string>} YYYY-MM-DD
+ */
+async function getDefaultStartDate(db, entityId, asOfDate) {
+    const { rows } = await db.query(
+        `SELECT to_char(start_date, 'YYYY-MM-DD') AS start_date
+           FROM fiscal_years
+          WHERE entity_id = $1 AND $2::date BETWEEN start_date AND end_date
+          LIMIT 1`,
+        [entityId, asOfDate]
+    );
+    return rows.length ? rows[0].start_date : `${asOfDate.slice(0, 4)}-01-01`;
+}
+
+/**
+ * Resolve the common filters of the ledger reports
+ * @param {Object} db - pg pool or client
+ * @param {Object} options - { entityId, consolidated, fundId, startDate, asOfDate | endDate }
+ * @returns {Promise<{scope: Object, startDate: string, endDate: string, fundId: string|null}>}
+ */
+async function resolveLedgerOptions(db, options) {
+    const endDate = requireDate(options.asOfDate || options.endDate, 'asOfDate');
+    const scope = await resolveReportScope(db, options);
+    const startDate = options.startDate
+        ? requireDate(options.startDate, 'startDate')
+        : await getDefaultStartDate(db, scope.entity.id, endDate);
+    if (startDate > endDate) {
+        throw createRequestError('startDate must not be after the as-of date');
+    }
+    return { scope, startDate, endDate, fundId: options.fundId || null };
+}
+
+/**
+ * Ledger filter for a scope plus the optional fund
+ * @param {Object} scope - Result of resolveReportScope()
+ * @param {Array} params - Query parameters; values are appended
+ * @param {string|null} fundId - Only lines of this fund
+ * @returns {string} SQL conditions (aliases `je` and `jel`)
+ */
+function buildLineFilter(scope, params, fundId) {
+    let filter = buildLedgerFilter(scope, params);
+    if (fundId) {
+        params.push(fundId);
+        filter += `\n            AND jel.fund_id = $${params.length}`;
+    }
+    return filter;
+}
+
+/**
+ * Trial balance as of a date: opening balance, period debits and credits and
+ * ending balance per account
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Reporting entity
+ * @param {boolean} [options.consolidated] - Consolidate the entity's hierarchy
+ * @param {string} options.asOfDate - YYYY-MM-DD
+ * @param {string} [options.startDate] - Start of the period (defaults to the fiscal year start)
+ * @param {string} [options.fundId] - Only lines of this fund
+ * @returns {Promise<Object>} { accounts, totals, isBalanced, ... }
+ */
+async function getTrialBalance(db, options) {
+    const { scope, startDate, endDate, fundId } = await resolveLedgerOptions(db, options);
+
+    const params = [startDate, endDate];
+    const filter = buildLineFilter(scope, params, fundId);
+
+    const { rows } = await db.query(
+        `SELECT a.id AS account_id, a.code, a.name, a.type,
+                SUM(CASE WHEN je.entry_date < $1 THEN jel.debit_amount - jel.credit_amount ELSE 0 END) AS opening_balance,
+                SUM(CASE WHEN je.entry_date >= $1 THEN jel.debit_amount ELSE 0 END) AS period_debits,
+                SUM(CASE WHEN je.entry_date >= $1 THEN jel.credit_amount ELSE 0 END) AS period_credits
+           FROM journal_entry_lines jel
+           JOIN journal_entries je ON je.id = jel.journal_entry_id
+           JOIN accounts a ON a.id = jel.account_id
+          WHERE je.entry_date <= $2
+            AND ${filter}
+          GROUP BY a.id, a.code, a.name, a.type
+          ORDER BY a.code`,
+        params
+    );
+
+    const totals = {
+        opening_balance: 0,
+        period_debits: 0,
+        period_credits: 0,
+        ending_debit: 0,
+        ending_credit: 0
+    };
+    const accounts = rows
+        .map(row => {
+            const opening = roundAmount(row.opening_balance);
+            const debits = roundAmount(row.period_debits);
+            const credits = roundAmount(row.period_credits);
+            const ending = roundAmount(opening + debits - credits);
+            return {
+                account_id: row.account_id,
+                code: row.code,
+                name: row.name,
+                type: row.type,
+                opening_balance: opening,
+                period_debits: debits,
+                period_credits: credits,
+                ending_balance: ending,
+                ending_debit: ending > 0 ? ending : 0,
+                ending_credit: ending < 0 ? -ending : 0
+            };
+        })
+        .filter(a => a.opening_balance !== 0 || a.period_debits !== 0 || a.period_credits !== 0);
+
+    accounts.forEach(a => {
+        Object.keys(totals).forEach(key => {
+            totals[key] += a[key];
+        });
+    });
+    Object.keys(totals).forEach(key => {
+        totals[key] = roundAmount(totals[key]);
+    });
+
+    return {
+        entity: scope.entity,
+        consolidated: scope.consolidated,
+        entityIds: scope.entityIds,
+        fundId,
+        startDate,
+        asOfDate: endDate,
+        accounts,
+        totals,
+        isBalanced: totals.period_debits === totals.period_credits &&
+            totals.ending_debit === totals.ending_credit
+    };
+}
+
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 5000;
+
+/**
+ * Parse a positive integer query option
+ * @param {*} value - Raw value
+ * @param {string} name - Option name for the error message
+ * @param {number} fallback - Used when the value is missing
+ * @returns {number}
+ */
+function positiveInteger(value, name, fallback) {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw createRequestError(`${name} must be a positive integer`);
+    }
+    return number;
+}
+
+/**
+ * General ledger detail: posted lines grouped by account (and optionally by
+ * fund within each account), each group with its opening balance and every
+ * line of the period with a running balance. Lines are paged in report order;
+ * running balances are computed over the whole group, so every page starts
+ * from the right balance.
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Reporting entity
+ * @param {boolean} [options.consolidated] - Consolidate the entity's hierarchy
+ * @param {string} options.endDate - YYYY-MM-DD (asOfDate is accepted too)
+ * @param {string} [options.startDate] - Defaults to the fiscal year start
+ * @param {string} [options.accountId] - Only this account
+ * @param {string} [options.accountFrom] - Lowest account code to include
+ * @param {string} [options.accountTo] - Highest account code to include
+ * @param {string} [options.fundId] - Only lines of this fund
+ * @param {boolean} [options.groupByFund] - Sub-group each account by fund
+ * @param {number} [options.page] - 1-based page number
+ * @param {number} [options.pageSize] - Lines per page (default 500, max 5000)
+ * @returns {Promise<Object>} { groups, totals, page, pageSize, totalLines, totalPages, ... }
+ */
+async function getGeneralLedger(db, options) {
+    const { scope, startDate, endDate, fundId } = await resolveLedgerOptions(db, options);
+    const groupByFund = options.groupByFund === true;
+    const page = positiveInteger(options.page, 'page', 1);
+    const pageSize = Math.min(positiveInteger(options.pageSize, 'pageSize', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+    if (options.accountFrom && options.accountTo && options.accountFrom > options.accountTo) {
+        throw createRequestError('accountFrom must not be after accountTo');
+    }
+
+    const params = [startDate, endDate];
+    const conditions = [buildLineFilter(scope, params, fundId)];
+    if (options.accountId) {
+        params.push(options.accountId);
+        conditions.push(`a.id = $${params.length}`);
+    }
+    if (options.accountFrom) {
+        params.push(options.accountFrom);
+        conditions.push(`a.code >= $${params.length}`);
+    }
+    if (options.accountTo) {
+        params.push(options.accountTo);
+        conditions.push(`a.code <= $${params.length}`);
+    }
+
+    // Posted lines through the end date, tagged with their group
+    const ledgerLines = `
+        ledger_lines AS (
+            SELECT jel.id, jel.account_id, jel.line_number, jel.description,
+                   jel.debit_amount, jel.credit_amount, jel.fund_id,
+                   ${groupByFund ? 'jel.fund_id' : 'NULL::uuid'} AS group_fund_id,
+                   je.id AS journal_entry_id, je.entry_date, je.created_at,
+                   je.reference_number, je.description AS entry_description,
+                   a.code AS account_code
+              FROM journal_entry_lines jel
+              JOIN journal_entries je ON je.id = jel.journal_entry_id
+              JOIN accounts a ON a.id = jel.account_id
+             WHERE je.entry_date <= $2
+               AND ${conditions.join('\n               AND ')}
+        )`;
+
+    const { rows: groupRows } = await db.query(
+        `WITH ${ledgerLines}
+         SELECT l.account_id, a.code, a.name, a.type,
+                l.group_fund_id AS fund_id, f.code AS fund_code, f.name AS fund_name,
+                SUM(CASE WHEN l.entry_date < $1 THEN l.debit_amount - l.credit_amount ELSE 0 END) AS opening_balance,
+                SUM(CASE WHEN l.entry_date >= $1 THEN l.debit_amount ELSE 0 END) AS period_debits,
+                SUM(CASE WHEN l.entry_date >= $1 THEN l.credit_amount ELSE 0 END) AS period_credits,
+                COUNT(*) FILTER (WHERE l.entry_date >= $1) AS line_count
+           FROM ledger_lines l
+           JOIN accounts a ON a.id = l.account_id
+           LEFT JOIN funds f ON f.id = l.group_fund_id
+          GROUP BY l.account_id, a.code, a.name, a.type, l.group_fund_id, f.code, f.name
+         HAVING COUNT(*) FILTER (WHERE l.entry_date >= $1) > 0
+          ORDER BY a.code, a.id, f.code NULLS FIRST`,
+        params
+    );
+
+    const pageParams = [...params, pageSize, (page - 1) * pageSize];
+    const { rows: lineRows } = await db.query(
+        `WITH ${ledgerLines},
+         period_lines AS (
+            SELECT l.*,
+                   SUM(l.debit_amount - l.credit_amount) OVER (
+                       PARTITION BY l.account_id, l.group_fund_id
+                       ORDER BY l.entry_date, l.created_at, l.journal_entry_id, l.line_number, l.id
+                       ROWS UNBOUNDED PRECEDING
+                   ) AS period_change
+              FROM ledger_lines l
+             WHERE l.entry_date >= $1
+         )
+         SELECT p.id, p.account_id, p.group_fund_id, p.journal_entry_id, p.entry_date,
+                p.reference_number, p.entry_description, p.description,
+                f.code AS fund_code, p.debit_amount, p.credit_amount, p.period_change,
+                COALESCE(counterparts.accounts, '[]') AS counterpart_accounts
+           FROM period_lines p
+           LEFT JOIN funds f ON f.id = p.fund_id
+           LEFT JOIN funds gf ON gf.id = p.group_fund_id
+           LEFT JOIN LATERAL (
+               SELECT json_agg(json_build_object('id', c.id, 'code', c.code, 'name', c.name) ORDER BY c.code) AS accounts
+                 FROM (SELECT DISTINCT a2.id, a2.code, a2.name
+                         FROM journal_entry_lines other
+                         JOIN accounts a2 ON a2.id = other.account_id
+                        WHERE other.journal_entry_id = p.journal_entry_id
+                          AND other.account_id <> p.account_id) c
+           ) counterparts ON TRUE
+          ORDER BY p.account_code, p.account_id, gf.code NULLS FIRST, p.group_fund_id,
+                   p.entry_date, p.created_at, p.journal_entry_id, p.line_number, p.id
+          LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+        pageParams
+    );
+
+    const groupKey = (accountId, fundKey) => `${accountId}:${fundKey || ''}`;
+    const totals = { opening_balance: 0, period_debits: 0, period_credits: 0, ending_balance: 0 };
+    const groupsByKey = new Map();
+    groupRows.forEach(row => {
+        const opening = roundAmount(row.opening_balance);
+        const debits = roundAmount(row.period_debits);
+        const credits = roundAmount(row.period_credits);
+        const group = {
+            account_id: row.account_id,
+            code: row.code,
+            name: row.name,
+            type: row.type,
+            fund_id: row.fund_id,
+            fund_code: row.fund_code,
+            fund_name: row.fund_name,
+            opening_balance: opening,
+            period_debits: debits,
+            period_credits: credits,
+            ending_balance: roundAmount(opening + debits - credits),
+            line_count: parseInt(row.line_count, 10)
+        };
+        Object.keys(totals).forEach(key => {
+            totals[key] += group[key];
+        });
+        groupsByKey.set(groupKey(row.account_id, row.fund_id), group);
+    });
+    Object.keys(totals).forEach(key => {
+        totals[key] = roundAmount(totals[key]);
+    });
+
+    // Only the groups with lines on this page, in report order
+    const groups = [];
+    lineRows.forEach(row => {
+        const group = groupsByKey.get(groupKey(row.account_id, row.group_fund_id));
+        if (!group.lines) {
+            group.lines = [];
+            groups.push(group);
+        }
+        group.lines.push({
+            id: row.id,
+            journal_entry_id: row.journal_entry_id,
+            entry_date: row.entry_date,
+            reference_number: row.reference_number,
+            entry_description: row.entry_description,
+            description: row.description,
+            fund_code: row.fund_code,
+            debit_amount: roundAmount(row.debit_amount),
+            credit_amount: roundAmount(row.credit_amount),
+            running_balance: roundAmount(group.opening_balance + parseFloat(row.period_change)),
+            counterpart_accounts: row.counterpart_accounts
+        });
+    });
+
+    const totalLines = groupRows.reduce((sum, row) => sum + parseInt(row.line_count, 10), 0);
+    return {
+        entity: scope.entity,
+        consolidated: scope.consolidated,
+        fundId,
+        startDate,
+        endDate,
+        accountFrom: options.accountFrom || null,
+        accountTo: options.accountTo || null,
+        groupByFund,
+        page,
+        pageSize,
+        totalLines,
+        totalPages: Math.max(1, Math.ceil(totalLines / pageSize)),
+        groups,
+        totals
+    };
+}
+
+module.exports = {
+    getDefaultStartDate,
+    getTrialBalance,
+    getGeneralLedger
+};
@@ -0,0 +1,554 @@
+/**
+ * nacha-file-service.js
+ *
+ * Builds the NACHA (ACH) file for an approved payment batch with
+ * NachaGenerator, from the batch's company NACHA settings (or the entity's,
+ * when the batch names none). Employees (vendor type "employee") are paid
+ * by PPD; a vendor bank account paid for several invoices gets one CTX
+ * entry carrying them all as EDI 820 remittance; other payments are CCD.
+ * Credits-only NACHA batches go out with service class 220; with an
+ * offset, each gets a balancing debit to the settlement bank account and
+ * is mixed (200). Every file is checked
+ * with NachaParser before it is saved; the file, its control totals and
+ * each payment's trace number are saved, and the batch moves to
+ * file_generated (payment-approval-service.js). Payments go to the bank
+ * details copied onto them when the batch was submitted. Vendor and
+ * settlement account numbers are decrypted only to write the entries, and
+ * the saved file content is encrypted the same way
+ * (account-encryption-service.js). Trace numbers continue from the
+ * settings' trace_number_counter, advanced in the transaction that saves
+ * the file, so they never repeat for the originating bank. Prenote files
+ * carry a zero-dollar entry for each vendor bank account pending a
+ * prenote, under the same settings but without a payment batch.
+ */
+
+const { createRequestError } = require('./request-error');
+const NachaGenerator = require('./nacha-generator');
+const NachaParser = require('./nacha-parser');
+const { PRENOTE_STATUS, getPaymentBatch } = require('./vendor-payment-service');
+const { assertBatchApproved, markFileGenerated } = require('./payment-approval-service');
+const { roundAmount, requireDate } = require('./financial-report-service');
+const { encryptAccountNumber, decryptAccountNumber, maskAccountNumber } = require('./account-encryption-service');
+
+/** File ID modifiers, in order, for files created the same day */
+const FILE_ID_MODIFIERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+/** Columns returned for a NACHA file (without its content) */
+const NACHA_FILE_COLUMNS = `
+    nf.id, nf.file_type, nf.nacha_settings_id, nf.payment_batch_id, pb.batch_number, nf.file_name, nf.file_path, nf.file_date, nf.file_id_modifier,
+    nf.service_class_code, nf.total_amount, nf.total_items, nf.batch_count, nf.block_count,
+    nf.entry_addenda_count, nf.file_control_total, nf.total_debit_amount, nf.total_credit_amount,
+    nf.offset_amount, nf.status, nf.transmitted_at, nf.transmitted_by, nf.created_by, nf.created_at`;
+
+/**
+ * Format a YYYY-MM-DD date as NACHA YYMMDD
+ * @param {string} isoDate
+ * @returns {string}
+ */
+function toYymmdd(isoDate) {
+    return isoDate.replace(/-/g, '').slice(2);
+}
+
+/**
+ * Whether a vendor type is paid as an individual (PPD)
+ * @param {string|null} vendorType
+ * @returns {boolean}
+ */
+function isEmployee(vendorType) {
+    return (vendorType || '').trim().toLowerCase() === 'employee';
+}
+
+/**
+ * Group a batch's payment items into NACHA entries
+ * @param {Array} items - Payment items with vendor and bank account details
+ * @returns {Array} [{ entryClass, items }] - One entry each
+ */
+function groupPayments(items) {
+    const classes = NachaGenerator.ENTRY_CLASS_CODES;
+    const byAccount = new Map();
+    items.forEach(item => {
+        if (!byAccount.has(item.vendor_bank_account_id)) {
+            byAccount.set(item.vendor_bank_account_id, []);
+        }
+        byAccount.get(item.vendor_bank_account_id).push(item);
+    });
+    return [...byAccount.values()].flatMap(accountItems => {
+        if (isEmployee(accountItems[0].vendor_type)) {
+            return accountItems.map(item => ({ entryClass: classes.PPD, items: [item] }));
+        }
+        if (accountItems.length > 1) {
+            return [{ entryClass: classes.CTX, items: accountItems }];
+        }
+        return [{ entryClass: classes.CCD, items: accountItems }];
+    });
+}
+
+/**
+ * Receiver fields of an entry: the individual for PPD, the receiving
+ * company otherwise
+ * @param {string} entryClass - Standard entry class code
+ * @param {Object} payee - { vendor_code, vendor_name }
+ * @returns {Object}
+ */
+function receiverFields(entryClass, payee) {
+    if (entryClass === NachaGenerator.ENTRY_CLASS_CODES.PPD) {
+        return { individualId: payee.vendor_code, individualName: payee.vendor_name.toUpperCase() };
+    }
+    return { receivingCompanyId: payee.vendor_code, receivingCompanyName: payee.vendor_name.toUpperCase() };
+}
+
+/**
+ * NACHA entry data for a grouped payment
+ * @param {Object} payment - { entryClass, items }
+ * @param {Object} batch - The payment batch
+ * @param {Object} settings - Company NACHA settings
+ * @returns {Object} Entry data for NachaGenerator.addEntry
+ */
+function paymentEntry(payment, batch, settings) {
+    const classes = NachaGenerator.ENTRY_CLASS_CODES;
+    const codes = NachaGenerator.TRANSACTION_CODES;
+    const [first] = payment.items;
+    const amount = roundAmount(payment.items.reduce((total, item) => total + parseFloat(item.amount), 0));
+    const entry = {
+        transactionCode: first.account_type === 'savings' ? codes.SAVINGS_CREDIT : codes.CHECKING_CREDIT,
+        routingNumber: first.routing_number,
+        accountNumber: decryptAccountNumber(first.account_number),
+        amount,
+        vendorId: first.vendor_code,
+        ...receiverFields(payment.entryClass, first)
+    };
+    if (payment.entryClass === classes.CTX) {
+        entry.addenda = NachaGenerator.buildEdi820({
+            payerName: settings.company_name,
+            payeeName: first.vendor_name,
+            amount,
+            paymentDate: batch.effective_date,
+            reference: batch.batch_number,
+            senderId: settings.company_id,
+            invoices: payment.items.map(item => ({
+                invoiceNumber: item.invoice_number || item.memo,
+                amountPaid: roundAmount(item.amount),
+                invoiceDate: item.invoice_date
+            }))
+        });
+    } else {
+        const addenda = [first.invoice_number && `INV ${first.invoice_number}`, first.memo]
+            .filter(Boolean)
+            .join(' ');
+        entry.addenda = addenda || null;
+    }
+    return entry;
+}
+
+/**
+ * Company NACHA settings, with the settlement bank account
+ * @param {Object} db - pg pool or client
+ * @param {Object} where - { settingsId } or { entityId } (the entity's
+ *   first settings)
+ * @returns {Promise<Object|null>}
+ */
+async function findSettings(db, { settingsId, entityId }) {
+    const { rows } = await db.query(
+        `SELECT ns.*, ba.bank_name AS settlement_bank_name, ba.routing_number AS settlement_routing_number,
+                ba.account_number AS settlement_account_number, ba.type AS settlement_account_type
+           FROM company_nacha_settings ns
+           LEFT JOIN bank_accounts ba ON ba.id = ns.settlement_account_id
+          WHERE ${settingsId ? 'ns.id = $1' : 'ns.entity_id = $1'}
+          ORDER BY ns.created_at
+          LIMIT 1`,
+        [settingsId || entityId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Company NACHA settings for a batch, with the settlement bank account
+ * @param {Object} db - pg pool or client
+ * @param {Object} batch - The batch
+ * @returns {Promise<Object>}
+ */
+async function getBatchSettings(db, batch) {
+    const settings = await findSettings(db, { settingsId: batch.nacha_settings_id, entityId: batch.entity_id });
+    if (!settings) {
+        throw createRequestError('The batch has no company NACHA settings', null, 409);
+    }
+    return settings;
+}
+
+/**
+ * A NachaGenerator for a new file under the settings: the day's next file
+ * ID modifier, and trace numbers continuing from the settings' counter,
+ * locked until the transaction saving the file ends
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} settings - From findSettings
+ * @param {Object} dates
+ * @param {string} dates.descriptiveDate - YYYY-MM-DD company descriptive date
+ * @param {string} dates.effectiveDate - YYYY-MM-DD effective entry date
+ * @returns {Promise<Object>} { generator, fileIdModifier, today }
+ */
+async function createFileGenerator(client, settings, { descriptiveDate, effectiveDate }) {
+    const settlementRouting = NachaGenerator.validateRoutingNumber(settings.settlement_routing_number || '')
+        ? settings.settlement_routing_number
+        : settings.originating_dfi_id + NachaGenerator.routingCheckDigit(settings.originating_dfi_id);
+    const today = new Date().toISOString().split('T')[0];
+    const { rows: [{ count }] } = await client.query(
+        `SELECT COUNT(*) AS count
+           FROM nacha_files
+          WHERE nacha_settings_id = $1 AND file_date::date = $2::date`,
+        [settings.id, today]
+    );
+    const fileIdModifier = FILE_ID_MODIFIERS[Number(count) % FILE_ID_MODIFIERS.length];
+    const { rows: [{ trace_number_counter: traceSequenceStart }] } = await client.query(
+        'SELECT trace_number_counter FROM company_nacha_settings WHERE id = $1 FOR UPDATE',
+        [settings.id]
+    );
+
+    const generator = new NachaGenerator({
+        immediateDestination: settlementRouting,
+        immediateDestinationName: settings.settlement_bank_name || '',
+        immediateOrigin: settings.company_id,
+        companyName: settings.company_name,
+        companyIdentification: settings.company_id,
+        companyEntryDescription: settings.company_entry_description,
+        companyDescriptiveDate: toYymmdd(descriptiveDate),
+        effectiveEntryDate: toYymmdd(effectiveDate),
+        originatingDFIId: settings.originating_dfi_id,
+        fileIdModifier,
+        traceSequenceStart,
+        isProduction: settings.is_production
+    });
+    return { generator, fileIdModifier, today };
+}
+
+/**
+ * Check a generated file with NachaParser, save it (content encrypted) with
+ * its control totals, and advance the settings' trace counter
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} generator - NachaGenerator with the file's batches
+ * @param {Object} file
+ * @param {string} file.fileType - payment or prenote
+ * @param {string|null} file.batchId - payment_batches id (payment files)
+ * @param {Object} file.settings - Company NACHA settings
+ * @param {string} file.fileName
+ * @param {string} file.fileIdModifier
+ * @param {number} file.totalAmount - Amount paid
+ * @param {number} file.totalItems - Payment items or prenoted accounts
+ * @param {number} [file.offsetAmount]
+ * @param {Object|null} file.user - Acting user
+ * @returns {Promise<string>} nacha_files id
+ */
+async function saveGeneratedFile(client, generator, file) {
+    const content = generator.generateFile();
+    const { valid, errors } = NachaParser.validate(content);
+    if (!valid) {
+        throw createRequestError('The generated NACHA file failed validation', { errors }, 422);
+    }
+    const totals = generator.getControlTotals();
+    const { rows: [saved] } = await client.query(
+        `INSERT INTO nacha_files
+            (file_type, nacha_settings_id, payment_batch_id, file_name, file_content, file_id_modifier,
+             service_class_code, total_amount, total_items, batch_count, block_count, entry_addenda_count,
+             file_control_total, total_debit_amount, total_credit_amount, offset_amount, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+         RETURNING id`,
+        [
+            file.fileType,
+            file.settings.id,
+            file.batchId,
+            file.fileName,
+            encryptAccountNumber(content),
+            file.fileIdModifier,
+            new Set(totals.serviceClassCodes).size === 1
+                ? totals.serviceClassCodes[0]
+                : NachaGenerator.SERVICE_CLASS_CODES.MIXED,
+            roundAmount(file.totalAmount),
+            file.totalItems,
+            totals.batchCount,
+            totals.blockCount,
+            totals.entryAddendaCount,
+            totals.entryHash,
+            totals.totalDebitAmount,
+            totals.totalCreditAmount,
+            roundAmount(file.offsetAmount || 0),
+            file.user ? file.user.id : null
+        ]
+    );
+
+    await client.query(
+        'UPDATE company_nacha_settings SET trace_number_counter = $1, updated_at = NOW() WHERE id = $2',
+        [generator.getNextTraceSequence(), file.settings.id]
+    );
+    return saved.id;
+}
+
+/**
+ * Generate and save the NACHA file for an approved batch
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} batchId - payment_batches id
+ * @param {Object} options
+ * @param {boolean} [options.offset] - Add a balancing debit to the
+ *   settlement bank account
+ * @param {Object|null} options.user - Acting user
+ * @returns {Promise<Object>} { file, batch }
+ */
+async function generateBatchFile(client, batchId, { offset, user }) {
+    const batch = await getPaymentBatch(client, batchId, { forUpdate: true });
+    assertBatchApproved(batch);
+    const settings = await getBatchSettings(client, batch);
+
+    const { rows: items } = await client.query(
+        `SELECT pi.id, pi.amount, pi.memo, pi.invoice_number, to_char(pi.invoice_date, 'YYYY-MM-DD') AS invoice_date,
+                pi.vendor_bank_account_id, v.vendor_code, v.name AS vendor_name, v.vendor_type,
+                pi.bank_routing_number AS routing_number, pi.bank_account_number AS account_number,
+                pi.bank_account_type AS account_type
+           FROM payment_items pi
+           JOIN vendors v ON v.id = pi.vendor_id
+          WHERE pi.payment_batch_id = $1 AND pi.status IN ('pending', 'approved')
+          ORDER BY v.name, pi.created_at`,
+        [batch.id]
+    );
+    if (items.length === 0) {
+        throw createRequestError('The batch has no payments to send', null, 409);
+    }
+    const missing = items.filter(item => !item.routing_number || !item.account_number);
+    if (missing.length > 0) {
+        throw createRequestError(
+            `Payments to ${missing.map(item => item.vendor_name).join(', ')} have no approved bank details; reject and resubmit the batch`,
+            null,
+            409
+        );
+    }
+
+    const { generator, fileIdModifier, today } = await createFileGenerator(client, settings, {
+        descriptiveDate: batch.batch_date,
+        effectiveDate: batch.effective_date
+    });
+    // One NACHA batch per entry class
+    const nachaBatches = new Map();
+    const payments = groupPayments(items);
+    try {
+        payments.forEach(payment => {
+            if (!nachaBatches.has(payment.entryClass)) {
+                nachaBatches.set(payment.entryClass, generator.createBatch({ standardEntryClassCode: payment.entryClass }));
+            }
+            const nachaBatch = nachaBatches.get(payment.entryClass);
+            generator.addEntry(nachaBatch, paymentEntry(payment, batch, settings));
+            payment.traceNumber = nachaBatch.entries[nachaBatch.entries.length - 1].traceNumber;
+        });
+    } catch (error) {
+        throw createRequestError(`The batch cannot be sent: ${error.message}`, null, 409);
+    }
+
+    let offsetAmount = 0;
+    if (offset) {
+        const accountNumber = (decryptAccountNumber(settings.settlement_account_number) || '').replace(/[\s-]/g, '');
+        if (!NachaGenerator.validateRoutingNumber(settings.settlement_routing_number || '') || !accountNumber) {
+            throw createRequestError(
+                'An offset needs a settlement bank account with a valid routing number and account number',
+                null,
+                409
+            );
+        }
+        nachaBatches.forEach(nachaBatch => {
+            const offsetEntry = generator.addOffsetEntry(nachaBatch, {
+                routingNumber: settings.settlement_routing_number,
+                accountNumber,
+                accountType: (settings.settlement_account_type || '').toLowerCase() === 'savings' ? 'savings' : 'checking',
+                name: settings.company_name,
+                identification: settings.company_id
+            });
+            offsetAmount += offsetEntry ? parseInt(offsetEntry.amount, 10) / 100 : 0;
+        });
+    }
+
+    const fileName = `ACH_${batch.batch_number}_${today.replace(/-/g, '')}_${fileIdModifier}.txt`;
+    const fileId = await saveGeneratedFile(client, generator, {
+        fileType: 'payment',
+        batchId: batch.id,
+        settings,
+        fileName,
+        fileIdModifier,
+        totalAmount: items.reduce((total, item) => total + parseFloat(item.amount), 0),
+        totalItems: items.length,
+        offsetAmount,
+        user
+    });
+
+    // Every payment item carries the trace number of the entry that pays it
+    for (const payment of payments) {
+        await client.query(
+            'UPDATE payment_items SET trace_number = $1, updated_at = NOW() WHERE id = ANY($2::uuid[])',
+            [payment.traceNumber, payment.items.map(item => item.id)]
+        );
+    }
+    const updated = await markFileGenerated(client, batch.id, user, fileName);
+    return { file: await getNachaFile(client, fileId), batch: updated };
+}
+
+/**
+ * Generate and save a prenote file: a zero-dollar entry (PPD for employees,
+ * CCD otherwise) for each active bank account pending a prenote of the
+ * settings' entity's vendors (or vendors without an entity), which then
+ * records the prenote as sent with its trace number
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} settingsId - company_nacha_settings id
+ * @param {Object} options
+ * @param {Array<string>} [options.vendorBankAccountIds] - Only these
+ *   accounts (each must be pending a prenote)
+ * @param {string} [options.effectiveDate] - YYYY-MM-DD (default today)
+ * @param {Object|null} options.user - Acting user
+ * @returns {Promise<Object>} { file, accounts }
+ */
+async function generatePrenoteFile(client, settingsId, { vendorBankAccountIds, effectiveDate, user }) {
+    const settings = await findSettings(client, { settingsId });
+    if (!settings) {
+        throw createRequestError('NACHA settings not found', null, 404);
+    }
+    const selected = Array.isArray(vendorBankAccountIds) && vendorBankAccountIds.length > 0
+        ? [...new Set(vendorBankAccountIds)]
+        : null;
+    const params = [settings.entity_id, PRENOTE_STATUS.PENDING];
+    if (selected) {
+        params.push(selected);
+    }
+    const { rows: accounts } = await client.query(
+        `SELECT vba.id, vba.routing_number, vba.account_number, vba.account_type,
+                v.vendor_code, v.name AS vendor_name, v.vendor_type
+           FROM vendor_bank_accounts vba
+           JOIN vendors v ON v.id = vba.vendor_id
+          WHERE (v.entity_id = $1 OR v.entity_id IS NULL) AND vba.prenote_status = $2 AND vba.status = 'active'
+                ${selected ? 'AND vba.id = ANY($3::uuid[])' : ''}
+          ORDER BY v.name, vba.account_name
+          FOR UPDATE OF vba`,
+        params
+    );
+    if (selected && accounts.length < selected.length) {
+        const found = new Set(accounts.map(account => account.id));
+        throw createRequestError(
+            'Only active bank accounts of the entity\'s vendors that are pending a prenote can be prenoted',
+            { vendor_bank_account_ids: selected.filter(id => !found.has(id)) },
+            409
+        );
+    }
+    if (accounts.length === 0) {
+        throw createRequestError('No vendor bank accounts are pending a prenote', null, 409);
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const { generator, fileIdModifier } = await createFileGenerator(client, settings, {
+        descriptiveDate: today,
+        effectiveDate: effectiveDate ? requireDate(effectiveDate, 'effective_date') : today
+    });
+    const classes = NachaGenerator.ENTRY_CLASS_CODES;
+    const codes = NachaGenerator.TRANSACTION_CODES;
+    const nachaBatches = new Map();
+    try {
+        accounts.forEach(account => {
+            const entryClass = isEmployee(account.vendor_type) ? classes.PPD : classes.CCD;
+            if (!nachaBatches.has(entryClass)) {
+                nachaBatches.set(entryClass, generator.createBatch({ standardEntryClassCode: entryClass }));
+            }
+            const nachaBatch = nachaBatches.get(entryClass);
+            generator.addPrenote(nachaBatch, {
+                transactionCode: account.account_type === 'savings' ? codes.SAVINGS_CREDIT : codes.CHECKING_CREDIT,
+                routingNumber: account.routing_number,
+                accountNumber: decryptAccountNumber(account.account_number),
+                vendorId: account.vendor_code,
+                ...receiverFields(entryClass, account)
+            });
+            account.traceNumber = nachaBatch.entries[nachaBatch.entries.length - 1].traceNumber;
+        });
+    } catch (error) {
+        throw createRequestError(`The prenotes cannot be sent: ${error.message}`, null, 409);
+    }
+
+    const fileId = await saveGeneratedFile(client, generator, {
+        fileType: 'prenote',
+        batchId: null,
+        settings,
+        fileName: `PRENOTE_${today.replace(/-/g, '')}_${fileIdModifier}.txt`,
+        fileIdModifier,
+        totalAmount: 0,
+        totalItems: accounts.length,
+        user
+    });
+    const sent = [];
+    for (const account of accounts) {
+        const { rows } = await client.query(
+            `UPDATE vendor_bank_accounts
+                SET prenote_status = $1, prenote_trace_number = $2, prenote_sent_at = NOW(), prenote_file_id = $3,
+                    updated_at = NOW()
+              WHERE id = $4
+              RETURNING *`,
+            [PRENOTE_STATUS.SENT, account.traceNumber, fileId, account.id]
+        );
+        sent.push(rows[0]);
+    }
+    return { file: await getNachaFile(client, fileId), accounts: sent };
+}
+
+/**
+ * Load a NACHA file
+ * @param {Object} db - pg pool or client
+ * @param {string} fileId - nacha_files id
+ * @param {Object} [options]
+ * @param {boolean} [options.withContent] - Include file_content, decrypted
+ * @returns {Promise<Object>}
+ */
+async function getNachaFile(db, fileId, { withContent } = {}) {
+    const { rows } = await db.query(
+        `SELECT ${NACHA_FILE_COLUMNS}${withContent ? ', nf.file_content' : ''}
+           FROM nacha_files nf
+           LEFT JOIN payment_batches pb ON pb.id = nf.payment_batch_id
+          WHERE nf.id = $1`,
+        [fileId]
+    );
+    if (rows.length === 0) {
+        throw createRequestError('NACHA file not found', null, 404);
+    }
+    return withContent ? { ...rows[0], file_content: decryptAccountNumber(rows[0].file_content) } : rows[0];
+}
+
+/**
+ * A NachaParser.validate result with the account numbers in its parsed
+ * records masked: entry DFI account numbers and NOC corrected data
+ * @param {Object} result - { valid, errors, file }
+ * @returns {Object}
+ */
+function withMaskedRecords(result) {
+    const batches = result.file.batches.map(batch => ({
+        ...batch,
+        entries: batch.entries.map(entry => ({
+            ...entry,
+            DFIAccountNumber: maskAccountNumber(entry.DFIAccountNumber),
+            addenda: entry.addenda.map(addenda => (addenda.correctedData
+                ? { ...addenda, correctedData: maskAccountNumber(addenda.correctedData) }
+                : addenda))
+        }))
+    }));
+    return { ...result, file: { ...result.file, batches } };
+}
+
+/**
+ * Validate a saved NACHA file's content; account numbers in the parsed
+ * records are masked
+ * @param {Object} db - pg pool or client
+ * @param {string} fileId - nacha_files id
+ * @returns {Promise<Object>} { file_id, file_name, valid, errors, file }
+ */
+async function validateNachaFile(db, fileId) {
+    const saved = await getNachaFile(db, fileId, { withContent: true });
+    if (!saved.file_content) {
+        throw createRequestError('The file content was not saved', null, 404);
+    }
+    return { file_id: saved.id, file_name: saved.file_name, ...withMaskedRecords(NachaParser.validate(saved.file_content)) };
+}
+
+module.exports = {
+    NACHA_FILE_COLUMNS,
+    generateBatchFile,
+    generatePrenoteFile,
+    getNachaFile,
+    withMaskedRecords,
+    validateNachaFile
+};
@@ -23,6 +23,8 @@ class NachaGenerator {
       // File header settings
       immediateDestination: '',      // Receiving bank routing number (your bank)
       immediateOrigin: '',           // Company identification number
+      immediateDestinationName: '',  // Receiving bank name
+      immediateOriginName: '',       // Originator name (defaults to companyName)
       fileCreationDate: this._formatDate(new Date()), // Today's date YYMMDD
       fileCreationTime: this._formatTime(new Date()), // Current time HHMM
       fileIdModifier: 'A',           // File modifier (incremented for multiple files same day)
@@ -39,6 +41,16 @@ class NachaGenerator {
       effectiveEntryDate: '',        // Effective date (YYMMDD)
       originatorStatusCode: '1',     // 1 = originator
       originatingDFIId: '',          // Bank routing number
+      traceSequenceStart: 1,         // Trace sequence of the first entry; callers persist
+                                     // the next one so trace numbers never repeat for the ODFI
+
+      // IAT batch header settings (used only by IAT batches)
+      foreignExchangeIndicator: 'FF',          // FF = fixed-to-fixed (USD to USD)
+      foreignExchangeReferenceIndicator: '3',  // 3 = no reference
+      foreignExchangeReference: '',
+      isoDestinationCountryCode: '',           // e.g. CA
+      isoOriginatingCurrencyCode: 'USD',
+      isoDestinationCurrencyCode: 'USD',
       
       // Production or test indicator
       isProduction: false,
@@ -55,6 +67,7 @@ class NachaGenerator {
     this.batches = [];
     this.fileControl = '';
     this.currentBatchNumber = 1;
+    this.entrySequence = this.settings.traceSequenceStart - 1; // Last trace sequence used
     this.totalEntryCount = 0;
     this.totalEntryHash = 0;
     this.totalDebitAmount = 0;
@@ -63,16 +76,22 @@ class NachaGenerator {
   }
   
   /**
-   * Create a new batch of entries
+   * Create a new batch of entries. All entries of a batch share its
+   * standard entry class (CCD, PPD, WEB, CTX or IAT), which decides the
+   * entry and addenda layouts.
    * @param {Object} batchOptions - Batch header options
    * @returns {Object} Batch object
    */
   createBatch(batchOptions = {}) {
+    const entryClass = batchOptions.standardEntryClassCode || this.settings.standardEntryClassCode;
+    if (!Object.values(NachaGenerator.ENTRY_CLASS_CODES).includes(entryClass)) {
+      throw new Error(`Unsupported standard entry class: ${entryClass}`);
+    }
     const batchNumber = this.currentBatchNumber++;
     
     const batch = {
       header: {
-        serviceClassCode: '200',     // 200 = mixed debits and credits
+        serviceClassCode: null,      // null = from the entries (200 mixed, 220 credits, 225 debits)
         companyName: this.settings.companyName,
         companyDiscretionaryData: this.settings.companyDiscretionaryData,
         companyIdentification: this.settings.companyIdentification,
@@ -83,6 +102,12 @@ class NachaGenerator {
         settlementDate: '   ',       // Left blank, filled by ACH operator
         originatorStatusCode: this.settings.originatorStatusCode,
         originatingDFIId: this.settings.originatingDFIId,
+        foreignExchangeIndicator: this.settings.foreignExchangeIndicator,
+        foreignExchangeReferenceIndicator: this.settings.foreignExchangeReferenceIndicator,
+        foreignExchangeReference: this.settings.foreignExchangeReference,
+        isoDestinationCountryCode: this.settings.isoDestinationCountryCode,
+        isoOriginatingCurrencyCode: this.settings.isoOriginatingCurrencyCode,
+        isoDestinationCurrencyCode: this.settings.isoDestinationCurrencyCode,
         batchNumber: batchNumber.toString().padStart(7, '0'),
         ...batchOptions
       },
@@ -99,63 +124,158 @@ class NachaGenerator {
   }
   
   /**
-   * Add an entry (payment) to a batch
+   * Add an entry (payment or prenote) to a batch
+   *
+   * Entry data by class:
+   * - CCD/CTX: receivingCompanyId (or vendorId), receivingCompanyName
+   * - PPD/WEB: individualId, individualName (the receivingCompany* names
+   *   are accepted too); WEB also takes paymentTypeCode ('S' or 'R')
+   * - IAT: iat (see _createIatAddenda); the account number may be up to 35
+   *   characters and routingNumber is the U.S. gateway's
+   *
+   * addenda is a string or array of strings. CCD, PPD and WEB allow one 05
+   * addenda of up to 80 characters; for CTX the text (typically from
+   * buildEdi820) is split across as many 80-character addenda as needed;
+   * IAT entries get their seven mandatory addenda plus up to two 17
+   * remittance addenda. With prenote: true the entry becomes a zero-dollar
+   * prenote (transaction code 23, 28, 33 or 38).
    * @param {Object} batch - The batch to add the entry to
    * @param {Object} entryData - Entry details
    * @returns {Object} The updated batch
    */
   addEntry(batch, entryData) {
+    const entryClass = batch.header.standardEntryClassCode;
+    const codes = NachaGenerator.TRANSACTION_CODES;
+    const transactionCode = entryData.prenote
+      ? NachaGenerator.prenoteCode(entryData.transactionCode || codes.CHECKING_CREDIT)
+      : (entryData.transactionCode || codes.CHECKING_CREDIT);
+
     // Validate required fields
-    this._validateEntryData(entryData);
+    this._validateEntryData(entryData, entryClass, transactionCode);
     
-    // Format amounts to cents without decimal
-    const amount = Math.round(parseFloat(entryData.amount) * 100).toString().padStart(10, '0');
+    // Format amounts to cents without decimal (prenotes are zero-dollar)
+    const amountValue = NachaGenerator.isPrenoteCode(transactionCode) ? 0 : parseFloat(entryData.amount);
+    const amount = Math.round(amountValue * 100).toString().padStart(10, '0');
     
     // Calculate trace number
-    const traceNumber = this._generateTraceNumber(batch.entries.length + 1);
+    const traceNumber = this._generateTraceNumber(++this.entrySequence);
+    const addendaRecords = this._createAddendaRecords(entryClass, entryData, traceNumber);
     
     // Create entry detail record
     const entry = {
       recordTypeCode: '6',           // 6 = entry detail
-      transactionCode: entryData.transactionCode || '22', // 22 = checking credit
+      standardEntryClassCode: entryClass,
+      transactionCode: transactionCode,
       receivingDFIId: entryData.routingNumber.substring(0, 8), // First 8 digits of routing number
       checkDigit: entryData.routingNumber.substring(8, 9),     // 9th digit of routing number
-      DFIAccountNumber: entryData.accountNumber.padEnd(17, ' ').substring(0, 17),
+      DFIAccountNumber: entryData.accountNumber,
       amount: amount,
-      receivingCompanyId: entryData.receivingCompanyId || entryData.vendorId.padEnd(15, ' ').substring(0, 15),
-      receivingCompanyName: entryData.receivingCompanyName.padEnd(22, ' ').substring(0, 22),
-      discretionaryData: '  ',       // Optional
-      addendaRecordIndicator: entryData.addenda ? '1' : '0',
+      identification: entryData.individualId || entryData.receivingCompanyId || entryData.vendorId || '',
+      name: entryData.individualName || entryData.receivingCompanyName,
+      discretionaryData: entryData.discretionaryData
+        || (entryClass === NachaGenerator.ENTRY_CLASS_CODES.WEB ? entryData.paymentTypeCode || 'S' : ''),
+      gatewayOfacIndicator: entryData.gatewayOfacIndicator || ' ',
+      secondaryOfacIndicator: entryData.secondaryOfacIndicator || ' ',
+      addendaRecordIndicator: addendaRecords.length ? '1' : '0',
       traceNumber: traceNumber,
-      addenda: entryData.addenda ? this._createAddendaRecord(entryData.addenda, traceNumber) : null
+      addendaRecords: addendaRecords
     };
     
-    // Update batch totals
+    // Update batch totals (the entry and each addenda record count)
     batch.entries.push(entry);
-    batch.entryCount += 1;
-    if (entryData.addenda) {
-      batch.entryCount += 1; // Count addenda record
-    }
+    batch.entryCount += 1 + addendaRecords.length;
     
     // Add to hash (sum of routing numbers)
     const routingNumberValue = parseInt(entryData.routingNumber.substring(0, 8), 10);
     batch.entryHash += routingNumberValue;
     
     // Update debit/credit totals
-    if (entryData.transactionCode && ['27', '37', '28', '38'].includes(entryData.transactionCode)) {
-      batch.totalDebitAmount += parseFloat(entryData.amount);
+    if (NachaGenerator.isDebitCode(entry.transactionCode)) {
+      batch.totalDebitAmount += amountValue;
     } else {
-      batch.totalCreditAmount += parseFloat(entryData.amount);
+      batch.totalCreditAmount += amountValue;
     }
     
     return batch;
   }
+
+  /**
+   * Add a zero-dollar prenote verifying a receiver's account before live
+   * entries are sent; transactionCode is the live code the account will get
+   * (22 by default) and is turned into its prenote code
+   * @param {Object} batch - The batch to add the prenote to
+   * @param {Object} entryData - Entry details as for addEntry, without amount
+   * @returns {Object} The updated batch
+   */
+  addPrenote(batch, entryData) {
+    return this.addEntry(batch, { ...entryData, amount: 0, prenote: true });
+  }
+
+  /**
+   * Add a balancing offset entry: a debit to the originator's settlement
+   * account for the batch's net credits, so the batch nets to zero at the
+   * originating bank. Nothing is added when the batch has no net credits.
+   * @param {Object} batch - The batch to balance
+   * @param {Object} account - { routingNumber, accountNumber, accountType
+   *   ('checking'|'savings'), name, identification }
+   * @returns {Object|null} The offset entry, or null when none was needed
+   */
+  addOffsetEntry(batch, account) {
+    if (batch.header.standardEntryClassCode === NachaGenerator.ENTRY_CLASS_CODES.IAT) {
+      throw new Error('Offset entries cannot be added to IAT batches');
+    }
+    const amount = Math.round((batch.totalCreditAmount - batch.totalDebitAmount) * 100) / 100;
+    if (amount <= 0) {
+      return null;
+    }
+    const codes = NachaGenerator.TRANSACTION_CODES;
+    this.addEntry(batch, {
+      transactionCode: account.accountType === 'savings' ? codes.SAVINGS_DEBIT : codes.CHECKING_DEBIT,
+      routingNumber: account.routingNumber,
+      accountNumber: account.accountNumber,
+      amount,
+      receivingCompanyName: account.name || this.settings.companyName,
+      receivingCompanyId: account.identification || 'OFFSET',
+      vendorId: 'OFFSET'
+    });
+    return batch.entries[batch.entries.length - 1];
+  }
+
+  /**
+   * Trace sequence the next entry would get; callers store it as the next
+   * file's traceSequenceStart
+   * @returns {number}
+   */
+  getNextTraceSequence() {
+    return (this.entrySequence % NachaGenerator.MAX_TRACE_SEQUENCE) + 1;
+  }
+
+  /**
+   * Control totals of the last generated file (File Control record)
+   * @returns {Object} { batchCount, blockCount, entryAddendaCount, entryHash,
+   *   totalDebitAmount, totalCreditAmount, serviceClassCodes (per batch) }
+   */
+  getControlTotals() {
+    return {
+      batchCount: this.batches.length,
+      serviceClassCodes: this.batches.map(batch => this._serviceClassCode(batch)),
+      blockCount: this.blockCount,
+      entryAddendaCount: this.totalEntryCount,
+      entryHash: this.totalEntryHash.toString().padStart(10, '0'),
+      totalDebitAmount: Math.round(this.totalDebitAmount * 100) / 100,
+      totalCreditAmount: Math.round(this.totalCreditAmount * 100) / 100
+    };
+  }
   
   /**
    * Generate the complete NACHA file content
    * @returns {string} NACHA file content
    */
   generateFile() {
+    this._validateFileSettings();
+    this.totalDebitAmount = 0;
+    this.totalCreditAmount = 0;
+
     // Create file header
     this.fileHeader = this._createFileHeader();
     
@@ -174,10 +294,10 @@ class NachaGenerator {
         const entryDetail = this._createEntryDetail(entry);
         fileContent += entryDetail;
         
-        // Add addenda if exists
-        if (entry.addenda) {
-          fileContent += entry.addenda;
-        }
+        // Add its addenda records
+        entry.addendaRecords.forEach(addenda => {
+          fileContent += addenda;
+        });
       });
       
       // Create batch control record
@@ -243,15 +363,15 @@ class NachaGenerator {
       '1',                                // Record Type Code
       '01',                               // Priority Code
       ` ${this.settings.immediateDestination.padStart(9, '0')}`,  // Immediate Destination
-      ` ${this.settings.immediateOrigin.padStart(9, '0')}`,       // Immediate Origin
+      this._formatImmediateOrigin(),      // Immediate Origin
       this.settings.fileCreationDate,     // File Creation Date
       this.settings.fileCreationTime,     // File Creation Time
       this.settings.fileIdModifier,       // File ID Modifier
-      this.settings.recordSize,           // Record Size
+      String(this.settings.recordSize).padStart(3, '0'), // Record Size
       this.settings.blockingFactor,       // Blocking Factor
       this.settings.formatCode,           // Format Code
-      this.settings.companyName.padEnd(23, ' ').substring(0, 23), // Destination Name
-      'NONPROFIT FUND ACCT    '.substring(0, 23),   // Origin Name
+      this.settings.immediateDestinationName.padEnd(23, ' ').substring(0, 23), // Destination Name
+      (this.settings.immediateOriginName || this.settings.companyName).padEnd(23, ' ').substring(0, 23), // Origin Name
       '        '                          // Reference Code (optional)
     ].join('').padEnd(this.settings.recordSize, ' ');
   }
@@ -274,10 +394,37 @@ class NachaGenerator {
    * Helper / builder methods                                           *
    * ------------------------------------------------------------------ */
 
+  /**
+   * Immediate Origin field: a 10-character company identification as is,
+   * otherwise a blank and 9 digits
+   */
+  _formatImmediateOrigin() {
+    const origin = this.settings.immediateOrigin;
+    return origin.length === 10 ? origin : ` ${origin.padStart(9, '0')}`;
+  }
+
+  /**
+   * Service class of a batch: its explicit code, or 220 when it holds only
+   * credits, 225 when only debits and 200 when mixed
+   */
+  _serviceClassCode(batch) {
+    const codes = NachaGenerator.SERVICE_CLASS_CODES;
+    if (batch.header.serviceClassCode) {
+      return batch.header.serviceClassCode;
+    }
+    if (batch.totalDebitAmount === 0) {
+      return codes.CREDITS_ONLY;
+    }
+    return batch.totalCreditAmount === 0 ? codes.DEBITS_ONLY : codes.MIXED;
+  }
+
   _createBatchHeader(batch) {
+    if (batch.header.standardEntryClassCode === NachaGenerator.ENTRY_CLASS_CODES.IAT) {
+      return this._createIatBatchHeader(batch);
+    }
     return [
       '5',
-      batch.header.serviceClassCode,
+      this._serviceClassCode(batch),
       batch.header.companyName.padEnd(16, ' ').substring(0, 16),
       batch.header.companyDiscretionaryData.padEnd(20, ' ').substring(0, 20),
       batch.header.companyIdentification.padStart(10, '0').substring(0, 10),
@@ -292,42 +439,156 @@ class NachaGenerator {
     ].join('').padEnd(this.settings.recordSize, ' ');
   }
 
+  /**
+   * IAT Batch Header: foreign exchange and ISO country/currency fields take
+   * the place of the company name and discretionary data
+   */
+  _createIatBatchHeader(batch) {
+    const header = batch.header;
+    return [
+      '5',
+      this._serviceClassCode(batch),
+      ''.padEnd(16, ' '),                        // IAT indicator (blank)
+      header.foreignExchangeIndicator.padEnd(2, ' ').substring(0, 2),
+      header.foreignExchangeReferenceIndicator.padEnd(1, ' ').substring(0, 1),
+      header.foreignExchangeReference.padEnd(15, ' ').substring(0, 15),
+      header.isoDestinationCountryCode.padEnd(2, ' ').substring(0, 2),
+      header.companyIdentification.padStart(10, '0').substring(0, 10),
+      header.standardEntryClassCode,
+      header.companyEntryDescription.padEnd(10, ' ').substring(0, 10),
+      header.isoOriginatingCurrencyCode.padEnd(3, ' ').substring(0, 3),
+      header.isoDestinationCurrencyCode.padEnd(3, ' ').substring(0, 3),
+      header.effectiveEntryDate.padEnd(6, ' '),
+      header.settlementDate,                     // blank
+      header.originatorStatusCode,
+      header.originatingDFIId.padStart(8, '0'),
+      header.batchNumber
+    ].join('').padEnd(this.settings.recordSize, ' ');
+  }
+
   _createEntryDetail(entry) {
+    const classes = NachaGenerator.ENTRY_CLASS_CODES;
+    const addendaCount = entry.addendaRecords.length.toString().padStart(4, '0');
+    let fields;
+    if (entry.standardEntryClassCode === classes.CTX) {
+      fields = [
+        entry.DFIAccountNumber.padEnd(17, ' ').substring(0, 17),
+        entry.amount,
+        entry.identification.padEnd(15, ' ').substring(0, 15),
+        addendaCount,                            // number of addenda records
+        entry.name.padEnd(16, ' ').substring(0, 16),
+        '  ',                                    // reserved
+        entry.discretionaryData.padEnd(2, ' ').substring(0, 2)
+      ];
+    } else if (entry.standardEntryClassCode === classes.IAT) {
+      fields = [
+        addendaCount,                            // number of addenda records
+        ''.padEnd(13, ' '),                      // reserved
+        entry.amount,
+        entry.DFIAccountNumber.padEnd(35, ' ').substring(0, 35),
+        '  ',                                    // reserved
+        entry.gatewayOfacIndicator,
+        entry.secondaryOfacIndicator
+      ];
+    } else {
+      // CCD: receiving company; PPD/WEB: individual
+      fields = [
+        entry.DFIAccountNumber.padEnd(17, ' ').substring(0, 17),
+        entry.amount,
+        entry.identification.padEnd(15, ' ').substring(0, 15),
+        entry.name.padEnd(22, ' ').substring(0, 22),
+        entry.discretionaryData.padEnd(2, ' ').substring(0, 2)
+      ];
+    }
     return [
       '6',
       entry.transactionCode,
       entry.receivingDFIId,
       entry.checkDigit,
-      entry.DFIAccountNumber,
-      entry.amount,
-      entry.receivingCompanyId,
-      entry.receivingCompanyName,
-      entry.discretionaryData,
+      ...fields,
       entry.addendaRecordIndicator,
       entry.traceNumber
     ].join('').padEnd(this.settings.recordSize, ' ');
   }
 
-  _createAddendaRecord(addendaInfo, traceNumber) {
-    const addendaTypeCode = '05';
-    const addendaSequenceNumber = '0001';
+  /**
+   * Addenda records of an entry, by entry class
+   * @returns {string[]} Formatted addenda records
+   */
+  _createAddendaRecords(entryClass, entryData, traceNumber) {
+    const classes = NachaGenerator.ENTRY_CLASS_CODES;
     const entrySeq = traceNumber.substring(traceNumber.length - 7);
+    let texts = [].concat(entryData.addenda || []).filter(Boolean);
+    if (entryClass === classes.CTX) {
+      // EDI remittance runs on across records
+      const remittance = texts.join('');
+      texts = [];
+      for (let i = 0; i < remittance.length; i += 80) {
+        texts.push(remittance.substring(i, i + 80));
+      }
+    }
+
+    const limit = NachaGenerator.ADDENDA_LIMITS[entryClass];
+    if (texts.length > limit) {
+      throw new Error(`${entryClass} entries allow ${limit} payment related addenda record(s); got ${texts.length}`);
+    }
+    if (entryClass === classes.IAT) {
+      return [
+        ...this._createIatAddenda(entryData, entrySeq),
+        ...texts.map((text, index) => this._createAddendaRecord(text, index + 1, entrySeq, '17'))
+      ];
+    }
+    return texts.map((text, index) => this._createAddendaRecord(text, index + 1, entrySeq, '05'));
+  }
+
+  _createAddendaRecord(addendaInfo, sequenceNumber, entrySeq, addendaTypeCode) {
     return [
       '7',
       addendaTypeCode,
       addendaInfo.padEnd(80, ' ').substring(0, 80),
-      addendaSequenceNumber,
+      sequenceNumber.toString().padStart(4, '0'),
       entrySeq
     ].join('').padEnd(this.settings.recordSize, ' ');
   }
 
+  /**
+   * The seven mandatory IAT addenda (types 10-16) from entryData.iat:
+   * { transactionTypeCode (e.g. BUS), foreignTraceNumber,
+   *   originator: { name, streetAddress, city, stateProvince, country, postalCode },
+   *   odfi: { name, idQualifier ('01' national clearing number), id, branchCountryCode },
+   *   rdfi: { name, idQualifier, id, branchCountryCode },
+   *   receiver: { identificationNumber, streetAddress, city, stateProvince, country, postalCode } }
+   */
+  _createIatAddenda(entryData, entrySeq) {
+    const iat = entryData.iat;
+    const text = (value, length) => String(value || '').padEnd(length, ' ').substring(0, length);
+    // City*State\ and Country*Postal code\ as the rules require
+    const place = (first, second) => text(`${first || ''}*${second || ''}\\`, 35);
+    const record = (typeCode, body) => `7${typeCode}${body}`.padEnd(87, ' ') + entrySeq;
+    const amount = Math.round(parseFloat(entryData.amount || 0) * 100).toString().padStart(18, '0');
+    return [
+      record('10', text(iat.transactionTypeCode || 'BUS', 3) + amount + text(iat.foreignTraceNumber, 22)
+        + text(entryData.individualName || entryData.receivingCompanyName, 35)),
+      record('11', text(iat.originator.name, 35) + text(iat.originator.streetAddress, 35)),
+      record('12', place(iat.originator.city, iat.originator.stateProvince)
+        + place(iat.originator.country, iat.originator.postalCode)),
+      record('13', text(iat.odfi.name, 35) + text(iat.odfi.idQualifier || '01', 2) + text(iat.odfi.id, 34)
+        + text(iat.odfi.branchCountryCode || 'US', 3)),
+      record('14', text(iat.rdfi.name, 35) + text(iat.rdfi.idQualifier || '01', 2) + text(iat.rdfi.id, 34)
+        + text(iat.rdfi.branchCountryCode, 3)),
+      record('15', text(iat.receiver.identificationNumber, 15) + text(iat.receiver.streetAddress, 35)),
+      record('16', place(iat.receiver.city, iat.receiver.stateProvince)
+        + place(iat.receiver.country, iat.receiver.postalCode))
+    ];
+  }
+
   _createBatchControl(batch) {
     const totalDebit = Math.round(batch.totalDebitAmount * 100).toString().padStart(12, '0');
     const totalCredit = Math.round(batch.totalCreditAmount * 100).toString().padStart(12, '0');
     const entryHash = (batch.entryHash % 10000000000).toString().padStart(10, '0');
     return [
       '8',
-      batch.header.serviceClassCode,
+      this._serviceClassCode(batch),
       batch.entryCount.toString().padStart(6, '0'),
       entryHash,
       totalDebit,
@@ -360,7 +621,8 @@ class NachaGenerator {
 
   _generateTraceNumber(entrySequence) {
     const routingPrefix = this.settings.originatingDFIId.padStart(8, '0').substring(0, 8);
-    const sequence = entrySequence.toString().padStart(7, '0');
+    // The 7-digit sequence wraps from 9999999 back to 0000001
+    const sequence = (((entrySequence - 1) % NachaGenerator.MAX_TRACE_SEQUENCE) + 1).toString().padStart(7, '0');
     return routingPrefix + sequence;
   }
 
@@ -384,21 +646,46 @@ class NachaGenerator {
     }
   }
 
-  _validateEntryData(data) {
-    const required = ['routingNumber', 'accountNumber', 'amount', 'receivingCompanyName', 'vendorId'];
-    const missing = required.filter(f => !data[f]);
+  _validateEntryData(data, entryClass, transactionCode) {
+    const classes = NachaGenerator.ENTRY_CLASS_CODES;
+    const missing = ['routingNumber', 'accountNumber'].filter(f => !data[f]);
+    if (!data.individualName && !data.receivingCompanyName) {
+      missing.push(entryClass === classes.PPD || entryClass === classes.WEB ? 'individualName' : 'receivingCompanyName');
+    }
     if (missing.length) {
       throw new Error(`Missing entry fields: ${missing.join(', ')}`);
     }
     if (!NachaGenerator.validateRoutingNumber(data.routingNumber)) {
       throw new Error('Invalid routing number');
     }
-    if (isNaN(parseFloat(data.amount)) || parseFloat(data.amount) <= 0) {
+    if (!/^\d{2}$/.test(transactionCode)) {
+      throw new Error('Transaction code must be 2 digits');
+    }
+    if (NachaGenerator.isPrenoteCode(transactionCode)) {
+      if (parseFloat(data.amount || 0) !== 0) {
+        throw new Error('Prenote entries must be zero-dollar');
+      }
+    } else if (isNaN(parseFloat(data.amount)) || parseFloat(data.amount) <= 0) {
       throw new Error('Amount must be positive');
     }
-    if (data.accountNumber.length < 1 || data.accountNumber.length > 17) {
+    const maxAccountLength = entryClass === classes.IAT ? 35 : 17;
+    if (data.accountNumber.length < 1 || data.accountNumber.length > maxAccountLength) {
       throw new Error('Account number length invalid');
     }
+    if (entryClass === classes.IAT) {
+      const iat = data.iat || {};
+      const required = {
+        originator: ['name', 'streetAddress', 'city', 'country'],
+        odfi: ['name', 'id'],
+        rdfi: ['name', 'id', 'branchCountryCode'],
+        receiver: ['streetAddress', 'city', 'country']
+      };
+      const missingIat = Object.entries(required).flatMap(([party, fields]) =>
+        fields.filter(f => !(iat[party] || {})[f]).map(f => `iat.${party}.${f}`));
+      if (missingIat.length) {
+        throw new Error(`Missing IAT fields: ${missingIat.join(', ')}`);
+      }
+    }
   }
 
   /* -------- Static helpers -------- */
@@ -408,6 +695,93 @@ class NachaGenerator {
     const sum = rn.split('').reduce((s, d, i) => s + (parseInt(d, 10) * w[i]), 0);
     return sum % 10 === 0;
   }
+
+  /** Check digit that completes an 8-digit DFI identification to a routing number */
+  static routingCheckDigit(dfi) {
+    const w = [3, 7, 1, 3, 7, 1, 3, 7];
+    const sum = dfi.split('').reduce((s, d, i) => s + (parseInt(d, 10) * w[i]), 0);
+    return ((10 - (sum % 10)) % 10).toString();
+  }
+
+  /** True for debit transaction codes (live, prenote, zero-dollar and returns/NOCs) */
+  static isDebitCode(code) {
+    return ['26', '27', '28', '29', '36', '37', '38', '39', '46', '47', '48', '49'].includes(code);
+  }
+
+  /** True for prenote transaction codes */
+  static isPrenoteCode(code) {
+    return ['23', '28', '33', '38', '43', '48', '53'].includes(code);
+  }
+
+  /** Prenote code for a live transaction code (22 -> 23, 27 -> 28, ...) */
+  static prenoteCode(code) {
+    if (NachaGenerator.isPrenoteCode(code)) return code;
+    if (!/^\d[27]$/.test(code)) {
+      throw new Error(`Transaction code ${code} has no prenote code`);
+    }
+    return (parseInt(code, 10) + 1).toString();
+  }
+
+  /**
+   * Build ASC X12 820 (payment order/remittance advice) text for CTX
+   * addenda: an ISA/GS envelope around one 820 with an RMR per invoice
+   * @param {Object} remittance
+   * @param {string} remittance.payerName
+   * @param {string} remittance.payeeName
+   * @param {number} remittance.amount - Total paid
+   * @param {string} remittance.paymentDate - YYYY-MM-DD
+   * @param {string} [remittance.reference] - Payment reference (TRN)
+   * @param {string} [remittance.senderId] - Interchange sender ID
+   *   (defaults to the payer name)
+   * @param {string} [remittance.receiverId] - Interchange receiver ID
+   *   (defaults to the payee name)
+   * @param {number} [remittance.controlNumber=1] - Interchange control number
+   * @param {Array} remittance.invoices - [{ invoiceNumber, amountPaid,
+   *   invoiceAmount, discountAmount, invoiceDate (YYYY-MM-DD) }]
+   * @returns {string} Segments terminated by ~ with * element separators
+   */
+  static buildEdi820(remittance) {
+    // Separators may not appear in element data
+    const clean = value => String(value === undefined || value === null ? '' : value).replace(/[*~>\\^]/g, ' ').trim();
+    const money = value => (Math.round(parseFloat(value || 0) * 100) / 100).toFixed(2);
+    const ccyymmdd = value => clean(value).replace(/-/g, '');
+    const date = ccyymmdd(remittance.paymentDate);
+    const control = String(remittance.controlNumber || 1);
+    const senderId = (clean(remittance.senderId) || clean(remittance.payerName)).substring(0, 15);
+    const receiverId = (clean(remittance.receiverId) || clean(remittance.payeeName)).substring(0, 15);
+    const now = new Date();
+    const time = now.getHours().toString().padStart(2, '0') + now.getMinutes().toString().padStart(2, '0');
+
+    const transaction = [
+      ['ST', '820', '0001'],
+      ['BPR', 'C', money(remittance.amount), 'C', 'ACH', 'CTX', '', '', '', '', '', '', '', '', '', '', date],
+      ['TRN', '1', clean(remittance.reference) || control],
+      ['N1', 'PR', clean(remittance.payerName)],
+      ['N1', 'PE', clean(remittance.payeeName)],
+      ['ENT', '1']
+    ];
+    remittance.invoices.forEach(invoice => {
+      transaction.push(['RMR', 'IV', clean(invoice.invoiceNumber), '', money(invoice.amountPaid),
+        money(invoice.invoiceAmount === undefined ? invoice.amountPaid : invoice.invoiceAmount),
+        money(invoice.discountAmount)]);
+      if (invoice.invoiceDate) {
+        transaction.push(['DTM', '003', ccyymmdd(invoice.invoiceDate)]);
+      }
+    });
+    transaction.push(['SE', String(transaction.length + 1), '0001']);
+
+    const segments = [
+      ['ISA', '00', ''.padEnd(10, ' '), '00', ''.padEnd(10, ' '),
+        'ZZ', senderId.padEnd(15, ' '),
+        'ZZ', receiverId.padEnd(15, ' '),
+        date.substring(2), time, 'U', '00401', control.padStart(9, '0'), '0', 'P', '>'],
+      ['GS', 'RA', senderId, receiverId, date, time, control, 'X', '004010'],
+      ...transaction,
+      ['GE', '1', control],
+      ['IEA', '1', control.padStart(9, '0')]
+    ];
+    return segments.map(segment => segment.join('*') + '~').join('');
+  }
 }
 
 /* -------------------------------------------------------------------- *
@@ -419,7 +793,11 @@ NachaGenerator.TRANSACTION_CODES = {
   GL_CREDIT:       '42',
   CHECKING_DEBIT:  '27',
   SAVINGS_DEBIT:   '37',
-  GL_DEBIT:        '47'
+  GL_DEBIT:        '47',
+  CHECKING_CREDIT_PRENOTE: '23',
+  SAVINGS_CREDIT_PRENOTE:  '33',
+  CHECKING_DEBIT_PRENOTE:  '28',
+  SAVINGS_DEBIT_PRENOTE:   '38'
 };
 
 NachaGenerator.SERVICE_CLASS_CODES = {
@@ -432,7 +810,21 @@ NachaGenerator.ENTRY_CLASS_CODES = {
   CCD: 'CCD',
   PPD: 'PPD',
   CTX: 'CTX',
-  WEB: 'WEB'
+  WEB: 'WEB',
+  IAT: 'IAT'
 };
 
+// Payment related addenda records allowed per entry (IAT: type 17 records,
+// on top of its seven mandatory addenda)
+NachaGenerator.ADDENDA_LIMITS = {
+  CCD: 1,
+  PPD: 1,
+  WEB: 1,
+  CTX: 9999,
+  IAT: 2
+};
+
+// Largest 7-digit trace sequence; the sequence wraps to 1 after it
+NachaGenerator.MAX_TRACE_SEQUENCE = 9999999;
+
 module.exports = NachaGenerator;
@@ -0,0 +1,669 @@
+/**
+ * nacha-parser.js
+ *
+ * NACHA (ACH) file parser and validator for the Nonprofit Fund Accounting
+ * System
+ *
+ * The companion of nacha-generator.js: reads any NACHA file, whether one we
+ * generated or one that came back from the bank, into structured records,
+ * and checks it against the file format rules (record length, blocking,
+ * entry hash, batch and file control totals, routing number check digits
+ * and addenda indicators). Entry and addenda records are read with the
+ * layout of their batch's entry class (CCD, PPD, WEB, CTX, IAT). Problems
+ * are reported by line and field.
+ */
+
+const NachaGenerator = require('./nacha-generator');
+
+const RECORD_SIZE = 94;
+const BLOCKING_FACTOR = 10;
+const HASH_MODULUS = 10000000000;   // entry hashes keep their rightmost 10 digits
+
+/**
+ * Record layouts: [field, start, end, type] with 1-based inclusive
+ * positions. Type 'N' fields are numeric, '$' fields are amounts in cents
+ * (parsed to dollars), anything else is text (right-trimmed).
+ */
+const RECORD_LAYOUTS = {
+  1: [
+    ['recordTypeCode', 1, 1],
+    ['priorityCode', 2, 3, 'N'],
+    ['immediateDestination', 4, 13],
+    ['immediateOrigin', 14, 23],
+    ['fileCreationDate', 24, 29, 'N'],
+    ['fileCreationTime', 30, 33],
+    ['fileIdModifier', 34, 34],
+    ['recordSize', 35, 37, 'N'],
+    ['blockingFactor', 38, 39, 'N'],
+    ['formatCode', 40, 40],
+    ['immediateDestinationName', 41, 63],
+    ['immediateOriginName', 64, 86],
+    ['referenceCode', 87, 94]
+  ],
+  5: [
+    ['recordTypeCode', 1, 1],
+    ['serviceClassCode', 2, 4],
+    ['companyName', 5, 20],
+    ['companyDiscretionaryData', 21, 40],
+    ['companyIdentification', 41, 50],
+    ['standardEntryClassCode', 51, 53],
+    ['companyEntryDescription', 54, 63],
+    ['companyDescriptiveDate', 64, 69],
+    ['effectiveEntryDate', 70, 75],
+    ['settlementDate', 76, 78],
+    ['originatorStatusCode', 79, 79],
+    ['originatingDFIId', 80, 87],
+    ['batchNumber', 88, 94, 'N']
+  ],
+  6: [
+    ['recordTypeCode', 1, 1],
+    ['transactionCode', 2, 3],
+    ['receivingDFIId', 4, 11],
+    ['checkDigit', 12, 12],
+    ['DFIAccountNumber', 13, 29],
+    ['amount', 30, 39, '$'],
+    ['receivingCompanyId', 40, 54],
+    ['receivingCompanyName', 55, 76],
+    ['discretionaryData', 77, 78],
+    ['addendaRecordIndicator', 79, 79],
+    ['traceNumber', 80, 94]
+  ],
+  7: [
+    ['recordTypeCode', 1, 1],
+    ['addendaTypeCode', 2, 3],
+    ['paymentRelatedInformation', 4, 83],
+    ['addendaSequenceNumber', 84, 87, 'N'],
+    ['entryDetailSequenceNumber', 88, 94]
+  ],
+  8: [
+    ['recordTypeCode', 1, 1],
+    ['serviceClassCode', 2, 4],
+    ['entryAddendaCount', 5, 10, 'N'],
+    ['entryHash', 11, 20, 'N'],
+    ['totalDebitAmount', 21, 32, '$'],
+    ['totalCreditAmount', 33, 44, '$'],
+    ['companyIdentification', 45, 54],
+    ['messageAuthenticationCode', 55, 73],
+    ['reserved', 74, 79],
+    ['originatingDFIId', 80, 87],
+    ['batchNumber', 88, 94, 'N']
+  ],
+  9: [
+    ['recordTypeCode', 1, 1],
+    ['batchCount', 2, 7, 'N'],
+    ['blockCount', 8, 13, 'N'],
+    ['entryAddendaCount', 14, 21, 'N'],
+    ['entryHash', 22, 31, 'N'],
+    ['totalDebitAmount', 32, 43, '$'],
+    ['totalCreditAmount', 44, 55, '$'],
+    ['reserved', 56, 94]
+  ]
+};
+
+/** IAT Batch Header (replaces the type 5 layout for IAT batches) */
+const IAT_BATCH_HEADER_LAYOUT = [
+  ['recordTypeCode', 1, 1],
+  ['serviceClassCode', 2, 4],
+  ['iatIndicator', 5, 20],
+  ['foreignExchangeIndicator', 21, 22],
+  ['foreignExchangeReferenceIndicator', 23, 23],
+  ['foreignExchangeReference', 24, 38],
+  ['isoDestinationCountryCode', 39, 40],
+  ['companyIdentification', 41, 50],
+  ['standardEntryClassCode', 51, 53],
+  ['companyEntryDescription', 54, 63],
+  ['isoOriginatingCurrencyCode', 64, 66],
+  ['isoDestinationCurrencyCode', 67, 69],
+  ['effectiveEntryDate', 70, 75],
+  ['settlementDate', 76, 78],
+  ['originatorStatusCode', 79, 79],
+  ['originatingDFIId', 80, 87],
+  ['batchNumber', 88, 94, 'N']
+];
+
+/** Entry Detail layouts by entry class; other classes use the type 6 (CCD) layout */
+const ENTRY_LAYOUTS = {
+  PPD: [
+    ['recordTypeCode', 1, 1],
+    ['transactionCode', 2, 3],
+    ['receivingDFIId', 4, 11],
+    ['checkDigit', 12, 12],
+    ['DFIAccountNumber', 13, 29],
+    ['amount', 30, 39, '$'],
+    ['individualIdentificationNumber', 40, 54],
+    ['individualName', 55, 76],
+    ['discretionaryData', 77, 78],
+    ['addendaRecordIndicator', 79, 79],
+    ['traceNumber', 80, 94]
+  ],
+  CTX: [
+    ['recordTypeCode', 1, 1],
+    ['transactionCode', 2, 3],
+    ['receivingDFIId', 4, 11],
+    ['checkDigit', 12, 12],
+    ['DFIAccountNumber', 13, 29],
+    ['amount', 30, 39, '$'],
+    ['identificationNumber', 40, 54],
+    ['numberOfAddendaRecords', 55, 58, 'N'],
+    ['receivingCompanyName', 59, 74],
+    ['reserved', 75, 76],
+    ['discretionaryData', 77, 78],
+    ['addendaRecordIndicator', 79, 79],
+    ['traceNumber', 80, 94]
+  ],
+  IAT: [
+    ['recordTypeCode', 1, 1],
+    ['transactionCode', 2, 3],
+    ['receivingDFIId', 4, 11],
+    ['checkDigit', 12, 12],
+    ['numberOfAddendaRecords', 13, 16, 'N'],
+    ['reserved', 17, 29],
+    ['amount', 30, 39, '$'],
+    ['DFIAccountNumber', 40, 74],
+    ['reserved2', 75, 76],
+    ['gatewayOfacIndicator', 77, 77],
+    ['secondaryOfacIndicator', 78, 78],
+    ['addendaRecordIndicator', 79, 79],
+    ['traceNumber', 80, 94]
+  ]
+};
+ENTRY_LAYOUTS.WEB = ENTRY_LAYOUTS.PPD;
+
+/**
+ * Addenda layouts by addenda type code; 05, 17 and 18 (and unknown types)
+ * use the type 7 layout
+ */
+const ADDENDA_LAYOUTS = {
+  10: [
+    ['transactionTypeCode', 4, 6],
+    ['foreignPaymentAmount', 7, 24, '$'],
+    ['foreignTraceNumber', 25, 46],
+    ['receiverName', 47, 81]
+  ],
+  11: [['originatorName', 4, 38], ['originatorStreetAddress', 39, 73]],
+  12: [['originatorCityState', 4, 38], ['originatorCountryPostalCode', 39, 73]],
+  13: [
+    ['odfiName', 4, 38],
+    ['odfiIdQualifier', 39, 40],
+    ['odfiIdentification', 41, 74],
+    ['odfiBranchCountryCode', 75, 77]
+  ],
+  14: [
+    ['rdfiName', 4, 38],
+    ['rdfiIdQualifier', 39, 40],
+    ['rdfiIdentification', 41, 74],
+    ['rdfiBranchCountryCode', 75, 77]
+  ],
+  15: [['receiverIdentificationNumber', 4, 18], ['receiverStreetAddress', 19, 53]],
+  16: [['receiverCityState', 4, 38], ['receiverCountryPostalCode', 39, 73]]
+};
+// Return (99) and notification of change (98) addenda end with the
+// return/NOC entry's own trace number rather than an entry sequence number
+const RETURN_ADDENDA_LAYOUTS = {
+  98: [
+    ['recordTypeCode', 1, 1],
+    ['addendaTypeCode', 2, 3],
+    ['changeCode', 4, 6],
+    ['originalEntryTraceNumber', 7, 21],
+    ['reserved', 22, 27],
+    ['originalReceivingDFIId', 28, 35],
+    ['correctedData', 36, 64],
+    ['reserved2', 65, 79],
+    ['traceNumber', 80, 94]
+  ],
+  99: [
+    ['recordTypeCode', 1, 1],
+    ['addendaTypeCode', 2, 3],
+    ['returnReasonCode', 4, 6],
+    ['originalEntryTraceNumber', 7, 21],
+    ['dateOfDeath', 22, 27],
+    ['originalReceivingDFIId', 28, 35],
+    ['addendaInformation', 36, 79],
+    ['traceNumber', 80, 94]
+  ]
+};
+
+Object.keys(ADDENDA_LAYOUTS).forEach(typeCode => {
+  ADDENDA_LAYOUTS[typeCode] = [
+    ['recordTypeCode', 1, 1],
+    ['addendaTypeCode', 2, 3],
+    ...ADDENDA_LAYOUTS[typeCode],
+    ['entryDetailSequenceNumber', 88, 94]
+  ];
+});
+Object.assign(ADDENDA_LAYOUTS, RETURN_ADDENDA_LAYOUTS);
+
+/** The mandatory IAT addenda, in order */
+const IAT_MANDATORY_ADDENDA = ['10', '11', '12', '13', '14', '15', '16'];
+
+/**
+ * NACHA File Parser class
+ * Reads ACH files into records and validates them
+ */
+class NachaParser {
+  /**
+   * Split file content into records: one per line when the file has line
+   * breaks, otherwise consecutive 94-character records
+   * @param {string} content - NACHA file content
+   * @returns {string[]} Records
+   */
+  static splitRecords(content) {
+    const text = String(content || '').replace(/\r/g, '');
+    let records;
+    if (text.includes('\n')) {
+      records = text.split('\n');
+    } else {
+      records = [];
+      for (let i = 0; i < text.length; i += RECORD_SIZE) {
+        records.push(text.substring(i, i + RECORD_SIZE));
+      }
+    }
+    while (records.length && records[records.length - 1] === '') {
+      records.pop();
+    }
+    return records;
+  }
+
+  /**
+   * Parse one record by its layout
+   * @param {string} record - Record text
+   * @param {number} line - 1-based line number
+   * @param {Array} errors - Collects { line, field, message }
+   * @param {Array} [layout] - Layout to use instead of the record type's
+   * @returns {Object|null} The record's fields with its line, or null for
+   *   an unknown record type
+   */
+  static parseRecord(record, line, errors, layout = RECORD_LAYOUTS[record[0]]) {
+    if (!layout) {
+      return null;
+    }
+    const parsed = { line };
+    layout.forEach(([field, start, end, type]) => {
+      const raw = record.substring(start - 1, end);
+      if (type === 'N' || type === '$') {
+        if (!/^\d+$/.test(raw) || raw.length !== end - start + 1) {
+          errors.push({ line, field, message: `${field} must be ${end - start + 1} digits (found "${raw}")` });
+          parsed[field] = null;
+        } else {
+          parsed[field] = type === '$' ? parseInt(raw, 10) / 100 : parseInt(raw, 10);
+        }
+      } else {
+        parsed[field] = raw.trimEnd();
+      }
+    });
+    return parsed;
+  }
+
+  /**
+   * Layout of a record: batch headers, entries and addenda depend on the
+   * entry class and addenda type
+   * @param {string} record - Record text
+   * @param {Object|null} batch - The open batch
+   * @returns {Array|undefined}
+   */
+  static _layoutFor(record, batch) {
+    const entryClass = batch ? batch.header.standardEntryClassCode : null;
+    switch (record[0]) {
+      case '5':
+        return record.substring(50, 53) === 'IAT' ? IAT_BATCH_HEADER_LAYOUT : RECORD_LAYOUTS[5];
+      case '6':
+        return ENTRY_LAYOUTS[entryClass] || RECORD_LAYOUTS[6];
+      case '7':
+        return ADDENDA_LAYOUTS[record.substring(1, 3)] || RECORD_LAYOUTS[7];
+      default:
+        return RECORD_LAYOUTS[record[0]];
+    }
+  }
+
+  /**
+   * Parse a NACHA file into structured records. Structural problems (bad
+   * record order, unknown record types, non-numeric numeric fields) are
+   * collected in `errors` rather than thrown.
+   * @param {string} content - NACHA file content
+   * @returns {Object} { fileHeader, batches: [{ header, entries: [{ ...,
+   *   addenda: [] }], control }], fileControl, recordCount, paddingCount,
+   *   errors }
+   */
+  static parse(content) {
+    const records = NachaParser.splitRecords(content);
+    const errors = [];
+    const file = {
+      fileHeader: null,
+      batches: [],
+      fileControl: null,
+      recordCount: records.length,
+      paddingCount: 0,
+      errors
+    };
+    let batch = null;
+    let entry = null;
+
+    records.forEach((record, index) => {
+      const line = index + 1;
+      if (record.length !== RECORD_SIZE) {
+        errors.push({ line, field: 'record', message: `Record is ${record.length} characters; expected ${RECORD_SIZE}` });
+      }
+
+      if (file.fileControl) {
+        if (/^9+$/.test(record)) {
+          file.paddingCount += 1;
+        } else {
+          errors.push({ line, field: 'recordTypeCode', message: 'Only 9-filled padding records may follow the File Control record' });
+        }
+        return;
+      }
+
+      const parsed = NachaParser.parseRecord(record, line, errors, NachaParser._layoutFor(record, batch));
+      if (!parsed) {
+        errors.push({ line, field: 'recordTypeCode', message: `Unknown record type "${record[0] || ''}"` });
+        return;
+      }
+
+      switch (parsed.recordTypeCode) {
+        case '1':
+          if (line !== 1 || file.fileHeader) {
+            errors.push({ line, field: 'recordTypeCode', message: 'The File Header must be the first and only type 1 record' });
+          }
+          file.fileHeader = file.fileHeader || parsed;
+          break;
+        case '5':
+          if (batch) {
+            errors.push({ line, field: 'recordTypeCode', message: `Batch Header before the Batch Control of the batch at line ${batch.header.line}` });
+          }
+          batch = { header: parsed, entries: [], control: null };
+          entry = null;
+          file.batches.push(batch);
+          break;
+        case '6':
+          if (!batch) {
+            errors.push({ line, field: 'recordTypeCode', message: 'Entry Detail outside a batch' });
+            return;
+          }
+          entry = { ...parsed, addenda: [] };
+          batch.entries.push(entry);
+          break;
+        case '7':
+          if (!entry) {
+            errors.push({ line, field: 'recordTypeCode', message: 'Addenda record without an Entry Detail' });
+            return;
+          }
+          entry.addenda.push(parsed);
+          break;
+        case '8':
+          if (!batch) {
+            errors.push({ line, field: 'recordTypeCode', message: 'Batch Control without a Batch Header' });
+            return;
+          }
+          batch.control = parsed;
+          batch = null;
+          entry = null;
+          break;
+        case '9':
+          if (batch) {
+            errors.push({ line, field: 'recordTypeCode', message: `File Control before the Batch Control of the batch at line ${batch.header.line}` });
+          }
+          file.fileControl = parsed;
+          batch = null;
+          entry = null;
+          break;
+        default:
+          break;
+      }
+    });
+
+    if (!file.fileHeader) {
+      errors.push({ line: 1, field: 'recordTypeCode', message: 'The file has no File Header record' });
+    }
+    if (!file.fileControl) {
+      errors.push({ line: records.length, field: 'recordTypeCode', message: 'The file has no File Control record' });
+    }
+    return file;
+  }
+
+  /**
+   * Parse and validate a NACHA file
+   * @param {string} content - NACHA file content
+   * @returns {Object} { valid, errors: [{ line, field, message }], file }
+   */
+  static validate(content) {
+    const file = NachaParser.parse(content);
+    const errors = file.errors;
+    const error = (line, field, message) => errors.push({ line, field, message });
+
+    if (file.fileHeader) {
+      NachaParser._validateFileHeader(file.fileHeader, error);
+    }
+
+    let fileEntryAddendaCount = 0;
+    let fileEntryHash = 0;
+    let fileDebitCents = 0;
+    let fileCreditCents = 0;
+    let previousBatchNumber = 0;
+
+    file.batches.forEach(batch => {
+      const totals = NachaParser._validateBatch(batch, error);
+      fileEntryAddendaCount += totals.entryAddendaCount;
+      fileEntryHash += totals.entryHash;
+      fileDebitCents += totals.debitCents;
+      fileCreditCents += totals.creditCents;
+      const batchNumber = batch.header.batchNumber;
+      if (batchNumber !== null && batchNumber <= previousBatchNumber) {
+        error(batch.header.line, 'batchNumber', 'Batch numbers must be in ascending order');
+      }
+      previousBatchNumber = batchNumber || previousBatchNumber;
+    });
+
+    const recordsThroughControl = file.recordCount - file.paddingCount;
+    if (file.recordCount % BLOCKING_FACTOR !== 0) {
+      error(file.recordCount, 'record', `The file has ${file.recordCount} records; it must be padded with 9-filled records to a multiple of ${BLOCKING_FACTOR}`);
+    }
+    if (file.paddingCount >= BLOCKING_FACTOR) {
+      error(recordsThroughControl + 1, 'record', 'The file has a full block of padding records');
+    }
+
+    const control = file.fileControl;
+    if (control) {
+      const expected = {
+        batchCount: file.batches.length,
+        blockCount: Math.ceil(recordsThroughControl / BLOCKING_FACTOR),
+        entryAddendaCount: fileEntryAddendaCount,
+        entryHash: fileEntryHash % HASH_MODULUS
+      };
+      Object.entries(expected).forEach(([field, value]) => {
+        if (control[field] !== null && control[field] !== value) {
+          error(control.line, field, `File Control ${field} is ${control[field]}; the file has ${value}`);
+        }
+      });
+      NachaParser._checkAmount(control, 'totalDebitAmount', fileDebitCents, 'File Control', error);
+      NachaParser._checkAmount(control, 'totalCreditAmount', fileCreditCents, 'File Control', error);
+    }
+
+    errors.sort((a, b) => a.line - b.line);
+    delete file.errors;
+    return { valid: errors.length === 0, errors, file };
+  }
+
+  /* ------------------------------------------------------------------ *
+   * Record checks                                                      *
+   * ------------------------------------------------------------------ */
+
+  static _validateFileHeader(header, error) {
+    const destination = header.immediateDestination.trim();
+    if (!NachaGenerator.validateRoutingNumber(destination)) {
+      error(header.line, 'immediateDestination', `"${destination}" is not a valid routing number`);
+    }
+    if (header.recordSize !== null && header.recordSize !== RECORD_SIZE) {
+      error(header.line, 'recordSize', `Record size must be ${RECORD_SIZE}`);
+    }
+    if (header.blockingFactor !== null && header.blockingFactor !== BLOCKING_FACTOR) {
+      error(header.line, 'blockingFactor', `Blocking factor must be ${BLOCKING_FACTOR}`);
+    }
+    if (header.formatCode !== '1') {
+      error(header.line, 'formatCode', 'Format code must be 1');
+    }
+    if (!/^[A-Z0-9]$/.test(header.fileIdModifier)) {
+      error(header.line, 'fileIdModifier', 'File ID modifier must be A-Z or 0-9');
+    }
+  }
+
+  /**
+   * Check a batch's entries and addenda against its header and control
+   * @returns {Object} { entryAddendaCount, entryHash, debitCents, creditCents }
+   */
+  static _validateBatch(batch, error) {
+    const { header, control } = batch;
+    const serviceClasses = Object.values(NachaGenerator.SERVICE_CLASS_CODES);
+    if (!serviceClasses.includes(header.serviceClassCode)) {
+      error(header.line, 'serviceClassCode', `Service class code must be one of ${serviceClasses.join(', ')}`);
+    }
+    if (!/^[A-Z]{3}$/.test(header.standardEntryClassCode)) {
+      error(header.line, 'standardEntryClassCode', 'Standard entry class code must be three letters');
+    }
+    if (!/^\d{8}$/.test(header.originatingDFIId)) {
+      error(header.line, 'originatingDFIId', 'Originating DFI identification must be 8 digits');
+    }
+
+    let entryAddendaCount = 0;
+    let entryHash = 0;
+    let debitCents = 0;
+    let creditCents = 0;
+
+    batch.entries.forEach(entry => {
+      entryAddendaCount += 1 + entry.addenda.length;
+      const routingNumber = entry.receivingDFIId + entry.checkDigit;
+      if (!NachaGenerator.validateRoutingNumber(routingNumber)) {
+        error(entry.line, 'receivingDFIId', `"${routingNumber}" is not a valid routing number`);
+      }
+      if (/^\d{8}$/.test(entry.receivingDFIId)) {
+        entryHash += parseInt(entry.receivingDFIId, 10);
+      }
+      if (!/^\d{2}$/.test(entry.transactionCode)) {
+        error(entry.line, 'transactionCode', 'Transaction code must be 2 digits');
+      }
+
+      const cents = entry.amount === null ? 0 : Math.round(entry.amount * 100);
+      const isDebit = NachaGenerator.isDebitCode(entry.transactionCode);
+      if (isDebit) {
+        debitCents += cents;
+        if (header.serviceClassCode === NachaGenerator.SERVICE_CLASS_CODES.CREDITS_ONLY) {
+          error(entry.line, 'transactionCode', 'Debit entry in a credits-only (220) batch');
+        }
+      } else {
+        creditCents += cents;
+        if (header.serviceClassCode === NachaGenerator.SERVICE_CLASS_CODES.DEBITS_ONLY) {
+          error(entry.line, 'transactionCode', 'Credit entry in a debits-only (225) batch');
+        }
+      }
+
+      if (!/^\d{15}$/.test(entry.traceNumber)) {
+        error(entry.line, 'traceNumber', 'Trace number must be 15 digits');
+      } else if (!entry.traceNumber.startsWith(header.originatingDFIId)) {
+        error(entry.line, 'traceNumber', 'Trace number must start with the batch\'s originating DFI identification');
+      }
+
+      if (entry.addendaRecordIndicator === '1' && entry.addenda.length === 0) {
+        error(entry.line, 'addendaRecordIndicator', 'Addenda indicator is 1 but no addenda record follows');
+      } else if (entry.addendaRecordIndicator === '0' && entry.addenda.length > 0) {
+        error(entry.line, 'addendaRecordIndicator', `Addenda indicator is 0 but ${entry.addenda.length} addenda record(s) follow`);
+      } else if (!['0', '1'].includes(entry.addendaRecordIndicator)) {
+        error(entry.line, 'addendaRecordIndicator', 'Addenda indicator must be 0 or 1');
+      }
+      if (NachaGenerator.isPrenoteCode(entry.transactionCode) && cents !== 0) {
+        error(entry.line, 'amount', 'Prenote entries must be zero-dollar');
+      }
+      NachaParser._validateAddenda(entry, header.standardEntryClassCode, error);
+    });
+
+    if (!control) {
+      error(header.line, 'recordTypeCode', 'The batch has no Batch Control record');
+    } else {
+      const label = `Batch Control for batch ${header.batchNumber}`;
+      [
+        ['serviceClassCode', header.serviceClassCode],
+        ['companyIdentification', header.companyIdentification],
+        ['originatingDFIId', header.originatingDFIId],
+        ['batchNumber', header.batchNumber],
+        ['entryAddendaCount', entryAddendaCount],
+        ['entryHash', entryHash % HASH_MODULUS]
+      ].forEach(([field, value]) => {
+        if (control[field] !== null && control[field] !== value) {
+          error(control.line, field, `${label}: ${field} is ${control[field]}; expected ${value}`);
+        }
+      });
+      NachaParser._checkAmount(control, 'totalDebitAmount', debitCents, label, error);
+      NachaParser._checkAmount(control, 'totalCreditAmount', creditCents, label, error);
+    }
+
+    return { entryAddendaCount, entryHash, debitCents, creditCents };
+  }
+
+  /**
+   * Check an entry's addenda against its entry class: how many there may
+   * be, their types and sequence numbers, and the count carried by CTX and
+   * IAT entries
+   */
+  static _validateAddenda(entry, entryClass, error) {
+    const addenda = entry.addenda;
+    const limits = NachaGenerator.ADDENDA_LIMITS;
+    const isIat = entryClass === NachaGenerator.ENTRY_CLASS_CODES.IAT;
+    const paymentTypes = isIat ? ['17'] : ['05'];
+    let sequence = 0;
+
+    // A return or NOC entry carries one 99 or 98 addenda instead
+    if (addenda.some(record => record.addendaTypeCode in RETURN_ADDENDA_LAYOUTS)) {
+      if (addenda.length !== 1) {
+        error(entry.line, 'addendaRecordIndicator', 'Return and NOC entries carry exactly one addenda record');
+      }
+      addenda.forEach(record => {
+        if (record.traceNumber !== entry.traceNumber) {
+          error(record.line, 'traceNumber', 'Return/NOC addenda trace number must match its entry\'s trace number');
+        }
+        if (!/^\d{15}$/.test(record.originalEntryTraceNumber)) {
+          error(record.line, 'originalEntryTraceNumber', 'Original entry trace number must be 15 digits');
+        }
+      });
+      return;
+    }
+
+    addenda.forEach((record, index) => {
+      if (isIat && index < IAT_MANDATORY_ADDENDA.length) {
+        if (record.addendaTypeCode !== IAT_MANDATORY_ADDENDA[index]) {
+          error(record.line, 'addendaTypeCode', `IAT addenda ${index + 1} must be type ${IAT_MANDATORY_ADDENDA[index]}`);
+        }
+      } else if (paymentTypes.includes(record.addendaTypeCode)) {
+        sequence += 1;
+        if (record.addendaSequenceNumber !== null && record.addendaSequenceNumber !== sequence) {
+          error(record.line, 'addendaSequenceNumber', `Addenda sequence number should be ${sequence}`);
+        }
+      } else if (!(isIat && record.addendaTypeCode === '18')) {
+        error(record.line, 'addendaTypeCode', `Addenda type ${record.addendaTypeCode} is not allowed in a ${entryClass} batch`);
+      }
+      if (/^\d{15}$/.test(entry.traceNumber) && record.entryDetailSequenceNumber !== entry.traceNumber.substring(8)) {
+        error(record.line, 'entryDetailSequenceNumber', 'Entry detail sequence number must match the last 7 digits of the entry\'s trace number');
+      }
+    });
+
+    if (isIat && addenda.length < IAT_MANDATORY_ADDENDA.length) {
+      error(entry.line, 'addendaRecordIndicator', `IAT entries need the ${IAT_MANDATORY_ADDENDA.length} mandatory addenda (types 10-16); found ${addenda.length}`);
+    }
+    if (entryClass in limits && sequence > limits[entryClass]) {
+      error(entry.line, 'addendaRecordIndicator', `${entryClass} entries allow ${limits[entryClass]} payment related addenda record(s); found ${sequence}`);
+    }
+    if ('numberOfAddendaRecords' in entry && entry.numberOfAddendaRecords !== null
+        && entry.numberOfAddendaRecords !== addenda.length) {
+      error(entry.line, 'numberOfAddendaRecords', `Number of addenda records is ${entry.numberOfAddendaRecords}; ${addenda.length} follow`);
+    }
+  }
+
+  static _checkAmount(record, field, expectedCents, label, error) {
+    if (record[field] !== null && Math.round(record[field] * 100) !== expectedCents) {
+      error(record.line, field, `${label}: ${field} is ${record[field].toFixed(2)}; the entries total ${(expectedCents / 100).toFixed(2)}`);
+    }
+  }
+}
+
+NachaParser.RECORD_LAYOUTS = RECORD_LAYOUTS;
+NachaParser.ENTRY_LAYOUTS = ENTRY_LAYOUTS;
+NachaParser.ADDENDA_LAYOUTS = ADDENDA_LAYOUTS;
+
+module.exports = NachaParser;
@@ -0,0 +1,431 @@
+/**
+ * payment-approval-service.js
+ *
+ * Payment batch lifecycle with dual control:
+ *
+ *   draft -> pending_approval (submitted) -> approved -> file_generated
+ *         -> transmitted -> settled
+ *
+ * Submitting a batch copies each payment's vendor bank details onto the
+ * payment item, and the NACHA file is built from that copy. Changing a
+ * vendor bank account that pending or approved payments use resubmits
+ * their batches: approvals are cleared and the new details need approval.
+ *
+ * A submitted batch can be rejected back to draft, and a batch can be
+ * canceled until its NACHA file is generated. Approvers hold the Payment
+ * Approver or Administrator role, may not have created or submitted the
+ * batch (creating and editing batches needs an identified user), and may
+ * not approve a batch above their limit in payment_approval_limits (no row,
+ * or a NULL limit, means no limit). Batches above the NACHA settings'
+ * dual_approval_threshold need two different approvers.
+ *
+ * Every transition is written to payment_batch_transitions. NACHA files are
+ * only generated from approved batches (assertBatchApproved); settling a
+ * batch posts its bill payments (ap-service.js).
+ */
+
+const { createRequestError } = require('./request-error');
+const { canApprovePayments, isAdministrator } = require('./request-user');
+const { BATCH_STATUS, getPaymentBatch } = require('./vendor-payment-service');
+const { OPEN_ITEM_STATUSES, postBatchPayments } = require('./ap-service');
+const { roundAmount } = require('./financial-report-service');
+
+const BATCH_ACTION = {
+    SUBMIT: 'submit',
+    RESUBMIT: 'resubmit',
+    APPROVE: 'approve',
+    REJECT: 'reject',
+    CANCEL: 'cancel',
+    GENERATE: 'generate',
+    TRANSMIT: 'transmit',
+    SETTLE: 'settle'
+};
+
+/** Statuses each action starts from, and the status it moves the batch to */
+const TRANSITIONS = {
+    [BATCH_ACTION.SUBMIT]: { from: [BATCH_STATUS.DRAFT], to: BATCH_STATUS.PENDING_APPROVAL },
+    [BATCH_ACTION.RESUBMIT]: {
+        from: [BATCH_STATUS.PENDING_APPROVAL, BATCH_STATUS.APPROVED],
+        to: BATCH_STATUS.PENDING_APPROVAL
+    },
+    [BATCH_ACTION.APPROVE]: { from: [BATCH_STATUS.PENDING_APPROVAL], to: BATCH_STATUS.APPROVED },
+    [BATCH_ACTION.REJECT]: { from: [BATCH_STATUS.PENDING_APPROVAL], to: BATCH_STATUS.DRAFT },
+    [BATCH_ACTION.CANCEL]: {
+        from: [BATCH_STATUS.DRAFT, BATCH_STATUS.PENDING_APPROVAL, BATCH_STATUS.APPROVED],
+        to: BATCH_STATUS.CANCELED
+    },
+    [BATCH_ACTION.GENERATE]: { from: [BATCH_STATUS.APPROVED], to: BATCH_STATUS.FILE_GENERATED },
+    [BATCH_ACTION.TRANSMIT]: { from: [BATCH_STATUS.FILE_GENERATED], to: BATCH_STATUS.TRANSMITTED },
+    [BATCH_ACTION.SETTLE]: { from: [BATCH_STATUS.TRANSMITTED], to: BATCH_STATUS.SETTLED }
+};
+
+/**
+ * Lock a batch and check that an action may start from its status
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} batchId - payment_batches id
+ * @param {string} action - BATCH_ACTION value
+ * @param {Object|null} user - Acting user (required)
+ * @returns {Promise<Object>} The batch (getPaymentBatch)
+ */
+async function startTransition(client, batchId, action, user) {
+    if (!user) {
+        throw createRequestError(`Batch ${action} requires an identified user (X-User-Id)`, null, 403);
+    }
+    const batch = await getPaymentBatch(client, batchId, { forUpdate: true });
+    if (!TRANSITIONS[action].from.includes(batch.status)) {
+        throw createRequestError(`Cannot ${action} a payment batch that is ${batch.status.replace('_', ' ')}`, null, 409);
+    }
+    return batch;
+}
+
+/**
+ * Set a batch's status and log the transition
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} batch - Batch before the transition
+ * @param {string} action - BATCH_ACTION value
+ * @param {string} toStatus - New status (the same status for a first approval)
+ * @param {Object} user - Acting user
+ * @param {string|null} [note] - Reason or detail for the log
+ */
+async function recordTransition(client, batch, action, toStatus, user, note = null) {
+    await client.query('UPDATE payment_batches SET status = $1, updated_at = NOW() WHERE id = $2', [toStatus, batch.id]);
+    await client.query(
+        `INSERT INTO payment_batch_transitions
+            (payment_batch_id, action, from_status, to_status, user_id, user_name, note)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [batch.id, action, batch.status, toStatus, user.id, user.name, note]
+    );
+}
+
+/**
+ * Copy the vendor bank details of a batch's open payments onto the items
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} batchId - payment_batches id
+ */
+async function copyBankDetails(client, batchId) {
+    await client.query(
+        `UPDATE payment_items pi
+            SET bank_routing_number = vba.routing_number,
+                bank_account_number = vba.account_number,
+                bank_account_type = vba.account_type,
+                updated_at = NOW()
+           FROM vendor_bank_accounts vba
+          WHERE vba.id = pi.vendor_bank_account_id AND pi.payment_batch_id = $1 AND pi.status = ANY($2)`,
+        [batchId, OPEN_ITEM_STATUSES]
+    );
+}
+
+/**
+ * Submit a draft batch for approval
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} batchId - payment_batches id
+ * @param {Object|null} user - Acting user
+ * @returns {Promise<Object>} The batch
+ */
+async function submitBatch(client, batchId, user) {
+    const batch = await startTransition(client, batchId, BATCH_ACTION.SUBMIT, user);
+    if (batch.items.length === 0) {
+        throw createRequestError('A batch needs at least one payment before it is submitted', null, 409);
+    }
+    await copyBankDetails(client, batch.id);
+    await recordTransition(client, batch, BATCH_ACTION.SUBMIT, TRANSITIONS.submit.to, user);
+    return getPaymentBatch(client, batch.id);
+}
+
+/**
+ * Send the pending and approved batches paying a vendor bank account back
+ * for approval after the account's bank details changed: approvals are
+ * cleared and the new details copied onto the open payments
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} vendorBankAccountId - vendor_bank_accounts id
+ * @param {Object} user - User who changed the account
+ * @returns {Promise<Array<string>>} Batch numbers resubmitted
+ */
+async function resubmitBatchesForAccount(client, vendorBankAccountId, user) {
+    const { rows } = await client.query(
+        `SELECT DISTINCT pi.payment_batch_id
+           FROM payment_items pi
+           JOIN payment_batches pb ON pb.id = pi.payment_batch_id
+          WHERE pi.vendor_bank_account_id = $1 AND pi.status = ANY($2) AND pb.status = ANY($3)`,
+        [vendorBankAccountId, OPEN_ITEM_STATUSES, TRANSITIONS.resubmit.from]
+    );
+    const resubmitted = [];
+    for (const { payment_batch_id: batchId } of rows) {
+        const batch = await startTransition(client, batchId, BATCH_ACTION.RESUBMIT, user);
+        await client.query('DELETE FROM payment_batch_approvals WHERE payment_batch_id = $1', [batch.id]);
+        await client.query(
+            'UPDATE payment_batches SET approved_by = NULL, approved_at = NULL WHERE id = $1',
+            [batch.id]
+        );
+        await client.query(
+            `UPDATE payment_items SET status = 'pending', updated_at = NOW() WHERE payment_batch_id = $1 AND status = 'approved'`,
+            [batch.id]
+        );
+        await copyBankDetails(client, batch.id);
+        await recordTransition(client, batch, BATCH_ACTION.RESUBMIT, TRANSITIONS.resubmit.to, user,
+            'Vendor bank account changed; approval required again');
+        resubmitted.push(batch.batch_number);
+    }
+    return resubmitted;
+}
+
+/**
+ * Approvals a batch needs: two above the NACHA settings' dual approval
+ * threshold, otherwise one
+ * @param {Object} db - pg pool or client
+ * @param {Object} batch - The batch
+ * @returns {Promise<number>}
+ */
+async function requiredApprovals(db, batch) {
+    const { rows } = await db.query(
+        'SELECT dual_approval_threshold FROM company_nacha_settings WHERE id = $1',
+        [batch.nacha_settings_id]
+    );
+    const threshold = rows[0] && rows[0].dual_approval_threshold;
+    return threshold !== null && threshold !== undefined && parseFloat(batch.total_amount) > parseFloat(threshold) ? 2 : 1;
+}
+
+/**
+ * Record an approval of a submitted batch. The batch becomes approved once
+ * it has the approvals it needs; until then it stays pending_approval.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} batchId - payment_batches id
+ * @param {Object|null} user - Approving user
+ * @returns {Promise<Object>} The batch with approvals_required
+ */
+async function approveBatch(client, batchId, user) {
+    const batch = await startTransition(client, batchId, BATCH_ACTION.APPROVE, user);
+    if (!canApprovePayments(user)) {
+        throw createRequestError('Approving payment batches requires the Payment Approver or Administrator role', null, 403);
+    }
+    if (batch.created_by === user.id) {
+        throw createRequestError('A batch cannot be approved by the user who created it', null, 403);
+    }
+    const { rows: [submission] } = await client.query(
+        `SELECT user_id FROM payment_batch_transitions
+          WHERE payment_batch_id = $1 AND action = ANY($2) AND user_id = $3
+          LIMIT 1`,
+        [batch.id, [BATCH_ACTION.SUBMIT, BATCH_ACTION.RESUBMIT], user.id]
+    );
+    if (submission) {
+        throw createRequestError('A batch cannot be approved by the user who submitted it', null, 403);
+    }
+    if (batch.approvals.some(approval => approval.user_id === user.id)) {
+        throw createRequestError('You have already approved this batch; a second approver is required', null, 409);
+    }
+    const { rows: limits } = await client.query(
+        'SELECT approval_limit FROM payment_approval_limits WHERE user_id = $1',
+        [user.id]
+    );
+    const limit = limits[0] ? limits[0].approval_limit : null;
+    if (limit !== null && parseFloat(batch.total_amount) > parseFloat(limit)) {
+        throw createRequestError(
+            `The batch total ${roundAmount(batch.total_amount)} is above your approval limit of ${roundAmount(limit)}`,
+            null,
+            403
+        );
+    }
+
+    await client.query(
+        'INSERT INTO payment_batch_approvals (payment_batch_id, user_id) VALUES ($1, $2)',
+        [batch.id, user.id]
+    );
+    const required = await requiredApprovals(client, batch);
+    const count = batch.approvals.length + 1;
+    if (count < required) {
+        await recordTransition(client, batch, BATCH_ACTION.APPROVE, batch.status, user,
+            `Approval ${count} of ${required}`);
+    } else {
+        await recordTransition(client, batch, BATCH_ACTION.APPROVE, TRANSITIONS.approve.to, user,
+            required > 1 ? `Approval ${count} of ${required}` : null);
+        await client.query(
+            `UPDATE payment_batches SET approved_by = $1, approved_at = NOW() WHERE id = $2`,
+            [user.id, batch.id]
+        );
+        await client.query(
+            `UPDATE payment_items SET status = 'approved', updated_at = NOW() WHERE payment_batch_id = $1 AND status = 'pending'`,
+            [batch.id]
+        );
+    }
+    return { ...(await getPaymentBatch(client, batch.id)), approvals_required: required };
+}
+
+/**
+ * Reject a submitted batch back to draft, clearing its approvals
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} batchId - payment_batches id
+ * @param {Object|null} user - Acting user (an approver)
+ * @param {string} [reason] - Why the batch was rejected
+ * @returns {Promise<Object>} The batch
+ */
+async function rejectBatch(client, batchId, user, reason) {
+    const batch = await startTransition(client, batchId, BATCH_ACTION.REJECT, user);
+    if (!canApprovePayments(user)) {
+        throw createRequestError('Rejecting payment batches requires the Payment Approver or Administrator role', null, 403);
+    }
+    await client.query('DELETE FROM payment_batch_approvals WHERE payment_batch_id = $1', [batch.id]);
+    await recordTransition(client, batch, BATCH_ACTION.REJECT, TRANSITIONS.reject.to, user, reason || null);
+    return getPaymentBatch(client, batch.id);
+}
+
+/**
+ * Cancel a batch that has no NACHA file yet; its payments are canceled so
+ * the bills they pay can be selected again
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} batchId - payment_batches id
+ * @param {Object|null} user - Acting user
+ * @param {string} [reason] - Why the batch was canceled
+ * @returns {Promise<Object>} The batch
+ */
+async function cancelBatch(client, batchId, user, reason) {
+    const batch = await startTransition(client, batchId, BATCH_ACTION.CANCEL, user);
+    if (batch.status === BATCH_STATUS.APPROVED && !canApprovePayments(user)) {
+        throw createRequestError('Canceling an approved batch requires the Payment Approver or Administrator role', null, 403);
+    }
+    await client.query(
+        `UPDATE payment_items SET status = 'canceled', updated_at = NOW() WHERE payment_batch_id = $1 AND status = ANY($2)`,
+        [batch.id, OPEN_ITEM_STATUSES]
+    );
+    await recordTransition(client, batch, BATCH_ACTION.CANCEL, TRANSITIONS.cancel.to, user, reason || null);
+    return getPaymentBatch(client, batch.id);
+}
+
+/**
+ * Guard for NACHA file generation: the batch must be approved
+ * @param {Object} batch - The batch
+ */
+function assertBatchApproved(batch) {
+    if (batch.status !== BATCH_STATUS.APPROVED) {
+        throw createRequestError(
+            `A NACHA file can only be generated for an approved batch (batch is ${batch.status})`,
+            null,
+            409
+        );
+    }
+}
+
+/**
+ * Move an approved batch to file_generated once its NACHA file is saved
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} batchId - payment_batches id
+ * @param {Object|null} user - Acting user
+ * @param {string} [note] - e.g. the file name
+ * @returns {Promise<Object>} The batch
+ */
+async function markFileGenerated(client, batchId, user, note) {
+    const batch = await startTransition(client, batchId, BATCH_ACTION.GENERATE, user);
+    await recordTransition(client, batch, BATCH_ACTION.GENERATE, TRANSITIONS.generate.to, user, note || null);
+    return getPaymentBatch(client, batch.id);
+}
+
+/**
+ * Mark a batch's NACHA file as sent to the bank
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} batchId - payment_batches id
+ * @param {Object|null} user - Acting user
+ * @returns {Promise<Object>} The batch
+ */
+async function transmitBatch(client, batchId, user) {
+    const batch = await startTransition(client, batchId, BATCH_ACTION.TRANSMIT, user);
+    const { rows: files } = await client.query(
+        `UPDATE nacha_files
+            SET status = 'transmitted', transmitted_at = NOW(), transmitted_by = $1, updated_at = NOW()
+          WHERE payment_batch_id = $2 AND status = 'generated'
+          RETURNING file_name`,
+        [user.id, batch.id]
+    );
+    if (files.length === 0) {
+        throw createRequestError('The batch has no generated NACHA file to transmit', null, 409);
+    }
+    await recordTransition(client, batch, BATCH_ACTION.TRANSMIT, TRANSITIONS.transmit.to, user,
+        files.map(file => file.file_name).join(', '));
+    return getPaymentBatch(client, batch.id);
+}
+
+/**
+ * Settle a transmitted batch: post its bill payments and mark every open
+ * payment processed
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} batchId - payment_batches id
+ * @param {Object} options
+ * @param {string} [options.cashAccountId] - Cash account to credit instead
+ *   of the settlement bank account's
+ * @param {Object|null} options.user - Acting user
+ * @returns {Promise<Object>} The batch with journal_entry
+ */
+async function settleBatch(client, batchId, { cashAccountId, user }) {
+    const batch = await startTransition(client, batchId, BATCH_ACTION.SETTLE, user);
+    const { journal_entry } = await postBatchPayments(client, batch.id, { cashAccountId, user });
+    await client.query(
+        `UPDATE payment_items SET status = 'processed', updated_at = NOW() WHERE payment_batch_id = $1 AND status = ANY($2)`,
+        [batch.id, OPEN_ITEM_STATUSES]
+    );
+    await recordTransition(client, batch, BATCH_ACTION.SETTLE, TRANSITIONS.settle.to, user,
+        journal_entry ? `Posted ${journal_entry.reference_number}` : null);
+    return { ...(await getPaymentBatch(client, batch.id)), journal_entry };
+}
+
+/**
+ * A batch's transition log, oldest first
+ * @param {Object} db - pg pool or client
+ * @param {string} batchId - payment_batches id
+ * @returns {Promise<Array<Object>>}
+ */
+async function getBatchTransitions(db, batchId) {
+    const { rows } = await db.query(
+        `SELECT id, action, from_status, to_status, user_id, user_name, note, created_at
+           FROM payment_batch_transitions
+          WHERE payment_batch_id = $1
+          ORDER BY created_at, id`,
+        [batchId]
+    );
+    return rows;
+}
+
+/**
+ * Set a user's payment approval limit (Administrator only)
+ * @param {Object} db - pg pool or client
+ * @param {string} userId - users id
+ * @param {number|null} approvalLimit - Largest batch total; null for no limit
+ * @param {Object|null} actingUser - User making the change
+ * @returns {Promise<Object>} payment_approval_limits row
+ */
+async function setApprovalLimit(db, userId, approvalLimit, actingUser) {
+    if (!isAdministrator(actingUser)) {
+        throw createRequestError('Only an Administrator can set payment approval limits', null, 403);
+    }
+    const limit = approvalLimit === null || approvalLimit === undefined || approvalLimit === ''
+        ? null
+        : roundAmount(approvalLimit);
+    if (limit !== null && !(limit >= 0)) {
+        throw createRequestError('approval_limit must be zero or more, or null for no limit');
+    }
+    const { rows: users } = await db.query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (users.length === 0) {
+        throw createRequestError('User not found', null, 404);
+    }
+    const { rows } = await db.query(
+        `INSERT INTO payment_approval_limits (user_id, approval_limit)
+         VALUES ($1, $2)
+         ON CONFLICT (user_id) DO UPDATE SET approval_limit = EXCLUDED.approval_limit, updated_at = NOW()
+         RETURNING *`,
+        [userId, limit]
+    );
+    return rows[0];
+}
+
+module.exports = {
+    BATCH_ACTION,
+    TRANSITIONS,
+    submitBatch,
+    resubmitBatchesForAccount,
+    approveBatch,
+    rejectBatch,
+    cancelBatch,
+    assertBatchApproved,
+    markFileGenerated,
+    transmitBatch,
+    settleBatch,
+    getBatchTransitions,
+    setApprovalLimit
+};
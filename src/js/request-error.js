@@ -0,0 +1,24 @@
+/**
+ * request-error.js
+ *
+ * Errors carrying an HTTP status. The Express error handler in server.js
+ * reports any error with a `status` below 500 back to the client as-is.
+ */
+
+/**
+ * Build an Error that the Express error handler reports as a 4xx response
+ * @param {string} message - Human readable message
+ * @param {Object} [details] - Optional structured details for the client
+ * @param {number} [status=400] - HTTP status code
+ * @returns {Error} Error carrying `status` (and `details` when given)
+ */
+function createRequestError(message, details, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+}
+
+module.exports = { createRequestError };
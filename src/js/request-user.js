@@ -0,0 +1,90 @@
+/**
+ * request-user.js
+ *
+ * Resolves the user performing an API request. Clients identify the acting
+ * user with the `X-User-Id` header (a users.id value); routes that need a
+ * role check or an audit name look the user up through getRequestUser(),
+ * or through requireRequestUser() when the change must be attributable.
+ *
+ * The header is trusted as sent; there is no sign-in in this app. Role
+ * checks and separation of duties therefore rely on an authenticating
+ * reverse proxy setting X-User-Id from the signed-in user and discarding
+ * any value the client sent.
+ */
+
+const { createRequestError } = require('./request-error');
+
+const ADMINISTRATOR_ROLE = 'Administrator';
+const PAYMENT_APPROVER_ROLE = 'Payment Approver';
+
+/**
+ * Look up the acting user for a request
+ * @param {Object} db - pg pool or client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Active users row, or null when not identified
+ */
+async function getRequestUser(db, req) {
+    const userId = req.get('X-User-Id');
+    if (!userId) {
+        return null;
+    }
+
+    const { rows } = await db.query(
+        `SELECT id, name, email, role, status
+           FROM users
+          WHERE id::text = $1 AND status = 'Active'`,
+        [userId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Look up the acting user, refusing requests that do not identify one
+ * @param {Object} db - pg pool or client
+ * @param {Object} req - Express request
+ * @param {string} action - What the request does, for the error message
+ * @returns {Promise<Object>} Active users row
+ */
+async function requireRequestUser(db, req, action) {
+    const user = await getRequestUser(db, req);
+    if (!user) {
+        throw createRequestError(`${action} requires an identified user (X-User-Id)`, null, 403);
+    }
+    return user;
+}
+
+/**
+ * @param {Object|null} user - Row returned by getRequestUser()
+ * @returns {boolean} True when the user holds the Administrator role
+ */
+function isAdministrator(user) {
+    return Boolean(user && user.role === ADMINISTRATOR_ROLE);
+}
+
+/**
+ * @param {Object|null} user - Row returned by getRequestUser()
+ * @returns {boolean} True when the user may approve vendor payment batches
+ *   (Payment Approver or Administrator role)
+ */
+function canApprovePayments(user) {
+    return Boolean(user && [PAYMENT_APPROVER_ROLE, ADMINISTRATOR_ROLE].includes(user.role));
+}
+
+/**
+ * @param {Object|null} user - Row returned by getRequestUser()
+ * @returns {boolean} True when the user may see full bank account numbers
+ *   (Payment Approver or Administrator role)
+ */
+function canViewAccountNumbers(user) {
+    return canApprovePayments(user);
+}
+
+module.exports = {
+    ADMINISTRATOR_ROLE,
+    PAYMENT_APPROVER_ROLE,
+    getRequestUser,
+    requireRequestUser,
+    isAdministrator,
+    canApprovePayments,
+    canViewAccountNumbers
+};
@@ -0,0 +1,110 @@
+/**
+ * restriction-release-api.js
+ *
+ * API endpoints for releases of donor-restricted net assets: the proposed,
+ * posted and dismissed releases, posting or dismissing a proposal, running
+ * the time-restriction schedule, and the restriction register. Release rules
+ * live in restriction-release-service.js.
+ */
+
+const { withTransaction } = require('./db-transaction');
+const { getRequestUser } = require('./request-user');
+const {
+    getRestrictionRegister,
+    postRestrictionRelease,
+    dismissRestrictionRelease,
+    runScheduledReleases
+} = require('./restriction-release-service');
+
+/**
+ * Register restriction release API routes
+ * @param {Object} app - Express application
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+function registerRestrictionReleaseRoutes(app, pool) {
+    const asyncHandler = fn => (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+
+    /**
+     * GET /api/restriction-releases
+     * List releases, optionally filtered by entityId, fundId and status
+     */
+    app.get('/api/restriction-releases', asyncHandler(async (req, res) => {
+        const { entityId, fundId, status } = req.query;
+        const conditions = [];
+        const params = [];
+        if (entityId) {
+            params.push(entityId);
+            conditions.push(`r.entity_id = $${params.length}`);
+        }
+        if (fundId) {
+            params.push(fundId);
+            conditions.push(`r.fund_id = $${params.length}`);
+        }
+        if (status) {
+            params.push(status);
+            conditions.push(`r.status = $${params.length}`);
+        }
+        const { rows } = await pool.query(
+            `SELECT r.*, f.code AS fund_code, f.name AS fund_name,
+                    src.reference_number AS source_reference, je.reference_number AS release_reference
+               FROM restriction_releases r
+               JOIN funds f ON f.id = r.fund_id
+               LEFT JOIN journal_entries src ON src.id = r.source_journal_entry_id
+               LEFT JOIN journal_entries je ON je.id = r.journal_entry_id
+              ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+              ORDER BY r.release_date DESC, r.created_at DESC`,
+            params
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * POST /api/restriction-releases/:id/post
+     * Post a proposed release as a Release journal entry
+     */
+    app.post('/api/restriction-releases/:id/post', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        res.json(await withTransaction(pool, client => postRestrictionRelease(client, req.params.id, user)));
+    }));
+
+    /**
+     * POST /api/restriction-releases/:id/dismiss
+     * Body: { reason }
+     */
+    app.post('/api/restriction-releases/:id/dismiss', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { reason } = req.body || {};
+        res.json(await withTransaction(pool, client => dismissRestrictionRelease(client, req.params.id, { reason, user })));
+    }));
+
+    /**
+     * POST /api/restriction-releases/run-schedule
+     * Body: { entity_id, as_of_date }
+     * Post the time-restriction installments due by as_of_date (default today).
+     */
+    app.post('/api/restriction-releases/run-schedule', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { entity_id, as_of_date } = req.body || {};
+        const releases = await withTransaction(pool, client => runScheduledReleases(client, {
+            entityId: entity_id,
+            asOfDate: as_of_date || new Date().toISOString().split('T')[0],
+            user
+        }));
+        res.json({ releases });
+    }));
+
+    /**
+     * GET /api/restriction-register
+     * Query: entityId, asOfDate
+     * Per restricted fund: original amount, released so far, remaining and
+     * still-proposed amounts.
+     */
+    app.get('/api/restriction-register', asyncHandler(async (req, res) => {
+        const { entityId, asOfDate } = req.query;
+        res.json(await getRestrictionRegister(pool, { entityId, asOfDate }));
+    }));
+}
+
+module.exports = registerRestrictionReleaseRoutes;
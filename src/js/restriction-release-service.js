@@ -0,0 +1,579 @@
+/**
+ * restriction-release-service.js
+ *
+ * Releases of donor-restricted net assets. A Temporarily Restricted fund can
+ * be set up for automatic handling:
+ *   - Purpose restrictions: posting an entry that charges expense to the fund
+ *     proposes a release for that expense (or posts it at once when the fund's
+ *     release mode is Automatic).
+ *   - Time restrictions: the fund's restricted amount is released in equal
+ *     installments between release_start_date and release_end_date whenever
+ *     runScheduledReleases() is run.
+ * A release is a posted Release entry that debits the fund's release account
+ * on the restricted fund and credits it on the fund's unrestricted release
+ * fund; the Statement of Activities reports those lines as net assets
+ * released from restriction.
+ *
+ * The restriction register compares, per restricted fund, the original
+ * restricted amount (restricted revenue posted to the fund) with the amount
+ * released so far (all Release entries on the fund, including manual ones).
+ */
+
+const { createRequestError } = require('./request-error');
+const {
+    JOURNAL_ENTRY_STATUS,
+    ENTRY_TYPE,
+    POSTED_STATUSES,
+    saveJournalEntry,
+    reverseJournalEntry
+} = require('./journal-entry-service');
+const { roundAmount, requireDate } = require('./financial-report-service');
+
+const RESTRICTION_TYPE = {
+    PURPOSE: 'Purpose',
+    TIME: 'Time'
+};
+
+const RELEASE_MODE = {
+    PROPOSE: 'Propose',
+    AUTOMATIC: 'Automatic'
+};
+
+// Months between installments of a time restriction
+const RELEASE_FREQUENCY_MONTHS = {
+    Monthly: 1,
+    Quarterly: 3,
+    Annually: 12
+};
+
+const RELEASE_STATUS = {
+    PROPOSED: 'Proposed',
+    POSTED: 'Posted',
+    DISMISSED: 'Dismissed',
+    REVERSED: 'Reversed'
+};
+
+const TEMPORARILY_RESTRICTED = 'Temporarily Restricted';
+const PERMANENTLY_RESTRICTED = 'Permanently Restricted';
+
+/**
+ * Validate a fund's release settings. Only Temporarily Restricted funds carry
+ * them; for any other fund type they are cleared.
+ * @param {Object} db - pg pool or client
+ * @param {Object} fund - { entity_id, type, restriction_type, release_mode,
+ *   release_fund_id, release_account_id, release_start_date, release_end_date,
+ *   release_frequency }
+ * @returns {Promise<Object>} Normalised release settings
+ */
+async function normalizeFundRestriction(db, fund) {
+    const settings = {
+        restriction_type: null,
+        release_mode: null,
+        release_fund_id: null,
+        release_account_id: null,
+        release_start_date: null,
+        release_end_date: null,
+        release_frequency: null
+    };
+    if (fund.type !== TEMPORARILY_RESTRICTED || !fund.restriction_type) {
+        return settings;
+    }
+
+    const errors = [];
+    settings.restriction_type = fund.restriction_type;
+    settings.release_fund_id = fund.release_fund_id || null;
+    settings.release_account_id = fund.release_account_id || null;
+
+    if (!Object.values(RESTRICTION_TYPE).includes(fund.restriction_type)) {
+        errors.push(`Invalid restriction type "${fund.restriction_type}"`);
+    }
+    if (fund.restriction_type === RESTRICTION_TYPE.PURPOSE) {
+        settings.release_mode = fund.release_mode || RELEASE_MODE.PROPOSE;
+        if (!Object.values(RELEASE_MODE).includes(settings.release_mode)) {
+            errors.push(`Invalid release mode "${settings.release_mode}"`);
+        }
+    }
+    if (fund.restriction_type === RESTRICTION_TYPE.TIME) {
+        settings.release_start_date = fund.release_start_date || null;
+        settings.release_end_date = fund.release_end_date || null;
+        settings.release_frequency = fund.release_frequency || 'Monthly';
+        if (!settings.release_start_date || !settings.release_end_date) {
+            errors.push('A time restriction requires release start and end dates');
+        } else if (settings.release_start_date > settings.release_end_date) {
+            errors.push('The release start date must not be after the end date');
+        }
+        if (!RELEASE_FREQUENCY_MONTHS[settings.release_frequency]) {
+            errors.push(`Invalid release frequency "${settings.release_frequency}"`);
+        }
+    }
+
+    if (!settings.release_fund_id) {
+        errors.push('A release fund is required');
+    } else {
+        const { rows } = await db.query('SELECT entity_id, type FROM funds WHERE id = $1', [settings.release_fund_id]);
+        if (rows.length === 0 || rows[0].entity_id !== fund.entity_id) {
+            errors.push('The release fund must belong to the same entity');
+        } else if (rows[0].type !== 'Unrestricted') {
+            errors.push('The release fund must be Unrestricted');
+        }
+    }
+    if (!settings.release_account_id) {
+        errors.push('A release account is required');
+    } else {
+        const { rows } = await db.query('SELECT entity_id, type FROM accounts WHERE id = $1', [settings.release_account_id]);
+        if (rows.length === 0 || rows[0].entity_id !== fund.entity_id) {
+            errors.push('The release account must belong to the same entity');
+        } else if (!['Net Assets', 'Equity'].includes(rows[0].type)) {
+            errors.push('The release account must be a Net Assets account');
+        }
+    }
+
+    if (errors.length) {
+        throw createRequestError('Invalid restriction settings', { errors });
+    }
+    return settings;
+}
+
+/**
+ * Original, released and pending amounts of restricted funds
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} [options.entityId] - Funds of this entity
+ * @param {Array<string>} [options.fundIds] - Only these funds
+ * @param {string} [options.asOfDate] - Ledger cut-off (default: everything posted)
+ * @returns {Promise<Array<Object>>} One row per restricted fund
+ */
+async function queryRestrictedFunds(db, { entityId, fundIds, asOfDate }) {
+    const params = [POSTED_STATUSES, ENTRY_TYPE.RELEASE, ENTRY_TYPE.STANDARD, RELEASE_STATUS.PROPOSED];
+    const conditions = [`f.type IN ('${TEMPORARILY_RESTRICTED}', '${PERMANENTLY_RESTRICTED}')`];
+    let dateCondition = '';
+    if (entityId) {
+        params.push(entityId);
+        conditions.push(`f.entity_id = $${params.length}`);
+    }
+    if (fundIds) {
+        params.push(fundIds);
+        conditions.push(`f.id = ANY($${params.length}::uuid[])`);
+    }
+    if (asOfDate) {
+        params.push(asOfDate);
+        dateCondition = `AND je.entry_date <= $${params.length}`;
+    }
+
+    const { rows } = await db.query(
+        `SELECT f.id AS fund_id, f.entity_id, f.code, f.name, f.type, f.restriction_type,
+                f.release_mode, f.release_fund_id, f.release_account_id, f.release_frequency,
+                to_char(f.release_start_date, 'YYYY-MM-DD') AS release_start_date,
+                to_char(f.release_end_date, 'YYYY-MM-DD') AS release_end_date,
+                COALESCE(SUM(l.credit_amount - l.debit_amount)
+                         FILTER (WHERE l.account_type = 'Revenue' AND l.entry_type = $3), 0) AS original_amount,
+                COALESCE(SUM(l.debit_amount - l.credit_amount)
+                         FILTER (WHERE l.entry_type = $2), 0) AS released_amount,
+                (SELECT COALESCE(SUM(r.amount), 0) FROM restriction_releases r
+                  WHERE r.fund_id = f.id AND r.status = $4) AS pending_amount
+           FROM funds f
+           LEFT JOIN (
+               SELECT jel.fund_id, a.type AS account_type, COALESCE(je.entry_type, 'Standard') AS entry_type,
+                      jel.debit_amount, jel.credit_amount
+                 FROM journal_entry_lines jel
+                 JOIN journal_entries je ON je.id = jel.journal_entry_id
+                 JOIN accounts a ON a.id = jel.account_id
+                WHERE je.status = ANY($1) ${dateCondition}
+           ) l ON l.fund_id = f.id
+          WHERE ${conditions.join(' AND ')}
+          GROUP BY f.id
+          ORDER BY f.code`,
+        params
+    );
+    return rows.map(row => {
+        const original = roundAmount(row.original_amount);
+        const released = roundAmount(row.released_amount);
+        return {
+            ...row,
+            original_amount: original,
+            released_amount: released,
+            remaining_amount: roundAmount(original - released),
+            pending_amount: roundAmount(row.pending_amount)
+        };
+    });
+}
+
+/**
+ * Restriction register: for each restricted fund of an entity, the original
+ * restricted amount, the amount released so far and the remaining amount
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {string} options.entityId - Entity
+ * @param {string} [options.asOfDate] - YYYY-MM-DD (default today)
+ * @returns {Promise<{asOfDate: string, funds: Array<Object>, totals: Object}>}
+ */
+async function getRestrictionRegister(db, { entityId, asOfDate }) {
+    if (!entityId) {
+        throw createRequestError('entityId is required');
+    }
+    const date = asOfDate ? requireDate(asOfDate, 'asOfDate') : new Date().toISOString().split('T')[0];
+    const funds = await queryRestrictedFunds(db, { entityId, asOfDate: date });
+
+    const totals = { original_amount: 0, released_amount: 0, remaining_amount: 0, pending_amount: 0 };
+    funds.forEach(fund => {
+        Object.keys(totals).forEach(key => {
+            totals[key] += fund[key];
+        });
+    });
+    Object.keys(totals).forEach(key => {
+        totals[key] = roundAmount(totals[key]);
+    });
+    return { asOfDate: date, funds, totals };
+}
+
+/**
+ * Write and post the Release entry for a release row
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} release - restriction_releases row
+ * @param {Object} fund - Restricted fund row from queryRestrictedFunds()
+ * @param {Object|null} user - Acting user
+ * @param {string} description - Entry description
+ * @returns {Promise<Object>} Updated release row with its `journal_entry`
+ */
+async function postRelease(client, release, fund, user, description) {
+    const { rows: [{ count }] } = await client.query(
+        'SELECT COUNT(*)::int AS count FROM restriction_releases WHERE fund_id = $1 AND journal_entry_id IS NOT NULL',
+        [fund.fund_id]
+    );
+    const amount = parseFloat(release.amount);
+    const entry = await saveJournalEntry(
+        client,
+        {
+            entity_id: fund.entity_id,
+            entry_date: release.release_date,
+            reference_number: `REL-${fund.code}-${count + 1}`,
+            description,
+            status: JOURNAL_ENTRY_STATUS.POSTED,
+            created_by: user ? user.name : 'System',
+            entry_type: ENTRY_TYPE.RELEASE
+        },
+        [
+            {
+                account_id: fund.release_account_id,
+                fund_id: fund.fund_id,
+                debit_amount: amount,
+                credit_amount: 0,
+                description: `Released from ${fund.code}`
+            },
+            {
+                account_id: fund.release_account_id,
+                fund_id: fund.release_fund_id,
+                debit_amount: 0,
+                credit_amount: amount,
+                description: `Released from ${fund.code}`
+            }
+        ],
+        null,
+        { user }
+    );
+
+    const { rows } = await client.query(
+        `UPDATE restriction_releases
+            SET status = $1, journal_entry_id = $2, posted_at = NOW(), posted_by = $3, updated_at = NOW()
+          WHERE id = $4
+          RETURNING *`,
+        [RELEASE_STATUS.POSTED, entry.id, user ? user.name : 'System', release.id]
+    );
+    return { ...rows[0], journal_entry: entry };
+}
+
+/**
+ * Record a release row
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} data - { fund, release_type, amount, release_date, source_journal_entry_id, user }
+ * @returns {Promise<Object>} Inserted restriction_releases row
+ */
+async function insertRelease(client, data) {
+    const { rows } = await client.query(
+        `INSERT INTO restriction_releases
+            (entity_id, fund_id, release_type, source_journal_entry_id, amount, release_date, status, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+            data.fund.entity_id,
+            data.fund.fund_id,
+            data.release_type,
+            data.source_journal_entry_id || null,
+            data.amount,
+            data.release_date,
+            RELEASE_STATUS.PROPOSED,
+            data.user ? data.user.name : 'System'
+        ]
+    );
+    return { ...rows[0], release_date: data.release_date };
+}
+
+/**
+ * Propose releases for a just-posted entry that charges expense to
+ * purpose-restricted funds; funds in Automatic mode post the release at once.
+ * Each release is capped at what the fund still has to release.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} entry - Posted journal_entries row
+ * @param {Object|null} user - Acting user
+ * @returns {Promise<Array<Object>>} Release rows created
+ */
+async function proposePurposeReleases(client, entry, user) {
+    if ((entry.entry_type || ENTRY_TYPE.STANDARD) !== ENTRY_TYPE.STANDARD) {
+        return [];
+    }
+
+    const { rows: expenses } = await client.query(
+        `SELECT jel.fund_id, SUM(jel.debit_amount - jel.credit_amount) AS amount
+           FROM journal_entry_lines jel
+           JOIN accounts a ON a.id = jel.account_id
+           JOIN funds f ON f.id = jel.fund_id
+          WHERE jel.journal_entry_id = $1
+            AND a.type = 'Expense'
+            AND f.type = $2 AND f.restriction_type = $3
+          GROUP BY jel.fund_id
+         HAVING SUM(jel.debit_amount - jel.credit_amount) > 0`,
+        [entry.id, TEMPORARILY_RESTRICTED, RESTRICTION_TYPE.PURPOSE]
+    );
+    if (expenses.length === 0) {
+        return [];
+    }
+
+    const { rows: [{ entry_date: entryDate }] } = await client.query(
+        `SELECT to_char(entry_date, 'YYYY-MM-DD') AS entry_date FROM journal_entries WHERE id = $1`,
+        [entry.id]
+    );
+    const funds = await queryRestrictedFunds(client, { fundIds: expenses.map(row => row.fund_id) });
+    const releases = [];
+    for (const expense of expenses) {
+        const fund = funds.find(f => f.fund_id === expense.fund_id);
+        const available = roundAmount(fund.remaining_amount - fund.pending_amount);
+        const amount = Math.min(roundAmount(expense.amount), available);
+        if (amount <= 0) {
+            continue;
+        }
+
+        const release = await insertRelease(client, {
+            fund,
+            release_type: RESTRICTION_TYPE.PURPOSE,
+            amount,
+            release_date: entryDate,
+            source_journal_entry_id: entry.id,
+            user
+        });
+        releases.push(fund.release_mode === RELEASE_MODE.AUTOMATIC
+            ? await postRelease(client, release, fund, user,
+                `Release from restriction: ${fund.name} (${entry.reference_number || entry.id})`)
+            : release);
+    }
+    return releases;
+}
+
+/**
+ * Lock a release row
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} releaseId - restriction_releases id
+ * @returns {Promise<Object>} Row with release_date as YYYY-MM-DD
+ */
+async function lockRelease(client, releaseId) {
+    const { rows } = await client.query(
+        `SELECT *, to_char(release_date, 'YYYY-MM-DD') AS release_day
+           FROM restriction_releases WHERE id = $1 FOR UPDATE`,
+        [releaseId]
+    );
+    if (rows.length === 0) {
+        throw createRequestError('Restriction release not found', null, 404);
+    }
+    const { release_day: releaseDay, ...release } = rows[0];
+    return { ...release, release_date: releaseDay };
+}
+
+/**
+ * Post a proposed release
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} releaseId - restriction_releases id
+ * @param {Object|null} user - Acting user
+ * @returns {Promise<Object>} Posted release row with its `journal_entry`
+ */
+async function postRestrictionRelease(client, releaseId, user) {
+    const release = await lockRelease(client, releaseId);
+    if (release.status !== RELEASE_STATUS.PROPOSED) {
+        throw createRequestError(`Only proposed releases can be posted (release is ${release.status})`, null, 409);
+    }
+
+    const [fund] = await queryRestrictedFunds(client, { fundIds: [release.fund_id] });
+    if (!fund || !fund.restriction_type) {
+        throw createRequestError('The fund no longer has release settings', null, 409);
+    }
+    if (parseFloat(release.amount) > fund.remaining_amount) {
+        throw createRequestError(
+            `The release exceeds the fund's remaining restricted amount (${fund.remaining_amount.toFixed(2)})`,
+            { remaining_amount: fund.remaining_amount },
+            409
+        );
+    }
+
+    let source = '';
+    if (release.source_journal_entry_id) {
+        const { rows } = await client.query('SELECT reference_number FROM journal_entries WHERE id = $1', [release.source_journal_entry_id]);
+        source = ` (${(rows[0] && rows[0].reference_number) || release.source_journal_entry_id})`;
+    }
+    return postRelease(client, release, fund, user, `Release from restriction: ${fund.name}${source}`);
+}
+
+/**
+ * Dismiss a proposed release
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} releaseId - restriction_releases id
+ * @param {Object} options - { reason, user }
+ * @returns {Promise<Object>} Updated release row
+ */
+async function dismissRestrictionRelease(client, releaseId, { reason, user } = {}) {
+    const release = await lockRelease(client, releaseId);
+    if (release.status !== RELEASE_STATUS.PROPOSED) {
+        throw createRequestError(`Only proposed releases can be dismissed (release is ${release.status})`, null, 409);
+    }
+    const { rows } = await client.query(
+        `UPDATE restriction_releases
+            SET status = $1, notes = $2, updated_at = NOW()
+          WHERE id = $3
+          RETURNING *`,
+        [RELEASE_STATUS.DISMISSED, user ? `${reason || 'Dismissed'} (${user.name})` : reason || null, releaseId]
+    );
+    return rows[0];
+}
+
+/**
+ * Add whole months to a date, clamped to the end of the month
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {number} months - Months to add
+ * @returns {string} YYYY-MM-DD
+ */
+function addMonths(isoDate, months) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const shifted = new Date(Date.UTC(year, month - 1 + months, day));
+    if (shifted.getUTCDate() !== day) {
+        shifted.setUTCDate(0);
+    }
+    return shifted.toISOString().split('T')[0];
+}
+
+/**
+ * Post the installments of time-restricted funds that have fallen due by a
+ * date. Each run releases the cumulative scheduled amount less what has
+ * already been released, so missed runs catch up and reruns post nothing.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} options
+ * @param {string} options.entityId - Entity
+ * @param {string} options.asOfDate - YYYY-MM-DD; also the date of the entries
+ * @param {Object|null} options.user - Acting user
+ * @returns {Promise<Array<Object>>} Posted release rows
+ */
+async function runScheduledReleases(client, { entityId, asOfDate, user }) {
+    if (!entityId) {
+        throw createRequestError('entityId is required');
+    }
+    const date = requireDate(asOfDate, 'asOfDate');
+
+    const funds = (await queryRestrictedFunds(client, { entityId, asOfDate: date }))
+        .filter(fund => fund.type === TEMPORARILY_RESTRICTED &&
+            fund.restriction_type === RESTRICTION_TYPE.TIME &&
+            fund.release_start_date && fund.release_start_date <= date);
+
+    const releases = [];
+    for (const fund of funds) {
+        const step = RELEASE_FREQUENCY_MONTHS[fund.release_frequency] || 1;
+        let installments = 0;
+        let due = 0;
+        for (let d = fund.release_start_date; d <= fund.release_end_date; d = addMonths(fund.release_start_date, step * installments)) {
+            installments++;
+            if (d <= date) {
+                due = installments;
+            }
+        }
+
+        // The last installment releases whatever is left
+        const scheduled = due >= installments
+            ? fund.original_amount
+            : Math.round(fund.original_amount * 100 * due / installments) / 100;
+        const amount = roundAmount(scheduled - fund.released_amount - fund.pending_amount);
+        if (amount <= 0) {
+            continue;
+        }
+
+        const release = await insertRelease(client, {
+            fund,
+            release_type: RESTRICTION_TYPE.TIME,
+            amount,
+            release_date: date,
+            user
+        });
+        releases.push(await postRelease(client, release, fund, user,
+            `Scheduled release from restriction: ${fund.name} (installment ${due} of ${installments})`));
+    }
+    return releases;
+}
+
+/**
+ * Keep releases consistent when a posted entry is reversed: reversing a
+ * Release entry marks its release Reversed; reversing an expense entry
+ * dismisses the releases still proposed for it and reverses the ones posted.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} original - The reversed journal_entries row
+ * @param {Object} reversal - The reversing journal_entries row
+ * @param {Object|null} user - Acting user
+ * @returns {Promise<Array<Object>>} Release rows changed
+ */
+async function handleEntryReversal(client, original, reversal, user) {
+    if (original.entry_type === ENTRY_TYPE.RELEASE) {
+        const { rows } = await client.query(
+            `UPDATE restriction_releases SET status = $1, updated_at = NOW()
+              WHERE journal_entry_id = $2 AND status = $3
+              RETURNING *`,
+            [RELEASE_STATUS.REVERSED, original.id, RELEASE_STATUS.POSTED]
+        );
+        return rows;
+    }
+
+    const { rows: releases } = await client.query(
+        `SELECT * FROM restriction_releases
+          WHERE source_journal_entry_id = $1 AND status IN ($2, $3)
+          FOR UPDATE`,
+        [original.id, RELEASE_STATUS.PROPOSED, RELEASE_STATUS.POSTED]
+    );
+    const changed = [];
+    for (const release of releases) {
+        if (release.status === RELEASE_STATUS.POSTED) {
+            await reverseJournalEntry(client, release.journal_entry_id, {
+                reversal_date: reversal.entry_date,
+                description: `Reversal of release: source entry ${original.reference_number || original.id} reversed`,
+                created_by: user ? user.name : reversal.created_by,
+                user
+            });
+        }
+        const { rows } = await client.query(
+            `UPDATE restriction_releases SET status = $1, notes = $2, updated_at = NOW()
+              WHERE id = $3
+              RETURNING *`,
+            [
+                release.status === RELEASE_STATUS.POSTED ? RELEASE_STATUS.REVERSED : RELEASE_STATUS.DISMISSED,
+                'Source entry reversed',
+                release.id
+            ]
+        );
+        changed.push(rows[0]);
+    }
+    return changed;
+}
+
+module.exports = {
+    RESTRICTION_TYPE,
+    RELEASE_MODE,
+    RELEASE_STATUS,
+    normalizeFundRestriction,
+    getRestrictionRegister,
+    proposePurposeReleases,
+    postRestrictionRelease,
+    dismissRestrictionRelease,
+    runScheduledReleases,
+    handleEntryReversal
+};
@@ -0,0 +1,836 @@
+/**
+ * vendor-payment-api.js
+ *
+ * API endpoints behind the Vendor Payments page: vendors and their bank
+ * accounts, company NACHA settings, payment batches with their payment
+ * items and approval workflow, payment approval limits, and generated NACHA
+ * files, including validation of files returned by the bank. Validation
+ * lives in vendor-payment-service.js, the batch lifecycle in
+ * payment-approval-service.js and file generation in nacha-file-service.js;
+ * selecting bills into a batch is in ap-api.js. Bank account numbers are
+ * stored encrypted and returned masked (account-encryption-service.js).
+ */
+
+const fs = require('fs');
+const multer = require('multer');
+const { createRequestError } = require('./request-error');
+const { withTransaction } = require('./db-transaction');
+const { getRequestUser, requireRequestUser } = require('./request-user');
+const {
+    PRENOTE_STATUS,
+    BATCH_STATUS,
+    BATCH_SELECT,
+    normalizeVendor,
+    normalizeVendorBankAccount,
+    normalizeNachaSettings,
+    normalizePaymentBatch,
+    normalizePaymentItem,
+    getVendorHeader,
+    getPaymentBatch,
+    refreshBatchTotals,
+    nextBatchNumber
+} = require('./vendor-payment-service');
+const {
+    submitBatch,
+    resubmitBatchesForAccount,
+    approveBatch,
+    rejectBatch,
+    cancelBatch,
+    transmitBatch,
+    settleBatch,
+    getBatchTransitions,
+    setApprovalLimit
+} = require('./payment-approval-service');
+const NachaParser = require('./nacha-parser');
+const {
+    ACCESS_RECORD,
+    encryptAccountNumber,
+    decryptAccountNumber,
+    withMaskedAccountNumbers,
+    resolveSubmittedAccountNumber,
+    authorizeAccountNumberAccess,
+    revealAccountNumber
+} = require('./account-encryption-service');
+const {
+    NACHA_FILE_COLUMNS,
+    generateBatchFile,
+    generatePrenoteFile,
+    getNachaFile,
+    withMaskedRecords,
+    validateNachaFile
+} = require('./nacha-file-service');
+
+const VENDOR_COLUMNS = [
+    'entity_id',
+    'vendor_code',
+    'name',
+    'tax_id',
+    'contact_name',
+    'email',
+    'phone',
+    'address_line1',
+    'address_line2',
+    'city',
+    'state',
+    'postal_code',
+    'country',
+    'vendor_type',
+    'status',
+    'notes'
+];
+
+const BANK_ACCOUNT_COLUMNS = [
+    'account_name',
+    'routing_number',
+    'account_number',
+    'account_type',
+    'is_primary',
+    'status'
+];
+
+const NACHA_SETTINGS_COLUMNS = [
+    'entity_id',
+    'company_name',
+    'company_id',
+    'originating_dfi_id',
+    'company_entry_description',
+    'settlement_account_id',
+    'is_production',
+    'dual_approval_threshold'
+];
+
+const BATCH_COLUMNS = [
+    'entity_id',
+    'fund_id',
+    'nacha_settings_id',
+    'batch_date',
+    'effective_date',
+    'description'
+];
+
+const ITEM_COLUMNS = [
+    'vendor_id',
+    'vendor_bank_account_id',
+    'amount',
+    'memo',
+    'invoice_number',
+    'invoice_date',
+    'due_date'
+];
+
+/**
+ * Register vendor payment API routes
+ * @param {Object} app - Express application
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+function registerVendorPaymentRoutes(app, pool) {
+    const asyncHandler = fn => (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+    const upload = multer({ dest: 'uploads/' });
+
+    /**
+     * Map a unique-constraint violation to a 409 with a readable message
+     * @param {Error} error - pg error
+     * @param {string} message - Message for the conflict
+     */
+    function rethrowConflict(error, message) {
+        if (error.code === '23505') {
+            throw createRequestError(message, null, 409);
+        }
+        throw error;
+    }
+
+    /**
+     * Clear the primary flag on a vendor's other bank accounts
+     * @param {Object} client - pg client (inside a transaction)
+     * @param {string} vendorId - vendors id
+     * @param {string} keepId - The account that stays primary
+     */
+    async function clearOtherPrimary(client, vendorId, keepId) {
+        await client.query(
+            'UPDATE vendor_bank_accounts SET is_primary = FALSE, updated_at = NOW() WHERE vendor_id = $1 AND id <> $2 AND is_primary',
+            [vendorId, keepId]
+        );
+    }
+
+    /**
+     * Load a draft batch for changes to its items, locking it
+     * @param {Object} client - pg client (inside a transaction)
+     * @param {string} batchId - payment_batches id
+     * @returns {Promise<Object>}
+     */
+    async function getDraftBatch(client, batchId) {
+        const batch = await getPaymentBatch(client, batchId, { forUpdate: true });
+        if (batch.status !== BATCH_STATUS.DRAFT) {
+            throw createRequestError(`Only draft batches can be changed (batch is ${batch.status})`, null, 409);
+        }
+        return batch;
+    }
+
+    /**
+     * GET /api/vendors
+     * Query: entityId, status, search
+     * Vendors with their number of active bank accounts
+     */
+    app.get('/api/vendors', asyncHandler(async (req, res) => {
+        const { entityId, status, search } = req.query;
+        const conditions = [];
+        const params = [];
+        if (entityId) {
+            params.push(entityId);
+            conditions.push(`(v.entity_id = $${params.length} OR v.entity_id IS NULL)`);
+        }
+        if (status) {
+            params.push(status);
+            conditions.push(`v.status = $${params.length}`);
+        }
+        if (search) {
+            params.push(`%${search}%`);
+            conditions.push(`(v.name ILIKE $${params.length} OR v.vendor_code ILIKE $${params.length})`);
+        }
+        const { rows } = await pool.query(
+            `SELECT v.*,
+                    (SELECT COUNT(*)::int FROM vendor_bank_accounts vba
+                      WHERE vba.vendor_id = v.id AND vba.status = 'active') AS bank_account_count
+               FROM vendors v
+              ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+              ORDER BY v.name`,
+            params
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * GET /api/vendors/:id
+     */
+    app.get('/api/vendors/:id', asyncHandler(async (req, res) => {
+        res.json(await getVendorHeader(pool, req.params.id));
+    }));
+
+    /**
+     * POST /api/vendors
+     * Body: vendor columns (vendor_code and name required)
+     */
+    app.post('/api/vendors', asyncHandler(async (req, res) => {
+        const vendor = normalizeVendor(req.body || {});
+        const { rows } = await pool.query(
+            `INSERT INTO vendors (${VENDOR_COLUMNS.join(', ')})
+             VALUES (${VENDOR_COLUMNS.map((column, index) => `$${index + 1}`).join(', ')})
+             RETURNING *`,
+            VENDOR_COLUMNS.map(column => vendor[column])
+        ).catch(error => rethrowConflict(error, `Vendor code ${vendor.vendor_code} is already in use`));
+        res.status(201).json(rows[0]);
+    }));
+
+    /**
+     * PUT /api/vendors/:id
+     * Same body as POST
+     */
+    app.put('/api/vendors/:id', asyncHandler(async (req, res) => {
+        const existing = await getVendorHeader(pool, req.params.id);
+        const vendor = normalizeVendor(req.body || {});
+        const { rows } = await pool.query(
+            `UPDATE vendors
+                SET ${VENDOR_COLUMNS.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = NOW()
+              WHERE id = $${VENDOR_COLUMNS.length + 1}
+              RETURNING *`,
+            [...VENDOR_COLUMNS.map(column => vendor[column]), existing.id]
+        ).catch(error => rethrowConflict(error, `Vendor code ${vendor.vendor_code} is already in use`));
+        res.json(rows[0]);
+    }));
+
+    /**
+     * DELETE /api/vendors/:id
+     * Only vendors without payments or bills can be deleted
+     */
+    app.delete('/api/vendors/:id', asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { rows: [{ count }] } = await pool.query(
+            `SELECT (SELECT COUNT(*) FROM payment_items WHERE vendor_id = $1) + (SELECT COUNT(*) FROM bills WHERE vendor_id = $1) AS count`,
+            [id]
+        );
+        if (Number(count) > 0) {
+            throw createRequestError('Vendors with payments or bills cannot be deleted; set them inactive instead', null, 409);
+        }
+        const { rowCount } = await pool.query('DELETE FROM vendors WHERE id = $1', [id]);
+        if (rowCount === 0) {
+            return res.status(404).json({ message: 'Vendor not found' });
+        }
+        res.status(204).send();
+    }));
+
+    /**
+     * GET /api/vendors/:id/bank-accounts
+     * The vendor's bank accounts, primary first, with masked account numbers
+     */
+    app.get('/api/vendors/:id/bank-accounts', asyncHandler(async (req, res) => {
+        const vendor = await getVendorHeader(pool, req.params.id);
+        const { rows } = await pool.query(
+            'SELECT * FROM vendor_bank_accounts WHERE vendor_id = $1 ORDER BY is_primary DESC, account_name',
+            [vendor.id]
+        );
+        res.json(withMaskedAccountNumbers(rows));
+    }));
+
+    /**
+     * GET /api/vendors/:id/bank-accounts/:accountId/account-number
+     * The full account number: { id, account_number }. Payment Approver or
+     * Administrator only; every request is recorded in the access log.
+     */
+    app.get('/api/vendors/:id/bank-accounts/:accountId/account-number', asyncHandler(async (req, res) => {
+        res.json(await revealAccountNumber(pool, req, ACCESS_RECORD.VENDOR_BANK_ACCOUNT, req.params.accountId, {
+            vendorId: req.params.id
+        }));
+    }));
+
+    /**
+     * POST /api/vendors/:id/bank-accounts
+     * Body: { account_name, routing_number, account_number, account_type,
+     *         is_primary, status }
+     * A vendor's first account is its primary account; every new account is
+     * pending a prenote
+     */
+    app.post('/api/vendors/:id/bank-accounts', asyncHandler(async (req, res) => {
+        await requireRequestUser(pool, req, 'Adding a vendor bank account');
+        const vendor = await getVendorHeader(pool, req.params.id);
+        const account = normalizeVendorBankAccount(req.body || {});
+        const saved = await withTransaction(pool, async client => {
+            const { rows: [{ count }] } = await client.query(
+                'SELECT COUNT(*) AS count FROM vendor_bank_accounts WHERE vendor_id = $1',
+                [vendor.id]
+            );
+            if (Number(count) === 0) {
+                account.is_primary = true;
+            }
+            account.account_number = encryptAccountNumber(account.account_number);
+            const { rows } = await client.query(
+                `INSERT INTO vendor_bank_accounts (vendor_id, prenote_status, ${BANK_ACCOUNT_COLUMNS.join(', ')})
+                 VALUES ($1, $2, ${BANK_ACCOUNT_COLUMNS.map((column, index) => `$${index + 3}`).join(', ')})
+                 RETURNING *`,
+                [vendor.id, PRENOTE_STATUS.PENDING, ...BANK_ACCOUNT_COLUMNS.map(column => account[column])]
+            );
+            if (account.is_primary) {
+                await clearOtherPrimary(client, vendor.id, rows[0].id);
+            }
+            return rows[0];
+        });
+        res.status(201).json(withMaskedAccountNumbers([saved])[0]);
+    }));
+
+    /**
+     * PUT /api/vendors/:id/bank-accounts/:accountId
+     * Same body as POST; an account_number left out or sent back masked
+     * keeps the current number. Changing the routing number, account number
+     * or account type sends pending and approved batches paying the account
+     * back for approval (resubmitted_batches in the response) and makes the
+     * account pending a new prenote.
+     */
+    app.put('/api/vendors/:id/bank-accounts/:accountId', asyncHandler(async (req, res) => {
+        const user = await requireRequestUser(pool, req, 'Changing a vendor bank account');
+        const saved = await withTransaction(pool, async client => {
+            const { rows: [current] } = await client.query(
+                `SELECT routing_number, account_number, account_type
+                   FROM vendor_bank_accounts
+                  WHERE id = $1 AND vendor_id = $2
+                  FOR UPDATE`,
+                [req.params.accountId, req.params.id]
+            );
+            if (!current) {
+                throw createRequestError('Vendor bank account not found', null, 404);
+            }
+            const body = req.body || {};
+            const account = normalizeVendorBankAccount({
+                ...body,
+                account_number: resolveSubmittedAccountNumber(body.account_number, current.account_number)
+            });
+            const detailsChanged = account.routing_number !== current.routing_number
+                || account.account_type !== current.account_type
+                || account.account_number !== decryptAccountNumber(current.account_number);
+            account.account_number = encryptAccountNumber(account.account_number);
+            const { rows } = await client.query(
+                `UPDATE vendor_bank_accounts
+                    SET ${BANK_ACCOUNT_COLUMNS.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = NOW()
+                  WHERE id = $${BANK_ACCOUNT_COLUMNS.length + 1} AND vendor_id = $${BANK_ACCOUNT_COLUMNS.length + 2}
+                  RETURNING *`,
+                [...BANK_ACCOUNT_COLUMNS.map(column => account[column]), req.params.accountId, req.params.id]
+            );
+            if (account.is_primary) {
+                await clearOtherPrimary(client, req.params.id, rows[0].id);
+            }
+            if (!detailsChanged) {
+                return { ...rows[0], resubmitted_batches: [] };
+            }
+            const { rows: [pending] } = await client.query(
+                `UPDATE vendor_bank_accounts
+                    SET prenote_status = $1, prenote_trace_number = NULL, prenote_sent_at = NULL, prenote_file_id = NULL
+                  WHERE id = $2
+                  RETURNING *`,
+                [PRENOTE_STATUS.PENDING, rows[0].id]
+            );
+            return { ...pending, resubmitted_batches: await resubmitBatchesForAccount(client, rows[0].id, user) };
+        });
+        res.json(withMaskedAccountNumbers([saved])[0]);
+    }));
+
+    /**
+     * DELETE /api/vendors/:id/bank-accounts/:accountId
+     * Accounts used by payment items cannot be deleted
+     */
+    app.delete('/api/vendors/:id/bank-accounts/:accountId', asyncHandler(async (req, res) => {
+        await requireRequestUser(pool, req, 'Deleting a vendor bank account');
+        const { id, accountId } = req.params;
+        const { rows: [{ count }] } = await pool.query(
+            'SELECT COUNT(*) AS count FROM payment_items WHERE vendor_bank_account_id = $1',
+            [accountId]
+        );
+        if (Number(count) > 0) {
+            throw createRequestError('Bank accounts used by payments cannot be deleted; set them inactive instead', null, 409);
+        }
+        const { rowCount } = await pool.query(
+            'DELETE FROM vendor_bank_accounts WHERE id = $1 AND vendor_id = $2',
+            [accountId, id]
+        );
+        if (rowCount === 0) {
+            return res.status(404).json({ message: 'Vendor bank account not found' });
+        }
+        res.status(204).send();
+    }));
+
+    /**
+     * GET /api/nacha-settings
+     * Query: entityId
+     * Company NACHA settings with their settlement bank account
+     */
+    app.get('/api/nacha-settings', asyncHandler(async (req, res) => {
+        const { entityId } = req.query;
+        const { rows } = await pool.query(
+            `SELECT ns.*, e.name AS entity_name, ba.account_name AS settlement_account_name,
+                    ba.bank_name AS settlement_bank_name
+               FROM company_nacha_settings ns
+               LEFT JOIN entities e ON e.id = ns.entity_id
+               LEFT JOIN bank_accounts ba ON ba.id = ns.settlement_account_id
+              ${entityId ? 'WHERE ns.entity_id = $1' : ''}
+              ORDER BY ns.company_name`,
+            entityId ? [entityId] : []
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * POST /api/nacha-settings
+     * Body: { entity_id, company_name, company_id, originating_dfi_id,
+     *         company_entry_description, settlement_account_id, is_production,
+     *         dual_approval_threshold }
+     * Batches above dual_approval_threshold need two approvers
+     */
+    app.post('/api/nacha-settings', asyncHandler(async (req, res) => {
+        const settings = await normalizeNachaSettings(pool, req.body || {});
+        const { rows } = await pool.query(
+            `INSERT INTO company_nacha_settings (${NACHA_SETTINGS_COLUMNS.join(', ')})
+             VALUES (${NACHA_SETTINGS_COLUMNS.map((column, index) => `$${index + 1}`).join(', ')})
+             RETURNING *`,
+            NACHA_SETTINGS_COLUMNS.map(column => settings[column])
+        );
+        res.status(201).json(rows[0]);
+    }));
+
+    /**
+     * PUT /api/nacha-settings/:id
+     * Same body as POST
+     */
+    app.put('/api/nacha-settings/:id', asyncHandler(async (req, res) => {
+        const settings = await normalizeNachaSettings(pool, req.body || {});
+        const { rows } = await pool.query(
+            `UPDATE company_nacha_settings
+                SET ${NACHA_SETTINGS_COLUMNS.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = NOW()
+              WHERE id = $${NACHA_SETTINGS_COLUMNS.length + 1}
+              RETURNING *`,
+            [...NACHA_SETTINGS_COLUMNS.map(column => settings[column]), req.params.id]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'NACHA settings not found' });
+        }
+        res.json(rows[0]);
+    }));
+
+    /**
+     * DELETE /api/nacha-settings/:id
+     * Settings used by a payment batch cannot be deleted
+     */
+    app.delete('/api/nacha-settings/:id', asyncHandler(async (req, res) => {
+        const { rows: [{ count }] } = await pool.query(
+            'SELECT COUNT(*) AS count FROM payment_batches WHERE nacha_settings_id = $1',
+            [req.params.id]
+        );
+        if (Number(count) > 0) {
+            throw createRequestError('NACHA settings used by payment batches cannot be deleted', null, 409);
+        }
+        const { rowCount } = await pool.query('DELETE FROM company_nacha_settings WHERE id = $1', [req.params.id]);
+        if (rowCount === 0) {
+            return res.status(404).json({ message: 'NACHA settings not found' });
+        }
+        res.status(204).send();
+    }));
+
+    /**
+     * POST /api/nacha-settings/:id/prenotes
+     * Body: { vendor_bank_account_ids, effective_date }
+     * Generate a prenote file for the vendor bank accounts pending a
+     * prenote (all of them when no ids are given) and mark them sent:
+     * { file, accounts }
+     */
+    app.post('/api/nacha-settings/:id/prenotes', asyncHandler(async (req, res) => {
+        const user = await requireRequestUser(pool, req, 'Generating a prenote file');
+        const { vendor_bank_account_ids, effective_date } = req.body || {};
+        const result = await withTransaction(pool, client => generatePrenoteFile(client, req.params.id, {
+            vendorBankAccountIds: vendor_bank_account_ids,
+            effectiveDate: effective_date,
+            user
+        }));
+        res.status(201).json({ file: result.file, accounts: withMaskedAccountNumbers(result.accounts) });
+    }));
+
+    /**
+     * GET /api/payment-batches
+     * Query: entityId, status, search
+     */
+    app.get('/api/payment-batches', asyncHandler(async (req, res) => {
+        const { entityId, status, search } = req.query;
+        const conditions = [];
+        const params = [];
+        if (entityId) {
+            params.push(entityId);
+            conditions.push(`pb.entity_id = $${params.length}`);
+        }
+        if (status) {
+            params.push(status);
+            conditions.push(`pb.status = $${params.length}`);
+        }
+        if (search) {
+            params.push(`%${search}%`);
+            conditions.push(`(pb.batch_number ILIKE $${params.length} OR pb.description ILIKE $${params.length})`);
+        }
+        const { rows } = await pool.query(
+            `${BATCH_SELECT}
+              ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+              ORDER BY pb.batch_date DESC, pb.batch_number DESC`,
+            params
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * GET /api/payment-batches/:id
+     * A batch with its payment items
+     */
+    app.get('/api/payment-batches/:id', asyncHandler(async (req, res) => {
+        res.json(await getPaymentBatch(pool, req.params.id));
+    }));
+
+    /**
+     * POST /api/payment-batches
+     * Body: { entity_id, fund_id, nacha_settings_id, batch_date,
+     *         effective_date, description }
+     * Create a draft batch numbered from the NACHA settings' counter. The
+     * creator must be identified: they may not approve the batch.
+     */
+    app.post('/api/payment-batches', asyncHandler(async (req, res) => {
+        const user = await requireRequestUser(pool, req, 'Creating a payment batch');
+        const batch = await normalizePaymentBatch(pool, req.body || {});
+        const saved = await withTransaction(pool, async client => {
+            const batchNumber = await nextBatchNumber(client, batch.nacha_settings_id);
+            const { rows } = await client.query(
+                `INSERT INTO payment_batches (batch_number, ${BATCH_COLUMNS.join(', ')}, created_by)
+                 VALUES ($1, ${BATCH_COLUMNS.map((column, index) => `$${index + 2}`).join(', ')}, $${BATCH_COLUMNS.length + 2})
+                 RETURNING id`,
+                [batchNumber, ...BATCH_COLUMNS.map(column => batch[column]), user.id]
+            );
+            return getPaymentBatch(client, rows[0].id);
+        });
+        res.status(201).json(saved);
+    }));
+
+    /**
+     * PUT /api/payment-batches/:id
+     * Same body as POST; only draft batches can be edited and the entity
+     * cannot change
+     */
+    app.put('/api/payment-batches/:id', asyncHandler(async (req, res) => {
+        await requireRequestUser(pool, req, 'Editing a payment batch');
+        const saved = await withTransaction(pool, async client => {
+            const existing = await getDraftBatch(client, req.params.id);
+            const batch = await normalizePaymentBatch(client, { ...req.body, entity_id: existing.entity_id });
+            const columns = BATCH_COLUMNS.filter(column => column !== 'entity_id');
+            await client.query(
+                `UPDATE payment_batches
+                    SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = NOW()
+                  WHERE id = $${columns.length + 1}`,
+                [...columns.map(column => batch[column]), existing.id]
+            );
+            return getPaymentBatch(client, existing.id);
+        });
+        res.json(saved);
+    }));
+
+    /**
+     * DELETE /api/payment-batches/:id
+     * Only draft batches can be deleted
+     */
+    app.delete('/api/payment-batches/:id', asyncHandler(async (req, res) => {
+        await requireRequestUser(pool, req, 'Deleting a payment batch');
+        await withTransaction(pool, async client => {
+            const batch = await getDraftBatch(client, req.params.id);
+            await client.query('DELETE FROM payment_batches WHERE id = $1', [batch.id]);
+        });
+        res.status(204).send();
+    }));
+
+    /**
+     * POST /api/payment-batches/:id/items
+     * Body: { vendor_id, vendor_bank_account_id, amount, memo,
+     *         invoice_number, invoice_date, due_date }
+     * Add a payment to a draft batch; without vendor_bank_account_id the
+     * vendor's primary active account is paid
+     */
+    app.post('/api/payment-batches/:id/items', asyncHandler(async (req, res) => {
+        await requireRequestUser(pool, req, 'Adding a payment');
+        const item = await normalizePaymentItem(pool, req.body || {});
+        const saved = await withTransaction(pool, async client => {
+            const batch = await getDraftBatch(client, req.params.id);
+            const { rows } = await client.query(
+                `INSERT INTO payment_items (payment_batch_id, ${ITEM_COLUMNS.join(', ')})
+                 VALUES ($1, ${ITEM_COLUMNS.map((column, index) => `$${index + 2}`).join(', ')})
+                 RETURNING *`,
+                [batch.id, ...ITEM_COLUMNS.map(column => item[column])]
+            );
+            await refreshBatchTotals(client, batch.id);
+            return rows[0];
+        });
+        res.status(201).json(saved);
+    }));
+
+    /**
+     * DELETE /api/payment-batches/:id/items/:itemId
+     * Remove a payment from a draft batch
+     */
+    app.delete('/api/payment-batches/:id/items/:itemId', asyncHandler(async (req, res) => {
+        await requireRequestUser(pool, req, 'Removing a payment');
+        await withTransaction(pool, async client => {
+            const batch = await getDraftBatch(client, req.params.id);
+            const { rowCount } = await client.query(
+                'DELETE FROM payment_items WHERE id = $1 AND payment_batch_id = $2',
+                [req.params.itemId, batch.id]
+            );
+            if (rowCount === 0) {
+                throw createRequestError('Payment item not found', null, 404);
+            }
+            await refreshBatchTotals(client, batch.id);
+        });
+        res.status(204).send();
+    }));
+
+    /**
+     * POST /api/payment-batches/:id/submit
+     * Send a draft batch for approval
+     */
+    app.post('/api/payment-batches/:id/submit', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        res.json(await withTransaction(pool, client => submitBatch(client, req.params.id, user)));
+    }));
+
+    /**
+     * POST /api/payment-batches/:id/approve
+     * Approve a submitted batch. The approver needs an approval role, must
+     * not have created or submitted the batch and must be within their
+     * approval limit; batches above the dual approval threshold stay pending
+     * until a second approver approves them.
+     */
+    app.post('/api/payment-batches/:id/approve', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        res.json(await withTransaction(pool, client => approveBatch(client, req.params.id, user)));
+    }));
+
+    /**
+     * POST /api/payment-batches/:id/reject
+     * Body: { reason }
+     * Return a submitted batch to draft
+     */
+    app.post('/api/payment-batches/:id/reject', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { reason } = req.body || {};
+        res.json(await withTransaction(pool, client => rejectBatch(client, req.params.id, user, reason)));
+    }));
+
+    /**
+     * POST /api/payment-batches/:id/cancel
+     * Body: { reason }
+     * Cancel a batch whose NACHA file has not been generated
+     */
+    app.post('/api/payment-batches/:id/cancel', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { reason } = req.body || {};
+        res.json(await withTransaction(pool, client => cancelBatch(client, req.params.id, user, reason)));
+    }));
+
+    /**
+     * POST /api/payment-batches/:id/nacha-file
+     * Body: { offset }
+     * Generate the NACHA file for an approved batch (service class 220 for
+     * credits only; offset=true adds a balancing debit to the settlement
+     * bank account), stamp each payment's trace number and move the batch
+     * to file_generated
+     */
+    app.post('/api/payment-batches/:id/nacha-file', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { offset } = req.body || {};
+        const result = await withTransaction(pool, client => generateBatchFile(client, req.params.id, {
+            offset: offset === true,
+            user
+        }));
+        res.status(201).json(result);
+    }));
+
+    /**
+     * POST /api/payment-batches/:id/transmit
+     * Record that the batch's NACHA file was sent to the bank
+     */
+    app.post('/api/payment-batches/:id/transmit', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        res.json(await withTransaction(pool, client => transmitBatch(client, req.params.id, user)));
+    }));
+
+    /**
+     * POST /api/payment-batches/:id/settle
+     * Body: { cash_account_id }
+     * Record that the batch settled and post its bill payments against the
+     * settlement bank account's cash account (or cash_account_id)
+     */
+    app.post('/api/payment-batches/:id/settle', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { cash_account_id } = req.body || {};
+        res.json(await withTransaction(pool, client => settleBatch(client, req.params.id, {
+            cashAccountId: cash_account_id,
+            user
+        })));
+    }));
+
+    /**
+     * GET /api/payment-batches/:id/history
+     * The batch's status transitions, oldest first
+     */
+    app.get('/api/payment-batches/:id/history', asyncHandler(async (req, res) => {
+        const batch = await getPaymentBatch(pool, req.params.id);
+        res.json({
+            batch_number: batch.batch_number,
+            status: batch.status,
+            approvals: batch.approvals,
+            transitions: await getBatchTransitions(pool, batch.id)
+        });
+    }));
+
+    /**
+     * GET /api/payment-approval-limits
+     * Users with a payment approval limit (a null limit means no limit)
+     */
+    app.get('/api/payment-approval-limits', asyncHandler(async (req, res) => {
+        const { rows } = await pool.query(
+            `SELECT pal.user_id, u.name AS user_name, u.role, pal.approval_limit, pal.updated_at
+               FROM payment_approval_limits pal
+               JOIN users u ON u.id = pal.user_id
+              ORDER BY u.name`
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * PUT /api/payment-approval-limits/:userId
+     * Body: { approval_limit }
+     * Set a user's approval limit (Administrator only); null removes the
+     * limit
+     */
+    app.put('/api/payment-approval-limits/:userId', asyncHandler(async (req, res) => {
+        const user = await getRequestUser(pool, req);
+        const { approval_limit } = req.body || {};
+        res.json(await setApprovalLimit(pool, req.params.userId, approval_limit, user));
+    }));
+
+    /**
+     * GET /api/nacha-files
+     * Query: batchId, status, fileType (payment or prenote)
+     */
+    app.get('/api/nacha-files', asyncHandler(async (req, res) => {
+        const { batchId, status, fileType } = req.query;
+        const conditions = [];
+        const params = [];
+        if (fileType) {
+            params.push(fileType);
+            conditions.push(`nf.file_type = $${params.length}`);
+        }
+        if (batchId) {
+            params.push(batchId);
+            conditions.push(`nf.payment_batch_id = $${params.length}`);
+        }
+        if (status) {
+            params.push(status);
+            conditions.push(`nf.status = $${params.length}`);
+        }
+        const { rows } = await pool.query(
+            `SELECT ${NACHA_FILE_COLUMNS}
+               FROM nacha_files nf
+               LEFT JOIN payment_batches pb ON pb.id = nf.payment_batch_id
+              ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+              ORDER BY nf.file_date DESC`,
+            params
+        );
+        res.json(rows);
+    }));
+
+    /**
+     * GET /api/nacha-files/:id
+     * A file with its control totals
+     */
+    app.get('/api/nacha-files/:id', asyncHandler(async (req, res) => {
+        res.json(await getNachaFile(pool, req.params.id));
+    }));
+
+    /**
+     * GET /api/nacha-files/:id/download
+     * The file as a plain-text attachment. It carries full account numbers:
+     * Payment Approver or Administrator only, and every request is recorded
+     * in the access log.
+     */
+    app.get('/api/nacha-files/:id/download', asyncHandler(async (req, res) => {
+        const file = await getNachaFile(pool, req.params.id, { withContent: true });
+        if (!file.file_content) {
+            return res.status(404).json({ message: 'The file content was not saved' });
+        }
+        await authorizeAccountNumberAccess(pool, req, ACCESS_RECORD.NACHA_FILE, file.id);
+        res.type('text/plain').attachment(file.file_name).send(file.file_content);
+    }));
+
+    /**
+     * GET /api/nacha-files/:id/validate
+     * Re-check a generated file: { valid, errors: [{ line, field, message }],
+     * file (parsed records, account numbers masked) }
+     */
+    app.get('/api/nacha-files/:id/validate', asyncHandler(async (req, res) => {
+        res.json(await validateNachaFile(pool, req.params.id));
+    }));
+
+    /**
+     * POST /api/nacha-files/validate
+     * Multipart upload of any NACHA file (field "file"), e.g. one returned
+     * by the bank; same response as GET /api/nacha-files/:id/validate
+     */
+    app.post('/api/nacha-files/validate', upload.single('file'), asyncHandler(async (req, res) => {
+        if (!req.file) {
+            throw createRequestError('No file uploaded');
+        }
+        const content = fs.readFileSync(req.file.path, 'utf8');
+        fs.unlinkSync(req.file.path); // Clean up uploaded file
+        res.json({ file_name: req.file.originalname, ...withMaskedRecords(NachaParser.validate(content)) });
+    }));
+}
+
+module.exports = registerVendorPaymentRoutes;
@@ -0,0 +1,403 @@
+/**
+ * vendor-payment-service.js
+ *
+ * Validation and lookups for vendor payments over the tables in
+ * database/nacha-vendor-payments-schema.sql: vendors and their bank accounts,
+ * company NACHA settings, payment batches and their payment items. Routing
+ * numbers are checked with NachaGenerator.validateRoutingNumber, the same
+ * check the generator applies to each entry.
+ */
+
+const { createRequestError } = require('./request-error');
+const NachaGenerator = require('./nacha-generator');
+const { roundAmount } = require('./financial-report-service');
+
+const VENDOR_STATUS = ['active', 'inactive', 'suspended'];
+
+const BANK_ACCOUNT_TYPE = ['checking', 'savings'];
+
+/** Prenote status of a vendor bank account (null before prenotes existed) */
+const PRENOTE_STATUS = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    RETURNED: 'returned'
+};
+
+const BATCH_STATUS = {
+    DRAFT: 'draft',
+    PENDING_APPROVAL: 'pending_approval',
+    APPROVED: 'approved',
+    FILE_GENERATED: 'file_generated',
+    TRANSMITTED: 'transmitted',
+    SETTLED: 'settled',
+    PROCESSED: 'processed',
+    CANCELED: 'canceled',
+    ERROR: 'error'
+};
+
+const BATCH_SELECT = `
+    SELECT pb.id, pb.batch_number, pb.entity_id, e.name AS entity_name, pb.fund_id, f.code AS fund_code,
+           pb.nacha_settings_id, ns.company_name, to_char(pb.batch_date, 'YYYY-MM-DD') AS batch_date,
+           to_char(pb.effective_date, 'YYYY-MM-DD') AS effective_date, pb.description, pb.total_amount,
+           pb.total_items, pb.status, pb.created_by, pb.approved_by, pb.approved_at, pb.created_at, pb.updated_at
+      FROM payment_batches pb
+      LEFT JOIN entities e ON e.id = pb.entity_id
+      LEFT JOIN funds f ON f.id = pb.fund_id
+      LEFT JOIN company_nacha_settings ns ON ns.id = pb.nacha_settings_id`;
+
+/**
+ * Check that a value is a YYYY-MM-DD date
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Validate a vendor
+ * @param {Object} data - Request body
+ * @returns {Object} Vendor columns
+ */
+function normalizeVendor(data) {
+    const errors = [];
+    const vendor = {
+        entity_id: data.entity_id || null,
+        vendor_code: (data.vendor_code || '').trim(),
+        name: (data.name || '').trim(),
+        tax_id: data.tax_id || null,
+        contact_name: data.contact_name || null,
+        email: data.email || null,
+        phone: data.phone || null,
+        address_line1: data.address_line1 || null,
+        address_line2: data.address_line2 || null,
+        city: data.city || null,
+        state: data.state || null,
+        postal_code: data.postal_code || null,
+        country: data.country || 'USA',
+        vendor_type: data.vendor_type || null,
+        status: data.status || 'active',
+        notes: data.notes || null
+    };
+    if (!vendor.vendor_code) {
+        errors.push('vendor_code is required');
+    } else if (vendor.vendor_code.length > 50) {
+        errors.push('vendor_code must be at most 50 characters');
+    }
+    if (!vendor.name) {
+        errors.push('name is required');
+    }
+    if (!VENDOR_STATUS.includes(vendor.status)) {
+        errors.push(`Invalid status "${vendor.status}"`);
+    }
+    if (vendor.email && !/^[^@\s]+@[^@\s]+$/.test(vendor.email)) {
+        errors.push('email is not a valid address');
+    }
+    if (errors.length) {
+        throw createRequestError('Invalid vendor', { errors });
+    }
+    return vendor;
+}
+
+/**
+ * Validate a vendor bank account
+ * @param {Object} data - Request body
+ * @returns {Object} vendor_bank_accounts columns (without vendor_id)
+ */
+function normalizeVendorBankAccount(data) {
+    const errors = [];
+    const account = {
+        account_name: (data.account_name || '').trim(),
+        routing_number: String(data.routing_number || '').trim(),
+        account_number: String(data.account_number || '').replace(/[\s-]/g, ''),
+        account_type: (data.account_type || 'checking').toLowerCase(),
+        is_primary: data.is_primary === true,
+        status: data.status || 'active'
+    };
+    if (!account.account_name) {
+        errors.push('account_name is required');
+    }
+    if (!NachaGenerator.validateRoutingNumber(account.routing_number)) {
+        errors.push('routing_number must be a valid 9-digit ABA routing number');
+    }
+    // NACHA entry detail records carry the DFI account number in 17 characters
+    if (!/^[0-9A-Za-z]{1,17}$/.test(account.account_number)) {
+        errors.push('account_number must be 1 to 17 letters or digits');
+    }
+    if (!BANK_ACCOUNT_TYPE.includes(account.account_type)) {
+        errors.push(`Invalid account_type "${account.account_type}"`);
+    }
+    if (!VENDOR_STATUS.includes(account.status)) {
+        errors.push(`Invalid status "${account.status}"`);
+    }
+    if (errors.length) {
+        throw createRequestError('Invalid vendor bank account', { errors });
+    }
+    return account;
+}
+
+/**
+ * Validate company NACHA settings. originating_dfi_id is the first 8 digits
+ * of the originating bank's routing number; a full 9-digit routing number is
+ * accepted, checked and trimmed to 8.
+ * @param {Object} db - pg pool or client
+ * @param {Object} data - Request body
+ * @returns {Promise<Object>} company_nacha_settings columns
+ */
+async function normalizeNachaSettings(db, data) {
+    const errors = [];
+    const settings = {
+        entity_id: data.entity_id || null,
+        company_name: (data.company_name || '').trim(),
+        company_id: String(data.company_id || '').trim(),
+        originating_dfi_id: String(data.originating_dfi_id || '').trim(),
+        company_entry_description: (data.company_entry_description || '').trim(),
+        settlement_account_id: data.settlement_account_id || null,
+        is_production: data.is_production === true,
+        dual_approval_threshold: data.dual_approval_threshold === null || data.dual_approval_threshold === undefined ||
+            data.dual_approval_threshold === ''
+            ? null
+            : roundAmount(data.dual_approval_threshold)
+    };
+    if (!settings.company_name || settings.company_name.length > 16) {
+        errors.push('company_name is required and must be at most 16 characters');
+    }
+    if (!settings.company_id || settings.company_id.length > 10) {
+        errors.push('company_id is required and must be at most 10 characters');
+    }
+    if (/^\d{9}$/.test(settings.originating_dfi_id)) {
+        if (NachaGenerator.validateRoutingNumber(settings.originating_dfi_id)) {
+            settings.originating_dfi_id = settings.originating_dfi_id.slice(0, 8);
+        } else {
+            errors.push('originating_dfi_id is not a valid routing number');
+        }
+    } else if (!/^\d{8}$/.test(settings.originating_dfi_id)) {
+        errors.push('originating_dfi_id must be the 8-digit DFI identification or the 9-digit routing number');
+    }
+    if (!settings.company_entry_description || settings.company_entry_description.length > 10) {
+        errors.push('company_entry_description is required and must be at most 10 characters');
+    }
+    if (settings.dual_approval_threshold !== null && !(settings.dual_approval_threshold >= 0)) {
+        errors.push('dual_approval_threshold must be zero or more, or empty for single approval');
+    }
+    if (settings.entity_id) {
+        const { rows } = await db.query('SELECT id FROM entities WHERE id = $1', [settings.entity_id]);
+        if (rows.length === 0) {
+            errors.push('entity_id must be an existing entity');
+        }
+    }
+    if (settings.settlement_account_id) {
+        const { rows } = await db.query('SELECT id FROM bank_accounts WHERE id = $1', [settings.settlement_account_id]);
+        if (rows.length === 0) {
+            errors.push('settlement_account_id must be an existing bank account');
+        }
+    }
+    if (errors.length) {
+        throw createRequestError('Invalid NACHA settings', { errors });
+    }
+    return settings;
+}
+
+/**
+ * Validate a payment batch header
+ * @param {Object} db - pg pool or client
+ * @param {Object} data - Request body
+ * @returns {Promise<Object>} payment_batches columns (without batch_number)
+ */
+async function normalizePaymentBatch(db, data) {
+    const errors = [];
+    const batch = {
+        entity_id: data.entity_id || null,
+        fund_id: data.fund_id || null,
+        nacha_settings_id: data.nacha_settings_id || null,
+        batch_date: data.batch_date || new Date().toISOString().split('T')[0],
+        effective_date: data.effective_date || null,
+        description: (data.description || '').trim()
+    };
+    if (!batch.entity_id) {
+        errors.push('entity_id is required');
+    }
+    if (!batch.description) {
+        errors.push('description is required');
+    }
+    if (!isDate(batch.batch_date) || !isDate(batch.effective_date)) {
+        errors.push('effective_date is required and dates must be YYYY-MM-DD');
+    } else if (batch.effective_date < batch.batch_date) {
+        errors.push('effective_date must not be before batch_date');
+    }
+    if (!batch.nacha_settings_id) {
+        errors.push('nacha_settings_id is required');
+    } else {
+        const { rows } = await db.query('SELECT entity_id FROM company_nacha_settings WHERE id = $1', [batch.nacha_settings_id]);
+        if (rows.length === 0) {
+            errors.push('nacha_settings_id must be existing NACHA settings');
+        } else if (rows[0].entity_id && rows[0].entity_id !== batch.entity_id) {
+            errors.push('The NACHA settings belong to another entity');
+        }
+    }
+    if (batch.fund_id) {
+        const { rows } = await db.query('SELECT entity_id FROM funds WHERE id = $1', [batch.fund_id]);
+        if (rows.length === 0 || rows[0].entity_id !== batch.entity_id) {
+            errors.push("The fund must belong to the batch's entity");
+        }
+    }
+    if (errors.length) {
+        throw createRequestError('Invalid payment batch', { errors });
+    }
+    return batch;
+}
+
+/**
+ * Validate a payment item for a batch
+ * @param {Object} db - pg pool or client
+ * @param {Object} data - Request body
+ * @returns {Promise<Object>} payment_items columns (without payment_batch_id)
+ */
+async function normalizePaymentItem(db, data) {
+    const errors = [];
+    const item = {
+        vendor_id: data.vendor_id || null,
+        vendor_bank_account_id: data.vendor_bank_account_id || null,
+        amount: roundAmount(data.amount),
+        memo: data.memo || null,
+        invoice_number: data.invoice_number || null,
+        invoice_date: data.invoice_date || null,
+        due_date: data.due_date || null
+    };
+    if (!(item.amount > 0)) {
+        errors.push('amount must be more than zero');
+    }
+    if (item.memo && item.memo.length > 80) {
+        errors.push('memo must be at most 80 characters');
+    }
+    if ((item.invoice_date && !isDate(item.invoice_date)) || (item.due_date && !isDate(item.due_date))) {
+        errors.push('Dates must be YYYY-MM-DD');
+    }
+    const { rows: vendors } = item.vendor_id
+        ? await db.query('SELECT status FROM vendors WHERE id = $1', [item.vendor_id])
+        : { rows: [] };
+    if (vendors.length === 0) {
+        errors.push('vendor_id must be an existing vendor');
+    } else if (vendors[0].status !== 'active') {
+        errors.push(`The vendor is ${vendors[0].status}`);
+    } else {
+        const { rows: accounts } = await db.query(
+            `SELECT id, status FROM vendor_bank_accounts
+              WHERE vendor_id = $1 AND ($2::uuid IS NULL OR id = $2)
+              ORDER BY is_primary DESC, created_at`,
+            [item.vendor_id, item.vendor_bank_account_id]
+        );
+        const account = accounts.find(a => a.status === 'active');
+        if (!account) {
+            errors.push(item.vendor_bank_account_id
+                ? 'vendor_bank_account_id must be an active bank account of the vendor'
+                : 'The vendor has no active bank account');
+        } else {
+            item.vendor_bank_account_id = account.id;
+        }
+    }
+    if (errors.length) {
+        throw createRequestError('Invalid payment item', { errors });
+    }
+    return item;
+}
+
+/**
+ * Load a vendor
+ * @param {Object} db - pg pool or client
+ * @param {string} vendorId - vendors id
+ * @returns {Promise<Object>}
+ */
+async function getVendorHeader(db, vendorId) {
+    const { rows } = await db.query('SELECT * FROM vendors WHERE id = $1', [vendorId]);
+    if (rows.length === 0) {
+        throw createRequestError('Vendor not found', null, 404);
+    }
+    return rows[0];
+}
+
+/**
+ * Load a payment batch with its items and approvals
+ * @param {Object} db - pg pool or client
+ * @param {string} batchId - payment_batches id
+ * @param {Object} [options]
+ * @param {boolean} [options.forUpdate] - Lock the batch row
+ * @returns {Promise<Object>}
+ */
+async function getPaymentBatch(db, batchId, { forUpdate } = {}) {
+    const { rows } = await db.query(`${BATCH_SELECT} WHERE pb.id = $1 ${forUpdate ? 'FOR UPDATE OF pb' : ''}`, [batchId]);
+    if (rows.length === 0) {
+        throw createRequestError('Payment batch not found', null, 404);
+    }
+    const { rows: items } = await db.query(
+        `SELECT pi.id, pi.vendor_id, v.vendor_code, v.name AS vendor_name, pi.vendor_bank_account_id,
+                vba.account_name AS bank_account_name, vba.account_type, pi.bill_id, pi.amount, pi.memo,
+                pi.invoice_number, to_char(pi.invoice_date, 'YYYY-MM-DD') AS invoice_date,
+                to_char(pi.due_date, 'YYYY-MM-DD') AS due_date, pi.status, pi.trace_number, pi.journal_entry_id
+           FROM payment_items pi
+           JOIN vendors v ON v.id = pi.vendor_id
+           JOIN vendor_bank_accounts vba ON vba.id = pi.vendor_bank_account_id
+          WHERE pi.payment_batch_id = $1
+          ORDER BY v.name, pi.created_at`,
+        [batchId]
+    );
+    const { rows: approvals } = await db.query(
+        `SELECT pba.user_id, u.name AS user_name, pba.approved_at
+           FROM payment_batch_approvals pba
+           JOIN users u ON u.id = pba.user_id
+          WHERE pba.payment_batch_id = $1
+          ORDER BY pba.approved_at`,
+        [batchId]
+    );
+    return { ...rows[0], items, approvals };
+}
+
+/**
+ * Recompute a batch's total_amount and total_items from its payment items
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} batchId - payment_batches id
+ */
+async function refreshBatchTotals(client, batchId) {
+    await client.query(
+        `UPDATE payment_batches
+            SET total_amount = (SELECT COALESCE(SUM(amount), 0) FROM payment_items WHERE payment_batch_id = $1),
+                total_items = (SELECT COUNT(*) FROM payment_items WHERE payment_batch_id = $1),
+                updated_at = NOW()
+          WHERE id = $1`,
+        [batchId]
+    );
+}
+
+/**
+ * Next batch number from the NACHA settings' counter: company_id and a
+ * 7-digit sequence (the width of the NACHA batch number field)
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} settingsId - company_nacha_settings id
+ * @returns {Promise<string>}
+ */
+async function nextBatchNumber(client, settingsId) {
+    const { rows } = await client.query(
+        `UPDATE company_nacha_settings
+            SET batch_number_counter = batch_number_counter + 1, updated_at = NOW()
+          WHERE id = $1
+          RETURNING company_id, batch_number_counter - 1 AS batch_number`,
+        [settingsId]
+    );
+    return `${rows[0].company_id}-${String(rows[0].batch_number).padStart(7, '0')}`;
+}
+
+module.exports = {
+    VENDOR_STATUS,
+    PRENOTE_STATUS,
+    BATCH_STATUS,
+    BATCH_SELECT,
+    normalizeVendor,
+    normalizeVendorBankAccount,
+    normalizeNachaSettings,
+    normalizePaymentBatch,
+    normalizePaymentItem,
+    getVendorHeader,
+    getPaymentBatch,
+    refreshBatchTotals,
+    nextBatchNumber
+};
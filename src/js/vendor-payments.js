@@ -50,6 +50,14 @@ function formatDate(dateString) {
     return date.toLocaleDateString('en-US');
 }
 
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function maskAccountNumber(accountNumber) {
     if (!accountNumber) return '';
     const visible = accountNumber.slice(-4);
@@ -63,7 +71,10 @@ function getStatusBadgeClass(status) {
         case 'pending_approval': return 'bg-warning';
         case 'approved': return 'bg-success';
         case 'processed': return 'bg-primary';
+        case 'file_generated': return 'bg-primary';
         case 'transmitted': return 'bg-info';
+        case 'settled': return 'bg-success';
+        case 'canceled': return 'bg-secondary';
         case 'confirmed': return 'bg-success';
         case 'rejected': return 'bg-danger';
         case 'error': return 'bg-danger';
@@ -74,11 +85,24 @@ function getStatusBadgeClass(status) {
     }
 }
 
+/**
+ * fetch() against the backend API. The page never names the acting user:
+ * X-User-Id, which approvals, bank account changes and account number
+ * reveals need, must come from an authenticating proxy in front of the API
+ * (see README, "Acting user").
+ * @param {string} path - Path starting with /api/
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+function apiFetch(path, options = {}) {
+    return fetch(`${API_BASE_URL}${path}`, options);
+}
+
 // API Calls
 async function fetchEntities() {
     try {
         console.log('Fetching entities from API...');
-        const response = await fetch(`${API_BASE_URL}/api/entities`);
+        const response = await apiFetch(`/api/entities`);
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
@@ -120,8 +144,8 @@ async function fetchEntities() {
 async function fetchFunds(entityId = null) {
     try {
         console.log('Fetching funds from API...');
-        const url = entityId ? `${API_BASE_URL}/api/funds?entityId=${entityId}` : `${API_BASE_URL}/api/funds`;
-        const response = await fetch(url);
+        const url = entityId ? `/api/funds?entityId=${entityId}` : '/api/funds';
+        const response = await apiFetch(url);
         if (!response.ok) {
             if (response.status === 404) {
                 console.info('[fetchFunds] /api/funds endpoint not yet implemented - skipping');
@@ -162,7 +186,7 @@ async function fetchFunds(entityId = null) {
 async function fetchBankAccounts() {
     try {
         console.log('Fetching bank accounts from API...');
-        const response = await fetch(`${API_BASE_URL}/api/bank-accounts`);
+        const response = await apiFetch(`/api/bank-accounts`);
 
         if (!response.ok) {
             if (response.status === 404) {
@@ -207,13 +231,8 @@ async function fetchVendors() {
     try {
         console.log('Fetching vendors from API...');
         showLoading();
-        const response = await fetch(`${API_BASE_URL}/api/vendors`);
+        const response = await apiFetch(`/api/vendors`);
         if (!response.ok) {
-            if (response.status === 404) {
-                console.info('[fetchVendors] /api/vendors endpoint not yet implemented - skipping');
-                hideLoading();
-                return;
-            }
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
         vendors = await response.json();
@@ -253,7 +272,7 @@ async function fetchVendors() {
 
 async function fetchVendorBankAccounts(vendorId, targetSelect) {
     try {
-        const response = await fetch(`${API_BASE_URL}/api/vendors/${vendorId}/bank-accounts`);
+        const response = await apiFetch(`/api/vendors/${vendorId}/bank-accounts`);
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
@@ -284,12 +303,8 @@ async function fetchVendorBankAccounts(vendorId, targetSelect) {
 async function fetchNachaSettings() {
     try {
         console.log('Fetching NACHA settings from API...');
-        const response = await fetch(`${API_BASE_URL}/api/nacha-settings`);
+        const response = await apiFetch(`/api/nacha-settings`);
         if (!response.ok) {
-            if (response.status === 404) {
-                console.info('[fetchNachaSettings] /api/nacha-settings endpoint not yet implemented - skipping');
-                return;
-            }
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
         nachaSettings = await response.json();
@@ -328,14 +343,9 @@ async function fetchBatches() {
         console.log('Fetching payment batches from API...');
         showLoading();
         const statusFilter = document.getElementById('batchStatusFilter')?.value;
-        const url = statusFilter ? `${API_BASE_URL}/api/payment-batches?status=${statusFilter}` : `${API_BASE_URL}/api/payment-batches`;
-        const response = await fetch(url);
+        const url = statusFilter ? `/api/payment-batches?status=${statusFilter}` : '/api/payment-batches';
+        const response = await apiFetch(url);
         if (!response.ok) {
-            if (response.status === 404) {
-                console.info('[fetchBatches] /api/payment-batches endpoint not yet implemented - skipping');
-                hideLoading();
-                return;
-            }
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
         const batches = await response.json();
@@ -353,13 +363,8 @@ async function fetchNachaFiles() {
     try {
         console.log('Fetching NACHA files from API...');
         showLoading();
-        const response = await fetch(`${API_BASE_URL}/api/nacha-files`);
+        const response = await apiFetch(`/api/nacha-files`);
         if (!response.ok) {
-            if (response.status === 404) {
-                console.info('[fetchNachaFiles] /api/nacha-files endpoint not yet implemented - skipping');
-                hideLoading();
-                return;
-            }
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
         const files = await response.json();
@@ -373,7 +378,7 @@ async function fetchNachaFiles() {
     }
 }
 
-// Render functions (stubs - these would contain the actual rendering logic)
+// Render functions
 function renderBatchesTable(batches) {
     console.log('Rendering batches table with', batches.length, 'batches');
     const tableBody = document.getElementById('batchesTableBody');
@@ -389,7 +394,33 @@ function renderBatchesTable(batches) {
         return;
     }
     
-    // This would contain the full batches table rendering logic
+    batches.forEach(batch => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(batch.batch_number)}</td>
+            <td>${formatDate(batch.batch_date)}</td>
+            <td>${escapeHtml(batch.description)}</td>
+            <td>${escapeHtml(batch.entity_name)}</td>
+            <td>${formatCurrency(batch.total_amount)}</td>
+            <td>${batch.total_items}</td>
+            <td><span class="badge ${getStatusBadgeClass(batch.status)}">${escapeHtml(batch.status)}</span></td>
+            <td>
+                ${(BATCH_ACTIONS_BY_STATUS[batch.status] || []).map(action => `
+                    <button class="btn btn-sm ${BATCH_ACTIONS[action].buttonClass} batch-action-btn"
+                            data-id="${batch.id}" data-action="${action}">${BATCH_ACTIONS[action].label}</button>`).join('')}
+                ${batch.status === 'draft'
+                    ? `<button class="btn btn-sm btn-outline-danger delete-batch-btn" data-id="${batch.id}">Delete</button>`
+                    : ''}
+            </td>
+        `;
+        tableBody.appendChild(row);
+    });
+    tableBody.querySelectorAll('.batch-action-btn').forEach(btn => {
+        btn.addEventListener('click', () => runBatchAction(btn.dataset.id, btn.dataset.action));
+    });
+    tableBody.querySelectorAll('.delete-batch-btn').forEach(btn => {
+        btn.addEventListener('click', () => deleteBatch(btn.dataset.id));
+    });
 }
 
 function renderVendorsTable() {
@@ -407,7 +438,77 @@ function renderVendorsTable() {
         return;
     }
     
-    // This would contain the full vendors table rendering logic
+    vendors.forEach(vendor => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(vendor.vendor_code)}</td>
+            <td>${escapeHtml(vendor.name)}</td>
+            <td>${escapeHtml(vendor.contact_name)}</td>
+            <td>${escapeHtml(vendor.email)}</td>
+            <td>${escapeHtml(vendor.phone)}</td>
+            <td>${vendor.bank_account_count}</td>
+            <td><span class="badge ${getStatusBadgeClass(vendor.status)}">${escapeHtml(vendor.status)}</span></td>
+            <td>
+                <button class="btn btn-sm btn-outline-primary vendor-accounts-btn" data-id="${vendor.id}">Bank Accounts</button>
+            </td>
+        `;
+        tableBody.appendChild(row);
+    });
+    tableBody.querySelectorAll('.vendor-accounts-btn').forEach(btn => {
+        btn.addEventListener('click', () => showVendorBankAccounts(btn.dataset.id));
+    });
+}
+
+async function showVendorBankAccounts(vendorId) {
+    const vendor = vendors.find(v => String(v.id) === vendorId);
+    const tableBody = document.getElementById('vendorAccountsTableBody');
+    document.getElementById('vendorAccountsTitle').textContent = `Bank Accounts - ${vendor ? vendor.name : ''}`;
+    tableBody.innerHTML = '<tr><td colspan="7" class="text-center">Loading...</td></tr>';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('vendorAccountsModal')).show();
+    try {
+        const response = await apiFetch(`/api/vendors/${vendorId}/bank-accounts`);
+        const accounts = await response.json();
+        if (!response.ok) {
+            throw new Error(accounts.message || response.statusText);
+        }
+        tableBody.innerHTML = accounts.length === 0
+            ? '<tr><td colspan="7" class="text-center">No bank accounts</td></tr>'
+            : accounts.map(account => `
+                <tr>
+                    <td>${escapeHtml(account.account_name)}${account.is_primary ? ' (Primary)' : ''}</td>
+                    <td>${escapeHtml(account.routing_number)}</td>
+                    <td class="account-number" data-id="${account.id}">${escapeHtml(account.account_number)}</td>
+                    <td>${escapeHtml(account.account_type)}</td>
+                    <td><span class="badge ${getStatusBadgeClass(account.status)}">${escapeHtml(account.status)}</span></td>
+                    <td>${escapeHtml(account.prenote_status || '-')}</td>
+                    <td>
+                        <button class="btn btn-sm btn-outline-secondary reveal-account-btn" data-id="${account.id}">Show Number</button>
+                    </td>
+                </tr>
+            `).join('');
+        tableBody.querySelectorAll('.reveal-account-btn').forEach(btn => {
+            btn.addEventListener('click', () => revealVendorAccountNumber(vendorId, btn.dataset.id, btn));
+        });
+    } catch (error) {
+        console.error('Error fetching vendor bank accounts:', error);
+        tableBody.innerHTML = '';
+        showToast('Error', 'Failed to load vendor bank accounts: ' + error.message, true);
+    }
+}
+
+async function revealVendorAccountNumber(vendorId, accountId, button) {
+    try {
+        const response = await apiFetch(`/api/vendors/${vendorId}/bank-accounts/${accountId}/account-number`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message || response.statusText);
+        }
+        document.querySelector(`#vendorAccountsTableBody .account-number[data-id="${accountId}"]`).textContent = result.account_number;
+        button.remove();
+    } catch (error) {
+        console.error('Error revealing account number:', error);
+        showToast('Error', 'Failed to show account number: ' + error.message, true);
+    }
 }
 
 function renderNachaSettingsTable() {
@@ -425,7 +526,19 @@ function renderNachaSettingsTable() {
         return;
     }
     
-    // This would contain the full NACHA settings table rendering logic
+    nachaSettings.forEach(setting => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(setting.company_name)}</td>
+            <td>${escapeHtml(setting.company_id)}</td>
+            <td>${escapeHtml(setting.originating_dfi_id)}</td>
+            <td>${escapeHtml(setting.company_entry_description)}</td>
+            <td>${escapeHtml(setting.settlement_account_name)}</td>
+            <td>${setting.is_production ? 'Production' : 'Test'}</td>
+            <td></td>
+        `;
+        tableBody.appendChild(row);
+    });
 }
 
 function renderNachaFilesTable(files) {
@@ -443,7 +556,214 @@ function renderNachaFilesTable(files) {
         return;
     }
     
-    // This would contain the full NACHA files table rendering logic
+    files.forEach(file => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(file.file_name)}</td>
+            <td>${escapeHtml(file.batch_number)}</td>
+            <td>${formatDate(file.file_date)}</td>
+            <td>${formatCurrency(file.total_amount)}</td>
+            <td>${file.total_items}</td>
+            <td><span class="badge ${getStatusBadgeClass(file.status)}">${escapeHtml(file.status)}</span></td>
+            <td>
+                <button class="btn btn-sm btn-outline-primary download-file-btn" data-id="${file.id}" data-name="${escapeHtml(file.file_name)}">Download</button>
+                <button class="btn btn-sm btn-outline-secondary validate-file-btn" data-id="${file.id}">Validate</button>
+            </td>
+        `;
+        tableBody.appendChild(row);
+    });
+    tableBody.querySelectorAll('.download-file-btn').forEach(btn => {
+        btn.addEventListener('click', () => downloadNachaFile(btn.dataset.id, btn.dataset.name));
+    });
+    tableBody.querySelectorAll('.validate-file-btn').forEach(btn => {
+        btn.addEventListener('click', () => validateNachaFile(btn.dataset.id));
+    });
+}
+
+// Files carry full account numbers and the download is role-checked, so it
+// goes through apiFetch rather than a plain link
+async function downloadNachaFile(fileId, fileName) {
+    try {
+        const response = await apiFetch(`/api/nacha-files/${fileId}/download`);
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.message || response.statusText);
+        }
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error downloading NACHA file:', error);
+        showToast('Error', 'Failed to download NACHA file: ' + error.message, true);
+    }
+}
+
+async function validateNachaFile(fileId) {
+    try {
+        const response = await apiFetch(`/api/nacha-files/${fileId}/validate`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message || `HTTP error ${response.status}`);
+        }
+        if (result.valid) {
+            showToast('Success', `${result.file_name} passed NACHA validation`);
+        } else {
+            const problems = result.errors.slice(0, 5)
+                .map(error => `line ${error.line} ${error.field}: ${error.message}`)
+                .join('; ');
+            showToast('Error', `${result.file_name} has ${result.errors.length} problem(s): ${problems}`, true);
+        }
+    } catch (error) {
+        console.error('Error validating NACHA file:', error);
+        showToast('Error', 'Failed to validate NACHA file: ' + error.message, true);
+    }
+}
+
+// Batch actions
+async function createBatch() {
+    const body = {
+        entity_id: document.getElementById('batchEntityId').value,
+        fund_id: document.getElementById('batchFundId').value || null,
+        nacha_settings_id: document.getElementById('nachaSettingsId').value,
+        batch_date: document.getElementById('batchDate').value,
+        effective_date: document.getElementById('effectiveDate').value,
+        description: document.getElementById('batchDescription').value
+    };
+    try {
+        showLoading();
+        const response = await apiFetch(`/api/payment-batches`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        hideLoading();
+        if (!response.ok) {
+            const details = result.details?.errors ? result.details.errors.join('; ') : (result.message || response.statusText);
+            showToast('Error', 'Failed to create batch: ' + details, true);
+            return;
+        }
+        bootstrap.Modal.getInstance(document.getElementById('createBatchModal'))?.hide();
+        document.getElementById('createBatchForm').reset();
+        showToast('Success', `Batch ${result.batch_number} created`);
+        await fetchBatches();
+    } catch (error) {
+        hideLoading();
+        console.error('Error creating payment batch:', error);
+        showToast('Error', 'Failed to create batch: ' + error.message, true);
+    }
+}
+
+/**
+ * Batch lifecycle actions (POST /api/payment-batches/:id/<path>); prompt
+ * returns the request body, or null when the user backs out
+ */
+const BATCH_ACTIONS = {
+    submit: { path: 'submit', label: 'Submit', buttonClass: 'btn-outline-primary', done: 'submitted for approval' },
+    approve: { path: 'approve', label: 'Approve', buttonClass: 'btn-outline-success', done: 'approved' },
+    reject: {
+        path: 'reject',
+        label: 'Reject',
+        buttonClass: 'btn-outline-warning',
+        done: 'returned to draft',
+        prompt: () => {
+            const reason = prompt('Reason for rejecting this batch:');
+            return reason === null ? null : { reason };
+        }
+    },
+    generate: {
+        path: 'nacha-file',
+        label: 'Generate File',
+        buttonClass: 'btn-outline-primary',
+        done: 'NACHA file generated',
+        prompt: () => ({ offset: confirm('Add an offsetting debit to the settlement account so the file balances?') })
+    },
+    transmit: {
+        path: 'transmit',
+        label: 'Mark Transmitted',
+        buttonClass: 'btn-outline-info',
+        done: 'marked as transmitted',
+        prompt: () => (confirm('Record that this batch\'s NACHA file was sent to the bank?') ? {} : null)
+    },
+    settle: {
+        path: 'settle',
+        label: 'Settle',
+        buttonClass: 'btn-outline-success',
+        done: 'settled',
+        prompt: () => (confirm('Record that this batch settled and post its bill payments?') ? {} : null)
+    },
+    cancel: {
+        path: 'cancel',
+        label: 'Cancel',
+        buttonClass: 'btn-outline-danger',
+        done: 'canceled',
+        prompt: () => {
+            const reason = prompt('Reason for canceling this batch:');
+            return reason === null ? null : { reason };
+        }
+    }
+};
+
+/** Actions offered for a batch in each status */
+const BATCH_ACTIONS_BY_STATUS = {
+    draft: ['submit', 'cancel'],
+    pending_approval: ['approve', 'reject', 'cancel'],
+    approved: ['generate', 'cancel'],
+    file_generated: ['transmit'],
+    transmitted: ['settle']
+};
+
+async function runBatchAction(batchId, actionName) {
+    const action = BATCH_ACTIONS[actionName];
+    const body = action.prompt ? action.prompt() : {};
+    if (body === null) return;
+    try {
+        showLoading();
+        const response = await apiFetch(`/api/payment-batches/${batchId}/${action.path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+        hideLoading();
+        if (!response.ok) {
+            const details = result.details?.errors ? result.details.errors.join('; ') : (result.message || response.statusText);
+            showToast('Error', `Failed to ${action.label.toLowerCase()} batch: ${details}`, true);
+            return;
+        }
+        const batchNumber = result.batch_number || result.batch?.batch_number || 'Batch';
+        const pending = result.status === 'pending_approval' && actionName === 'approve'
+            ? ` (${result.approvals.length} of ${result.approvals_required} approvals)`
+            : '';
+        showToast('Success', `${batchNumber} ${action.done}${pending}`);
+        await fetchBatches();
+        if (actionName === 'generate') {
+            await fetchNachaFiles();
+        }
+    } catch (error) {
+        hideLoading();
+        console.error(`Error running batch action ${actionName}:`, error);
+        showToast('Error', `Failed to ${action.label.toLowerCase()} batch: ` + error.message, true);
+    }
+}
+
+async function deleteBatch(batchId) {
+    if (!confirm('Delete this draft batch and its payments?')) return;
+    try {
+        const response = await apiFetch(`/api/payment-batches/${batchId}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.message || response.statusText);
+        }
+        showToast('Success', 'Batch deleted');
+        await fetchBatches();
+    } catch (error) {
+        console.error('Error deleting payment batch:', error);
+        showToast('Error', 'Failed to delete batch: ' + error.message, true);
+    }
 }
 
 // Page initialization
@@ -474,6 +794,9 @@ document.addEventListener('DOMContentLoaded', async function() {
             { id: 'refreshFilesBtn', handler: fetchNachaFiles }
         ];
         
+        document.getElementById('saveBatchBtn')?.addEventListener('click', createBatch);
+        document.getElementById('batchStatusFilter')?.addEventListener('change', fetchBatches);
+
         refreshButtons.forEach(({ id, handler }) => {
             const btn = document.getElementById(id);
             if (btn) {
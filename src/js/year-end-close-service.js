@@ -0,0 +1,272 @@
+/**
+ * year-end-close-service.js
+ *
+ * Year-end close for one entity's fiscal year.
+ * Closing writes one posted entry per fund, dated the last day of the year,
+ * that brings every Revenue and Expense account of that fund to zero and
+ * puts the difference into the fiscal year's net-assets closing account.
+ * Reopening reverses those entries on the same date and sets the year back
+ * to Open. Both are administrator-only.
+ */
+
+const { createRequestError } = require('./request-error');
+const { isAdministrator } = require('./request-user');
+const { FISCAL_YEAR_STATUS } = require('./fiscal-period-service');
+const {
+    JOURNAL_ENTRY_STATUS,
+    ENTRY_TYPE,
+    POSTED_STATUSES,
+    EDITABLE_STATUSES,
+    saveJournalEntry,
+    reverseJournalEntry
+} = require('./journal-entry-service');
+
+/**
+ * Lock a fiscal year row together with its entity code
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} fiscalYearId - fiscal_years id
+ * @returns {Promise<Object>} fiscal_years row plus `entity_code`
+ */
+async function lockFiscalYear(client, fiscalYearId) {
+    const { rows } = await client.query(
+        `SELECT fy.*, e.code AS entity_code
+           FROM fiscal_years fy
+           JOIN entities e ON e.id = fy.entity_id
+          WHERE fy.id = $1
+          FOR UPDATE OF fy`,
+        [fiscalYearId]
+    );
+    if (rows.length === 0) {
+        throw createRequestError('Fiscal year not found', null, 404);
+    }
+    return rows[0];
+}
+
+/**
+ * Pick the net-assets account closing entries go to: the one requested,
+ * else the one used by this or the entity's most recent closed year.
+ * @param {Object} client - pg client
+ * @param {Object} fiscalYear - Locked fiscal year row
+ * @param {string} [requestedAccountId] - closing_account_id from the request
+ * @returns {Promise<Object>} accounts row
+ */
+async function resolveClosingAccount(client, fiscalYear, requestedAccountId) {
+    let accountId = requestedAccountId || fiscalYear.closing_account_id;
+    if (!accountId) {
+        const { rows } = await client.query(
+            `SELECT closing_account_id FROM fiscal_years
+              WHERE entity_id = $1 AND closing_account_id IS NOT NULL
+              ORDER BY end_date DESC
+              LIMIT 1`,
+            [fiscalYear.entity_id]
+        );
+        accountId = rows[0] && rows[0].closing_account_id;
+    }
+    if (!accountId) {
+        throw createRequestError('closing_account_id is required (a Net Assets or Equity account)');
+    }
+
+    const { rows } = await client.query(
+        `SELECT * FROM accounts
+          WHERE id = $1 AND entity_id = $2 AND type IN ('Net Assets', 'Equity')`,
+        [accountId, fiscalYear.entity_id]
+    );
+    if (rows.length === 0) {
+        throw createRequestError("The closing account must be a Net Assets or Equity account of the fiscal year's entity");
+    }
+    return rows[0];
+}
+
+/**
+ * Revenue and Expense balances per fund and account for a fiscal year
+ * @param {Object} client - pg client
+ * @param {Object} fiscalYear - fiscal_years row
+ * @returns {Promise<Array>} Rows of { fund_id, fund_code, account_id, balance }
+ *   where balance is debits minus credits
+ */
+async function getTemporaryAccountBalances(client, fiscalYear) {
+    const { rows } = await client.query(
+        `SELECT jel.fund_id,
+                f.code AS fund_code,
+                jel.account_id,
+                SUM(jel.debit_amount - jel.credit_amount) AS balance
+           FROM journal_entry_lines jel
+           JOIN journal_entries je ON je.id = jel.journal_entry_id
+           JOIN accounts a ON a.id = jel.account_id
+           LEFT JOIN funds f ON f.id = jel.fund_id
+          WHERE je.entity_id = $1
+            AND je.entry_date BETWEEN $2 AND $3
+            AND je.status = ANY($4)
+            AND a.type IN ('Revenue', 'Expense')
+          GROUP BY jel.fund_id, f.code, jel.account_id
+         HAVING SUM(jel.debit_amount - jel.credit_amount) <> 0
+          ORDER BY f.code NULLS LAST, jel.account_id`,
+        [fiscalYear.entity_id, fiscalYear.start_date, fiscalYear.end_date, POSTED_STATUSES]
+    );
+    return rows;
+}
+
+/**
+ * Close a fiscal year
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} fiscalYearId - fiscal_years id
+ * @param {Object} options
+ * @param {string} [options.closing_account_id] - Net-assets account to close into
+ * @param {Object|null} options.user - Acting user (administrator)
+ * @returns {Promise<{fiscalYear: Object, closingEntries: Array}>}
+ */
+async function closeFiscalYear(client, fiscalYearId, options = {}) {
+    const { user } = options;
+    if (!isAdministrator(user)) {
+        throw createRequestError('Only administrators can close a fiscal year', null, 403);
+    }
+
+    const fiscalYear = await lockFiscalYear(client, fiscalYearId);
+    if (fiscalYear.status === FISCAL_YEAR_STATUS.CLOSED) {
+        throw createRequestError(`Fiscal year ${fiscalYear.year_name} is already closed`, null, 409);
+    }
+
+    const { rows: unposted } = await client.query(
+        `SELECT COUNT(*)::int AS count FROM journal_entries
+          WHERE entity_id = $1 AND entry_date BETWEEN $2 AND $3 AND status = ANY($4)`,
+        [fiscalYear.entity_id, fiscalYear.start_date, fiscalYear.end_date, EDITABLE_STATUSES]
+    );
+    if (unposted[0].count > 0) {
+        throw createRequestError(
+            `Fiscal year ${fiscalYear.year_name} has ${unposted[0].count} unposted journal entries; post or delete them first`,
+            { unposted: unposted[0].count },
+            409
+        );
+    }
+
+    const closingAccount = await resolveClosingAccount(client, fiscalYear, options.closing_account_id);
+    const balances = await getTemporaryAccountBalances(client, fiscalYear);
+
+    // Group balances by fund so that each closing entry balances within its fund
+    const byFund = new Map();
+    balances.forEach(row => {
+        const key = row.fund_id || '';
+        if (!byFund.has(key)) {
+            byFund.set(key, { fund_id: row.fund_id, fund_code: row.fund_code, rows: [] });
+        }
+        byFund.get(key).rows.push(row);
+    });
+
+    // A reopened year that is closed again gets fresh reference numbers
+    const closeCount = fiscalYear.close_count || 0;
+    const runSuffix = closeCount > 0 ? `-${closeCount + 1}` : '';
+
+    const closingEntries = [];
+    for (const fund of byFund.values()) {
+        const lines = fund.rows.map(row => {
+            const balance = parseFloat(row.balance);
+            return {
+                account_id: row.account_id,
+                fund_id: fund.fund_id,
+                debit_amount: balance < 0 ? -balance : 0,
+                credit_amount: balance > 0 ? balance : 0,
+                description: `Close ${fiscalYear.year_name}`
+            };
+        });
+
+        // Net of the fund's revenue and expense: a debit balance (net deficit)
+        // reduces net assets, a credit balance (net surplus) increases them
+        const netCents = fund.rows.reduce((sum, row) => sum + Math.round(parseFloat(row.balance) * 100), 0);
+        if (netCents !== 0) {
+            lines.push({
+                account_id: closingAccount.id,
+                fund_id: fund.fund_id,
+                debit_amount: netCents > 0 ? netCents / 100 : 0,
+                credit_amount: netCents < 0 ? -netCents / 100 : 0,
+                description: `${fiscalYear.year_name} change in net assets`
+            });
+        }
+
+        const fundLabel = fund.fund_code || 'NOFUND';
+        closingEntries.push(await saveJournalEntry(
+            client,
+            {
+                entity_id: fiscalYear.entity_id,
+                entry_date: fiscalYear.end_date,
+                reference_number: `YE-${fiscalYear.entity_code}-${fiscalYear.year_name}-${fundLabel}${runSuffix}`,
+                description: `Year-end close ${fiscalYear.year_name} (${fundLabel})`,
+                status: JOURNAL_ENTRY_STATUS.POSTED,
+                created_by: user.name,
+                entry_type: ENTRY_TYPE.CLOSING
+            },
+            lines,
+            null,
+            { user, allowClosedPeriods: true }
+        ));
+    }
+
+    const { rows } = await client.query(
+        `UPDATE fiscal_years
+            SET status = $1, closing_account_id = $2, closed_at = NOW(), closed_by = $3,
+                close_count = COALESCE(close_count, 0) + 1, updated_at = NOW()
+          WHERE id = $4
+          RETURNING *`,
+        [FISCAL_YEAR_STATUS.CLOSED, closingAccount.id, user.name, fiscalYear.id]
+    );
+
+    return { fiscalYear: rows[0], closingEntries };
+}
+
+/**
+ * Reopen a closed fiscal year by reversing its closing entries
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {string} fiscalYearId - fiscal_years id
+ * @param {Object} options
+ * @param {string} options.reason - Why the year is being reopened (required)
+ * @param {Object|null} options.user - Acting user (administrator)
+ * @returns {Promise<{fiscalYear: Object, reversals: Array}>}
+ */
+async function reopenFiscalYear(client, fiscalYearId, options = {}) {
+    const { user, reason } = options;
+    if (!isAdministrator(user)) {
+        throw createRequestError('Only administrators can reopen a fiscal year', null, 403);
+    }
+    if (!reason || !String(reason).trim()) {
+        throw createRequestError('A reason is required to reopen a fiscal year');
+    }
+
+    const fiscalYear = await lockFiscalYear(client, fiscalYearId);
+    if (fiscalYear.status !== FISCAL_YEAR_STATUS.CLOSED) {
+        throw createRequestError(`Fiscal year ${fiscalYear.year_name} is not closed`, null, 409);
+    }
+
+    // The year must be open again before the reversals can be posted into it
+    const { rows } = await client.query(
+        `UPDATE fiscal_years
+            SET status = $1, reopened_at = NOW(), reopened_by = $2, reopen_reason = $3,
+                updated_at = NOW()
+          WHERE id = $4
+          RETURNING *`,
+        [FISCAL_YEAR_STATUS.OPEN, user.name, reason, fiscalYear.id]
+    );
+
+    const { rows: closingEntries } = await client.query(
+        `SELECT id FROM journal_entries
+          WHERE fiscal_year_id = $1 AND entry_type = $2 AND status = $3 AND reversal_of_id IS NULL`,
+        [fiscalYear.id, ENTRY_TYPE.CLOSING, JOURNAL_ENTRY_STATUS.POSTED]
+    );
+
+    const reversals = [];
+    for (const entry of closingEntries) {
+        const { reversal } = await reverseJournalEntry(client, entry.id, {
+            reversal_date: fiscalYear.end_date,
+            description: `Reopen ${fiscalYear.year_name}: ${reason}`,
+            created_by: user.name,
+            user,
+            allowClosedPeriods: true
+        });
+        reversals.push(reversal);
+    }
+
+    return { fiscalYear: rows[0], reversals };
+}
+
+module.exports = {
+    closeFiscalYear,
+    reopenFiscalYear
+};
@@ -0,0 +1,84 @@
+/**
+ * ach-return-service.test.js
+ *
+ * Matching returns and NOCs to the one payment entry, or the prenote, they
+ * answer, against an in-memory stand-in for the pg client. Run with
+ * `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeAchReturn, findReturnedPayment, findReturnedPrenote } = require('../src/js/ach-return-service');
+
+const TRACE = '091000010000001';
+
+/**
+ * A pg client returning candidate payment items, as the matching query
+ * orders them (latest effective batch first)
+ * @param {Array} items - payment_items rows
+ * @returns {Object} { query, calls }
+ */
+function createClient(items) {
+    const calls = [];
+    const query = async (sql, params = []) => {
+        calls.push({ sql, params });
+        return { rows: items };
+    };
+    return { query, calls };
+}
+
+test('a return matches only the batch whose entry has the returned amount', async () => {
+    const client = createClient([
+        { id: 'item-new', payment_batch_id: 'batch-new', amount: '250.00' },
+        { id: 'item-old-1', payment_batch_id: 'batch-old', amount: '60.00' },
+        { id: 'item-old-2', payment_batch_id: 'batch-old', amount: '40.00' }
+    ]);
+    const achReturn = normalizeAchReturn({
+        reason_code: 'R01', original_trace_number: TRACE, return_date: '2025-03-10', amount: 100, original_rdfi_id: '09100001'
+    });
+    const items = await findReturnedPayment(client, achReturn);
+    assert.deepStrictEqual(items.map(item => item.id), ['item-old-1', 'item-old-2']);
+    assert.deepStrictEqual(client.calls[0].params, [TRACE, '09100001', '2025-03-10']);
+});
+
+test('a return matching several batches takes only the latest one', async () => {
+    const client = createClient([
+        { id: 'item-new', payment_batch_id: 'batch-new', amount: '100.00' },
+        { id: 'item-old', payment_batch_id: 'batch-old', amount: '100.00' }
+    ]);
+    const achReturn = normalizeAchReturn({ reason_code: 'R02', original_trace_number: TRACE, return_date: '2025-03-10', amount: 100 });
+    const items = await findReturnedPayment(client, achReturn);
+    assert.deepStrictEqual(items.map(item => item.id), ['item-new']);
+});
+
+test('a return whose amount matches no entry is unmatched', async () => {
+    const client = createClient([{ id: 'item-1', payment_batch_id: 'batch-1', amount: '100.00' }]);
+    const achReturn = normalizeAchReturn({ reason_code: 'R03', original_trace_number: TRACE, return_date: '2025-03-10', amount: 75 });
+    assert.deepStrictEqual(await findReturnedPayment(client, achReturn), []);
+});
+
+test('a zero-dollar NOC matches on trace number and RDFI without the amount', async () => {
+    const client = createClient([{ id: 'item-1', payment_batch_id: 'batch-1', amount: '100.00' }]);
+    const noc = normalizeAchReturn({
+        reason_code: 'C01', original_trace_number: TRACE, return_date: '2025-03-10', amount: 0, corrected_data: '123456789'
+    });
+    const items = await findReturnedPayment(client, noc);
+    assert.deepStrictEqual(items.map(item => item.id), ['item-1']);
+});
+
+test('a zero-dollar return matches the prenote sent with its trace number', async () => {
+    const client = createClient([{ id: 'account-1', prenote_trace_number: TRACE }]);
+    const achReturn = normalizeAchReturn({
+        reason_code: 'R03', original_trace_number: TRACE, return_date: '2025-03-10', amount: 0, original_rdfi_id: '09100001'
+    });
+    const account = await findReturnedPrenote(client, achReturn);
+    assert.strictEqual(account.id, 'account-1');
+    assert.deepStrictEqual(client.calls[0].params, [TRACE, '09100001', '2025-03-10']);
+});
+
+test('a return carrying an amount never matches a prenote', async () => {
+    const client = createClient([{ id: 'account-1', prenote_trace_number: TRACE }]);
+    const achReturn = normalizeAchReturn({ reason_code: 'R03', original_trace_number: TRACE, return_date: '2025-03-10', amount: 100 });
+    assert.strictEqual(await findReturnedPrenote(client, achReturn), null);
+    assert.strictEqual(client.calls.length, 0);
+});
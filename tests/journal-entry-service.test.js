@@ -0,0 +1,246 @@
+/**
+ * journal-entry-service.test.js
+ *
+ * Balancing rules on journal entry lines and the Draft -> Pending Approval
+ * -> Posted -> Reversed workflow, against an in-memory stand-in for the pg
+ * client. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    JOURNAL_ENTRY_STATUS,
+    normalizeLines,
+    assertBalanced,
+    assertStatusTransition,
+    assertEditableStatus,
+    saveJournalEntry,
+    submitJournalEntry,
+    postJournalEntry,
+    reverseJournalEntry
+} = require('../src/js/journal-entry-service');
+
+const ENTITY_ID = 'entity-1';
+const CASH = 'account-cash';
+const REVENUE = 'account-revenue';
+
+/**
+ * A pg client holding journal entries and their lines in memory. Every
+ * account and fund belongs to the entity and no fiscal year covers any date.
+ * @param {Object} [data] - { entries, lines } to start from
+ * @returns {Object} { query, state }
+ */
+function createClient(data = {}) {
+    const state = {
+        entries: (data.entries || []).map(entry => ({ ...entry })),
+        lines: (data.lines || []).map(line => ({ ...line }))
+    };
+    const query = async (sql, params = []) => {
+        if (/FROM (accounts|funds) WHERE id = ANY/.test(sql)) {
+            return { rows: params[0].map(id => ({ id })) };
+        }
+        if (/FROM journal_entries WHERE id = \$1 FOR UPDATE/.test(sql)) {
+            return { rows: state.entries.filter(entry => entry.id === params[0]).map(entry => ({ ...entry })) };
+        }
+        if (/FROM journal_entry_lines\s+WHERE journal_entry_id = \$1/.test(sql)) {
+            return { rows: state.lines.filter(line => line.journal_entry_id === params[0]) };
+        }
+        if (/AS is_before FROM journal_entries/.test(sql)) {
+            const entry = state.entries.find(e => e.id === params[1]);
+            return { rows: [{ is_before: params[0] < entry.entry_date }] };
+        }
+        if (/UPDATE journal_entries\s+SET status = \$1/.test(sql)) {
+            // submit (status), post (status, posted_by) and reverse (status, reversed_by_id)
+            const entry = state.entries.find(e => e.id === params[params.length - 1]);
+            entry.status = params[0];
+            if (/posted_by/.test(sql)) {
+                entry.posted_by = params[1];
+            }
+            if (/reversed_by_id/.test(sql)) {
+                entry.reversed_by_id = params[1];
+            }
+            return { rows: [{ ...entry }] };
+        }
+        if (/INSERT INTO journal_entries/.test(sql)) {
+            const entry = {
+                id: `entry-${state.entries.length + 1}`,
+                entity_id: params[0],
+                entry_date: params[1],
+                reference_number: params[2],
+                total_debits: params[4],
+                total_credits: params[5],
+                status: params[6],
+                reversal_of_id: params[11]
+            };
+            state.entries.push(entry);
+            return { rows: [{ ...entry }] };
+        }
+        if (/INSERT INTO journal_entry_lines/.test(sql)) {
+            const [journalEntryId, accountId, fundId, debitAmount, creditAmount] = params;
+            const line = {
+                journal_entry_id: journalEntryId,
+                account_id: accountId,
+                fund_id: fundId,
+                debit_amount: debitAmount,
+                credit_amount: creditAmount,
+                line_number: params[6]
+            };
+            state.lines.push(line);
+            return { rows: [{ ...line }] };
+        }
+        return { rows: [] };
+    };
+    return { query, state };
+}
+
+test('an entry whose debits and credits differ is rejected with its totals', () => {
+    const lines = normalizeLines([
+        { account_id: CASH, debit_amount: '100.00' },
+        { account_id: REVENUE, credit_amount: '99.99' }
+    ]);
+    assert.throws(() => assertBalanced(lines), error => {
+        assert.strictEqual(error.status, 400);
+        assert.match(error.message, /not balanced/);
+        assert.deepStrictEqual(error.details, { totalDebits: 100, totalCredits: 99.99, difference: 0.01 });
+        return true;
+    });
+});
+
+test('amounts are balanced in cents, not floating point', () => {
+    const lines = normalizeLines([
+        { account_id: CASH, debit_amount: 0.1 },
+        { account_id: CASH, debit_amount: 0.2 },
+        { account_id: REVENUE, credit_amount: 0.3 }
+    ]);
+    assert.deepStrictEqual(assertBalanced(lines), { totalDebits: 0.3, totalCredits: 0.3 });
+});
+
+test('lines that cannot balance an entry are rejected', () => {
+    assert.throws(() => normalizeLines([{ account_id: CASH, debit_amount: 10 }]),
+        error => error.details.errors.includes('A journal entry requires at least two lines'));
+    assert.throws(() => normalizeLines([
+        { account_id: CASH, debit_amount: 10, credit_amount: 10 },
+        { account_id: REVENUE, debit_amount: -5 },
+        { account_id: REVENUE }
+    ]), error => {
+        assert.deepStrictEqual(error.details.errors, [
+            'Line 1: a line cannot have both a debit and a credit',
+            'Line 2: amounts cannot be negative',
+            'Line 3: a debit or credit amount is required'
+        ]);
+        return true;
+    });
+});
+
+test('saving an unbalanced entry writes nothing', async () => {
+    const client = createClient();
+    await assert.rejects(
+        saveJournalEntry(client, { entity_id: ENTITY_ID, entry_date: '2025-03-01', status: 'Draft' }, [
+            { account_id: CASH, debit_amount: 500 },
+            { account_id: REVENUE, credit_amount: 450 }
+        ]),
+        error => error.status === 400 && error.details.difference === 50
+    );
+    assert.deepStrictEqual(client.state.entries, []);
+    assert.deepStrictEqual(client.state.lines, []);
+});
+
+test('a balanced entry is saved with its totals and lines', async () => {
+    const client = createClient();
+    const entry = await saveJournalEntry(client, { entity_id: ENTITY_ID, entry_date: '2025-03-01', status: 'Draft' }, [
+        { account_id: CASH, debit_amount: '500.00' },
+        { account_id: REVENUE, credit_amount: '500.00' }
+    ]);
+    assert.strictEqual(entry.total_debits, 500);
+    assert.strictEqual(entry.total_credits, 500);
+    assert.deepStrictEqual(entry.lines.map(line => [line.account_id, line.debit_amount, line.credit_amount]),
+        [[CASH, 500, 0], [REVENUE, 0, 500]]);
+});
+
+test('an entry moves from Draft through Pending Approval to Posted and Reversed', async () => {
+    const client = createClient();
+    const draft = await saveJournalEntry(client, {
+        entity_id: ENTITY_ID, entry_date: '2025-03-01', reference_number: 'JE-1', status: JOURNAL_ENTRY_STATUS.DRAFT
+    }, [
+        { account_id: CASH, debit_amount: 200 },
+        { account_id: REVENUE, credit_amount: 200 }
+    ]);
+    assert.strictEqual(draft.status, JOURNAL_ENTRY_STATUS.DRAFT);
+
+    const pending = await submitJournalEntry(client, draft.id);
+    assert.strictEqual(pending.status, JOURNAL_ENTRY_STATUS.PENDING_APPROVAL);
+
+    const posted = await postJournalEntry(client, draft.id, 'Pat Approver');
+    assert.strictEqual(posted.status, JOURNAL_ENTRY_STATUS.POSTED);
+    assert.strictEqual(posted.posted_by, 'Pat Approver');
+
+    const { original, reversal, reentry } = await reverseJournalEntry(client, draft.id, { reversal_date: '2025-03-15' });
+    assert.strictEqual(original.status, JOURNAL_ENTRY_STATUS.REVERSED);
+    assert.strictEqual(original.reversed_by_id, reversal.id);
+    assert.strictEqual(reversal.status, JOURNAL_ENTRY_STATUS.POSTED);
+    assert.strictEqual(reversal.reversal_of_id, draft.id);
+    assert.strictEqual(reversal.entry_date, '2025-03-15');
+    assert.strictEqual(reversal.reference_number, 'JE-1-REV');
+    assert.deepStrictEqual(reversal.lines.map(line => [line.account_id, line.debit_amount, line.credit_amount]),
+        [[CASH, 0, 200], [REVENUE, 200, 0]]);
+    assert.strictEqual(reentry, null);
+});
+
+test('each workflow step accepts only the status before it', async () => {
+    const client = createClient({ entries: [
+        { id: 'draft', entity_id: ENTITY_ID, entry_date: '2025-03-01', status: JOURNAL_ENTRY_STATUS.DRAFT },
+        { id: 'reversed', entity_id: ENTITY_ID, entry_date: '2025-03-01', status: JOURNAL_ENTRY_STATUS.REVERSED }
+    ] });
+    await assert.rejects(postJournalEntry(client, 'draft'), error => error.status === 409);
+    await assert.rejects(reverseJournalEntry(client, 'draft'), error => error.status === 409);
+    await assert.rejects(submitJournalEntry(client, 'reversed'), error => error.status === 409);
+    await assert.rejects(reverseJournalEntry(client, 'reversed'), error => error.status === 409);
+    await assert.rejects(submitJournalEntry(client, 'missing'), error => error.status === 404);
+    assert.strictEqual(client.state.entries[0].status, JOURNAL_ENTRY_STATUS.DRAFT);
+});
+
+test('posting re-checks the stored lines for balance', async () => {
+    const client = createClient({
+        entries: [{ id: 'pending', entity_id: ENTITY_ID, entry_date: '2025-03-01', status: JOURNAL_ENTRY_STATUS.PENDING_APPROVAL }],
+        lines: [
+            { journal_entry_id: 'pending', account_id: CASH, debit_amount: '300.00', credit_amount: '0.00' },
+            { journal_entry_id: 'pending', account_id: REVENUE, debit_amount: '0.00', credit_amount: '250.00' }
+        ]
+    });
+    await assert.rejects(postJournalEntry(client, 'pending'), error => error.status === 400 && error.details.difference === 50);
+    assert.strictEqual(client.state.entries[0].status, JOURNAL_ENTRY_STATUS.PENDING_APPROVAL);
+});
+
+test('a reversal cannot be dated before the entry it reverses', async () => {
+    const client = createClient({
+        entries: [{ id: 'posted', entity_id: ENTITY_ID, entry_date: '2025-03-01', status: JOURNAL_ENTRY_STATUS.POSTED }],
+        lines: [
+            { journal_entry_id: 'posted', account_id: CASH, debit_amount: '10.00', credit_amount: '0.00' },
+            { journal_entry_id: 'posted', account_id: REVENUE, debit_amount: '0.00', credit_amount: '10.00' }
+        ]
+    });
+    await assert.rejects(reverseJournalEntry(client, 'posted', { reversal_date: '2025-02-28' }), /cannot be before/);
+    assert.strictEqual(client.state.entries.length, 1);
+    assert.strictEqual(client.state.entries[0].status, JOURNAL_ENTRY_STATUS.POSTED);
+});
+
+test('Posted and Reversed cannot be set directly', async () => {
+    assert.throws(() => assertStatusTransition(JOURNAL_ENTRY_STATUS.DRAFT, JOURNAL_ENTRY_STATUS.POSTED),
+        error => error.status === 409);
+    assert.throws(() => assertEditableStatus(JOURNAL_ENTRY_STATUS.POSTED), /use the submit, post or reverse endpoints/);
+    assert.throws(() => assertEditableStatus(JOURNAL_ENTRY_STATUS.REVERSED), error => error.status === 400);
+    assertEditableStatus(JOURNAL_ENTRY_STATUS.DRAFT);
+    assertEditableStatus(JOURNAL_ENTRY_STATUS.PENDING_APPROVAL);
+    assertEditableStatus(undefined);
+
+    // Saving a Draft as Posted skips the approval step
+    const client = createClient({ entries: [{ id: 'draft', entity_id: ENTITY_ID, entry_date: '2025-03-01', status: JOURNAL_ENTRY_STATUS.DRAFT }] });
+    await assert.rejects(
+        saveJournalEntry(client, { entity_id: ENTITY_ID, entry_date: '2025-03-01', status: JOURNAL_ENTRY_STATUS.POSTED }, [
+            { account_id: CASH, debit_amount: 10 },
+            { account_id: REVENUE, credit_amount: 10 }
+        ], 'draft'),
+        error => error.status === 409
+    );
+    assert.strictEqual(client.state.entries[0].status, JOURNAL_ENTRY_STATUS.DRAFT);
+});
@@ -0,0 +1,149 @@
+/**
+ * ledger-balances.test.js
+ *
+ * The ledger_balances triggers (balance-service.js LEDGER_BALANCES_SCHEMA)
+ * against a real PostgreSQL database, in a scratch schema that is rolled
+ * back after each test. Run with `npm test`; the connection comes from the
+ * PG* environment variables read by src/db/db-config.js, and the tests are
+ * skipped when no database answers.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Client } = require('pg');
+const { getDbConfig } = require('../src/db/db-config');
+const { LEDGER_BALANCES_SCHEMA, checkBalanceDrift, rebuildLedgerBalances } = require('../src/js/balance-service');
+
+// Only the columns the triggers and the drift check read
+const LEDGER_TABLES = `
+    CREATE TABLE accounts (id UUID PRIMARY KEY DEFAULT gen_random_uuid(), code VARCHAR(20), name VARCHAR(100));
+    CREATE TABLE funds (id UUID PRIMARY KEY DEFAULT gen_random_uuid(), code VARCHAR(20));
+    CREATE TABLE journal_entries (id UUID PRIMARY KEY DEFAULT gen_random_uuid(), status VARCHAR(20) NOT NULL);
+    CREATE TABLE journal_entry_lines (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        journal_entry_id UUID NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+        account_id UUID NOT NULL REFERENCES accounts(id),
+        fund_id UUID REFERENCES funds(id),
+        debit_amount NUMERIC(19, 4) NOT NULL DEFAULT 0,
+        credit_amount NUMERIC(19, 4) NOT NULL DEFAULT 0
+    );`;
+
+/**
+ * Define a test run inside a transaction on a scratch schema holding the
+ * ledger tables and the ledger_balances triggers, with a cash and a revenue
+ * account in one fund
+ * @param {string} name - Test name
+ * @param {Function} fn - async (client, ledger) => void, where ledger is
+ *   { cash, revenue, fund } ids
+ */
+function ledgerTest(name, fn) {
+    test(name, async t => {
+        const client = new Client({ ...getDbConfig(), connectionTimeoutMillis: 2000 });
+        try {
+            await client.connect();
+        } catch (error) {
+            t.skip(`no PostgreSQL database (${error.message})`);
+            return;
+        }
+        try {
+            await client.query('BEGIN');
+            await client.query('CREATE SCHEMA ledger_balances_test');
+            await client.query('SET LOCAL search_path TO ledger_balances_test');
+            await client.query(LEDGER_TABLES);
+            await client.query(LEDGER_BALANCES_SCHEMA);
+            const { rows: [{ id: fund }] } = await client.query("INSERT INTO funds (code) VALUES ('GEN') RETURNING id");
+            const { rows: [cash, revenue] } = await client.query(
+                "INSERT INTO accounts (code, name) VALUES ('1000', 'Cash'), ('4000', 'Contributions') RETURNING id"
+            );
+            await fn(client, { cash: cash.id, revenue: revenue.id, fund });
+        } finally {
+            await client.query('ROLLBACK');
+            await client.end();
+        }
+    });
+}
+
+/**
+ * Write a journal entry debiting cash and crediting revenue
+ * @param {Object} client - pg client
+ * @param {Object} ledger - { cash, revenue, fund }
+ * @param {string} status - Journal entry status
+ * @param {number} amount - Positive to debit cash, negative to credit it
+ * @returns {Promise<string>} journal_entries id
+ */
+async function addEntry(client, ledger, status, amount) {
+    const { rows: [entry] } = await client.query('INSERT INTO journal_entries (status) VALUES ($1) RETURNING id', [status]);
+    await client.query(
+        `INSERT INTO journal_entry_lines (journal_entry_id, account_id, fund_id, debit_amount, credit_amount)
+         VALUES ($1, $2, $4, $5, $6), ($1, $3, $4, $6, $5)`,
+        [entry.id, ledger.cash, ledger.revenue, ledger.fund, Math.max(amount, 0), Math.max(-amount, 0)]
+    );
+    return entry.id;
+}
+
+/**
+ * ledger_balances totals by account id
+ * @param {Object} client - pg client
+ * @returns {Promise<Object>} { [account_id]: { debit, credit } }
+ */
+async function totals(client) {
+    const { rows } = await client.query('SELECT account_id, debit_total::float8 AS debit, credit_total::float8 AS credit FROM ledger_balances');
+    return Object.fromEntries(rows.map(row => [row.account_id, { debit: row.debit, credit: row.credit }]));
+}
+
+ledgerTest('lines count only while their entry is Posted or Reversed', async (client, ledger) => {
+    const entryId = await addEntry(client, ledger, 'Draft', 100);
+    await client.query("UPDATE journal_entries SET status = 'Pending Approval' WHERE id = $1", [entryId]);
+    const unposted = await totals(client);
+    assert.deepStrictEqual(Object.values(unposted).filter(row => row.debit || row.credit), []);
+
+    await client.query("UPDATE journal_entries SET status = 'Posted' WHERE id = $1", [entryId]);
+    let balances = await totals(client);
+    assert.deepStrictEqual(balances[ledger.cash], { debit: 100, credit: 0 });
+    assert.deepStrictEqual(balances[ledger.revenue], { debit: 0, credit: 100 });
+
+    await client.query("UPDATE journal_entries SET status = 'Reversed' WHERE id = $1", [entryId]);
+    balances = await totals(client);
+    assert.deepStrictEqual(balances[ledger.cash], { debit: 100, credit: 0 });
+});
+
+ledgerTest('a reversing entry brings the accounts back to zero', async (client, ledger) => {
+    const entryId = await addEntry(client, ledger, 'Posted', 250);
+    await addEntry(client, ledger, 'Posted', -250);
+    await client.query("UPDATE journal_entries SET status = 'Reversed' WHERE id = $1", [entryId]);
+    const balances = await totals(client);
+    assert.deepStrictEqual(balances[ledger.cash], { debit: 250, credit: 250 });
+    assert.deepStrictEqual(balances[ledger.revenue], { debit: 250, credit: 250 });
+});
+
+ledgerTest('changing or deleting a posted entry\'s lines moves the totals', async (client, ledger) => {
+    const entryId = await addEntry(client, ledger, 'Posted', 100);
+    await client.query(
+        'UPDATE journal_entry_lines SET debit_amount = 150 WHERE journal_entry_id = $1 AND account_id = $2',
+        [entryId, ledger.cash]
+    );
+    assert.deepStrictEqual((await totals(client))[ledger.cash], { debit: 150, credit: 0 });
+
+    await addEntry(client, ledger, 'Draft', 40);
+    await client.query('DELETE FROM journal_entries WHERE id = $1', [entryId]);
+    const balances = await totals(client);
+    assert.deepStrictEqual(balances[ledger.cash], { debit: 0, credit: 0 });
+    assert.deepStrictEqual(balances[ledger.revenue], { debit: 0, credit: 0 });
+});
+
+ledgerTest('the drift check finds a summary out of step and a rebuild repairs it', async (client, ledger) => {
+    await addEntry(client, ledger, 'Posted', 100);
+    assert.strictEqual((await checkBalanceDrift(client)).inSync, true);
+
+    await client.query('UPDATE ledger_balances SET debit_total = 999 WHERE account_id = $1', [ledger.cash]);
+    const drift = await checkBalanceDrift(client);
+    assert.strictEqual(drift.inSync, false);
+    assert.strictEqual(drift.differences.length, 1);
+    assert.strictEqual(drift.differences[0].account_code, '1000');
+    assert.strictEqual(drift.differences[0].summary_debit_total, 999);
+    assert.strictEqual(drift.differences[0].ledger_debit_total, 100);
+
+    await rebuildLedgerBalances(client);
+    assert.strictEqual((await checkBalanceDrift(client)).inSync, true);
+    assert.deepStrictEqual((await totals(client))[ledger.cash], { debit: 100, credit: 0 });
+});
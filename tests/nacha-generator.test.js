@@ -0,0 +1,269 @@
+/**
+ * nacha-generator.test.js
+ *
+ * Files built by NachaGenerator read back through NachaParser.validate:
+ * entry class layouts, offsets, multi-addenda CTX remittance and prenotes,
+ * and the validator's rejection of damaged files. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const NachaGenerator = require('../src/js/nacha-generator');
+const NachaParser = require('../src/js/nacha-parser');
+
+const ORIGIN_ROUTING = '091000019';
+const VENDOR_ROUTING = '021000021';
+const EMPLOYEE_ROUTING = '011000015';
+
+/**
+ * A generator with fixed dates and the company settings every file needs
+ * @param {Object} [options] - Extra generator settings
+ * @returns {NachaGenerator}
+ */
+function createGenerator(options = {}) {
+    return new NachaGenerator({
+        immediateDestination: ORIGIN_ROUTING,
+        immediateDestinationName: 'FIRST COMMUNITY BANK',
+        immediateOrigin: '1234567890',
+        companyName: 'HOPE FOUNDATION',
+        companyIdentification: '1234567890',
+        companyEntryDescription: 'VENDORPAY',
+        companyDescriptiveDate: '251001',
+        effectiveEntryDate: '251002',
+        fileCreationDate: '251001',
+        fileCreationTime: '0930',
+        originatingDFIId: '09100001',
+        ...options
+    });
+}
+
+/**
+ * A CCD file paying two vendors, balanced by an offset debit
+ * @returns {string} File content
+ */
+function buildCcdFileWithOffset() {
+    const generator = createGenerator();
+    const batch = generator.createBatch({ standardEntryClassCode: NachaGenerator.ENTRY_CLASS_CODES.CCD });
+    generator.addEntry(batch, {
+        transactionCode: NachaGenerator.TRANSACTION_CODES.CHECKING_CREDIT,
+        routingNumber: VENDOR_ROUTING,
+        accountNumber: '123456789',
+        amount: 1250.5,
+        receivingCompanyId: 'V100',
+        receivingCompanyName: 'PAPER SUPPLY CO',
+        addenda: 'INV 1001'
+    });
+    generator.addEntry(batch, {
+        transactionCode: NachaGenerator.TRANSACTION_CODES.SAVINGS_CREDIT,
+        routingNumber: EMPLOYEE_ROUTING,
+        accountNumber: '987654',
+        amount: 249.5,
+        receivingCompanyId: 'V200',
+        receivingCompanyName: 'CITY PRINTING'
+    });
+    generator.addOffsetEntry(batch, {
+        routingNumber: ORIGIN_ROUTING,
+        accountNumber: '55500011',
+        accountType: 'checking',
+        name: 'HOPE FOUNDATION',
+        identification: '1234567890'
+    });
+    return generator.generateFile();
+}
+
+/**
+ * Overwrite part of one record of a file
+ * @param {string} content - File content
+ * @param {number} line - 1-based record number
+ * @param {number} start - 1-based position of the first character replaced
+ * @param {string} value - Replacement characters
+ * @returns {string} The changed content
+ */
+function replaceInRecord(content, line, start, value) {
+    const records = NachaParser.splitRecords(content);
+    const record = records[line - 1];
+    records[line - 1] = record.substring(0, start - 1) + value + record.substring(start - 1 + value.length);
+    return records.join('');
+}
+
+/**
+ * 1-based record number of the first record of a type
+ * @param {string} content - File content
+ * @param {string} recordType - Record type code
+ * @returns {number}
+ */
+function recordLine(content, recordType) {
+    return NachaParser.splitRecords(content).findIndex(record => record[0] === recordType) + 1;
+}
+
+/**
+ * The fields the validator reported problems with
+ * @param {string} content - File content
+ * @returns {Array<string>}
+ */
+function errorFields(content) {
+    const { valid, errors } = NachaParser.validate(content);
+    assert.strictEqual(valid, false);
+    return errors.map(error => error.field);
+}
+
+test('a CCD batch with an offset entry validates and nets to zero', () => {
+    const content = buildCcdFileWithOffset();
+    const { valid, errors, file } = NachaParser.validate(content);
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(valid, true);
+    assert.strictEqual(content.length % (94 * 10), 0);
+
+    const [batch] = file.batches;
+    assert.strictEqual(batch.header.standardEntryClassCode, 'CCD');
+    assert.strictEqual(batch.header.serviceClassCode, NachaGenerator.SERVICE_CLASS_CODES.MIXED);
+    assert.deepStrictEqual(batch.entries.map(entry => entry.transactionCode), ['22', '32', '27']);
+    const offset = batch.entries[2];
+    assert.strictEqual(offset.amount, 1500);
+    assert.strictEqual(offset.receivingDFIId + offset.checkDigit, ORIGIN_ROUTING);
+    assert.strictEqual(batch.control.totalDebitAmount, 1500);
+    assert.strictEqual(batch.control.totalCreditAmount, 1500);
+    assert.strictEqual(batch.entries[0].addenda[0].paymentRelatedInformation, 'INV 1001');
+    assert.deepStrictEqual(batch.entries.map(entry => entry.traceNumber),
+        ['091000010000001', '091000010000002', '091000010000003']);
+    assert.strictEqual(file.fileControl.entryAddendaCount, 4);
+});
+
+test('a CTX entry carries its EDI 820 remittance across several addenda', () => {
+    const generator = createGenerator({ traceSequenceStart: 41 });
+    const batch = generator.createBatch({ standardEntryClassCode: NachaGenerator.ENTRY_CLASS_CODES.CTX });
+    const invoices = [1, 2, 3, 4, 5, 6].map(n => ({
+        invoiceNumber: `INV-100${n}`,
+        amountPaid: 100 * n,
+        invoiceDate: `2025-09-0${n}`
+    }));
+    const remittance = NachaGenerator.buildEdi820({
+        payerName: 'HOPE FOUNDATION',
+        payeeName: 'PAPER SUPPLY CO',
+        amount: 2100,
+        paymentDate: '2025-10-02',
+        reference: 'PB-0001',
+        senderId: '1234567890',
+        invoices
+    });
+    generator.addEntry(batch, {
+        transactionCode: NachaGenerator.TRANSACTION_CODES.CHECKING_CREDIT,
+        routingNumber: VENDOR_ROUTING,
+        accountNumber: '123456789',
+        amount: 2100,
+        receivingCompanyId: 'V100',
+        receivingCompanyName: 'PAPER SUPPLY CO',
+        addenda: remittance
+    });
+    const { valid, errors, file } = NachaParser.validate(generator.generateFile());
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(valid, true);
+
+    const [entry] = file.batches[0].entries;
+    assert.strictEqual(file.batches[0].header.serviceClassCode, NachaGenerator.SERVICE_CLASS_CODES.CREDITS_ONLY);
+    assert.ok(entry.addenda.length > 1);
+    assert.strictEqual(entry.numberOfAddendaRecords, entry.addenda.length);
+    assert.strictEqual(entry.receivingCompanyName, 'PAPER SUPPLY CO');
+    assert.strictEqual(entry.traceNumber, '091000010000041');
+    entry.addenda.forEach((addenda, index) => {
+        assert.strictEqual(addenda.addendaTypeCode, '05');
+        assert.strictEqual(addenda.addendaSequenceNumber, index + 1);
+        assert.strictEqual(addenda.entryDetailSequenceNumber, '0000041');
+    });
+    const carried = entry.addenda.map(addenda => addenda.paymentRelatedInformation.padEnd(80, ' ')).join('').trimEnd();
+    assert.strictEqual(carried, remittance);
+    invoices.forEach(invoice => assert.ok(carried.includes(`RMR*IV*${invoice.invoiceNumber}*`)));
+    assert.strictEqual(file.batches[0].control.entryAddendaCount, 1 + entry.addenda.length);
+});
+
+test('a PPD prenote is a zero-dollar entry with the prenote transaction code', () => {
+    const generator = createGenerator();
+    const batch = generator.createBatch({ standardEntryClassCode: NachaGenerator.ENTRY_CLASS_CODES.PPD });
+    generator.addPrenote(batch, {
+        transactionCode: NachaGenerator.TRANSACTION_CODES.SAVINGS_CREDIT,
+        routingNumber: EMPLOYEE_ROUTING,
+        accountNumber: '44455566',
+        individualId: 'EMP042',
+        individualName: 'JANE DOE'
+    });
+    const { valid, errors, file } = NachaParser.validate(generator.generateFile());
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(valid, true);
+
+    const [entry] = file.batches[0].entries;
+    assert.strictEqual(entry.transactionCode, NachaGenerator.TRANSACTION_CODES.SAVINGS_CREDIT_PRENOTE);
+    assert.strictEqual(entry.amount, 0);
+    assert.strictEqual(entry.individualIdentificationNumber, 'EMP042');
+    assert.strictEqual(entry.individualName, 'JANE DOE');
+    assert.strictEqual(file.fileControl.totalCreditAmount, 0);
+    assert.strictEqual(generator.getNextTraceSequence(), 2);
+});
+
+test('a prenote carrying an amount is rejected', () => {
+    const generator = createGenerator();
+    const batch = generator.createBatch({ standardEntryClassCode: NachaGenerator.ENTRY_CLASS_CODES.PPD });
+    generator.addPrenote(batch, {
+        routingNumber: EMPLOYEE_ROUTING,
+        accountNumber: '44455566',
+        individualId: 'EMP042',
+        individualName: 'JANE DOE'
+    });
+    const content = generator.generateFile();
+    const entryLine = recordLine(content, '6');
+    assert.ok(errorFields(replaceInRecord(content, entryLine, 30, '0000000100')).includes('amount'));
+});
+
+test('records of the wrong length are rejected', () => {
+    const content = buildCcdFileWithOffset();
+    const records = NachaParser.splitRecords(content);
+    records[2] = records[2].substring(0, 93);
+    const { valid, errors } = NachaParser.validate(records.join('\n'));
+    assert.strictEqual(valid, false);
+    assert.ok(errors.some(error => error.line === 3 && error.field === 'record' && /expected 94/.test(error.message)));
+});
+
+test('wrong entry and addenda counts are rejected', () => {
+    const content = buildCcdFileWithOffset();
+    // Batch Control entry/addenda count (positions 5-10)
+    const batchControl = recordLine(content, '8');
+    assert.ok(errorFields(replaceInRecord(content, batchControl, 5, '000005')).includes('entryAddendaCount'));
+    // File Control entry/addenda count (positions 14-21)
+    const fileControl = recordLine(content, '9');
+    assert.ok(errorFields(replaceInRecord(content, fileControl, 14, '00000009')).includes('entryAddendaCount'));
+    // Addenda indicator with no addenda following
+    const lastEntry = NachaParser.splitRecords(content).map(record => record[0]).lastIndexOf('6') + 1;
+    assert.ok(errorFields(replaceInRecord(content, lastEntry, 79, '1')).includes('addendaRecordIndicator'));
+});
+
+test('a CTX entry whose addenda count disagrees with its addenda is rejected', () => {
+    const generator = createGenerator();
+    const batch = generator.createBatch({ standardEntryClassCode: NachaGenerator.ENTRY_CLASS_CODES.CTX });
+    generator.addEntry(batch, {
+        routingNumber: VENDOR_ROUTING,
+        accountNumber: '123456789',
+        amount: 300,
+        receivingCompanyId: 'V100',
+        receivingCompanyName: 'PAPER SUPPLY CO',
+        addenda: 'X'.repeat(200)
+    });
+    const content = generator.generateFile();
+    // Number of addenda records (positions 55-58): three follow
+    assert.ok(errorFields(replaceInRecord(content, recordLine(content, '6'), 55, '0002')).includes('numberOfAddendaRecords'));
+});
+
+test('a wrong entry hash is rejected', () => {
+    const content = buildCcdFileWithOffset();
+    const batchControl = recordLine(content, '8');
+    assert.ok(errorFields(replaceInRecord(content, batchControl, 11, '0000000001')).includes('entryHash'));
+    const fileControl = recordLine(content, '9');
+    assert.ok(errorFields(replaceInRecord(content, fileControl, 22, '0000000001')).includes('entryHash'));
+});
+
+test('control totals that disagree with the entries are rejected', () => {
+    const content = buildCcdFileWithOffset();
+    const batchControl = recordLine(content, '8');
+    assert.ok(errorFields(replaceInRecord(content, batchControl, 33, '000000150001')).includes('totalCreditAmount'));
+    const fileControl = recordLine(content, '9');
+    assert.ok(errorFields(replaceInRecord(content, fileControl, 32, '000000000001')).includes('totalDebitAmount'));
+    assert.ok(errorFields(replaceInRecord(content, fileControl, 2, '000002')).includes('batchCount'));
+});
@@ -0,0 +1,113 @@
+/**
+ * payment-approval-service.test.js
+ *
+ * Separation of duties on payment batch approval, against an in-memory
+ * stand-in for the pg client. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BATCH_STATUS } = require('../src/js/vendor-payment-service');
+const { submitBatch, resubmitBatchesForAccount, approveBatch } = require('../src/js/payment-approval-service');
+
+const SUBMITTER = { id: 'user-submitter', name: 'Sam Submitter', role: 'Payment Approver' };
+const APPROVER = { id: 'user-approver', name: 'Alex Approver', role: 'Payment Approver' };
+const TREASURER = { id: 'user-treasurer', name: 'Terry Treasurer', role: 'Payment Approver' };
+
+/**
+ * A pg client answering the queries the approval workflow makes for one batch
+ * @param {Object} batch - payment_batches row
+ * @returns {Object} { query, state }
+ */
+function createClient(batch) {
+    const state = { batch: { ...batch }, items: [{ id: 'item-1', amount: '100.00', status: 'pending' }], approvals: [], transitions: [] };
+    const query = async (sql, params = []) => {
+        if (/^DELETE FROM payment_batch_approvals/.test(sql)) {
+            state.approvals = [];
+            return { rows: [] };
+        }
+        if (/FROM payment_batches pb/.test(sql)) {
+            return { rows: [{ ...state.batch }] };
+        }
+        if (/FROM payment_items pi/.test(sql)) {
+            return { rows: state.items };
+        }
+        if (/FROM payment_batch_approvals/.test(sql)) {
+            return { rows: state.approvals };
+        }
+        if (/FROM payment_batch_transitions/.test(sql)) {
+            const matching = state.transitions.filter(t => params[1].includes(t.action) && t.user_id === params[2]);
+            return { rows: matching.slice(0, 1).map(t => ({ user_id: t.user_id })) };
+        }
+        if (/SELECT DISTINCT pi.payment_batch_id/.test(sql)) {
+            return { rows: params[2].includes(state.batch.status) ? [{ payment_batch_id: state.batch.id }] : [] };
+        }
+        if (/^UPDATE payment_items SET status = 'pending'/.test(sql)) {
+            state.items.forEach(item => { item.status = 'pending'; });
+            return { rows: [] };
+        }
+        if (/FROM payment_approval_limits/.test(sql)) {
+            return { rows: [] };
+        }
+        if (/FROM company_nacha_settings/.test(sql)) {
+            return { rows: [{ dual_approval_threshold: null }] };
+        }
+        if (/^UPDATE payment_batches SET status/.test(sql)) {
+            state.batch.status = params[0];
+            return { rows: [] };
+        }
+        if (/INSERT INTO payment_batch_transitions/.test(sql)) {
+            state.transitions.push({ action: params[1], user_id: params[4] });
+            return { rows: [] };
+        }
+        if (/INSERT INTO payment_batch_approvals/.test(sql)) {
+            state.approvals.push({ user_id: params[1] });
+            return { rows: [] };
+        }
+        return { rows: [] };
+    };
+    return { query, state };
+}
+
+test('a batch created without a user cannot be approved by its submitter', async () => {
+    const client = createClient({ id: 'batch-1', status: BATCH_STATUS.DRAFT, created_by: null, total_amount: '100.00' });
+    await submitBatch(client, 'batch-1', SUBMITTER);
+    await assert.rejects(
+        approveBatch(client, 'batch-1', SUBMITTER),
+        error => error.status === 403 && /submitted/.test(error.message)
+    );
+    assert.strictEqual(client.state.batch.status, BATCH_STATUS.PENDING_APPROVAL);
+    assert.strictEqual(client.state.approvals.length, 0);
+});
+
+test('another approver can approve the submitted batch', async () => {
+    const client = createClient({ id: 'batch-1', status: BATCH_STATUS.DRAFT, created_by: null, total_amount: '100.00' });
+    await submitBatch(client, 'batch-1', SUBMITTER);
+    const approved = await approveBatch(client, 'batch-1', APPROVER);
+    assert.strictEqual(approved.approvals_required, 1);
+    assert.strictEqual(client.state.batch.status, BATCH_STATUS.APPROVED);
+});
+
+test('the creator of a batch cannot approve it', async () => {
+    const client = createClient({ id: 'batch-1', status: BATCH_STATUS.PENDING_APPROVAL, created_by: APPROVER.id, total_amount: '100.00' });
+    await assert.rejects(
+        approveBatch(client, 'batch-1', APPROVER),
+        error => error.status === 403 && /created/.test(error.message)
+    );
+});
+
+test('changing a vendor bank account sends an approved batch back for approval', async () => {
+    const client = createClient({ id: 'batch-1', batch_number: 'PB-1', status: BATCH_STATUS.DRAFT, created_by: null, total_amount: '100.00' });
+    await submitBatch(client, 'batch-1', SUBMITTER);
+    await approveBatch(client, 'batch-1', APPROVER);
+    const resubmitted = await resubmitBatchesForAccount(client, 'account-1', APPROVER);
+    assert.deepStrictEqual(resubmitted, ['PB-1']);
+    assert.strictEqual(client.state.batch.status, BATCH_STATUS.PENDING_APPROVAL);
+    assert.strictEqual(client.state.approvals.length, 0);
+    await assert.rejects(
+        approveBatch(client, 'batch-1', APPROVER),
+        error => error.status === 403 && /submitted/.test(error.message)
+    );
+    await approveBatch(client, 'batch-1', TREASURER);
+    assert.strictEqual(client.state.batch.status, BATCH_STATUS.APPROVED);
+});
@@ -0,0 +1,191 @@
+/**
+ * year-end-close-service.test.js
+ *
+ * Closing entries written by the year-end close and the posting locks on
+ * closed years and periods, against an in-memory stand-in for the pg client.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { closeFiscalYear } = require('../src/js/year-end-close-service');
+const { FISCAL_YEAR_STATUS, PERIOD_STATUS, assertPeriodAllowsPosting } = require('../src/js/fiscal-period-service');
+const { JOURNAL_ENTRY_STATUS, ENTRY_TYPE } = require('../src/js/journal-entry-service');
+
+const ENTITY_ID = 'entity-1';
+const NET_ASSETS = 'account-net-assets';
+const CONTRIBUTIONS = 'account-contributions';
+const SALARIES = 'account-salaries';
+const ADMIN = { id: 'user-admin', name: 'Ada Admin', role: 'Administrator' };
+const ACCOUNTANT = { id: 'user-accountant', name: 'Alex Accountant', role: 'Accountant' };
+
+/**
+ * A pg client for one entity with a single fiscal year, FY2025. Every date
+ * falls in the year's June 2025 period.
+ * @param {Object} [data]
+ * @param {string} [data.periodStatus] - Status of the period (default Open)
+ * @param {number} [data.unposted] - Draft and Pending Approval entries in the year
+ * @param {Array} [data.balances] - Revenue and Expense balances by fund
+ * @returns {Object} { query, state }
+ */
+function createClient(data = {}) {
+    const state = {
+        fiscalYear: {
+            id: 'fy-2025',
+            entity_id: ENTITY_ID,
+            entity_code: 'HOPE',
+            year_name: 'FY2025',
+            start_date: '2024-07-01',
+            end_date: '2025-06-30',
+            status: FISCAL_YEAR_STATUS.OPEN,
+            close_count: 0
+        },
+        periodStatus: data.periodStatus || PERIOD_STATUS.OPEN,
+        unposted: data.unposted || 0,
+        balances: data.balances || [],
+        entries: [],
+        lines: []
+    };
+    const query = async (sql, params = []) => {
+        if (/FROM fiscal_years fy\s+JOIN entities/.test(sql)) {
+            return { rows: [{ ...state.fiscalYear }] };
+        }
+        if (/FROM fiscal_years fy\s+LEFT JOIN accounting_periods/.test(sql)) {
+            return { rows: [{
+                fiscal_year_id: state.fiscalYear.id,
+                year_name: state.fiscalYear.year_name,
+                fiscal_year_status: state.fiscalYear.status,
+                period_id: 'period-jun',
+                period_name: 'Jun 2025',
+                period_status: state.periodStatus
+            }] };
+        }
+        if (/COUNT\(\*\)::int AS count FROM journal_entries/.test(sql)) {
+            return { rows: [{ count: state.unposted }] };
+        }
+        if (/FROM accounts\s+WHERE id = \$1/.test(sql)) {
+            return { rows: params[0] === NET_ASSETS ? [{ id: NET_ASSETS, type: 'Net Assets' }] : [] };
+        }
+        if (/AS balance\s+FROM journal_entry_lines/.test(sql)) {
+            return { rows: state.balances };
+        }
+        if (/FROM (accounts|funds) WHERE id = ANY/.test(sql)) {
+            return { rows: params[0].map(id => ({ id })) };
+        }
+        if (/INSERT INTO journal_entries/.test(sql)) {
+            const entry = {
+                id: `entry-${state.entries.length + 1}`,
+                entry_date: params[1],
+                reference_number: params[2],
+                status: params[6],
+                entry_type: params[14]
+            };
+            state.entries.push(entry);
+            return { rows: [{ ...entry }] };
+        }
+        if (/INSERT INTO journal_entry_lines/.test(sql)) {
+            const [journalEntryId, accountId, fundId, debitAmount, creditAmount] = params;
+            const line = {
+                journal_entry_id: journalEntryId,
+                account_id: accountId,
+                fund_id: fundId,
+                debit_amount: debitAmount,
+                credit_amount: creditAmount
+            };
+            state.lines.push(line);
+            return { rows: [{ ...line }] };
+        }
+        if (/UPDATE fiscal_years\s+SET status = \$1, closing_account_id/.test(sql)) {
+            Object.assign(state.fiscalYear, { status: params[0], closing_account_id: params[1], closed_by: params[2] });
+            return { rows: [{ ...state.fiscalYear }] };
+        }
+        return { rows: [] };
+    };
+    return { query, state };
+}
+
+/**
+ * @param {Object} entry - Journal entry returned by saveJournalEntry()
+ * @returns {Array} [account_id, debit, credit] per line
+ */
+function lineAmounts(entry) {
+    return entry.lines.map(line => [line.account_id, line.debit_amount, line.credit_amount]);
+}
+
+test('closing zeroes each fund\'s revenue and expense into the closing account', async () => {
+    const client = createClient({
+        // A year-end period already closed to users still takes the closing entries
+        periodStatus: PERIOD_STATUS.CLOSED,
+        balances: [
+            { fund_id: 'fund-gen', fund_code: 'GEN', account_id: CONTRIBUTIONS, balance: '-1000.00' },
+            { fund_id: 'fund-gen', fund_code: 'GEN', account_id: SALARIES, balance: '600.00' },
+            { fund_id: 'fund-grant', fund_code: 'GRANT', account_id: SALARIES, balance: '250.00' }
+        ]
+    });
+    const { fiscalYear, closingEntries } = await closeFiscalYear(client, 'fy-2025', { closing_account_id: NET_ASSETS, user: ADMIN });
+
+    assert.deepStrictEqual(closingEntries.map(entry => entry.reference_number), ['YE-HOPE-FY2025-GEN', 'YE-HOPE-FY2025-GRANT']);
+    closingEntries.forEach(entry => {
+        assert.strictEqual(entry.entry_date, '2025-06-30');
+        assert.strictEqual(entry.status, JOURNAL_ENTRY_STATUS.POSTED);
+        assert.strictEqual(entry.entry_type, ENTRY_TYPE.CLOSING);
+    });
+    // Surplus of 400 in GEN credits net assets; a deficit of 250 in GRANT debits them
+    assert.deepStrictEqual(lineAmounts(closingEntries[0]), [[CONTRIBUTIONS, 1000, 0], [SALARIES, 0, 600], [NET_ASSETS, 0, 400]]);
+    assert.deepStrictEqual(lineAmounts(closingEntries[1]), [[SALARIES, 0, 250], [NET_ASSETS, 250, 0]]);
+    assert.ok(closingEntries[1].lines.every(line => line.fund_id === 'fund-grant'));
+
+    assert.strictEqual(fiscalYear.status, FISCAL_YEAR_STATUS.CLOSED);
+    assert.strictEqual(fiscalYear.closing_account_id, NET_ASSETS);
+    assert.strictEqual(fiscalYear.closed_by, ADMIN.name);
+});
+
+test('a closed year accepts no more postings and cannot be closed again', async () => {
+    const client = createClient({
+        balances: [{ fund_id: 'fund-gen', fund_code: 'GEN', account_id: CONTRIBUTIONS, balance: '-10.00' }]
+    });
+    await closeFiscalYear(client, 'fy-2025', { closing_account_id: NET_ASSETS, user: ADMIN });
+
+    await assert.rejects(assertPeriodAllowsPosting(client, ENTITY_ID, '2025-03-01', ADMIN),
+        error => error.status === 409 && /FY2025 is closed/.test(error.message));
+    await assert.rejects(assertPeriodAllowsPosting(client, ENTITY_ID, '2025-06-30', ADMIN, { allowClosedPeriods: true }),
+        error => error.status === 409);
+    await assert.rejects(closeFiscalYear(client, 'fy-2025', { closing_account_id: NET_ASSETS, user: ADMIN }),
+        /already closed/);
+    assert.strictEqual(client.state.entries.length, 1);
+});
+
+test('only administrators can close a year, and only once every entry is posted', async () => {
+    const client = createClient({ unposted: 2 });
+    await assert.rejects(closeFiscalYear(client, 'fy-2025', { closing_account_id: NET_ASSETS, user: ACCOUNTANT }),
+        error => error.status === 403);
+    await assert.rejects(closeFiscalYear(client, 'fy-2025', { closing_account_id: NET_ASSETS, user: ADMIN }),
+        error => error.status === 409 && error.details.unposted === 2);
+    await assert.rejects(closeFiscalYear(createClient(), 'fy-2025', { closing_account_id: CONTRIBUTIONS, user: ADMIN }),
+        /must be a Net Assets or Equity account/);
+    assert.strictEqual(client.state.fiscalYear.status, FISCAL_YEAR_STATUS.OPEN);
+    assert.deepStrictEqual(client.state.entries, []);
+});
+
+test('closed and locked periods reject postings; the close may use closed periods only', async () => {
+    const closed = createClient({ periodStatus: PERIOD_STATUS.CLOSED });
+    await assert.rejects(assertPeriodAllowsPosting(closed, ENTITY_ID, '2025-06-15', ADMIN), error => error.status === 409);
+    assert.strictEqual(
+        (await assertPeriodAllowsPosting(closed, ENTITY_ID, '2025-06-15', ADMIN, { allowClosedPeriods: true })).period_id,
+        'period-jun'
+    );
+
+    const softClosed = createClient({ periodStatus: PERIOD_STATUS.SOFT_CLOSED });
+    await assert.rejects(assertPeriodAllowsPosting(softClosed, ENTITY_ID, '2025-06-15', ACCOUNTANT), error => error.status === 403);
+    assert.ok(await assertPeriodAllowsPosting(softClosed, ENTITY_ID, '2025-06-15', ADMIN));
+
+    const locked = createClient({
+        periodStatus: PERIOD_STATUS.LOCKED,
+        balances: [{ fund_id: 'fund-gen', fund_code: 'GEN', account_id: CONTRIBUTIONS, balance: '-10.00' }]
+    });
+    await assert.rejects(assertPeriodAllowsPosting(locked, ENTITY_ID, '2025-06-15', ADMIN, { allowClosedPeriods: true }),
+        /is locked/);
+    await assert.rejects(closeFiscalYear(locked, 'fy-2025', { closing_account_id: NET_ASSETS, user: ADMIN }), /is locked/);
+    assert.strictEqual(locked.state.fiscalYear.status, FISCAL_YEAR_STATUS.OPEN);
+    assert.deepStrictEqual(locked.state.entries, []);
+});